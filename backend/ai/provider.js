@@ -0,0 +1,209 @@
+// backend/ai/provider.js
+// Pluggable AI provider layer. Every generator (SEO, AI enhance, advanced schema,
+// AI testing/simulation, sitemap enhancer) goes through chatCompletion()/chatJSON().
+//
+// Driver selection (AI_PROVIDER):
+//   openrouter (default) | gemini | openai | anthropic | mock
+//   AI_PROVIDER=mock runs every AI feature offline with deterministic output.
+//
+// Other env:
+//   AI_MAX_RETRIES (default 2)    - retries on 429/5xx/network errors
+//   AI_TIMEOUT_MS  (default 30000) - per attempt
+//
+// Result shape: { content, usage: { prompt_tokens, completion_tokens, total_tokens, total_cost, cost_estimated }, model, provider }
+// - the usage object is what calculateActualTokens() and the token reservations expect.
+// - every call is also reported to the current token meter (utils/tokenMeter.js) for the ledger.
+
+import aiQueue from '../services/aiQueue.js';
+import { recordProviderCall } from '../utils/tokenMeter.js';
+import * as openrouter from './providers/openrouter.js';
+import * as gemini from './providers/gemini.js';
+import * as openai from './providers/openai.js';
+import * as anthropic from './providers/anthropic.js';
+import * as mock from './providers/mock.js';
+
+const DRIVERS = { openrouter, gemini, openai, anthropic, mock };
+
+// USD per 1M tokens for drivers that do not report cost themselves
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+};
+
+export function getProviderName() {
+  const name = String(process.env.AI_PROVIDER || 'openrouter').toLowerCase();
+  return DRIVERS[name] ? name : 'openrouter';
+}
+
+export function isMockProvider() {
+  return getProviderName() === 'mock';
+}
+
+/**
+ * Whether the selected provider can make calls (API key present).
+ * The mock provider is always available.
+ */
+export function isProviderConfigured(providerName = getProviderName()) {
+  return DRIVERS[providerName]?.isConfigured() || false;
+}
+
+/**
+ * Map one of our "vendor/model" ids (see plans.js DEFAULT_MODELS) to the id the
+ * selected provider expects.
+ */
+export function resolveModel(model, providerName = getProviderName()) {
+  return DRIVERS[providerName].resolveModel(model);
+}
+
+export function estimateCostUsd(model, promptTokens, completionTokens) {
+  const id = String(model || '').split('/').pop().replace(/-(latest|\d{8})$/, '');
+  const price = MODEL_PRICES[id];
+  if (!price) return null;
+  return (promptTokens * price.input + completionTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Parse a model answer that should be JSON. Accepts markdown fences and
+ * leading/trailing prose around a single object or array.
+ * @returns {any} parsed value
+ * @throws {Error} with status 502 when no JSON can be recovered
+ */
+export function parseJsonContent(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  const text = String(raw || '').trim();
+  const candidates = [text];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) candidates.push(fenced[1].trim());
+  const objectMatch = text.match(/(\{[\s\S]*\}|\[[\s\S]*\])/);
+  if (objectMatch) candidates.push(objectMatch[1]);
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the next candidate
+    }
+  }
+  const e = new Error('Model did not return valid JSON');
+  e.status = 502;
+  throw e;
+}
+
+function isRetryable(err) {
+  if (err.name === 'AbortError') return true;
+  if (!err.status) return true; // network error
+  return err.status === 429 || err.status >= 500;
+}
+
+function enqueue(fn, priority, meta) {
+  if (priority === 'high') return aiQueue.addHighPriority(fn, meta);
+  if (priority === 'bulk') return aiQueue.addBulk(fn, meta);
+  return aiQueue.add(fn, meta);
+}
+
+/**
+ * Run one chat completion on the selected provider.
+ *
+ * @param {object} params
+ * @param {string} params.model - our "vendor/model" id, resolved per provider
+ * @param {Array<{role: string, content: string}>} params.messages
+ * @param {boolean} [params.json=false] - request a JSON object answer
+ * @param {number} [params.temperature=0.4]
+ * @param {number} [params.maxTokens]
+ * @param {string} [params.priority='normal'] - aiQueue priority: 'high' | 'normal' | 'bulk'
+ * @param {string} [params.provider] - override AI_PROVIDER for this call
+ * @param {boolean} [params.queue=true] - false skips aiQueue (its jobs time out after 30s)
+ * @param {number} [params.timeoutMs] - per attempt, defaults to AI_TIMEOUT_MS
+ * @returns {Promise<{content: string, usage: object, model: string, provider: string}>}
+ */
+export async function chatCompletion({
+  model,
+  messages,
+  json = false,
+  temperature = 0.4,
+  maxTokens,
+  priority = 'normal',
+  provider,
+  queue = true,
+  timeoutMs,
+} = {}) {
+  const providerName = provider && DRIVERS[provider] ? provider : getProviderName();
+  const driver = DRIVERS[providerName];
+  if (!driver.isConfigured()) {
+    const e = new Error(`AI provider "${providerName}" is not configured (API key missing)`);
+    e.status = 500;
+    throw e;
+  }
+  const resolvedModel = driver.resolveModel(model);
+  const maxRetries = Math.max(0, parseInt(process.env.AI_MAX_RETRIES ?? '2', 10) || 0);
+  const attemptTimeoutMs = timeoutMs || parseInt(process.env.AI_TIMEOUT_MS || '30000', 10);
+
+  let lastError;
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      // Normalized inside the queued job so aiQueue stats see usage.total_tokens
+      const run = async () => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), attemptTimeoutMs);
+        let result;
+        try {
+          result = await driver.chat({
+            model: resolvedModel,
+            messages,
+            json,
+            temperature,
+            maxTokens,
+            signal: controller.signal,
+          });
+        } finally {
+          clearTimeout(timer);
+        }
+
+        return {
+          content: result.content,
+          model: result.model || resolvedModel,
+          provider: providerName,
+          usage: {
+            prompt_tokens: result.promptTokens,
+            completion_tokens: result.completionTokens,
+            total_tokens: result.promptTokens + result.completionTokens,
+            total_cost: result.costUsd ?? estimateCostUsd(resolvedModel, result.promptTokens, result.completionTokens),
+            cost_estimated: result.costUsd == null,
+          },
+        };
+      };
+      const result = queue
+        ? await enqueue(run, priority, { model: resolvedModel, provider: providerName, messageCount: messages.length })
+        : await run();
+      // Reported from the caller's side - aiQueue runs jobs outside the caller's async context
+      recordProviderCall(result);
+      return result;
+    } catch (err) {
+      lastError = err;
+      if (attempt >= maxRetries || !isRetryable(err)) break;
+      const delay = 500 * 2 ** attempt;
+      console.warn(`[AI-PROVIDER] ${providerName} attempt ${attempt + 1} failed (${err.status || err.name}): retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  console.error(`[AI-PROVIDER] ${providerName} call failed:`, lastError?.message);
+  throw lastError;
+}
+
+/**
+ * chatCompletion() in JSON mode with the answer parsed.
+ * @returns {Promise<{content: any, raw: string, usage: object, model: string, provider: string}>}
+ */
+export async function chatJSON(params) {
+  const result = await chatCompletion({ ...params, json: true });
+  return { ...result, raw: result.content, content: parseJsonContent(result.content) };
+}
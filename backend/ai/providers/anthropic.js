@@ -0,0 +1,70 @@
+// backend/ai/providers/anthropic.js
+// Direct Anthropic driver (Messages API).
+
+const DEFAULT_MODEL = process.env.AI_ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+
+export const name = 'anthropic';
+
+export function isConfigured() {
+  return !!process.env.ANTHROPIC_API_KEY;
+}
+
+// "anthropic/claude-3.5-sonnet" -> "claude-3-5-sonnet-latest"; ids with a date suffix are kept
+export function resolveModel(model) {
+  const [vendor, id] = String(model || '').split('/');
+  if (vendor !== 'anthropic' || !id) return DEFAULT_MODEL;
+  const normalized = id.replace(/(\d)\.(\d)/g, '$1-$2');
+  return /-\d{8}$|-latest$/.test(normalized) ? normalized : `${normalized}-latest`;
+}
+
+export async function chat({ model, messages, json, temperature, maxTokens, signal }) {
+  const apiKey = process.env.ANTHROPIC_API_KEY || '';
+  const baseUrl = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1';
+  if (!apiKey) {
+    const e = new Error('Anthropic API key missing');
+    e.status = 500;
+    throw e;
+  }
+
+  // The Messages API takes the system prompt separately and has no JSON mode
+  const system = messages.filter(m => m.role === 'system').map(m => m.content);
+  if (json) system.push('Respond with a single valid JSON object only, without markdown fences or commentary.');
+  const turns = messages
+    .filter(m => m.role !== 'system')
+    .map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content }));
+
+  const rsp = await fetch(`${baseUrl}/messages`, {
+    method: 'POST',
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      model,
+      system: system.join('\n\n') || undefined,
+      messages: turns,
+      temperature,
+      max_tokens: maxTokens || 4096,
+    }),
+    signal,
+  });
+
+  if (!rsp.ok) {
+    const text = await rsp.text().catch(() => '');
+    const e = new Error(`Anthropic ${rsp.status}: ${text || rsp.statusText}`);
+    e.status = rsp.status;
+    throw e;
+  }
+
+  const j = await rsp.json();
+  const usage = j?.usage || {};
+
+  return {
+    content: (j?.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+    model: j?.model || model,
+    promptTokens: usage.input_tokens || 0,
+    completionTokens: usage.output_tokens || 0,
+    costUsd: null,
+  };
+}
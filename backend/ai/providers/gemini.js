@@ -0,0 +1,68 @@
+// backend/ai/providers/gemini.js
+// Direct Google Gemini driver (Generative Language API, generateContent).
+
+const DEFAULT_MODEL = process.env.AI_GEMINI_MODEL || 'gemini-2.5-flash-lite';
+
+export const name = 'gemini';
+
+export function isConfigured() {
+  return !!(process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY);
+}
+
+// "google/gemini-2.5-flash-lite" -> "gemini-2.5-flash-lite"; models of other vendors fall back to the default
+export function resolveModel(model) {
+  const [vendor, id] = String(model || '').split('/');
+  if (vendor === 'google' && id) return id;
+  return DEFAULT_MODEL;
+}
+
+export async function chat({ model, messages, json, temperature, maxTokens, signal }) {
+  const apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || '';
+  const baseUrl = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta';
+  if (!apiKey) {
+    const e = new Error('Gemini API key missing');
+    e.status = 500;
+    throw e;
+  }
+
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const contents = messages
+    .filter(m => m.role !== 'system')
+    .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+
+  const rsp = await fetch(`${baseUrl}/models/${encodeURIComponent(model)}:generateContent`, {
+    method: 'POST',
+    headers: {
+      'x-goog-api-key': apiKey,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+      contents,
+      generationConfig: {
+        temperature,
+        ...(maxTokens ? { maxOutputTokens: maxTokens } : {}),
+        ...(json ? { responseMimeType: 'application/json' } : {}),
+      },
+    }),
+    signal,
+  });
+
+  if (!rsp.ok) {
+    const text = await rsp.text().catch(() => '');
+    const e = new Error(`Gemini ${rsp.status}: ${text || rsp.statusText}`);
+    e.status = rsp.status;
+    throw e;
+  }
+
+  const j = await rsp.json();
+  const usage = j?.usageMetadata || {};
+
+  return {
+    content: (j?.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join(''),
+    model: j?.modelVersion || model,
+    promptTokens: usage.promptTokenCount || 0,
+    completionTokens: usage.candidatesTokenCount || 0,
+    costUsd: null,
+  };
+}
@@ -0,0 +1,114 @@
+// backend/ai/providers/mock.js
+// Deterministic offline driver (AI_PROVIDER=mock). No network calls: the answer is
+// built from the prompt itself, so the same messages always give the same output.
+//
+// JSON mode fills every key the prompt asks for ("key": <example> templates and
+// 'keys "a" and "b"' instructions) with a value of the expected shape.
+
+export const name = 'mock';
+
+export function isConfigured() {
+  return true;
+}
+
+export function resolveModel(model) {
+  return `mock/${String(model || 'default').split('/').pop()}`;
+}
+
+// Keys with a known shape in our prompts (bullets/faq in SEO, faqs in schema, etc.)
+const ARRAY_KEYS = new Set(['bullets', 'faq', 'faqs', 'keywords', 'tags', 'reviews', 'features', 'benefits', 'questions', 'items', 'recommendations', 'products', 'useCases', 'use_cases']);
+const FAQ_KEYS = new Set(['faq', 'faqs', 'questions']);
+const BOOLEAN_KEYS = new Set(['translated']);
+
+function hash(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Best-effort product/store name to make the output readable
+function findSubject(text) {
+  const jsonTitle = text.match(/"(?:title|productTitle|name)"\s*:\s*"([^"]{2,80})"/);
+  if (jsonTitle) return jsonTitle[1];
+  const line = text.match(/^(?:Product|Store|Product Title|Title):\s*\**([^\n*]{2,80})/m);
+  if (line) return line[1].trim();
+  return 'this product';
+}
+
+/**
+ * Keys requested by the prompt, in order of first appearance, with the
+ * example value type when the prompt shows one.
+ */
+export function extractRequestedKeys(text) {
+  const keys = new Map();
+  const template = /"([A-Za-z_][\w]*)"\s*:\s*(\[|\{|"|-?\d|true|false|boolean|string|number)?/g;
+  let m;
+  while ((m = template.exec(text))) {
+    if (!keys.has(m[1])) keys.set(m[1], m[2] || null);
+  }
+  // Instructions like: Return ONLY a JSON object with exactly 2 keys: "bullets" and "faq"
+  for (const line of text.split('\n')) {
+    if (!/\bkeys?\b/i.test(line)) continue;
+    for (const q of line.matchAll(/"([A-Za-z_]\w*)"/g)) {
+      if (!keys.has(q[1])) keys.set(q[1], null);
+    }
+  }
+  return keys;
+}
+
+function mockValue(key, hint, subject, seed) {
+  const n = 3 + (seed % 3);
+  if (FAQ_KEYS.has(key)) {
+    return Array.from({ length: n }, (_, i) => ({
+      q: `What should I know about ${subject} (${i + 1})?`,
+      a: `${subject} is described in the store catalog. This is a mock answer ${i + 1}.`,
+    }));
+  }
+  if (key === 'bullets') {
+    return Array.from({ length: 5 }, (_, i) => `${subject} benefit ${i + 1}`);
+  }
+  if (ARRAY_KEYS.has(key) || hint === '[') {
+    return Array.from({ length: n }, (_, i) => `${key} ${i + 1} for ${subject}`);
+  }
+  if (BOOLEAN_KEYS.has(key) || hint === 'true' || hint === 'false' || hint === 'boolean') return false;
+  if (hint === 'number' || (hint && /^-?\d/.test(hint))) return 4 + (seed % 10) / 10;
+  if (hint === '{') return {};
+  if (key === 'altText') return `${subject}`.slice(0, 125);
+  if (key === 'title') return `${subject}`.slice(0, 70);
+  return `Mock ${key} for ${subject}`;
+}
+
+export function buildMockContent(messages, json) {
+  const text = messages.map(m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content))).join('\n');
+  const subject = findSubject(text);
+  const seed = hash(text);
+
+  if (!json) {
+    return `Mock response about ${subject}. Generated offline by the mock AI provider (ref ${seed.toString(16)}).`;
+  }
+
+  const out = {};
+  for (const [key, hint] of extractRequestedKeys(text)) {
+    out[key] = mockValue(key, hint, subject, seed);
+  }
+  if (Object.keys(out).length === 0) out.content = `Mock response about ${subject}.`;
+  return JSON.stringify(out);
+}
+
+export async function chat({ model, messages, json }) {
+  const content = buildMockContent(messages, json);
+  return {
+    content,
+    model,
+    promptTokens: estimateTokens(messages.map(m => m.content).join('\n')),
+    completionTokens: estimateTokens(content),
+    costUsd: 0,
+  };
+}
@@ -0,0 +1,63 @@
+// backend/ai/providers/openai.js
+// Direct OpenAI driver (Chat Completions API).
+
+const DEFAULT_MODEL = process.env.AI_OPENAI_MODEL || 'gpt-4o-mini';
+
+export const name = 'openai';
+
+export function isConfigured() {
+  return !!process.env.OPENAI_API_KEY;
+}
+
+// "openai/gpt-4o-mini" -> "gpt-4o-mini"; models of other vendors fall back to the default
+export function resolveModel(model) {
+  const [vendor, id] = String(model || '').split('/');
+  if (id && vendor === 'openai') return id;
+  if (!id && vendor) return vendor;
+  return DEFAULT_MODEL;
+}
+
+export async function chat({ model, messages, json, temperature, maxTokens, signal }) {
+  const apiKey = process.env.OPENAI_API_KEY || '';
+  const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+  if (!apiKey) {
+    const e = new Error('OpenAI API key missing');
+    e.status = 500;
+    throw e;
+  }
+
+  const rsp = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      // o-series reasoning models reject a custom temperature
+      ...(/^o\d/.test(model) ? {} : { temperature }),
+      ...(maxTokens ? { max_completion_tokens: maxTokens } : {}),
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+    }),
+    signal,
+  });
+
+  if (!rsp.ok) {
+    const text = await rsp.text().catch(() => '');
+    const e = new Error(`OpenAI ${rsp.status}: ${text || rsp.statusText}`);
+    e.status = rsp.status;
+    throw e;
+  }
+
+  const j = await rsp.json();
+  const usage = j?.usage || {};
+
+  return {
+    content: j?.choices?.[0]?.message?.content || '',
+    model: j?.model || model,
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    costUsd: null,
+  };
+}
@@ -0,0 +1,68 @@
+// backend/ai/providers/openrouter.js
+// OpenRouter driver (OpenAI-compatible chat completions, all vendors behind one key).
+
+const DEFAULT_MODEL = 'google/gemini-2.5-flash-lite';
+
+export const name = 'openrouter';
+
+export function isConfigured() {
+  return !!process.env.OPENROUTER_API_KEY;
+}
+
+// OpenRouter takes the "vendor/model" ids we store everywhere as-is
+export function resolveModel(model) {
+  return model || DEFAULT_MODEL;
+}
+
+export async function chat({ model, messages, json, temperature, maxTokens, signal }) {
+  const apiKey = process.env.OPENROUTER_API_KEY || '';
+  const baseUrl = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
+  if (!apiKey) {
+    const e = new Error('OpenRouter API key missing');
+    e.status = 500;
+    throw e;
+  }
+
+  const rsp = await fetch(`${baseUrl.replace(/\/chat\/completions\/?$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+      'HTTP-Referer': process.env.OPENROUTER_SITE_URL || process.env.APP_URL || 'https://indexaize.com',
+      'X-Title': 'indexAIze - AI Discovery & SEO',
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature,
+      ...(maxTokens ? { max_tokens: maxTokens } : {}),
+      ...(json ? { response_format: { type: 'json_object' } } : {}),
+      usage: { include: true }, // ask OpenRouter to report the USD cost
+    }),
+    signal,
+  });
+
+  if (!rsp.ok) {
+    const text = await rsp.text().catch(() => '');
+    const e = new Error(`OpenRouter ${rsp.status}: ${text || rsp.statusText}`);
+    e.status = rsp.status;
+    throw e;
+  }
+
+  const j = await rsp.json();
+  const message = j?.choices?.[0]?.message || {};
+  const usage = j?.usage || {};
+
+  // Thinking models return [{ type: 'thinking' }, { type: 'text', text }] instead of a string
+  const content = Array.isArray(message.content)
+    ? message.content.filter(part => part.type === 'text' && part.text).map(part => part.text).join('\n\n')
+    : message.content;
+
+  return {
+    content: content || message.tool_calls?.[0]?.function?.arguments || '',
+    model: j?.model || model,
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    costUsd: usage.cost ?? usage.total_cost ?? null,
+  };
+}
@@ -42,7 +42,8 @@ const REQUIRED_SCOPES = [
   'read_markets',
   'read_orders',
   'write_pixels',
-  'read_customer_events'
+  'read_customer_events',
+  'write_online_store_navigation'
 ];
 
 // Validate required environment variables
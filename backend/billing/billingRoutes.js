@@ -24,6 +24,14 @@ import {
   cancelSubscription 
 } from './shopifyBilling.js';
 import { verifyRequest } from '../middleware/verifyRequest.js';
+import {
+  buildLedgerFilter,
+  queryLedger,
+  exportLedger,
+  ledgerToCsv,
+  summarizeLedgerJobs
+} from '../services/tokenLedger.js';
+import { getSpendingStatus, checkSpendingCaps, spendingCapResponse } from '../utils/spendingCaps.js';
 
 const router = express.Router();
 
@@ -1339,6 +1347,120 @@ router.get('/history', verifyRequest, async (req, res) => {
   }
 });
 
+/**
+ * Token ledger (every reserve / finalize / refund / purchase / included grant)
+ * GET /api/billing/ledger?shop={shop}&type=finalize,refund&feature=&jobId=&from=&to=&page=1&limit=50
+ * format=csv | json returns the whole filtered ledger as a download (capped, see LEDGER_EXPORT_LIMIT)
+ */
+router.get('/ledger', verifyRequest, async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const filter = buildLedgerFilter(shop, req.query);
+    const format = String(req.query.format || '').toLowerCase();
+
+    if (format === 'csv' || format === 'json') {
+      const entries = await exportLedger(filter);
+      const filename = `token-ledger-${shop.replace(/\.myshopify\.com$/, '')}-${new Date().toISOString().split('T')[0]}.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      if (format === 'csv') {
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        return res.send(ledgerToCsv(entries));
+      }
+      return res.json({ shop, exportedAt: new Date(), entries });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(await queryLedger(filter, { page: req.query.page, limit: req.query.limit }));
+  } catch (error) {
+    console.error('[Billing] Error getting token ledger:', error);
+    res.status(500).json({ error: 'Failed to get token ledger' });
+  }
+});
+
+/**
+ * Token usage per job (background jobs by job id, single requests by reservation)
+ * GET /api/billing/ledger/jobs?shop={shop}&feature=&from=&to=&page=1&limit=20
+ */
+router.get('/ledger/jobs', verifyRequest, async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const filter = buildLedgerFilter(shop, { ...req.query, type: undefined });
+    res.set('Cache-Control', 'no-store');
+    res.json(await summarizeLedgerJobs(filter, { page: req.query.page, limit: req.query.limit }));
+  } catch (error) {
+    console.error('[Billing] Error getting ledger jobs:', error);
+    res.status(500).json({ error: 'Failed to get token usage per job' });
+  }
+});
+
+/**
+ * Spending limits and where the shop stands against them this month
+ * GET /api/billing/spending?shop={shop}
+ */
+router.get('/spending', verifyRequest, async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const tokenBalance = await TokenBalance.findOne({ shop }).lean();
+    res.set('Cache-Control', 'no-store');
+    res.json(getSpendingStatus(tokenBalance));
+  } catch (error) {
+    console.error('[Billing] Error getting spending status:', error);
+    res.status(500).json({ error: 'Failed to get spending status' });
+  }
+});
+
+/**
+ * Update spending limits
+ * POST /api/billing/spending
+ * Body: { monthlyBudget, maxPerJob, lowBalanceThreshold } (tokens, null = off), alertPercent (1-100), emailAlerts
+ */
+router.post('/spending', verifyRequest, async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const body = req.body || {};
+    const updates = {};
+
+    for (const field of ['monthlyBudget', 'maxPerJob', 'lowBalanceThreshold']) {
+      if (!(field in body)) continue;
+      if (body[field] === null || body[field] === '') {
+        updates[field] = null;
+        continue;
+      }
+      const value = Number(body[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        return res.status(400).json({ error: `${field} must be a non-negative number or null` });
+      }
+      updates[field] = Math.floor(value) || null;
+    }
+    if ('alertPercent' in body) {
+      const value = Number(body.alertPercent);
+      if (!Number.isFinite(value) || value < 1 || value > 100) {
+        return res.status(400).json({ error: 'alertPercent must be between 1 and 100' });
+      }
+      updates.alertPercent = value;
+    }
+    if ('emailAlerts' in body) {
+      if (typeof body.emailAlerts !== 'boolean') {
+        return res.status(400).json({ error: 'emailAlerts must be true or false' });
+      }
+      updates.emailAlerts = body.emailAlerts;
+    }
+
+    const tokenBalance = await TokenBalance.getOrCreate(shop);
+    for (const [field, value] of Object.entries(updates)) {
+      tokenBalance.set(`spendingLimits.${field}`, value);
+    }
+    // New limits start a fresh round of alerts
+    if (Object.keys(updates).length) tokenBalance.spendingAlerts = [];
+    await tokenBalance.save();
+
+    res.json(getSpendingStatus(tokenBalance));
+  } catch (error) {
+    console.error('[Billing] Error updating spending limits:', error);
+    res.status(500).json({ error: 'Failed to update spending limits' });
+  }
+});
+
 /**
  * Check feature access (trial + token validation)
  * POST /api/billing/check-feature-access
@@ -1394,6 +1516,11 @@ router.post('/check-feature-access', verifyRequest, async (req, res) => {
       });
     }
     
+    const capViolation = checkSpendingCaps(tokenBalance, requiredTokens);
+    if (capViolation) {
+      return res.status(402).json(spendingCapResponse(capViolation, feature));
+    }
+    
     // All checks passed
     res.json({
       allowed: true,
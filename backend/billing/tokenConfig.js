@@ -77,6 +77,18 @@ export const TOKEN_COSTS = {
     description: 'AI SEO optimization for collection'
   },
   
+  'ai-seo-article': {
+    base: 2500,           // Article body in, title + meta + excerpt + FAQ out
+    perLanguage: 2000,
+    description: 'AI SEO optimization for blog article'
+  },
+  
+  'ai-seo-page': {
+    base: 2000,           // Pages are usually shorter than articles
+    perLanguage: 1500,
+    description: 'AI SEO optimization for store page'
+  },
+  
   'ai-testing-simulation': {
     base: 500,            // Simple simulation
     description: 'AI testing and simulation'
@@ -99,6 +111,18 @@ export const TOKEN_COSTS = {
     description: 'AI-optimized sitemap generation'
   },
 
+  'ai-translation-product': {
+    base: 3000,           // title + body + SEO fields + handle in, the same out (one locale)
+    perLanguage: 3000,
+    description: 'AI translation of product content into a store language'
+  },
+
+  'ai-image-alt': {
+    base: 800,            // one call per product and language: product context in, one alt per image out
+    perLanguage: 800,
+    description: 'AI alt text for product images'
+  },
+
   'mcp-ask-question': {
     base: 5000,           // ~3000-4000 input (store context + question) + ~500-800 output
     description: 'MCP RAG Q&A - AI-powered answer based on store catalog'
@@ -162,10 +186,14 @@ export function getIncludedTokens(plan) {
 export const TOKEN_REQUIRED_FEATURES = [
   'ai-seo-product-enhanced',   // Requires tokens (bullets/FAQ)
   'ai-seo-collection',          // Requires tokens
+  'ai-seo-article',             // Requires tokens
+  'ai-seo-page',                // Requires tokens
   'ai-testing-simulation',      // Requires tokens
   'ai-testing-validation',      // Requires tokens
   'ai-schema-advanced',         // Requires tokens
   'ai-sitemap-optimized',       // Requires tokens
+  'ai-translation-product',     // Requires tokens (translate then optimize)
+  'ai-image-alt',               // Requires tokens (alt text batch)
   'mcp-ask-question'            // Requires tokens (MCP RAG Q&A)
 ];
 
@@ -174,10 +202,14 @@ export const TOKEN_REQUIRED_FEATURES = [
 export const TRIAL_BLOCKED_FEATURES = [
   'ai-seo-product-enhanced',   // Blocked in trial
   'ai-seo-collection',          // Blocked in trial
+  'ai-seo-article',             // Blocked in trial
+  'ai-seo-page',                // Blocked in trial
   'ai-testing-simulation',      // Blocked in trial
   'ai-testing-validation',      // Blocked in trial
   'ai-schema-advanced',         // Blocked in trial
-  'ai-sitemap-optimized'        // Blocked in trial
+  'ai-sitemap-optimized',       // Blocked in trial
+  'ai-translation-product',     // Blocked in trial
+  'ai-image-alt'                // Blocked in trial
 ];
 
 // Check if feature requires tokens
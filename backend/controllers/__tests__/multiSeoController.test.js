@@ -0,0 +1,98 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const state = vi.hoisted(() => ({ tokenBalance: null, storeLanguages: [] }));
+
+vi.mock('../../middleware/shopifyAuth.js', () => ({
+  validateRequest: () => (req, res, next) => next()
+}));
+vi.mock('../../services/seoJobQueue.js', () => ({
+  default: { addJob: vi.fn(async () => ({ queued: true, jobId: 'job-1' })) }
+}));
+vi.mock('../../db/Shop.js', () => ({
+  default: { findOne: () => ({ select: () => ({ lean: async () => ({ storeLanguages: state.storeLanguages }) }) }) }
+}));
+vi.mock('../../db/Subscription.js', () => ({
+  default: { findOne: async () => ({ plan: 'enterprise' }) }
+}));
+vi.mock('../../db/TokenBalance.js', () => ({
+  default: { getOrCreate: vi.fn(async () => state.tokenBalance) }
+}));
+
+const { default: router } = await import('../multiSeoController.js');
+const { default: seoJobQueue } = await import('../../services/seoJobQueue.js');
+const { estimateTokensWithMargin } = await import('../../billing/tokenConfig.js');
+
+const perTranslation = estimateTokensWithMargin('ai-translation-product', { languages: 1 }).withMargin;
+
+const batchHandler = router.stack
+  .find(layer => layer.route?.path === '/generate-apply-batch')
+  .route.stack.at(-1).handle;
+
+function tokenBalance({ balance = 1000000, spendingLimits = {}, spent = 0 } = {}) {
+  return {
+    balance,
+    spendingLimits,
+    monthlySpend: { period: new Date().toISOString().slice(0, 7), tokens: spent },
+    usage: [],
+    hasBalance(n) { return this.balance >= n; }
+  };
+}
+
+async function postBatch(body) {
+  const req = { query: {}, body: { shop: 'demo.myshopify.com', model: 'm', ...body }, shopDomain: 'demo.myshopify.com' };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  await batchHandler(req, res);
+  return res;
+}
+
+const products = (count, languages) =>
+  Array.from({ length: count }, (_, i) => ({ productId: String(i + 1), languages, existingLanguages: [] }));
+
+describe('POST /generate-apply-batch spending checks', () => {
+  beforeEach(() => {
+    seoJobQueue.addJob.mockClear();
+    state.storeLanguages = [{ locale: 'en', primary: true }, { locale: 'de' }, { locale: 'fr' }];
+  });
+
+  it('refuses a translate batch over the per-job cap before creating a job', async () => {
+    state.tokenBalance = tokenBalance({ spendingLimits: { maxPerJob: 50000 } });
+    const res = await postBatch({ products: products(100, ['en', 'de']), translateMissing: true });
+
+    expect(res.statusCode).toBe(402);
+    expect(res.body).toMatchObject({ spendingCap: true, capType: 'job-limit', feature: 'ai-translation-product' });
+    // The primary locale is never translated: 100 products x 1 locale
+    expect(res.body.tokensRequired).toBe(100 * perTranslation);
+    expect(seoJobQueue.addJob).not.toHaveBeenCalled();
+  });
+
+  it('refuses a batch that would exceed the monthly budget', async () => {
+    state.tokenBalance = tokenBalance({ spendingLimits: { monthlyBudget: 100000 }, spent: 90000 });
+    const res = await postBatch({ products: products(5, ['de', 'fr']), translateMissing: true });
+
+    expect(res.statusCode).toBe(402);
+    expect(res.body.capType).toBe('monthly-budget');
+    expect(seoJobQueue.addJob).not.toHaveBeenCalled();
+  });
+
+  it('refuses a batch the balance cannot cover', async () => {
+    state.tokenBalance = tokenBalance({ balance: 5000 });
+    const res = await postBatch({ products: products(3, ['de']), translateMissing: true });
+
+    expect(res.statusCode).toBe(402);
+    expect(res.body).toMatchObject({ requiresPurchase: true, tokensRequired: 3 * perTranslation });
+    expect(seoJobQueue.addJob).not.toHaveBeenCalled();
+  });
+
+  it('queues batches that fit, and basic generation without translation', async () => {
+    state.tokenBalance = tokenBalance({ spendingLimits: { maxPerJob: 50000 } });
+    expect((await postBatch({ products: products(10, ['en', 'de']), translateMissing: true })).body.queued).toBe(true);
+
+    state.tokenBalance = tokenBalance({ balance: 0, spendingLimits: { monthlyBudget: 1 }, spent: 5 });
+    expect((await postBatch({ products: products(500, ['en', 'de']) })).body.queued).toBe(true);
+    expect(seoJobQueue.addJob).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// The Shopify API library refuses to load without app credentials
+vi.mock('../../utils/shopifyApi.js', () => ({ default: {}, fetchProducts: vi.fn() }));
+vi.mock('../../middleware/shopifyAuth.js', () => {
+  const passthrough = () => (req, res, next) => next();
+  return {
+    authBegin: passthrough,
+    authCallback: passthrough,
+    ensureInstalledOnShop: passthrough,
+    validateSession: passthrough,
+    validateEmbeddedSession: passthrough,
+    validateRequest: passthrough
+  };
+});
+vi.mock('../../utils/tokenResolver.js', () => ({
+  resolveShopToken: async () => 'token',
+  resolveAdminToken: async () => 'token',
+  resolveAdminTokenForShop: async () => 'token'
+}));
+vi.mock('../../utils/promptTemplate.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  getShopPromptTemplate: async () => ({ neverUse: ['cheap', 'best ever'] })
+}));
+
+const { generateSEOForLanguage } = await import('../seoController.js');
+
+const product = {
+  id: 'gid://shopify/Product/1',
+  title: 'Cheap Ceramic Mug',
+  handle: 'cheap-ceramic-mug',
+  descriptionHtml: '<p class="cheap">The best ever mug for coffee.</p><ul><li>Cheap to run</li><li>Dishwasher safe</li></ul>',
+  productType: 'Mug',
+  vendor: 'Clayworks',
+  tags: [],
+  seo: { title: '', description: '' },
+  featuredImage: null,
+  images: { edges: [] },
+  priceRange: {
+    minVariantPrice: { amount: '12.00', currencyCode: 'USD' },
+    maxVariantPrice: { amount: '12.00', currencyCode: 'USD' }
+  },
+  variants: { edges: [] },
+  metafields: { edges: [] },
+  onlineStoreUrl: null
+};
+
+function graphqlResponse(body) {
+  const { query } = JSON.parse(body);
+  if (query.includes('ShopLocales')) return { shopLocales: [{ locale: 'en', primary: true, published: true }] };
+  if (query.includes('GetProduct')) return { product };
+  return {};
+}
+
+describe('generateSEOForLanguage', () => {
+  beforeEach(() => {
+    vi.stubGlobal('fetch', vi.fn(async (url, init) => ({
+      ok: true,
+      status: 200,
+      json: async () => ({ data: graphqlResponse(init.body) })
+    })));
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('keeps the merchant\'s own copy and markup as written, never-use phrases included', async () => {
+    const req = { headers: {}, query: {}, body: {} };
+    const { seo } = await generateSEOForLanguage(req, 'demo.myshopify.com', product.id, 'none', 'en');
+
+    expect(seo.title).toBe('Cheap Ceramic Mug');
+    expect(seo.bodyHtml).toBe(product.descriptionHtml);
+    expect(seo.metaDescription).toContain('The best ever mug for coffee.');
+    expect(seo.bullets).toEqual(['Cheap to run', 'Dishwasher safe']);
+    expect(seo.slug).toBe('cheap-ceramic-mug');
+  });
+});
@@ -9,6 +9,8 @@ import Shop from '../db/Shop.js'; // За access token
 import TokenBalance from '../db/TokenBalance.js';
 import fetch from 'node-fetch';
 import { validateAIResponse } from '../utils/aiValidator.js';
+import { chatJSON } from '../ai/provider.js';
+import { getShopPromptTemplate, withPromptTemplate, scrubNeverUsePhrases } from '../utils/promptTemplate.js';
 import { extractFactualAttributes } from '../utils/factualExtractor.js';
 import { 
   estimateTokensWithMargin, 
@@ -16,14 +18,14 @@ import {
   requiresTokens
 } from '../billing/tokenConfig.js';
 import { updateOptimizationSummary } from '../utils/optimizationSummary.js';
+import { loadProductReviewData } from '../services/productReviews.js';
+import { buildReviewJsonLd } from '../utils/reviewSources.js';
 
 const router = express.Router();
 const APP_PROXY_SUBPATH = process.env.APP_PROXY_SUBPATH || 'indexaize';
 
 // Constants
 const AI_MODEL = 'google/gemini-2.5-flash-lite'; // Важно: flash-lite, не flash
-const OPENROUTER_BASE_URL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || '';
 
 // Global state tracking for schema generation
 const generationStatus = new Map(); // shop -> { generating: boolean, progress: string, currentProduct: string }
@@ -377,80 +379,26 @@ const FAQ_FALLBACKS = {
   privacy: "Our privacy policy details how we collect, use, and protect your personal information. You can find it linked in our website footer."
 };
 
-// Helper за OpenRouter API calls
-async function generateWithAI(prompt, systemPrompt) {
+// Helper за AI calls (configured provider, JSON mode)
+// With { shop } the shop's brand voice template is added to the system prompt
+async function generateWithAI(prompt, systemPrompt, { shop = null, language = null } = {}) {
   try {
-    console.log('[SCHEMA] 🤖 Calling AI (OpenRouter/Gemini)...');
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 30000);
-    let response;
-    try {
-      response = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-          'Content-Type': 'application/json',
-          'HTTP-Referer': process.env.OPENROUTER_SITE_URL || process.env.APP_URL || 'https://indexaize.com',
-          'X-Title': 'indexAIze - AI Discovery & SEO',
-        },
-        body: JSON.stringify({
-          model: AI_MODEL,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: prompt }
-          ],
-          temperature: 0.3,
-          response_format: { type: 'json_object' }
-        }),
-        signal: controller.signal,
-      });
-    } finally {
-      clearTimeout(timeout);
-    }
-    
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`OpenRouter error: ${error}`);
-    }
-    
-    const data = await response.json();
-    const rawContent = data.choices?.[0]?.message?.content || '';
-    const usage = data.usage || {};
-    
-    if (!rawContent || !rawContent.trim()) {
-      throw new Error('AI returned empty response');
-    }
+    console.log('[SCHEMA] 🤖 Calling AI...');
+    const promptTemplate = shop ? await getShopPromptTemplate(shop) : null;
+    const result = await chatJSON({
+      model: AI_MODEL,
+      messages: withPromptTemplate([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ], promptTemplate, language),
+      temperature: 0.3
+    });
+    const { usage, provider } = result;
+    const content = scrubNeverUsePhrases(result.content, promptTemplate);
 
-    let content;
-    try {
-      content = JSON.parse(rawContent);
-    } catch (parseErr) {
-      // Try to extract JSON from markdown fences or fix truncated JSON
-      const jsonMatch = rawContent.match(/```(?:json)?\s*([\s\S]*?)```/) || rawContent.match(/(\{[\s\S]*\})/);
-      if (jsonMatch) {
-        try {
-          content = JSON.parse(jsonMatch[1].trim());
-        } catch {
-          console.error('[SCHEMA] Could not parse extracted JSON, raw length:', rawContent.length);
-          throw parseErr;
-        }
-      } else {
-        console.error('[SCHEMA] No JSON found in AI response, raw length:', rawContent.length, 'first 200 chars:', rawContent.substring(0, 200));
-        throw parseErr;
-      }
-    }
-    
-    console.log(`[SCHEMA] ✅ AI response received: ${usage.total_tokens || 0} tokens`);
-    
-    return {
-      content,
-      usage: {
-        prompt_tokens: usage.prompt_tokens || 0,
-        completion_tokens: usage.completion_tokens || 0,
-        total_tokens: (usage.prompt_tokens || 0) + (usage.completion_tokens || 0),
-        total_cost: usage.total_cost || null
-      }
-    };
+    console.log(`[SCHEMA] ✅ AI response received (${provider}): ${usage.total_tokens || 0} tokens`);
+
+    return { content, usage };
   } catch (error) {
     console.error('[SCHEMA] ❌ AI generation error:', error);
     throw error;
@@ -520,7 +468,7 @@ const RICH_ATTRIBUTES_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
     category: false,
     audience: false,
     reviews: false,
-    ratings: false, // DISABLED: app-generated ratings are AI-fabricated. Real ratings come from Judge.me.
+    ratings: false, // From reviews.rating metafields / imported reviews only (never generated)
     enhancedDescription: false,
     organization: false
   };
@@ -531,7 +479,7 @@ const RICH_ATTRIBUTES_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 }
 
 // Generate enhanced product description using AI
-async function generateEnhancedDescription(product, seoData, language) {
+async function generateEnhancedDescription(product, seoData, language, shop = null) {
   const systemPrompt = `You are an expert e-commerce copywriter specializing in SEO-optimized product descriptions. Generate compelling, factual descriptions that convert browsers into buyers while maintaining authenticity and avoiding AI detection patterns.`;
 
   const prompt = `Product: ${product.title}
@@ -561,7 +509,7 @@ Writing style guidelines:
 Return only the enhanced description text, no additional formatting.`;
 
   try {
-    const result = await generateWithAI(prompt, systemPrompt);
+    const result = await generateWithAI(prompt, systemPrompt, { shop, language });
     const content = result.content;
     const usage = result.usage;
     return { description: content.description || content, usage };
@@ -571,141 +519,6 @@ Return only the enhanced description text, no additional formatting.`;
   }
 }
 
-// Generate Review schemas using AI
-async function generateReviewSchemas(product, seoData, language) {
-  const systemPrompt = `You are an expert at generating realistic, human-like product reviews for e-commerce. Generate 3-5 diverse, authentic-sounding reviews that feel like real customer experiences. Each review should have natural language patterns, minor imperfections, and genuine emotions.`;
-
-  const prompt = `Product: ${product.title}
-Description: ${seoData.metaDescription || product.description || 'No description available'}
-Product Type: ${product.productType || 'General product'}
-Language: ${language}
-Key Features: ${seoData.bullets ? seoData.bullets.join(', ') : 'Standard features'}
-
-Generate 3-5 realistic product reviews that feel human and authentic. Each review should:
-1. Use natural, conversational language with minor imperfections
-2. Include specific details about the product experience
-3. Have varied lengths and writing styles
-4. Include both positive and minor negative aspects
-5. Use realistic customer names from the target language region
-6. Have star ratings between 3-5 (mostly 4-5 stars)
-7. Include dates from the past 6 months
-
-Make the reviews feel genuine with:
-- Natural speech patterns and contractions
-- Specific product details and usage scenarios
-- Emotional responses and personal experiences
-- Minor complaints or suggestions for improvement
-- Varied sentence structures and vocabulary
-
-Return as JSON array with format:
-[
-  {
-    "author": "Realistic Customer Name",
-    "rating": 4,
-    "reviewBody": "Natural, conversational review text with specific details and emotions",
-    "datePublished": "2024-01-15"
-  }
-]`;
-
-  try {
-    const result = await generateWithAI(prompt, systemPrompt);
-    const content = result.content;
-    const usage = result.usage;
-    const reviews = Array.isArray(content) ? content : content.reviews || [];
-    
-    const schemas = reviews.map(review => ({
-      "@context": "https://schema.org",
-      "@type": "Review",
-      "itemReviewed": {
-        "@type": "Product",
-        "name": product.title
-      },
-      "author": {
-        "@type": "Person",
-        "name": review.author || "Customer"
-      },
-      "reviewRating": {
-        "@type": "Rating",
-        "ratingValue": review.rating || 4,
-        "bestRating": 5
-      },
-      "reviewBody": review.reviewBody || "Great product!",
-      "datePublished": review.datePublished || new Date().toISOString().split('T')[0]
-    }));
-    
-    return { schemas, usage };
-  } catch (error) {
-    console.error('[SCHEMA] Review generation failed:', error);
-    return { schemas: [], usage: null };
-  }
-}
-
-// Generate Rating schemas using AI
-async function generateRatingSchemas(product, seoData, language) {
-  const systemPrompt = `You are an expert at generating realistic product ratings and aggregate rating data for e-commerce. Generate authentic rating statistics that would be typical for this type of product, considering its features, price point, and target market.`;
-
-  const prompt = `Product: ${product.title}
-Description: ${seoData.metaDescription || product.description || 'No description available'}
-Product Type: ${product.productType || 'General product'}
-Language: ${language}
-Key Features: ${seoData.bullets ? seoData.bullets.join(', ') : 'Standard features'}
-
-Generate realistic rating statistics that feel authentic for this product type. Consider:
-1. Product quality and features mentioned
-2. Typical customer satisfaction for this product category
-3. Price point and value perception
-4. Target market and user expectations
-
-Generate realistic rating statistics including:
-1. Average rating (3.2-4.8, with most products being 3.8-4.5)
-2. Total number of reviews (20-300, depending on product popularity)
-3. Natural rating distribution (not too perfect, include some variation)
-
-Make the statistics feel realistic:
-- Avoid perfect distributions (like 100% 5-star reviews)
-- Include some 1-2 star reviews for authenticity
-- Consider product type (electronics vs clothing vs accessories)
-- Vary review counts based on product popularity
-
-Return as JSON:
-{
-  "ratingValue": 4.2,
-  "reviewCount": 127,
-  "ratingDistribution": {
-    "5": 45,
-    "4": 38,
-    "3": 25,
-    "2": 12,
-    "1": 7
-  }
-}`;
-
-  try {
-    const result = await generateWithAI(prompt, systemPrompt);
-    const content = result.content;
-    const usage = result.usage;
-    const ratingData = content.ratingValue ? content : content.rating || {};
-    
-    const schemas = [{
-      "@context": "https://schema.org",
-      "@type": "AggregateRating",
-      "itemReviewed": {
-        "@type": "Product",
-        "name": product.title
-      },
-      "ratingValue": ratingData.ratingValue || 4.2,
-      "reviewCount": ratingData.reviewCount || 100,
-      "bestRating": 5,
-      "worstRating": 1
-    }];
-    
-    return { schemas, usage };
-  } catch (error) {
-    console.error('[SCHEMA] Rating generation failed:', error);
-    return { schemas: [], usage: null };
-  }
-}
-
 // Generate Organization schema using Store Metadata
 async function generateOrganizationSchema(product, shop, language) {
   try {
@@ -1011,7 +824,7 @@ For OTHER questions:
 - Make each answer feel personalized to ${shopContext.shop.name}`;
   
   try {
-    const result = await generateWithAI(prompt, systemPrompt);
+    const result = await generateWithAI(prompt, systemPrompt, { shop, language: primaryLanguage });
     
     // Extract content and usage
     const content = result.content;
@@ -1182,6 +995,8 @@ async function generateProductSchemas(shop, productDoc) {
             currencyCode
           }
         }
+        ratingMetafield: metafield(namespace: "reviews", key: "rating") { value }
+        ratingCountMetafield: metafield(namespace: "reviews", key: "rating_count") { value }
         metafields(first: 40) {
           edges {
             node {
@@ -1239,6 +1054,14 @@ async function generateProductSchemas(shop, productDoc) {
   }
   product._allMetafields = allMetafields;
 
+  // Real review data (rating metafields + imported reviews), shared by all languages
+  try {
+    product._reviewData = await loadProductReviewData(shop, product);
+  } catch (err) {
+    console.error('[SCHEMA] Failed to load review data:', err.message);
+    product._reviewData = null;
+  }
+
   // Extract and resolve taxonomy metafields for schema enrichment
   const rawTaxonomy = extractTaxonomyFromMetafields(allMetafields);
   if (Object.keys(rawTaxonomy).length > 0) {
@@ -1591,7 +1414,7 @@ async function generateLangSchemas(product, seoData, shop, language, shopName =
   // Add enhanced description if enabled
   if (richAttributesSettings.enhancedDescription) {
     try {
-      const result = await generateEnhancedDescription(product, seoData, language);
+      const result = await generateEnhancedDescription(product, seoData, language, shop);
       if (result.description) {
         productSchema.description = result.description;
       }
@@ -1609,46 +1432,16 @@ async function generateLangSchemas(product, seoData, shop, language, shopName =
     productSchema.additionalProperty = additionalProperties;
   }
   
-  baseSchemas.push(productSchema);
-
-  // Add Review schemas if enabled
-  if (richAttributesSettings.reviews) {
-    try {
-      const result = await generateReviewSchemas(product, seoData, language);
-      if (result.schemas) {
-        baseSchemas.push(...result.schemas);
-      }
-      if (result.usage) {
-        totalUsage.prompt_tokens += result.usage.prompt_tokens || 0;
-        totalUsage.completion_tokens += result.usage.completion_tokens || 0;
-        totalUsage.total_tokens += result.usage.total_tokens || 0;
-      }
-    } catch (error) {
-      console.error('[SCHEMA] Failed to generate review schemas:', error);
-    }
+  // Review / AggregateRating only from real data: reviews.rating metafields or imported reviews
+  // (ProductReview). Nothing is emitted when the product has no review data.
+  if ((richAttributesSettings.reviews || richAttributesSettings.ratings) && product._reviewData) {
+    Object.assign(productSchema, buildReviewJsonLd(product._reviewData, {
+      ratings: !!richAttributesSettings.ratings,
+      reviews: !!richAttributesSettings.reviews
+    }));
   }
 
-  // AggregateRating is intentionally NOT generated.
-  // generateRatingSchemas() fabricates ratings via AI (no real review source), which risks a
-  // Google manual action for fake reviews and would feed false data to AI crawlers. Real ratings
-  // come from Judge.me, which emits its own review schema. The `ratings` flag is force-ignored
-  // here regardless of persisted settings; re-enable only after wiring a REAL review source
-  // (e.g. shop.metafields.judgeme.*).
-  if (false && richAttributesSettings.ratings) {
-    try {
-      const result = await generateRatingSchemas(product, seoData, language);
-      if (result.schemas) {
-        baseSchemas.push(...result.schemas);
-      }
-      if (result.usage) {
-        totalUsage.prompt_tokens += result.usage.prompt_tokens || 0;
-        totalUsage.completion_tokens += result.usage.completion_tokens || 0;
-        totalUsage.total_tokens += result.usage.total_tokens || 0;
-      }
-    } catch (error) {
-      console.error('[SCHEMA] Failed to generate rating schemas:', error);
-    }
-  }
+  baseSchemas.push(productSchema);
 
   // NOTE: Organization schema is NO LONGER added here
   // Organization and WebSite schemas are now generated once as site-wide schemas
@@ -2399,6 +2192,12 @@ router.post('/generate-all', async (req, res) => {
           message: 'Purchase tokens to generate Advanced Schema Data'
         });
       }
+      
+      const { checkSpendingCaps, spendingCapResponse } = await import('../utils/spendingCaps.js');
+      const capViolation = checkSpendingCaps(tokenBalanceForCheck, tokenEstimate.withMargin);
+      if (capViolation) {
+        return res.status(402).json(spendingCapResponse(capViolation, 'ai-schema-advanced'));
+      }
     }
     
     // Get forceBasicSeo parameter from request body
@@ -2443,13 +2242,7 @@ router.post('/generate-all', async (req, res) => {
     
     // Add job to background queue
     const schemaQueue = (await import('../services/schemaQueue.js')).default;
-    const jobInfo = await schemaQueue.addJob(shop, async () => {
-      const result = await generateAllSchemas(shop, forceBasicSeo);
-      return {
-        schemaCount: result?.schemaCount || result?.schemas?.length || 0,
-        success: true
-      };
-    });
+    const jobInfo = await schemaQueue.addJob(shop, { forceBasicSeo });
     
     // Return immediately with queue info
     res.json({ 
@@ -2938,7 +2731,7 @@ router.get('/schema-sitemap.xml', async (req, res) => {
     // Use app proxy path for schema endpoint
     sitemap += `  <url>
     <loc>https://${shopDomain}/apps/${APP_PROXY_SUBPATH}/ai/product/${product.handle}/schemas.json?shop=${shop}</loc>
-    <lastmod>${new Date().toISOString()}</lastmod>
+    <lastmod>${new Date(product.updatedAt || product.syncedAt || Date.now()).toISOString()}</lastmod>
   </url>\n`;
   });
   
@@ -2983,5 +2776,5 @@ router.get('/debug-shop/:shop', async (req, res) => {
   }
 });
 
-export { installThemeSnippet };
+export { installThemeSnippet, generateAllSchemas };
 export default router;
@@ -4,6 +4,8 @@
 import express from 'express';
 import AIVisitLog from '../db/AIVisitLog.js';
 import Shop from '../db/Shop.js';
+import { VISIT_FILTERS, DEFAULT_VISIT_FILTER, verificationMatch } from '../utils/botVerification.js';
+import { getBotVerifierStatus } from '../services/botVerifier.js';
 
 const router = express.Router();
 
@@ -110,8 +112,9 @@ function getPreviousPeriodRange(period, currentSince) {
 }
 
 /**
- * GET /api/ai-analytics?shop=xxx&period=today|yesterday|7d|30d&compare=true
- * Returns aggregated AI traffic data for the dashboard
+ * GET /api/ai-analytics?shop=xxx&period=today|yesterday|7d|30d&compare=true&visits=all|exclude_spoofed|verified
+ * Returns aggregated AI traffic data for the dashboard.
+ * visits defaults to the shop's analyticsSettings.botVisits
  */
 router.get('/ai-analytics', async (req, res) => {
   try {
@@ -125,13 +128,19 @@ router.get('/ai-analytics', async (req, res) => {
     const { since, until, days } = getPeriodRange(period);
 
     const shopDomain = await resolveShopDomain(shop);
+    let visitFilter = req.query.visits;
+    if (!VISIT_FILTERS.includes(visitFilter)) {
+      const shopDoc = await Shop.findOne({ shop: shopDomain }).select('analyticsSettings').lean();
+      visitFilter = shopDoc?.analyticsSettings?.botVisits || DEFAULT_VISIT_FILTER;
+    }
 
     // Exclude direct browser visits and our own internal test requests from all metrics
     const botExclude = { $nin: ['Human/Unknown', 'indexAIze Test'] };
-    const botFilter = { shop: shopDomain, createdAt: { $gte: since, $lte: until }, botName: botExclude };
+    const periodFilter = { shop: shopDomain, createdAt: { $gte: since, $lte: until }, botName: botExclude };
+    const botFilter = { ...periodFilter, ...verificationMatch(visitFilter) };
 
     // Run all aggregations in parallel
-    const [totalVisits, dailyVisits, topBots, topEndpoints, recentVisits] = await Promise.all([
+    const [totalVisits, dailyVisits, topBots, topEndpoints, recentVisits, byVerification] = await Promise.all([
       // 1. Total visits count (bots only)
       AIVisitLog.countDocuments(botFilter),
 
@@ -190,10 +199,19 @@ router.get('/ai-analytics', async (req, res) => {
       AIVisitLog.find(botFilter)
         .sort({ createdAt: -1 })
         .limit(20)
-        .select('endpoint botName source statusCode responseTimeMs createdAt')
-        .lean()
+        .select('endpoint botName source statusCode responseTimeMs verification createdAt')
+        .lean(),
+
+      // 6. Verification mix across all bot visits, whatever the filter
+      AIVisitLog.aggregate([
+        { $match: periodFilter },
+        { $group: { _id: { $ifNull: ['$verification', 'unverified'] }, visits: { $sum: 1 } } }
+      ])
     ]);
 
+    const verification = { verified: 0, unverified: 0, spoofed: 0 };
+    for (const row of byVerification) verification[row._id] = (verification[row._id] || 0) + row.visits;
+
     // Calculate unique bots
     const uniqueBotsCount = topBots.length;
 
@@ -208,7 +226,8 @@ router.get('/ai-analytics', async (req, res) => {
     const previousVisits = await AIVisitLog.countDocuments({
       shop: shopDomain,
       createdAt: { $gte: prevRange.since, $lt: prevRange.until },
-      botName: botExclude
+      botName: botExclude,
+      ...verificationMatch(visitFilter)
     });
 
     const trend = previousVisits > 0
@@ -219,6 +238,8 @@ router.get('/ai-analytics', async (req, res) => {
     const response = {
       period,
       days,
+      visits: visitFilter,
+      verification,
       totalVisits,
       uniqueBots: uniqueBotsCount,
       trend,
@@ -234,7 +255,8 @@ router.get('/ai-analytics', async (req, res) => {
       const prevFilter = {
         shop: shopDomain,
         createdAt: { $gte: prevRange.since, $lt: prevRange.until },
-        botName: botExclude
+        botName: botExclude,
+        ...verificationMatch(visitFilter)
       };
 
       const [prevDaily, prevBots, prevEndpoints] = await Promise.all([
@@ -314,12 +336,14 @@ router.get('/ai-analytics/debug', async (req, res) => {
       totalRecordsAll: totalAll,
       totalRecordsForShop: totalForShop,
       distinctShops: shops,
+      botVerifier: getBotVerifierStatus(),
       recentAll: recentAll.map(r => ({
         shop: r.shop,
         endpoint: r.endpoint,
         botName: r.botName,
         statusCode: r.statusCode,
         source: r.source,
+        verification: r.verification,
         createdAt: r.createdAt
       }))
     });
@@ -7,6 +7,10 @@ import { validateRequest } from '../middleware/shopifyAuth.js';
 import { resolveShopToken } from '../utils/tokenResolver.js';
 import { buildStoreContext } from '../utils/storeContextBuilder.js';
 import { estimateTokensWithMargin } from '../billing/tokenConfig.js';
+import { chatCompletion, isProviderConfigured } from '../ai/provider.js';
+import { MCP_TOOL_CATALOG, sanitizeDisabledTools } from '../mcp/mcpToolCatalog.js';
+import { BOT_POLICY_GROUPS, BOT_POLICY_MODES, POLICY_LIMITS, sanitizeBotPolicies } from '../utils/botPolicy.js';
+import { invalidateBotPolicies } from '../middleware/botAccessControl.js';
 
 // Helper function to normalize plan names
 const normalizePlan = (plan) => {
@@ -160,6 +164,9 @@ router.get('/ai-discovery/settings', validateRequest(), async (req, res) => {
     const { default: Product } = await import('../db/Product.js');
     const totalProductCount = await Product.countDocuments({ shop });
 
+    // MCP tool selection and bot policies live in MongoDB only (not needed by the theme)
+    const mcpSettings = await AIDiscoverySettings.findOne({ shop }).select('disabledMcpTools botPolicies').lean();
+
     const mergedFeatures = isFreshShop ? defaultFeatures : savedSettings.features;
     
     // If AI Sitemap already exists, uncheck the checkbox to prevent accidental re-generation
@@ -182,7 +189,13 @@ router.get('/ai-discovery/settings', validateRequest(), async (req, res) => {
       updatedAt: savedSettings.updatedAt || new Date().toISOString(),
       hasAiSitemap: hasAiSitemap, // NEW: indicate if AI sitemap exists
       hasAdvancedSchema: hasAdvancedSchema, // NEW: indicate if Advanced Schema exists
-      productCount: totalProductCount // For token estimation in modals
+      productCount: totalProductCount, // For token estimation in modals
+      mcpTools: MCP_TOOL_CATALOG,
+      disabledMcpTools: sanitizeDisabledTools(mcpSettings?.disabledMcpTools),
+      botPolicyGroups: BOT_POLICY_GROUPS.map(({ key, label }) => ({ key, label })),
+      botPolicyModes: BOT_POLICY_MODES,
+      botPolicyLimits: POLICY_LIMITS,
+      botPolicies: sanitizeBotPolicies(mcpSettings?.botPolicies)
     };
 
     // Prevent caching so productCount is always fresh
@@ -200,7 +213,7 @@ router.get('/ai-discovery/settings', validateRequest(), async (req, res) => {
 router.post('/ai-discovery/settings', validateRequest(), async (req, res) => {
   try {
     const shop = req.shopDomain;
-    const { bots, features, advancedSchemaEnabled, richAttributes } = req.body;
+    const { bots, features, advancedSchemaEnabled, richAttributes, disabledMcpTools, botPolicies } = req.body;
     
     if (!bots || !features) {
       return res.status(400).json({ error: 'Missing required fields' });
@@ -292,19 +305,28 @@ router.post('/ai-discovery/settings', validateRequest(), async (req, res) => {
     const hasEnabledFeatures = Object.values(features || {}).some(f => f === true);
     const enabled = hasEnabledBots || hasEnabledFeatures; // Enable if either bots OR features are selected
     
+    const update = { 
+      shop,
+      bots: bots || {},
+      features: features || {},
+      richAttributes: richAttributes || {},
+      enabled,
+      advancedSchemaEnabled: advancedSchemaEnabled || false,
+      updatedAt: Date.now()
+    };
+    if (disabledMcpTools !== undefined) {
+      update.disabledMcpTools = sanitizeDisabledTools(disabledMcpTools);
+    }
+    if (botPolicies !== undefined) {
+      update.botPolicies = sanitizeBotPolicies(botPolicies);
+    }
+    
     const settings = await AIDiscoverySettings.findOneAndUpdate(
       { shop },
-      { 
-        shop,
-        bots: bots || {},
-        features: features || {},
-        richAttributes: richAttributes || {},
-        enabled,
-        advancedSchemaEnabled: advancedSchemaEnabled || false,
-        updatedAt: Date.now()
-      },
+      update,
       { upsert: true, new: true }
     );
+    invalidateBotPolicies(shop);
     
     // Update in Shopify metafields
     await aiDiscoveryService.updateSettings(shop, session, {
@@ -437,49 +459,33 @@ If exact details (e.g., delivery times) are not specified, say:
 Keep the answer concise (2–3 sentences).`;
     
     // Call Gemini Flash Lite for AI response (paid model with tokens)
-    const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
     const AI_MODEL = 'google/gemini-2.5-flash-lite';
     
-    if (!OPENROUTER_API_KEY) {
-      console.warn('[AI-SIMULATE] No OpenRouter API key, using fallback');
+    if (!isProviderConfigured()) {
+      console.warn('[AI-SIMULATE] AI provider not configured, using fallback');
       return res.json({ 
         response: 'AI simulation is temporarily unavailable. Please configure API keys.',
         fallback: true 
       });
     }
     
-    const aiResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': process.env.OPENROUTER_SITE_URL || process.env.APP_URL || 'https://indexaize.com',
-        'X-Title': 'indexAIze - AI Discovery & SEO'
-      },
-      body: JSON.stringify({
-        model: AI_MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a helpful AI assistant for an e-commerce store. Answer questions naturally and conversationally based on the provided STORE CONTEXT. Be specific and accurate. Keep responses concise (2-3 sentences). Do not invent details.'
-          },
-          {
-            role: 'user',
-            content: contextPrompt
-          }
-        ],
-        temperature: 0.7
-      })
+    const aiData = await chatCompletion({
+      model: AI_MODEL,
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a helpful AI assistant for an e-commerce store. Answer questions naturally and conversationally based on the provided STORE CONTEXT. Be specific and accurate. Keep responses concise (2-3 sentences). Do not invent details.'
+        },
+        {
+          role: 'user',
+          content: contextPrompt
+        }
+      ],
+      temperature: 0.7,
+      priority: 'high'
     });
     
-    if (!aiResponse.ok) {
-      const errorText = await aiResponse.text();
-      console.error('[AI-SIMULATE] OpenRouter error:', errorText);
-      throw new Error(`AI API error: ${aiResponse.statusText}`);
-    }
-    
-    const aiData = await aiResponse.json();
-    const generatedResponse = aiData.choices[0]?.message?.content || 'Unable to generate response';
+    const generatedResponse = aiData.content || 'Unable to generate response';
     const actualTokens = aiData.usage?.total_tokens || 0;
     
     // === TOKEN CONSUMPTION TRACKING ===
@@ -10,9 +10,12 @@ import AdvancedSchema from '../db/AdvancedSchema.js';
 import { getPlanConfig, resolvePlanKey } from '../plans.js';
 import { getGeminiResponse } from '../ai/gemini.js';
 import { createAIAnalyticsMiddleware } from '../middleware/aiAnalytics.js';
+import { createBotAccessMiddleware } from '../middleware/botAccessControl.js';
+import { consumePerMinute } from '../services/rateLimiter.js';
 
 const router = express.Router();
 const aiAnalytics = createAIAnalyticsMiddleware('direct');
+const botAccess = createBotAccessMiddleware();
 
 /**
  * Helper to get plan product limit for a shop
@@ -60,7 +63,7 @@ async function checkFeatureAccess(shop, feature) {
 }
 
 // Products Feed endpoint - просто взима готовите JSON-и
-router.get('/ai/products.json', aiAnalytics, async (req, res) => {
+router.get('/ai/products.json', aiAnalytics, botAccess, async (req, res) => {
   const shop = req.query.shop;
   if (!shop) {
     return res.status(400).json({ error: 'Missing shop parameter' });
@@ -285,7 +288,7 @@ router.get('/ai/products.json', aiAnalytics, async (req, res) => {
 });
 
 // Collections Feed endpoint - опростен
-router.get('/ai/collections-feed.json', aiAnalytics, async (req, res) => {
+router.get('/ai/collections-feed.json', aiAnalytics, botAccess, async (req, res) => {
   const shop = req.query.shop;
   if (!shop) {
     return res.status(400).json({ error: 'Missing shop parameter' });
@@ -428,7 +431,7 @@ router.get('/ai/collections-feed.json', aiAnalytics, async (req, res) => {
 });
 
 // AI Welcome page (direct access version - mirrors App Proxy version)
-router.get('/ai/welcome', aiAnalytics, async (req, res) => {
+router.get('/ai/welcome', aiAnalytics, botAccess, async (req, res) => {
   const shop = req.query.shop;
   if (!shop) {
     return res.status(400).send('Missing shop parameter');
@@ -587,7 +590,7 @@ router.get('/ai/robots-dynamic', async (req, res) => {
 // Advanced Schema Data endpoint - MOVED TO feedController.js
 
 // Store Metadata endpoint
-router.get('/ai/store-metadata.json', aiAnalytics, async (req, res) => {
+router.get('/ai/store-metadata.json', aiAnalytics, botAccess, async (req, res) => {
   const shop = req.query.shop;
   if (!shop) {
     return res.status(400).json({ error: 'Missing shop parameter' });
@@ -774,7 +777,7 @@ router.get('/ai/store-metadata.json', aiAnalytics, async (req, res) => {
 });
 
 // AI Sitemap Feed endpoint - преименуван и опростен
-router.get('/ai/sitemap-feed.xml', aiAnalytics, async (req, res) => {
+router.get('/ai/sitemap-feed.xml', aiAnalytics, botAccess, async (req, res) => {
   const shop = req.query.shop;
   if (!shop) {
     return res.status(400).send('Missing shop parameter');
@@ -819,7 +822,7 @@ router.get('/ai/sitemap-feed.xml', aiAnalytics, async (req, res) => {
 });
 
 // Advanced Schema Data endpoint (alias for /schema-data.json for consistency)
-router.get('/ai/schema-data.json', async (req, res) => {
+router.get('/ai/schema-data.json', botAccess, async (req, res) => {
   const shop = req.query.shop;
   
   if (!shop) {
@@ -887,7 +890,7 @@ router.get('/ai/schema-data.json', async (req, res) => {
 // LLMs.txt endpoint - AI Discovery standard (llmstxt.org)
 // Accessible via: /llms.txt?shop=xxx (direct) 
 // ============================================================
-router.get('/llms.txt', aiAnalytics, async (req, res) => {
+router.get('/llms.txt', aiAnalytics, botAccess, async (req, res) => {
   const shop = req.query.shop;
   if (!shop) {
     return res.status(400).type('text/plain').send('Missing shop parameter');
@@ -914,7 +917,7 @@ router.get('/llms.txt', aiAnalytics, async (req, res) => {
 // LLMs-full.txt endpoint - Extended version with API docs
 // Accessible via: /llms-full.txt?shop=xxx (direct)
 // ============================================================
-router.get('/llms-full.txt', aiAnalytics, async (req, res) => {
+router.get('/llms-full.txt', aiAnalytics, botAccess, async (req, res) => {
   const shop = req.query.shop;
   if (!shop) {
     return res.status(400).type('text/plain').send('Missing shop parameter');
@@ -941,7 +944,7 @@ router.get('/llms-full.txt', aiAnalytics, async (req, res) => {
 // AI Plugin JSON manifest for AI agent discovery
 // Accessible via: /.well-known/ai-plugin.json?shop=xxx
 // ============================================================
-router.get('/.well-known/ai-plugin.json', aiAnalytics, async (req, res) => {
+router.get('/.well-known/ai-plugin.json', aiAnalytics, botAccess, async (req, res) => {
   const shop = req.query.shop;
   if (!shop) {
     return res.status(400).json({ error: 'Missing shop parameter' });
@@ -988,23 +991,22 @@ router.get('/.well-known/ai-plugin.json', aiAnalytics, async (req, res) => {
 
 // ============================================================
 // AI Ask endpoint - AI agents can query the store
-// Rate limited: 10 req/min per shop
+// Rate limited: 10 req/min per shop (shared counter, services/rateLimiter.js) on top of
+// the shop's bot policy
 // ============================================================
-const askRateLimit = new Map(); // shop -> { count, resetAt }
+const ASK_LIMIT_PER_MINUTE = 10;
 const askCache = new Map(); // shop:questionHash -> { answer, expiresAt }
 
-function checkAskRateLimit(shop) {
-  const now = Date.now();
-  const limit = askRateLimit.get(shop);
-  
-  if (!limit || now > limit.resetAt) {
-    askRateLimit.set(shop, { count: 1, resetAt: now + 60000 }); // 1 minute window
-    return true;
-  }
-  
-  if (limit.count >= 10) return false;
-  limit.count++;
-  return true;
+// Sends the 429 and returns false when the shop is over the limit
+async function checkAskRateLimit(shop, res) {
+  const limit = await consumePerMinute(`ask:${shop}`, ASK_LIMIT_PER_MINUTE);
+  if (limit.allowed) return true;
+  res.set('Retry-After', String(limit.retryAfter));
+  res.status(429).json({
+    error: `Rate limit exceeded. Max ${ASK_LIMIT_PER_MINUTE} requests per minute.`,
+    retryAfter: limit.retryAfter
+  });
+  return false;
 }
 
 function hashQuestion(q) {
@@ -1018,7 +1020,7 @@ function hashQuestion(q) {
   return hash.toString(36);
 }
 
-router.post('/ai/ask', aiAnalytics, async (req, res) => {
+router.post('/ai/ask', aiAnalytics, botAccess, async (req, res) => {
   const shop = req.query.shop || req.body.shop;
   const question = req.body.question;
 
@@ -1033,12 +1035,7 @@ router.post('/ai/ask', aiAnalytics, async (req, res) => {
   }
 
   // Rate limit check
-  if (!checkAskRateLimit(shop)) {
-    return res.status(429).json({ 
-      error: 'Rate limit exceeded. Max 10 requests per minute.',
-      retryAfter: 60
-    });
-  }
+  if (!(await checkAskRateLimit(shop, res))) return;
 
   // Check cache
   const cacheKey = `${shop}:${hashQuestion(question.trim().toLowerCase())}`;
@@ -1305,7 +1302,7 @@ Respond in JSON format:
 });
 
 // Also support GET for simple queries (convenience for AI agents)
-router.get('/ai/ask', aiAnalytics, async (req, res) => {
+router.get('/ai/ask', aiAnalytics, botAccess, async (req, res) => {
   const question = req.query.q || req.query.question;
   if (!question) {
     return res.json({ 
@@ -1324,9 +1321,7 @@ router.get('/ai/ask', aiAnalytics, async (req, res) => {
   const shop = req.query.shop;
   if (!shop) return res.status(400).json({ error: 'Missing shop parameter' });
 
-  if (!checkAskRateLimit(shop)) {
-    return res.status(429).json({ error: 'Rate limit exceeded.', retryAfter: 60 });
-  }
+  if (!(await checkAskRateLimit(shop, res))) return;
 
   const cacheKey = `${shop}:${hashQuestion(question.trim().toLowerCase())}`;
   const cached = askCache.get(cacheKey);
@@ -50,50 +50,27 @@ router.post('/check-eligibility', validateRequest(), async (req, res) => {
   }
 });
 
-// Copy ONLY the OpenRouter connection from seoController
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || '';
-const OPENROUTER_BASE_URL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
-import aiQueue from '../services/aiQueue.js'; // PHASE 1 OPTIMIZATION
+import { chatCompletion } from '../ai/provider.js';
+import { getShopPromptTemplate, withPromptTemplate, scrubNeverUsePhrases } from '../utils/promptTemplate.js';
+import { checkSpendingCaps, spendingCapResponse } from '../utils/spendingCaps.js';
 
 /**
- * OpenRouter Chat wrapper - NOW WITH RATE LIMITING
+ * Chat wrapper on the configured AI provider (rate limited by aiQueue)
  * Priority: NORMAL (product enhancement, not time-critical)
+ * The shop's prompt template (brand voice) is merged into the system prompt when given.
  */
-async function openrouterChat(model, messages, response_format_json = true) {
-  
-  if (!OPENROUTER_API_KEY) {
-    throw new Error('OpenRouter API key missing');
-  }
-  
-  // Wrap in NORMAL PRIORITY queue (product enhancement)
-  return aiQueue.add(async () => {
-    const rsp = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': process.env.OPENROUTER_SITE_URL || process.env.APP_URL || 'https://indexaize.com',
-        'X-Title': 'indexAIze - AI Discovery & SEO',
-      },
-      body: JSON.stringify({
-        model,
-        response_format: response_format_json ? { type: 'json_object' } : undefined,
-        messages,
-        temperature: 0.4,
-      }),
-    });
-    
-    if (!rsp.ok) {
-      const text = await rsp.text().catch(() => '');
-      console.error('🤖 [AI-ENHANCE] OpenRouter error:', rsp.status, text);
-      throw new Error(`OpenRouter ${rsp.status}: ${text || rsp.statusText}`);
-    }
-    
-    const j = await rsp.json();
-    const content = j?.choices?.[0]?.message?.content || '';
-    
-    return { content, usage: j?.usage || {} };
-  }, { model, messageCount: messages.length });
+async function openrouterChat(model, messages, response_format_json = true, promptTemplate = null, language = null) {
+  const { content, usage } = await chatCompletion({
+    model,
+    messages: withPromptTemplate(messages, promptTemplate, language),
+    json: response_format_json
+  });
+  return { content, usage };
+}
+
+// undefined = load the shop's saved template, null = generate without one (template preview)
+async function resolvePromptTemplate(shop, promptTemplate) {
+  return promptTemplate !== undefined ? promptTemplate : getShopPromptTemplate(shop);
 }
 
 /**
@@ -102,7 +79,8 @@ async function openrouterChat(model, messages, response_format_json = true) {
  * Returns: { altText: string, usage: object }
  */
 async function generateImageAltText(data) {
-  const { product, language, model } = data;
+  const { shop, product, language, model } = data;
+  const promptTemplate = await resolvePromptTemplate(shop, data.promptTemplate);
   
   const productTitle = product.title || '';
   const productType = product.productType || 'product';
@@ -134,7 +112,7 @@ Guidelines:
   ];
   
   try {
-    const { content, usage } = await openrouterChat(model, messages, true);
+    const { content, usage } = await openrouterChat(model, messages, true, promptTemplate, language);
     
     let parsed;
     try {
@@ -150,7 +128,7 @@ Guidelines:
     }
     
     // Validate and truncate alt text
-    let altText = parsed.altText || null;
+    let altText = scrubNeverUsePhrases(parsed.altText, promptTemplate) || null;
     if (altText && altText.length > 125) {
       altText = altText.slice(0, 122) + '...';
     }
@@ -241,8 +219,9 @@ function extractTaxonomyContext(product) {
   return taxonomy;
 }
 
-async function generateEnhancedBulletsFAQ(data) {
+export async function generateEnhancedBulletsFAQ(data) {
   const { shop, productId, model, language, product, existingSeo } = data;
+  const promptTemplate = await resolvePromptTemplate(shop, data.promptTemplate);
   
   // Get store context (cached for performance)
   const storeContext = await getCachedStoreContext(shop, { includeProductAnalysis: false });
@@ -308,7 +287,7 @@ ${taxonomyContext}
     }
   ];
   
-  const { content, usage } = await openrouterChat(model, messages, true);
+  const { content, usage } = await openrouterChat(model, messages, true, promptTemplate, language);
   
   let enhanced;
   try {
@@ -321,7 +300,7 @@ ${taxonomyContext}
       cleanContent = cleanContent.replace(/\n?```\s*$/, '');
     }
     
-    enhanced = JSON.parse(cleanContent);
+    enhanced = scrubNeverUsePhrases(JSON.parse(cleanContent), promptTemplate);
   } catch (parseError) {
     console.error(`[AI-ENHANCE] JSON parse error for ${language}:`, parseError);
     console.error(`[AI-ENHANCE] Raw content:`, content.substring(0, 200));
@@ -614,6 +593,7 @@ router.post('/product', validateRequest(), async (req, res) => {
           if (!existingAltText) {
             // Case 1: No alt text at all → Generate with AI
             imageAltResult = await generateImageAltText({
+              shop,
               product: data.product,
               language,
               model
@@ -1062,7 +1042,8 @@ Output JSON with:
           }
         ];
         
-        const { content, usage } = await openrouterChat(model, messages, true);
+        const promptTemplate = await getShopPromptTemplate(shop);
+        const { content, usage } = await openrouterChat(model, messages, true, promptTemplate, language);
         
         let enhanced;
         try {
@@ -1073,7 +1054,7 @@ Output JSON with:
             cleanContent = cleanContent.replace(/\n?```\s*$/, '');
           }
           
-          enhanced = JSON.parse(cleanContent);
+          enhanced = scrubNeverUsePhrases(JSON.parse(cleanContent), promptTemplate);
         } catch (parseErr) {
           console.error(`[AI-ENHANCE] Collection JSON parse error:`, parseErr.message);
           console.error(`[AI-ENHANCE] Raw content:`, content.substring(0, 200));
@@ -1381,7 +1362,8 @@ Guidelines:
           }
         ];
         
-        const { content, usage } = await openrouterChat(model, messages, true);
+        const promptTemplate = await getShopPromptTemplate(shop);
+        const { content, usage } = await openrouterChat(model, messages, true, promptTemplate, language);
         
         // Track usage for finalization
         if (usage) {
@@ -1397,7 +1379,7 @@ Guidelines:
             cleanContent = cleanContent.replace(/\n?```\s*$/, '');
           }
           
-          enhanced = JSON.parse(cleanContent);
+          enhanced = scrubNeverUsePhrases(JSON.parse(cleanContent), promptTemplate);
         } catch (parseErr) {
           console.error(`[AI-ENHANCE] Failed to parse AI response:`, parseErr.message);
           console.error(`[AI-ENHANCE] Raw content:`, content.substring(0, 200));
@@ -1739,6 +1721,7 @@ export async function enhanceProductDirectly({ shop, productId, languages, acces
           
           if (!existingAltText) {
             imageAltResult = await generateImageAltText({
+              shop,
               product: data.product,
               language,
               model
@@ -1874,6 +1857,51 @@ export async function enhanceProductDirectly({ shop, productId, languages, acces
   }
 }
 
+/**
+ * Enhance one product of a background batch (run by aiEnhanceQueue).
+ * Loads the subscription itself so a queued job only stores serializable data.
+ * Token/plan errors (402/403) are re-thrown to stop the whole job.
+ *
+ * @param {string} shop - Shop domain
+ * @param {Object} productData - { productId, languages, title }
+ * @returns {Object} { success, skipped, reason, error, data }
+ */
+export async function enhanceBatchProduct(shop, productData) {
+  const { productId, languages } = productData;
+
+  try {
+    const subscription = await Subscription.findOne({ shop });
+
+    // Direct function call - no HTTP overhead!
+    const result = await enhanceProductDirectly({
+      shop,
+      productId,
+      languages,
+      accessToken: null, // shopGraphQL will get it from Shop collection
+      subscription
+    });
+
+    // Check if all languages were skipped (already enhanced = skip)
+    if (result.summary?.successful === 0 && result.summary?.alreadyEnhanced > 0) {
+      return { skipped: true, reason: 'Already enhanced', data: result };
+    }
+
+    // No Basic SEO = fail (can't enhance without basic SEO)
+    if (result.summary?.successful === 0 && result.summary?.noBasicSeo > 0) {
+      return { success: false, error: 'No Basic SEO found', data: result };
+    }
+
+    return { success: result.success, data: result };
+
+  } catch (error) {
+    // Re-throw token/plan errors to stop processing
+    if (error.status === 402 || error.status === 403) {
+      throw error;
+    }
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * POST /ai-enhance/batch
  * Add AI Enhancement job to background queue
@@ -1971,43 +1999,14 @@ router.post('/batch', validateRequest(), async (req, res) => {
       });
     }
     
-    // OPTIMIZATION: Create enhance function using DIRECT calls (no HTTP)
-    const enhanceProduct = async (productData) => {
-      const { productId, languages, title } = productData;
-      
-      try {
-        // Direct function call - no HTTP overhead!
-        const result = await enhanceProductDirectly({
-            shop,
-            productId,
-          languages,
-          accessToken: null, // shopGraphQL will get it from Shop collection
-          subscription
-        });
-        
-        // Check if all languages were skipped (already enhanced = skip)
-        if (result.summary?.successful === 0 && result.summary?.alreadyEnhanced > 0) {
-          return { skipped: true, reason: 'Already enhanced', data: result };
-        }
-        
-        // No Basic SEO = fail (can't enhance without basic SEO)
-        if (result.summary?.successful === 0 && result.summary?.noBasicSeo > 0) {
-          return { success: false, error: 'No Basic SEO found', data: result };
-        }
-        
-        return { success: result.success, data: result };
-        
-      } catch (error) {
-        // Re-throw token/plan errors to stop processing
-        if (error.status === 402 || error.status === 403) {
-          throw error;
-        }
-        return { success: false, error: error.message };
-      }
-    };
+    // Refuse the whole batch up front if it would go over the shop's spending limits
+    const capViolation = checkSpendingCaps(tokenBalance, tokenEstimate.withMargin);
+    if (capViolation) {
+      return res.status(402).json(spendingCapResponse(capViolation, feature));
+    }
     
     // Add job to queue (include preFailed for email reporting)
-    const jobInfo = await aiEnhanceQueue.addJob(shop, products, enhanceProduct, preFailed);
+    const jobInfo = await aiEnhanceQueue.addJob(shop, products, preFailed);
     
     return res.json({
       success: true,
@@ -2084,6 +2083,8 @@ router.post('/job-cancel', validateRequest(), async (req, res) => {
         } 
       }
     );
+    // Drop a queued job, or stop a running one at its next batch
+    await aiEnhanceQueue.cancel(shop);
     
     return res.json({ success: true, message: 'Job cancelled' });
     
@@ -2099,6 +2100,56 @@ router.post('/job-cancel', validateRequest(), async (req, res) => {
 
 import collectionJobQueue from '../services/collectionJobQueue.js';
 
+/**
+ * Enhance one collection of a background batch (run by collectionJobQueue).
+ * Calls the collection endpoint with the shop only - validateRequest() resolves the
+ * offline token, so the job does not depend on the session that queued it.
+ *
+ * @param {string} shop - Shop domain
+ * @param {Object} collectionData - { collectionId, languages, title }
+ * @returns {Object} { success, error, data }
+ */
+export async function enhanceCollectionBatchItem(shop, collectionData) {
+  const { collectionId, languages } = collectionData;
+
+  try {
+    // Call the existing collection enhancement endpoint
+    const response = await fetch(`${process.env.APP_URL || 'http://localhost:3000'}/ai-enhance/collection/${encodeURIComponent(collectionId)}?shop=${encodeURIComponent(shop)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-shopify-shop-domain': shop
+      },
+      body: JSON.stringify({
+        shop,
+        languages
+      })
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      if (response.status === 402 || response.status === 403) {
+        const error = new Error(result.error || 'Token or plan restriction');
+        error.status = response.status;
+        error.trialRestriction = result.trialRestriction;
+        throw error;
+      }
+      return { success: false, error: result.error };
+    }
+
+    if (!result.ok) {
+      return { success: false, error: result.error || 'Enhancement failed' };
+    }
+
+    return { success: true, data: result };
+
+  } catch (error) {
+    if (error.status === 402 || error.status === 403) throw error;
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * POST /ai-enhance/collection-batch
  * Add Collection AI Enhancement job to background queue
@@ -2182,51 +2233,14 @@ router.post('/collection-batch', validateRequest(), async (req, res) => {
       });
     }
     
-    // Create enhance function for each collection
-    const enhanceCollection = async (collectionData) => {
-      const { collectionId, languages, title } = collectionData;
-      
-      try {
-        // Call the existing collection enhancement endpoint
-        const response = await fetch(`${process.env.APP_URL || 'http://localhost:3000'}/ai-enhance/collection/${encodeURIComponent(collectionId)}`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': req.headers.authorization || '',
-            'x-shopify-shop-domain': shop
-          },
-          body: JSON.stringify({
-            shop,
-            languages
-          })
-        });
-        
-        const result = await response.json();
-        
-        if (!response.ok) {
-          if (response.status === 402 || response.status === 403) {
-            const error = new Error(result.error || 'Token or plan restriction');
-            error.status = response.status;
-            error.trialRestriction = result.trialRestriction;
-            throw error;
-          }
-          return { success: false, error: result.error };
-        }
-        
-        if (!result.ok) {
-          return { success: false, error: result.error || 'Enhancement failed' };
-        }
-        
-        return { success: true, data: result };
-        
-      } catch (error) {
-        if (error.status === 402 || error.status === 403) throw error;
-        return { success: false, error: error.message };
-      }
-    };
+    // Refuse the whole batch up front if it would go over the shop's spending limits
+    const capViolation = checkSpendingCaps(tokenBalance, tokenEstimate.withMargin);
+    if (capViolation) {
+      return res.status(402).json(spendingCapResponse(capViolation, feature));
+    }
     
     // Add job to queue
-    const jobInfo = await collectionJobQueue.addJob(shop, collections, 'aiEnhance', enhanceCollection);
+    const jobInfo = await collectionJobQueue.addJob(shop, collections, 'aiEnhance');
     
     return res.json({
       success: true,
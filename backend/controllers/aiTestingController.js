@@ -1,8 +1,10 @@
 // backend/controllers/aiTestingController.js
 import express from 'express';
 import { validateRequest } from '../middleware/shopifyAuth.js';
+import { internalRequestHeaders } from '../middleware/botAccessControl.js';
 import fetch from 'node-fetch';
 import { getGeminiResponse } from '../ai/gemini.js';
+import { chatCompletion } from '../ai/provider.js';
 import TokenBalance from '../db/TokenBalance.js';
 import Product from '../db/Product.js';
 import Collection from '../db/Collection.js';
@@ -608,28 +610,22 @@ IMPORTANT RULES:
 - Be direct and actionable
 - Skip obvious/standard information`;
 
-    const openRouterResponse = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': process.env.APP_URL || 'https://indexaize.com',
-        'X-Title': 'indexAIze - AI Bot Testing'
-      },
-      body: JSON.stringify({
+    let aiResult;
+    try {
+      aiResult = await chatCompletion({
         model: bot.model,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: questionToAsk }
         ],
-        max_tokens: isShoppingQuestion ? 4000 : 2000,
-        temperature: isShoppingQuestion ? 0.7 : 0.5
-      })
-    });
-    
-    if (!openRouterResponse.ok) {
-      const errorText = await openRouterResponse.text();
-      console.error('[AI-TESTING] OpenRouter error:', errorText);
+        maxTokens: isShoppingQuestion ? 4000 : 2000,
+        temperature: isShoppingQuestion ? 0.7 : 0.5,
+        // Long answers from thinking models - run outside aiQueue's 30s job timeout
+        queue: false,
+        timeoutMs: 120000
+      });
+    } catch (aiError) {
+      console.error('[AI-TESTING] AI provider error:', aiError.message);
       
       // Refund tokens on error
       await tokenBalance.refundReservation(reservationId);
@@ -640,15 +636,8 @@ IMPORTANT RULES:
       });
     }
     
-    const aiResult = await openRouterResponse.json();
     const responseTime = Date.now() - startTime;
     
-    // Debug: log response structure for thinking models
-    const msgContent = aiResult.choices?.[0]?.message?.content;
-    if (typeof msgContent !== 'string') {
-      console.log(`[AI-TESTING] Non-string response from ${bot.id}:`, JSON.stringify(msgContent)?.substring(0, 500));
-    }
-    
     // Calculate actual tokens used (raw from API)
     const rawTokensUsed = aiResult.usage?.total_tokens || baseTokens;
     
@@ -680,30 +669,7 @@ IMPORTANT RULES:
         priceMultiplier
       },
       prompt: questionToAsk,
-      response: (() => {
-        const msg = aiResult.choices?.[0]?.message;
-        if (!msg) return 'No response generated';
-        
-        // Standard string content
-        if (typeof msg.content === 'string' && msg.content.trim()) return msg.content;
-        
-        // Array content (thinking models return [{type: "thinking"}, {type: "text", text: "..."}])
-        if (Array.isArray(msg.content)) {
-          const textParts = msg.content
-            .filter(part => part.type === 'text' && part.text)
-            .map(part => part.text);
-          if (textParts.length > 0) return textParts.join('\n\n');
-          
-          // Fallback: any part with text
-          const anyText = msg.content.find(part => part.text);
-          if (anyText) return anyText.text;
-        }
-        
-        // Last resort: stringify
-        if (msg.content) return typeof msg.content === 'object' ? JSON.stringify(msg.content) : String(msg.content);
-        
-        return 'No response generated';
-      })(),
+      response: (typeof aiResult.content === 'string' && aiResult.content.trim()) ? aiResult.content : 'No response generated',
       usage: {
         tokensUsed: adjustedTokensUsed, // Adjusted for model pricing
         rawTokens: rawTokensUsed,       // Actual API tokens
@@ -1166,6 +1132,7 @@ router.post('/ai-testing/run-tests', validateRequest(), async (req, res) => {
   ];
   
   const results = {};
+  const appBaseUrl = process.env.APP_URL || `https://${req.get('host')}`;
   
   for (const endpoint of endpoints) {
     try {
@@ -1187,7 +1154,8 @@ router.post('/ai-testing/run-tests', validateRequest(), async (req, res) => {
             headers: {
               'Content-Type': 'application/json',
               'Accept': 'application/json, text/event-stream',
-              'User-Agent': 'IndexAIze-Bot/1.0'
+              'User-Agent': 'IndexAIze-Bot/1.0',
+              ...internalRequestHeaders()
             },
             body: JSON.stringify({
               jsonrpc: '2.0',
@@ -1250,7 +1218,9 @@ router.post('/ai-testing/run-tests', validateRequest(), async (req, res) => {
       const response = await fetch(endpoint.url, {
         method: 'GET',
         headers: {
-          'User-Agent': 'AI-SEO-Testing-Bot/1.0'
+          'User-Agent': 'AI-SEO-Testing-Bot/1.0',
+          // robots.txt and the homepage are on the storefront - the token stays with us
+          ...(endpoint.url.startsWith(appBaseUrl) ? internalRequestHeaders() : {})
         },
         timeout: 10000 // 10 second timeout
       });
@@ -1712,7 +1682,7 @@ router.post('/ai-testing/ai-validate', validateRequest(), async (req, res) => {
             const mcpUrl = endpointUrls[key];
             const initResp = await fetch(mcpUrl, {
               method: 'POST',
-              headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream', 'User-Agent': 'IndexAIze-Bot/1.0' },
+              headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream', 'User-Agent': 'IndexAIze-Bot/1.0', ...internalRequestHeaders() },
               body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'indexAIze-validator', version: '1.0' } } }),
               timeout: 10000
             });
@@ -1726,7 +1696,7 @@ router.post('/ai-testing/ai-validate', validateRequest(), async (req, res) => {
                 try {
                   const toolsResp = await fetch(mcpUrl, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream', 'Mcp-Session-Id': sessionId },
+                    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json, text/event-stream', 'Mcp-Session-Id': sessionId, ...internalRequestHeaders() },
                     body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list', params: {} }),
                     timeout: 10000
                   });
@@ -1741,7 +1711,10 @@ router.post('/ai-testing/ai-validate', validateRequest(), async (req, res) => {
           }
         } else if (key === 'productsJson') {
           // Smart sampling: skip non-products and pick representative items
-          const dataResponse = await fetch(endpointUrls[key] || result.url);
+          // result.url comes from the client: the internal token only goes to our own URLs
+          const dataResponse = endpointUrls[key]
+            ? await fetch(endpointUrls[key], { headers: internalRequestHeaders() })
+            : await fetch(result.url);
           if (dataResponse.ok) {
             const fullData = await dataResponse.json();
             const allProducts = fullData.products || [];
@@ -1787,7 +1760,10 @@ router.post('/ai-testing/ai-validate', validateRequest(), async (req, res) => {
             data = data.substring(0, 5000) + '\n... (truncated)';
           }
         } else {
-          const dataResponse = await fetch(endpointUrls[key] || result.url);
+          // result.url comes from the client: the internal token only goes to our own URLs
+          const dataResponse = endpointUrls[key]
+            ? await fetch(endpointUrls[key], { headers: internalRequestHeaders() })
+            : await fetch(result.url);
           if (dataResponse.ok) {
             const contentType = dataResponse.headers.get('content-type');
             if (contentType && contentType.includes('application/json')) {
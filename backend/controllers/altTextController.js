@@ -0,0 +1,327 @@
+// backend/controllers/altTextController.js
+// Router: mounted at /api/alt-text
+// Route(s):
+//   POST /api/alt-text/generate   ({ productIds?: string[], languages?: string[], overwrite? } - start the batch)
+//   GET  /api/alt-text/job-status
+//
+// Alt text for every image of a product, per store language. The primary language is
+// written to the media itself (productUpdateMedia), other languages are registered as
+// translations of the media's "alt" field. Images whose alt text is already good are
+// skipped unless `overwrite` is set (see utils/imageAlt.js). Each product + language is
+// one AI call, metered as ai-image-alt; the batch runs in services/altTextQueue.js.
+
+import { Router } from 'express';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import Product from '../db/Product.js';
+import Subscription from '../db/Subscription.js';
+import TokenBalance from '../db/TokenBalance.js';
+import altTextQueue from '../services/altTextQueue.js';
+import { shopGraphQL } from './seoController.js';
+import { getPlanConfig } from '../plans.js';
+import { isBlockedInTrial, estimateTokensWithMargin, calculateActualTokens } from '../billing/tokenConfig.js';
+import { checkSpendingCaps, spendingCapResponse } from '../utils/spendingCaps.js';
+import { chatCompletion, parseJsonContent } from '../ai/provider.js';
+import { getShopPromptTemplate, withPromptTemplate, scrubNeverUsePhrases } from '../utils/promptTemplate.js';
+import { isGoodAltText, imageContext, buildAltTextPrompt, mapAltTexts } from '../utils/imageAlt.js';
+
+const router = Router();
+
+const ALT_TEXT_FEATURE = 'ai-image-alt';
+const ALT_TEXT_MODEL = 'google/gemini-2.5-flash-lite';
+
+const Q_SHOP_LOCALES = `
+  query ShopLocales {
+    shopLocales { locale primary published }
+  }
+`;
+
+const Q_ALT_PRODUCT = `
+  query($id: ID!) {
+    product(id: $id) {
+      id title productType vendor description
+      options { name values }
+      variants(first: 100) {
+        nodes { selectedOptions { name value } media(first: 10) { nodes { id } } }
+      }
+      media(first: 50) {
+        nodes { id mediaContentType alt }
+      }
+    }
+  }
+`;
+
+const Q_MEDIA_TRANSLATIONS = `
+  query($ids: [ID!]!, $locale: String!) {
+    translatableResourcesByIds(resourceIds: $ids, first: 50) {
+      nodes {
+        resourceId
+        translatableContent { key value digest }
+        translations(locale: $locale) { key value outdated }
+      }
+    }
+  }
+`;
+
+const M_UPDATE_MEDIA = `
+  mutation($productId: ID!, $media: [UpdateMediaInput!]!) {
+    productUpdateMedia(productId: $productId, media: $media) {
+      media { id alt }
+      mediaUserErrors { field message }
+    }
+  }
+`;
+
+const M_TRANSLATIONS_REGISTER = `
+  mutation($resourceId: ID!, $translations: [TranslationInput!]!) {
+    translationsRegister(resourceId: $resourceId, translations: $translations) {
+      translations { key locale }
+      userErrors { field message code }
+    }
+  }
+`;
+
+function toProductGid(productId) {
+  const id = String(productId);
+  return id.startsWith('gid://') ? id : `gid://shopify/Product/${id}`;
+}
+
+function budgetError(message, extra = {}) {
+  const e = new Error(message);
+  e.status = 402;
+  Object.assign(e, extra);
+  return e;
+}
+
+async function publishedLocales(shop) {
+  const data = await shopGraphQL(null, shop, Q_SHOP_LOCALES, {});
+  const locales = (data?.shopLocales || []).filter(l => l && (l.published || l.primary));
+  const primary = locales.find(l => l.primary)?.locale || 'en';
+  return { primary, locales: locales.map(l => l.locale) };
+}
+
+// One metered AI call: reserve the estimate, finalize with what the call used
+async function generateAltTexts(shop, { product, images, language, promptTemplate, productId }) {
+  const estimate = estimateTokensWithMargin(ALT_TEXT_FEATURE, { languages: 1 });
+  const tokenBalance = await TokenBalance.getOrCreate(shop);
+  if (!tokenBalance.hasBalance(estimate.withMargin)) {
+    throw budgetError('Insufficient token balance for alt text', { tokensRequired: estimate.withMargin, tokensAvailable: tokenBalance.balance });
+  }
+  const capViolation = checkSpendingCaps(tokenBalance, estimate.withMargin);
+  if (capViolation) throw budgetError(spendingCapResponse(capViolation, ALT_TEXT_FEATURE).message, { spendingCap: true });
+
+  const reservation = tokenBalance.reserveTokens(estimate.withMargin, ALT_TEXT_FEATURE, { productId, locale: language });
+  await reservation.save();
+
+  let tokensUsed = 0;
+  try {
+    const messages = withPromptTemplate(buildAltTextPrompt({ product, images, language }), promptTemplate, language);
+    const { content, usage } = await chatCompletion({ model: ALT_TEXT_MODEL, messages, json: true });
+    tokensUsed = calculateActualTokens(usage).totalTokens;
+    const alts = mapAltTexts(parseJsonContent(content), images);
+    for (const [id, alt] of alts) alts.set(id, scrubNeverUsePhrases(alt, promptTemplate));
+    return alts;
+  } finally {
+    // Refunds the whole reservation when the call failed
+    const balance = await TokenBalance.getOrCreate(shop);
+    await balance.finalizeReservation(reservation.reservationId, tokensUsed);
+  }
+}
+
+async function applyPrimaryAlts(shop, productId, alts) {
+  const media = [...alts].map(([id, alt]) => ({ id, alt }));
+  const data = await shopGraphQL(null, shop, M_UPDATE_MEDIA, { productId, media });
+  const errors = data?.productUpdateMedia?.mediaUserErrors || [];
+  if (errors.length) throw new Error(`productUpdateMedia: ${errors.map(e => e.message).join('; ')}`);
+}
+
+async function applyTranslatedAlts(shop, locale, alts, digests) {
+  for (const [id, alt] of alts) {
+    await shopGraphQL(null, shop, M_TRANSLATIONS_REGISTER, {
+      resourceId: id,
+      translations: [{ key: 'alt', value: alt, locale, translatableContentDigest: digests.get(id) }]
+    });
+  }
+}
+
+/**
+ * Generate and apply alt text for the images of one product.
+ * @param {string} shop
+ * @param {string} productId - numeric id or gid
+ * @param {Object} options
+ * @param {string[]} options.languages - store locales, primary first when included
+ * @param {string} options.primaryLocale
+ * @param {boolean} [options.overwrite=false] - also replace alt texts that look fine
+ * @returns {{ updated: number, skipped: number, reason?: string }}
+ */
+export async function generateProductAltTexts(shop, productId, { languages, primaryLocale, overwrite = false }) {
+  const gid = toProductGid(productId);
+  const data = await shopGraphQL(null, shop, Q_ALT_PRODUCT, { id: gid });
+  const product = data?.product;
+  if (!product) {
+    const e = new Error('Product not found');
+    e.status = 404;
+    throw e;
+  }
+
+  const media = (product.media?.nodes || []).filter(m => m.mediaContentType === 'IMAGE');
+  if (!media.length) return { updated: 0, skipped: 0, reason: 'No images' };
+
+  const context = imageContext({
+    media,
+    variants: (product.variants?.nodes || []).map(v => ({
+      selectedOptions: v.selectedOptions,
+      mediaIds: (v.media?.nodes || []).map(m => m.id)
+    }))
+  });
+  const currentAlt = new Map(media.map(m => [m.id, m.alt || '']));
+  const isGood = (alt) => isGoodAltText(alt, { productTitle: product.title });
+  const promptTemplate = await getShopPromptTemplate(shop);
+  const ordered = [...new Set(languages)].sort((a, b) => (b === primaryLocale) - (a === primaryLocale));
+
+  let updated = 0;
+  let skipped = 0;
+  for (const language of ordered) {
+    let targets;
+    let digests = null;
+
+    if (language === primaryLocale) {
+      targets = context.filter(img => overwrite || !isGood(currentAlt.get(img.id)));
+    } else {
+      // Translations need an alt text in the primary language to translate
+      const withAlt = context.filter(img => currentAlt.get(img.id));
+      const res = withAlt.length
+        ? await shopGraphQL(null, shop, Q_MEDIA_TRANSLATIONS, { ids: withAlt.map(img => img.id), locale: language })
+        : null;
+      const resources = new Map((res?.translatableResourcesByIds?.nodes || []).map(n => [n.resourceId, n]));
+      digests = new Map();
+      targets = [];
+      for (const img of withAlt) {
+        const resource = resources.get(img.id);
+        const source = resource?.translatableContent?.find(c => c.key === 'alt');
+        if (!source) continue;
+        digests.set(img.id, source.digest);
+        const translation = resource.translations?.find(t => t.key === 'alt');
+        if (overwrite || !translation || translation.outdated || !isGood(translation.value)) {
+          targets.push({ ...img, primaryAlt: source.value });
+        }
+      }
+    }
+
+    // Counted per language: images left as they are
+    skipped += context.length - targets.length;
+    if (!targets.length) continue;
+
+    const alts = await generateAltTexts(shop, { product, images: targets, language, promptTemplate, productId: gid });
+    if (!alts.size) throw new Error(`No usable alt text returned for ${language}`);
+
+    if (language === primaryLocale) {
+      await applyPrimaryAlts(shop, gid, alts);
+      for (const [id, alt] of alts) currentAlt.set(id, alt);
+    } else {
+      await applyTranslatedAlts(shop, language, alts, digests);
+    }
+    updated += alts.size;
+    skipped += targets.length - alts.size;
+  }
+
+  console.log(`[ALT-TEXT] ${shop} ${gid}: ${updated} alt texts written, ${skipped} skipped (${ordered.join(', ')})`);
+  return { updated, skipped };
+}
+
+/**
+ * Validate the request, check the token budget and queue the batch.
+ * Used by POST /generate and by the SEO audit's missing-alt fix.
+ * @param {string} shop
+ * @param {Object} options
+ * @param {string[]|null} [options.productIds] - null = all active products
+ * @param {string[]} [options.languages] - defaults to the primary language
+ * @param {boolean} [options.overwrite=false]
+ */
+export async function startAltTextJob(shop, { productIds = null, languages = [], overwrite = false } = {}) {
+  const { primary, locales } = await publishedLocales(shop);
+  const requested = (languages.length ? languages : [primary]).map(String);
+  const unknown = requested.filter(l => !locales.some(x => x.toLowerCase() === l.toLowerCase()));
+  if (unknown.length) {
+    const e = new Error(`Not a published store language: ${unknown.join(', ')}`);
+    e.status = 400;
+    throw e;
+  }
+  const selected = locales.filter(l => requested.some(r => r.toLowerCase() === l.toLowerCase()));
+
+  const subscription = await Subscription.findOne({ shop }).lean();
+  const planConfig = getPlanConfig(subscription?.plan || 'starter');
+
+  // Refuse up front when not even one call fits (same as translateMissing)
+  const tokenBalance = await TokenBalance.getOrCreate(shop);
+  const { withMargin } = estimateTokensWithMargin(ALT_TEXT_FEATURE, { languages: 1 });
+  const inTrial = subscription?.trialEndsAt && new Date() < new Date(subscription.trialEndsAt);
+  if (inTrial && !subscription?.activatedAt && !(tokenBalance.totalPurchased > 0) && isBlockedInTrial(ALT_TEXT_FEATURE)) {
+    throw budgetError('AI alt text is locked during the trial period - activate your plan to use it', {
+      trialRestriction: true,
+      tokensRequired: withMargin,
+      tokensAvailable: tokenBalance.balance
+    });
+  }
+  if (!tokenBalance.hasBalance(withMargin)) {
+    throw budgetError('You need tokens to generate alt text', { tokensRequired: withMargin, tokensAvailable: tokenBalance.balance });
+  }
+
+  const filter = { shop, status: { $in: ['ACTIVE', 'active'] } };
+  if (productIds) filter.productId = { $in: productIds.map(id => String(id).split('/').pop()) };
+  const products = await Product.find(filter)
+    .select('productId title')
+    .sort({ updatedAt: -1 })
+    .limit(planConfig?.productLimit || 70)
+    .lean();
+  if (!products.length) {
+    const e = new Error('No products to process');
+    e.status = 400;
+    throw e;
+  }
+
+  const items = products.map(p => ({ productId: toProductGid(p.productId), title: p.title || null }));
+  return altTextQueue.addJob(shop, items, { languages: selected, primaryLocale: primary, overwrite: overwrite === true });
+}
+
+// POST /api/alt-text/generate
+router.post('/generate', validateRequest(), async (req, res) => {
+  try {
+    const { productIds, languages, overwrite } = req.body || {};
+    if (productIds !== undefined && productIds !== null && (!Array.isArray(productIds) || !productIds.length)) {
+      return res.status(400).json({ error: 'productIds must be a non-empty array' });
+    }
+    const result = await startAltTextJob(req.shopDomain, {
+      productIds: productIds || null,
+      languages: Array.isArray(languages) ? languages : [],
+      overwrite: overwrite === true
+    });
+    return res.json(result);
+  } catch (err) {
+    if (err.status === 402) {
+      return res.status(402).json({
+        error: err.message,
+        requiresPurchase: !err.spendingCap,
+        trialRestriction: !!err.trialRestriction,
+        feature: ALT_TEXT_FEATURE,
+        tokensRequired: err.tokensRequired,
+        tokensAvailable: err.tokensAvailable,
+        message: err.message
+      });
+    }
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/alt-text/generate error:', err);
+    return res.status(500).json({ error: 'Failed to start alt text generation' });
+  }
+});
+
+// GET /api/alt-text/job-status
+router.get('/job-status', validateRequest(), async (req, res) => {
+  try {
+    return res.json(await altTextQueue.getJobStatus(req.shopDomain));
+  } catch (err) {
+    console.error('GET /api/alt-text/job-status error:', err);
+    return res.status(500).json({ error: 'Failed to get job status' });
+  }
+});
+
+export default router;
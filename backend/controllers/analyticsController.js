@@ -4,8 +4,22 @@ import ConversionEvent from '../db/ConversionEvent.js';
 import AIVisitLog from '../db/AIVisitLog.js';
 import Product from '../db/Product.js';
 import Shop from '../db/Shop.js';
-import { syncOrdersForShop } from '../services/orderSyncService.js';
+import McpToolCall from '../db/McpToolCall.js';
+import McpSession from '../db/McpSession.js';
+import PixelIngestMetric from '../db/PixelIngestMetric.js';
+import { syncOrdersForShop, recomputeAttribution } from '../services/orderSyncService.js';
+import { connectWebPixel } from '../services/webPixelService.js';
+import { signingRequiredFrom } from '../utils/pixelSignature.js';
 import { resolveAdminToken } from '../utils/tokenResolver.js';
+import { VISIT_FILTERS, DEFAULT_VISIT_FILTER, verificationMatch } from '../utils/botVerification.js';
+import { FUNNEL_EVENT_GROUP, countFunnelEvents } from '../utils/conversionFunnel.js';
+import {
+  ATTRIBUTION_MODELS,
+  MODEL_LABELS,
+  MAX_LOOKBACK_DAYS,
+  sanitizeAttributionSettings,
+  summarizeAttribution
+} from '../utils/attributionModels.js';
 
 const router = Router();
 
@@ -43,6 +57,21 @@ async function getShopTimezone(shop) {
   }
 }
 
+// Bot visits counted: ?visits=all|exclude_spoofed|verified, else the shop's setting
+async function getVisitFilter(shop, requested) {
+  if (VISIT_FILTERS.includes(requested)) return requested;
+  const doc = await Shop.findOne({ shop }).select('analyticsSettings').lean();
+  return doc?.analyticsSettings?.botVisits || DEFAULT_VISIT_FILTER;
+}
+
+// Attribution model: ?model=last_touch|first_touch|linear|time_decay|position_based, else the shop's setting
+async function getAttributionModel(shop, requested) {
+  const doc = await Shop.findOne({ shop }).select('analyticsSettings').lean();
+  const settings = sanitizeAttributionSettings(doc?.analyticsSettings?.attribution);
+  const model = ATTRIBUTION_MODELS.includes(requested) ? requested : settings.model;
+  return { model, lookbackDays: settings.lookbackDays[model] };
+}
+
 // GET /api/analytics/revenue — Revenue summary with attribution breakdown
 router.get('/analytics/revenue', async (req, res) => {
   try {
@@ -54,6 +83,7 @@ router.get('/analytics/revenue', async (req, res) => {
     const tz = await getShopTimezone(shop);
     const { start, end } = getPeriodDates(period, tz);
     const filter = { shop, orderCreatedAt: { $gte: start, $lte: end } };
+    const { model, lookbackDays } = await getAttributionModel(shop, req.query.model);
 
     const [allOrders, directOrders, influencedOrders] = await Promise.all([
       OrderRevenue.find(filter).lean(),
@@ -63,6 +93,7 @@ router.get('/analytics/revenue', async (req, res) => {
 
     const sum = (orders) => orders.reduce((s, o) => s + parseFloat(o.totalPrice || 0), 0);
     const currency = allOrders[0]?.currency || 'USD';
+    const attributed = summarizeAttribution(allOrders, model);
 
     const result = {
       period,
@@ -83,21 +114,39 @@ router.get('/analytics/revenue', async (req, res) => {
         revenue: (sum(allOrders) - sum(directOrders) - sum(influencedOrders)).toFixed(2),
       },
       avgOrderValue: allOrders.length ? (sum(allOrders) / allOrders.length).toFixed(2) : '0.00',
+      // Multi-touch AI attribution under the selected model (stored per order at sync time)
+      attribution: {
+        model,
+        lookbackDays,
+        orders: attributed.orders,
+        revenue: attributed.revenue.toFixed(2),
+        share: sum(allOrders) ? ((attributed.revenue / sum(allOrders)) * 100).toFixed(1) : '0.0',
+        unattributedOrders: attributed.unattributed,
+        sources: Object.entries(attributed.sources)
+          .map(([source, v]) => ({ source, credit: v.credit, revenue: v.revenue.toFixed(2) }))
+          .sort((a, b) => b.revenue - a.revenue),
+      },
     };
 
     if (compare) {
       const prev = getPreviousPeriod(period, tz);
       const prevFilter = { shop, orderCreatedAt: { $gte: prev.start, $lte: prev.end } };
-      const [prevAll, prevDirect, prevInfluenced] = await Promise.all([
+      const [prevAll, prevDirect, prevInfluenced, prevAttributed] = await Promise.all([
         OrderRevenue.countDocuments(prevFilter),
         OrderRevenue.countDocuments({ ...prevFilter, attributionType: 'direct_ai' }),
         OrderRevenue.countDocuments({ ...prevFilter, attributionType: 'ai_influenced' }),
+        OrderRevenue.find(prevFilter).select(`attribution.${model}`).lean(),
       ]);
+      const prevAttributedRevenue = summarizeAttribution(prevAttributed, model).revenue;
       result.comparison = {
         prevTotalOrders: prevAll,
         prevDirectOrders: prevDirect,
         prevInfluencedOrders: prevInfluenced,
+        prevAttributedRevenue: prevAttributedRevenue.toFixed(2),
         orderGrowth: prevAll ? (((allOrders.length - prevAll) / prevAll) * 100).toFixed(1) : null,
+        attributedRevenueGrowth: prevAttributedRevenue
+          ? (((attributed.revenue - prevAttributedRevenue) / prevAttributedRevenue) * 100).toFixed(1)
+          : null,
       };
     }
 
@@ -170,6 +219,7 @@ router.get('/analytics/products', async (req, res) => {
 
     const tz = await getShopTimezone(shop);
     const { start, end } = getPeriodDates(period, tz);
+    const visitFilter = await getVisitFilter(shop, req.query.visits);
 
     const [products, orders, addToCartEvents, aiVisits] = await Promise.all([
       Product.find({ shop, status: { $ne: 'DRAFT' } }).select('shopifyProductId title handle seoStatus aiOptimized status').lean(),
@@ -180,7 +230,7 @@ router.get('/analytics/products', async (req, res) => {
         aiSource: { $ne: null }
       }).lean(),
       AIVisitLog.aggregate([
-        { $match: { shop, createdAt: { $gte: start, $lte: end }, botName: { $nin: ['Human/Unknown', 'Other Bot'] } } },
+        { $match: { shop, createdAt: { $gte: start, $lte: end }, botName: { $nin: ['Human/Unknown', 'Other Bot'] }, ...verificationMatch(visitFilter) } },
         { $group: { _id: '$endpoint', visits: { $sum: 1 } } }
       ]),
     ]);
@@ -238,7 +288,7 @@ router.get('/analytics/products', async (req, res) => {
     const filtered = productStats.filter(p => p.aiVisits > 0 || p.totalOrders > 0 || p.addToCart > 0);
     filtered.sort((a, b) => b.aiVisits - a.aiVisits);
 
-    res.json({ period, products: filtered });
+    res.json({ period, visits: visitFilter, products: filtered });
   } catch (err) {
     console.error('[ANALYTICS] products error:', err.message);
     res.status(500).json({ error: err.message });
@@ -254,12 +304,14 @@ router.get('/analytics/comparison', async (req, res) => {
 
     const tz = await getShopTimezone(shop);
     const { start, end } = getPeriodDates(period, tz);
+    const visitFilter = await getVisitFilter(shop, req.query.visits);
+    const { model, lookbackDays } = await getAttributionModel(shop, req.query.model);
 
     const [products, orders, aiVisits] = await Promise.all([
       Product.find({ shop, status: { $ne: 'DRAFT' } }).select('handle seoStatus').lean(),
       OrderRevenue.find({ shop, orderCreatedAt: { $gte: start, $lte: end } }).lean(),
       AIVisitLog.aggregate([
-        { $match: { shop, createdAt: { $gte: start, $lte: end }, botName: { $nin: ['Human/Unknown', 'Other Bot'] } } },
+        { $match: { shop, createdAt: { $gte: start, $lte: end }, botName: { $nin: ['Human/Unknown', 'Other Bot'] }, ...verificationMatch(visitFilter) } },
         { $group: { _id: '$endpoint', visits: { $sum: 1 } } }
       ]),
     ]);
@@ -270,8 +322,8 @@ router.get('/analytics/comparison', async (req, res) => {
     const visitsByEndpoint = {};
     for (const v of aiVisits) visitsByEndpoint[v._id] = v.visits;
 
-    const groups = { optimized: { count: 0, totalVisits: 0, totalOrders: 0, totalRevenue: 0 },
-                     unoptimized: { count: 0, totalVisits: 0, totalOrders: 0, totalRevenue: 0 } };
+    const groups = { optimized: { count: 0, totalVisits: 0, totalOrders: 0, totalRevenue: 0, aiRevenue: 0 },
+                     unoptimized: { count: 0, totalVisits: 0, totalOrders: 0, totalRevenue: 0, aiRevenue: 0 } };
 
     for (const handle of allHandles) {
       const group = optimizedHandles.has(handle) ? 'optimized' : 'unoptimized';
@@ -283,12 +335,18 @@ router.get('/analytics/comparison', async (req, res) => {
       groups[group].totalVisits += visits;
     }
 
+    let unattributedOrders = 0;
     for (const order of orders) {
+      // Line items share the order's AI credit under the selected model
+      const aiCredit = order.attribution?.[model]?.aiCredit;
+      if (aiCredit === undefined) unattributedOrders++;
       for (const li of order.lineItems || []) {
         if (!li.handle) continue;
         const group = optimizedHandles.has(li.handle) ? 'optimized' : 'unoptimized';
+        const lineRevenue = parseFloat(li.price || 0) * (li.quantity || 1);
         groups[group].totalOrders += li.quantity || 1;
-        groups[group].totalRevenue += parseFloat(li.price || 0) * (li.quantity || 1);
+        groups[group].totalRevenue += lineRevenue;
+        groups[group].aiRevenue += lineRevenue * (aiCredit || 0);
       }
     }
 
@@ -296,12 +354,18 @@ router.get('/analytics/comparison', async (req, res) => {
 
     res.json({
       period,
+      visits: visitFilter,
+      model,
+      lookbackDays,
+      unattributedOrders,
       optimized: {
         productCount: groups.optimized.count,
         avgAIVisits: avg(groups.optimized.totalVisits, groups.optimized.count),
         totalOrders: groups.optimized.totalOrders,
         totalRevenue: groups.optimized.totalRevenue.toFixed(2),
         avgRevenue: avg(groups.optimized.totalRevenue, groups.optimized.count),
+        aiRevenue: groups.optimized.aiRevenue.toFixed(2),
+        avgAIRevenue: avg(groups.optimized.aiRevenue, groups.optimized.count),
       },
       unoptimized: {
         productCount: groups.unoptimized.count,
@@ -309,6 +373,8 @@ router.get('/analytics/comparison', async (req, res) => {
         totalOrders: groups.unoptimized.totalOrders,
         totalRevenue: groups.unoptimized.totalRevenue.toFixed(2),
         avgRevenue: avg(groups.unoptimized.totalRevenue, groups.unoptimized.count),
+        aiRevenue: groups.unoptimized.aiRevenue.toFixed(2),
+        avgAIRevenue: avg(groups.unoptimized.aiRevenue, groups.unoptimized.count),
       },
     });
   } catch (err) {
@@ -326,45 +392,71 @@ router.get('/analytics/funnel', async (req, res) => {
 
     const tz = await getShopTimezone(shop);
     const { start, end } = getPeriodDates(period, tz);
+    const visitFilter = await getVisitFilter(shop, req.query.visits);
 
-    const [botVisits, pixelPageViews, pixelAddToCart, pixelCheckouts, directOrders] = await Promise.all([
+    const pixelMatch = { shop, aiSource: { $ne: null }, createdAt: { $gte: start, $lte: end } };
+    const [botVisits, eventCounts, topSearches, utmSources, directOrders] = await Promise.all([
       AIVisitLog.countDocuments({
         shop, createdAt: { $gte: start, $lte: end },
-        botName: { $nin: ['Human/Unknown', 'Other Bot'] }
-      }),
-      ConversionEvent.countDocuments({
-        shop, eventType: 'page_viewed', aiSource: { $ne: null },
-        createdAt: { $gte: start, $lte: end }
-      }),
-      ConversionEvent.countDocuments({
-        shop, eventType: 'add_to_cart', aiSource: { $ne: null },
-        createdAt: { $gte: start, $lte: end }
-      }),
-      ConversionEvent.countDocuments({
-        shop, eventType: 'checkout_completed', aiSource: { $ne: null },
-        createdAt: { $gte: start, $lte: end }
+        botName: { $nin: ['Human/Unknown', 'Other Bot'] },
+        ...verificationMatch(visitFilter)
       }),
+      // checkout_completed is stored once per line item, so purchases count distinct orders
+      ConversionEvent.aggregate([{ $match: pixelMatch }, FUNNEL_EVENT_GROUP]),
+      ConversionEvent.aggregate([
+        { $match: { ...pixelMatch, eventType: 'search_submitted', searchQuery: { $ne: '' } } },
+        { $group: { _id: { $toLower: '$searchQuery' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+      ]),
+      ConversionEvent.aggregate([
+        { $match: { ...pixelMatch, eventType: 'page_viewed', utmSource: { $nin: ['', null] } } },
+        { $group: { _id: { source: '$utmSource', medium: '$utmMedium' }, count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+      ]),
       OrderRevenue.countDocuments({
         shop, attributionType: 'direct_ai',
         orderCreatedAt: { $gte: start, $lte: end }
       }),
     ]);
 
-    const purchases = Math.max(pixelCheckouts, directOrders);
+    const events = countFunnelEvents(eventCounts);
+    const count = (type) => events[type] || 0;
+    const pixelPageViews = count('page_viewed');
+    const pixelProductViews = count('product_viewed');
+    const pixelAddToCart = count('add_to_cart');
+    const pixelCheckoutStarts = count('checkout_started');
+    const purchases = Math.max(count('checkout_completed'), directOrders);
+    const rate = (num, den, digits = 2) => den ? ((num / den) * 100).toFixed(digits) : (0).toFixed(digits);
 
     res.json({
       period,
+      visits: visitFilter,
       funnel: [
         { stage: 'AI Bot Reads Products', count: botVisits },
         { stage: 'Customer Arrives from AI', count: pixelPageViews },
+        { stage: 'Views Product', count: pixelProductViews },
         { stage: 'Add to Cart', count: pixelAddToCart },
+        { stage: 'Starts Checkout', count: pixelCheckoutStarts },
         { stage: 'Purchase', count: purchases },
       ],
       conversionRates: {
-        botToVisit: botVisits ? ((pixelPageViews / botVisits) * 100).toFixed(2) : '0.00',
-        visitToCart: pixelPageViews ? ((pixelAddToCart / pixelPageViews) * 100).toFixed(2) : '0.00',
-        cartToPurchase: pixelAddToCart ? ((purchases / pixelAddToCart) * 100).toFixed(2) : '0.00',
-        overallConversion: botVisits ? ((purchases / botVisits) * 100).toFixed(4) : '0.0000',
+        botToVisit: rate(pixelPageViews, botVisits),
+        visitToProductView: rate(pixelProductViews, pixelPageViews),
+        productViewToCart: rate(pixelAddToCart, pixelProductViews),
+        visitToCart: rate(pixelAddToCart, pixelPageViews),
+        cartToCheckout: rate(pixelCheckoutStarts, pixelAddToCart),
+        checkoutToPurchase: rate(purchases, pixelCheckoutStarts),
+        cartToPurchase: rate(purchases, pixelAddToCart),
+        overallConversion: rate(purchases, botVisits, 4),
+      },
+      // Browsing by AI-referred visitors outside the main funnel
+      engagement: {
+        collectionViews: count('collection_viewed'),
+        searches: count('search_submitted'),
+        topSearches: topSearches.map(r => ({ query: r._id, count: r.count })),
+        utmSources: utmSources.map(r => ({ source: r._id.source, medium: r._id.medium || '', count: r.count })),
       }
     });
   } catch (err) {
@@ -417,6 +509,146 @@ router.get('/analytics/timeline', async (req, res) => {
   }
 });
 
+// GET /api/analytics/mcp-agents — MCP tool calls per agent (client name/version from initialize)
+router.get('/analytics/mcp-agents', async (req, res) => {
+  try {
+    const shop = (req.query.shop || '').replace(/^https?:\/\//, '').toLowerCase();
+    const period = req.query.period || '30d';
+    if (!shop) return res.status(400).json({ error: 'shop required' });
+
+    const tz = await getShopTimezone(shop);
+    const { start, end } = getPeriodDates(period, tz);
+    const match = { shop, createdAt: { $gte: start, $lte: end } };
+
+    const [agentRows, toolRows, activeSessions] = await Promise.all([
+      McpToolCall.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { client: '$clientName', version: '$clientVersion', tool: '$tool' },
+            calls: { $sum: 1 },
+            errors: { $sum: { $cond: ['$isError', 1, 0] } },
+            totalLatency: { $sum: '$latencyMs' },
+            maxLatency: { $max: '$latencyMs' },
+            bytes: { $sum: '$resultBytes' },
+            sessions: { $addToSet: '$sessionId' },
+            botName: { $last: '$botName' },
+            lastSeen: { $max: '$createdAt' }
+          }
+        }
+      ]),
+      McpToolCall.aggregate([
+        { $match: match },
+        { $group: { _id: '$tool', calls: { $sum: 1 }, errors: { $sum: { $cond: ['$isError', 1, 0] } } } },
+        { $sort: { calls: -1 } }
+      ]),
+      McpSession.countDocuments({ shop, expiresAt: { $gt: new Date() } })
+    ]);
+
+    const agents = summarizeMcpAgents(agentRows);
+    const totalCalls = agents.reduce((sum, a) => sum + a.calls, 0);
+
+    res.json({
+      period,
+      totals: {
+        calls: totalCalls,
+        errors: agents.reduce((sum, a) => sum + a.errors, 0),
+        agents: new Set(agents.map(a => a.clientName)).size,
+        bytes: agents.reduce((sum, a) => sum + a.bytes, 0),
+        activeSessions
+      },
+      agents,
+      tools: toolRows.map(t => ({ tool: t._id, calls: t.calls, errors: t.errors }))
+    });
+  } catch (err) {
+    console.error('[ANALYTICS] mcp-agents error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/analytics/settings — Which AI crawler visits count, the verification mix and
+// the revenue attribution model
+router.get('/analytics/settings', async (req, res) => {
+  try {
+    const shop = (req.query.shop || '').replace(/^https?:\/\//, '').toLowerCase();
+    if (!shop) return res.status(400).json({ error: 'shop required' });
+
+    const since = new Date(Date.now() - 30 * 86400000);
+    const [shopDoc, byStatus] = await Promise.all([
+      Shop.findOne({ shop }).select('analyticsSettings').lean(),
+      AIVisitLog.aggregate([
+        { $match: { shop, createdAt: { $gte: since }, botName: { $nin: ['Human/Unknown', 'Other Bot'] } } },
+        { $group: { _id: { $ifNull: ['$verification', 'unverified'] }, visits: { $sum: 1 } } }
+      ])
+    ]);
+
+    const verification = { verified: 0, unverified: 0, spoofed: 0 };
+    for (const row of byStatus) verification[row._id] = (verification[row._id] || 0) + row.visits;
+    res.json({
+      botVisits: shopDoc?.analyticsSettings?.botVisits || DEFAULT_VISIT_FILTER,
+      options: VISIT_FILTERS,
+      verification,
+      attribution: sanitizeAttributionSettings(shopDoc?.analyticsSettings?.attribution),
+      attributionModels: ATTRIBUTION_MODELS.map(value => ({ value, label: MODEL_LABELS[value] })),
+      maxLookbackDays: MAX_LOOKBACK_DAYS
+    });
+  } catch (err) {
+    console.error('[ANALYTICS] settings error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT /api/analytics/settings — { botVisits?, attribution? } used by the Analytics page and
+// order attribution. Stored orders are re-attributed in the background when either changes.
+router.put('/analytics/settings', async (req, res) => {
+  try {
+    const shop = (req.query.shop || req.body.shop || '').replace(/^https?:\/\//, '').toLowerCase();
+    if (!shop) return res.status(400).json({ error: 'shop required' });
+    const { botVisits, attribution } = req.body || {};
+    if (botVisits === undefined && attribution === undefined) {
+      return res.status(400).json({ error: 'botVisits or attribution required' });
+    }
+    if (botVisits !== undefined && !VISIT_FILTERS.includes(botVisits)) {
+      return res.status(400).json({ error: `botVisits must be one of ${VISIT_FILTERS.join(', ')}` });
+    }
+    if (attribution?.model !== undefined && !ATTRIBUTION_MODELS.includes(attribution.model)) {
+      return res.status(400).json({ error: `model must be one of ${ATTRIBUTION_MODELS.join(', ')}` });
+    }
+
+    const current = await Shop.findOne({ shop }).select('analyticsSettings').lean();
+    const previous = sanitizeAttributionSettings(current?.analyticsSettings?.attribution);
+    const update = {};
+    if (botVisits !== undefined) update['analyticsSettings.botVisits'] = botVisits;
+    const next = attribution !== undefined
+      ? sanitizeAttributionSettings({
+          model: attribution.model ?? previous.model,
+          lookbackDays: { ...previous.lookbackDays, ...(attribution.lookbackDays || {}) }
+        })
+      : previous;
+    if (attribution !== undefined) update['analyticsSettings.attribution'] = next;
+
+    await Shop.updateOne({ shop }, { $set: update });
+
+    // Switching the model only changes which stored result is read; windows and the
+    // bot visit filter change the stored results themselves
+    const lookbackChanged = ATTRIBUTION_MODELS.some(m => next.lookbackDays[m] !== previous.lookbackDays[m]);
+    const visitsChanged = botVisits !== undefined && botVisits !== (current?.analyticsSettings?.botVisits || DEFAULT_VISIT_FILTER);
+    const recomputing = lookbackChanged || visitsChanged;
+    if (recomputing) {
+      recomputeAttribution(shop).catch(err => console.error(`[ANALYTICS] attribution recompute failed for ${shop}:`, err.message));
+    }
+
+    res.json({
+      botVisits: botVisits ?? current?.analyticsSettings?.botVisits ?? DEFAULT_VISIT_FILTER,
+      attribution: next,
+      recomputing
+    });
+  } catch (err) {
+    console.error('[ANALYTICS] settings update error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // POST /api/analytics/sync-orders — Manual order sync trigger
 router.post('/analytics/sync-orders', async (req, res) => {
   try {
@@ -431,6 +663,69 @@ router.post('/analytics/sync-orders', async (req, res) => {
   }
 });
 
+// GET /api/analytics/pixel-ingestion — Accepted and rejected web pixel events per day
+// (?days=7, max 90). Rejections from uninstalled or made-up shops are shown as `unattributed`.
+router.get('/analytics/pixel-ingestion', async (req, res) => {
+  try {
+    const shop = (req.query.shop || '').replace(/^https?:\/\//, '').toLowerCase();
+    if (!shop) return res.status(400).json({ error: 'shop required' });
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+    const since = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+
+    const [rows, unattributed, shopDoc] = await Promise.all([
+      PixelIngestMetric.find({ shop, day: { $gte: since } }).sort({ day: 1 }).lean(),
+      PixelIngestMetric.aggregate([
+        { $match: { shop: '', day: { $gte: since } } },
+        { $group: { _id: '$outcome', count: { $sum: '$count' } } }
+      ]),
+      Shop.findOne({ shop }).select('webPixelId pixelSignedSince pixelConnectAttemptAt pixelConnectError installedAt createdAt').lean(),
+    ]);
+
+    const totals = {};
+    const byDay = {};
+    for (const row of rows) {
+      totals[row.outcome] = (totals[row.outcome] || 0) + row.count;
+      byDay[row.day] = { ...byDay[row.day], [row.outcome]: row.count };
+    }
+    const schemaErrors = rows.filter(r => r.outcome === 'invalid_schema' && r.lastDetail).map(r => ({ day: r.day, detail: r.lastDetail }));
+
+    res.json({
+      days,
+      webPixelId: shopDoc?.webPixelId || null,
+      // signed: the pixel has a secret. Unsigned events are accepted until signingRequiredFrom
+      // either way - a pixel that never gets connected has its events rejected after it
+      signed: Boolean(shopDoc?.pixelSignedSince),
+      signingRequiredFrom: shopDoc
+        ? signingRequiredFrom({ signedSince: shopDoc.pixelSignedSince, installedAt: shopDoc.installedAt || shopDoc.createdAt })
+        : null,
+      lastConnectAttemptAt: shopDoc?.pixelConnectAttemptAt || null,
+      lastConnectError: shopDoc?.pixelConnectError || null,
+      totals,
+      daily: Object.entries(byDay).map(([day, outcomes]) => ({ day, ...outcomes })),
+      recentSchemaErrors: schemaErrors.slice(-5),
+      unattributed: Object.fromEntries(unattributed.map(r => [r._id, r.count])),
+    });
+  } catch (err) {
+    console.error('[ANALYTICS] pixel-ingestion error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/analytics/pixel/connect — (Re)connect the web pixel; { rotate: true } issues a new signing secret
+router.post('/analytics/pixel/connect', async (req, res) => {
+  try {
+    const shop = (req.query.shop || req.body.shop || '').replace(/^https?:\/\//, '').toLowerCase();
+    if (!shop) return res.status(400).json({ error: 'shop required' });
+
+    const appUrl = process.env.APP_URL || `https://${req.headers.host}`;
+    const result = await connectWebPixel(req, shop, appUrl, { rotate: req.body?.rotate === true });
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (err) {
+    console.error('[ANALYTICS] pixel connect error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // --- helpers ---
 
 function countSources(orders) {
@@ -455,4 +750,48 @@ function countPixelSources(events) {
     .sort((a, b) => b.count - a.count);
 }
 
+// Fold per-(agent, version, tool) rows into one row per agent version
+function summarizeMcpAgents(rows) {
+  const agents = new Map();
+  for (const row of rows) {
+    const key = `${row._id.client}\u0000${row._id.version || ''}`;
+    let agent = agents.get(key);
+    if (!agent) {
+      agent = {
+        clientName: row._id.client || 'unknown',
+        clientVersion: row._id.version || null,
+        botName: row.botName || null,
+        calls: 0,
+        errors: 0,
+        totalLatency: 0,
+        maxLatencyMs: 0,
+        bytes: 0,
+        sessionIds: new Set(),
+        tools: {},
+        lastSeen: null
+      };
+      agents.set(key, agent);
+    }
+    agent.calls += row.calls;
+    agent.errors += row.errors;
+    agent.totalLatency += row.totalLatency || 0;
+    agent.maxLatencyMs = Math.max(agent.maxLatencyMs, row.maxLatency || 0);
+    agent.bytes += row.bytes || 0;
+    for (const id of row.sessions) if (id) agent.sessionIds.add(id);
+    agent.tools[row._id.tool] = (agent.tools[row._id.tool] || 0) + row.calls;
+    if (!agent.lastSeen || row.lastSeen > agent.lastSeen) agent.lastSeen = row.lastSeen;
+  }
+
+  return [...agents.values()]
+    .map(({ totalLatency, sessionIds, tools, ...agent }) => ({
+      ...agent,
+      sessions: sessionIds.size,
+      avgLatencyMs: agent.calls ? Math.round(totalLatency / agent.calls) : 0,
+      tools: Object.entries(tools)
+        .map(([tool, calls]) => ({ tool, calls }))
+        .sort((a, b) => b.calls - a.calls)
+    }))
+    .sort((a, b) => b.calls - a.calls);
+}
+
 export default router;
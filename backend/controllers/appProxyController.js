@@ -6,6 +6,7 @@ import fetch from 'node-fetch';
 import Shop from '../db/Shop.js';
 import Subscription from '../db/Subscription.js';
 import Sitemap from '../db/Sitemap.js';
+import SitemapChild from '../db/SitemapChild.js';
 import Product from '../db/Product.js';
 import Collection from '../db/Collection.js';
 import { resolveShopToken } from '../utils/tokenResolver.js';
@@ -13,6 +14,8 @@ import { appProxyAuth } from '../utils/appProxyValidator.js';
 import aiDiscoveryService from '../services/aiDiscoveryService.js';
 import { getGeminiResponse } from '../ai/gemini.js';
 import { createAIAnalyticsMiddleware } from '../middleware/aiAnalytics.js';
+import { createBotAccessMiddleware } from '../middleware/botAccessControl.js';
+import { consumePerMinute } from '../services/rateLimiter.js';
 import { resolveProductDomain } from '../utils/aiProductDomain.js';
 import { extractSharedTaxonomy } from '../utils/aiTaxonomyMapper.js';
 import { extractDomainAttributes } from '../utils/aiAttributeMapper.js';
@@ -20,6 +23,7 @@ import { compactObject } from '../utils/compactObject.js';
 
 const router = express.Router();
 const aiAnalytics = createAIAnalyticsMiddleware('app_proxy');
+const botAccess = createBotAccessMiddleware();
 const API_VERSION = process.env.SHOPIFY_API_VERSION || '2025-07';
 const APP_PROXY_SUBPATH = process.env.APP_PROXY_SUBPATH || 'indexaize';
 
@@ -175,6 +179,18 @@ async function handleSitemapProxy(req, res) {
     // Check if we have cached sitemap
     const cachedSitemap = await Sitemap.findOne({ shop }).select('+content').lean().exec();
     
+    // Sitemap index from the generator - kept current by it, served as is
+    if (cachedSitemap?.content && cachedSitemap.children?.length) {
+      res.set({
+        'Content-Type': 'application/xml; charset=utf-8',
+        'Cache-Control': 'public, max-age=3600',
+        'Last-Modified': new Date(cachedSitemap.patchedAt || cachedSitemap.generatedAt).toUTCString(),
+        'X-Sitemap-Cache': 'HIT',
+        'X-Sitemap-Generated': cachedSitemap.generatedAt
+      });
+      return res.send(cachedSitemap.content);
+    }
+    
     if (cachedSitemap && cachedSitemap.content) {
       // Check if cache is fresh (less than 1 hour old)
       const cacheAge = Date.now() - new Date(cachedSitemap.generatedAt).getTime();
@@ -582,6 +598,58 @@ async function handleSitemapProxy(req, res) {
   }
 }
 
+// Child sitemap listed in the index: /sitemap/products-1.xml, /sitemap/locale-fr-1.xml
+async function handleSitemapChildProxy(req, res) {
+  try {
+    const shop = normalizeShop(req.headers['x-shopify-shop-domain'] || req.query.shop);
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+    
+    const child = await SitemapChild.findOne({ shop, name: req.params.name }).select('+content').lean();
+    if (!child?.content) {
+      return res.status(404).send('Sitemap not found');
+    }
+    
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600',
+      'Last-Modified': new Date(child.generatedAt).toUTCString(),
+      'X-Sitemap-Cache': 'HIT',
+      'X-Sitemap-Urls': String(child.urlCount || 0)
+    });
+    res.send(child.content);
+  } catch (err) {
+    console.error('[APP_PROXY] Child sitemap error:', err);
+    res.status(500).json({ error: 'Failed to serve sitemap' });
+  }
+}
+
+// IndexNow key file (/indexnow/{key}.txt, reached from the storefront's /{key}.txt redirect)
+async function handleIndexNowKeyProxy(req, res) {
+  try {
+    const shop = normalizeShop(req.headers['x-shopify-shop-domain'] || req.query.shop);
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+    
+    const shopDoc = await Shop.findOne({ shop }).select('indexNow.key').lean();
+    const key = shopDoc?.indexNow?.key;
+    if (!key || key !== req.params.key) {
+      return res.status(404).send('Not found');
+    }
+    
+    res.set({
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Cache-Control': 'public, max-age=86400'
+    });
+    res.send(key);
+  } catch (err) {
+    console.error('[APP_PROXY] IndexNow key error:', err);
+    res.status(500).send('Error');
+  }
+}
+
 // Test endpoint to verify controller is working
 router.get('/test', (req, res) => {
   res.json({
@@ -607,6 +675,8 @@ router.get('/debug', (req, res) => {
 // Mount App Proxy routes with HMAC verification
 router.get('/sitemap.xml', appProxyAuth, handleSitemapProxy);
 router.get('/sitemap', appProxyAuth, handleSitemapProxy);
+router.get('/sitemap/:name([a-z0-9-]+).xml', appProxyAuth, handleSitemapChildProxy);
+router.get('/indexnow/:key([a-zA-Z0-9-]+).txt', appProxyAuth, handleIndexNowKeyProxy);
 
 // Debug routes without HMAC verification
 router.get('/debug-sitemap', (req, res) => {
@@ -623,7 +693,7 @@ router.get('/debug-sitemap', (req, res) => {
 // These will be accessible at: https://{shop}.myshopify.com/apps/{APP_PROXY_SUBPATH}/ai/*
 
 // AI Welcome Page
-router.get('/ai/welcome', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/ai/welcome', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   const shop = normalizeShop(req.query.shop);
   
   if (!shop) {
@@ -887,7 +957,7 @@ router.get('/ai/welcome', appProxyAuth, aiAnalytics, async (req, res) => {
 });
 
 // AI Products JSON Feed - Direct implementation (no redirect!)
-router.get('/ai/products.json', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/ai/products.json', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   // Try to get shop from multiple sources
   const shop = normalizeShop(req.query.shop || req.headers['x-shopify-shop-domain']);
   
@@ -1262,7 +1332,8 @@ router.get('/ai/products.json', appProxyAuth, aiAnalytics, async (req, res) => {
       };
     }
 
-    res.set('Cache-Control', 'public, max-age=1800, s-maxage=3600');
+    // Built live from Shopify - keep caches short so product edits show up within minutes
+    res.set('Cache-Control', 'public, max-age=300, s-maxage=300');
     const response = {
       shop,
       generated_at: new Date().toISOString(),
@@ -1280,7 +1351,7 @@ router.get('/ai/products.json', appProxyAuth, aiAnalytics, async (req, res) => {
 });
 
 // AI Collections JSON Feed - Direct implementation (no redirect!)
-router.get('/ai/collections-feed.json', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/ai/collections-feed.json', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   const shop = normalizeShop(req.query.shop);
   
   if (!shop) {
@@ -1400,7 +1471,7 @@ router.get('/ai/collections-feed.json', appProxyAuth, aiAnalytics, async (req, r
 
 // AI Sitemap Feed - Uses the existing sitemap handler
 // Access is determined by whether ANY sitemap has been generated (standard or AI-enhanced)
-router.get('/ai/sitemap-feed.xml', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/ai/sitemap-feed.xml', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   const shop = normalizeShop(req.query.shop);
   
   if (!shop) {
@@ -1432,7 +1503,7 @@ router.get('/ai/sitemap-feed.xml', appProxyAuth, aiAnalytics, async (req, res) =
 });
 
 // AI Store Metadata - Direct implementation (no redirect!)
-router.get('/ai/store-metadata.json', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/ai/store-metadata.json', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   const shop = normalizeShop(req.query.shop);
   
   if (!shop) {
@@ -1569,7 +1640,7 @@ router.get('/ai/store-metadata.json', appProxyAuth, aiAnalytics, async (req, res
 // LLMs.txt endpoint - AI Discovery standard (llmstxt.org)
 // Accessible via: /apps/indexaize/llms.txt
 // ============================================================
-router.get('/llms.txt', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/llms.txt', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   try {
     const shop = normalizeShop(req.headers['x-shopify-shop-domain'] || req.query.shop);
     if (!shop) {
@@ -1596,7 +1667,7 @@ router.get('/llms.txt', appProxyAuth, aiAnalytics, async (req, res) => {
 // LLMs-full.txt endpoint - Extended version with API docs
 // Accessible via: /apps/indexaize/llms-full.txt
 // ============================================================
-router.get('/llms-full.txt', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/llms-full.txt', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   try {
     const shop = normalizeShop(req.headers['x-shopify-shop-domain'] || req.query.shop);
     if (!shop) {
@@ -1623,7 +1694,7 @@ router.get('/llms-full.txt', appProxyAuth, aiAnalytics, async (req, res) => {
 // Schema Data endpoint - all product schemas
 // Accessible via: /apps/indexaize/ai/schema-data.json
 // ============================================================
-router.get('/ai/schema-data.json', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/ai/schema-data.json', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   const shop = normalizeShop(req.headers['x-shopify-shop-domain'] || req.query.shop);
   if (!shop) return res.status(400).json({ error: 'Missing shop parameter' });
 
@@ -1656,7 +1727,7 @@ router.get('/ai/schema-data.json', appProxyAuth, aiAnalytics, async (req, res) =
 // Schema Index - lightweight map of handle → schemaUrl → updatedAt
 // Accessible via: /apps/indexaize/ai/schema-index.json
 // ============================================================
-router.get('/ai/schema-index.json', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/ai/schema-index.json', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   const shop = normalizeShop(req.headers['x-shopify-shop-domain'] || req.query.shop);
   if (!shop) return res.status(400).json({ error: 'Missing shop parameter' });
 
@@ -1725,7 +1796,7 @@ router.get('/ai/schema-index.json', appProxyAuth, aiAnalytics, async (req, res)
 // Per-product Advanced Schema endpoint
 // Accessible via: /apps/indexaize/ai/product/{handle}/schemas.json
 // ============================================================
-router.get('/ai/product/:handle/schemas.json', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/ai/product/:handle/schemas.json', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   const shop = normalizeShop(req.headers['x-shopify-shop-domain'] || req.query.shop);
   if (!shop) return res.status(400).json({ error: 'Missing shop parameter' });
 
@@ -1779,7 +1850,7 @@ router.get('/ai/product/:handle/schemas.json', appProxyAuth, aiAnalytics, async
 // AI Plugin JSON manifest - AI agent discovery
 // Accessible via: /apps/indexaize/.well-known/ai-plugin.json
 // ============================================================
-router.get('/.well-known/ai-plugin.json', appProxyAuth, aiAnalytics, async (req, res) => {
+router.get('/.well-known/ai-plugin.json', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   const shop = normalizeShop(req.headers['x-shopify-shop-domain'] || req.query.shop);
   if (!shop) {
     return res.status(400).json({ error: 'Missing shop parameter' });
@@ -1826,23 +1897,12 @@ router.get('/.well-known/ai-plugin.json', appProxyAuth, aiAnalytics, async (req,
 // ============================================================
 // AI Ask endpoint - AI agents can query the store
 // Accessible via: POST /apps/indexaize/ai/ask
-// Rate limited: 10 req/min per shop
+// Rate limited: 10 req/min per shop (shared counter, services/rateLimiter.js) on top of
+// the shop's bot policy
 // ============================================================
-const askRateLimit = new Map();
+const ASK_LIMIT_PER_MINUTE = 10;
 const askCache = new Map();
 
-function checkAskRateLimit(shop) {
-  const now = Date.now();
-  const limit = askRateLimit.get(shop);
-  if (!limit || now > limit.resetAt) {
-    askRateLimit.set(shop, { count: 1, resetAt: now + 60000 });
-    return true;
-  }
-  if (limit.count >= 10) return false;
-  limit.count++;
-  return true;
-}
-
 function hashQuestion(q) {
   let hash = 0;
   for (let i = 0; i < q.length; i++) {
@@ -1852,7 +1912,7 @@ function hashQuestion(q) {
   return hash.toString(36);
 }
 
-router.post('/ai/ask', appProxyAuth, aiAnalytics, async (req, res) => {
+router.post('/ai/ask', appProxyAuth, aiAnalytics, botAccess, async (req, res) => {
   const shop = normalizeShop(req.headers['x-shopify-shop-domain'] || req.query.shop || req.body?.shop);
   const question = req.body?.question;
 
@@ -1866,8 +1926,10 @@ router.post('/ai/ask', appProxyAuth, aiAnalytics, async (req, res) => {
     return res.status(400).json({ error: 'Question too long (max 500 characters)' });
   }
 
-  if (!checkAskRateLimit(shop)) {
-    return res.status(429).json({ error: 'Rate limit exceeded. Max 10 requests per minute.', retryAfter: 60 });
+  const askLimit = await consumePerMinute(`ask:${shop}`, ASK_LIMIT_PER_MINUTE);
+  if (!askLimit.allowed) {
+    res.set('Retry-After', String(askLimit.retryAfter));
+    return res.status(429).json({ error: `Rate limit exceeded. Max ${ASK_LIMIT_PER_MINUTE} requests per minute.`, retryAfter: askLimit.retryAfter });
   }
 
   // Check cache
@@ -0,0 +1,424 @@
+// backend/controllers/contentSeoController.js
+// Router: mounted at /api/seo/content
+// Route(s):
+//   GET  /api/seo/content/list?type=article|page&cursor= (Shopify list + optimized languages)
+//   POST /api/seo/content/generate ({ type, id, language, articleType } - AI preview, metered)
+//   POST /api/seo/content/apply ({ type, id, language, seo, articleType } - write to Shopify)
+//
+// SEO for blog articles and online store pages: title tag, meta description, excerpt and
+// FAQ, plus BlogPosting/Article/WebPage JSON-LD. The primary language goes to the
+// global.title_tag / global.description_tag metafields (and the article summary);
+// other languages are registered as translations. Every language is also kept in the
+// seo_ai.seo__{lang} metafield and in db/ContentSeo.js for llms.txt and the sitemap.
+
+import { Router } from 'express';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import Subscription from '../db/Subscription.js';
+import TokenBalance from '../db/TokenBalance.js';
+import ContentSeo from '../db/ContentSeo.js';
+import { requiresTokens, isBlockedInTrial, estimateTokensWithMargin, calculateActualTokens } from '../billing/tokenConfig.js';
+import { checkSpendingCaps, spendingCapResponse } from '../utils/spendingCaps.js';
+import { chatCompletion, parseJsonContent } from '../ai/provider.js';
+import { shopGraphQL } from './seoController.js';
+import {
+  CONTENT_TYPES,
+  CONTENT_FEATURES,
+  ARTICLE_SCHEMA_TYPES,
+  contentPath,
+  buildContentSeoPrompt,
+  sanitizeContentSeo,
+  buildContentJsonLd,
+} from '../utils/contentSeo.js';
+
+const router = Router();
+
+const MODEL = 'google/gemini-2.5-flash-lite';
+const PAGE_SIZE = 50;
+
+const Q_LIST = {
+  article: `
+    query($first: Int!, $after: String) {
+      items: articles(first: $first, after: $after, sortKey: UPDATED_AT, reverse: true) {
+        nodes { id title handle isPublished publishedAt updatedAt blog { title handle } }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `,
+  page: `
+    query($first: Int!, $after: String) {
+      items: pages(first: $first, after: $after, sortKey: UPDATED_AT, reverse: true) {
+        nodes { id title handle isPublished publishedAt updatedAt }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  `
+};
+
+const Q_CONTENT = {
+  article: `
+    query($id: ID!) {
+      item: article(id: $id) {
+        id title handle body summary tags isPublished publishedAt updatedAt
+        author { name }
+        image { url }
+        blog { title handle }
+      }
+    }
+  `,
+  page: `
+    query($id: ID!) {
+      item: page(id: $id) { id title handle body isPublished publishedAt updatedAt }
+    }
+  `
+};
+
+const Q_SHOP_CONTEXT = `
+  query {
+    shop { name primaryDomain { url } }
+    shopLocales { locale primary published }
+  }
+`;
+
+const Q_TRANSLATABLE = `
+  query($id: ID!) {
+    translatableResource(resourceId: $id) {
+      translatableContent { key digest locale }
+    }
+  }
+`;
+
+const M_METAFIELDS_SET = `
+  mutation($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields { id key namespace }
+      userErrors { field message }
+    }
+  }
+`;
+
+const M_ARTICLE_SUMMARY = `
+  mutation($id: ID!, $summary: String!) {
+    articleUpdate(id: $id, article: { summary: $summary }) {
+      article { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const M_TRANSLATIONS_REGISTER = `
+  mutation($resourceId: ID!, $translations: [TranslationInput!]!) {
+    translationsRegister(resourceId: $resourceId, translations: $translations) {
+      translations { key locale }
+      userErrors { field message code }
+    }
+  }
+`;
+
+function httpError(status, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  Object.assign(e, extra);
+  return e;
+}
+
+function assertType(type) {
+  if (!CONTENT_TYPES.includes(type)) {
+    throw httpError(400, "type must be 'article' or 'page'");
+  }
+}
+
+function escapeHtml(s = '') {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+async function loadContent(req, shop, type, id) {
+  const data = await shopGraphQL(req, shop, Q_CONTENT[type], { id });
+  if (!data?.item?.handle) throw httpError(404, type === 'article' ? 'Article not found' : 'Page not found');
+  return data.item;
+}
+
+// Shop name/domain and the published locale matching `language` (exact, then by base language)
+async function loadShopContext(req, shop, language) {
+  const data = await shopGraphQL(req, shop, Q_SHOP_CONTEXT);
+  const locales = (data?.shopLocales || []).filter(l => l && (l.published || l.primary));
+  const lang = String(language || '').toLowerCase();
+  const target = locales.find(l => l.locale.toLowerCase() === lang)
+    || locales.find(l => l.locale.toLowerCase().split('-')[0] === lang.split('-')[0]);
+  if (!target) throw httpError(400, `Language ${language} is not published in this store`);
+
+  const domain = (data?.shop?.primaryDomain?.url || `https://${shop}`).replace(/\/+$/, '');
+  return { locale: target.locale, primary: !!target.primary, domain, shopName: data?.shop?.name || shop };
+}
+
+function jsonLdFor(type, item, seo, ctx, articleType) {
+  const path = contentPath({ resource: type, handle: item.handle, blogHandle: item.blog?.handle });
+  return buildContentJsonLd({
+    resource: type,
+    url: `${ctx.domain}${path}`,
+    seo,
+    language: ctx.locale,
+    articleType,
+    author: item.author?.name,
+    image: item.image?.url,
+    publishedAt: item.publishedAt,
+    updatedAt: item.updatedAt,
+    publisher: { name: ctx.shopName, url: ctx.domain },
+    blog: item.blog ? { title: item.blog.title, url: `${ctx.domain}/blogs/${item.blog.handle}` } : undefined
+  });
+}
+
+// Same trial / balance / spending-cap rules as the product and collection optimizers.
+// Returns a reservation to finalize, or throws a 402 carrying the modal fields.
+async function reserveContentTokens(shop, feature, meta) {
+  if (!requiresTokens(feature)) return null;
+
+  const subscription = await Subscription.findOne({ shop });
+  const tokenBalance = await TokenBalance.getOrCreate(shop);
+  const tokenEstimate = estimateTokensWithMargin(feature, { languages: 1 });
+
+  const planKey = (subscription?.plan || 'starter').toLowerCase().replace(/\s+/g, '_');
+  const hasIncludedTokens = ['growth_extra', 'enterprise'].includes(planKey);
+  const inTrial = subscription?.trialEndsAt && new Date() < new Date(subscription.trialEndsAt);
+  const isActivated = !!subscription?.activatedAt;
+  const hasPurchasedTokens = tokenBalance.totalPurchased > 0;
+
+  if (hasIncludedTokens && inTrial && !isActivated && !hasPurchasedTokens && isBlockedInTrial(feature)) {
+    throw httpError(402, 'AI content optimization is locked during trial period', {
+      trialRestriction: true,
+      requiresActivation: true,
+      trialEndsAt: subscription.trialEndsAt,
+      currentPlan: subscription.plan,
+      feature,
+      tokensRequired: tokenEstimate.withMargin,
+      tokensAvailable: tokenBalance.balance,
+      tokensNeeded: Math.max(0, tokenEstimate.withMargin - tokenBalance.balance),
+      message: 'Activate your plan to unlock AI content optimization with included tokens'
+    });
+  }
+
+  if (!tokenBalance.hasBalance(tokenEstimate.withMargin)) {
+    throw httpError(402, 'Insufficient token balance', {
+      requiresPurchase: true,
+      currentPlan: planKey,
+      feature,
+      tokensRequired: tokenEstimate.withMargin,
+      tokensAvailable: tokenBalance.balance,
+      tokensNeeded: tokenEstimate.withMargin - tokenBalance.balance,
+      message: 'You need more tokens to use this feature'
+    });
+  }
+
+  const capViolation = checkSpendingCaps(tokenBalance, tokenEstimate.withMargin);
+  if (capViolation) {
+    const body = spendingCapResponse(capViolation, feature);
+    throw httpError(402, body.message, body);
+  }
+
+  const reservation = tokenBalance.reserveTokens(tokenEstimate.withMargin, feature, meta);
+  await reservation.save();
+  return reservation;
+}
+
+/**
+ * Generate SEO for one article/page in one language. Nothing is written to Shopify.
+ * @returns {{ seo, jsonLd, tokensUsed }}
+ */
+export async function generateContentSeo(req, shop, { type, id, language, articleType = 'BlogPosting' }) {
+  assertType(type);
+  const [item, ctx] = await Promise.all([
+    loadContent(req, shop, type, id),
+    loadShopContext(req, shop, language)
+  ]);
+
+  const feature = CONTENT_FEATURES[type];
+  const reservation = await reserveContentTokens(shop, feature, { resourceId: id, language: ctx.locale });
+
+  let tokensUsed = 0;
+  let seo;
+  try {
+    const messages = buildContentSeoPrompt({
+      resource: type,
+      language: ctx.locale,
+      title: item.title,
+      bodyHtml: item.body,
+      summary: item.summary,
+      blogTitle: item.blog?.title,
+      tags: item.tags || []
+    });
+    const { content, usage } = await chatCompletion({ model: MODEL, messages, json: true });
+    tokensUsed = calculateActualTokens(usage).totalTokens;
+    seo = sanitizeContentSeo(parseJsonContent(content), { title: item.title, bodyHtml: item.body });
+  } finally {
+    if (reservation) {
+      // Refunds the whole reservation when the call failed
+      const balance = await TokenBalance.getOrCreate(shop);
+      await balance.finalizeReservation(reservation.reservationId, tokensUsed);
+    }
+  }
+
+  console.log(`[CONTENT-SEO] ${shop} generated ${type} ${id} (${ctx.locale}, ${tokensUsed} tokens)`);
+  return { seo, jsonLd: jsonLdFor(type, item, seo, ctx, articleType), tokensUsed };
+}
+
+/**
+ * Write (possibly merchant-edited) SEO for one article/page and language to Shopify.
+ * @returns {{ language, primary, path, jsonLd }}
+ */
+export async function applyContentSeo(req, shop, { type, id, language, seo: rawSeo, articleType = 'BlogPosting' }) {
+  assertType(type);
+  if (!rawSeo || typeof rawSeo !== 'object') throw httpError(400, 'seo is required');
+
+  const [item, ctx] = await Promise.all([
+    loadContent(req, shop, type, id),
+    loadShopContext(req, shop, language)
+  ]);
+  const seo = sanitizeContentSeo(rawSeo, { title: item.title, bodyHtml: item.body });
+  const jsonLd = jsonLdFor(type, item, seo, ctx, articleType);
+  const lang = ctx.locale.toLowerCase();
+
+  const metafields = [{
+    ownerId: id,
+    namespace: 'seo_ai',
+    key: `seo__${lang}`,
+    type: 'json',
+    value: JSON.stringify({ ...seo, jsonLd, updatedAt: new Date().toISOString() })
+  }];
+
+  if (ctx.primary) {
+    metafields.push(
+      { ownerId: id, namespace: 'global', key: 'title_tag', type: 'single_line_text_field', value: seo.title },
+      { ownerId: id, namespace: 'global', key: 'description_tag', type: 'multi_line_text_field', value: seo.metaDescription },
+      { ownerId: id, namespace: 'custom', key: 'json_ld', type: 'json', value: JSON.stringify(jsonLd) }
+    );
+    if (type === 'article' && seo.excerpt) {
+      await shopGraphQL(req, shop, M_ARTICLE_SUMMARY, { id, summary: `<p>${escapeHtml(seo.excerpt)}</p>` });
+    }
+  } else {
+    const data = await shopGraphQL(req, shop, Q_TRANSLATABLE, { id });
+    const digests = Object.fromEntries(
+      (data?.translatableResource?.translatableContent || []).map(c => [c.key, c.digest])
+    );
+    const values = {
+      meta_title: seo.title,
+      meta_description: seo.metaDescription,
+      ...(type === 'article' && seo.excerpt ? { summary_html: `<p>${escapeHtml(seo.excerpt)}</p>` } : {})
+    };
+    // Shopify only accepts a translation for keys that have primary content (a digest)
+    const translations = Object.entries(values)
+      .filter(([key, value]) => value && digests[key])
+      .map(([key, value]) => ({ locale: ctx.locale, key, value, translatableContentDigest: digests[key] }));
+    if (translations.length) {
+      await shopGraphQL(req, shop, M_TRANSLATIONS_REGISTER, { resourceId: id, translations });
+    }
+  }
+
+  await shopGraphQL(req, shop, M_METAFIELDS_SET, { metafields });
+
+  const path = contentPath({ resource: type, handle: item.handle, blogHandle: item.blog?.handle });
+  await ContentSeo.updateOne(
+    { shop, resourceId: id },
+    {
+      $set: {
+        resource: type,
+        handle: item.handle,
+        blogHandle: item.blog?.handle || null,
+        path,
+        title: item.title,
+        published: item.isPublished !== false,
+        [`seo.${lang}`]: { ...seo, updatedAt: new Date() },
+        ...(ctx.primary ? { jsonLd, primaryLanguage: lang } : {}),
+        updatedAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+
+  try {
+    const { default: cacheService } = await import('../services/cacheService.js');
+    await cacheService.invalidateShop(shop);
+  } catch (cacheError) {
+    console.error('[CONTENT-SEO] Cache invalidation error:', cacheError.message);
+  }
+
+  console.log(`[CONTENT-SEO] ${shop} applied ${type} ${id} (${ctx.locale}${ctx.primary ? ', primary' : ''})`);
+  return { language: ctx.locale, primary: ctx.primary, path, jsonLd };
+}
+
+// GET /api/seo/content/list?type=article|page&cursor=
+router.get('/list', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const type = req.query.type || 'article';
+    assertType(type);
+
+    const data = await shopGraphQL(req, shop, Q_LIST[type], { first: PAGE_SIZE, after: req.query.cursor || null });
+    const nodes = data?.items?.nodes || [];
+    const docs = await ContentSeo.find({ shop, resourceId: { $in: nodes.map(n => n.id) } }).lean();
+    const byId = new Map(docs.map(d => [d.resourceId, d]));
+
+    const items = nodes.map(n => {
+      const doc = byId.get(n.id);
+      return {
+        id: n.id,
+        title: n.title,
+        handle: n.handle,
+        blog: n.blog || null,
+        path: contentPath({ resource: type, handle: n.handle, blogHandle: n.blog?.handle }),
+        published: !!n.isPublished,
+        updatedAt: n.updatedAt,
+        optimizedLanguages: Object.keys(doc?.seo || {}),
+        optimizedAt: doc?.updatedAt || null
+      };
+    });
+
+    return res.json({
+      type,
+      items,
+      pageInfo: data?.items?.pageInfo || { hasNextPage: false, endCursor: null },
+      articleTypes: ARTICLE_SCHEMA_TYPES
+    });
+  } catch (err) {
+    console.error('GET /api/seo/content/list error:', err);
+    return res.status(err.status || 500).json({ error: err.message || 'Failed to load content' });
+  }
+});
+
+// POST /api/seo/content/generate
+// Body: { type: 'article' | 'page', id, language, articleType? }
+router.post('/generate', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { type, id, language, articleType } = req.body || {};
+    if (!id || !language) {
+      return res.status(400).json({ error: 'id and language are required' });
+    }
+
+    const result = await generateContentSeo(req, shop, { type, id, language, articleType });
+    return res.json(result);
+  } catch (err) {
+    console.error('POST /api/seo/content/generate error:', err);
+    // 402s carry the fields the token / trial / spending-cap modals need
+    const { status, stack, ...extra } = err;
+    return res.status(status || 500).json({ ...extra, error: err.message || 'Failed to generate SEO', message: err.message });
+  }
+});
+
+// POST /api/seo/content/apply
+// Body: { type, id, language, seo: { title, metaDescription, excerpt, faq }, articleType? }
+router.post('/apply', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { type, id, language, seo, articleType } = req.body || {};
+    if (!id || !language) {
+      return res.status(400).json({ error: 'id and language are required' });
+    }
+
+    const result = await applyContentSeo(req, shop, { type, id, language, seo, articleType });
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('POST /api/seo/content/apply error:', err);
+    return res.status(err.status || 500).json({ error: err.message || 'Failed to apply SEO' });
+  }
+});
+
+export default router;
@@ -0,0 +1,461 @@
+// backend/controllers/handleController.js
+// Router: mounted at /api/seo/handles
+// Route(s):
+//   POST /api/seo/handles/check ({ resource, items: [{ id, handle }] } - collisions + redirect preview)
+//   POST /api/seo/handles/apply ({ resource, id, handle } - change one handle now)
+//   POST /api/seo/handles/apply-batch ({ resource, items: [{ id, handle, title }] } - background job)
+//   GET  /api/seo/handles/job-status
+//   GET  /api/seo/handles/changes (history, optional ?resourceId=&status=)
+//   POST /api/seo/handles/changes/:id/revert
+//
+// "Apply slug" is opt-in: the generated SEO slug only becomes the handle through these
+// routes. Shopify's own redirectNewHandle covers just the root path, so we create the
+// redirects ourselves - one per locale/market prefix - and keep them in db/HandleChange.js
+// for revert. The products/collections webhooks then refresh the sitemap and IndexNow.
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import HandleChange from '../db/HandleChange.js';
+import handleChangeQueue from '../services/handleChangeQueue.js';
+import { shopGraphQL } from './seoController.js';
+import {
+  RESOURCE_PATHS,
+  normalizeHandle,
+  redirectPrefixes,
+  buildRedirectPlan,
+  handleCandidates,
+} from '../utils/handleChange.js';
+
+const router = Router();
+
+const MAX_BATCH = 250;
+
+const Q_RESOURCE = `
+  query($id: ID!) {
+    node(id: $id) {
+      ... on Product { id handle title }
+      ... on Collection { id handle title }
+    }
+  }
+`;
+
+const Q_HANDLE_OWNER = {
+  product: `query($handle: String!) { owner: productByIdentifier(identifier: { handle: $handle }) { id title } }`,
+  collection: `query($handle: String!) { owner: collectionByIdentifier(identifier: { handle: $handle }) { id title } }`
+};
+
+const Q_STOREFRONT_ROOTS = `
+  query {
+    shopLocales { locale primary published }
+    markets(first: 50) {
+      nodes {
+        primary
+        enabled
+        webPresence { rootUrls { locale url } }
+      }
+    }
+  }
+`;
+
+const Q_REDIRECTS_AT = `
+  query($query: String!) {
+    urlRedirects(first: 10, query: $query) { nodes { id path target } }
+  }
+`;
+
+const M_HANDLE_UPDATE = {
+  product: `
+    mutation($id: ID!, $handle: String!) {
+      resourceUpdate: productUpdate(product: { id: $id, handle: $handle, redirectNewHandle: false }) {
+        resource: product { id handle }
+        userErrors { field message }
+      }
+    }
+  `,
+  collection: `
+    mutation($id: ID!, $handle: String!) {
+      resourceUpdate: collectionUpdate(input: { id: $id, handle: $handle, redirectNewHandle: false }) {
+        resource: collection { id handle }
+        userErrors { field message }
+      }
+    }
+  `
+};
+
+const M_REDIRECT_CREATE = `
+  mutation($path: String!, $target: String!) {
+    urlRedirectCreate(urlRedirect: { path: $path, target: $target }) {
+      urlRedirect { id path target }
+      userErrors { field message }
+    }
+  }
+`;
+
+const M_REDIRECT_UPDATE = `
+  mutation($id: ID!, $target: String!) {
+    urlRedirectUpdate(id: $id, urlRedirect: { target: $target }) {
+      urlRedirect { id target }
+      userErrors { field message }
+    }
+  }
+`;
+
+const M_REDIRECT_DELETE = `
+  mutation($id: ID!) {
+    urlRedirectDelete(id: $id) {
+      deletedUrlRedirectId
+      userErrors { field message }
+    }
+  }
+`;
+
+function httpError(status, message, extra = {}) {
+  const e = new Error(message);
+  e.status = status;
+  Object.assign(e, extra);
+  return e;
+}
+
+function assertResource(resource) {
+  if (!RESOURCE_PATHS[resource]) {
+    throw httpError(400, "resource must be 'product' or 'collection'");
+  }
+}
+
+async function loadResource(req, shop, id) {
+  const data = await shopGraphQL(req, shop, Q_RESOURCE, { id });
+  if (!data?.node?.handle) throw httpError(404, 'Product or collection not found');
+  return data.node;
+}
+
+async function handleOwner(req, shop, resource, handle) {
+  const data = await shopGraphQL(req, shop, Q_HANDLE_OWNER[resource], { handle });
+  return data?.owner || null;
+}
+
+// First free "-2", "-3", ... variant of a taken handle, null if none of them is free
+async function suggestHandle(req, shop, resource, handle) {
+  for (const candidate of handleCandidates(handle)) {
+    if (!await handleOwner(req, shop, resource, candidate)) return candidate;
+  }
+  return null;
+}
+
+async function loadRedirectPrefixes(req, shop) {
+  try {
+    const data = await shopGraphQL(req, shop, Q_STOREFRONT_ROOTS);
+    return redirectPrefixes({
+      locales: data?.shopLocales || [],
+      markets: (data?.markets?.nodes || []).map(m => ({
+        primary: m.primary,
+        enabled: m.enabled,
+        rootUrls: m.webPresence?.rootUrls || []
+      }))
+    });
+  } catch (error) {
+    console.error('[HANDLES] Could not load locales/markets, redirecting the root path only:', error.message);
+    return [''];
+  }
+}
+
+async function redirectAt(req, shop, path) {
+  const data = await shopGraphQL(req, shop, Q_REDIRECTS_AT, { query: `path:${JSON.stringify(path)}` });
+  return (data?.urlRedirects?.nodes || []).find(r => r.path === path) || null;
+}
+
+/**
+ * Check a proposed handle without changing anything.
+ * @returns {{ id, title, currentHandle, handle, status: 'ok'|'unchanged'|'invalid'|'taken', takenBy?, suggestion?, redirects? }}
+ */
+async function checkHandle(req, shop, resource, { id, handle }, prefixes) {
+  const current = await loadResource(req, shop, id);
+  const proposed = normalizeHandle(handle);
+  const base = { id, title: current.title, currentHandle: current.handle, handle: proposed };
+
+  if (!proposed) return { ...base, status: 'invalid' };
+  if (proposed === current.handle) return { ...base, status: 'unchanged' };
+
+  const owner = await handleOwner(req, shop, resource, proposed);
+  if (owner && owner.id !== id) {
+    return {
+      ...base,
+      status: 'taken',
+      takenBy: { id: owner.id, title: owner.title },
+      suggestion: await suggestHandle(req, shop, resource, proposed)
+    };
+  }
+
+  return {
+    ...base,
+    status: 'ok',
+    redirects: buildRedirectPlan({ resource, oldHandle: current.handle, newHandle: proposed, prefixes })
+  };
+}
+
+/**
+ * Change a product/collection handle and redirect the old path under every locale and
+ * market prefix. A redirect that already exists at an old path is re-pointed (its target
+ * is kept for revert). Throws 409 when the handle is taken by another resource.
+ * @param {Object|null} req - null from background jobs (offline token)
+ * @param {string} shop
+ * @param {Object} input
+ * @param {'product'|'collection'} input.resource
+ * @param {string} input.id - GID
+ * @param {string} input.handle - proposed handle (normalized here)
+ * @param {string} [input.jobId]
+ * @returns {Promise<{ changed: boolean, reason?: string, change?: Object }>}
+ */
+export async function applyHandleChange(req, shop, { resource, id, handle, jobId = null }) {
+  assertResource(resource);
+  const prefixes = await loadRedirectPrefixes(req, shop);
+  const check = await checkHandle(req, shop, resource, { id, handle }, prefixes);
+
+  if (check.status === 'invalid') throw httpError(400, 'Handle is empty after normalizing');
+  if (check.status === 'unchanged') return { changed: false, reason: 'handle unchanged' };
+  if (check.status === 'taken') {
+    throw httpError(409, `Handle "${check.handle}" is already used by ${check.takenBy.title || check.takenBy.id}`, {
+      suggestion: check.suggestion
+    });
+  }
+
+  const data = await shopGraphQL(req, shop, M_HANDLE_UPDATE[resource], { id, handle: check.handle });
+  const updated = data?.resourceUpdate?.resource;
+  if (updated?.handle !== check.handle) {
+    // "has already been taken" is not thrown by shopGraphQL - the handle just stays
+    throw httpError(409, `Handle "${check.handle}" could not be set (taken meanwhile?)`);
+  }
+
+  const redirects = [];
+  for (const { path, target } of check.redirects) {
+    try {
+      const existing = await redirectAt(req, shop, path);
+      if (existing) {
+        await shopGraphQL(req, shop, M_REDIRECT_UPDATE, { id: existing.id, target });
+        redirects.push({ id: existing.id, path, target, previousTarget: existing.target });
+      } else {
+        const created = await shopGraphQL(req, shop, M_REDIRECT_CREATE, { path, target });
+        const redirect = created?.urlRedirectCreate?.urlRedirect;
+        redirects.push({ id: redirect?.id || null, path, target, error: redirect ? null : 'Redirect was not created' });
+      }
+    } catch (error) {
+      console.error(`[HANDLES] Redirect ${path} → ${target} failed:`, error.message);
+      redirects.push({ id: null, path, target, error: error.message });
+    }
+  }
+
+  const change = await HandleChange.create({
+    shop,
+    resource,
+    resourceId: id,
+    title: check.title,
+    oldHandle: check.currentHandle,
+    newHandle: check.handle,
+    redirects,
+    jobId
+  });
+
+  try {
+    const { default: cacheService } = await import('../services/cacheService.js');
+    await cacheService.invalidateShop(shop);
+  } catch (cacheError) {
+    console.error('[HANDLES] Cache invalidation error:', cacheError.message);
+  }
+
+  console.log(`[HANDLES] ${shop}: ${resource} ${check.currentHandle} → ${check.handle} (${redirects.filter(r => !r.error).length}/${redirects.length} redirects)`);
+  return { changed: true, change: change.toObject() };
+}
+
+/**
+ * Undo an applied handle change: remove (or re-point) its redirects, then set the old
+ * handle again. Refused when the handle was changed since or the old one is taken now.
+ */
+export async function revertHandleChange(req, shop, changeId) {
+  const change = await HandleChange.findOne({ _id: changeId, shop });
+  if (!change) throw httpError(404, 'Handle change not found');
+  if (change.status !== 'applied') throw httpError(409, 'Handle change was already reverted');
+
+  const current = await loadResource(req, shop, change.resourceId);
+  if (current.handle !== change.newHandle) {
+    throw httpError(409, `Handle is now "${current.handle}" - it was changed after this update`);
+  }
+  const owner = await handleOwner(req, shop, change.resource, change.oldHandle);
+  if (owner && owner.id !== change.resourceId) {
+    throw httpError(409, `Old handle "${change.oldHandle}" is now used by ${owner.title || owner.id}`);
+  }
+
+  for (const redirect of change.redirects) {
+    if (!redirect.id) continue;
+    try {
+      if (redirect.previousTarget) {
+        await shopGraphQL(req, shop, M_REDIRECT_UPDATE, { id: redirect.id, target: redirect.previousTarget });
+      } else {
+        await shopGraphQL(req, shop, M_REDIRECT_DELETE, { id: redirect.id });
+      }
+    } catch (error) {
+      // Already deleted in the admin - nothing left to undo
+      console.warn(`[HANDLES] Could not revert redirect ${redirect.path}:`, error.message);
+    }
+  }
+
+  const data = await shopGraphQL(req, shop, M_HANDLE_UPDATE[change.resource], { id: change.resourceId, handle: change.oldHandle });
+  if (data?.resourceUpdate?.resource?.handle !== change.oldHandle) {
+    throw httpError(409, `Handle "${change.oldHandle}" could not be restored`);
+  }
+
+  change.status = 'reverted';
+  change.revertedAt = new Date();
+  await change.save();
+
+  try {
+    const { default: cacheService } = await import('../services/cacheService.js');
+    await cacheService.invalidateShop(shop);
+  } catch (cacheError) {
+    console.error('[HANDLES] Cache invalidation error:', cacheError.message);
+  }
+
+  return change.toObject();
+}
+
+function formatChange(c) {
+  return {
+    id: String(c._id),
+    resource: c.resource,
+    resourceId: c.resourceId,
+    title: c.title,
+    oldHandle: c.oldHandle,
+    newHandle: c.newHandle,
+    redirects: c.redirects || [],
+    status: c.status,
+    jobId: c.jobId,
+    createdAt: c.createdAt,
+    revertedAt: c.revertedAt
+  };
+}
+
+// POST /api/seo/handles/check
+// Body: { resource: 'product' | 'collection', items: [{ id, handle }] }
+router.post('/check', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { resource = 'product', items = [] } = req.body || {};
+    assertResource(resource);
+    if (!Array.isArray(items) || !items.length || items.length > 100) {
+      return res.status(400).json({ error: 'items must contain 1-100 entries' });
+    }
+
+    const prefixes = await loadRedirectPrefixes(req, shop);
+    const results = [];
+    for (const item of items) {
+      try {
+        results.push(await checkHandle(req, shop, resource, item, prefixes));
+      } catch (error) {
+        results.push({ id: item.id, handle: normalizeHandle(item.handle), status: 'error', error: error.message });
+      }
+    }
+
+    return res.json({ results, prefixes });
+  } catch (err) {
+    console.error('POST /api/seo/handles/check error:', err);
+    return res.status(err.status || 500).json({ error: err.message || 'Failed to check handles' });
+  }
+});
+
+// POST /api/seo/handles/apply
+// Body: { resource, id, handle }
+router.post('/apply', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { resource = 'product', id, handle } = req.body || {};
+    if (!id || !handle) {
+      return res.status(400).json({ error: 'id and handle are required' });
+    }
+
+    const result = await applyHandleChange(req, shop, { resource, id, handle });
+    return res.json({
+      changed: result.changed,
+      reason: result.reason || null,
+      change: result.change ? formatChange(result.change) : null
+    });
+  } catch (err) {
+    console.error('POST /api/seo/handles/apply error:', err);
+    return res.status(err.status || 500).json({
+      error: err.message || 'Failed to apply handle',
+      suggestion: err.suggestion || null
+    });
+  }
+});
+
+// POST /api/seo/handles/apply-batch
+// Body: { resource, items: [{ id, handle, title }] }
+router.post('/apply-batch', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { resource = 'product', items = [] } = req.body || {};
+    assertResource(resource);
+    const valid = (Array.isArray(items) ? items : [])
+      .filter(item => item?.id && normalizeHandle(item.handle))
+      .map(item => ({ resource, id: item.id, handle: normalizeHandle(item.handle), title: item.title || '' }));
+    if (!valid.length) {
+      return res.status(400).json({ error: 'No items with a handle to apply' });
+    }
+    if (valid.length > MAX_BATCH) {
+      return res.status(400).json({ error: `At most ${MAX_BATCH} handles per batch` });
+    }
+
+    const result = await handleChangeQueue.addJob(shop, valid);
+    return res.json(result);
+  } catch (err) {
+    console.error('POST /api/seo/handles/apply-batch error:', err);
+    return res.status(err.status || 500).json({ error: err.message || 'Failed to queue handle changes' });
+  }
+});
+
+// GET /api/seo/handles/job-status
+router.get('/job-status', validateRequest(), async (req, res) => {
+  try {
+    return res.json(await handleChangeQueue.getJobStatus(req.shopDomain));
+  } catch (err) {
+    console.error('GET /api/seo/handles/job-status error:', err);
+    return res.status(500).json({ error: 'Failed to get job status' });
+  }
+});
+
+// GET /api/seo/handles/changes?resourceId=&status=&limit=50
+router.get('/changes', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 250);
+    const filter = { shop };
+    if (req.query.resourceId) filter.resourceId = String(req.query.resourceId);
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const [changes, total] = await Promise.all([
+      HandleChange.find(filter).sort({ createdAt: -1 }).limit(limit).lean(),
+      HandleChange.countDocuments(filter)
+    ]);
+
+    return res.json({ changes: changes.map(formatChange), total });
+  } catch (err) {
+    console.error('GET /api/seo/handles/changes error:', err);
+    return res.status(500).json({ error: 'Failed to load handle changes' });
+  }
+});
+
+// POST /api/seo/handles/changes/:id/revert
+router.post('/changes/:id/revert', validateRequest(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid change id' });
+    }
+
+    const change = await revertHandleChange(req, req.shopDomain, id);
+    return res.json({ change: formatChange(change) });
+  } catch (err) {
+    console.error('POST /api/seo/handles/changes/:id/revert error:', err);
+    return res.status(err.status || 500).json({ error: err.message || 'Failed to revert handle change' });
+  }
+});
+
+export default router;
@@ -0,0 +1,122 @@
+// backend/controllers/machineTranslationController.js
+// Router: mounted at /api/seo/translations
+// Route(s):
+//   GET  /api/seo/translations (machine translations, optional ?status=unreviewed|approved|rejected)
+//   POST /api/seo/translations/:id/review ({ status: 'approved' | 'rejected' })
+//
+// Entries are written by translateProductForLanguage ("translate then optimize", see
+// db/MachineTranslation.js). Rejecting removes the registered translations from Shopify,
+// except keys the merchant has edited since.
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import MachineTranslation from '../db/MachineTranslation.js';
+import { shopGraphQL } from './seoController.js';
+
+const router = Router();
+
+const Q_CURRENT_TRANSLATIONS = `
+  query($id: ID!, $locale: String!) {
+    translatableResource(resourceId: $id) {
+      translations(locale: $locale) { key value }
+    }
+  }
+`;
+
+const M_TRANSLATIONS_REMOVE = `
+  mutation($resourceId: ID!, $translationKeys: [String!]!, $locales: [String!]!) {
+    translationsRemove(resourceId: $resourceId, translationKeys: $translationKeys, locales: $locales) {
+      translations { key locale }
+      userErrors { field message }
+    }
+  }
+`;
+
+function formatTranslation(t) {
+  return {
+    id: String(t._id),
+    productId: t.productId,
+    productTitle: t.productTitle,
+    locale: t.locale,
+    sourceLocale: t.sourceLocale,
+    fields: t.fields || {},
+    model: t.model,
+    tokensUsed: t.tokensUsed,
+    jobId: t.jobId,
+    status: t.status,
+    reviewedAt: t.reviewedAt,
+    updatedAt: t.updatedAt
+  };
+}
+
+// GET /api/seo/translations?status=unreviewed&limit=50
+router.get('/', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const status = String(req.query.status || 'unreviewed');
+    const limit = Math.min(parseInt(req.query.limit) || 50, 250);
+
+    const filter = { shop, status };
+    const [translations, total] = await Promise.all([
+      MachineTranslation.find(filter).sort({ updatedAt: -1 }).limit(limit).lean(),
+      MachineTranslation.countDocuments(filter)
+    ]);
+
+    return res.json({ translations: translations.map(formatTranslation), total });
+  } catch (err) {
+    console.error('GET /api/seo/translations error:', err);
+    return res.status(500).json({ error: 'Failed to load machine translations' });
+  }
+});
+
+// POST /api/seo/translations/:id/review
+// Body: { status: 'approved' | 'rejected' }
+router.post('/:id/review', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { id } = req.params;
+    const { status } = req.body || {};
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid translation id' });
+    }
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: "status must be 'approved' or 'rejected'" });
+    }
+
+    const translation = await MachineTranslation.findOne({ _id: id, shop }).lean();
+    if (!translation) {
+      return res.status(404).json({ error: 'Translation not found' });
+    }
+
+    let removedKeys = [];
+    if (status === 'rejected') {
+      const data = await shopGraphQL(req, shop, Q_CURRENT_TRANSLATIONS, { id: translation.productId, locale: translation.locale });
+      const current = new Map((data?.translatableResource?.translations || []).map(t => [t.key, t.value]));
+      removedKeys = Object.entries(translation.fields || {})
+        .filter(([key, value]) => current.get(key) === value)
+        .map(([key]) => key);
+
+      if (removedKeys.length) {
+        await shopGraphQL(req, shop, M_TRANSLATIONS_REMOVE, {
+          resourceId: translation.productId,
+          translationKeys: removedKeys,
+          locales: [translation.locale]
+        });
+      }
+    }
+
+    const updated = await MachineTranslation.findOneAndUpdate(
+      { _id: id, shop },
+      { $set: { status, reviewedAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    return res.json({ translation: formatTranslation(updated), removedKeys });
+  } catch (err) {
+    console.error('POST /api/seo/translations/:id/review error:', err);
+    return res.status(err.status || 500).json({ error: err.message || 'Failed to review translation' });
+  }
+});
+
+export default router;
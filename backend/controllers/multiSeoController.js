@@ -162,9 +162,250 @@ router.post('/apply-multi', validateRequest(), async (req, res) => {
   }
 });
 
+// ---------------------------------------------------------------------------
+// Batch item handlers for seoJobQueue (generate + apply one product).
+// They only take serializable arguments so a queued job can run on any instance.
+// ---------------------------------------------------------------------------
+
+// Generate step of a batch item - uses DIRECT function call instead of HTTP fetch
+export async function generateBatchProduct(shopDomain, productData, { languageLimit = 1 } = {}) {
+  // Case-insensitive comparison for language codes
+  const existingLangsLower = (productData.existingLanguages || []).map(l => l.toLowerCase());
+  let languagesToGenerate = productData.languages.filter(
+    lang => !existingLangsLower.includes(lang.toLowerCase())
+  );
+
+  // DOUBLE-CHECK: Query Shopify for existing SEO metafields to avoid false "failed" status
+  // This handles cases where frontend cache is stale
+  let existingMetafieldLangs = [];
+  if (languagesToGenerate.length > 0) {
+    try {
+      const { shopGraphQL } = await import('./seoController.js');
+      const metafieldsQuery = `
+        query GetProductMetafields($id: ID!) {
+          product(id: $id) {
+            metafields(first: 20, namespace: "seo_ai") {
+              edges {
+                node {
+                  key
+                  value
+                }
+              }
+            }
+          }
+        }
+      `;
+      const mockReqForCheck = { shopDomain, headers: {}, query: { shop: shopDomain } };
+      const metafieldsResult = await shopGraphQL(mockReqForCheck, shopDomain, metafieldsQuery, { id: productData.productId });
+      
+      // Extract languages that already have SEO metafields
+      if (metafieldsResult?.product?.metafields?.edges) {
+        for (const edge of metafieldsResult.product.metafields.edges) {
+          const key = edge.node.key;
+          // Check for seo__ prefix (language-specific SEO data)
+          if (key?.startsWith('seo__')) {
+            const lang = key.replace('seo__', '').toLowerCase();
+            if (lang && !existingMetafieldLangs.includes(lang)) {
+              existingMetafieldLangs.push(lang);
+            }
+          }
+        }
+      }
+      
+      // Re-filter: only generate for languages that don't have metafields
+      languagesToGenerate = languagesToGenerate.filter(
+        lang => !existingMetafieldLangs.includes(lang.toLowerCase())
+  );
+    } catch (checkErr) {
+      // If check fails, continue with original list (will fail properly if already exists)
+      console.error('[SEO-GENERATE] Metafield check failed:', checkErr.message);
+    }
+  }
+
+  if (languagesToGenerate.length === 0) {
+    return { success: true, skipped: true, reason: 'Already optimized for selected languages' };
+  }
+  
+  // CHECK LANGUAGE LIMIT: existing + new languages must not exceed plan limit
+  const totalLanguagesAfterOptimization = productData.existingLanguages.length + languagesToGenerate.length;
+  if (totalLanguagesAfterOptimization > languageLimit) {
+    return { 
+      success: false, 
+      error: `Language limit exceeded: ${totalLanguagesAfterOptimization} languages would exceed your plan limit of ${languageLimit}. Please upgrade your plan or remove existing languages first.`
+    };
+  }
+
+  // Import generateSEOForLanguage directly
+  const { generateSEOForLanguage, translateProductForLanguage } = await import('./seoController.js');
+  
+  // Create a mock req object for the function
+  const mockReq = {
+    shopDomain: shopDomain,
+    headers: {},
+    query: { shop: shopDomain }
+  };
+
+  const results = [];
+  for (const lang of languagesToGenerate) {
+    try {
+      // Translate then optimize: fill the locale's missing translations first
+      // (skips the primary language and products that are already translated)
+      const translation = productData.translateMissing
+        ? await translateProductForLanguage(mockReq, shopDomain, productData.productId, lang)
+        : null;
+
+      // Direct function call - no HTTP overhead!
+      const result = await generateSEOForLanguage(
+        mockReq,
+        shopDomain,
+        productData.productId,
+        productData.model,
+        lang
+      );
+      
+      if (result?.seo) {
+        results.push({ language: lang, seo: result.seo, quality: result.quality, machineTranslated: !!translation?.translated });
+      } else {
+        results.push({ language: lang, error: 'Generate returned no SEO data' });
+      }
+    } catch (e) {
+      results.push({ language: lang, error: e.message || 'Generate exception' });
+    }
+  }
+
+  const successfulResults = results.filter(r => r.seo);
+  if (successfulResults.length === 0) {
+    // Get the first unique error message as the reason
+    const firstError = results.find(r => r.error)?.error || 'Unknown error';
+    // Simplify common error messages
+    let errorReason = firstError;
+    if (firstError.includes('description is missing')) {
+      errorReason = 'Missing product description';
+    } else if (firstError.includes('title is missing')) {
+      errorReason = 'Missing product title';
+    } else if (firstError.includes('No translated content')) {
+      errorReason = 'No translation available';
+    } else if (firstError.includes('token balance for translation')) {
+      errorReason = 'Not enough tokens for translation';
+    }
+    return { success: false, error: errorReason };
+  }
+
+  return { success: true, data: { results: successfulResults } };
+}
+
+// Apply step of a batch item - calls applySEOForLanguage for each result
+// jobId is recorded in SEO version history so the whole batch can be rolled back
+export async function applyBatchProduct(shopDomain, productData, generateData, jobId) {
+  const { applySEOForLanguage } = await import('./seoController.js');
+  
+  for (const r of generateData.results) {
+    if (!r || !r.seo) continue;
+    
+    const result = await applySEOForLanguage(
+      null,
+      shopDomain,
+      productData.productId,
+      r.seo,
+      r.language,
+      { updateTitle: true, updateBody: true, updateSeo: true, updateBullets: true, updateFaq: true, jobId }
+    );
+    
+    if (!result?.ok) {
+      throw new Error(result?.errors?.join('; ') || 'Apply failed');
+    }
+  }
+}
+
+// Apply step in review mode: keep the generated SEO as a draft per language, nothing is written to Shopify
+export async function saveBatchDrafts(shopDomain, productData, generateData, jobId) {
+  const { readSeoSnapshot } = await import('./seoController.js');
+  const SeoDraft = (await import('../db/SeoDraft.js')).default;
+  const { createDraftFields } = await import('../utils/seoDraft.js');
+
+  for (const r of generateData.results) {
+    if (!r || !r.seo) continue;
+    const language = r.language.toLowerCase();
+
+    let current = null;
+    let productTitle = productData.title || '';
+    try {
+      const snapshot = await readSeoSnapshot(null, shopDomain, productData.productId, language);
+      current = snapshot.snapshot.seo;
+      productTitle = snapshot.productTitle || productTitle;
+    } catch (e) {
+      console.error('[SEO-DRAFT] Failed to read current SEO:', e.message);
+    }
+
+    // A newer draft replaces any unpublished one for the same product + language
+    await SeoDraft.updateMany(
+      { shop: shopDomain, productId: productData.productId, language, status: 'pending' },
+      { $set: { status: 'discarded' } }
+    );
+    await SeoDraft.create({
+      shop: shopDomain,
+      jobId,
+      productId: productData.productId,
+      productTitle,
+      language,
+      seo: r.seo,
+      current,
+      fields: createDraftFields(r.seo)
+    });
+  }
+}
+
+
+// Locale code without region ('pt-BR' -> 'pt'), as generateSEOForLanguage compares them
+function canonLang(locale) {
+  return String(locale || '').toLowerCase().split(/[_-]/)[0];
+}
+
+/**
+ * Tokens a generate-apply batch may reserve: SEO generation for the languages each product
+ * still needs (nothing while basic SEO is free) plus, with translateMissing, one translation
+ * per product and non-primary locale. Translations the product already has are skipped at
+ * run time, so this is an upper bound.
+ * @returns {Promise<{ tokens: number, feature: string }>}
+ */
+async function estimateBatchTokens(shopDomain, products, { translateMissing = false } = {}) {
+  const { estimateTokensWithMargin, requiresTokens } = await import('../billing/tokenConfig.js');
+  const generateFeature = 'ai-seo-product-basic';
+  const translateFeature = 'ai-translation-product';
+
+  let primary = null;
+  if (translateMissing) {
+    const shopDoc = await Shop.findOne({ shop: shopDomain }).select('storeLanguages').lean();
+    primary = canonLang((shopDoc?.storeLanguages || []).find(l => l.primary)?.locale) || null;
+  }
+
+  let tokens = 0;
+  let translations = 0;
+  for (const p of products) {
+    // Same rule as generateBatchProduct: case-insensitive match against existing languages
+    const existing = (p.existingLanguages || []).map(l => String(l).toLowerCase());
+    const languages = [...new Set((p.languages || []).map(l => String(l || '').toLowerCase()).filter(Boolean))]
+      .filter(lang => !existing.includes(lang));
+    if (!languages.length) continue;
+
+    if (requiresTokens(generateFeature)) {
+      tokens += estimateTokensWithMargin(generateFeature, { languages: languages.length }).withMargin;
+    }
+    if (translateMissing) translations += languages.filter(lang => canonLang(lang) !== primary).length;
+  }
+  if (translations) {
+    tokens += translations * estimateTokensWithMargin(translateFeature, { languages: 1 }).withMargin;
+  }
+
+  return { tokens, feature: translateMissing ? translateFeature : generateFeature };
+}
+
 // POST /api/seo/generate-apply-batch
 // Background processing for combined Generate + Apply
-// Body: { shop, products: [{ productId, languages, existingLanguages }], model }
+// Body: { shop, products: [{ productId, languages, existingLanguages }], model, reviewMode, translateMissing }
+// reviewMode: store the generated SEO as drafts (see /api/seo/drafts) instead of applying it
+// translateMissing: machine-translate languages the product has no translation for (token feature
+//   ai-translation-product); the translations are registered right away, also in review mode
 router.post('/generate-apply-batch', validateRequest(), async (req, res) => {
   const shop =
     req.query?.shop ||
@@ -178,6 +419,8 @@ router.post('/generate-apply-batch', validateRequest(), async (req, res) => {
   try {
     const shopDomain = req.shopDomain || shop;
     const { products, model } = req.body || {};
+    const reviewMode = req.body?.reviewMode === true;
+    const translateMissing = req.body?.translateMissing === true;
     
     if (!Array.isArray(products) || products.length === 0) {
       return res.status(400).json({ error: 'Missing products array' });
@@ -196,163 +439,55 @@ router.post('/generate-apply-batch', validateRequest(), async (req, res) => {
     const planConfig = getPlanConfig(planKey);
     const languageLimit = planConfig?.languageLimit || 1;
 
+    // Refuse the whole batch up front when its estimated cost does not fit the balance or the
+    // shop's spending limits - otherwise it would stop partway once they run out
+    const estimate = await estimateBatchTokens(shopDomain, products, { translateMissing });
+    if (estimate.tokens > 0) {
+      const { isBlockedInTrial } = await import('../billing/tokenConfig.js');
+      const { checkSpendingCaps, spendingCapResponse } = await import('../utils/spendingCaps.js');
+      const TokenBalance = (await import('../db/TokenBalance.js')).default;
+      const tokenBalance = await TokenBalance.getOrCreate(shopDomain);
+
+      if (!tokenBalance.hasBalance(estimate.tokens)) {
+        const inTrial = subscription?.trialEndsAt && new Date() < new Date(subscription.trialEndsAt);
+        return res.status(402).json({
+          error: 'Insufficient token balance',
+          requiresPurchase: true,
+          trialRestriction: !!(inTrial && isBlockedInTrial(estimate.feature)),
+          feature: estimate.feature,
+          tokensRequired: estimate.tokens,
+          tokensAvailable: tokenBalance.balance,
+          tokensNeeded: estimate.tokens - tokenBalance.balance,
+          message: translateMissing
+            ? `You need about ${estimate.tokens.toLocaleString()} tokens to translate these products before optimizing them`
+            : 'You need more tokens to optimize these products'
+        });
+      }
+
+      const capViolation = checkSpendingCaps(tokenBalance, estimate.tokens);
+      if (capViolation) {
+        return res.status(402).json(spendingCapResponse(capViolation, estimate.feature));
+      }
+    }
+
     // Prepare products for queue
     const productsToProcess = products.map(p => ({
       productId: toGID(String(p.productId)),
       title: p.title || null,
       languages: p.languages || [],
       existingLanguages: p.existingLanguages || [],
-      model
+      model,
+      translateMissing
     }));
 
-    // OPTIMIZED: Generate function - uses DIRECT function call instead of HTTP fetch
-    const generateFn = async (productData) => {
-      // Case-insensitive comparison for language codes
-      const existingLangsLower = (productData.existingLanguages || []).map(l => l.toLowerCase());
-      let languagesToGenerate = productData.languages.filter(
-        lang => !existingLangsLower.includes(lang.toLowerCase())
-      );
-
-      // DOUBLE-CHECK: Query Shopify for existing SEO metafields to avoid false "failed" status
-      // This handles cases where frontend cache is stale
-      let existingMetafieldLangs = [];
-      if (languagesToGenerate.length > 0) {
-        try {
-          const { shopGraphQL } = await import('./seoController.js');
-          const metafieldsQuery = `
-            query GetProductMetafields($id: ID!) {
-              product(id: $id) {
-                metafields(first: 20, namespace: "seo_ai") {
-                  edges {
-                    node {
-                      key
-                      value
-                    }
-                  }
-                }
-              }
-            }
-          `;
-          const mockReqForCheck = { shopDomain, headers: {}, query: { shop: shopDomain } };
-          const metafieldsResult = await shopGraphQL(mockReqForCheck, shopDomain, metafieldsQuery, { id: productData.productId });
-          
-          // Extract languages that already have SEO metafields
-          if (metafieldsResult?.product?.metafields?.edges) {
-            for (const edge of metafieldsResult.product.metafields.edges) {
-              const key = edge.node.key;
-              // Check for seo__ prefix (language-specific SEO data)
-              if (key?.startsWith('seo__')) {
-                const lang = key.replace('seo__', '').toLowerCase();
-                if (lang && !existingMetafieldLangs.includes(lang)) {
-                  existingMetafieldLangs.push(lang);
-                }
-              }
-            }
-          }
-          
-          // Re-filter: only generate for languages that don't have metafields
-          languagesToGenerate = languagesToGenerate.filter(
-            lang => !existingMetafieldLangs.includes(lang.toLowerCase())
-      );
-        } catch (checkErr) {
-          // If check fails, continue with original list (will fail properly if already exists)
-          console.error('[SEO-GENERATE] Metafield check failed:', checkErr.message);
-        }
-      }
-
-      if (languagesToGenerate.length === 0) {
-        return { success: true, skipped: true, reason: 'Already optimized for selected languages' };
-      }
-      
-      // CHECK LANGUAGE LIMIT: existing + new languages must not exceed plan limit
-      const totalLanguagesAfterOptimization = productData.existingLanguages.length + languagesToGenerate.length;
-      if (totalLanguagesAfterOptimization > languageLimit) {
-        return { 
-          success: false, 
-          error: `Language limit exceeded: ${totalLanguagesAfterOptimization} languages would exceed your plan limit of ${languageLimit}. Please upgrade your plan or remove existing languages first.`
-        };
-      }
-
-      // Import generateSEOForLanguage directly
-      const { generateSEOForLanguage } = await import('./seoController.js');
-      
-      // Create a mock req object for the function
-      const mockReq = {
-        shopDomain: shopDomain,
-        headers: {},
-        query: { shop: shopDomain }
-      };
-
-      const results = [];
-      for (const lang of languagesToGenerate) {
-        try {
-          // Direct function call - no HTTP overhead!
-          const result = await generateSEOForLanguage(
-            mockReq,
-            shopDomain,
-            productData.productId,
-            productData.model,
-            lang
-          );
-          
-          if (result?.seo) {
-            results.push({ language: lang, seo: result.seo, quality: result.quality });
-          } else {
-            results.push({ language: lang, error: 'Generate returned no SEO data' });
-          }
-        } catch (e) {
-          results.push({ language: lang, error: e.message || 'Generate exception' });
-        }
-      }
-
-      const successfulResults = results.filter(r => r.seo);
-      if (successfulResults.length === 0) {
-        // Get the first unique error message as the reason
-        const firstError = results.find(r => r.error)?.error || 'Unknown error';
-        // Simplify common error messages
-        let errorReason = firstError;
-        if (firstError.includes('description is missing')) {
-          errorReason = 'Missing product description';
-        } else if (firstError.includes('title is missing')) {
-          errorReason = 'Missing product title';
-        } else if (firstError.includes('No translated content')) {
-          errorReason = 'No translation available';
-        }
-        return { success: false, error: errorReason };
-      }
-
-      return { success: true, data: { results: successfulResults } };
-    };
-
-    // Apply function - calls applySEOForLanguage for each result
-    const applyFn = async (productData, generateData) => {
-      const { applySEOForLanguage } = await import('./seoController.js');
-      
-      for (const r of generateData.results) {
-        if (!r || !r.seo) continue;
-        
-        const result = await applySEOForLanguage(
-          null,
-          shopDomain,
-          productData.productId,
-          r.seo,
-          r.language,
-          { updateTitle: true, updateBody: true, updateSeo: true, updateBullets: true, updateFaq: true }
-        );
-        
-        if (!result?.ok) {
-          throw new Error(result?.errors?.join('; ') || 'Apply failed');
-        }
-      }
-    };
-
-    // Add job to queue
-    const queueResult = await seoJobQueue.addJob(shopDomain, productsToProcess, generateFn, applyFn);
+    // Add job to queue (items run through generateBatchProduct + applyBatchProduct/saveBatchDrafts)
+    const queueResult = await seoJobQueue.addJob(shopDomain, productsToProcess, { reviewMode, languageLimit });
 
     return res.json({
       queued: queueResult.queued,
       message: queueResult.message || 'Job added to queue',
       jobId: queueResult.jobId,
+      reviewMode,
       totalProducts: productsToProcess.length
     });
 
@@ -425,6 +560,8 @@ router.post('/job-cancel', validateRequest(), async (req, res) => {
         } 
       }
     );
+    // Drop a queued job, or stop a running one at its next batch
+    await seoJobQueue.cancel(shop);
     
     return res.json({ success: true, message: 'Job cancelled' });
   } catch (err) {
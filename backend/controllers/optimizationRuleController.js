@@ -0,0 +1,388 @@
+// backend/controllers/optimizationRuleController.js
+// Router: mounted at /api/optimization-rules
+// Route(s):
+//   GET    /api/optimization-rules (rules + store languages)
+//   POST   /api/optimization-rules (create)
+//   PUT    /api/optimization-rules/:id (update)
+//   DELETE /api/optimization-rules/:id
+//   POST   /api/optimization-rules/:id/run (run now, in the background)
+//   GET    /api/optimization-rules/runs (run log, optional ?ruleId=)
+//
+// A rule run picks the products that match the rule's conditions and still need its
+// action, then starts the same background job a merchant would start from BulkEdit /
+// Schema Data - with the same plan, trial, token and spending-cap checks. Runs are
+// logged in db/OptimizationRuleRun.js. See services/optimizationRuleQueue.js for when
+// rules run.
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import Shop from '../db/Shop.js';
+import Product from '../db/Product.js';
+import Subscription from '../db/Subscription.js';
+import TokenBalance from '../db/TokenBalance.js';
+import OptimizationRule from '../db/OptimizationRule.js';
+import OptimizationRuleRun from '../db/OptimizationRuleRun.js';
+import optimizationRuleQueue from '../services/optimizationRuleQueue.js';
+import seoJobQueue from '../services/seoJobQueue.js';
+import aiEnhanceQueue from '../services/aiEnhanceQueue.js';
+import schemaQueue from '../services/schemaQueue.js';
+import { getPlanConfig, allowedModelsForPlan } from '../plans.js';
+import { requiresTokens, isBlockedInTrial, estimateTokensWithMargin } from '../billing/tokenConfig.js';
+import { checkSpendingCaps, spendingCapResponse } from '../utils/spendingCaps.js';
+import { shopGraphQL } from './seoController.js';
+import {
+  RULE_ACTIONS,
+  RULE_LIMITS,
+  normalizeRule,
+  ruleProductFacts,
+  matchesRule,
+  ruleNeedsCollections,
+  pendingWork,
+  hasPendingWork,
+} from '../utils/optimizationRules.js';
+
+const router = Router();
+
+// Products considered per schedule/manual run
+const CANDIDATE_LIMIT = 2000;
+
+const ACTION_QUEUES = {
+  'basic-seo': seoJobQueue,
+  'ai-enhance': aiEnhanceQueue,
+  'advanced-schema': schemaQueue
+};
+
+const Q_PRODUCT_COLLECTIONS = `
+  query($id: ID!) {
+    product(id: $id) { collections(first: 50) { nodes { handle } } }
+  }
+`;
+
+function normalizePlanKey(plan) {
+  return String(plan || 'starter').toLowerCase().replace(/\s+/g, '_');
+}
+
+function toProductGid(productId) {
+  return `gid://shopify/Product/${productId}`;
+}
+
+async function productCollections(shop, productId) {
+  const data = await shopGraphQL(null, shop, Q_PRODUCT_COLLECTIONS, { id: toProductGid(productId) });
+  return (data?.product?.collections?.nodes || []).map(c => c.handle);
+}
+
+// Products to evaluate: the webhook marks, or the whole catalog for schedule/manual runs
+function loadCandidates(shop, rule, trigger) {
+  const filter = { shop, status: { $in: ['ACTIVE', 'active'] } };
+  if (trigger === 'webhook') {
+    filter.productId = { $in: rule.pendingProductIds };
+  } else if (rule.action.type !== 'basic-seo') {
+    filter['seoStatus.optimized'] = true;
+  }
+  return Product.find(filter)
+    .select('productId title handle vendor productType tags price seoStatus')
+    .sort({ updatedAt: -1 })
+    .limit(trigger === 'webhook' ? 0 : CANDIDATE_LIMIT)
+    .lean();
+}
+
+/**
+ * Trial / balance / spending-cap check for a metered action.
+ * @returns {{ reason: string|null, tokensEstimated: number }} reason is why the run may not start
+ */
+async function budgetBlock(shop, subscription, feature, options) {
+  if (!feature || !requiresTokens(feature)) return { reason: null, tokensEstimated: 0 };
+
+  const tokenBalance = await TokenBalance.getOrCreate(shop);
+  const tokenEstimate = estimateTokensWithMargin(feature, options);
+  const planKey = normalizePlanKey(subscription?.plan);
+  const inTrial = subscription?.trialEndsAt && new Date() < new Date(subscription.trialEndsAt);
+  const hasIncludedTokens = ['growth_extra', 'enterprise'].includes(planKey);
+
+  if (hasIncludedTokens && inTrial && !subscription?.activatedAt && !(tokenBalance.totalPurchased > 0) && isBlockedInTrial(feature)) {
+    return { reason: 'Locked during the trial period - activate your plan to run this rule', tokensEstimated: tokenEstimate.withMargin };
+  }
+  if (!tokenBalance.hasBalance(tokenEstimate.withMargin)) {
+    return {
+      reason: `Insufficient token balance: about ${tokenEstimate.withMargin.toLocaleString()} needed, ${tokenBalance.balance.toLocaleString()} available`,
+      tokensEstimated: tokenEstimate.withMargin
+    };
+  }
+  const capViolation = checkSpendingCaps(tokenBalance, tokenEstimate.withMargin);
+  if (capViolation) {
+    return { reason: spendingCapResponse(capViolation, feature).message, tokensEstimated: tokenEstimate.withMargin };
+  }
+  return { reason: null, tokensEstimated: tokenEstimate.withMargin };
+}
+
+async function dispatch(shop, rule, matched, { subscription, planKey, planConfig }) {
+  const action = rule.action;
+
+  if (action.type === 'basic-seo') {
+    const model = allowedModelsForPlan(planKey)[0];
+    const items = matched.map(p => ({
+      productId: toProductGid(p.productId),
+      title: p.title || null,
+      languages: pendingWork(action, p),
+      existingLanguages: (p.seoStatus?.languages || []).filter(l => l.optimized).map(l => l.code),
+      model
+    }));
+    const result = await seoJobQueue.addJob(shop, items, { languageLimit: planConfig?.languageLimit || 1 });
+    return { result, tokensEstimated: 0 };
+  }
+
+  if (action.type === 'ai-enhance') {
+    const items = matched.map(p => ({ productId: toProductGid(p.productId), languages: pendingWork(action, p), title: p.title }));
+    const languages = items.reduce((sum, item) => sum + item.languages.length, 0);
+    const budget = await budgetBlock(shop, subscription, RULE_ACTIONS[action.type].feature, { languages });
+    if (budget.reason) return { blocked: budget.reason, tokensEstimated: budget.tokensEstimated };
+    const result = await aiEnhanceQueue.addJob(shop, items);
+    return { result, tokensEstimated: budget.tokensEstimated };
+  }
+
+  // advanced-schema regenerates the whole store, so it is metered by product count
+  const productCount = await Product.countDocuments({ shop });
+  const budget = await budgetBlock(shop, subscription, RULE_ACTIONS[action.type].feature, { productCount });
+  if (budget.reason) return { blocked: budget.reason, tokensEstimated: budget.tokensEstimated };
+  const result = await schemaQueue.addJob(shop, { forceBasicSeo: false });
+  return { result, tokensEstimated: budget.tokensEstimated };
+}
+
+/**
+ * Run one rule now. A target queue that is busy for the shop leaves the webhook marks
+ * in place for the next sweep; every other outcome is logged and clears them.
+ * @param {Object} rule - OptimizationRule document
+ * @param {'webhook'|'schedule'|'manual'} trigger
+ * @returns {{ rule: string, status: string }}
+ */
+export async function runOptimizationRule(rule, trigger) {
+  const shop = rule.shop;
+  const action = rule.action;
+  const consumedIds = trigger === 'webhook' ? [...rule.pendingProductIds] : [];
+  const targetQueue = ACTION_QUEUES[action.type];
+
+  if (await targetQueue.findActiveJob(shop)) {
+    console.log(`[RULES] ${shop} "${rule.name}": ${targetQueue.name} job already active, will retry`);
+    return { rule: rule.name, status: 'busy' };
+  }
+
+  const run = {
+    shop,
+    ruleId: rule._id,
+    ruleName: rule.name,
+    trigger,
+    action: action.type,
+    status: 'no-match',
+    candidates: 0,
+    matched: 0,
+    productIds: [],
+    queue: targetQueue.name,
+    jobId: null,
+    tokensEstimated: 0,
+    message: ''
+  };
+
+  try {
+    const subscription = await Subscription.findOne({ shop }).lean();
+    const planKey = normalizePlanKey(subscription?.plan);
+    const planConfig = getPlanConfig(subscription?.plan || 'starter');
+    const allowedPlans = RULE_ACTIONS[action.type].plans;
+
+    if (allowedPlans && !allowedPlans.includes(planKey)) {
+      run.status = 'blocked';
+      run.message = `Your ${planConfig?.name || planKey} plan does not include this action`;
+    } else {
+      const limit = Math.min(rule.maxProducts || 50, planConfig?.productLimit || RULE_LIMITS.maxProducts);
+      const candidates = await loadCandidates(shop, rule, trigger);
+      run.candidates = candidates.length;
+
+      const matched = [];
+      for (const product of candidates) {
+        if (matched.length >= limit) break;
+        if (!hasPendingWork(action, product)) continue;
+        const collections = ruleNeedsCollections(rule) ? await productCollections(shop, product.productId) : [];
+        if (matchesRule(rule, ruleProductFacts(product, collections))) matched.push(product);
+      }
+      run.matched = matched.length;
+      run.productIds = matched.slice(0, 100).map(p => String(p.productId));
+
+      if (matched.length) {
+        const outcome = await dispatch(shop, rule, matched, { subscription, planKey, planConfig });
+        run.tokensEstimated = outcome.tokensEstimated;
+        if (outcome.blocked) {
+          run.status = 'blocked';
+          run.message = outcome.blocked;
+        } else if (!outcome.result.queued) {
+          // Another job started between the busy check and now - try again next sweep
+          return { rule: rule.name, status: 'busy' };
+        } else {
+          run.status = 'dispatched';
+          run.jobId = outcome.result.jobId;
+          run.message = `${matched.length} product${matched.length === 1 ? '' : 's'} queued`;
+        }
+      }
+    }
+  } catch (error) {
+    run.status = 'failed';
+    run.message = error.message;
+    console.error(`[RULES] ${shop} "${rule.name}" failed:`, error.message);
+  }
+
+  await OptimizationRuleRun.create(run);
+
+  const update = { $set: { lastRunAt: new Date(), lastRunStatus: run.status } };
+  if (consumedIds.length) update.$pullAll = { pendingProductIds: consumedIds };
+  await OptimizationRule.updateOne({ _id: rule._id }, update);
+  // Marks that arrived during the run keep the rule pending
+  await OptimizationRule.updateOne({ _id: rule._id, pendingProductIds: { $size: 0 } }, { $set: { pendingSince: null } });
+
+  console.log(`[RULES] ${shop} "${rule.name}" (${trigger}): ${run.status}${run.message ? ` - ${run.message}` : ''}`);
+  return { rule: rule.name, status: run.status };
+}
+
+function formatRule(r) {
+  return {
+    id: String(r._id),
+    name: r.name,
+    enabled: r.enabled,
+    trigger: r.trigger,
+    events: r.events,
+    schedule: r.schedule,
+    match: r.match,
+    conditions: r.conditions,
+    action: r.action,
+    maxProducts: r.maxProducts,
+    pendingCount: (r.pendingProductIds || []).length,
+    lastRunAt: r.lastRunAt,
+    lastRunStatus: r.lastRunStatus,
+    createdAt: r.createdAt
+  };
+}
+
+// GET /api/optimization-rules
+router.get('/', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const [rules, shopDoc] = await Promise.all([
+      OptimizationRule.find({ shop }).sort({ createdAt: 1 }).lean(),
+      Shop.findOne({ shop }).select('storeLanguages').lean()
+    ]);
+    return res.json({
+      rules: rules.map(formatRule),
+      languages: (shopDoc?.storeLanguages || []).map(l => l.locale).filter(Boolean)
+    });
+  } catch (err) {
+    console.error('GET /api/optimization-rules error:', err);
+    return res.status(500).json({ error: 'Failed to load rules' });
+  }
+});
+
+// POST /api/optimization-rules
+router.post('/', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { rule, errors } = normalizeRule(req.body?.rule || req.body || {});
+    if (errors.length) return res.status(400).json({ error: errors[0], errors });
+
+    if (await OptimizationRule.countDocuments({ shop }) >= RULE_LIMITS.rulesPerShop) {
+      return res.status(400).json({ error: `Up to ${RULE_LIMITS.rulesPerShop} rules per store` });
+    }
+
+    const doc = await OptimizationRule.create({ shop, ...rule });
+    return res.json({ rule: formatRule(doc.toObject()) });
+  } catch (err) {
+    console.error('POST /api/optimization-rules error:', err);
+    return res.status(500).json({ error: 'Failed to save rule' });
+  }
+});
+
+// PUT /api/optimization-rules/:id
+router.put('/:id', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+
+    const { rule, errors } = normalizeRule(req.body?.rule || req.body || {});
+    if (errors.length) return res.status(400).json({ error: errors[0], errors });
+
+    // A rule that stops listening to webhooks drops the products it collected
+    const pending = rule.trigger === 'webhook' && rule.enabled ? {} : { pendingProductIds: [], pendingSince: null };
+    const doc = await OptimizationRule.findOneAndUpdate(
+      { _id: req.params.id, shop },
+      { $set: { ...rule, ...pending } },
+      { new: true }
+    ).lean();
+    if (!doc) return res.status(404).json({ error: 'Rule not found' });
+    return res.json({ rule: formatRule(doc) });
+  } catch (err) {
+    console.error('PUT /api/optimization-rules/:id error:', err);
+    return res.status(500).json({ error: 'Failed to save rule' });
+  }
+});
+
+// DELETE /api/optimization-rules/:id
+router.delete('/:id', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+    const result = await OptimizationRule.deleteOne({ _id: req.params.id, shop });
+    if (!result.deletedCount) return res.status(404).json({ error: 'Rule not found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('DELETE /api/optimization-rules/:id error:', err);
+    return res.status(500).json({ error: 'Failed to delete rule' });
+  }
+});
+
+// POST /api/optimization-rules/:id/run
+router.post('/:id/run', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Rule not found' });
+    const rule = await OptimizationRule.findOne({ _id: req.params.id, shop }).select('_id').lean();
+    if (!rule) return res.status(404).json({ error: 'Rule not found' });
+
+    const result = await optimizationRuleQueue.runNow(shop, rule._id);
+    if (!result.queued) return res.status(409).json({ error: result.message });
+    return res.json(result);
+  } catch (err) {
+    console.error('POST /api/optimization-rules/:id/run error:', err);
+    return res.status(500).json({ error: 'Failed to start rule' });
+  }
+});
+
+// GET /api/optimization-rules/runs?ruleId=&limit=
+router.get('/runs', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const filter = { shop };
+    if (req.query.ruleId) {
+      if (!mongoose.isValidObjectId(req.query.ruleId)) return res.json({ runs: [] });
+      filter.ruleId = req.query.ruleId;
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 30, 100);
+    const runs = await OptimizationRuleRun.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    return res.json({
+      runs: runs.map(r => ({
+        id: String(r._id),
+        ruleId: String(r.ruleId),
+        ruleName: r.ruleName,
+        trigger: r.trigger,
+        action: r.action,
+        status: r.status,
+        candidates: r.candidates,
+        matched: r.matched,
+        jobId: r.jobId,
+        tokensEstimated: r.tokensEstimated,
+        message: r.message,
+        createdAt: r.createdAt
+      }))
+    });
+  } catch (err) {
+    console.error('GET /api/optimization-rules/runs error:', err);
+    return res.status(500).json({ error: 'Failed to load rule runs' });
+  }
+});
+
+export default router;
@@ -1,77 +1,235 @@
 import { Router } from 'express';
 import rateLimit from 'express-rate-limit';
-import ConversionEvent from '../db/ConversionEvent.js';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import ConversionEvent, { CONVERSION_EVENT_TYPES } from '../db/ConversionEvent.js';
+import PixelIngestMetric from '../db/PixelIngestMetric.js';
+import Shop from '../db/Shop.js';
+import { verifyPixelSignature, isSigningEnforced } from '../utils/pixelSignature.js';
 
 const router = Router();
 
+// Unsigned events are accepted (and counted as 'unsigned_accepted') from shops whose pixel
+// has not received a signing secret yet, up to a deadline (see utils/pixelSignature.js);
+// this accepts them from every shop
+const ALLOW_UNSIGNED = process.env.PIXEL_ALLOW_UNSIGNED === 'true';
+
+/* --------------------------- outcome metrics --------------------------- */
+
+// Fire-and-forget: metrics never fail an event
+function recordOutcome(shop, outcome, detail = '') {
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10);
+  PixelIngestMetric.updateOne(
+    { shop, day, outcome },
+    {
+      $inc: { count: 1 },
+      $setOnInsert: { date: new Date(`${day}T00:00:00Z`) },
+      ...(detail ? { $set: { lastDetail: detail.slice(0, 300) } } : {})
+    },
+    { upsert: true }
+  ).catch(err => console.error('[PIXEL] Metric error:', err.message));
+}
+
+// Per-IP (events come from shoppers' browsers); a body-supplied shop would let anyone
+// spend another shop's allowance
 const pixelLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 120,
-  keyGenerator: (req) => req.body?.shop || req.ip,
   standardHeaders: false,
   legacyHeaders: false,
+  handler: (req, res) => {
+    recordOutcome('', 'rate_limited');
+    res.status(429).json({ error: 'Too many events' });
+  },
 });
 
+/* --------------------------- JSON schema --------------------------- */
+const ajv = new Ajv({ allErrors: false, strict: false });
+addFormats(ajv);
+
+const amount = { type: ['string', 'number'], pattern: '^\\d{1,12}(\\.\\d{1,6})?$', minimum: 0 };
+const id = { type: 'string', maxLength: 100 };
+
+const pixelEventSchema = {
+  type: 'object',
+  required: ['shop', 'eventId', 'eventType', 'aiSource'],
+  additionalProperties: false,
+  properties: {
+    shop: { type: 'string', pattern: '^(https?://)?[A-Za-z0-9][A-Za-z0-9-]*\\.myshopify\\.com/?$', maxLength: 255 },
+    eventId: { type: 'string', minLength: 1, maxLength: 100 },
+    eventType: { type: 'string', enum: CONVERSION_EVENT_TYPES },
+    aiSource: { type: 'string', minLength: 1, maxLength: 50 },
+    sessionId: id,
+    productId: id,
+    productHandle: { type: 'string', maxLength: 255 },
+    productTitle: { type: 'string', maxLength: 500 },
+    variantId: id,
+    collectionId: id,
+    collectionTitle: { type: 'string', maxLength: 500 },
+    quantity: { type: 'integer', minimum: 1, maximum: 10000 },
+    price: amount,
+    totalPrice: amount,
+    currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+    orderId: id,
+    referrerUrl: { type: 'string', maxLength: 2000 },
+    utmSource: { type: 'string', maxLength: 100 },
+    utmMedium: { type: 'string', maxLength: 100 },
+    searchQuery: { type: 'string', maxLength: 200 },
+    timestamp: { type: 'string', format: 'date-time' },
+    lineItems: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          productId: id,
+          title: { type: 'string', maxLength: 500 },
+          quantity: { type: 'integer', minimum: 1, maximum: 10000 },
+          price: amount,
+        },
+      },
+    },
+  },
+};
+
+const validatePixelEvent = ajv.compile(pixelEventSchema);
+
+/* --------------------------- shop allowlist --------------------------- */
+
+// Installed shops and their signing secrets, cached per instance (negative results too,
+// so junk shop names cost one lookup per minute)
+const SHOP_CACHE_TTL_MS = 60 * 1000;
+const shopCache = new Map(); // shop -> { installed, secret, signedSince, installedAt, expiresAt }
+
+async function getIngestShop(shop) {
+  const cached = shopCache.get(shop);
+  if (cached && cached.expiresAt > Date.now()) return cached;
+
+  const doc = await Shop.findOne({ shop }).select('+pixelSigningSecret accessToken pixelSignedSince installedAt createdAt').lean();
+  const entry = {
+    installed: Boolean(doc?.accessToken),
+    secret: doc?.pixelSigningSecret || null,
+    signedSince: doc?.pixelSignedSince || null,
+    installedAt: doc?.installedAt || doc?.createdAt || null,
+    expiresAt: Date.now() + SHOP_CACHE_TTL_MS
+  };
+  if (shopCache.size > 5000) shopCache.clear();
+  shopCache.set(shop, entry);
+  return entry;
+}
+
+/* --------------------------- ingestion --------------------------- */
+
+// Needs the raw body for the signature: server.js mounts express.raw() on this path
+// and sets req.rawBody / req.body (null when the body is not JSON)
 router.post('/pixel/events', pixelLimiter, async (req, res) => {
   try {
-    const {
-      shop, eventType, aiSource, sessionId,
-      productId, productHandle, productTitle, variantId,
-      quantity, price, currency, totalPrice, orderId,
-      referrerUrl, lineItems, timestamp
-    } = req.body || {};
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      recordOutcome('', 'invalid_json');
+      return res.status(400).json({ error: 'Body must be a JSON object' });
+    }
+
+    const normalizedShop = String(body.shop || '').replace(/^https?:\/\//, '').replace(/\/$/, '').toLowerCase();
+    const shopInfo = normalizedShop ? await getIngestShop(normalizedShop) : { installed: false };
+    const metricShop = shopInfo.installed ? normalizedShop : '';
 
-    if (!shop || !eventType || !aiSource) {
-      return res.status(400).json({ error: 'Missing required fields: shop, eventType, aiSource' });
+    if (!validatePixelEvent(body)) {
+      const detail = ajv.errorsText(validatePixelEvent.errors);
+      recordOutcome(metricShop, 'invalid_schema', detail);
+      return res.status(400).json({ error: `Invalid event: ${detail}` });
     }
 
-    const allowed = ['page_viewed', 'add_to_cart', 'checkout_completed'];
-    if (!allowed.includes(eventType)) {
-      return res.status(400).json({ error: `Invalid eventType. Allowed: ${allowed.join(', ')}` });
+    if (!shopInfo.installed) {
+      recordOutcome('', 'unknown_shop');
+      return res.status(403).json({ error: 'Unknown shop' });
     }
 
-    const normalizedShop = shop.replace(/^https?:\/\//, '').toLowerCase();
-
-    if (eventType === 'checkout_completed' && lineItems?.length) {
-      const docs = lineItems.slice(0, 20).map(li => ({
-        shop: normalizedShop,
-        eventType: 'checkout_completed',
-        productId: li.productId || '',
-        productTitle: li.title || '',
-        quantity: li.quantity || 1,
-        price: li.price || '0',
-        currency: currency || 'USD',
-        totalPrice: totalPrice || '0',
-        orderId: orderId || '',
-        aiSource,
-        sessionId: sessionId || '',
-        createdAt: timestamp ? new Date(timestamp) : new Date()
-      }));
-      await ConversionEvent.insertMany(docs, { ordered: false }).catch(() => {});
+    let outcome = 'accepted';
+    const signature = req.get('X-Pixel-Signature');
+    const timestamp = req.get('X-Pixel-Timestamp');
+    const enforced = isSigningEnforced({ signedSince: shopInfo.signedSince, installedAt: shopInfo.installedAt });
+    if (!signature && (ALLOW_UNSIGNED || !enforced)) {
+      outcome = 'unsigned_accepted';
     } else {
-      await ConversionEvent.create({
-        shop: normalizedShop,
-        eventType,
-        productId: productId || '',
-        productHandle: productHandle || '',
-        productTitle: productTitle || '',
-        variantId: variantId || '',
-        quantity: quantity || 1,
-        price: price || '0',
-        currency: currency || 'USD',
-        totalPrice: totalPrice || '0',
-        orderId: orderId || '',
-        aiSource,
-        referrerUrl: referrerUrl || '',
-        sessionId: sessionId || '',
-        createdAt: timestamp ? new Date(timestamp) : new Date()
-      });
+      const check = shopInfo.secret
+        ? verifyPixelSignature({ secret: shopInfo.secret, signature, timestamp, rawBody: req.rawBody })
+        : { ok: false, reason: 'missing_signature' };
+      if (!check.ok) {
+        recordOutcome(normalizedShop, check.reason);
+        return res.status(401).json({ error: 'Invalid event signature' });
+      }
+    }
+
+    const {
+      eventId, eventType, aiSource, sessionId,
+      productId, productHandle, productTitle, variantId,
+      quantity, price, currency, totalPrice, orderId,
+      referrerUrl, lineItems, timestamp: occurredAt,
+      utmSource, utmMedium, searchQuery, collectionId, collectionTitle
+    } = body;
+    const createdAt = occurredAt ? new Date(occurredAt) : new Date();
+    const utm = { utmSource: utmSource || '', utmMedium: utmMedium || '' };
+
+    try {
+      if (eventType === 'checkout_completed' && lineItems?.length) {
+        const docs = lineItems.map((li, i) => ({
+          shop: normalizedShop,
+          eventId: `${eventId}:${i}`,
+          eventType: 'checkout_completed',
+          productId: li.productId || '',
+          productTitle: li.title || '',
+          quantity: li.quantity || 1,
+          price: String(li.price ?? '0'),
+          currency: currency || 'USD',
+          totalPrice: String(totalPrice ?? '0'),
+          orderId: orderId || '',
+          aiSource,
+          ...utm,
+          sessionId: sessionId || '',
+          createdAt
+        }));
+        await ConversionEvent.insertMany(docs, { ordered: false });
+      } else {
+        await ConversionEvent.create({
+          shop: normalizedShop,
+          eventId,
+          eventType,
+          productId: productId || '',
+          productHandle: productHandle || '',
+          productTitle: productTitle || '',
+          variantId: variantId || '',
+          quantity: quantity || 1,
+          price: String(price ?? '0'),
+          currency: currency || 'USD',
+          totalPrice: String(totalPrice ?? '0'),
+          orderId: orderId || '',
+          aiSource,
+          referrerUrl: referrerUrl || '',
+          ...utm,
+          searchQuery: searchQuery || '',
+          collectionId: collectionId || '',
+          collectionTitle: collectionTitle || '',
+          sessionId: sessionId || '',
+          createdAt
+        });
+      }
+    } catch (err) {
+      // Redelivered event (unique shop + eventId); insertMany still stored any new lines
+      if (err.code === 11000 || err.writeErrors?.every?.(e => e.code === 11000)) {
+        recordOutcome(normalizedShop, 'duplicate');
+        return res.status(200).json({ ok: true, duplicate: true });
+      }
+      throw err;
     }
 
+    recordOutcome(normalizedShop, outcome);
     res.status(200).json({ ok: true });
   } catch (err) {
     console.error('[PIXEL] Event error:', err.message);
-    res.status(200).json({ ok: true });
+    res.status(500).json({ error: 'Failed to store event' });
   }
 });
 
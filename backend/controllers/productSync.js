@@ -54,57 +54,62 @@ const SHOP_LOCALES_QUERY = `
   }
 `;
 
+// Product fields used for the feed (shared by the full sync and webhook refreshes)
+const PRODUCT_FIELDS = `
+  id
+  handle
+  title
+  descriptionHtml
+  productType
+  vendor
+  tags
+  status
+  createdAt
+  updatedAt
+  variants(first: 50) {
+    edges {
+      node {
+        id
+        title
+        price
+        compareAtPrice
+        sku
+        inventoryQuantity
+        availableForSale
+      }
+    }
+  }
+  images(first: 10) {
+    edges {
+      node {
+        id
+        url
+        altText
+      }
+    }
+  }
+  metafields(first: 30) {
+    edges {
+      node {
+        namespace
+        key
+        value
+        type
+      }
+    }
+  }
+  seo {
+    title
+    description
+  }
+`;
+
 const PRODUCTS_QUERY = `
   query GetProducts($first: Int!, $after: String) {
     products(first: $first, after: $after) {
       edges {
         node {
-          id
-          handle
-          title
-          descriptionHtml
-          productType
-          vendor
-          tags
-          status
-          createdAt
-          updatedAt
-          variants(first: 50) {
-            edges {
-              node {
-                id
-                title
-                price
-                compareAtPrice
-                sku
-                inventoryQuantity
-                availableForSale
-              }
-            }
-          }
-          images(first: 10) {
-            edges {
-              node {
-                id
-                url
-                altText
-              }
-            }
-          }
-          metafields(first: 30) {
-            edges {
-              node {
-                namespace
-                key
-                value
-                type
-              }
-            }
-          }
-          seo {
-            title
-            description
-          }
+          ${PRODUCT_FIELDS}
         }
         cursor
       }
@@ -116,6 +121,16 @@ const PRODUCTS_QUERY = `
   }
 `;
 
+const PRODUCT_NODES_QUERY = `
+  query GetProductNodes($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        ${PRODUCT_FIELDS}
+      }
+    }
+  }
+`;
+
 function sanitizeHtmlBasic(html = '') {
   let out = String(html)
     .replace(/<\s*script[\s\S]*?<\/\s*script\s*>/gi, '')
@@ -395,6 +410,33 @@ const TAXONOMY_ELIGIBLE_PLANS = [
   'professional_plus', 'growth', 'growth_plus', 'growth_extra', 'enterprise'
 ];
 
+// Format products for the feed, with resolved taxonomy on eligible plans
+async function formatFeedProducts(req, products, { shopInfo, languages, plan }) {
+  const includeTaxonomy = TAXONOMY_ELIGIBLE_PLANS.includes(plan);
+  
+  // Resolve taxonomy GIDs in one batch (Professional Plus+ only)
+  let gidMap = new Map();
+  let productsTaxonomy = [];
+  if (includeTaxonomy) {
+    productsTaxonomy = products.map(p => extractTaxonomyFromProduct(p));
+    gidMap = await resolveAllTaxonomyGids(req, productsTaxonomy);
+  }
+  
+  return products.map((product, idx) => {
+    const base = formatProductForAI(product, {
+      shopCurrency: shopInfo.currency,
+      shopDomain: shopInfo.domain,
+      shopUrl: shopInfo.url,
+      languages: languages
+    });
+    if (includeTaxonomy && productsTaxonomy[idx]) {
+      const resolved = resolveTaxonomyWithMap(productsTaxonomy[idx], gidMap);
+      Object.assign(base, resolved);
+    }
+    return base;
+  });
+}
+
 // Main sync function
 export async function syncProductsForShop(req) {
   const startTime = Date.now();
@@ -407,36 +449,13 @@ export async function syncProductsForShop(req) {
       getShopPlan(req.auth.shop)
     ]);
     
-    const includeTaxonomy = TAXONOMY_ELIGIBLE_PLANS.includes(plan);
-    
     // Fetch all products
     const allProducts = await fetchAllProducts(req);
     
     // FILTER: Only sync ACTIVE products (exclude DRAFT and ARCHIVED)
     const products = allProducts.filter(product => product.status === 'ACTIVE');
     
-    // Resolve taxonomy GIDs in one batch (Professional Plus+ only)
-    let gidMap = new Map();
-    let productsTaxonomy = [];
-    if (includeTaxonomy) {
-      productsTaxonomy = products.map(p => extractTaxonomyFromProduct(p));
-      gidMap = await resolveAllTaxonomyGids(req, productsTaxonomy);
-    }
-    
-    // Format products for AI
-    const formattedProducts = products.map((product, idx) => {
-      const base = formatProductForAI(product, {
-        shopCurrency: shopInfo.currency,
-        shopDomain: shopInfo.domain,
-        shopUrl: shopInfo.url,
-        languages: languages
-      });
-      if (includeTaxonomy && productsTaxonomy[idx]) {
-        const resolved = resolveTaxonomyWithMap(productsTaxonomy[idx], gidMap);
-        Object.assign(base, resolved);
-      }
-      return base;
-    });
+    const formattedProducts = await formatFeedProducts(req, products, { shopInfo, languages, plan });
     
     // Convert to NDJSON
     const ndjsonData = formattedProducts
@@ -474,4 +493,64 @@ export async function syncProductsForShop(req) {
     
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Update only the given products in the cached NDJSON feed (products/update webhooks,
+ * see services/catalogRefreshQueue.js): active products are replaced or appended,
+ * drafts, archived and deleted products are dropped. Shops without a cached feed
+ * are skipped - their first full sync builds it.
+ * @param {Object} req - { auth: { shop, accessToken } }
+ * @param {string[]} productIds - numeric product ids
+ */
+export async function refreshFeedProducts(req, productIds) {
+  const cache = await FeedCache.findOne({ shop: req.auth.shop }).lean();
+  if (!cache) {
+    return { success: true, skipped: true, reason: 'no-feed' };
+  }
+  
+  const gids = productIds.map(id => `gid://shopify/Product/${id}`);
+  const active = [];
+  for (let i = 0; i < gids.length; i += 50) {
+    const data = await executeGraphQL(req, PRODUCT_NODES_QUERY, { ids: gids.slice(i, i + 50) });
+    active.push(...(data?.nodes || []).filter(node => node?.id && node.status === 'ACTIVE'));
+  }
+  
+  const [shopInfo, languages, plan] = await Promise.all([
+    getShopInfo(req),
+    getShopLanguages(req),
+    getShopPlan(req.auth.shop)
+  ]);
+  const formatted = new Map(
+    (await formatFeedProducts(req, active, { shopInfo, languages, plan })).map(p => [p.productId, p])
+  );
+  
+  // Replace in place, drop the ones that are no longer active, append new ones
+  const changed = new Set(gids);
+  const lines = [];
+  for (const line of (cache.data || '').split('\n')) {
+    if (!line.trim()) continue;
+    let productId = null;
+    try {
+      productId = JSON.parse(line).productId;
+    } catch {
+      // keep lines we cannot read untouched
+    }
+    if (!changed.has(productId)) {
+      lines.push(line);
+    } else if (formatted.has(productId)) {
+      lines.push(JSON.stringify(formatted.get(productId)));
+      formatted.delete(productId);
+    }
+  }
+  for (const product of formatted.values()) {
+    lines.push(JSON.stringify(product));
+  }
+  
+  await FeedCache.updateOne(
+    { shop: req.auth.shop },
+    { $set: { data: lines.join('\n'), updatedAt: new Date() } }
+  );
+  
+  return { success: true, productsCount: lines.length, updated: active.length };
+}
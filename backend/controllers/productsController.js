@@ -14,12 +14,15 @@ function processProductMetafields(metafields) {
     return {
       optimized: false,
       optimizedLanguages: [],
-      lastOptimized: null
+      lastOptimized: null,
+      slugs: {}
     };
   }
 
   const optimizedLanguages = [];
   let lastOptimized = null;
+  // Generated slug per language - proposed handle for "apply slug"
+  const slugs = {};
 
   metafields.edges.forEach(({ node: metafield }) => {
     if (metafield.key && metafield.key.startsWith('seo__')) {
@@ -27,6 +30,7 @@ function processProductMetafields(metafields) {
         const seoData = JSON.parse(metafield.value);
         if (seoData && seoData.language) {
           optimizedLanguages.push(seoData.language);
+          if (seoData.slug) slugs[seoData.language] = seoData.slug;
           
           // Track the most recent optimization
           if (seoData.updatedAt) {
@@ -45,7 +49,8 @@ function processProductMetafields(metafields) {
   const result = {
     optimized: optimizedLanguages.length > 0,
     optimizedLanguages: [...new Set(optimizedLanguages)], // Remove duplicates
-    lastOptimized: lastOptimized?.toISOString() || null
+    lastOptimized: lastOptimized?.toISOString() || null,
+    slugs
   };
   
   return result;
@@ -187,9 +192,10 @@ router.get('/list', async (req, res) => {
     const languageFilter = req.query.languageFilter; // e.g., 'en', 'de'
     const tagsFilter = req.query.tags ? req.query.tags.split(',') : []; // e.g., 'tag1,tag2'
     const searchFilter = req.query.search; // search term
+    const idsFilter = req.query.ids ? req.query.ids.split(',').map(id => id.split('/').pop()) : []; // numeric ids (SEO audit deep links)
     
     // Check if any client-side filters are active (requires fetching all products)
-    const hasClientFilters = optimizedFilter || aiEnhancedFilter || languageFilter || tagsFilter.length > 0 || searchFilter;
+    const hasClientFilters = optimizedFilter || aiEnhancedFilter || languageFilter || tagsFilter.length > 0 || searchFilter || idsFilter.length > 0;
     
     const shop = req.auth.shop;
 
@@ -256,8 +262,13 @@ router.get('/list', async (req, res) => {
     
     // If we have optimization or language filters, we need metafields for all products
     if (hasClientFilters) {
+      // An ids filter narrows the list before the metafield fetch
+      const scopedProducts = idsFilter.length > 0
+        ? allProductsResult.filter(p => idsFilter.includes(p.id.split('/').pop()))
+        : allProductsResult;
+
       // Fetch metafields for ALL products (in batches of 250)
-      const allProductIds = allProductsResult.map(p => p.id);
+      const allProductIds = scopedProducts.map(p => p.id);
       const allFreshMetafields = {};
       
       for (let i = 0; i < allProductIds.length; i += 250) {
@@ -288,7 +299,7 @@ router.get('/list', async (req, res) => {
       }
       
       // Get AI-enhanced status from MongoDB for ALL products (needed for aiEnhanced filter)
-      const allProductNumericIds = allProductsResult.map(p => {
+      const allProductNumericIds = scopedProducts.map(p => {
         const id = p.id || '';
         return id.includes('gid://') ? id.split('/').pop() : id;
       }).filter(Boolean);
@@ -304,7 +315,7 @@ router.get('/list', async (req, res) => {
       });
       
       // Process all products with metafields and aiEnhanced status
-      let allProcessedProducts = allProductsResult.map(product => {
+      let allProcessedProducts = scopedProducts.map(product => {
         const metafields = allFreshMetafields[product.id] || { edges: [] };
         const optimizationSummary = processProductMetafields(metafields);
         const numericId = product.id.includes('gid://') ? product.id.split('/').pop() : product.id;
@@ -0,0 +1,171 @@
+// backend/controllers/promptTemplateController.js
+// Router: mounted at /api/prompt-template
+// Route(s):
+//   GET  /api/prompt-template (saved template + store languages)
+//   POST /api/prompt-template (save template)
+//   POST /api/prompt-template/preview (AI-enhanced bullets/FAQ for one product, with and without the template)
+//
+// The template is merged into generation prompts by utils/promptTemplate.js.
+
+import { Router } from 'express';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import Shop from '../db/Shop.js';
+import TokenBalance from '../db/TokenBalance.js';
+import { shopGraphQL } from './seoController.js';
+import { generateEnhancedBulletsFAQ } from './aiEnhanceController.js';
+import { normalizePromptTemplate, invalidatePromptTemplateCache } from '../utils/promptTemplate.js';
+import { estimateTokensWithMargin, calculateActualTokens, requiresTokens } from '../billing/tokenConfig.js';
+
+const router = Router();
+
+const PREVIEW_FEATURE = 'ai-seo-product-enhanced';
+const PREVIEW_MODEL = 'google/gemini-2.5-flash-lite';
+
+const Q_PREVIEW_PRODUCT = `
+  query PromptPreviewProduct($id: ID!, $key: String!) {
+    product(id: $id) {
+      id
+      title
+      description
+      productType
+      vendor
+      tags
+      priceRange { minVariantPrice { amount currencyCode } }
+      metafield(namespace: "seo_ai", key: $key) { value }
+      metafields(first: 30) {
+        edges { node { namespace key value type } }
+      }
+    }
+  }
+`;
+
+function toGID(productId) {
+  if (/^\d+$/.test(String(productId))) return `gid://shopify/Product/${productId}`;
+  return String(productId);
+}
+
+// GET /api/prompt-template
+router.get('/', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const doc = await Shop.findOne({ shop }).select('promptTemplate storeLanguages').lean();
+    return res.json({
+      template: normalizePromptTemplate(doc?.promptTemplate || {}),
+      updatedAt: doc?.promptTemplate?.updatedAt || null,
+      languages: (doc?.storeLanguages || []).map(l => l.locale).filter(Boolean)
+    });
+  } catch (err) {
+    console.error('GET /api/prompt-template error:', err);
+    return res.status(500).json({ error: 'Failed to load prompt template' });
+  }
+});
+
+// POST /api/prompt-template
+// Body: { template: { enabled, tone, readingLevel, alwaysUse, neverUse, defaultCta, languageInstructions } }
+router.post('/', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const template = normalizePromptTemplate(req.body?.template || {});
+    const updatedAt = new Date();
+
+    const doc = await Shop.findOneAndUpdate(
+      { shop },
+      { $set: { promptTemplate: { ...template, updatedAt } } },
+      { new: true }
+    ).select('promptTemplate').lean();
+
+    if (!doc) {
+      return res.status(404).json({ error: 'Shop not found' });
+    }
+
+    invalidatePromptTemplateCache(shop);
+    return res.json({ ok: true, template, updatedAt });
+  } catch (err) {
+    console.error('POST /api/prompt-template error:', err);
+    return res.status(500).json({ error: 'Failed to save prompt template' });
+  }
+});
+
+// POST /api/prompt-template/preview
+// Body: { productId, language, template? } - template defaults to the saved one,
+// so unsaved edits in the editor can be previewed. Uses tokens like AI enhancement.
+router.post('/preview', validateRequest(), async (req, res) => {
+  const shop = req.shopDomain;
+  let tokenBalance = null;
+  let reservationId = null;
+
+  try {
+    const { productId, language = 'en' } = req.body || {};
+    if (!productId) {
+      return res.status(400).json({ error: 'Missing productId' });
+    }
+
+    let template = req.body?.template;
+    if (!template) {
+      const doc = await Shop.findOne({ shop }).select('promptTemplate').lean();
+      template = doc?.promptTemplate || {};
+    }
+    template = { ...normalizePromptTemplate(template), enabled: true };
+
+    const lang = String(language).toLowerCase();
+    const data = await shopGraphQL(req, shop, Q_PREVIEW_PRODUCT, { id: toGID(productId), key: `seo__${lang}` });
+    const product = data?.product;
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    let existingSeo = null;
+    try { existingSeo = product.metafield?.value ? JSON.parse(product.metafield.value) : null; } catch { /* invalid metafield */ }
+
+    // Two generations (without + with template)
+    if (requiresTokens(PREVIEW_FEATURE)) {
+      const estimate = estimateTokensWithMargin(PREVIEW_FEATURE, { languages: 2 });
+      tokenBalance = await TokenBalance.getOrCreate(shop);
+      if (!tokenBalance.hasBalance(estimate.withMargin)) {
+        return res.status(402).json({
+          error: 'Insufficient token balance',
+          requiresPurchase: true,
+          tokensRequired: estimate.withMargin,
+          tokensAvailable: tokenBalance.balance,
+          tokensNeeded: estimate.withMargin - tokenBalance.balance,
+          feature: PREVIEW_FEATURE
+        });
+      }
+      const reservation = tokenBalance.reserveTokens(estimate.withMargin, PREVIEW_FEATURE, { productId: product.id, preview: true });
+      reservationId = reservation.reservationId;
+      await reservation.save();
+    }
+
+    const base = { shop, productId: product.id, model: PREVIEW_MODEL, language: lang, product, existingSeo };
+    const [without, withTemplate] = await Promise.all([
+      generateEnhancedBulletsFAQ({ ...base, promptTemplate: null }),
+      generateEnhancedBulletsFAQ({ ...base, promptTemplate: template })
+    ]);
+
+    const tokensUsed = [without, withTemplate]
+      .reduce((sum, r) => sum + (r.usage ? calculateActualTokens(r.usage).totalTokens : 0), 0);
+    if (reservationId) {
+      await tokenBalance.finalizeReservation(reservationId, tokensUsed);
+    }
+
+    return res.json({
+      product: { id: product.id, title: product.title },
+      language: lang,
+      without: { bullets: without.bullets, faq: without.faq },
+      with: { bullets: withTemplate.bullets, faq: withTemplate.faq },
+      tokensUsed
+    });
+  } catch (err) {
+    console.error('POST /api/prompt-template/preview error:', err);
+    if (reservationId) {
+      try {
+        await tokenBalance.finalizeReservation(reservationId, 0);
+      } catch (refundErr) {
+        console.error('[PROMPT-TEMPLATE] Failed to release token reservation:', refundErr.message);
+      }
+    }
+    return res.status(err.status || 500).json({ error: err.message || 'Failed to generate preview' });
+  }
+});
+
+export default router;
@@ -0,0 +1,153 @@
+// backend/controllers/reviewController.js
+// Router: mounted at /api/reviews
+// Route(s):
+//   GET  /api/reviews (imported review counts per source + top products)
+//   GET  /api/reviews/template.csv (CSV import template)
+//   POST /api/reviews/import ({ source: 'csv' | 'auto' | 'judgeme' | 'yotpo' | 'okendo' | 'stamped' | 'loox', content, dryRun? })
+//   POST /api/reviews/clear ({ source? } - remove imported reviews)
+//
+// Imported reviews feed Review / AggregateRating JSON-LD in advancedSchemaController.js,
+// together with Shopify's reviews.rating / reviews.rating_count metafields.
+
+import { Router } from 'express';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import ProductReview from '../db/ProductReview.js';
+import { saveImportedReviews } from '../services/productReviews.js';
+import {
+  REVIEW_SOURCES,
+  REVIEW_APP_SOURCES,
+  parseReviewsCsv,
+  parseReviewAppExport
+} from '../utils/reviewSources.js';
+import { toCsv } from '../utils/csv.js';
+
+const router = Router();
+
+const TEMPLATE_COLUMNS = ['product_handle', 'product_id', 'rating', 'author', 'title', 'body', 'date', 'verified', 'review_id'];
+const MAX_REPORTED_ERRORS = 20;
+
+// GET /api/reviews
+router.get('/', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const [bySource, byProduct] = await Promise.all([
+      ProductReview.aggregate([
+        { $match: { shop } },
+        {
+          $group: {
+            _id: '$source',
+            count: { $sum: 1 },
+            average: { $avg: '$rating' },
+            lastImportedAt: { $max: '$importedAt' }
+          }
+        },
+        { $sort: { count: -1 } }
+      ]),
+      ProductReview.aggregate([
+        { $match: { shop } },
+        { $group: { _id: { $ifNull: ['$productHandle', '$productId'] }, count: { $sum: 1 } } },
+        { $count: 'products' }
+      ])
+    ]);
+
+    return res.json({
+      total: bySource.reduce((sum, s) => sum + s.count, 0),
+      products: byProduct[0]?.products || 0,
+      sources: bySource.map(s => ({
+        source: s._id,
+        count: s.count,
+        averageRating: Math.round(s.average * 100) / 100,
+        lastImportedAt: s.lastImportedAt
+      })),
+      supportedSources: REVIEW_SOURCES
+    });
+  } catch (err) {
+    console.error('GET /api/reviews error:', err);
+    return res.status(500).json({ error: 'Failed to load reviews' });
+  }
+});
+
+// GET /api/reviews/template.csv
+router.get('/template.csv', (req, res) => {
+  const example = {
+    product_handle: 'linen-shirt',
+    product_id: '',
+    rating: 5,
+    author: 'Maria K.',
+    title: 'Perfect for summer',
+    body: 'Light, breathable and true to size.',
+    date: '2025-06-01',
+    verified: 'yes',
+    review_id: ''
+  };
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': 'attachment; filename="reviews-template.csv"'
+  });
+  return res.send(toCsv([example], TEMPLATE_COLUMNS));
+});
+
+// POST /api/reviews/import
+// Body: { source, content (CSV text or JSON export text), dryRun? }
+router.post('/import', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { source = 'auto', content, dryRun = false } = req.body || {};
+
+    if (!content || (typeof content !== 'string' && typeof content !== 'object')) {
+      return res.status(400).json({ error: 'Missing file content' });
+    }
+    if (source !== 'csv' && source !== 'auto' && !REVIEW_APP_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Unsupported review source: ${source}` });
+    }
+
+    // 'auto': JSON exports are detected by shape, anything else is treated as CSV
+    const looksLikeJson = typeof content === 'object' || /^\s*[[{]/.test(content);
+    const parsed = source === 'csv' || (source === 'auto' && !looksLikeJson)
+      ? { source: 'csv', ...parseReviewsCsv(content) }
+      : parseReviewAppExport(source, content);
+
+    const summary = {
+      source: parsed.source,
+      valid: parsed.reviews.length,
+      skipped: parsed.skipped,
+      invalid: parsed.errors.length,
+      errors: parsed.errors.slice(0, MAX_REPORTED_ERRORS),
+      products: new Set(parsed.reviews.map(r => r.productHandle || r.productId)).size
+    };
+
+    if (dryRun) {
+      return res.json({ dryRun: true, ...summary });
+    }
+
+    const { inserted, updated } = await saveImportedReviews(shop, parsed.reviews);
+    console.log(`[REVIEWS] ${shop}: imported ${inserted} new, ${updated} updated from ${parsed.source} (${summary.invalid} invalid, ${summary.skipped} unpublished)`);
+
+    return res.json({ dryRun: false, inserted, updated, ...summary });
+  } catch (err) {
+    console.error('POST /api/reviews/import error:', err);
+    return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to import reviews' });
+  }
+});
+
+// POST /api/reviews/clear
+// Body: { source? } - without source every imported review is removed
+router.post('/clear', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { source } = req.body || {};
+    if (source && !REVIEW_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Unsupported review source: ${source}` });
+    }
+
+    const filter = { shop };
+    if (source) filter.source = source;
+    const result = await ProductReview.deleteMany(filter);
+    return res.json({ ok: true, deleted: result.deletedCount || 0 });
+  } catch (err) {
+    console.error('POST /api/reviews/clear error:', err);
+    return res.status(500).json({ error: 'Failed to clear reviews' });
+  }
+});
+
+export default router;
@@ -0,0 +1,259 @@
+// backend/controllers/seoAuditController.js
+// Router: mounted at /api/seo-audit
+// Route(s):
+//   GET  /api/seo-audit      (latest audit + job status)
+//   POST /api/seo-audit/run  (start an audit in the background)
+//   POST /api/seo-audit/fix  ({ issueId } - start the SEO or alt text batch of a 'generate' / 'generate-alt' issue)
+//
+// The audit reads the synced Product/Collection data (titles, descriptions) and the live
+// SEO fields from Shopify (seo { title description }, the seo_ai metafields, image alt texts),
+// runs utils/seoAudit.js and stores the result in db/SeoAudit.js. 'review' fixes are
+// deep links handled by the frontend (BulkEdit ?ids=, collections page).
+
+import { Router } from 'express';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import Product from '../db/Product.js';
+import Collection from '../db/Collection.js';
+import Subscription from '../db/Subscription.js';
+import SeoAudit from '../db/SeoAudit.js';
+import seoAuditQueue from '../services/seoAuditQueue.js';
+import seoJobQueue from '../services/seoJobQueue.js';
+import { getPlanConfig, allowedModelsForPlan } from '../plans.js';
+import { shopGraphQL } from './seoController.js';
+import { startAltTextJob } from './altTextController.js';
+import { auditSeo } from '../utils/seoAudit.js';
+
+const router = Router();
+
+// Products + collections checked per audit
+const AUDIT_LIMIT = 5000;
+
+// Every node costs ~55 query points (seo_ai metafield keys + primary value + media); Shopify allows 1000 per query
+const NODE_BATCH = 15;
+
+const Q_SHOP_LOCALES = `
+  query ShopLocales {
+    shopLocales { locale primary published }
+  }
+`;
+
+const Q_LIVE_SEO = `
+  query($ids: [ID!]!, $key: String!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        seo { title description }
+        metafields(namespace: "seo_ai", first: 30) { nodes { key } }
+        primarySeo: metafield(namespace: "seo_ai", key: $key) { value }
+        media(first: 20) { nodes { ... on MediaImage { id alt } } }
+      }
+      ... on Collection {
+        id
+        seo { title description }
+        metafields(namespace: "seo_ai", first: 30) { nodes { key } }
+        primarySeo: metafield(namespace: "seo_ai", key: $key) { value }
+      }
+    }
+  }
+`;
+
+function gidTail(value) {
+  return String(value || '').split('/').pop();
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value || 'null');
+  } catch {
+    return null;
+  }
+}
+
+async function publishedLocales(shop) {
+  const data = await shopGraphQL(null, shop, Q_SHOP_LOCALES, {});
+  const locales = data?.shopLocales || [];
+  const primary = (locales.find(l => l?.primary)?.locale || 'en').toLowerCase();
+  const published = locales.filter(l => l.published || l.primary).map(l => l.locale.toLowerCase());
+  return { primary, locales: [primary, ...published.filter(l => l !== primary)] };
+}
+
+async function fetchLiveSeo(shop, gids, primary) {
+  const found = new Map();
+  for (let i = 0; i < gids.length; i += NODE_BATCH) {
+    const data = await shopGraphQL(null, shop, Q_LIVE_SEO, { ids: gids.slice(i, i + NODE_BATCH), key: `seo__${primary}` });
+    for (const node of data?.nodes || []) {
+      if (node?.id) found.set(node.id, node);
+    }
+  }
+  return found;
+}
+
+function optimizedLocales(node) {
+  return (node.metafields?.nodes || [])
+    .map(m => m.key)
+    .filter(key => key?.startsWith('seo__'))
+    .map(key => key.slice('seo__'.length).toLowerCase());
+}
+
+/**
+ * Audit the shop's catalog and store the result.
+ * @param {string} shop
+ * @param {Object} [options]
+ * @param {string} [options.jobId]
+ * @param {Date} [options.startedAt]
+ * @returns {Object} the stored SeoAudit document
+ */
+export async function runSeoAudit(shop, { jobId = null, startedAt = null } = {}) {
+  const { primary, locales } = await publishedLocales(shop);
+
+  const products = await Product.find({ shop, status: { $nin: ['ARCHIVED', 'archived'] } })
+    .select('productId title handle description')
+    .sort({ updatedAt: -1 })
+    .limit(AUDIT_LIMIT)
+    .lean();
+  const collections = await Collection.find({ shop })
+    .select('collectionId title handle description descriptionHtml')
+    .limit(Math.max(AUDIT_LIMIT - products.length, 0))
+    .lean();
+  const truncated = products.length + collections.length >= AUDIT_LIMIT;
+
+  const resources = [
+    ...products.map(p => ({
+      type: 'product',
+      id: gidTail(p.productId),
+      gid: `gid://shopify/Product/${gidTail(p.productId)}`,
+      title: p.title,
+      handle: p.handle,
+      description: p.description
+    })),
+    ...collections.map(c => ({
+      type: 'collection',
+      id: gidTail(c.collectionId),
+      gid: `gid://shopify/Collection/${gidTail(c.collectionId)}`,
+      title: c.title,
+      handle: c.handle,
+      description: c.descriptionHtml || c.description
+    }))
+  ];
+
+  const live = await fetchLiveSeo(shop, resources.map(r => r.gid), primary);
+  // Resources deleted in Shopify since the last sync are left out
+  const audited = resources.filter(r => live.has(r.gid)).map(({ gid, ...resource }) => {
+    const node = live.get(gid);
+    return {
+      ...resource,
+      seo: node.seo,
+      aiSeo: parseJson(node.primarySeo?.value),
+      optimizedLocales: optimizedLocales(node),
+      ...(resource.type === 'product' && {
+        images: (node.media?.nodes || []).filter(m => m?.id).map(m => ({ id: m.id, alt: m.alt }))
+      })
+    };
+  });
+
+  const { summary, issues } = auditSeo(audited, { locales, primaryLocale: primary });
+  const audit = await SeoAudit.create({
+    shop,
+    jobId,
+    locales,
+    primaryLocale: primary,
+    summary,
+    issues,
+    truncated,
+    startedAt
+  });
+  console.log(`[SEO-AUDIT] ${shop}: ${audited.length} resources, score ${summary.score}, ${issues.length} issues`);
+  return audit.toObject();
+}
+
+function formatAudit(audit) {
+  if (!audit) return null;
+  return {
+    id: String(audit._id),
+    createdAt: audit.createdAt,
+    locales: audit.locales,
+    primaryLocale: audit.primaryLocale,
+    summary: audit.summary,
+    truncated: audit.truncated,
+    issues: (audit.issues || []).map(({ ids, ...issue }) => issue)
+  };
+}
+
+// GET /api/seo-audit
+router.get('/', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const [audit, job] = await Promise.all([
+      SeoAudit.findOne({ shop }).sort({ createdAt: -1 }).lean(),
+      seoAuditQueue.getJobStatus(shop)
+    ]);
+    return res.json({ audit: formatAudit(audit), job });
+  } catch (err) {
+    console.error('GET /api/seo-audit error:', err);
+    return res.status(500).json({ error: 'Failed to load the SEO audit' });
+  }
+});
+
+// POST /api/seo-audit/run
+router.post('/run', validateRequest(), async (req, res) => {
+  try {
+    const result = await seoAuditQueue.addJob(req.shopDomain);
+    return res.json(result);
+  } catch (err) {
+    console.error('POST /api/seo-audit/run error:', err);
+    return res.status(500).json({ error: 'Failed to start the SEO audit' });
+  }
+});
+
+// POST /api/seo-audit/fix
+router.post('/fix', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const issueId = String(req.body?.issueId || '');
+    const audit = await SeoAudit.findOne({ shop }).sort({ createdAt: -1 }).lean();
+    const issue = (audit?.issues || []).find(i => i.id === issueId);
+    if (!issue) return res.status(404).json({ error: 'Issue not found - run the audit again' });
+    if (issue.fix === 'generate-alt') {
+      const result = await startAltTextJob(shop, { productIds: issue.ids, languages: [audit.primaryLocale] });
+      if (!result.queued) return res.status(409).json({ error: result.message });
+      console.log(`[SEO-AUDIT] ${shop}: fix ${issueId} queued alt text for ${result.total} products (${result.jobId})`);
+      return res.json({ queued: true, jobId: result.jobId, totalProducts: result.total, language: audit.primaryLocale });
+    }
+    if (issue.fix !== 'generate') {
+      return res.status(400).json({ error: 'This issue is fixed in the editor' });
+    }
+
+    const language = issue.language || audit.primaryLocale;
+    const products = await Product.find({ shop, productId: { $in: issue.ids } })
+      .select('productId title seoStatus')
+      .lean();
+    if (!products.length) return res.status(404).json({ error: 'The affected products no longer exist' });
+
+    const subscription = await Subscription.findOne({ shop }).lean();
+    const planKey = String(subscription?.plan || 'starter').toLowerCase().replace(/\s+/g, '_');
+    const planConfig = getPlanConfig(subscription?.plan || 'starter');
+    const model = allowedModelsForPlan(planKey)[0];
+
+    const items = products.map(p => ({
+      productId: `gid://shopify/Product/${gidTail(p.productId)}`,
+      title: p.title || null,
+      languages: [language],
+      existingLanguages: (p.seoStatus?.languages || []).filter(l => l.optimized).map(l => l.code),
+      model
+    }));
+    const result = await seoJobQueue.addJob(shop, items, { languageLimit: planConfig?.languageLimit || 1 });
+    if (!result.queued) return res.status(409).json({ error: result.message });
+
+    console.log(`[SEO-AUDIT] ${shop}: fix ${issueId} queued ${items.length} products (${result.jobId})`);
+    return res.json({ queued: true, jobId: result.jobId, totalProducts: items.length, language });
+  } catch (err) {
+    if (err.status === 402) {
+      return res.status(402).json({ error: err.message, requiresPurchase: !err.spendingCap, trialRestriction: !!err.trialRestriction, feature: 'ai-image-alt' });
+    }
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('POST /api/seo-audit/fix error:', err);
+    return res.status(500).json({ error: 'Failed to start the fix' });
+  }
+});
+
+export default router;
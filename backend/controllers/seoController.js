@@ -1,6 +1,8 @@
 // backend/controllers/seoController.js
 // Routes: /seo/generate, /seo/apply (plans/me е премахнат - използваме GraphQL)
-// Behavior: Do NOT generate if the product has no real translation for the requested language.
+// Behavior: Do NOT generate if the product has no real translation for the requested language,
+// unless translateMissing is set - then the product is machine-translated first
+// (translateProductForLanguage, metered as ai-translation-product).
 
 import express from 'express';
 import Ajv from 'ajv';
@@ -11,7 +13,19 @@ import Shop from '../db/Shop.js';
 import TokenBalance from '../db/TokenBalance.js';
 import { getPlanConfig, resolvePlanKey, DEFAULT_MODELS, vendorFromModel, TRIAL_DAYS } from '../plans.js';
 import { validateRequest } from '../middleware/shopifyAuth.js';
-import { calculateFeatureCost, requiresTokens, isBlockedInTrial } from '../billing/tokenConfig.js';
+import { calculateFeatureCost, requiresTokens, isBlockedInTrial, estimateTokensWithMargin, calculateActualTokens } from '../billing/tokenConfig.js';
+import { checkSpendingCaps, spendingCapResponse } from '../utils/spendingCaps.js';
+import { TITLE_LIMIT, META_MIN, META_TARGET, META_MAX } from '../utils/seoLimits.js';
+import { getMeter } from '../utils/tokenMeter.js';
+import MachineTranslation from '../db/MachineTranslation.js';
+import {
+  keysToTranslate,
+  buildTranslationPrompt,
+  sanitizeTranslation,
+  buildTranslationInputs,
+  changedDigestKeys
+} from '../utils/machineTranslation.js';
+import indexNowQueue from '../services/indexNowQueue.js';
 
 const router = express.Router();
 
@@ -361,14 +375,12 @@ async function shopGraphQL(req, shop, query, variables = {}) {
   return json.data;
 }
 
-/* --------------------------- OpenRouter (AI) --------------------------- */
-import aiQueue from '../services/aiQueue.js'; // PHASE 1 OPTIMIZATION
-
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || '';
-const OPENROUTER_BASE_URL = process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1';
+/* --------------------------- AI provider --------------------------- */
+import { chatCompletion, parseJsonContent } from '../ai/provider.js';
+import { getShopPromptTemplate, withPromptTemplate } from '../utils/promptTemplate.js';
 
 /**
- * OpenRouter Chat wrapper - NOW WITH RATE LIMITING
+ * Chat wrapper on the configured AI provider (rate limited by aiQueue)
  * Priority: NORMAL (SEO optimization, not time-critical)
  */
 async function openrouterChat(model, messages, response_format_json = true) {
@@ -377,44 +389,9 @@ async function openrouterChat(model, messages, response_format_json = true) {
     console.error('🚫 BLOCKED: Claude model calls are disabled');
     throw new Error('Claude models are temporarily disabled to save costs');
   }
-  
-  if (!OPENROUTER_API_KEY) {
-    const err = new Error('OpenRouter API key missing');
-    err.status = 500;
-    throw err;
-  }
-  
-  // Wrap in NORMAL PRIORITY queue (SEO optimization)
-  return aiQueue.add(async () => {
-    const rsp = await fetch(`${OPENROUTER_BASE_URL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': process.env.OPENROUTER_SITE_URL || process.env.APP_URL || 'https://indexaize.com',
-        'X-Title': 'indexAIze - AI Discovery & SEO',
-      },
-      body: JSON.stringify({
-        model,
-        response_format: response_format_json ? { type: 'json_object' } : undefined,
-        messages,
-        temperature: 0.4,
-      }),
-    });
-    if (!rsp.ok) {
-      const text = await rsp.text().catch(() => '');
-      const e = new Error(`OpenRouter ${rsp.status}: ${text || rsp.statusText}`);
-      e.status = rsp.status || 500;
-      throw e;
-    }
-    const j = await rsp.json();
-    const content =
-      j?.choices?.[0]?.message?.content ||
-      j?.choices?.[0]?.message?.tool_calls?.[0]?.function?.arguments ||
-      '';
-    
-    return { content, usage: j?.usage || {} };
-  }, { model, messageCount: messages.length });
+
+  const { content, usage } = await chatCompletion({ model, messages, json: response_format_json });
+  return { content, usage };
 }
 
 /* --------------------------- Metafield Definition Helper --------------------------- */
@@ -554,6 +531,135 @@ async function deleteProductMetafield(req, shop, productId, key) {
   }
 }
 
+/* --------------------------- SEO Version History --------------------------- */
+const SET_METAFIELDS_MUTATION = `
+  mutation SetAiSeo($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors { field message }
+      metafields { id }
+    }
+  }
+`;
+
+function parseJsonValue(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// Read current seo_ai.seo__{lang} and custom.json_ld for a product (snapshot for SeoVersion)
+async function readSeoSnapshot(req, shop, productId, language) {
+  const Q = `
+    query GetSeoSnapshot($id: ID!, $key: String!) {
+      product(id: $id) {
+        title
+        seo: metafield(namespace: "seo_ai", key: $key) { value }
+        jsonLd: metafield(namespace: "custom", key: "json_ld") { value }
+      }
+    }
+  `;
+  const data = await shopGraphQL(req, shop, Q, { id: productId, key: `seo__${language.toLowerCase()}` });
+  return {
+    productTitle: data?.product?.title || '',
+    snapshot: {
+      seo: parseJsonValue(data?.product?.seo?.value),
+      jsonLd: parseJsonValue(data?.product?.jsonLd?.value)
+    }
+  };
+}
+
+/**
+ * Restore a product + language to one of the snapshots stored in a SeoVersion.
+ * target 'before' undoes that apply, target 'after' re-applies that version.
+ * The restore itself is recorded as a new SeoVersion (source: 'restore').
+ */
+async function restoreSeoVersion(req, shop, version, target = 'before') {
+  const SeoVersion = (await import('../db/SeoVersion.js')).default;
+  const Product = (await import('../db/Product.js')).default;
+
+  const { productId } = version;
+  const language = String(version.language).toLowerCase();
+  const snapshot = version[target] || {};
+  const mfKey = `seo__${language}`;
+
+  const current = await readSeoSnapshot(req, shop, productId, language);
+
+  // 1. SEO metafield: write the snapshot back, or delete it if it did not exist
+  if (snapshot.seo) {
+    await ensureMetafieldDefinition(req, shop, language);
+    await shopGraphQL(req, shop, SET_METAFIELDS_MUTATION, {
+      metafields: [{
+        ownerId: productId,
+        namespace: 'seo_ai',
+        key: mfKey,
+        type: 'json',
+        value: JSON.stringify(snapshot.seo),
+      }]
+    });
+  } else if (current.snapshot.seo) {
+    await deleteProductMetafield(req, shop, productId, mfKey);
+  }
+
+  // 2. JSON-LD is shared by all languages of the product, so we only write it back
+  // when the snapshot has one (never delete it for the other languages)
+  if (snapshot.jsonLd) {
+    await ensureJsonLdDefinition(req, shop);
+    await shopGraphQL(req, shop, SET_METAFIELDS_MUTATION, {
+      metafields: [{
+        ownerId: productId,
+        namespace: 'custom',
+        key: 'json_ld',
+        type: 'json',
+        value: JSON.stringify(snapshot.jsonLd),
+      }]
+    });
+  }
+
+  // 3. Keep MongoDB seoStatus in sync with the restored state
+  const numericId = parseInt(productId.replace('gid://shopify/Product/', ''));
+  try {
+    const product = await Product.findOne({ shop, productId: numericId });
+    if (product) {
+      const otherLanguages = (product.seoStatus?.languages || []).filter(l => l.code !== language);
+      const updatedLanguages = snapshot.seo
+        ? [...otherLanguages, { code: language, optimized: true, lastOptimizedAt: new Date() }]
+        : otherLanguages;
+      await Product.findOneAndUpdate(
+        { shop, productId: numericId },
+        {
+          $set: {
+            'seoStatus.languages': updatedLanguages,
+            'seoStatus.optimized': updatedLanguages.some(l => l.optimized)
+          }
+        }
+      );
+    }
+    await updateOptimizationSummary(shop, numericId);
+  } catch (e) {
+    console.error('[SEO-HISTORY] Failed to update MongoDB seoStatus:', e.message);
+  }
+
+  // 4. Record the restore itself so it can be undone too
+  const restored = await SeoVersion.create({
+    shop,
+    productId,
+    productTitle: current.productTitle || version.productTitle,
+    language,
+    jobId: null,
+    source: 'restore',
+    before: current.snapshot,
+    after: { seo: snapshot.seo || null, jsonLd: snapshot.jsonLd || current.snapshot.jsonLd },
+    restoredFrom: version._id
+  });
+
+  await SeoVersion.updateOne({ _id: version._id }, { $set: { restoredAt: new Date() } });
+
+  return { ok: true, productId, language, target, versionId: restored._id };
+}
+
 /* --------------------------- Collection Metafield Definition Helper --------------------------- */
 // Delete collection metafield by key
 async function deleteCollectionMetafield(req, shop, collectionId, key) {
@@ -988,10 +1094,7 @@ const seoSchema = {
 const validateSeo = ajv.compile(seoSchema);
 
 /* --------------------------- Fixups --------------------------- */
-const TITLE_LIMIT = 70;
-const META_MIN = 20;
-const META_TARGET = 180;
-const META_MAX = 200;
+// TITLE_LIMIT / META_MIN / META_TARGET / META_MAX come from utils/seoLimits.js
 
 function kebab(str = '') {
   return String(str)
@@ -1046,7 +1149,7 @@ async function hasProductTranslation(req, shop, productId, locale) {
   `;
   const d = await shopGraphQL(req, shop, Q, { id: productId, locale });
   const arr = d?.product?.translations || [];
-  const keys = new Set(['title','body_html','seo_title','seo_description']);
+  const keys = new Set(['title','body_html','meta_title','meta_description','seo_title','seo_description']);
   return arr.some(t => keys.has(t.key) && typeof t.value === 'string' && t.value.trim().length > 0);
 }
 
@@ -1071,13 +1174,157 @@ async function getProductLocalizedContent(req, shop, productId, localeInput) {
   }
   const title = (map['title'] || '').trim();
   const bodyHtml = (map['body_html'] || '').trim();
-  const seoTitle = (map['seo_title'] || '').trim();
-  const seoDescription = (map['seo_description'] || '').trim();
+  const seoTitle = (map['meta_title'] || map['seo_title'] || '').trim();
+  const seoDescription = (map['meta_description'] || map['seo_description'] || '').trim();
 
   const hasAny = !!title || !!bodyHtml || !!seoTitle || !!seoDescription;
   return { locale, title, bodyHtml, seoTitle, seoDescription, hasAny };
 }
 
+/* --------------------------- Machine translation --------------------------- */
+const TRANSLATION_FEATURE = 'ai-translation-product';
+const TRANSLATION_MODEL = 'google/gemini-2.5-flash-lite';
+
+const Q_TRANSLATABLE_PRODUCT = `
+  query($id: ID!, $locale: String!) {
+    translatableResource(resourceId: $id) {
+      resourceId
+      translatableContent { key value digest locale }
+      translations(locale: $locale) { key value outdated }
+    }
+  }
+`;
+
+const M_TRANSLATIONS_REGISTER = `
+  mutation($resourceId: ID!, $translations: [TranslationInput!]!) {
+    translationsRegister(resourceId: $resourceId, translations: $translations) {
+      translations { key locale }
+      userErrors { field message code }
+    }
+  }
+`;
+
+async function readTranslatableProduct(req, shop, productId, locale) {
+  const d = await shopGraphQL(req, shop, Q_TRANSLATABLE_PRODUCT, { id: productId, locale });
+  const resource = d?.translatableResource;
+  if (!resource) {
+    const e = new Error('Product not found');
+    e.status = 404;
+    throw e;
+  }
+  return { content: resource.translatableContent || [], translations: resource.translations || [] };
+}
+
+// 4) Machine-translate title, body, SEO fields and handle from the primary language and
+// register them, so generateSEOForLanguage has localized content to work from.
+// Only keys without a current translation are filled - merchant translations are never
+// overwritten. Recorded in MachineTranslation for review.
+async function translateProductForLanguage(req, shop, productId, language) {
+  const d = await shopGraphQL(req, shop, `query { shopLocales { locale primary published } }`);
+  const locales = (d?.shopLocales || []).filter(l => l && (l.published || l.primary));
+  const primaryLocale = locales.find(l => l.primary)?.locale || 'en';
+  const target = locales.find(l => l.locale.toLowerCase() === String(language).toLowerCase())
+    || locales.find(l => canonLang(l.locale) === canonLang(language));
+  if (!target) {
+    const e = new Error(`Language ${language} is not published in this store`);
+    e.status = 400;
+    throw e;
+  }
+  const locale = target.locale;
+  if (target.primary) {
+    return { translated: false, locale, keys: [], tokensUsed: 0, reason: 'Primary language' };
+  }
+
+  const before = await readTranslatableProduct(req, shop, productId, locale);
+  const keys = keysToTranslate(before.content, before.translations);
+  if (!keys.length) {
+    return { translated: false, locale, keys: [], tokensUsed: 0, reason: 'Already translated' };
+  }
+  const fields = {};
+  const digests = {};
+  for (const key of keys) {
+    const source = before.content.find(c => c.key === key);
+    fields[key] = source.value;
+    digests[key] = source.digest;
+  }
+
+  // === TOKEN CHECKING (separate from the SEO features) ===
+  const tokenEstimate = estimateTokensWithMargin(TRANSLATION_FEATURE, { languages: 1 });
+  const tokenBalance = await TokenBalance.getOrCreate(shop);
+  if (!tokenBalance.hasBalance(tokenEstimate.withMargin)) {
+    const e = new Error('Insufficient token balance for translation');
+    e.status = 402;
+    e.tokensRequired = tokenEstimate.withMargin;
+    e.tokensAvailable = tokenBalance.balance;
+    throw e;
+  }
+  const capViolation = checkSpendingCaps(tokenBalance, tokenEstimate.withMargin);
+  if (capViolation) {
+    const e = new Error(spendingCapResponse(capViolation, TRANSLATION_FEATURE).message);
+    e.status = 402;
+    e.spendingCap = true;
+    throw e;
+  }
+  const reservation = tokenBalance.reserveTokens(tokenEstimate.withMargin, TRANSLATION_FEATURE, { productId, locale });
+  await reservation.save();
+
+  let tokensUsed = 0;
+  let translated;
+  try {
+    const messages = buildTranslationPrompt({ sourceLocale: primaryLocale, targetLocale: locale, fields });
+    const { content, usage } = await openrouterChat(TRANSLATION_MODEL, messages, true);
+    tokensUsed = calculateActualTokens(usage).totalTokens;
+    translated = sanitizeTranslation(parseJsonContent(content), keys);
+  } finally {
+    // Refunds the whole reservation when the call failed
+    const balance = await TokenBalance.getOrCreate(shop);
+    await balance.finalizeReservation(reservation.reservationId, tokensUsed);
+  }
+
+  // The source may have been edited, or translated by the merchant, while the model worked
+  const after = await readTranslatableProduct(req, shop, productId, locale);
+  const changed = changedDigestKeys(digests, after.content);
+  if (changed.length) {
+    const e = new Error(`Product content changed during translation (${changed.join(', ')}). Please try again.`);
+    e.status = 409;
+    throw e;
+  }
+  const stillMissing = new Set(keysToTranslate(after.content, after.translations));
+  for (const key of Object.keys(translated)) {
+    if (!stillMissing.has(key)) delete translated[key];
+  }
+
+  const inputs = buildTranslationInputs(locale, translated, digests);
+  if (!inputs.length) {
+    const e = new Error('Translation returned no usable content');
+    e.status = 502;
+    throw e;
+  }
+  await shopGraphQL(req, shop, M_TRANSLATIONS_REGISTER, { resourceId: productId, translations: inputs });
+
+  const set = {
+    productTitle: before.content.find(c => c.key === 'title')?.value || '',
+    sourceLocale: primaryLocale,
+    model: TRANSLATION_MODEL,
+    jobId: getMeter()?.jobId || null,
+    status: 'unreviewed',
+    reviewedAt: null,
+    updatedAt: new Date()
+  };
+  for (const { key, value } of inputs) {
+    set[`fields.${key}`] = value;
+    set[`sourceDigests.${key}`] = digests[key];
+  }
+  await MachineTranslation.updateOne(
+    { shop, productId, locale },
+    { $set: set, $inc: { tokensUsed }, $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+
+  console.log(`[SEO/TRANSLATE] ${shop} ${productId} → ${locale}: ${inputs.map(i => i.key).join(', ')} (${tokensUsed} tokens)`);
+  return { translated: true, locale, keys: inputs.map(i => i.key), tokensUsed };
+}
+
 /* --------------------------- Fixup & validate --------------------------- */
 function fixupAndValidate(payload) {
   const p = { ...(payload || {}) };
@@ -1190,6 +1437,8 @@ router.post('/seo/generate', validateRequest(), async (req, res) => {
   try {
     const shop = req.shopDomain;
     const { productId, model, language = 'en', enhanced = false } = req.body || {};
+    // Machine-translate locales that have no translation yet instead of skipping them
+    const translateMissing = req.body?.translateMissing === true;
     if (!productId || !model) {
       return res.status(400).json({ error: 'Missing required fields: shop, model, productId' });
     }
@@ -1258,7 +1507,7 @@ router.post('/seo/generate', validateRequest(), async (req, res) => {
       const shopLocales = await getShopPublishedLocales(req, shop);
       validLangs = [];
       for (const loc of shopLocales) {
-        if (await hasProductTranslation(req, shop, productId, loc)) {
+        if (translateMissing || await hasProductTranslation(req, shop, productId, loc)) {
           const short = canonLang(loc);
           if (!validLangs.includes(short)) validLangs.push(short);
         }
@@ -1348,10 +1597,10 @@ router.post('/seo/generate', validateRequest(), async (req, res) => {
     if (isAll) {
       // 1) Get published shop locales
       const shopLocales = await getShopPublishedLocales(req, shop);
-      // 2) Keep only those with real product translations
+      // 2) Keep only those with real product translations (all of them when translating)
       const langs = [];
       for (const loc of shopLocales) {
-        if (await hasProductTranslation(req, shop, productId, loc)) {
+        if (translateMissing || await hasProductTranslation(req, shop, productId, loc)) {
           const short = canonLang(loc);
           if (!langs.includes(short)) langs.push(short); // dedupe
         }
@@ -1360,8 +1609,11 @@ router.post('/seo/generate', validateRequest(), async (req, res) => {
       const results = [];
       for (const lang of langs) {
         try {
+          const translation = translateMissing
+            ? await translateProductForLanguage(req, shop, productId, lang)
+            : null;
           const result = await generateSEOForLanguage(req, shop, productId, model, lang);
-          results.push(result);
+          results.push(translation?.translated ? { ...result, machineTranslated: true } : result);
         } catch (error) {
           results.push({
             productId,
@@ -1392,22 +1644,31 @@ const primaryLang = (shopData?.shopLocales || []).find(l => l?.primary)?.locale?
 const isPrimary = langNorm.toLowerCase() === primaryLang.toLowerCase();
 
 // Only check for translations if NOT primary language
+let translation = null;
 if (!isPrimary) {
   const hasLoc = await hasProductTranslation(req, shop, productId, language);
   if (!hasLoc) {
-    return res.status(400).json({
-      error: 'Product is not translated to the requested language',
-      language: langNorm
-    });
+    if (!translateMissing) {
+      return res.status(400).json({
+        error: 'Product is not translated to the requested language',
+        language: langNorm
+      });
+    }
+    translation = await translateProductForLanguage(req, shop, productId, language);
   }
 }
 
 const result = await generateSEOForLanguage(req, shop, productId, model, language);
-return res.json(result);
+return res.json(translation?.translated ? { ...result, machineTranslated: true } : result);
 
   } catch (e) {
     const payload = { error: e.message || String(e) };
     if (e.issues) payload.issues = e.issues;
+    // Translation token errors (translateProductForLanguage)
+    if (e.spendingCap) payload.spendingCap = true;
+    if (e.tokensRequired) {
+      Object.assign(payload, { requiresPurchase: true, feature: 'ai-translation-product', tokensRequired: e.tokensRequired, tokensAvailable: e.tokensAvailable });
+    }
     res.status(e.status || 500).json(payload);
   }
 });
@@ -1562,7 +1823,7 @@ async function generateSEOForLanguage(req, shop, productId, model, language) {
     language: langNormalized,
   };
 
-  const messages = strictPrompt(ctx, langNormalized);
+  const messages = strictPrompt(ctx, langNormalized, await getShopPromptTemplate(shop));
   
   const { content } = await openrouterChat(model, messages, true);
 
@@ -1574,6 +1835,8 @@ async function generateSEOForLanguage(req, shop, productId, model, language) {
   */
 
   // LOCAL SEO DATA GENERATION
+  // Built from the merchant's own copy, used as written - brand voice "never use" phrases
+  // only constrain model output (scrubNeverUsePhrases on the AI paths)
   
   // Generate meta description from body or title
   let metaDescription = seoDescription;
@@ -1677,8 +1940,9 @@ async function generateSEOForLanguage(req, shop, productId, model, language) {
   return value;
 }
 
-function strictPrompt(ctx, language) {
-  return [
+// promptTemplate: the shop's brand voice (Shop.promptTemplate), merged into the system prompt
+function strictPrompt(ctx, language, promptTemplate = null) {
+  return withPromptTemplate([
     {
       role: 'system',
       content:
@@ -1696,7 +1960,7 @@ function strictPrompt(ctx, language) {
         `DO NOT include jsonLd in your response!`,  // DOUBLE EMPHASIS
     },
     { role: 'user', content: JSON.stringify(ctx) },
-  ];
+  ], promptTemplate, language);
 }
 
 async function applySEOForLanguage(req, shop, productId, seo, language, options = {}) {
@@ -1740,10 +2004,20 @@ async function applySEOForLanguage(req, shop, productId, seo, language, options
     }
     const v = fixed.value.seo;
 
+    // Snapshot of the current metafields, stored as the "before" side of the SeoVersion
+    let history = null;
+
     if (!dryRun) {
       // 🚨 SKIP: We do NOT update product base fields (title, description, seo)
       // Product data remains unchanged - we only update metafields below
 
+      // 0. Capture current state for version history (failure must not block the apply)
+      try {
+        history = await readSeoSnapshot(req, shop, productId, language);
+      } catch (e) {
+        console.error(`[SEO-APPLY] Failed to read SEO snapshot for history:`, e.message);
+      }
+
       // 1. Ensure metafield definition exists
       await ensureMetafieldDefinition(req, shop, language.toLowerCase());
 
@@ -1791,6 +2065,7 @@ async function applySEOForLanguage(req, shop, productId, seo, language, options
         errors.push(...mfErrs.map(e => e.message || JSON.stringify(e)));
       } else {
         updated.seoMetafield = true;
+        if (history) history.afterSeo = metafieldData;
       }
 
       // 3b. Save JSON-LD as custom.json_ld metafield (programmatic, not AI-generated)
@@ -2025,6 +2300,37 @@ async function applySEOForLanguage(req, shop, productId, seo, language, options
       }
     }
 
+    // 7. Record before/after version for history & rollback
+    if (updated.seoMetafield && !dryRun && history) {
+      try {
+        const SeoVersion = (await import('../db/SeoVersion.js')).default;
+        await SeoVersion.create({
+          shop,
+          productId,
+          productTitle: history.productTitle,
+          language: language.toLowerCase(),
+          jobId: options?.jobId || null,
+          source: options?.jobId ? 'batch' : 'apply',
+          before: history.snapshot,
+          after: {
+            seo: history.afterSeo,
+            jsonLd: updated.jsonLd ? v.jsonLd : history.snapshot.jsonLd
+          }
+        });
+      } catch (e) {
+        console.error('[SEO-APPLY] Failed to record SEO version:', e.message);
+      }
+    }
+
+    // Tell search engines the product page changed (sent in the next IndexNow batch)
+    if (!dryRun && errors.length === 0) {
+      try {
+        await indexNowQueue.queueProduct(shop, productId, language);
+      } catch (e) {
+        console.error('[SEO-APPLY] Failed to queue IndexNow URL:', e.message);
+      }
+    }
+
     // Update AI products feed
     try {
       await fetch(`${process.env.APP_URL}/ai/update-product`, {
@@ -4021,6 +4327,86 @@ router.delete('/collections/delete-seo', validateRequest(), async (req, res) =>
 
 import collectionJobQueue from '../services/collectionJobQueue.js';
 
+/**
+ * Generate + apply SEO for one collection of a background batch (run by collectionJobQueue).
+ * Calls the collection endpoints with the shop only - validateRequest() resolves the
+ * offline token, so the job does not depend on the session that queued it.
+ *
+ * @param {string} shop - Shop domain
+ * @param {Object} collectionData - { collectionId, languages, title }
+ * @param {Object} [options]
+ * @param {string} [options.model] - AI model for generation
+ * @returns {Object} { success, error, data }
+ */
+async function processCollectionBatchItem(shop, collectionData, { model } = {}) {
+  const { collectionId, languages } = collectionData;
+  const baseUrl = process.env.APP_URL || 'http://localhost:3000';
+  const shopQuery = `?shop=${encodeURIComponent(shop)}`;
+
+  try {
+    // Step 1: Generate SEO
+    const generateResponse = await fetch(`${baseUrl}/seo/generate-collection-multi${shopQuery}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-shopify-shop-domain': shop
+      },
+      body: JSON.stringify({
+        shop,
+        collectionId,
+        model: model || 'google/gemini-1.5-flash',
+        languages
+      })
+    });
+
+    const generateResult = await generateResponse.json();
+
+    if (!generateResponse.ok) {
+      if (generateResponse.status === 403) {
+        const error = new Error(generateResult.error || 'Plan restriction');
+        error.status = 403;
+        throw error;
+      }
+      return { success: false, error: generateResult.error };
+    }
+
+    // Step 2: Apply SEO
+    const applyResponse = await fetch(`${baseUrl}/seo/apply-collection-multi${shopQuery}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-shopify-shop-domain': shop
+      },
+      body: JSON.stringify({
+        shop,
+        collectionId,
+        results: generateResult.results.map(r => ({
+          language: r.language,
+          seo: r.data
+        })),
+        options: {
+          updateTitle: true,
+          updateDescription: true,
+          updateSeo: true,
+          updateMetafields: true
+        }
+      })
+    });
+
+    const applyResult = await applyResponse.json();
+
+    if (!applyResponse.ok || !applyResult.ok) {
+      return { success: false, error: applyResult.error || 'Apply failed' };
+    }
+
+    return { success: true, data: applyResult };
+
+  } catch (error) {
+    if (error.status === 403) throw error;
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * POST /api/seo/collection-generate-apply-batch
  * Add Collection SEO job to background queue (generate + apply combined)
@@ -4046,78 +4432,8 @@ router.post('/seo/collection-generate-apply-batch', validateRequest(), async (re
       });
     }
     
-    // Create process function for each collection
-    const processCollection = async (collectionData) => {
-      const { collectionId, languages, title } = collectionData;
-      
-      try {
-        // Step 1: Generate SEO
-        const generateResponse = await fetch(`${process.env.APP_URL || 'http://localhost:3000'}/seo/generate-collection-multi`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': req.headers.authorization || '',
-            'x-shopify-shop-domain': shop
-          },
-          body: JSON.stringify({
-            shop,
-            collectionId,
-            model: model || 'google/gemini-1.5-flash',
-            languages
-          })
-        });
-        
-        const generateResult = await generateResponse.json();
-        
-        if (!generateResponse.ok) {
-          if (generateResponse.status === 403) {
-            const error = new Error(generateResult.error || 'Plan restriction');
-            error.status = 403;
-            throw error;
-          }
-          return { success: false, error: generateResult.error };
-        }
-        
-        // Step 2: Apply SEO
-        const applyResponse = await fetch(`${process.env.APP_URL || 'http://localhost:3000'}/seo/apply-collection-multi`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': req.headers.authorization || '',
-            'x-shopify-shop-domain': shop
-          },
-          body: JSON.stringify({
-            shop,
-            collectionId,
-            results: generateResult.results.map(r => ({
-              language: r.language,
-              seo: r.data
-            })),
-            options: {
-              updateTitle: true,
-              updateDescription: true,
-              updateSeo: true,
-              updateMetafields: true
-            }
-          })
-        });
-        
-        const applyResult = await applyResponse.json();
-        
-        if (!applyResponse.ok || !applyResult.ok) {
-          return { success: false, error: applyResult.error || 'Apply failed' };
-        }
-        
-        return { success: true, data: applyResult };
-        
-      } catch (error) {
-        if (error.status === 403) throw error;
-        return { success: false, error: error.message };
-      }
-    };
-    
     // Add job to queue
-    const jobInfo = await collectionJobQueue.addJob(shop, collections, 'seo', processCollection);
+    const jobInfo = await collectionJobQueue.addJob(shop, collections, 'seo', { model });
     
     return res.json({
       success: true,
@@ -4199,6 +4515,8 @@ router.post('/seo/collection-job-cancel', validateRequest(), async (req, res) =>
         } 
       }
     );
+    // Drop a queued job, or stop a running one at its next batch
+    await collectionJobQueue.cancel(shop, jobType);
     
     return res.json({ success: true, message: 'Job cancelled' });
     
@@ -4208,5 +4526,5 @@ router.post('/seo/collection-job-cancel', validateRequest(), async (req, res) =>
   }
 });
 
-export { applySEOForLanguage, generateSEOForLanguage };
+export { applySEOForLanguage, generateSEOForLanguage, translateProductForLanguage, restoreSeoVersion, readSeoSnapshot, processCollectionBatchItem };
 export default router;
\ No newline at end of file
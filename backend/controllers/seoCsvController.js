@@ -0,0 +1,358 @@
+// backend/controllers/seoCsvController.js
+// Router: mounted at /api/seo/csv
+// Route(s):
+//   GET  /api/seo/csv/export (?format=csv|excel&type=all|product|collection - download)
+//   POST /api/seo/csv/import ({ content, dryRun? } - validate + diff, or start the apply job)
+//   GET  /api/seo/csv/job-status
+//
+// Sheet format: see utils/seoCsv.js. Rows are checked against the store's locales and
+// products/collections and diffed with the current seo_ai.seo__{lang} metafields; the
+// changed rows are then applied in the background (services/seoImportQueue.js) through
+// applySEOForLanguage() for products and /seo/apply-collection-multi for collections.
+
+import { Router } from 'express';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import Product from '../db/Product.js';
+import Collection from '../db/Collection.js';
+import seoImportQueue from '../services/seoImportQueue.js';
+import { shopGraphQL, applySEOForLanguage } from './seoController.js';
+import { toCsv } from '../utils/csv.js';
+import {
+  SEO_CSV_COLUMNS,
+  parseSeoCsv,
+  diffSeoRow,
+  mergeSeoFields,
+  resourceToCsvRows,
+} from '../utils/seoCsv.js';
+
+const router = Router();
+
+const MAX_IMPORT_ROWS = 5000;
+const EXPORT_LIMIT = 5000;
+const MAX_REPORTED_ERRORS = 50;
+const MAX_REPORTED_CHANGES = 200;
+
+const GID_TYPES = { product: 'Product', collection: 'Collection' };
+
+// Every node costs ~50 query points (metafields + images); Shopify allows 1000 per query
+const RESOURCE_BATCH = 15;
+
+const Q_SHOP_LOCALES = `
+  query ShopLocales {
+    shopLocales { locale primary published }
+  }
+`;
+
+// Products carry images for the image_alt column; 15 per page keeps the query cost low
+const Q_EXPORT_PRODUCTS = `
+  query($after: String) {
+    products(first: 15, after: $after) {
+      nodes {
+        id handle title
+        metafields(namespace: "seo_ai", first: 30) { nodes { key value } }
+        images(first: 20) { nodes { id altText } }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const Q_EXPORT_COLLECTIONS = `
+  query($after: String) {
+    collections(first: 25, after: $after) {
+      nodes {
+        id handle title
+        metafields(namespace: "seo_ai", first: 30) { nodes { key value } }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+const Q_RESOURCES = `
+  query($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      __typename
+      ... on Product {
+        id handle title
+        metafields(namespace: "seo_ai", first: 30) { nodes { key value } }
+        images(first: 20) { nodes { id altText } }
+      }
+      ... on Collection {
+        id handle title
+        metafields(namespace: "seo_ai", first: 30) { nodes { key value } }
+      }
+    }
+  }
+`;
+
+async function shopLocales(shop) {
+  const data = await shopGraphQL(null, shop, Q_SHOP_LOCALES, {});
+  const locales = data?.shopLocales || [];
+  const primary = (locales.find(l => l?.primary)?.locale || 'en').toLowerCase();
+  // Primary first: its rows carry the image alt texts
+  const published = locales.filter(l => l.published || l.primary).map(l => l.locale.toLowerCase());
+  return { primary, locales: [primary, ...published.filter(l => l !== primary)] };
+}
+
+function readMetafield(resource, language) {
+  const value = (resource?.metafields?.nodes || []).find(m => m.key === `seo__${language}`)?.value;
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+async function fetchResources(shop, gids) {
+  const found = new Map();
+  for (let i = 0; i < gids.length; i += RESOURCE_BATCH) {
+    const data = await shopGraphQL(null, shop, Q_RESOURCES, { ids: gids.slice(i, i + RESOURCE_BATCH) });
+    for (const node of data?.nodes || []) {
+      if (node?.id) found.set(node.id, node);
+    }
+  }
+  return found;
+}
+
+// Handle-only rows are resolved through the synced catalog
+async function resolveHandles(shop, rows) {
+  const handles = (type) => [...new Set(rows.filter(r => r.type === type && !r.id).map(r => r.handle))];
+  const [products, collections] = await Promise.all([
+    handles('product').length
+      ? Product.find({ shop, handle: { $in: handles('product') } }).select('productId handle').lean()
+      : [],
+    handles('collection').length
+      ? Collection.find({ shop, handle: { $in: handles('collection') } }).select('collectionId handle').lean()
+      : []
+  ]);
+  const ids = {
+    product: new Map(products.map(p => [p.handle, String(p.productId)])),
+    collection: new Map(collections.map(c => [c.handle, String(c.collectionId)]))
+  };
+  for (const row of rows) {
+    if (!row.id) row.id = ids[row.type].get(row.handle) || '';
+  }
+}
+
+/**
+ * Validate an uploaded sheet against the store and diff it with the current metafields.
+ * @returns {{ total: number, changed: Object[], unchanged: number, errors: Array<{ row, error }> }}
+ */
+async function checkSeoSheet(shop, content) {
+  const { primary, locales } = await shopLocales(shop);
+  const parsed = parseSeoCsv(content, { locales, primaryLocale: primary });
+  const total = parsed.rows.length + parsed.errors.length;
+  if (total > MAX_IMPORT_ROWS) {
+    const e = new Error(`The file has ${total} rows - import at most ${MAX_IMPORT_ROWS} at a time`);
+    e.status = 400;
+    throw e;
+  }
+
+  const errors = [...parsed.errors];
+  await resolveHandles(shop, parsed.rows);
+  for (const row of parsed.rows.filter(r => !r.id)) {
+    errors.push({ row: row.row, error: `No ${row.type} with handle "${row.handle}"` });
+  }
+
+  const rows = parsed.rows.filter(r => r.id);
+  const resources = await fetchResources(shop, [...new Set(rows.map(r => `gid://shopify/${GID_TYPES[r.type]}/${r.id}`))]);
+
+  const changed = [];
+  let unchanged = 0;
+  for (const row of rows) {
+    const resource = resources.get(`gid://shopify/${GID_TYPES[row.type]}/${row.id}`);
+    if (!resource || resource.__typename !== GID_TYPES[row.type]) {
+      errors.push({ row: row.row, error: `${GID_TYPES[row.type]} ${row.id} not found` });
+      continue;
+    }
+    const current = readMetafield(resource, row.language);
+    const hasEdits = Object.keys(row.fields).length > 0 || row.alts.length > 0;
+    if (!current && hasEdits && (!row.fields.title || !row.fields.metaDescription)) {
+      errors.push({ row: row.row, error: `${resource.title} has no ${row.language} SEO yet - seo_title and meta_description are required` });
+      continue;
+    }
+    const unknownImage = row.alts.find(a => !(resource.images?.nodes || []).some(img => img.id === a.imageId));
+    if (unknownImage) {
+      errors.push({ row: row.row, error: `Image ${unknownImage.imageId.split('/').pop()} does not belong to ${resource.title}` });
+      continue;
+    }
+
+    const changes = diffSeoRow(current, resource.images?.nodes, row);
+    if (!changes.length) {
+      unchanged++;
+      continue;
+    }
+    changed.push({
+      row: row.row,
+      type: row.type,
+      id: resource.id,
+      title: resource.title,
+      language: row.language,
+      fields: row.fields,
+      alts: row.alts,
+      changes
+    });
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { total, changed, unchanged, errors };
+}
+
+/**
+ * Apply one imported row (run by seoImportQueue). The row's fields go on top of the
+ * metafield value as it is now, so edits made since the dry run are kept.
+ * @param {string} shop
+ * @param {Object} item - { type, id (gid), language, fields, alts }
+ * @param {Object} [options] - { jobId }
+ */
+export async function applySeoCsvRow(shop, item, { jobId = null } = {}) {
+  const resources = await fetchResources(shop, [item.id]);
+  const resource = resources.get(item.id);
+  if (!resource) {
+    const e = new Error('Not found in Shopify');
+    e.status = 404;
+    throw e;
+  }
+  const seo = mergeSeoFields(readMetafield(resource, item.language), item.fields);
+  if (!seo.title || !seo.metaDescription) {
+    const e = new Error('seo_title and meta_description are required');
+    e.status = 400;
+    throw e;
+  }
+
+  if (item.type === 'product') {
+    if (item.alts?.length) seo.imageAlt = item.alts;
+    // Background context has no request - shopGraphQL resolves the offline token by shop
+    const bgReq = { shopDomain: shop, headers: {}, query: { shop } };
+    const result = await applySEOForLanguage(bgReq, shop, item.id, seo, item.language, {
+      updateAlt: item.alts?.length > 0,
+      jobId
+    });
+    if (!result?.ok) throw new Error(result?.errors?.join('; ') || 'Apply failed');
+    return result;
+  }
+
+  // Collections: same endpoint (and plan check) as the collection batch job
+  const baseUrl = process.env.APP_URL || 'http://localhost:3000';
+  const response = await fetch(`${baseUrl}/seo/apply-collection-multi?shop=${encodeURIComponent(shop)}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-shopify-shop-domain': shop
+    },
+    body: JSON.stringify({
+      shop,
+      collectionId: item.id,
+      results: [{ language: item.language, seo }],
+      options: { updateMetafields: true }
+    })
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.ok) {
+    throw new Error(result.error || result.errors?.join('; ') || 'Apply failed');
+  }
+  return result;
+}
+
+// GET /api/seo/csv/export?format=csv|excel&type=all|product|collection
+router.get('/export', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const format = req.query.format === 'excel' ? 'excel' : 'csv';
+    const type = ['product', 'collection'].includes(req.query.type) ? req.query.type : 'all';
+    const { locales } = await shopLocales(shop);
+
+    const records = [];
+    const sources = [
+      { type: 'product', query: Q_EXPORT_PRODUCTS, field: 'products' },
+      { type: 'collection', query: Q_EXPORT_COLLECTIONS, field: 'collections' }
+    ].filter(s => type === 'all' || s.type === type);
+
+    let exported = 0;
+    for (const source of sources) {
+      let after = null;
+      do {
+        const data = await shopGraphQL(null, shop, source.query, { after });
+        const page = data?.[source.field];
+        for (const node of page?.nodes || []) {
+          if (exported >= EXPORT_LIMIT) break;
+          records.push(...resourceToCsvRows({
+            type: source.type,
+            id: node.id,
+            handle: node.handle,
+            title: node.title,
+            metafields: node.metafields?.nodes,
+            images: node.images?.nodes
+          }, locales));
+          exported++;
+        }
+        after = page?.pageInfo?.hasNextPage && exported < EXPORT_LIMIT ? page.pageInfo.endCursor : null;
+      } while (after);
+    }
+
+    const csv = toCsv(records, SEO_CSV_COLUMNS);
+    const filename = `seo-${shop.replace(/\.myshopify\.com$/, '')}-${new Date().toISOString().split('T')[0]}${format === 'excel' ? '-excel' : ''}.csv`;
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    // Excel only reads UTF-8 (accents, non-Latin scripts) correctly with a byte order mark
+    return res.send(format === 'excel' ? `\uFEFF${csv}` : csv);
+  } catch (err) {
+    console.error('GET /api/seo/csv/export error:', err);
+    return res.status(500).json({ error: 'Failed to export SEO data' });
+  }
+});
+
+// POST /api/seo/csv/import
+// Body: { content (CSV text), dryRun? }
+router.post('/import', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { content, dryRun = false } = req.body || {};
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ error: 'Missing file content' });
+    }
+
+    const { total, changed, unchanged, errors } = await checkSeoSheet(shop, content);
+    const summary = {
+      total,
+      changed: changed.length,
+      unchanged,
+      invalid: errors.length,
+      errors: errors.slice(0, MAX_REPORTED_ERRORS),
+      changes: changed.slice(0, MAX_REPORTED_CHANGES).map(({ fields, alts, ...row }) => row)
+    };
+
+    if (dryRun) {
+      return res.json({ dryRun: true, ...summary });
+    }
+    if (!changed.length) {
+      return res.json({ dryRun: false, queued: false, message: 'Nothing to apply', ...summary });
+    }
+
+    const result = await seoImportQueue.addJob(shop, changed.map(({ changes, row, ...item }) => item));
+    if (!result.queued) {
+      return res.status(409).json({ error: result.message, ...summary });
+    }
+    console.log(`[SEO-CSV] ${shop}: importing ${changed.length} rows (${unchanged} unchanged, ${errors.length} invalid)`);
+    return res.json({ dryRun: false, ...result, ...summary });
+  } catch (err) {
+    console.error('POST /api/seo/csv/import error:', err);
+    return res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to import SEO data' });
+  }
+});
+
+// GET /api/seo/csv/job-status
+router.get('/job-status', validateRequest(), async (req, res) => {
+  try {
+    return res.json(await seoImportQueue.getJobStatus(req.shopDomain));
+  } catch (err) {
+    console.error('GET /api/seo/csv/job-status error:', err);
+    return res.status(500).json({ error: 'Failed to get job status' });
+  }
+});
+
+export default router;
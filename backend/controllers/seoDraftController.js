@@ -0,0 +1,232 @@
+// backend/controllers/seoDraftController.js
+// Router: mounted at /api/seo/drafts
+// Route(s):
+//   GET  /api/seo/drafts (review queue, optional ?jobId= &status=pending|applied|discarded|failed)
+//   POST /api/seo/drafts/:id/review (per-field decisions: { fields: { title: { status, edited } } })
+//   POST /api/seo/drafts/review-all (approve/reject every pending field: { status, jobId?, ids? })
+//   POST /api/seo/drafts/publish (publish reviewed drafts in the background: { jobId?, ids? })
+//   GET  /api/seo/drafts/publish-status
+//   POST /api/seo/drafts/discard ({ jobId?, ids? })
+//
+// Drafts are written by /api/seo/generate-apply-batch when reviewMode is on (see db/SeoDraft.js).
+// Publishing runs on services/seoDraftPublishQueue.js.
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import SeoDraft from '../db/SeoDraft.js';
+import seoDraftPublishQueue from '../services/seoDraftPublishQueue.js';
+import {
+  REVIEW_FIELDS,
+  applyReviewDecisions,
+  draftReviewState,
+} from '../utils/seoDraft.js';
+
+const router = Router();
+
+function formatDraft(d) {
+  const current = {};
+  for (const field of REVIEW_FIELDS) current[field] = d.current?.[field] ?? null;
+  return {
+    id: String(d._id),
+    jobId: d.jobId,
+    productId: d.productId,
+    productTitle: d.productTitle,
+    language: d.language,
+    status: d.status,
+    reviewState: draftReviewState(d),
+    fields: d.fields,
+    current: d.current ? current : null,
+    error: d.error,
+    reviewedAt: d.reviewedAt,
+    appliedAt: d.appliedAt,
+    createdAt: d.createdAt
+  };
+}
+
+// Selection shared by the bulk endpoints: explicit ids win over jobId
+function pendingFilter(shop, { jobId, ids } = {}) {
+  const filter = { shop, status: 'pending' };
+  if (Array.isArray(ids) && ids.length) {
+    filter._id = { $in: ids.filter(id => mongoose.Types.ObjectId.isValid(id)) };
+  } else if (jobId) {
+    filter.jobId = String(jobId);
+  }
+  return filter;
+}
+
+// GET /api/seo/drafts?jobId=&status=pending&limit=100
+router.get('/', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const status = String(req.query.status || 'pending');
+    const limit = Math.min(parseInt(req.query.limit) || 100, 250);
+
+    const filter = { shop, status };
+    if (req.query.jobId) filter.jobId = String(req.query.jobId);
+
+    const drafts = await SeoDraft.find(filter).sort({ createdAt: 1 }).limit(limit).lean();
+    const formatted = drafts.map(formatDraft);
+
+    const counts = { pending: 0, ready: 0, rejected: 0 };
+    if (status === 'pending') {
+      for (const d of formatted) counts[d.reviewState]++;
+    }
+
+    return res.json({
+      drafts: formatted,
+      total: await SeoDraft.countDocuments(filter),
+      counts,
+      publish: await seoDraftPublishQueue.getProgress(shop)
+    });
+  } catch (err) {
+    console.error('GET /api/seo/drafts error:', err);
+    return res.status(500).json({ error: 'Failed to load SEO drafts' });
+  }
+});
+
+// POST /api/seo/drafts/:id/review
+// Body: { fields: { title: { status: 'approved', edited: '...' }, faq: { status: 'rejected' } } }
+router.post('/:id/review', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid draft id' });
+    }
+
+    const draft = await SeoDraft.findOne({ _id: id, shop }).lean();
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    if (draft.status !== 'pending') {
+      return res.status(409).json({ error: `Draft is already ${draft.status}` });
+    }
+
+    const fields = applyReviewDecisions(draft.fields, req.body?.fields);
+    const updated = await SeoDraft.findOneAndUpdate(
+      { _id: id, shop, status: 'pending' },
+      { $set: { fields, reviewedAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    return res.json({ draft: formatDraft(updated) });
+  } catch (err) {
+    console.error('POST /api/seo/drafts/:id/review error:', err);
+    return res.status(err.status || 500).json({ error: err.message || 'Failed to save review' });
+  }
+});
+
+// POST /api/seo/drafts/review-all
+// Body: { status: 'approved' | 'rejected', jobId?, ids? } - only fields still pending are changed
+router.post('/review-all', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { status } = req.body || {};
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: "status must be 'approved' or 'rejected'" });
+    }
+
+    const drafts = await SeoDraft.find(pendingFilter(shop, req.body)).lean();
+    let updated = 0;
+    for (const draft of drafts) {
+      const decisions = {};
+      for (const field of REVIEW_FIELDS) {
+        if ((draft.fields?.[field]?.status || 'pending') === 'pending') decisions[field] = { status };
+      }
+      if (!Object.keys(decisions).length) continue;
+      await SeoDraft.updateOne(
+        { _id: draft._id, status: 'pending' },
+        { $set: { fields: applyReviewDecisions(draft.fields, decisions), reviewedAt: new Date() } }
+      );
+      updated++;
+    }
+
+    return res.json({ ok: true, updated });
+  } catch (err) {
+    console.error('POST /api/seo/drafts/review-all error:', err);
+    return res.status(500).json({ error: 'Failed to update drafts' });
+  }
+});
+
+// POST /api/seo/drafts/publish
+// Body: { jobId?, ids? }
+// Publishes every fully reviewed draft with at least one approved field. Drafts
+// with every field rejected are discarded, drafts still pending are left alone.
+router.post('/publish', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const active = await seoDraftPublishQueue.findActiveJob(shop);
+    if (active) {
+      return res.json({ queued: false, message: 'Publishing already in progress', ...seoDraftPublishQueue.formatProgress(active) });
+    }
+
+    const drafts = await SeoDraft.find(pendingFilter(shop, req.body)).sort({ createdAt: 1 }).lean();
+    const ready = drafts.filter(d => draftReviewState(d) === 'ready');
+    const rejected = drafts.filter(d => draftReviewState(d) === 'rejected');
+
+    if (rejected.length) {
+      await SeoDraft.updateMany(
+        { _id: { $in: rejected.map(d => d._id) }, status: 'pending' },
+        { $set: { status: 'discarded' } }
+      );
+    }
+
+    if (ready.length === 0) {
+      return res.json({
+        queued: false,
+        message: 'No reviewed drafts to publish',
+        discarded: rejected.length,
+        stillPending: drafts.length - rejected.length
+      });
+    }
+
+    // Runs on the durable queue - the client polls GET /publish-status
+    const result = await seoDraftPublishQueue.addJob(shop, ready.map(d => ({
+      draftId: String(d._id),
+      label: `${d.productTitle || d.productId} [${d.language}]`
+    })), { discarded: rejected.length });
+    if (!result.queued) return res.json(result);
+
+    return res.json({
+      queued: true,
+      total: ready.length,
+      discarded: rejected.length,
+      stillPending: drafts.length - ready.length - rejected.length
+    });
+  } catch (err) {
+    console.error('POST /api/seo/drafts/publish error:', err);
+    return res.status(500).json({ error: 'Failed to start publishing' });
+  }
+});
+
+// GET /api/seo/drafts/publish-status
+router.get('/publish-status', validateRequest(), async (req, res) => {
+  try {
+    const progress = await seoDraftPublishQueue.getProgress(req.shopDomain);
+    return res.json({ publishing: !!progress && !progress.finishedAt, progress });
+  } catch (err) {
+    console.error('GET /api/seo/drafts/publish-status error:', err);
+    return res.status(500).json({ error: 'Failed to load publish status' });
+  }
+});
+
+// POST /api/seo/drafts/discard
+// Body: { jobId?, ids? }
+router.post('/discard', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { jobId, ids } = req.body || {};
+    if (!jobId && !(Array.isArray(ids) && ids.length)) {
+      return res.status(400).json({ error: 'Missing jobId or ids' });
+    }
+
+    const result = await SeoDraft.updateMany(pendingFilter(shop, { jobId, ids }), { $set: { status: 'discarded' } });
+    return res.json({ ok: true, discarded: result.modifiedCount || 0 });
+  } catch (err) {
+    console.error('POST /api/seo/drafts/discard error:', err);
+    return res.status(500).json({ error: 'Failed to discard drafts' });
+  }
+});
+
+export default router;
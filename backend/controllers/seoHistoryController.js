@@ -0,0 +1,183 @@
+// backend/controllers/seoHistoryController.js
+// Router: mounted at /api/seo/history
+// Route(s):
+//   GET  /api/seo/history/product/:productId (versions for one product, optional ?language=)
+//   GET  /api/seo/history/jobs (recent batch jobs that have versions)
+//   GET  /api/seo/history/job/:jobId (versions written by one batch job)
+//   POST /api/seo/history/restore (restore one version: { versionId, target: 'before'|'after' })
+//   POST /api/seo/history/restore-job (roll back a whole batch job in the background)
+//
+// Versions are written by applySEOForLanguage (see db/SeoVersion.js). Batch rollbacks run
+// on services/seoRestoreQueue.js.
+
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { validateRequest } from '../middleware/shopifyAuth.js';
+import SeoVersion from '../db/SeoVersion.js';
+import { restoreSeoVersion } from './seoController.js';
+import { diffSeoSnapshots } from '../utils/seoDiff.js';
+import seoRestoreQueue from '../services/seoRestoreQueue.js';
+
+const router = Router();
+
+function toGID(productId) {
+  if (/^\d+$/.test(productId)) return `gid://shopify/Product/${productId}`;
+  return productId;
+}
+
+function formatVersion(v) {
+  return {
+    id: String(v._id),
+    productId: v.productId,
+    productTitle: v.productTitle,
+    language: v.language,
+    jobId: v.jobId,
+    source: v.source,
+    createdAt: v.createdAt,
+    restoredAt: v.restoredAt,
+    restoredFrom: v.restoredFrom ? String(v.restoredFrom) : null,
+    hadSeoBefore: !!v.before?.seo,
+    changes: diffSeoSnapshots(v.before?.seo, v.after?.seo)
+  };
+}
+
+// GET /api/seo/history/product/:productId?language=en&limit=20
+router.get('/product/:productId', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const productId = toGID(String(req.params.productId));
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const filter = { shop, productId };
+    if (req.query.language) filter.language = String(req.query.language).toLowerCase();
+
+    const versions = await SeoVersion.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return res.json({ productId, versions: versions.map(formatVersion) });
+  } catch (err) {
+    console.error('GET /api/seo/history/product error:', err);
+    return res.status(500).json({ error: 'Failed to load SEO history' });
+  }
+});
+
+// GET /api/seo/history/jobs
+router.get('/jobs', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const jobs = await SeoVersion.aggregate([
+      { $match: { shop, jobId: { $ne: null } } },
+      {
+        $group: {
+          _id: '$jobId',
+          versions: { $sum: 1 },
+          products: { $addToSet: '$productId' },
+          restored: { $sum: { $cond: [{ $ifNull: ['$restoredAt', false] }, 1, 0] } },
+          startedAt: { $min: '$createdAt' },
+          finishedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { startedAt: -1 } },
+      { $limit: 20 }
+    ]);
+    const restoringJobId = await seoRestoreQueue.activeSourceJobId(shop);
+
+    return res.json({
+      jobs: jobs.map(j => ({
+        jobId: j._id,
+        versions: j.versions,
+        products: j.products.length,
+        restored: j.restored,
+        startedAt: j.startedAt,
+        finishedAt: j.finishedAt,
+        restoring: j._id === restoringJobId
+      }))
+    });
+  } catch (err) {
+    console.error('GET /api/seo/history/jobs error:', err);
+    return res.status(500).json({ error: 'Failed to load SEO history jobs' });
+  }
+});
+
+// GET /api/seo/history/job/:jobId
+router.get('/job/:jobId', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { jobId } = req.params;
+    const versions = await SeoVersion.find({ shop, jobId }).sort({ createdAt: 1 }).lean();
+
+    return res.json({
+      jobId,
+      total: versions.length,
+      restored: versions.filter(v => v.restoredAt).length,
+      rollback: await seoRestoreQueue.getRollback(shop, jobId),
+      versions: versions.map(formatVersion)
+    });
+  } catch (err) {
+    console.error('GET /api/seo/history/job error:', err);
+    return res.status(500).json({ error: 'Failed to load SEO history for job' });
+  }
+});
+
+// POST /api/seo/history/restore
+// Body: { versionId, target: 'before' | 'after' }
+router.post('/restore', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { versionId, target = 'before' } = req.body || {};
+
+    if (!versionId || !mongoose.Types.ObjectId.isValid(versionId)) {
+      return res.status(400).json({ error: 'Missing or invalid versionId' });
+    }
+    if (!['before', 'after'].includes(target)) {
+      return res.status(400).json({ error: "target must be 'before' or 'after'" });
+    }
+
+    const version = await SeoVersion.findOne({ _id: versionId, shop }).lean();
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const result = await restoreSeoVersion(req, shop, version, target);
+    return res.json(result);
+  } catch (err) {
+    console.error('POST /api/seo/history/restore error:', err);
+    return res.status(err.status || 500).json({ ok: false, error: err.message || 'Failed to restore SEO version' });
+  }
+});
+
+// POST /api/seo/history/restore-job
+// Body: { jobId, force }
+// Restores every product + language of a batch job to its state before the job.
+// Products changed again after the job are skipped unless force === true.
+router.post('/restore-job', validateRequest(), async (req, res) => {
+  try {
+    const shop = req.shopDomain;
+    const { jobId, force = false } = req.body || {};
+    if (!jobId) {
+      return res.status(400).json({ error: 'Missing jobId' });
+    }
+
+    const versions = await SeoVersion.find({ shop, jobId, restoredAt: null })
+      .sort({ createdAt: -1 })
+      .select('productId productTitle language')
+      .lean();
+    if (versions.length === 0) {
+      return res.json({ queued: false, message: 'Nothing to restore', total: 0 });
+    }
+
+    // Runs on the durable queue - the client polls GET /job/:jobId
+    const items = versions.map(v => ({
+      versionId: String(v._id),
+      label: `${v.productTitle || v.productId} [${v.language}]`
+    }));
+    return res.json(await seoRestoreQueue.addJob(shop, jobId, items, { force: Boolean(force) }));
+  } catch (err) {
+    console.error('POST /api/seo/history/restore-job error:', err);
+    return res.status(500).json({ error: 'Failed to start rollback' });
+  }
+});
+
+export default router;
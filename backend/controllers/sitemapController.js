@@ -9,10 +9,30 @@ import Subscription from '../db/Subscription.js';
 import Sitemap from '../db/Sitemap.js';
 import { resolveShopToken } from '../utils/tokenResolver.js';
 import { enhanceProductForSitemap } from '../services/aiSitemapEnhancer.js';
+import SitemapChild from '../db/SitemapChild.js';
+import ContentSeo from '../db/ContentSeo.js';
 import sitemapQueue from '../services/sitemapQueue.js'; // PHASE 4
+import {
+  SITEMAP_MAX_URLS,
+  SITEMAP_CHILD_MAX_BYTES,
+  renderUrlEntry,
+  renderUrlset,
+  renderSitemapIndex,
+  chunkEntries,
+  childSitemapName,
+  buildHreflangTargets,
+  hreflangAlternates,
+  entryAiBlock,
+  contentAiBlock,
+  patchUrlset,
+  changedLocs
+} from '../utils/sitemapXml.js';
+import indexNowQueue, { getIndexNowEndpoint } from '../services/indexNowQueue.js';
+import { INDEXNOW_MAX_URLS } from '../utils/indexNow.js';
 
 const router = express.Router();
 const API_VERSION = process.env.SHOPIFY_API_VERSION || '2025-07';
+const APP_PROXY_SUBPATH = process.env.APP_PROXY_SUBPATH || 'indexaize';
 
 // Helper: normalize shop domain
 function normalizeShop(s) {
@@ -196,6 +216,55 @@ function cleanHtmlForXml(html) {
   return html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
 }
 
+// Helper: ai:product block for a product URL in another language (from its seo__{lang} metafield)
+async function buildLocalizedAiBlock(shop, product, lang) {
+  const seo = await getProductLocalizedContent(shop, product.id, lang);
+  if (!seo) return '';
+  
+  let xml = '    <ai:product>\n';
+  xml += '      <ai:title>' + escapeXml(seo.title || product.title) + '</ai:title>\n';
+  xml += '      <ai:description><![CDATA[' + (seo.metaDescription || cleanHtmlForXml(product.descriptionHtml)) + ']]></ai:description>\n';
+  xml += '      <ai:language>' + lang + '</ai:language>\n';
+  
+  if (Array.isArray(seo.bullets) && seo.bullets.length > 0) {
+    xml += '      <ai:features>\n';
+    seo.bullets.forEach(bullet => {
+      if (bullet && bullet.trim()) {
+        xml += '        <ai:feature>' + escapeXml(bullet) + '</ai:feature>\n';
+      }
+    });
+    xml += '      </ai:features>\n';
+  }
+  
+  if (Array.isArray(seo.faq) && seo.faq.length > 0) {
+    xml += '      <ai:faq>\n';
+    seo.faq.forEach(item => {
+      if (item && item.q && item.a) {
+        xml += '        <ai:qa>\n';
+        xml += '          <ai:question>' + escapeXml(item.q) + '</ai:question>\n';
+        xml += '          <ai:answer>' + escapeXml(item.a) + '</ai:answer>\n';
+        xml += '        </ai:qa>\n';
+      }
+    });
+    xml += '      </ai:faq>\n';
+  }
+  
+  xml += '    </ai:product>\n';
+  return xml;
+}
+
+// Helper: store child sitemaps and drop the ones the new index no longer lists
+async function saveSitemapChildren(shop, children, generatedAt) {
+  for (const { content, ...child } of children) {
+    await SitemapChild.updateOne(
+      { shop, name: child.name },
+      { $set: { ...child, content, generatedAt } },
+      { upsert: true }
+    );
+  }
+  await SitemapChild.deleteMany({ shop, name: { $nin: children.map(c => c.name) } });
+}
+
 // Core sitemap generation function (without Express req/res dependencies)
 // Main sitemap generation function
 // options.enableAIEnhancement: if true, makes real-time AI calls for each product (Enterprise/Growth Extra only)
@@ -387,13 +456,14 @@ async function generateSitemapCore(shop, options = {}) {
     const primaryDomain = shopData.shop.primaryDomain.url;
     
     // Try to get locales
-    let locales = [{ locale: 'en', primary: true }];
+    let locales = [{ locale: 'en', primary: true, published: true }];
     try {
       const localesQuery = `
         query {
           shopLocales {
             locale
             primary
+            published
           }
         }
       `;
@@ -405,6 +475,40 @@ async function generateSitemapCore(shop, options = {}) {
       // Could not fetch locales, using default
     }
     
+    // Market domains/subfolders for hreflang alternates
+    let markets = [];
+    try {
+      const marketsData = await shopGraphQL(normalizedShop, `
+        query {
+          markets(first: 50) {
+            nodes {
+              enabled
+              primary
+              regions(first: 2) {
+                nodes {
+                  ... on MarketRegionCountry { code }
+                }
+              }
+              webPresence {
+                rootUrls { locale url }
+              }
+            }
+          }
+        }
+      `);
+      markets = (marketsData?.markets?.nodes || []).map(m => ({
+        primary: m.primary,
+        enabled: m.enabled,
+        countries: (m.regions?.nodes || []).map(r => r.code).filter(Boolean),
+        rootUrls: m.webPresence?.rootUrls || []
+      }));
+    } catch (marketsErr) {
+      console.error('[SITEMAP] Could not fetch markets, using locale subfolders:', marketsErr.message);
+    }
+    
+    const hreflangTargets = buildHreflangTargets({ primaryUrl: primaryDomain, locales, markets });
+    const localeTargets = hreflangTargets.filter(t => !t.primary);
+    
     // Fetch products with AI-relevant data
     let allProducts = [];
     let cursor = null;
@@ -435,6 +539,13 @@ async function generateSitemapCore(shop, options = {}) {
                   title
                   description
                 }
+                images(first: 20) {
+                  edges {
+                    node {
+                      url
+                    }
+                  }
+                }
                 metafield_seo_ai: metafield(namespace: "seo_ai", key: "seo__en") {
                   value
                   type
@@ -462,8 +573,22 @@ async function generateSitemapCore(shop, options = {}) {
     // Track if we have any AI-enhanced products (to decide if xmlns:ai is needed)
     let hasAnyAIProducts = false;
     
-    // Build product/collection entries first (we'll add XML header after checking for AI products)
-    let xml = '';
+    // <url> entries per child sitemap (header added once we know if xmlns:ai is needed)
+    const productEntries = [];
+    const collectionEntries = [];
+    const pageEntries = [];
+    const articleEntries = [];
+    const localeEntries = new Map(localeTargets.map(t => [t.hreflang, []]));
+    const addLocalizedEntries = (path, fields, extraFor = () => '') => {
+      for (const target of localeTargets) {
+        localeEntries.get(target.hreflang).push(renderUrlEntry({
+          ...fields,
+          loc: target.url + path,
+          alternates: hreflangAlternates(hreflangTargets, path),
+          extra: extraFor(target)
+        }));
+      }
+    };
     
     // Progress tracking for AI sitemap
     const totalProducts = allProducts.length;
@@ -516,12 +641,11 @@ async function generateSitemapCore(shop, options = {}) {
       const product = edge.node;
       const lastmod = new Date(product.updatedAt).toISOString().split('T')[0];
       
-      // Main product URL
-      xml += '  <url>\n';
-      xml += '    <loc>' + primaryDomain + '/products/' + product.handle + '</loc>\n';
-      xml += '    <lastmod>' + lastmod + '</lastmod>\n';
-      xml += '    <changefreq>weekly</changefreq>\n';
-      xml += '    <priority>0.8</priority>\n';
+      const productPath = '/products/' + product.handle;
+      const images = (product.images?.edges || []).map(e => e.node.url).filter(Boolean);
+      
+      // ai:product block for the main product URL (AI sitemap only)
+      let aiXml = '';
       
       // Check if product has seo_ai metafield (basic SEO data)
       let hasSeoAI = false;
@@ -543,49 +667,49 @@ async function generateSitemapCore(shop, options = {}) {
       // Basic sitemap should NOT include ai: namespace elements
       if (isAISitemapEnabled) {
         hasAnyAIProducts = true; // Track that we have at least one AI product
-        xml += '    <ai:product>\n';
-        xml += '      <ai:title>' + escapeXml(product.seo?.title || product.title) + '</ai:title>\n';
-        xml += '      <ai:description><![CDATA[' + (product.seo?.description || cleanHtmlForXml(product.descriptionHtml)) + ']]></ai:description>\n';
+        aiXml += '    <ai:product>\n';
+        aiXml += '      <ai:title>' + escapeXml(product.seo?.title || product.title) + '</ai:title>\n';
+        aiXml += '      <ai:description><![CDATA[' + (product.seo?.description || cleanHtmlForXml(product.descriptionHtml)) + ']]></ai:description>\n';
         
         if (product.priceRange?.minVariantPrice) {
-          xml += '      <ai:price>' + product.priceRange.minVariantPrice.amount + ' ' + product.priceRange.minVariantPrice.currencyCode + '</ai:price>\n';
+          aiXml += '      <ai:price>' + product.priceRange.minVariantPrice.amount + ' ' + product.priceRange.minVariantPrice.currencyCode + '</ai:price>\n';
         }
         
         if (product.vendor) {
-          xml += '      <ai:brand>' + escapeXml(product.vendor) + '</ai:brand>\n';
+          aiXml += '      <ai:brand>' + escapeXml(product.vendor) + '</ai:brand>\n';
         }
         
         if (product.productType) {
-          xml += '      <ai:category>' + escapeXml(product.productType) + '</ai:category>\n';
+          aiXml += '      <ai:category>' + escapeXml(product.productType) + '</ai:category>\n';
         }
         
         if (product.tags && product.tags.length > 0) {
-          xml += '      <ai:tags>' + escapeXml(product.tags.join(', ')) + '</ai:tags>\n';
+          aiXml += '      <ai:tags>' + escapeXml(product.tags.join(', ')) + '</ai:tags>\n';
         }
         
         // Add bullets from seo_ai metafield (if available)
         if (bullets && Array.isArray(bullets) && bullets.length > 0) {
-          xml += '      <ai:features>\n';
+          aiXml += '      <ai:features>\n';
           bullets.forEach(bullet => {
             if (bullet && bullet.trim()) {
-              xml += '        <ai:feature>' + escapeXml(bullet) + '</ai:feature>\n';
+              aiXml += '        <ai:feature>' + escapeXml(bullet) + '</ai:feature>\n';
             }
           });
-          xml += '      </ai:features>\n';
+          aiXml += '      </ai:features>\n';
         }
         
         // Add FAQ from seo_ai metafield (if available)
         if (faq && Array.isArray(faq) && faq.length > 0) {
-          xml += '      <ai:faq>\n';
+          aiXml += '      <ai:faq>\n';
           faq.forEach(item => {
             if (item && item.q && item.a) {
-              xml += '        <ai:qa>\n';
-              xml += '          <ai:question>' + escapeXml(item.q) + '</ai:question>\n';
-              xml += '          <ai:answer>' + escapeXml(item.a) + '</ai:answer>\n';
-              xml += '        </ai:qa>\n';
+              aiXml += '        <ai:qa>\n';
+              aiXml += '          <ai:question>' + escapeXml(item.q) + '</ai:question>\n';
+              aiXml += '          <ai:answer>' + escapeXml(item.a) + '</ai:answer>\n';
+              aiXml += '        </ai:qa>\n';
             }
           });
-          xml += '      </ai:faq>\n';
+          aiXml += '      </ai:faq>\n';
         }
         
         // ===== AI-ENHANCED METADATA (REAL-TIME AI GENERATION - Enterprise/Growth Extra only) =====
@@ -628,53 +752,53 @@ async function generateSitemapCore(shop, options = {}) {
             if (aiEnhancements) {
               // Add AI-generated summary
               if (aiEnhancements.summary) {
-                xml += '      <ai:summary><![CDATA[' + aiEnhancements.summary + ']]></ai:summary>\n';
+                aiXml += '      <ai:summary><![CDATA[' + aiEnhancements.summary + ']]></ai:summary>\n';
               }
               
               // Add semantic tags
               if (aiEnhancements.semanticTags) {
-                xml += '      <ai:semantic_tags>\n';
-                xml += '        <ai:category_hierarchy>' + escapeXml(aiEnhancements.semanticTags.categoryHierarchy) + '</ai:category_hierarchy>\n';
-                xml += '        <ai:use_case>' + escapeXml(aiEnhancements.semanticTags.useCase) + '</ai:use_case>\n';
-                xml += '        <ai:skill_level>' + escapeXml(aiEnhancements.semanticTags.skillLevel) + '</ai:skill_level>\n';
-                xml += '        <ai:season>' + escapeXml(aiEnhancements.semanticTags.season) + '</ai:season>\n';
-                xml += '      </ai:semantic_tags>\n';
+                aiXml += '      <ai:semantic_tags>\n';
+                aiXml += '        <ai:category_hierarchy>' + escapeXml(aiEnhancements.semanticTags.categoryHierarchy) + '</ai:category_hierarchy>\n';
+                aiXml += '        <ai:use_case>' + escapeXml(aiEnhancements.semanticTags.useCase) + '</ai:use_case>\n';
+                aiXml += '        <ai:skill_level>' + escapeXml(aiEnhancements.semanticTags.skillLevel) + '</ai:skill_level>\n';
+                aiXml += '        <ai:season>' + escapeXml(aiEnhancements.semanticTags.season) + '</ai:season>\n';
+                aiXml += '      </ai:semantic_tags>\n';
               }
               
               // Add context hints
               if (aiEnhancements.contextHints) {
-                xml += '      <ai:context>\n';
-                xml += '        <ai:best_for>' + escapeXml(aiEnhancements.contextHints.bestFor) + '</ai:best_for>\n';
-                xml += '        <ai:key_differentiator>' + escapeXml(aiEnhancements.contextHints.keyDifferentiator) + '</ai:key_differentiator>\n';
-                xml += '        <ai:target_audience>' + escapeXml(aiEnhancements.contextHints.targetAudience) + '</ai:target_audience>\n';
-                xml += '      </ai:context>\n';
+                aiXml += '      <ai:context>\n';
+                aiXml += '        <ai:best_for>' + escapeXml(aiEnhancements.contextHints.bestFor) + '</ai:best_for>\n';
+                aiXml += '        <ai:key_differentiator>' + escapeXml(aiEnhancements.contextHints.keyDifferentiator) + '</ai:key_differentiator>\n';
+                aiXml += '        <ai:target_audience>' + escapeXml(aiEnhancements.contextHints.targetAudience) + '</ai:target_audience>\n';
+                aiXml += '      </ai:context>\n';
               }
               
               // Add AI-generated Q&A
               if (aiEnhancements.qa && aiEnhancements.qa.length > 0) {
-                xml += '      <ai:generated_faq>\n';
+                aiXml += '      <ai:generated_faq>\n';
                 aiEnhancements.qa.forEach(qa => {
-                  xml += '        <ai:qa>\n';
-                  xml += '          <ai:question>' + escapeXml(qa.question) + '</ai:question>\n';
-                  xml += '          <ai:answer><![CDATA[' + qa.answer + ']]></ai:answer>\n';
-                  xml += '        </ai:qa>\n';
+                  aiXml += '        <ai:qa>\n';
+                  aiXml += '          <ai:question>' + escapeXml(qa.question) + '</ai:question>\n';
+                  aiXml += '          <ai:answer><![CDATA[' + qa.answer + ']]></ai:answer>\n';
+                  aiXml += '        </ai:qa>\n';
                 });
-                xml += '      </ai:generated_faq>\n';
+                aiXml += '      </ai:generated_faq>\n';
               }
               
               // Add sentiment/tone
               if (aiEnhancements.sentiment) {
-                xml += '      <ai:tone>' + escapeXml(aiEnhancements.sentiment.tone) + '</ai:tone>\n';
-                xml += '      <ai:target_emotion>' + escapeXml(aiEnhancements.sentiment.targetEmotion) + '</ai:target_emotion>\n';
+                aiXml += '      <ai:tone>' + escapeXml(aiEnhancements.sentiment.tone) + '</ai:tone>\n';
+                aiXml += '      <ai:target_emotion>' + escapeXml(aiEnhancements.sentiment.targetEmotion) + '</ai:target_emotion>\n';
               }
               
               // Add related products
               if (aiEnhancements.relatedProducts && aiEnhancements.relatedProducts.length > 0) {
-                xml += '      <ai:related>\n';
+                aiXml += '      <ai:related>\n';
                 aiEnhancements.relatedProducts.forEach(related => {
-                  xml += '        <ai:product_link>' + primaryDomain + '/products/' + related.handle + '</ai:product_link>\n';
+                  aiXml += '        <ai:product_link>' + primaryDomain + '/products/' + related.handle + '</ai:product_link>\n';
                 });
-                xml += '      </ai:related>\n';
+                aiXml += '      </ai:related>\n';
               }
             }
           } catch (aiError) {
@@ -696,7 +820,7 @@ async function generateSitemapCore(shop, options = {}) {
         }
         // ===== END: AI-ENHANCED METADATA =====
         
-        xml += '    </ai:product>\n';
+        aiXml += '    </ai:product>\n';
       }
       
       // Update progress for non-AI products too (Basic Sitemap)
@@ -708,172 +832,231 @@ async function generateSitemapCore(shop, options = {}) {
         }
       }
       
-      xml += '  </url>\n';
+      const productFields = { lastmod, changefreq: 'weekly', priority: '0.8', images };
+      productEntries.push(renderUrlEntry({
+        ...productFields,
+        loc: primaryDomain + productPath,
+        alternates: hreflangAlternates(hreflangTargets, productPath),
+        extra: aiXml
+      }));
       
-      // Add multilingual URLs
-      const hasMultiLanguageSEO = await checkProductSEOLanguages(normalizedShop, product.id);
-      if (hasMultiLanguageSEO.length > 1) {
-        for (const lang of hasMultiLanguageSEO) {
-          if (lang === 'en') continue; // Skip English as it's the main URL
-          
-          const langUrl = primaryDomain + '/' + lang + '/products/' + product.handle;
-          let langTitle = product.title;
-          let langDescription = cleanHtmlForXml(product.descriptionHtml);
-          
-          // Try to get localized content
-          try {
-            const seo = await getProductLocalizedContent(normalizedShop, product.id, lang);
-            if (seo) {
-              langTitle = seo.title || langTitle;
-              langDescription = seo.metaDescription || langDescription;
-            }
-          } catch (err) {
-            // Could not get SEO for language
-          }
-          
-          xml += '  <url>\n';
-          xml += '    <loc>' + langUrl + '</loc>\n';
-          xml += '    <lastmod>' + lastmod + '</lastmod>\n';
-          xml += '    <changefreq>weekly</changefreq>\n';
-          xml += '    <priority>0.8</priority>\n';
-          
-          // Add AI metadata for multilingual URLs ONLY if AI sitemap is enabled
-          if (isAISitemapEnabled) {
-            hasAnyAIProducts = true;
-            xml += '    <ai:product>\n';
-            xml += '      <ai:title>' + escapeXml(langTitle) + '</ai:title>\n';
-            xml += '      <ai:description><![CDATA[' + langDescription + ']]></ai:description>\n';
-            xml += '      <ai:language>' + lang + '</ai:language>\n';
-            
-            // Add localized AI bullets and FAQ from seo_ai metafields (if available)
-            try {
-              const hasLocalizedSeo = await getProductLocalizedContent(normalizedShop, product.id, lang);
-              if (hasLocalizedSeo) {
-                // Add localized bullets
-                if (hasLocalizedSeo.bullets && Array.isArray(hasLocalizedSeo.bullets) && hasLocalizedSeo.bullets.length > 0) {
-                  xml += '      <ai:features>\n';
-                  hasLocalizedSeo.bullets.forEach(bullet => {
-                    if (bullet && bullet.trim()) {
-                      xml += '        <ai:feature>' + escapeXml(bullet) + '</ai:feature>\n';
-                    }
-                  });
-                  xml += '      </ai:features>\n';
-                }
-                
-                // Add localized FAQ
-                if (hasLocalizedSeo.faq && Array.isArray(hasLocalizedSeo.faq) && hasLocalizedSeo.faq.length > 0) {
-                  xml += '      <ai:faq>\n';
-                  hasLocalizedSeo.faq.forEach(item => {
-                    if (item && item.q && item.a) {
-                      xml += '        <ai:qa>\n';
-                      xml += '          <ai:question>' + escapeXml(item.q) + '</ai:question>\n';
-                      xml += '          <ai:answer>' + escapeXml(item.a) + '</ai:answer>\n';
-                      xml += '        </ai:qa>\n';
-                    }
-                  });
-                  xml += '      </ai:faq>\n';
-                }
-              }
-            } catch (err) {
-              // Could not get localized AI content, continue with basic metadata
-            }
-            
-            xml += '    </ai:product>\n';
+      // Same product under every other locale / market root
+      if (localeTargets.length) {
+        // Localized AI data exists only for languages with a seo_ai metafield
+        const seoLanguages = isAISitemapEnabled ? await checkProductSEOLanguages(normalizedShop, product.id) : [];
+        const localizedAi = {};
+        for (const target of localeTargets) {
+          const lang = target.locale.toLowerCase();
+          if (seoLanguages.includes(lang) && !(lang in localizedAi)) {
+            localizedAi[lang] = await buildLocalizedAiBlock(normalizedShop, product, lang);
           }
-          
-          xml += '  </url>\n';
         }
+        if (Object.values(localizedAi).some(Boolean)) hasAnyAIProducts = true;
+        addLocalizedEntries(productPath, productFields, target => localizedAi[target.locale.toLowerCase()] || '');
       }
     }
     
     // Add collections if plan supports it
     if (['growth', 'growth_extra', 'enterprise'].includes(plan)) {
-      try{
+      try {
         const collectionsQuery = `
-          query {
-            collections(first: 20) {
+          query($cursor: String) {
+            collections(first: 250, after: $cursor, query: "published_status:published") {
               edges {
                 node {
-                  id
                   handle
-                  title
                   updatedAt
                 }
+                cursor
+              }
+              pageInfo {
+                hasNextPage
               }
             }
           }
         `;
         
-        const collectionsData = await shopGraphQL(normalizedShop, collectionsQuery);
-        const collections = collectionsData?.collections?.edges || [];
-        
-        for (const edge of collections) {
-          const collection = edge.node;
-          const lastmod = new Date(collection.updatedAt).toISOString().split('T')[0];
+        let collectionCursor = null;
+        let moreCollections = true;
+        while (moreCollections) {
+          const collectionsData = await shopGraphQL(normalizedShop, collectionsQuery, { cursor: collectionCursor });
+          const edges = collectionsData?.collections?.edges || [];
           
-          xml += '  <url>\n';
-          xml += '    <loc>' + primaryDomain + '/collections/' + collection.handle + '</loc>\n';
-          xml += '    <lastmod>' + lastmod + '</lastmod>\n';
-          xml += '    <changefreq>weekly</changefreq>\n';
-          xml += '    <priority>0.7</priority>\n';
-          xml += '  </url>\n';
+          for (const edge of edges) {
+            const collection = edge.node;
+            const path = '/collections/' + collection.handle;
+            const fields = {
+              lastmod: new Date(collection.updatedAt).toISOString().split('T')[0],
+              changefreq: 'weekly',
+              priority: '0.7'
+            };
+            collectionEntries.push(renderUrlEntry({
+              ...fields,
+              loc: primaryDomain + path,
+              alternates: hreflangAlternates(hreflangTargets, path)
+            }));
+            addLocalizedEntries(path, fields);
+          }
+          
+          moreCollections = !!collectionsData?.collections?.pageInfo?.hasNextPage && edges.length > 0;
+          collectionCursor = edges[edges.length - 1]?.cursor;
         }
       } catch (collectionsErr) {
-        // Could not fetch collections
+        console.error('[SITEMAP] Could not fetch collections:', collectionsErr.message);
       }
     }
     
-    // Add pages
+    // Applied SEO for pages/articles (contentSeoController), keyed by storefront path
+    let hasAnyAIContent = false;
+    const contentSeoByPath = new Map();
+    try {
+      const contentDocs = await ContentSeo.find({ shop: normalizedShop }).select('path seo').lean();
+      contentDocs.forEach(doc => contentSeoByPath.set(doc.path, doc.seo || {}));
+    } catch (contentErr) {
+      console.error('[SITEMAP] Could not load content SEO:', contentErr.message);
+    }
+    const primaryContentLocale = (locales.find(l => l.primary)?.locale || 'en').toLowerCase();
+    const contentExtra = (type, path, locale = primaryContentLocale) => {
+      const bySeoLang = contentSeoByPath.get(path);
+      if (!bySeoLang) return '';
+      const lang = locale.toLowerCase();
+      const seo = bySeoLang[lang] || bySeoLang[lang.split('-')[0]];
+      if (!seo) return '';
+      hasAnyAIContent = true;
+      return contentAiBlock({ type, language: lang, seo });
+    };
+    
+    // Add published pages
     try {
       const pagesQuery = `
-        query {
-          pages(first: 10) {
+        query($cursor: String) {
+          pages(first: 250, after: $cursor, query: "published_status:published") {
             edges {
               node {
-                id
                 handle
-                title
                 updatedAt
               }
+              cursor
+            }
+            pageInfo {
+              hasNextPage
             }
           }
         }
       `;
       
-      const pagesData = await shopGraphQL(normalizedShop, pagesQuery);
-      const pages = pagesData?.pages?.edges || [];
-      
-      for (const edge of pages) {
-        const page = edge.node;
-        const lastmod = new Date(page.updatedAt).toISOString().split('T')[0];
+      let pageCursor = null;
+      let morePages = true;
+      while (morePages) {
+        const pagesData = await shopGraphQL(normalizedShop, pagesQuery, { cursor: pageCursor });
+        const edges = pagesData?.pages?.edges || [];
         
-        xml += '  <url>\n';
-        xml += '    <loc>' + primaryDomain + '/pages/' + page.handle + '</loc>\n';
-        xml += '    <lastmod>' + lastmod + '</lastmod>\n';
-        xml += '    <changefreq>monthly</changefreq>\n';
-        xml += '    <priority>0.6</priority>\n';
-        xml += '  </url>\n';
+        for (const edge of edges) {
+          const page = edge.node;
+          const path = '/pages/' + page.handle;
+          const fields = {
+            lastmod: new Date(page.updatedAt).toISOString().split('T')[0],
+            changefreq: 'monthly',
+            priority: '0.6'
+          };
+          pageEntries.push(renderUrlEntry({
+            ...fields,
+            loc: primaryDomain + path,
+            alternates: hreflangAlternates(hreflangTargets, path),
+            extra: contentExtra('page', path)
+          }));
+          addLocalizedEntries(path, fields, target => contentExtra('page', path, target.locale));
+        }
+        
+        morePages = !!pagesData?.pages?.pageInfo?.hasNextPage && edges.length > 0;
+        pageCursor = edges[edges.length - 1]?.cursor;
       }
     } catch (pagesErr) {
-      // Could not fetch pages
+      console.error('[SITEMAP] Could not fetch pages:', pagesErr.message);
     }
     
-    // Now build the final XML with proper header (including xmlns:ai if needed)
-    let finalXml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-    finalXml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"\n';
-    finalXml += '        xmlns:xhtml="http://www.w3.org/1999/xhtml"';
-    
-    // Add AI namespace if we have AI-enhanced products OR if AI sitemap is explicitly enabled
-    if (hasAnyAIProducts || isAISitemapEnabled) {
-      finalXml += '\n        xmlns:ai="http://www.aidata.org/schemas/sitemap/1.0"';
+    // Add published blog articles
+    try {
+      const articlesQuery = `
+        query($cursor: String) {
+          articles(first: 250, after: $cursor, query: "published_status:published") {
+            edges {
+              node {
+                handle
+                updatedAt
+                blog { handle }
+              }
+              cursor
+            }
+            pageInfo {
+              hasNextPage
+            }
+          }
+        }
+      `;
+      
+      let articleCursor = null;
+      let moreArticles = true;
+      while (moreArticles) {
+        const articlesData = await shopGraphQL(normalizedShop, articlesQuery, { cursor: articleCursor });
+        const edges = articlesData?.articles?.edges || [];
+        
+        for (const edge of edges) {
+          const article = edge.node;
+          if (!article.blog?.handle) continue;
+          const path = '/blogs/' + article.blog.handle + '/' + article.handle;
+          const fields = {
+            lastmod: new Date(article.updatedAt).toISOString().split('T')[0],
+            changefreq: 'weekly',
+            priority: '0.6'
+          };
+          articleEntries.push(renderUrlEntry({
+            ...fields,
+            loc: primaryDomain + path,
+            alternates: hreflangAlternates(hreflangTargets, path),
+            extra: contentExtra('article', path)
+          }));
+          addLocalizedEntries(path, fields, target => contentExtra('article', path, target.locale));
+        }
+        
+        moreArticles = !!articlesData?.articles?.pageInfo?.hasNextPage && edges.length > 0;
+        articleCursor = edges[edges.length - 1]?.cursor;
+      }
+    } catch (articlesErr) {
+      console.error('[SITEMAP] Could not fetch articles:', articlesErr.message);
     }
     
-    finalXml += '>\n';
-    finalXml += xml; // Add all product/collection/page entries
-    finalXml += '</urlset>\n';
+    // Split into child sitemaps and build the index that lists them
+    const withAi = hasAnyAIProducts || hasAnyAIContent || isAISitemapEnabled;
+    const children = [];
+    const addChildren = (type, entries, hreflang = null) => {
+      chunkEntries(entries, { ai: withAi }).forEach((chunk, i) => {
+        const content = renderUrlset(chunk, { ai: withAi });
+        children.push({
+          name: childSitemapName(type, i + 1, hreflang),
+          type,
+          hreflang,
+          urlCount: chunk.length,
+          size: Buffer.byteLength(content, 'utf8'),
+          content
+        });
+      });
+    };
+    addChildren('products', productEntries);
+    addChildren('collections', collectionEntries);
+    addChildren('pages', pageEntries);
+    addChildren('articles', articleEntries);
+    for (const [hreflang, entries] of localeEntries) {
+      addChildren('locale', entries, hreflang);
+    }
     
-    // Replace xml with finalXml
-    xml = finalXml;
+    const generatedAt = new Date();
+    const today = generatedAt.toISOString().split('T')[0];
+    const proxyBase = primaryDomain + '/apps/' + APP_PROXY_SUBPATH;
+    const xml = renderSitemapIndex(children.map(child => ({
+      loc: `${proxyBase}/sitemap/${child.name}.xml`,
+      lastmod: today
+    })));
     
     // === FINALIZE TOKEN USAGE ===
     if (reservationId && totalAITokens > 0) {
@@ -895,17 +1078,24 @@ async function generateSitemapCore(shop, options = {}) {
     }
     // === END TOKEN FINALIZATION ===
     
-    // Save to database
+    const previous = await Sitemap.findOne({ shop: normalizedShop }).select('generatedAt').lean();
     
-    const { default: Sitemap } = await import('../db/Sitemap.js');
-    const sitemapDoc = await Sitemap.findOneAndUpdate(
+    // Save children first so the index never points at a missing file
+    await saveSitemapChildren(normalizedShop, children, generatedAt);
+    
+    const urlCount = children.reduce((sum, child) => sum + child.urlCount, 0);
+    await Sitemap.findOneAndUpdate(
       { shop: normalizedShop },
       {
         shop: normalizedShop,
-        generatedAt: new Date(),
-        url: primaryDomain + '/sitemap.xml',
+        generatedAt,
+        url: proxyBase + '/sitemap.xml',
         productCount: allProducts.length,
-        size: xml.length,
+        urlCount,
+        size: children.reduce((sum, child) => sum + child.size, 0),
+        children: children.map(({ content, ...child }) => ({ ...child, lastmod: generatedAt })),
+        hreflangTargets,
+        patchedAt: null,
         plan: plan,
         status: 'completed',
         content: xml,
@@ -914,10 +1104,21 @@ async function generateSitemapCore(shop, options = {}) {
       { upsert: true, new: true }
     );
     
+    // IndexNow: URLs changed since the previous generation (all of them the first time)
+    try {
+      const since = previous?.generatedAt ? new Date(previous.generatedAt).toISOString().split('T')[0] : null;
+      const changedUrls = children.flatMap(child => changedLocs(child.content, since));
+      await indexNowQueue.queueUrls(normalizedShop, changedUrls.slice(0, INDEXNOW_MAX_URLS), 'sitemap');
+    } catch (indexNowErr) {
+      console.error('[SITEMAP] Could not queue IndexNow URLs:', indexNowErr.message);
+    }
+    
     return {
       success: true,
       shop: normalizedShop,
       productCount: allProducts.length,
+      urlCount,
+      sitemaps: children.length,
       size: xml.length,
       aiEnabled: isAISitemapEnabled
     };
@@ -952,6 +1153,223 @@ async function generateSitemapCore(shop, options = {}) {
   }
 }
 
+// Nodes for the webhook-marked products/collections (null when deleted in the meantime)
+const CATALOG_NODES_QUERY = `
+  query($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        handle
+        status
+        updatedAt
+        images(first: 20) {
+          edges {
+            node {
+              url
+            }
+          }
+        }
+      }
+      ... on Collection {
+        id
+        handle
+        updatedAt
+      }
+    }
+  }
+`;
+
+/**
+ * Apply product/collection changes (db/CatalogChange.js marks) to the stored sitemap
+ * index without regenerating it: entries are replaced in place (keeping their
+ * ai:product block), moved to the new handle, removed when the resource is gone or
+ * hidden, and new ones are appended to the last child of their type. Touched
+ * children get a new lastmod in the index.
+ * Sitemaps from before the index format are left to the next full generation.
+ * @param {string} shop
+ * @param {Array} changes - CatalogChange documents
+ */
+async function patchSitemapEntries(shop, changes) {
+  const sitemap = await Sitemap.findOne({ shop }).lean();
+  if (!sitemap?.children?.length || !sitemap.hreflangTargets?.length) {
+    return { patched: false, reason: 'no-index' };
+  }
+  const shopDoc = await Shop.findOne({ shop }).select('sitemapStatus.inProgress').lean();
+  if (shopDoc?.sitemapStatus?.inProgress) {
+    // The running generation reads the current catalog anyway
+    return { patched: false, reason: 'generation-in-progress' };
+  }
+
+  const { limit, plan } = await getPlanLimits(shop);
+  const targets = sitemap.hreflangTargets;
+  const primary = targets.find(t => t.primary) || targets[0];
+  const localeTargets = targets.filter(t => t !== primary);
+
+  // Current state of everything that is still visible
+  const nodes = new Map();
+  const ids = changes
+    .filter(c => c.published && !c.deleted)
+    .map(c => `gid://shopify/${c.resource === 'product' ? 'Product' : 'Collection'}/${c.resourceId}`);
+  for (let i = 0; i < ids.length; i += 250) {
+    const data = await shopGraphQL(shop, CATALOG_NODES_QUERY, { ids: ids.slice(i, i + 250) });
+    for (const node of data?.nodes || []) {
+      if (node?.id) nodes.set(node.id, node);
+    }
+  }
+
+  // One change per target (primary + each locale root)
+  const mainChanges = { products: [], collections: [] };
+  const localeChanges = new Map(localeTargets.map(t => [t.hreflang, []]));
+  for (const change of changes) {
+    const isProduct = change.resource === 'product';
+    const type = isProduct ? 'products' : 'collections';
+    const prefix = isProduct ? '/products/' : '/collections/';
+    const node = nodes.get(`gid://shopify/${isProduct ? 'Product' : 'Collection'}/${change.resourceId}`);
+    const visible = node && (!isProduct || node.status === 'ACTIVE');
+    const handle = visible ? node.handle : change.handle;
+    if (!handle) continue;
+
+    const oldHandles = [change.handle, ...(change.previousHandles || [])].filter(h => h && h !== handle);
+    const path = prefix + handle;
+    const fields = visible ? {
+      lastmod: new Date(node.updatedAt).toISOString().split('T')[0],
+      changefreq: 'weekly',
+      priority: isProduct ? '0.8' : '0.7',
+      images: isProduct ? (node.images?.edges || []).map(e => e.node.url).filter(Boolean) : []
+    } : null;
+
+    const forTarget = target => ({
+      key: `${type}:${change.resourceId}`,
+      loc: target.url + path,
+      oldLocs: oldHandles.map(h => target.url + prefix + h),
+      render: fields ? previous => renderUrlEntry({
+        ...fields,
+        loc: target.url + path,
+        alternates: hreflangAlternates(targets, path),
+        extra: entryAiBlock(previous)
+      }) : undefined
+    });
+
+    mainChanges[type].push(forTarget(primary));
+    for (const target of localeTargets) {
+      localeChanges.get(target.hreflang).push(forTarget(target));
+    }
+  }
+
+  const children = sitemap.children.map(child => ({ ...child }));
+  const contents = new Map();
+  const touched = new Set();
+  const changedUrls = new Set();
+  const now = new Date();
+
+  const loadContent = async (name) => {
+    if (!contents.has(name)) {
+      const doc = await SitemapChild.findOne({ shop, name }).select('+content').lean();
+      contents.set(name, doc?.content || null);
+    }
+    return contents.get(name);
+  };
+  const store = (child, result) => {
+    contents.set(child.name, result.content);
+    child.urlCount = result.urlCount;
+    child.size = Buffer.byteLength(result.content, 'utf8');
+    child.lastmod = now;
+    touched.add(child.name);
+  };
+
+  // Patch the children of one type/locale; returns the keys listed afterwards and the count delta
+  const applyGroup = async (type, hreflang, groupChanges, canAppend) => {
+    const group = children.filter(c => c.type === type && (c.hreflang || null) === hreflang);
+    let pending = groupChanges;
+    for (const child of group) {
+      if (!pending.length) break;
+      const content = await loadContent(child.name);
+      if (!content) continue;
+      const result = patchUrlset(content, pending);
+      if (result.changed) store(child, result);
+      pending = result.unmatched;
+    }
+
+    const matched = groupChanges.filter(c => !pending.includes(c));
+    const toAppend = pending.filter(c => c.render && canAppend(c));
+    for (const change of matched) [change.loc, ...change.oldLocs].forEach(url => changedUrls.add(url));
+    for (const change of toAppend) changedUrls.add(change.loc);
+    if (toAppend.length) {
+      let last = group[group.length - 1];
+      const lastContent = last ? await loadContent(last.name) : null;
+      // ~2KB per entry leaves room for images and alternates
+      const full = !lastContent
+        || last.urlCount + toAppend.length > SITEMAP_MAX_URLS
+        || Buffer.byteLength(lastContent, 'utf8') + toAppend.length * 2048 > SITEMAP_CHILD_MAX_BYTES;
+      if (full) {
+        last = { name: childSitemapName(type, group.length + 1, hreflang), type, hreflang, urlCount: 0, size: 0 };
+        children.push(last);
+      }
+      store(last, patchUrlset(full ? renderUrlset([]) : lastContent, toAppend, { append: true }));
+    }
+
+    return {
+      listed: new Set([...matched.filter(c => c.render), ...toAppend].map(c => c.key)),
+      delta: toAppend.length - matched.filter(c => !c.render).length
+    };
+  };
+
+  let productSlots = Math.max(0, limit - (sitemap.productCount || 0));
+  const products = await applyGroup('products', null, mainChanges.products, () => productSlots-- > 0);
+  const collectionsAllowed = ['growth', 'growth_extra', 'enterprise'].includes(plan);
+  const collections = await applyGroup('collections', null, mainChanges.collections, () => collectionsAllowed);
+
+  // Locale children list the same URLs as the main ones
+  const listed = new Set([...products.listed, ...collections.listed]);
+  for (const [hreflang, groupChanges] of localeChanges) {
+    await applyGroup('locale', hreflang, groupChanges, c => listed.has(c.key));
+  }
+
+  if (!touched.size) {
+    return { patched: false, reason: 'no-changes' };
+  }
+
+  for (const child of children.filter(c => touched.has(c.name))) {
+    await SitemapChild.updateOne(
+      { shop, name: child.name },
+      {
+        $set: {
+          type: child.type,
+          hreflang: child.hreflang,
+          urlCount: child.urlCount,
+          size: child.size,
+          content: contents.get(child.name),
+          generatedAt: now
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  const proxyBase = String(sitemap.url || '').replace(/\/sitemap\.xml$/, '');
+  const productCount = Math.max(0, (sitemap.productCount || 0) + products.delta);
+  const urlCount = children.reduce((sum, child) => sum + (child.urlCount || 0), 0);
+  const saved = await Sitemap.updateOne(
+    // A full generation that finished meanwhile already has these changes
+    { shop, generatedAt: sitemap.generatedAt },
+    {
+      $set: {
+        content: renderSitemapIndex(children.map(child => ({
+          loc: `${proxyBase}/sitemap/${child.name}.xml`,
+          lastmod: new Date(child.lastmod || sitemap.generatedAt).toISOString().split('T')[0]
+        }))),
+        children,
+        urlCount,
+        productCount,
+        size: children.reduce((sum, child) => sum + (child.size || 0), 0),
+        patchedAt: now
+      }
+    }
+  );
+
+  return { patched: saved.matchedCount > 0, children: [...touched], urlCount, urls: [...changedUrls] };
+}
+
 // Handler functions
 // PHASE 4: Async generation with queue system
 async function handleGenerate(req, res) {
@@ -982,9 +1400,7 @@ async function handleGenerate(req, res) {
     }
     
     // PHASE 4: Add to queue for async generation
-    const jobInfo = await sitemapQueue.addJob(shop, async () => {
-      return await generateSitemapCore(shop);
-    }, { type: 'basic' });
+    const jobInfo = await sitemapQueue.addJob(shop, { type: 'basic' });
     
     // Return immediate response
     return res.json({
@@ -1050,8 +1466,12 @@ async function handleInfo(req, res) {
         faq: true
       },
       url: `https://${shop}/sitemap.xml`,
+      indexUrl: existingSitemap?.children?.length ? existingSitemap.url : null,
+      children: existingSitemap?.children || [],
+      urlCount: existingSitemap?.urlCount || 0,
       generated: !!existingSitemap,
       generatedAt: existingSitemap?.generatedAt || null,
+      patchedAt: existingSitemap?.patchedAt || null,
       lastProductCount: existingSitemap?.productCount || 0,
       size: existingSitemap?.size || 0,
       isAiEnhanced: existingSitemap?.isAiEnhanced || false
@@ -1148,6 +1568,21 @@ async function handleStatus(req, res) {
   }
 }
 
+// Helper: send one child sitemap of the index (?part=products-1)
+async function sendSitemapPart(res, shop, part, cacheSeconds) {
+  const child = await SitemapChild.findOne({ shop, name: String(part) }).select('+content').lean();
+  if (!child?.content) {
+    return res.status(404).send(`Sitemap part not found: ${part}`);
+  }
+  res.set({
+    'Content-Type': 'application/xml; charset=utf-8',
+    'Cache-Control': `public, max-age=${cacheSeconds}`,
+    'Last-Modified': new Date(child.generatedAt).toUTCString(),
+    'X-Sitemap-Urls': String(child.urlCount || 0)
+  });
+  return res.send(child.content);
+}
+
 // Add new function to serve saved sitemap
 async function serveSitemap(req, res) {
   try {
@@ -1157,6 +1592,10 @@ async function serveSitemap(req, res) {
       return res.status(400).send('Missing shop parameter');
     }
     
+    if (req.query.part) {
+      return sendSitemapPart(res, shop, req.query.part, 3600);
+    }
+    
     const forceRegenerate = req.query.force === 'true';
     const enableAIEnhancement = req.query.ai === 'true';
     
@@ -1271,6 +1710,10 @@ async function servePublicSitemap(req, res) {
       return res.status(400).send('Missing shop parameter. Use: ?shop=your-shop.myshopify.com');
     }
     
+    if (req.query.part) {
+      return sendSitemapPart(res, shop, req.query.part, 21600);
+    }
+    
     // Get saved sitemap with content
     const sitemapDoc = await Sitemap.findOne({ shop }).select('+content').lean().exec();
     
@@ -1328,13 +1771,8 @@ async function handleReset(req, res) {
       }
     );
     
-    // Clear from in-memory queue if present
-    sitemapQueue.queue = sitemapQueue.queue.filter(job => job.shop !== shop);
-    if (sitemapQueue.currentJob?.shop === shop) {
-      // Mark the current job as cancelled so it stops processing
-      sitemapQueue.currentJob.cancelled = true;
-      sitemapQueue.currentJob = null;
-    }
+    // Drop a queued job; a running one stops at the next cancelled-flag check
+    await sitemapQueue.cancel(shop);
     
     res.json({
       success: true,
@@ -1347,6 +1785,96 @@ async function handleReset(req, res) {
   }
 }
 
+// IndexNow: key file, pending URLs and recent submissions for the Sitemap page
+async function handleIndexNowInfo(req, res) {
+  try {
+    const shop = normalizeShop(req.query.shop);
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+    
+    const { default: IndexNowSubmission } = await import('../db/IndexNowSubmission.js');
+    const { default: IndexNowPending } = await import('../db/IndexNowPending.js');
+    const [shopDoc, sitemap, pending, submissions] = await Promise.all([
+      Shop.findOne({ shop }).select('indexNow').lean(),
+      Sitemap.findOne({ shop }).select('hreflangTargets').lean(),
+      IndexNowPending.countDocuments({ shop }),
+      IndexNowSubmission.find({ shop }).select('-urls').sort({ submittedAt: -1 }).limit(25).lean()
+    ]);
+    
+    const settings = shopDoc?.indexNow || {};
+    const primaryUrl = sitemap?.hreflangTargets?.find(t => t.primary)?.url || `https://${shop}`;
+    const keyUrl = settings.key
+      ? (settings.keyLocation || `${primaryUrl}/${settings.key}.txt`)
+      : null;
+    
+    res.json({
+      enabled: settings.enabled !== false && process.env.INDEXNOW_ENABLED !== 'false',
+      endpoint: getIndexNowEndpoint(),
+      keyUrl,
+      keyAtRoot: !!settings.key && !settings.keyLocation,
+      lastSubmittedAt: settings.lastSubmittedAt || null,
+      pending,
+      submissions
+    });
+  } catch (err) {
+    console.error('[SITEMAP] IndexNow info error:', err);
+    res.status(500).json({ error: 'Failed to load IndexNow status' });
+  }
+}
+
+// Per-URL outcome of one submission
+async function handleIndexNowSubmission(req, res) {
+  try {
+    const shop = normalizeShop(req.query.shop);
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+    if (!/^[a-f0-9]{24}$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    const { default: IndexNowSubmission } = await import('../db/IndexNowSubmission.js');
+    const submission = await IndexNowSubmission.findOne({ _id: req.params.id, shop }).lean();
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    res.json({ submission });
+  } catch (err) {
+    console.error('[SITEMAP] IndexNow submission error:', err);
+    res.status(500).json({ error: 'Failed to load submission' });
+  }
+}
+
+async function handleIndexNowSettings(req, res) {
+  try {
+    const shop = normalizeShop(req.query.shop);
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+    const enabled = req.body?.enabled !== false;
+    await Shop.updateOne({ shop }, { $set: { 'indexNow.enabled': enabled } });
+    res.json({ success: true, enabled });
+  } catch (err) {
+    console.error('[SITEMAP] IndexNow settings error:', err);
+    res.status(500).json({ error: 'Failed to save IndexNow settings' });
+  }
+}
+
+// Send the pending URLs now instead of waiting for the next batch
+async function handleIndexNowSubmit(req, res) {
+  try {
+    const shop = normalizeShop(req.query.shop);
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+    const { queued } = await indexNowQueue.submitNow(shop);
+    res.json({ success: true, queued });
+  } catch (err) {
+    console.error('[SITEMAP] IndexNow submit error:', err);
+    res.status(500).json({ error: 'Failed to submit URLs' });
+  }
+}
+
 // Mount routes on router
 router.get('/info', handleInfo);
 router.get('/progress', handleProgress);
@@ -1356,9 +1884,13 @@ router.post('/reset', handleReset); // Reset stuck generation
 router.get('/generate', serveSitemap); // GET returns saved sitemap
 router.get('/view', serveSitemap); // Alternative endpoint to view sitemap
 router.get('/public', servePublicSitemap); // Public endpoint (no auth required)
+router.get('/indexnow', handleIndexNowInfo);
+router.get('/indexnow/submissions/:id', handleIndexNowSubmission);
+router.post('/indexnow/settings', handleIndexNowSettings);
+router.post('/indexnow/submit', handleIndexNowSubmit);
 
 // Export default router
 // Export the generate function for background regeneration
-export { handleGenerate as generateSitemap, generateSitemapCore };
+export { handleGenerate as generateSitemap, generateSitemapCore, patchSitemapEntries };
 
 export default router;
\ No newline at end of file
@@ -58,6 +58,17 @@ const AIDiscoverySettingsSchema = new mongoose.Schema({
     enhancedDescription: { type: Boolean, default: false },
     organization: { type: Boolean, default: false }
   },
+  // MCP tools hidden from AI agents (names from mcp/mcpToolCatalog.js); all others are exposed
+  disabledMcpTools: {
+    type: [String],
+    default: []
+  },
+  // Access policy per bot group on the AI endpoints: { [group]: { mode, perMinute, perDay } }
+  // (groups and validation in utils/botPolicy.js; missing groups are allowed)
+  botPolicies: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   createdAt: {
     type: Date,
     default: Date.now
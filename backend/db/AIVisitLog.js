@@ -9,6 +9,9 @@ const aiVisitLogSchema = new mongoose.Schema({
   statusCode: { type: Number, default: 200 },
   responseTimeMs: { type: Number, default: 0 },
   source: { type: String, enum: ['app_proxy', 'direct', 'mcp'], default: 'direct' },
+  // Is the bot who it claims to be (services/botVerifier.js)? Missing on older visits = unverified
+  verification: { type: String, enum: ['verified', 'unverified', 'spoofed'], default: 'unverified' },
+  verifiedBy: { type: String, enum: ['ip_range', 'rdns', null], default: null },
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -19,5 +22,6 @@ aiVisitLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60
 aiVisitLogSchema.index({ shop: 1, createdAt: -1 });
 aiVisitLogSchema.index({ shop: 1, botName: 1, createdAt: -1 });
 aiVisitLogSchema.index({ shop: 1, endpoint: 1, createdAt: -1 });
+aiVisitLogSchema.index({ shop: 1, verification: 1, createdAt: -1 });
 
 export default mongoose.model('AIVisitLog', aiVisitLogSchema);
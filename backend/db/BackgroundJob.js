@@ -0,0 +1,87 @@
+// backend/db/BackgroundJob.js
+// Durable record of a background job (SEO, AI enhance, collections, schema, sitemap).
+// Written and leased by services/durableQueue.js so jobs survive restarts and can be
+// picked up by any instance. Handlers are resolved from `queue` + `kind`, never stored.
+
+import mongoose from 'mongoose';
+
+const jobItemSchema = new mongoose.Schema({
+  data: { type: mongoose.Schema.Types.Mixed, default: null },
+  status: {
+    type: String,
+    enum: ['pending', 'successful', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  reason: { type: String, default: null }
+}, { _id: false });
+
+const backgroundJobSchema = new mongoose.Schema({
+  queue: {
+    type: String, // 'seo' | 'ai-enhance' | 'collection' | 'schema' | 'sitemap' | 'catalog-refresh' | 'indexnow' | 'handle-change' | 'optimization-rules' | 'seo-import' | 'seo-audit' | 'alt-text' | 'seo-restore' | 'seo-draft-publish'
+    required: true
+  },
+  // Sub-type within a queue (collection: 'seo' | 'aiEnhance'), null when unused
+  kind: {
+    type: String,
+    default: null
+  },
+  shop: {
+    type: String,
+    required: true
+  },
+  // Public job id (also recorded in SeoVersion / SeoDraft)
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // true while queued/running - one active job per queue + shop + kind (partial unique index)
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // Serializable handler arguments (model, reviewMode, options, ...)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  items: {
+    type: [jobItemSchema],
+    default: []
+  },
+  total: { type: Number, default: 0 },
+  processed: { type: Number, default: 0 },
+  successful: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  skipReasons: [{ type: String }],
+  failReasons: [{ type: String }],
+  // Claims so far; a job whose worker died is resumed until maxAttempts is reached
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  lease: {
+    owner: { type: String, default: null },
+    expiresAt: { type: Date, default: null }
+  },
+  cancelRequested: { type: Boolean, default: false },
+  lastError: { type: String, default: null },
+  queuedAt: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+});
+
+backgroundJobSchema.index({ queue: 1, status: 1, queuedAt: 1 });
+backgroundJobSchema.index(
+  { queue: 1, shop: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+// Finished jobs are kept for 14 days
+backgroundJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 14 * 24 * 60 * 60 });
+
+export default mongoose.model('BackgroundJob', backgroundJobSchema);
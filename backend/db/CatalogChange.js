@@ -0,0 +1,28 @@
+// backend/db/CatalogChange.js
+// A product or collection whose storefront URL changed since the sitemap and feeds
+// were built. Set by the products/collections webhooks, consumed (and deleted) by
+// services/catalogRefreshQueue.js. One document per resource - repeated webhooks
+// only move lastMarkedAt forward.
+
+import mongoose from 'mongoose';
+
+const catalogChangeSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  resource: { type: String, enum: ['product', 'collection'], required: true },
+  resourceId: { type: String, required: true }, // numeric Shopify id
+
+  handle: { type: String, default: null },
+  // Handles the sitemap/feeds may still list (every handle the resource had since the mark)
+  previousHandles: { type: [String], default: [] },
+  // Visible on the storefront: active product / published collection
+  published: { type: Boolean, default: true },
+  deleted: { type: Boolean, default: false },
+
+  firstMarkedAt: { type: Date, default: Date.now },
+  lastMarkedAt: { type: Date, default: Date.now }
+});
+
+catalogChangeSchema.index({ shop: 1, resource: 1, resourceId: 1 }, { unique: true });
+catalogChangeSchema.index({ lastMarkedAt: 1 });
+
+export default mongoose.model('CatalogChange', catalogChangeSchema);
@@ -0,0 +1,69 @@
+// backend/db/ContentSeo.js
+// Applied SEO for a blog article or online store page (one document per resource).
+// The source of truth is the seo_ai.seo__{lang} metafield on the article/page; this copy
+// lets llms.txt and the sitemap list optimized content without querying Shopify.
+// Written by controllers/contentSeoController.js.
+
+import mongoose from 'mongoose';
+
+const contentSeoSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true,
+    index: true
+  },
+  resource: {
+    type: String,
+    enum: ['article', 'page'],
+    required: true
+  },
+  resourceId: {
+    type: String, // Article / Page GID
+    required: true
+  },
+  handle: {
+    type: String,
+    required: true
+  },
+  blogHandle: {
+    type: String, // articles only
+    default: null
+  },
+  // Storefront path without domain: /blogs/news/spring-lookbook or /pages/about-us
+  path: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  published: {
+    type: Boolean,
+    default: true
+  },
+  // { [language]: { title, metaDescription, excerpt, faq: [{ q, a }], updatedAt } }
+  seo: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Store primary language the seo map was last applied in (llms.txt uses this one)
+  primaryLanguage: {
+    type: String,
+    default: null
+  },
+  // Primary-language JSON-LD (also in the custom.json_ld metafield)
+  jsonLd: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+contentSeoSchema.index({ shop: 1, resourceId: 1 }, { unique: true });
+contentSeoSchema.index({ shop: 1, resource: 1, updatedAt: -1 });
+
+export default mongoose.model('ContentSeo', contentSeoSchema);
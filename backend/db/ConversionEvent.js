@@ -1,11 +1,19 @@
 import mongoose from 'mongoose';
 
+// Web pixel events from AI-referred sessions (extensions/ai-revenue-pixel), in funnel order
+export const CONVERSION_EVENT_TYPES = [
+  'page_viewed', 'collection_viewed', 'search_submitted', 'product_viewed',
+  'add_to_cart', 'checkout_started', 'checkout_completed'
+];
+
 const conversionEventSchema = new mongoose.Schema({
   shop: { type: String, required: true },
+  // Pixel event id (checkout line items get `${id}:${index}`); a repeat delivery is a duplicate
+  eventId: { type: String, default: undefined },
   eventType: {
     type: String,
     required: true,
-    enum: ['page_viewed', 'add_to_cart', 'checkout_completed']
+    enum: CONVERSION_EVENT_TYPES
   },
   productId: { type: String, default: '' },
   productHandle: { type: String, default: '' },
@@ -18,6 +26,11 @@ const conversionEventSchema = new mongoose.Schema({
   orderId: { type: String, default: '' },
   aiSource: { type: String, default: null },
   referrerUrl: { type: String, default: '' },
+  utmSource: { type: String, default: '' },
+  utmMedium: { type: String, default: '' },
+  searchQuery: { type: String, default: '' },
+  collectionId: { type: String, default: '' },
+  collectionTitle: { type: String, default: '' },
   sessionId: { type: String, default: '' },
   createdAt: { type: Date, default: Date.now }
 });
@@ -26,5 +39,9 @@ conversionEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 6
 conversionEventSchema.index({ shop: 1, createdAt: -1 });
 conversionEventSchema.index({ shop: 1, eventType: 1, createdAt: -1 });
 conversionEventSchema.index({ shop: 1, aiSource: 1, createdAt: -1 });
+conversionEventSchema.index(
+  { shop: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+);
 
 export default mongoose.model('ConversionEvent', conversionEventSchema);
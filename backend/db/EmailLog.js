@@ -25,7 +25,8 @@ const emailLogSchema = new mongoose.Schema({
       'weekly-digest',
       'product_digest', 
       'upgrade-success', 
-      'reengagement'
+      'reengagement',
+      'token-alert'
     ],
     required: true,
     index: true
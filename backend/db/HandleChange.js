@@ -0,0 +1,71 @@
+// backend/db/HandleChange.js
+// A product/collection handle changed by "apply slug", with the URL redirects created
+// from the old paths. Kept so the change can be reverted: the handle goes back and the
+// redirects are deleted (or pointed at their previous target again).
+// See controllers/handleController.js.
+
+import mongoose from 'mongoose';
+
+const redirectSchema = new mongoose.Schema({
+  id: { type: String, default: null }, // UrlRedirect GID
+  path: { type: String, required: true },
+  target: { type: String, required: true },
+  // Set when a redirect already existed at `path` and was re-pointed instead of created
+  previousTarget: { type: String, default: null },
+  error: { type: String, default: null }
+}, { _id: false });
+
+const handleChangeSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true,
+    index: true
+  },
+  resource: {
+    type: String,
+    enum: ['product', 'collection'],
+    required: true
+  },
+  resourceId: {
+    type: String, // GID
+    required: true
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  oldHandle: {
+    type: String,
+    required: true
+  },
+  newHandle: {
+    type: String,
+    required: true
+  },
+  redirects: {
+    type: [redirectSchema],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'reverted'],
+    default: 'applied'
+  },
+  jobId: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  revertedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+handleChangeSchema.index({ shop: 1, createdAt: -1 });
+handleChangeSchema.index({ shop: 1, resourceId: 1, createdAt: -1 });
+
+export default mongoose.model('HandleChange', handleChangeSchema);
@@ -0,0 +1,23 @@
+// backend/db/IndexNowPending.js
+// A URL waiting for the next IndexNow batch of its shop (see services/indexNowQueue.js).
+// Product URLs from SEO apply are stored by product id and language and resolved to
+// storefront URLs when the batch goes out.
+
+import mongoose from 'mongoose';
+
+const indexNowPendingSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  // The URL itself, or `product:{numericId}:{language}`
+  key: { type: String, required: true },
+  url: { type: String, default: null },
+  productId: { type: String, default: null },
+  language: { type: String, default: null },
+  source: { type: String, default: 'manual' },
+  attempts: { type: Number, default: 0 },
+  queuedAt: { type: Date, default: Date.now }
+});
+
+indexNowPendingSchema.index({ shop: 1, key: 1 }, { unique: true });
+indexNowPendingSchema.index({ queuedAt: 1 });
+
+export default mongoose.model('IndexNowPending', indexNowPendingSchema);
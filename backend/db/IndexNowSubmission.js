@@ -0,0 +1,28 @@
+// backend/db/IndexNowSubmission.js
+// One IndexNow request (one host) with the outcome for each URL, shown as submission
+// history on the Sitemap page. Written by services/indexNowQueue.js, kept 90 days.
+
+import mongoose from 'mongoose';
+
+const indexNowSubmissionSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  endpoint: { type: String, required: true },
+  host: { type: String, default: null },
+  // 'seo-apply' | 'sitemap' | 'catalog' | 'manual' - several when a batch mixes them
+  sources: { type: [String], default: [] },
+  urls: [{
+    _id: false,
+    url: String,
+    status: { type: String, enum: ['submitted', 'accepted', 'rejected', 'failed', 'skipped'] }
+  }],
+  urlCount: { type: Number, default: 0 },
+  status: { type: String, enum: ['submitted', 'accepted', 'rejected', 'failed', 'skipped'], required: true },
+  statusCode: { type: Number, default: null },
+  message: { type: String, default: null },
+  submittedAt: { type: Date, default: Date.now }
+});
+
+indexNowSubmissionSchema.index({ shop: 1, submittedAt: -1 });
+indexNowSubmissionSchema.index({ submittedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('IndexNowSubmission', indexNowSubmissionSchema);
@@ -0,0 +1,75 @@
+// backend/db/MachineTranslation.js
+// Product content the app machine-translated and registered in Shopify ("translate then
+// optimize", one document per product + locale). Kept so the merchant can review it later:
+// approving only marks it, rejecting removes the registered translations
+// (see controllers/machineTranslationController.js).
+
+import mongoose from 'mongoose';
+
+const machineTranslationSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true,
+    index: true
+  },
+  productId: {
+    type: String, // Product GID
+    required: true
+  },
+  productTitle: {
+    type: String,
+    default: ''
+  },
+  locale: {
+    type: String,
+    required: true
+  },
+  sourceLocale: {
+    type: String,
+    default: null
+  },
+  // Registered values by translatable key (title, body_html, meta_title, meta_description, handle)
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Source digests the values were registered against
+  sourceDigests: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  tokensUsed: {
+    type: Number,
+    default: 0
+  },
+  jobId: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['unreviewed', 'approved', 'rejected'],
+    default: 'unreviewed'
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+machineTranslationSchema.index({ shop: 1, productId: 1, locale: 1 }, { unique: true });
+machineTranslationSchema.index({ shop: 1, status: 1, updatedAt: -1 });
+
+export default mongoose.model('MachineTranslation', machineTranslationSchema);
@@ -0,0 +1,29 @@
+// backend/db/McpSession.js
+// MCP session state shared by all app instances. A request carrying an mcp-session-id
+// that is not live on the instance that receives it is resumed from this record
+// (see mcp/mcpServer.js). Expires 30 minutes after the last request.
+
+import mongoose from 'mongoose';
+
+const mcpSessionSchema = new mongoose.Schema({
+  sessionId: { type: String, required: true, unique: true },
+  shop: { type: String, required: true },
+
+  // From the client's initialize request
+  clientName: { type: String, default: null },
+  clientVersion: { type: String, default: null },
+  protocolVersion: { type: String, default: null },
+  clientCapabilities: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  userAgent: { type: String, default: '' },
+  botName: { type: String, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  lastActivity: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+mcpSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+mcpSessionSchema.index({ shop: 1, lastActivity: -1 });
+
+export default mongoose.model('McpSession', mcpSessionSchema);
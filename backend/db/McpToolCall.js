@@ -0,0 +1,27 @@
+// backend/db/McpToolCall.js
+// One row per MCP tool call, with the agent that made it (clientInfo from the MCP
+// initialize handshake). Feeds the "MCP agents" breakdown on the Analytics page.
+
+import mongoose from 'mongoose';
+
+const mcpToolCallSchema = new mongoose.Schema({
+  shop: { type: String, required: true },
+  sessionId: { type: String, default: null },
+  clientName: { type: String, default: 'unknown' },
+  clientVersion: { type: String, default: null },
+  botName: { type: String, default: null },   // from the User-Agent, same names as AIVisitLog
+  tool: { type: String, required: true },
+  argsHash: { type: String, default: null },  // sha256 of the arguments (no raw buyer input stored)
+  latencyMs: { type: Number, default: 0 },
+  resultBytes: { type: Number, default: 0 },
+  isError: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// TTL: auto-delete after 90 days (same as AIVisitLog)
+mcpToolCallSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+mcpToolCallSchema.index({ shop: 1, createdAt: -1 });
+mcpToolCallSchema.index({ shop: 1, clientName: 1, createdAt: -1 });
+
+export default mongoose.model('McpToolCall', mcpToolCallSchema);
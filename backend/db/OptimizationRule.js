@@ -0,0 +1,85 @@
+// backend/db/OptimizationRule.js
+// Automatic optimization rule of a shop (see utils/optimizationRules.js).
+// Webhook rules collect matching candidates in pendingProductIds until the next sweep
+// of services/optimizationRuleQueue.js; schedule rules run every `schedule` interval.
+
+import mongoose from 'mongoose';
+
+const conditionSchema = new mongoose.Schema({
+  field: { type: String, enum: ['productType', 'vendor', 'tag', 'collection', 'price'], required: true },
+  operator: { type: String, enum: ['equals', 'contains', 'gte', 'lte'], required: true },
+  value: { type: String, required: true }
+}, { _id: false });
+
+const optimizationRuleSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  trigger: {
+    type: String,
+    enum: ['webhook', 'schedule'],
+    required: true
+  },
+  // Webhook rules: product events that make a product a candidate
+  events: {
+    type: [String],
+    default: []
+  },
+  // Schedule rules: 'daily' | 'weekly'
+  schedule: {
+    type: String,
+    default: null
+  },
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: {
+    type: [conditionSchema],
+    default: []
+  },
+  action: {
+    type: { type: String, enum: ['basic-seo', 'ai-enhance', 'advanced-schema'], required: true },
+    languages: { type: [String], default: [] }
+  },
+  // Upper bound per run (the plan product limit may lower it)
+  maxProducts: {
+    type: Number,
+    default: 50
+  },
+  // Numeric product ids waiting for the next webhook-rule run
+  pendingProductIds: {
+    type: [String],
+    default: []
+  },
+  pendingSince: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunStatus: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+optimizationRuleSchema.index({ shop: 1, enabled: 1, trigger: 1 });
+optimizationRuleSchema.index({ enabled: 1, pendingSince: 1 });
+
+export default mongoose.model('OptimizationRule', optimizationRuleSchema);
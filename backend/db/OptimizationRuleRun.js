@@ -0,0 +1,74 @@
+// backend/db/OptimizationRuleRun.js
+// Run log of the automatic optimization rules: one entry per rule run with what matched,
+// which job it started or why it did not. Kept for 90 days.
+
+import mongoose from 'mongoose';
+
+const optimizationRuleRunSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true
+  },
+  ruleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  ruleName: {
+    type: String,
+    default: ''
+  },
+  trigger: {
+    type: String,
+    enum: ['webhook', 'schedule', 'manual'],
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  // dispatched: job started | no-match: nothing to do | blocked: plan/token/trial limit | failed: error
+  status: {
+    type: String,
+    enum: ['dispatched', 'no-match', 'blocked', 'failed'],
+    required: true
+  },
+  candidates: {
+    type: Number,
+    default: 0
+  },
+  matched: {
+    type: Number,
+    default: 0
+  },
+  // First 100 matched product ids
+  productIds: {
+    type: [String],
+    default: []
+  },
+  queue: {
+    type: String,
+    default: null
+  },
+  jobId: {
+    type: String,
+    default: null
+  },
+  tokensEstimated: {
+    type: Number,
+    default: 0
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+optimizationRuleRunSchema.index({ shop: 1, ruleId: 1, createdAt: -1 });
+optimizationRuleRunSchema.index({ shop: 1, createdAt: -1 });
+optimizationRuleRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('OptimizationRuleRun', optimizationRuleRunSchema);
@@ -9,6 +9,14 @@ const lineItemSchema = new mongoose.Schema({
   variantId: String
 }, { _id: false });
 
+// One step of the customer's path to the order, see utils/attributionModels.js
+const touchpointSchema = new mongoose.Schema({
+  at: Date,
+  channel: { type: String, enum: ['ai', 'other'] },
+  source: { type: String, default: null },
+  kind: { type: String, enum: ['first_visit', 'last_visit', 'pixel_session', 'bot_visit'] }
+}, { _id: false });
+
 const orderRevenueSchema = new mongoose.Schema({
   shop: { type: String, required: true },
   shopifyOrderId: { type: String, required: true },
@@ -22,7 +30,11 @@ const orderRevenueSchema = new mongoose.Schema({
   customerJourney: {
     firstVisitReferrer: { type: String, default: '' },
     lastVisitReferrer: { type: String, default: '' },
-    source: { type: String, default: '' }
+    source: { type: String, default: '' },
+    firstVisitAt: { type: Date, default: null },
+    lastVisitAt: { type: Date, default: null },
+    firstVisitUtmSource: { type: String, default: '' },
+    lastVisitUtmSource: { type: String, default: '' }
   },
   attributionType: {
     type: String,
@@ -30,6 +42,11 @@ const orderRevenueSchema = new mongoose.Schema({
     default: 'organic'
   },
   aiSource: { type: String, default: null },
+  // Multi-touch attribution: touchpoints within the longest lookback window and the
+  // result of every model ({ [model]: { aiCredit, aiRevenue, sources, ... } })
+  touchpoints: [touchpointSchema],
+  attribution: { type: mongoose.Schema.Types.Mixed, default: null },
+  attributedAt: { type: Date, default: null },
   orderCreatedAt: { type: Date },
   processedAt: { type: Date, default: Date.now }
 });
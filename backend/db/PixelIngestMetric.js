@@ -0,0 +1,28 @@
+// backend/db/PixelIngestMetric.js
+// Daily counters of web pixel events by outcome - 'accepted', 'duplicate' or the reason an
+// event was rejected (see controllers/pixelController.js). Events naming a shop that is not
+// installed are counted under shop '' so junk traffic cannot create rows per made-up shop.
+
+import mongoose from 'mongoose';
+
+export const PIXEL_OUTCOMES = [
+  'accepted', 'duplicate', 'unsigned_accepted',
+  'invalid_json', 'invalid_schema', 'unknown_shop',
+  'missing_signature', 'stale_timestamp', 'bad_signature', 'rate_limited'
+];
+
+const pixelIngestMetricSchema = new mongoose.Schema({
+  shop: { type: String, default: '' },
+  day: { type: String, required: true },          // UTC YYYY-MM-DD
+  outcome: { type: String, enum: PIXEL_OUTCOMES, required: true },
+  count: { type: Number, default: 0 },
+  lastDetail: { type: String, default: '' },      // latest schema error, for debugging
+  date: { type: Date, default: Date.now }         // start of the day, drives the TTL
+});
+
+// TTL: auto-delete after 90 days (same as AIVisitLog)
+pixelIngestMetricSchema.index({ date: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+pixelIngestMetricSchema.index({ shop: 1, day: 1, outcome: 1 }, { unique: true });
+
+export default mongoose.model('PixelIngestMetric', pixelIngestMetricSchema);
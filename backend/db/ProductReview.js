@@ -0,0 +1,51 @@
+// backend/db/ProductReview.js
+// Real customer reviews imported from a CSV or a review-app export (see utils/reviewSources.js).
+// Used to build Review / AggregateRating JSON-LD - reviews are never generated.
+
+import mongoose from 'mongoose';
+
+const productReviewSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String, // 'csv' | 'judgeme' | 'yotpo' | 'okendo' | 'stamped' | 'loox'
+    required: true
+  },
+  // Id from the source export (or a content hash), unique per shop + source
+  externalId: {
+    type: String,
+    required: true
+  },
+  // Numeric Shopify product id and/or handle - schema generation matches either
+  productId: {
+    type: String,
+    default: null
+  },
+  productHandle: {
+    type: String,
+    default: null
+  },
+  author: { type: String, default: null },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  title: { type: String, default: null },
+  body: { type: String, default: null },
+  publishedAt: { type: Date, default: null },
+  verified: { type: Boolean, default: false },
+  importedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+productReviewSchema.index({ shop: 1, source: 1, externalId: 1 }, { unique: true });
+productReviewSchema.index({ shop: 1, productId: 1, publishedAt: -1 });
+productReviewSchema.index({ shop: 1, productHandle: 1, publishedAt: -1 });
+
+export default mongoose.model('ProductReview', productReviewSchema);
@@ -0,0 +1,52 @@
+// backend/db/SeoAudit.js
+// Result of a store-wide SEO audit (services/seoAuditQueue.js, utils/seoAudit.js).
+// Only the latest audits of a shop are read; older ones expire after 30 days.
+
+import mongoose from 'mongoose';
+
+const seoAuditSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true
+  },
+  jobId: {
+    type: String,
+    default: null
+  },
+  locales: {
+    type: [String],
+    default: []
+  },
+  primaryLocale: {
+    type: String,
+    default: 'en'
+  },
+  // { products, collections, resourcesWithIssues, score, bySeverity }
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  // Prioritized issue groups; `ids` holds every affected resource, `items` the first 100
+  issues: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // Resources skipped because the audit limit was reached
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+seoAuditSchema.index({ shop: 1, createdAt: -1 });
+seoAuditSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('SeoAudit', seoAuditSchema);
@@ -0,0 +1,87 @@
+// backend/db/SeoDraft.js
+// AI-generated product SEO waiting for merchant review (one document per product + language).
+// Written by /api/seo/generate-apply-batch in review mode; only approved fields are
+// published through applySEOForLanguage (see controllers/seoDraftController.js).
+
+import mongoose from 'mongoose';
+
+// One reviewable field. `edited` holds the merchant's version (null = use `value`).
+const draftFieldSchema = new mongoose.Schema({
+  value: { type: mongoose.Schema.Types.Mixed, default: null },
+  edited: { type: mongoose.Schema.Types.Mixed, default: null },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  }
+}, { _id: false });
+
+const seoDraftSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // seoJobQueue job id that generated the draft
+  jobId: {
+    type: String,
+    required: true
+  },
+  productId: {
+    type: String, // Product GID
+    required: true
+  },
+  productTitle: {
+    type: String,
+    default: ''
+  },
+  language: {
+    type: String,
+    required: true
+  },
+  // Full generated payload (bodyHtml, slug, jsonLd, ... are published as generated)
+  seo: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Parsed seo_ai.seo__{lang} at generation time (null = not optimized yet)
+  current: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  fields: {
+    title: { type: draftFieldSchema, default: () => ({}) },
+    metaDescription: { type: draftFieldSchema, default: () => ({}) },
+    bullets: { type: draftFieldSchema, default: () => ({}) },
+    faq: { type: draftFieldSchema, default: () => ({}) }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'discarded', 'failed'],
+    default: 'pending'
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  appliedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+seoDraftSchema.index({ shop: 1, jobId: 1 });
+seoDraftSchema.index({ shop: 1, status: 1, createdAt: -1 });
+
+// Unpublished drafts are dropped after 30 days
+seoDraftSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+export default mongoose.model('SeoDraft', seoDraftSchema);
@@ -0,0 +1,74 @@
+// backend/db/SeoVersion.js
+// Before/after snapshots of applied product SEO (one document per product + language per apply).
+// Used by /api/seo/history to show diffs and roll back a single product or a whole batch job.
+
+import mongoose from 'mongoose';
+
+// A snapshot is the state of our metafields at a point in time.
+// `seo` is the parsed seo_ai.seo__{lang} JSON (null = metafield did not exist),
+// `jsonLd` is the parsed custom.json_ld JSON (null = metafield did not exist).
+const snapshotSchema = new mongoose.Schema({
+  seo: { type: mongoose.Schema.Types.Mixed, default: null },
+  jsonLd: { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+const seoVersionSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true,
+    index: true
+  },
+  productId: {
+    type: String, // Product GID
+    required: true
+  },
+  productTitle: {
+    type: String,
+    default: ''
+  },
+  language: {
+    type: String,
+    required: true
+  },
+  // Background job that produced this version (seoJobQueue job id), null for single applies
+  jobId: {
+    type: String,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: ['apply', 'batch', 'restore'],
+    default: 'apply'
+  },
+  before: {
+    type: snapshotSchema,
+    default: () => ({})
+  },
+  after: {
+    type: snapshotSchema,
+    default: () => ({})
+  },
+  // Set when this version was the target of a restore
+  restoredAt: {
+    type: Date,
+    default: null
+  },
+  // For source === 'restore': the version that was restored
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SeoVersion',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+seoVersionSchema.index({ shop: 1, productId: 1, language: 1, createdAt: -1 });
+seoVersionSchema.index({ shop: 1, jobId: 1 });
+
+// Keep history for 180 days
+seoVersionSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+export default mongoose.model('SeoVersion', seoVersionSchema);
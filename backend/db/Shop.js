@@ -126,6 +126,15 @@ const shopSchema = new mongoose.Schema({
       startedAt: { type: Date, default: null }
     }
   },
+  // IndexNow submissions (services/indexNowQueue.js). The key file is served through the
+  // app proxy; redirectId is the storefront redirect from /{key}.txt to it.
+  indexNow: {
+    enabled: { type: Boolean, default: true },
+    key: { type: String, default: null },
+    keyLocation: { type: String, default: null },
+    redirectId: { type: String, default: null },
+    lastSubmittedAt: { type: Date, default: null }
+  },
   schemaStatus: {
     inProgress: { type: Boolean, default: false },
     status: { type: String, default: 'idle' }, // idle, queued, processing, completed, failed, retrying
@@ -155,6 +164,8 @@ const shopSchema = new mongoose.Schema({
     inProgress: { type: Boolean, default: false },
     status: { type: String, default: 'idle' }, // idle, queued, generating, applying, completed, failed, cancelled
     phase: { type: String, default: null }, // 'generate' or 'apply'
+    jobId: { type: String, default: null }, // Used by SEO history to roll back a whole batch
+    reviewMode: { type: Boolean, default: false }, // Results were saved as SeoDraft documents, not applied
     message: { type: String, default: null },
     queuedAt: { type: Date, default: null },
     startedAt: { type: Date, default: null },
@@ -298,6 +309,38 @@ const shopSchema = new mongoose.Schema({
     type: Date,
     default: () => new Date()
   },
+  // Brand voice merged into every AI generation prompt (see utils/promptTemplate.js)
+  promptTemplate: {
+    enabled: { type: Boolean, default: true },
+    tone: { type: String, default: '' },
+    readingLevel: { type: String, enum: ['simple', 'standard', 'advanced'], default: 'standard' },
+    alwaysUse: { type: [String], default: [] },
+    neverUse: { type: [String], default: [] },
+    defaultCta: { type: String, default: '' },
+    languageInstructions: [{
+      _id: false,
+      language: String,
+      instructions: String
+    }],
+    updatedAt: { type: Date, default: null }
+  },
+  // AI Analytics: which AI crawler visits count on the Analytics page and for order
+  // attribution (AIVisitLog.verification - see utils/botVerification.js VISIT_FILTERS)
+  analyticsSettings: {
+    botVisits: { type: String, enum: ['all', 'exclude_spoofed', 'verified'], default: 'exclude_spoofed' },
+    // Revenue attribution model and per-model lookback days, see utils/attributionModels.js
+    attribution: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  // HMAC secret the web pixel signs events with (delivered through the pixel's settings)
+  pixelSigningSecret: { type: String, default: null, select: false },
+  webPixelId: { type: String, default: null },
+  // When the pixel was first connected with a secret; unsigned events are accepted until
+  // shortly after (pixels installed before signing keep recording until reconnected, up to
+  // a deadline - see utils/pixelSignature.js signingRequiredFrom)
+  pixelSignedSince: { type: Date, default: null },
+  pixelConnectAttemptAt: { type: Date, default: null },
+  // Why the last pixel connect failed (null after a successful one), shown on Pixel Health
+  pixelConnectError: { type: String, default: null },
   emailPreferences: {
     marketingEmails: { type: Boolean, default: true },
     unsubscribedAt: { type: Date, default: null }
@@ -26,6 +26,27 @@ const SitemapSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Sitemap index: content holds the <sitemapindex>, each child is a SitemapChild document
+  urlCount: Number,
+  children: [{
+    _id: false,
+    name: String,
+    type: { type: String },
+    hreflang: String,
+    urlCount: Number,
+    size: Number,
+    lastmod: Date
+  }],
+  // Storefront roots used for hreflang, kept so webhook patches render the same alternates
+  hreflangTargets: [{
+    _id: false,
+    hreflang: String,
+    locale: String,
+    url: String,
+    primary: Boolean
+  }],
+  // Last incremental update from product/collection webhooks (see catalogRefreshQueue.js)
+  patchedAt: Date,
   content: {
     type: String,
     select: false // Don't return content by default in queries
@@ -0,0 +1,37 @@
+// backend/db/SitemapChild.js
+// One child sitemap of a shop's sitemap index (see Sitemap.children).
+import mongoose from 'mongoose';
+
+const SitemapChildSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true
+  },
+  // File name without extension: 'products-1', 'pages-1', 'articles-1', 'locale-fr-1'
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['products', 'collections', 'pages', 'articles', 'locale'],
+    required: true
+  },
+  hreflang: String,
+  urlCount: Number,
+  size: Number,
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  content: {
+    type: String,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+SitemapChildSchema.index({ shop: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('SitemapChild', SitemapChildSchema);
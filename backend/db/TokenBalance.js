@@ -1,6 +1,13 @@
 // backend/db/TokenBalance.js
 import mongoose from 'mongoose';
 import { TOKEN_CONFIG } from '../billing/tokenConfig.js';
+import { getMeter, markMeter, readMeterSince } from '../utils/tokenMeter.js';
+import { writeLedgerEntries } from '../services/tokenLedger.js';
+import { currentPeriod } from '../utils/spendingCaps.js';
+
+// usage[] keeps only the latest entries (plus open reservations); the full history
+// is in the TokenLedger collection
+const USAGE_HISTORY_LIMIT = 100;
 
 const tokenBalanceSchema = new mongoose.Schema({
   shop: {
@@ -66,7 +73,28 @@ const tokenBalanceSchema = new mongoose.Schema({
     }
   }],
   
-  // Usage history
+  // Spending limits set by the merchant (see utils/spendingCaps.js)
+  spendingLimits: {
+    monthlyBudget: { type: Number, default: null },
+    maxPerJob: { type: Number, default: null },
+    alertPercent: { type: Number, default: 80 },
+    lowBalanceThreshold: { type: Number, default: null },
+    emailAlerts: { type: Boolean, default: true }
+  },
+  
+  // Tokens charged in the current calendar month (UTC)
+  monthlySpend: {
+    period: String, // 'YYYY-MM'
+    tokens: { type: Number, default: 0 }
+  },
+  
+  // Spending alerts already sent, e.g. 'budget-warning:2025-06', 'low-balance'
+  spendingAlerts: {
+    type: [String],
+    default: []
+  },
+  
+  // Recent usage (last USAGE_HISTORY_LIMIT entries + open reservations)
   usage: [{
     feature: {
       type: String,
@@ -93,6 +121,42 @@ tokenBalanceSchema.methods.hasBalance = function(requiredTokens) {
   return this.balance >= requiredTokens;
 };
 
+// Append to usage[] and drop the oldest entries beyond the limit (open reservations stay)
+tokenBalanceSchema.methods.pushUsage = function(entry) {
+  this.usage.push(entry);
+  const overflow = this.usage.length - USAGE_HISTORY_LIMIT;
+  if (overflow > 0) {
+    let dropped = 0;
+    this.usage = this.usage.filter(u => {
+      if (dropped >= overflow || u.metadata?.status === 'reserved') return true;
+      dropped++;
+      return false;
+    });
+  }
+};
+
+// Count charged tokens towards the monthly budget
+tokenBalanceSchema.methods.addMonthlySpend = function(tokens) {
+  const period = currentPeriod();
+  if (this.monthlySpend?.period !== period) {
+    this.monthlySpend = { period, tokens: 0 };
+  }
+  this.monthlySpend.tokens += tokens;
+  this.$locals.spendChanged = true;
+};
+
+// Queue a TokenLedger row; written by the post-save hook once the balance is saved
+tokenBalanceSchema.methods.addLedgerEntry = function(type, fields = {}) {
+  if (!this.$locals.ledgerEntries) this.$locals.ledgerEntries = [];
+  this.$locals.ledgerEntries.push({
+    shop: this.shop,
+    type,
+    balanceAfter: this.balance,
+    createdAt: new Date(),
+    ...fields
+  });
+};
+
 // Reserve tokens temporarily (with safety margin)
 // Returns reservation ID for later adjustment
 tokenBalanceSchema.methods.reserveTokens = function(estimatedAmount, feature, metadata = {}) {
@@ -109,7 +173,13 @@ tokenBalanceSchema.methods.reserveTokens = function(estimatedAmount, feature, me
   
   console.log(`[TokenBalance] RESERVE ${estimatedAmount} tokens for ${feature} (reservation: ${reservationId}) | Balance: ${balanceBefore} → ${this.balance}`);
   
-  this.usage.push({
+  // Background jobs run inside a meter that carries their job id
+  const meter = getMeter();
+  const jobId = metadata.jobId || meter?.jobId || null;
+  const queue = metadata.queue || meter?.queue || null;
+  markMeter(reservationId);
+  
+  this.pushUsage({
     feature,
     tokensUsed: estimatedAmount,
     productId: metadata.productId,
@@ -117,19 +187,34 @@ tokenBalanceSchema.methods.reserveTokens = function(estimatedAmount, feature, me
     metadata: {
       ...metadata,
       reservationId,
+      jobId,
+      queue,
       status: 'reserved',
       estimatedAmount
     },
     date: new Date()
   });
   
+  this.addLedgerEntry('reserve', {
+    feature,
+    balanceChange: -estimatedAmount,
+    estimatedTokens: estimatedAmount,
+    reservationId,
+    jobId,
+    queue,
+    productId: metadata.productId ? String(metadata.productId) : null,
+    collectionId: metadata.collectionId ? String(metadata.collectionId) : null
+  });
+  
   return { reservationId, save: () => this.save() };
 };
 
 // Adjust reservation to actual usage
 // If actual < estimated, refund the difference
 // If actual > estimated, deduct more (should not happen with 10% margin)
-tokenBalanceSchema.methods.finalizeReservation = function(reservationId, actualTokensUsed) {
+// details: { model, provider, costUsd, promptTokens, ... } for the ledger; defaults to the
+// provider calls metered since the reservation (see utils/tokenMeter.js)
+tokenBalanceSchema.methods.finalizeReservation = function(reservationId, actualTokensUsed, details = null) {
   const reservationIndex = this.usage.findIndex(
     u => u.metadata?.reservationId === reservationId && u.metadata?.status === 'reserved'
   );
@@ -166,12 +251,34 @@ tokenBalanceSchema.methods.finalizeReservation = function(reservationId, actualT
   // Update total used to reflect actual usage
   // We add the actualTokensUsed because reserveTokens() doesn't update totalUsed
   this.totalUsed += actualTokensUsed;
+  this.addMonthlySpend(actualTokensUsed);
   
   console.log(`[TokenBalance] FINALIZE reservation ${reservationId} | Estimated: ${estimatedAmount}, Actual: ${actualTokensUsed}, Refund: ${difference > 0 ? difference : 0} | Balance: ${balanceBefore} → ${this.balance} | TotalUsed: ${totalUsedBefore} → ${this.totalUsed}`);
   
+  const metered = readMeterSince(reservationId);
+  const meta = reservation.metadata || {};
+  this.addLedgerEntry(actualTokensUsed > 0 ? 'finalize' : 'refund', {
+    feature: reservation.feature,
+    balanceChange: difference,
+    estimatedTokens: estimatedAmount,
+    chargedTokens: actualTokensUsed,
+    reservationId,
+    jobId: meta.jobId || null,
+    queue: meta.queue || null,
+    productId: reservation.productId || null,
+    collectionId: reservation.collectionId || null,
+    ...(metered || {}),
+    ...(details || {})
+  });
+  
   return this.save();
 };
 
+// Give back a whole reservation (the operation failed before using any tokens)
+tokenBalanceSchema.methods.refundReservation = function(reservationId) {
+  return this.finalizeReservation(reservationId, 0);
+};
+
 // Original method for backward compatibility (immediate deduction)
 tokenBalanceSchema.methods.deductTokens = function(amount, feature, metadata = {}) {
   if (!this.hasBalance(amount)) {
@@ -180,7 +287,8 @@ tokenBalanceSchema.methods.deductTokens = function(amount, feature, metadata = {
   
   this.balance -= amount;
   this.totalUsed += amount;
-  this.usage.push({
+  this.addMonthlySpend(amount);
+  this.pushUsage({
     feature,
     tokensUsed: amount,
     productId: metadata.productId,
@@ -189,6 +297,18 @@ tokenBalanceSchema.methods.deductTokens = function(amount, feature, metadata = {
     date: new Date()
   });
   
+  const meter = getMeter();
+  this.addLedgerEntry('deduct', {
+    feature,
+    balanceChange: -amount,
+    chargedTokens: amount,
+    jobId: metadata.jobId || meter?.jobId || null,
+    queue: metadata.queue || meter?.queue || null,
+    productId: metadata.productId ? String(metadata.productId) : null,
+    collectionId: metadata.collectionId ? String(metadata.collectionId) : null,
+    metadata
+  });
+  
   return this.save();
 };
 
@@ -200,7 +320,7 @@ tokenBalanceSchema.methods.addIncludedTokens = function(tokens, planName, shopif
   // Don't add to totalPurchased - these are included, not purchased!
   
   // Track in usage history for transparency
-  this.usage.push({
+  this.pushUsage({
     feature: 'plan-included-tokens',
     tokensUsed: -tokens, // Negative = added
     metadata: {
@@ -212,6 +332,13 @@ tokenBalanceSchema.methods.addIncludedTokens = function(tokens, planName, shopif
     date: new Date()
   });
   
+  this.addLedgerEntry('included', {
+    feature: 'plan-included-tokens',
+    balanceChange: tokens,
+    plan: planName,
+    shopifyChargeId
+  });
+  
   return this.save();
 };
 
@@ -230,7 +357,7 @@ tokenBalanceSchema.methods.setIncludedTokens = function(tokens, planName, shopif
   this.balance = newBalance;
   
   // Track in usage history
-  this.usage.push({
+  this.pushUsage({
     feature: 'plan-included-tokens-set',
     tokensUsed: -difference, // Negative = added, positive = removed
     metadata: {
@@ -244,6 +371,14 @@ tokenBalanceSchema.methods.setIncludedTokens = function(tokens, planName, shopif
     date: new Date()
   });
   
+  this.addLedgerEntry('included', {
+    feature: 'plan-included-tokens-set',
+    balanceChange: difference,
+    plan: planName,
+    shopifyChargeId,
+    metadata: { includedAmount: tokens, previousIncluded: currentIncluded, purchasedTokens }
+  });
+  
   return this.save();
 };
 
@@ -274,9 +409,33 @@ tokenBalanceSchema.methods.addTokens = function(usdAmount, tokensReceived, shopi
     shopifyChargeId
   };
   
+  this.addLedgerEntry('purchase', {
+    feature: 'token-purchase',
+    balanceChange: tokensReceived,
+    usdAmount,
+    shopifyChargeId
+  });
+  
   return this.save();
 };
 
+// Write queued ledger rows once the balance change is persisted, then check the
+// spending alerts (budget share / low balance) in the background
+tokenBalanceSchema.post('save', async function(doc) {
+  const entries = doc.$locals.ledgerEntries;
+  if (entries?.length) {
+    doc.$locals.ledgerEntries = [];
+    await writeLedgerEntries(entries);
+  }
+  
+  if (doc.$locals.spendChanged) {
+    doc.$locals.spendChanged = false;
+    import('../services/spendingAlerts.js')
+      .then(({ checkSpendingAlerts }) => checkSpendingAlerts(doc))
+      .catch(error => console.error('[TokenBalance] Spending alert check failed:', error.message));
+  }
+});
+
 // Static methods
 tokenBalanceSchema.statics.getOrCreate = async function(shop) {
   let balance = await this.findOne({ shop });
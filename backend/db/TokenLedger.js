@@ -0,0 +1,65 @@
+// backend/db/TokenLedger.js
+// One row per token balance movement: reservations, their finalization (actual usage)
+// or refund, direct deductions, purchases and included-token grants.
+// Written by the TokenBalance methods after the balance is saved; kept indefinitely so
+// charges can be explained later (TokenBalance.usage only keeps the latest entries).
+
+import mongoose from 'mongoose';
+
+export const LEDGER_TYPES = ['reserve', 'finalize', 'refund', 'deduct', 'purchase', 'included', 'cycle-reset'];
+
+const tokenLedgerSchema = new mongoose.Schema({
+  shop: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LEDGER_TYPES,
+    required: true
+  },
+  feature: { type: String, default: null },
+
+  // Signed change of TokenBalance.balance (negative = debit) and the balance after it
+  balanceChange: { type: Number, default: 0 },
+  balanceAfter: { type: Number, default: null },
+
+  // Reservations: estimate (with margin) and the tokens finally charged
+  estimatedTokens: { type: Number, default: null },
+  chargedTokens: { type: Number, default: null },
+  reservationId: { type: String, default: null },
+
+  // Background job (BackgroundJob.jobId) the movement belongs to, if any
+  jobId: { type: String, default: null },
+  queue: { type: String, default: null },
+  productId: { type: String, default: null },
+  collectionId: { type: String, default: null },
+
+  // Provider calls behind a finalized reservation
+  provider: { type: String, default: null },
+  model: { type: String, default: null },
+  models: { type: [String], default: undefined },
+  providerCalls: { type: Number, default: null },
+  promptTokens: { type: Number, default: null },
+  completionTokens: { type: Number, default: null },
+  costUsd: { type: Number, default: null },
+  costEstimated: { type: Boolean, default: false }, // price table instead of provider-reported cost
+
+  // Purchases / plan grants
+  usdAmount: { type: Number, default: null },
+  shopifyChargeId: { type: String, default: null },
+  plan: { type: String, default: null },
+
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tokenLedgerSchema.index({ shop: 1, createdAt: -1 });
+tokenLedgerSchema.index({ shop: 1, type: 1, createdAt: -1 });
+tokenLedgerSchema.index({ shop: 1, jobId: 1, createdAt: -1 });
+tokenLedgerSchema.index({ shop: 1, reservationId: 1 });
+
+export default mongoose.model('TokenLedger', tokenLedgerSchema);
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { replayInitialize } from '../mcpServer.js';
+
+const stored = {
+  sessionId: 'restored-session',
+  protocolVersion: '2025-03-26',
+  clientName: 'test-agent',
+  clientVersion: '1.0'
+};
+
+// Guards the SDK-private field restoreSession() depends on (see replayInitialize)
+describe('replayInitialize', () => {
+  it('initializes a fresh transport under the stored session id', async () => {
+    const server = new McpServer({ name: 'test', version: '1.0.0' });
+    server.tool('ping', 'Ping', async () => ({ content: [{ type: 'text', text: 'pong' }] }));
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: () => stored.sessionId });
+    await server.connect(transport);
+
+    await replayInitialize(transport, stored);
+    expect(transport.sessionId).toBe(stored.sessionId);
+
+    // The session accepts requests after the replay
+    const res = await transport._webStandardTransport.handleRequest(new Request('http://localhost/mcp', {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        accept: 'application/json, text/event-stream',
+        'mcp-session-id': stored.sessionId,
+        'mcp-protocol-version': stored.protocolVersion
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    }));
+    expect(res.status).toBe(200);
+    expect(await res.text()).toContain('"ping"');
+
+    await server.close();
+  });
+});
@@ -7,25 +7,43 @@ import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/
 import { z } from 'zod';
 import crypto from 'crypto';
 import {
+  detectBotFromUA,
   searchProducts,
   getProductDetails,
   getStoreInfo,
   searchCollections,
   askQuestion,
+  getVariantAvailability,
+  compareProducts,
+  lookupPolicy,
+  buildCartLink,
   readCatalogResource,
   readPoliciesResource,
   readMetadataResource
 } from './mcpTools.js';
+import { sanitizeDisabledTools } from './mcpToolCatalog.js';
+import AIDiscoverySettings from '../db/AIDiscoverySettings.js';
+import {
+  SESSION_TTL_MS,
+  saveSession,
+  loadSession,
+  touchSession,
+  deleteSession,
+  logToolCall
+} from '../services/mcpSessionStore.js';
+import { getInitializeInfo } from '../utils/mcpCallLog.js';
 
 // ============================================================
 // SESSION MANAGEMENT
 // ============================================================
-// Each MCP session maintains a server + transport pair.
-// Sessions are keyed by sessionId and expire after 30 minutes.
+// Each MCP session maintains a server + transport pair in memory on the instance
+// serving it. Session records are also stored in MongoDB (services/mcpSessionStore.js),
+// so a session unknown here (restart, another instance) is resumed instead of rejected.
+// Sessions expire 30 minutes after the last request.
 const sessions = new Map();
-const SESSION_TTL_MS = 30 * 60 * 1000; // 30 minutes
+const TOUCH_INTERVAL_MS = 60 * 1000; // extend the stored expiry at most once a minute
 
-// Cleanup stale sessions every 5 minutes
+// Drop idle in-memory pairs every 5 minutes (the stored record expires on its own)
 setInterval(() => {
   const now = Date.now();
   for (const [id, session] of sessions) {
@@ -39,13 +57,27 @@ setInterval(() => {
 }, 5 * 60 * 1000);
 
 /**
- * Create an MCP Server with all tools and resources for a specific shop.
+ * Tools the merchant switched off in AI Discovery settings.
+ * Read when a session starts; open sessions keep their tool list.
+ */
+async function getDisabledTools(shopDomain) {
+  try {
+    const settings = await AIDiscoverySettings.findOne({ shop: shopDomain }).select('disabledMcpTools').lean();
+    return new Set(sanitizeDisabledTools(settings?.disabledMcpTools));
+  } catch (err) {
+    console.error('[MCP] Failed to load tool settings:', err.message);
+    return new Set();
+  }
+}
+
+/**
+ * Create an MCP Server with the shop's enabled tools and all resources.
  */
-function createServer(shopDomain, userAgent) {
+function createServer(shopDomain, userAgent, disabledTools = new Set()) {
   const server = new McpServer(
     {
       name: 'indexAIze',
-      version: '1.2.0'
+      version: '1.3.0'
     },
     {
       capabilities: {
@@ -59,7 +91,38 @@ function createServer(shopDomain, userAgent) {
   // REGISTER TOOLS
   // ============================================================
 
-  server.tool(
+  const botName = detectBotFromUA(userAgent);
+
+  // Registers enabled tools only, and logs every call with the agent that made it
+  const registerTool = (name, description, schema, handler) => {
+    if (disabledTools.has(name)) return;
+    server.tool(name, description, schema, async (args, extra) => {
+      const started = Date.now();
+      let result = null;
+      let failed = false;
+      try {
+        result = await handler(args);
+        return result;
+      } catch (err) {
+        failed = true;
+        throw err;
+      } finally {
+        logToolCall({
+          shop: shopDomain,
+          sessionId: extra?.sessionId,
+          client: server.server.getClientVersion(),
+          botName,
+          tool: name,
+          args,
+          latencyMs: Date.now() - started,
+          result,
+          isError: failed
+        });
+      }
+    });
+  };
+
+  registerTool(
     'search_products',
     'Search for products with AI-optimized titles, descriptions, FAQ, and keywords. Returns richer data than standard Shopify search.',
     {
@@ -75,7 +138,7 @@ function createServer(shopDomain, userAgent) {
     }
   );
 
-  server.tool(
+  registerTool(
     'get_product_details',
     'Get full details for a specific product including AI-optimized description, FAQ, bullet points, keywords, images, and availability.',
     {
@@ -93,7 +156,7 @@ function createServer(shopDomain, userAgent) {
     }
   );
 
-  server.tool(
+  registerTool(
     'get_store_info',
     'Get store brand information including business type, unique selling points, target audience, brand voice, shipping/return policies, and contact details. Not available through standard Shopify MCP.',
     {},
@@ -102,7 +165,7 @@ function createServer(shopDomain, userAgent) {
     }
   );
 
-  server.tool(
+  registerTool(
     'search_collections',
     'Browse product collections with AI-optimized descriptions and product counts.',
     {
@@ -114,7 +177,7 @@ function createServer(shopDomain, userAgent) {
     }
   );
 
-  server.tool(
+  registerTool(
     'ask_question',
     'Ask any question about the store and get an AI-powered answer based on the full product catalog, policies, and store context. Great for "What do you recommend for X?" type questions.',
     {
@@ -126,6 +189,65 @@ function createServer(shopDomain, userAgent) {
     }
   );
 
+  registerTool(
+    'get_variant_availability',
+    'Get live price and availability for every variant of a product (sizes, colors, etc.). Use the returned variant_id values with build_cart_link.',
+    {
+      handle: z.string().optional().describe('Product URL handle'),
+      product_id: z.string().optional().describe('Shopify product ID'),
+      variant_id: z.string().optional().describe('Return only this variant'),
+      options: z.record(z.string()).optional().describe('Filter by option values, e.g. {"Size": "M", "Color": "Blue"}')
+    },
+    async (args) => {
+      if (!args.handle && !args.product_id) {
+        return {
+          content: [{ type: 'text', text: JSON.stringify({ error: 'Either handle or product_id is required' }) }],
+          isError: true
+        };
+      }
+      return await getVariantAvailability(shopDomain, args, userAgent);
+    }
+  );
+
+  registerTool(
+    'compare_products',
+    'Compare 2-10 products side by side: price, availability, type, vendor, tags and key features, with the differences highlighted.',
+    {
+      handles: z.array(z.string()).min(2).max(10).describe('Product URL handles to compare')
+    },
+    async (args) => {
+      return await compareProducts(shopDomain, args, userAgent);
+    }
+  );
+
+  registerTool(
+    'lookup_policy',
+    'Look up store policies (shipping, returns, privacy, terms). Returns matching excerpts with a link to the policy page for citation.',
+    {
+      topic: z.enum(['shipping', 'returns', 'privacy', 'terms']).optional().describe('Which policy to search (default: all)'),
+      question: z.string().optional().describe('What the buyer wants to know (e.g. "Do you ship to Canada?", "How long do I have to return?")')
+    },
+    async (args) => {
+      return await lookupPolicy(shopDomain, args, userAgent);
+    }
+  );
+
+  registerTool(
+    'build_cart_link',
+    'Build a cart permalink from variant ids and quantities. The link fills the cart and opens checkout on the store, so the buyer can complete the purchase.',
+    {
+      items: z.array(z.object({
+        variant_id: z.string().describe('Variant ID (numeric or gid://shopify/ProductVariant/...)'),
+        quantity: z.number().int().min(1).optional().default(1).describe('Quantity (default 1)')
+      })).min(1).describe('Cart lines'),
+      discount_code: z.string().optional().describe('Discount code to apply at checkout'),
+      note: z.string().optional().describe('Order note')
+    },
+    async (args) => {
+      return await buildCartLink(shopDomain, args, userAgent);
+    }
+  );
+
   // ============================================================
   // REGISTER RESOURCES
   // ============================================================
@@ -164,6 +286,92 @@ function createServer(shopDomain, userAgent) {
  * Create and configure the MCP handler.
  * Returns an Express handler function.
  */
+/**
+ * Re-run the client's initialize request on a fresh transport. The Node transport wraps
+ * the web-standard one; replaying through it (private field) skips writing to an Express
+ * response we don't have. The SDK version is pinned exactly in package.json for this -
+ * mcp/__tests__/mcpServer.test.js fails if an upgrade drops or changes the field.
+ * @param {StreamableHTTPServerTransport} transport - connected to its server
+ * @param {Object} stored - session record (services/mcpSessionStore.js)
+ */
+export async function replayInitialize(transport, stored) {
+  const webTransport = transport._webStandardTransport;
+  if (typeof webTransport?.handleRequest !== 'function') {
+    throw new Error('MCP SDK transport has no web-standard transport - sessions cannot be restored');
+  }
+
+  const initResponse = await webTransport.handleRequest(new Request('http://localhost/mcp', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 0,
+      method: 'initialize',
+      params: {
+        protocolVersion: stored.protocolVersion || '2025-03-26',
+        capabilities: stored.clientCapabilities || {},
+        clientInfo: { name: stored.clientName || 'unknown', version: stored.clientVersion || '0' }
+      }
+    })
+  }));
+  await initResponse.text();
+}
+
+/**
+ * Rebuild the server + transport for a session stored by another instance (or before a
+ * restart). The transport is re-initialized with the stored id and client info, so the
+ * agent keeps using its session without noticing.
+ */
+async function restoreSession(stored, userAgent) {
+  const disabledTools = await getDisabledTools(stored.shop);
+  const server = createServer(stored.shop, userAgent || stored.userAgent, disabledTools);
+  const transport = createTransport(() => stored.sessionId);
+  await server.connect(transport);
+  await replayInitialize(transport, stored);
+
+  if (transport.sessionId !== stored.sessionId) {
+    throw new Error(`Restored session id mismatch for ${stored.sessionId}`);
+  }
+
+  const session = {
+    server,
+    transport,
+    shop: stored.shop,
+    userAgent: userAgent || stored.userAgent,
+    lastActivity: Date.now(),
+    lastPersisted: 0
+  };
+  sessions.set(stored.sessionId, session);
+  console.log(`[MCP] Restored session ${stored.sessionId} for ${stored.shop} (total: ${sessions.size})`);
+  return session;
+}
+
+function createTransport(sessionIdGenerator) {
+  const transport = new StreamableHTTPServerTransport({
+    sessionIdGenerator,
+    // Client ended the session (DELETE) — forget it everywhere
+    onsessionclosed: (id) => {
+      deleteSession(id).catch(err => console.error('[MCP] Failed to delete session record:', err.message));
+    }
+  });
+
+  // When transport closes, remove session from memory
+  transport.onclose = () => {
+    if (transport.sessionId) {
+      sessions.delete(transport.sessionId);
+    }
+  };
+  return transport;
+}
+
+function touchStoredSession(sessionId, session) {
+  const now = Date.now();
+  session.lastActivity = now;
+  if (now - session.lastPersisted < TOUCH_INTERVAL_MS) return;
+  session.lastPersisted = now;
+  touchSession(sessionId).catch(err => console.error('[MCP] Failed to touch session:', err.message));
+}
+
 export function createMcpHandler() {
   return async function handleMcpRequest(req, res) {
     const shop = req.query.shop;
@@ -182,10 +390,46 @@ export function createMcpHandler() {
     // Check for existing session
     const sessionId = req.headers['mcp-session-id'];
 
-    if (sessionId && sessions.has(sessionId)) {
+    let session = sessionId ? sessions.get(sessionId) : null;
+
+    // Not in memory — look for the stored record
+    let stored = null;
+    if (sessionId && !session) {
+      try {
+        stored = await loadSession(sessionId, shopDomain);
+      } catch (err) {
+        console.error('[MCP] Failed to load session:', err.message);
+      }
+
+      if (!stored) {
+        return res.status(404).json({
+          jsonrpc: '2.0',
+          error: { code: -32001, message: 'Session not found' },
+          id: null
+        });
+      }
+
+      // Ending a session this instance never served — just drop the record
+      if (req.method === 'DELETE') {
+        await deleteSession(sessionId).catch(() => {});
+        return res.status(200).end();
+      }
+
+      try {
+        session = await restoreSession(stored, userAgent);
+      } catch (err) {
+        console.error('[MCP] Failed to restore session:', err.message);
+        return res.status(500).json({
+          jsonrpc: '2.0',
+          error: { code: -32603, message: 'Internal MCP server error' },
+          id: null
+        });
+      }
+    }
+
+    if (session) {
       // Existing session — reuse server + transport
-      const session = sessions.get(sessionId);
-      session.lastActivity = Date.now();
+      touchStoredSession(sessionId, session);
 
       try {
         await session.transport.handleRequest(req, res, req.body);
@@ -202,34 +446,18 @@ export function createMcpHandler() {
       return;
     }
 
-    // Handle DELETE for session cleanup
+    // Handle DELETE without a session id
     if (req.method === 'DELETE') {
-      if (sessionId && sessions.has(sessionId)) {
-        const session = sessions.get(sessionId);
-        await session.transport.close();
-        await session.server.close();
-        sessions.delete(sessionId);
-        res.status(200).end();
-      } else {
-        // No session to delete — that's OK per spec
-        res.status(405).end();
-      }
+      // No session to delete — that's OK per spec
+      res.status(405).end();
       return;
     }
 
     // New session — create server + transport
     try {
-      const server = createServer(shopDomain, userAgent);
-      const transport = new StreamableHTTPServerTransport({
-        sessionIdGenerator: () => crypto.randomUUID()
-      });
-
-      // When transport closes, remove session
-      transport.onclose = () => {
-        if (transport.sessionId) {
-          sessions.delete(transport.sessionId);
-        }
-      };
+      const disabledTools = await getDisabledTools(shopDomain);
+      const server = createServer(shopDomain, userAgent, disabledTools);
+      const transport = createTransport(() => crypto.randomUUID());
 
       await server.connect(transport);
 
@@ -243,8 +471,18 @@ export function createMcpHandler() {
           transport,
           shop: shopDomain,
           userAgent,
-          lastActivity: Date.now()
+          lastActivity: Date.now(),
+          lastPersisted: Date.now()
         });
+
+        const init = getInitializeInfo(req.body);
+        saveSession({
+          sessionId: transport.sessionId,
+          shop: shopDomain,
+          ...init,
+          userAgent,
+          botName: detectBotFromUA(userAgent)
+        }).catch(err => console.error('[MCP] Failed to save session:', err.message));
         console.log(`[MCP] New session ${transport.sessionId} for ${shopDomain} (total: ${sessions.size})`);
       }
     } catch (err) {
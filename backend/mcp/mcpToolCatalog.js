@@ -0,0 +1,25 @@
+// backend/mcp/mcpToolCatalog.js
+// MCP tools a merchant can switch on/off in AI Discovery settings.
+// Disabled tool names are stored in AIDiscoverySettings.disabledMcpTools.
+
+export const MCP_TOOL_CATALOG = [
+  { name: 'search_products', label: 'Product search', description: 'Search products with AI-optimized titles, descriptions and FAQ' },
+  { name: 'get_product_details', label: 'Product details', description: 'Full product data: description, FAQ, images, availability' },
+  { name: 'get_variant_availability', label: 'Variant availability & price', description: 'Live price and stock status for each variant (size, color, ...)' },
+  { name: 'compare_products', label: 'Compare products', description: 'Side-by-side comparison of 2-10 products' },
+  { name: 'search_collections', label: 'Collections', description: 'Browse collections with AI-optimized descriptions' },
+  { name: 'get_store_info', label: 'Store info', description: 'Brand, audience, contact details and policy summaries' },
+  { name: 'lookup_policy', label: 'Policy lookup', description: 'Shipping, returns, privacy and terms answers with links to the policy pages' },
+  { name: 'build_cart_link', label: 'Cart link', description: 'Builds a checkout link from variant ids so agents can complete a purchase' },
+  { name: 'ask_question', label: 'AI Q&A', description: 'AI answers about the store (uses tokens per question)' }
+];
+
+export const MCP_TOOL_NAMES = MCP_TOOL_CATALOG.map(tool => tool.name);
+
+/**
+ * Keep only known tool names (drops typos and removed tools).
+ */
+export function sanitizeDisabledTools(names) {
+  if (!Array.isArray(names)) return [];
+  return [...new Set(names.filter(name => MCP_TOOL_NAMES.includes(name)))];
+}
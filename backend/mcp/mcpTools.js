@@ -9,6 +9,13 @@ import Subscription from '../db/Subscription.js';
 import TokenBalance from '../db/TokenBalance.js';
 import { resolvePlanKey, getPlanConfig } from '../plans.js';
 import { calculateFeatureCost } from '../billing/tokenConfig.js';
+import {
+  numericId,
+  normalizeCartItems,
+  buildCartPermalink,
+  compareProductRecords,
+  findPolicyPassages
+} from '../utils/mcpCommerce.js';
 import crypto from 'crypto';
 import fetch from 'node-fetch';
 
@@ -55,7 +62,7 @@ async function logMcpCall(shop, toolName, userAgent) {
  * Uses the SAME names as KNOWN_BOTS in aiAnalytics.js
  * so they appear as the same bots in the Dashboard.
  */
-function detectBotFromUA(ua) {
+export function detectBotFromUA(ua) {
   if (!ua) return 'Other Bot';
   const lower = ua.toLowerCase();
   if (lower.includes('claude')) return 'Claude';
@@ -288,19 +295,7 @@ export async function getProductDetails(shop, args, userAgent) {
 
   await logMcpCall(shop, 'get_product_details', userAgent);
 
-  let product;
-  if (handle) {
-    product = await Product.findOne({ shop, handle, ...ACTIVE_FILTER }).lean();
-  } else if (product_id) {
-    product = await Product.findOne({
-      shop,
-      $or: [
-        { shopifyProductId: String(product_id) },
-        { productId: String(product_id) }
-      ],
-      ...ACTIVE_FILTER
-    }).lean();
-  }
+  const product = await findActiveProduct(shop, { handle, product_id });
 
   if (!product) {
     return {
@@ -681,6 +676,260 @@ Respond in JSON format:
   }
 }
 
+// ============================================================
+// TOOL: get_variant_availability
+// ============================================================
+export async function getVariantAvailability(shop, args, userAgent) {
+  const { handle, product_id, variant_id, options } = args;
+
+  await logMcpCall(shop, 'get_variant_availability', userAgent);
+
+  const product = await findActiveProduct(shop, { handle, product_id });
+  if (!product) {
+    return toolError({ error: 'Product not found', handle, product_id });
+  }
+
+  let data;
+  try {
+    data = await adminGraphQL(shop, `
+      query VariantAvailability($id: ID!) {
+        shop { currencyCode }
+        product(id: $id) {
+          title
+          handle
+          variants(first: 100) {
+            edges {
+              node {
+                id
+                title
+                sku
+                price
+                compareAtPrice
+                availableForSale
+                selectedOptions { name value }
+              }
+            }
+          }
+        }
+      }
+    `, { id: `gid://shopify/Product/${numericId(product.shopifyProductId || product.productId)}` });
+  } catch (err) {
+    console.error('[MCP] get_variant_availability error:', err.message);
+    return toolError({ error: 'Failed to load variants', details: err.message });
+  }
+
+  if (!data?.product) {
+    return toolError({ error: 'Product not found in store', handle: product.handle });
+  }
+
+  // Optional filters: a single variant, or option values like { Size: 'M', Color: 'Blue' }
+  const wanted = Object.entries(options || {}).map(([name, value]) => [name.toLowerCase(), String(value).toLowerCase()]);
+  const variants = data.product.variants.edges
+    .map(({ node }) => node)
+    .filter(v => !variant_id || numericId(v.id) === numericId(variant_id))
+    .filter(v => wanted.every(([name, value]) =>
+      v.selectedOptions.some(o => o.name.toLowerCase() === name && o.value.toLowerCase() === value)
+    ));
+
+  const publicDomain = await getPublicDomain(shop);
+  const currency = data.shop?.currencyCode || product.currency || 'USD';
+
+  return toolResult({
+    product: data.product.title,
+    handle: data.product.handle,
+    url: `https://${publicDomain}/products/${data.product.handle}`,
+    currency,
+    total_variants: data.product.variants.edges.length,
+    matching_variants: variants.length,
+    any_available: variants.some(v => v.availableForSale),
+    variants: variants.map(v => ({
+      variant_id: numericId(v.id),
+      title: v.title,
+      sku: v.sku || null,
+      options: Object.fromEntries(v.selectedOptions.map(o => [o.name, o.value])),
+      price: v.price,
+      compare_at_price: v.compareAtPrice || null,
+      available: v.availableForSale,
+      url: `https://${publicDomain}/products/${data.product.handle}?variant=${numericId(v.id)}`
+    }))
+  });
+}
+
+// ============================================================
+// TOOL: compare_products
+// ============================================================
+export async function compareProducts(shop, args, userAgent) {
+  const handles = [...new Set((args.handles || []).map(h => String(h).trim()).filter(Boolean))];
+
+  await logMcpCall(shop, 'compare_products', userAgent);
+
+  if (handles.length < 2 || handles.length > 10) {
+    return toolError({ error: 'Provide between 2 and 10 product handles to compare' });
+  }
+
+  const products = await Product.find({ shop, handle: { $in: handles }, ...ACTIVE_FILTER }).lean();
+  const publicDomain = await getPublicDomain(shop);
+
+  // Keep the order the agent asked for
+  const formatted = handles
+    .map(h => products.find(p => p.handle === h))
+    .filter(Boolean)
+    .map(p => formatProduct(p, publicDomain));
+  const notFound = handles.filter(h => !formatted.some(p => p.handle === h));
+
+  if (formatted.length < 2) {
+    return toolError({ error: 'Need at least 2 existing products to compare', not_found: notFound });
+  }
+
+  return toolResult({
+    shop: publicDomain,
+    compared: formatted.length,
+    not_found: notFound,
+    comparison: compareProductRecords(formatted),
+    products: formatted.map(p => ({
+      handle: p.handle,
+      title: p.title,
+      price: p.price,
+      currency: p.currency,
+      available: p.available,
+      product_type: p.product_type,
+      vendor: p.vendor,
+      url: p.url,
+      image: p.image,
+      bullets: p.bullets,
+      description: p.description.substring(0, 500)
+    }))
+  });
+}
+
+// ============================================================
+// TOOL: lookup_policy
+// ============================================================
+const POLICY_TOPICS = {
+  shipping: 'shippingPolicy',
+  returns: 'refundPolicy',
+  privacy: 'privacyPolicy',
+  terms: 'termsOfService'
+};
+
+export async function lookupPolicy(shop, args, userAgent) {
+  const { topic, question } = args;
+
+  await logMcpCall(shop, 'lookup_policy', userAgent);
+
+  let data;
+  try {
+    data = await adminGraphQL(shop, `{
+      shop {
+        shippingPolicy { title body url }
+        refundPolicy { title body url }
+        privacyPolicy { title body url }
+        termsOfService { title body url }
+      }
+    }`);
+  } catch (err) {
+    console.error('[MCP] lookup_policy error:', err.message);
+    return toolError({ error: 'Failed to load store policies', details: err.message });
+  }
+
+  const strip = (html) => (html || '')
+    .replace(/<\/(p|div|li|h\d)>|<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+
+  const policies = Object.entries(POLICY_TOPICS)
+    .filter(([type]) => !topic || topic === type)
+    .map(([type, field]) => ({ type, policy: data?.shop?.[field] }))
+    .filter(({ policy }) => policy?.body)
+    .map(({ type, policy }) => ({ type, title: policy.title, url: policy.url, text: strip(policy.body) }));
+
+  if (!policies.length) {
+    return toolError({ error: topic ? `The store has no ${topic} policy` : 'The store has not published any policies' });
+  }
+
+  const passages = findPolicyPassages(policies, question, question ? 4 : policies.length);
+
+  return toolResult({
+    topic: topic || null,
+    question: question || null,
+    found: passages.length > 0,
+    // Quote the excerpts and link the source; do not answer beyond them
+    citations: passages.map(({ score, ...passage }) => passage),
+    policies: policies.map(p => ({ policy: p.type, title: p.title, url: p.url }))
+  });
+}
+
+// ============================================================
+// TOOL: build_cart_link
+// ============================================================
+export async function buildCartLink(shop, args, userAgent) {
+  const { items, discount_code, note } = args;
+
+  await logMcpCall(shop, 'build_cart_link', userAgent);
+
+  const { lines, invalid } = normalizeCartItems(items);
+  if (!lines.length) {
+    return toolError({ error: 'No valid variant ids given', invalid_ids: invalid });
+  }
+
+  // Check the variants exist in this store and can be bought
+  let nodes;
+  try {
+    const data = await adminGraphQL(shop, `
+      query CartVariants($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on ProductVariant {
+            id
+            title
+            price
+            availableForSale
+            product { title handle status }
+          }
+        }
+      }
+    `, { ids: lines.map(line => `gid://shopify/ProductVariant/${line.variantId}`) });
+    nodes = (data?.nodes || []).filter(Boolean);
+  } catch (err) {
+    console.error('[MCP] build_cart_link error:', err.message);
+    return toolError({ error: 'Failed to check variants', details: err.message });
+  }
+
+  const accepted = [];
+  const rejected = invalid.map(id => ({ variant_id: id, reason: 'invalid id' }));
+  for (const line of lines) {
+    const variant = nodes.find(n => numericId(n.id) === line.variantId);
+    if (!variant) {
+      rejected.push({ variant_id: line.variantId, reason: 'not found in this store' });
+    } else if (!variant.availableForSale || variant.product?.status !== 'ACTIVE') {
+      rejected.push({ variant_id: line.variantId, reason: 'not available for sale' });
+    } else {
+      accepted.push({ ...line, variant });
+    }
+  }
+
+  if (!accepted.length) {
+    return toolError({ error: 'None of the variants can be added to a cart', rejected });
+  }
+
+  const publicDomain = await getPublicDomain(shop);
+  const cartUrl = buildCartPermalink(publicDomain, accepted, { discountCode: discount_code, note });
+
+  return toolResult({
+    cart_url: cartUrl,
+    instructions: 'Send the buyer to cart_url - it fills the cart and opens checkout on the store.',
+    items: accepted.map(({ variantId, quantity, variant }) => ({
+      variant_id: variantId,
+      quantity,
+      product: variant.product?.title,
+      variant: variant.title,
+      unit_price: variant.price
+    })),
+    rejected
+  });
+}
+
 // ============================================================
 // RESOURCES
 // ============================================================
@@ -799,6 +1048,54 @@ export async function readMetadataResource(shop) {
 // HELPERS
 // ============================================================
 
+function toolResult(payload) {
+  return { content: [{ type: 'text', text: JSON.stringify(payload, null, 2) }] };
+}
+
+function toolError(payload) {
+  return { content: [{ type: 'text', text: JSON.stringify(payload) }], isError: true };
+}
+
+/**
+ * Active product by handle or Shopify product id
+ */
+async function findActiveProduct(shop, { handle, product_id }) {
+  if (handle) {
+    return Product.findOne({ shop, handle, ...ACTIVE_FILTER }).lean();
+  }
+  if (product_id) {
+    // Synced products store either the numeric id or the GID
+    const id = numericId(product_id) || String(product_id);
+    const ids = [id, `gid://shopify/Product/${id}`];
+    return Product.findOne({
+      shop,
+      $or: [
+        { shopifyProductId: { $in: ids } },
+        { productId: { $in: ids } }
+      ],
+      ...ACTIVE_FILTER
+    }).lean();
+  }
+  return null;
+}
+
+/**
+ * Admin GraphQL call with the shop's stored access token. Throws on GraphQL errors.
+ */
+async function adminGraphQL(shop, query, variables = {}) {
+  const shopRecord = await Shop.findOne({ shop }).select('accessToken').lean();
+  if (!shopRecord?.accessToken) throw new Error('Store not found');
+
+  const response = await fetch(`https://${shop}/admin/api/2025-07/graphql.json`, {
+    method: 'POST',
+    headers: { 'X-Shopify-Access-Token': shopRecord.accessToken, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ query, variables })
+  });
+  const json = await response.json();
+  if (json.errors?.length) throw new Error(json.errors[0]?.message || 'GraphQL error');
+  return json.data;
+}
+
 const domainCache = new Map();
 
 async function getPublicDomain(shop) {
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const state = vi.hoisted(() => ({ lookups: [], botPolicies: {} }));
+
+vi.mock('../../db/AIDiscoverySettings.js', () => ({
+  default: {
+    findOne: (query) => {
+      state.lookups.push(query.shop);
+      return { select: () => ({ lean: async () => ({ botPolicies: state.botPolicies }) }) };
+    }
+  }
+}));
+vi.mock('../../services/rateLimiter.js', () => ({
+  countBotRequest: vi.fn(async () => ({ minute: 1, day: 1 }))
+}));
+
+process.env.SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET || 'test-secret';
+const { createBotAccessMiddleware, internalRequestHeaders, invalidateBotPolicies } = await import('../botAccessControl.js');
+
+const botAccess = createBotAccessMiddleware();
+
+async function run({ query = { shop: 'demo.myshopify.com' }, headers = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const req = { query, body: {}, path: '/ai/products.json', get: (name) => lower[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  const next = vi.fn();
+  await botAccess(req, res, next);
+  return { res, next };
+}
+
+describe('bot access middleware', () => {
+  beforeEach(() => {
+    state.lookups = [];
+    state.botPolicies = { others: { mode: 'block' }, unknown: { mode: 'block' } };
+    invalidateBotPolicies('demo.myshopify.com');
+  });
+
+  it('does not exempt an internal-looking User-Agent from block', async () => {
+    const { res, next } = await run({ headers: { 'User-Agent': 'IndexAIze-Bot/1.0' } });
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('exempts requests carrying the internal token, and only a valid one', async () => {
+    expect((await run({ headers: internalRequestHeaders() })).next).toHaveBeenCalled();
+
+    const forged = { 'X-Internal-Request': 'é'.repeat(64), 'User-Agent': 'IndexAIze-Bot/1.0' };
+    const { res, next } = await run({ headers: forged });
+    expect(res.statusCode).toBe(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('looks policies up under the normalized shop domain', async () => {
+    await run({ query: { shop: 'https://Demo' }, headers: { 'User-Agent': 'curl/8.0' } });
+    expect(state.lookups).toEqual(['demo.myshopify.com']);
+  });
+});
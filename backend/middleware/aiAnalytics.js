@@ -1,9 +1,12 @@
 // backend/middleware/aiAnalytics.js
 // Middleware to track AI bot visits to AI endpoints
-// Logs asynchronously to MongoDB without blocking the response
+// Logs asynchronously to MongoDB without blocking the response.
+// The User-Agent only names the bot; services/botVerifier.js checks the client IP against
+// the vendor's published ranges and stores verified / unverified / spoofed on the visit.
 
 import crypto from 'crypto';
 import AIVisitLog from '../db/AIVisitLog.js';
+import { verifyBotVisit } from '../services/botVerifier.js';
 
 /**
  * Known AI bots and their friendly names
@@ -78,6 +81,21 @@ function hashIP(ip) {
   return crypto.createHash('sha256').update(ip).digest('hex').substring(0, 16);
 }
 
+/**
+ * Client IP that can be trusted for verification. The left-most X-Forwarded-For entry is
+ * whatever the client sent, so it is not used:
+ * - direct: req.ip (the address our load balancer saw, see 'trust proxy' in server.js)
+ * - app_proxy: the connection comes from Shopify, so the client is the address Shopify's
+ *   proxy appended - the entry just before the one our load balancer added
+ */
+function clientIp(req, source) {
+  if (source === 'app_proxy') {
+    const hops = (req.get('x-forwarded-for') || '').split(',').map(h => h.trim()).filter(Boolean);
+    if (hops.length >= 2) return hops[hops.length - 2];
+  }
+  return req.ip || '';
+}
+
 /**
  * Normalize endpoint path for consistent grouping
  * e.g. '/apps/indexaize/ai/products.json' -> '/ai/products.json'
@@ -106,7 +124,7 @@ export function createAIAnalyticsMiddleware(source = 'direct') {
       const responseTimeMs = Date.now() - startTime;
       const shop = req.query?.shop || req.get('x-shopify-shop-domain') || '';
       const userAgent = req.get('User-Agent') || '';
-      const ip = req.get('x-forwarded-for')?.split(',')[0]?.trim() || req.ip || '';
+      const ip = clientIp(req, source);
       const bot = detectBot(userAgent);
 
       // Skip logging for internal bots (our own services)
@@ -114,7 +132,8 @@ export function createAIAnalyticsMiddleware(source = 'direct') {
 
       console.log(`[AI-ANALYTICS] Visit: shop=${shop}, endpoint=${normalizeEndpoint(req.path)}, bot=${bot.name}, status=${res.statusCode}`);
       if (shop) {
-        AIVisitLog.create({
+        const createdAt = new Date();
+        verifyBotVisit(bot.name, ip).then(({ verification, verifiedBy }) => AIVisitLog.create({
           shop: shop.replace(/^https?:\/\//, '').toLowerCase(),
           endpoint: normalizeEndpoint(req.path),
           botName: bot.name,
@@ -123,8 +142,10 @@ export function createAIAnalyticsMiddleware(source = 'direct') {
           statusCode: res.statusCode,
           responseTimeMs,
           source,
-          createdAt: new Date()
-        }).catch(err => {
+          verification,
+          verifiedBy,
+          createdAt
+        })).catch(err => {
           if (process.env.NODE_ENV !== 'production') {
             console.error('[AI-ANALYTICS] Log error:', err.message);
           }
@@ -136,4 +157,4 @@ export function createAIAnalyticsMiddleware(source = 'direct') {
   };
 }
 
-export { detectBot, normalizeEndpoint, KNOWN_BOTS };
+export { detectBot, normalizeEndpoint, clientIp, KNOWN_BOTS };
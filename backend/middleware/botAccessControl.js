@@ -0,0 +1,96 @@
+// backend/middleware/botAccessControl.js
+// Enforces the shop's per-bot policy (AIDiscoverySettings.botPolicies, see utils/botPolicy.js)
+// on the AI endpoints: 403 for blocked bots, 429 with Retry-After once a throttled bot is
+// over its per-minute limit or daily quota. Mount it after the aiAnalytics middleware so
+// refused requests still show up in AI analytics. Fails open - a policy or counter
+// error never takes the endpoints down.
+//
+// Our own checks (AI testing, endpoint validation) are exempt only when they carry the
+// X-Internal-Request token; an internal-looking User-Agent on its own is just another bot.
+
+import crypto from 'crypto';
+import AIDiscoverySettings from '../db/AIDiscoverySettings.js';
+import { detectBot } from './aiAnalytics.js';
+import { policyGroupForBot, sanitizeBotPolicies, evaluateBotPolicy } from '../utils/botPolicy.js';
+import { countBotRequest } from '../services/rateLimiter.js';
+import { normalizeShop } from '../utils/normalizeShop.js';
+
+export const INTERNAL_REQUEST_HEADER = 'X-Internal-Request';
+
+function internalRequestToken() {
+  return crypto.createHmac('sha256', process.env.SHOPIFY_API_SECRET || '')
+    .update('indexaize-internal-request')
+    .digest('hex');
+}
+
+/**
+ * Headers that exempt a request to our own AI endpoints from bot policies.
+ * Only send them to APP_URL - never to a storefront or third party.
+ */
+export function internalRequestHeaders() {
+  return { [INTERNAL_REQUEST_HEADER]: internalRequestToken() };
+}
+
+function isInternalRequest(req) {
+  const given = req.get(INTERNAL_REQUEST_HEADER);
+  if (!given || !process.env.SHOPIFY_API_SECRET) return false;
+  const a = Buffer.from(given);
+  const b = Buffer.from(internalRequestToken());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Policies are read on every AI request, so they are cached per instance for a minute;
+// saving the settings clears this instance's copy
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+const policyCache = new Map(); // shop -> { policies, expiresAt }
+
+export function invalidateBotPolicies(shop) {
+  policyCache.delete(shop);
+}
+
+async function getBotPolicies(shop) {
+  const cached = policyCache.get(shop);
+  if (cached && cached.expiresAt > Date.now()) return cached.policies;
+
+  const settings = await AIDiscoverySettings.findOne({ shop }).select('botPolicies').lean();
+  const policies = sanitizeBotPolicies(settings?.botPolicies);
+  policyCache.set(shop, { policies, expiresAt: Date.now() + POLICY_CACHE_TTL_MS });
+  return policies;
+}
+
+export function createBotAccessMiddleware() {
+  return async (req, res, next) => {
+    try {
+      const shop = normalizeShop(req.query?.shop || req.get('x-shopify-shop-domain') || req.body?.shop);
+      if (!shop) return next();
+      if (isInternalRequest(req)) return next();
+
+      const bot = detectBot(req.get('User-Agent') || '');
+
+      const group = policyGroupForBot(bot.name);
+      const policy = (await getBotPolicies(shop))[group];
+      if (policy.mode === 'allow') return next();
+
+      const counts = policy.mode === 'throttle' ? await countBotRequest(shop, group) : undefined;
+      const decision = evaluateBotPolicy(policy, counts);
+
+      if (decision.action === 'block') {
+        console.log(`[BOT-ACCESS] Blocked ${bot.name} on ${shop}${req.path}`);
+        return res.status(403).json({ error: 'This store does not allow access to its AI data for this client', bot: bot.name });
+      }
+      if (decision.action === 'limit') {
+        console.log(`[BOT-ACCESS] Throttled ${bot.name} on ${shop}${req.path} (${decision.limit})`);
+        res.set('Retry-After', String(decision.retryAfter));
+        return res.status(429).json({
+          error: `Rate limit exceeded: ${decision.limit}`,
+          bot: bot.name,
+          retryAfter: decision.retryAfter
+        });
+      }
+      return next();
+    } catch (err) {
+      console.error('[BOT-ACCESS] Policy check failed:', err.message);
+      return next();
+    }
+  };
+}
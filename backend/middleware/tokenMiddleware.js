@@ -4,6 +4,7 @@
 import TokenBalance from '../db/TokenBalance.js';
 import Subscription from '../db/Subscription.js';
 import { requiresTokens, isBlockedInTrial, calculateFeatureCost } from '../billing/tokenConfig.js';
+import { checkSpendingCaps, spendingCapResponse } from '../utils/spendingCaps.js';
 
 /**
  * Check if user is in trial period
@@ -109,6 +110,12 @@ export async function validateTokenBalance(req, res, next) {
       });
     }
     
+    // Check the shop's own spending limits (monthly budget, per-job max)
+    const capViolation = checkSpendingCaps(tokenBalance, requiredTokens);
+    if (capViolation) {
+      return res.status(402).json(spendingCapResponse(capViolation, feature));
+    }
+    
     // Attach token info to request
     req.tokenBalance = tokenBalance;
     req.requiredTokens = requiredTokens;
@@ -242,6 +242,29 @@ async function runTokenRefreshBatch() {
   }
 }
 
+/** Re-download the AI crawler IP ranges used to verify bot visits. */
+async function runBotRangeRefresh() {
+  try {
+    const { refreshBotIpRanges } = await import('./services/botVerifier.js');
+    await refreshBotIpRanges();
+  } catch (e) {
+    console.error('[scheduler] Bot IP range refresh error:', e.message);
+  }
+}
+
+/** Give pixels installed before event signing their secret, a batch per run. */
+async function runPixelReconnectBatch() {
+  try {
+    const appUrl = process.env.APP_URL;
+    if (!appUrl) return;
+    const { reconnectUnsignedPixels } = await import('./services/webPixelService.js');
+    const { attempted, connected } = await reconnectUnsignedPixels(appUrl);
+    if (attempted) console.log(`[scheduler] Web pixel reconnect — ${connected}/${attempted} shop(s) connected`);
+  } catch (e) {
+    console.error('[scheduler] Web pixel reconnect error:', e.message);
+  }
+}
+
 /** Start all cron tasks for each plan. */
 export function startScheduler() {
   if (String(process.env.SCHEDULER_DISABLED || '').toLowerCase() === 'true') {
@@ -293,6 +316,30 @@ export function startScheduler() {
     console.error('[scheduler] Failed to schedule token refresh:', e.message);
   }
 
+  // AI crawler IP ranges (services/botVerifier.js) — daily
+  try {
+    const botRangeTask = cron.schedule('30 2 * * *', () => runBotRangeRefresh(), {
+      scheduled: true,
+      timezone: TIMEZONE,
+    });
+    tasks.push(botRangeTask);
+    console.log(`[scheduler] Scheduled bot IP range refresh → 30 2 * * * (${TIMEZONE})`);
+  } catch (e) {
+    console.error('[scheduler] Failed to schedule bot IP range refresh:', e.message);
+  }
+
+  // Web pixel signing secrets for shops installed before signing — hourly until all have one
+  try {
+    const pixelTask = cron.schedule('45 * * * *', () => runPixelReconnectBatch(), {
+      scheduled: true,
+      timezone: TIMEZONE,
+    });
+    tasks.push(pixelTask);
+    console.log(`[scheduler] Scheduled web pixel reconnect → 45 * * * * (${TIMEZONE})`);
+  } catch (e) {
+    console.error('[scheduler] Failed to schedule web pixel reconnect:', e.message);
+  }
+
   return { stop: stopScheduler };
 }
 
@@ -39,6 +39,7 @@
     } from './utils/tokenResolver.js';
     import { attachIdToken } from './middleware/attachIdToken.js';
     import { attachShop } from './middleware/attachShop.js';
+    import { meterMiddleware } from './utils/tokenMeter.js';
     import { normalizeShop } from './utils/normalizeShop.js';
 
     // Shopify SDK for Public App
@@ -122,7 +123,9 @@ const IS_PROD = process.env.NODE_ENV === 'production';
         'Accept',
         'Origin',
         'X-Shopify-Access-Token',
-        'X-Shop-Domain'
+        'X-Shop-Domain',
+        'X-Pixel-Signature',
+        'X-Pixel-Timestamp'
       ],
       exposedHeaders: ['Content-Length', 'X-Request-Id'],
       maxAge: 86400 // Cache preflight for 24 hours
@@ -184,6 +187,20 @@ const IS_PROD = process.env.NODE_ENV === 'production';
       next();
     });
 
+    // Web pixel events are HMAC-signed over the raw body (see controllers/pixelController.js)
+    app.use('/api/pixel/events', express.raw({ type: '*/*', limit: '64kb' }), (req, res, next) => {
+      req.rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+      try {
+        req.body = JSON.parse(req.rawBody);
+      } catch (e) {
+        req.body = null;
+      }
+      next();
+    });
+
+    // Review exports and SEO sheets can be several MB; these parsers run first so the global one skips the body
+    app.use('/api/reviews/import', express.json({ limit: '10mb' }));
+    app.use('/api/seo/csv/import', express.json({ limit: '10mb' }));
     app.use(express.json({ limit: '1mb' }));
     app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
@@ -197,6 +214,9 @@ const IS_PROD = process.env.NODE_ENV === 'production';
 
     app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
+    // Per-request token meter: AI provider costs end up on the request's ledger entries
+    app.use(meterMiddleware());
+
 // Debug & test endpoints – only enabled in non-production environments
 if (!IS_PROD) {
   // ---- Debug helper: виж какви сесии имаш за shop
@@ -877,6 +897,17 @@ app.post('/api/test/fetch-shop-email', async (req, res) => {
     import seoRouter from './controllers/seoController.js';  // mounts /seo/* (plans/me е премахнат)
     import languageRouter from './controllers/languageController.js';  // mounts /api/languages/*
     import multiSeoRouter from './controllers/multiSeoController.js';  // mounts /api/seo/*
+    import seoHistoryRouter from './controllers/seoHistoryController.js';  // mounts /api/seo/history/*
+    import seoDraftRouter from './controllers/seoDraftController.js';  // mounts /api/seo/drafts/*
+    import machineTranslationRouter from './controllers/machineTranslationController.js';  // mounts /api/seo/translations/*
+    import handleRouter from './controllers/handleController.js';  // mounts /api/seo/handles/*
+    import contentSeoRouter from './controllers/contentSeoController.js';  // mounts /api/seo/content/*
+    import seoCsvRouter from './controllers/seoCsvController.js';  // mounts /api/seo/csv/*
+    import optimizationRuleRouter from './controllers/optimizationRuleController.js';  // mounts /api/optimization-rules/*
+    import seoAuditRouter from './controllers/seoAuditController.js';  // mounts /api/seo-audit/*
+    import altTextRouter from './controllers/altTextController.js';  // mounts /api/alt-text/*
+    import promptTemplateRouter from './controllers/promptTemplateController.js';  // mounts /api/prompt-template/*
+    import reviewRouter from './controllers/reviewController.js';  // mounts /api/reviews/*
 import debugRouter from './controllers/debugRouter.js';
     import productsRouter from './controllers/productsController.js';
     import sitemapRouter from './controllers/sitemapController.js';
@@ -892,6 +923,7 @@ import debugRouter from './controllers/debugRouter.js';
     import pixelRouter from './controllers/pixelController.js';
     import analyticsRouter from './controllers/analyticsController.js';
     import { createMcpHandler } from './mcp/mcpServer.js';
+    import { createBotAccessMiddleware } from './middleware/botAccessControl.js';
 
     // Import new middleware and controllers
     import { attachShop as attachShopFromApiResolver, apiResolver } from './middleware/apiResolver.js';
@@ -922,7 +954,18 @@ import debugRouter from './controllers/debugRouter.js';
     app.use('/api/billing', billingRouter);  // API routes for billing
     app.use(seoRouter);
     app.use('/api/languages', languageRouter); // -> /api/languages/product/:shop/:productId
+    app.use('/api/seo/history', seoHistoryRouter); // -> /api/seo/history/product/:id, /api/seo/history/restore
+    app.use('/api/seo/drafts', seoDraftRouter); // -> /api/seo/drafts, /api/seo/drafts/:id/review, /api/seo/drafts/publish
+    app.use('/api/seo/translations', machineTranslationRouter); // -> /api/seo/translations, /api/seo/translations/:id/review
+    app.use('/api/seo/handles', handleRouter); // -> /api/seo/handles/check, /api/seo/handles/apply, /api/seo/handles/changes
+    app.use('/api/seo/content', contentSeoRouter); // -> /api/seo/content/list, /api/seo/content/generate, /api/seo/content/apply
+    app.use('/api/seo/csv', seoCsvRouter); // -> /api/seo/csv/export, /api/seo/csv/import, /api/seo/csv/job-status
+    app.use('/api/optimization-rules', optimizationRuleRouter); // -> /api/optimization-rules, /api/optimization-rules/:id/run, /api/optimization-rules/runs
+    app.use('/api/seo-audit', seoAuditRouter); // -> /api/seo-audit, /api/seo-audit/run, /api/seo-audit/fix
+    app.use('/api/alt-text', altTextRouter); // -> /api/alt-text/generate, /api/alt-text/job-status
     app.use('/api/seo', multiSeoRouter); // -> /api/seo/generate-multi, /api/seo/apply-multi
+    app.use('/api/prompt-template', promptTemplateRouter); // -> /api/prompt-template, /api/prompt-template/preview
+    app.use('/api/reviews', reviewRouter); // -> /api/reviews, /api/reviews/import, /api/reviews/clear
 
     // Manual trigger for product digest (TEST MODE)
     app.get('/api/test/product-digest', async (req, res) => {
@@ -1103,8 +1146,22 @@ import debugRouter from './controllers/debugRouter.js';
             throw new Error('TRIAL_RESTRICTION: AI-Optimized Sitemap is locked during trial period. Activate your plan to unlock.');
           }
           
-          // Import the core sitemap generation logic and queue
-          const { generateSitemapCore } = await import('./controllers/sitemapController.js');
+          // Refuse up front if the run would go over the shop's spending limits
+          if (tokenBalance) {
+            const { estimateTokensWithMargin } = await import('./billing/tokenConfig.js');
+            const { checkSpendingCaps, spendingCapResponse } = await import('./utils/spendingCaps.js');
+            const { default: Product } = await import('./db/Product.js');
+            const productCount = await Product.countDocuments({ shop });
+            const tokenEstimate = estimateTokensWithMargin(feature, { productCount });
+            const capViolation = checkSpendingCaps(tokenBalance, tokenEstimate.withMargin);
+            if (capViolation) {
+              const capError = new Error(spendingCapResponse(capViolation, feature).message);
+              capError.code = 'SPENDING_CAP';
+              throw capError;
+            }
+          }
+          
+          // Import the queue (its worker runs generateSitemapCore)
           const { default: sitemapQueue } = await import('./services/sitemapQueue.js');
           
           // ===== BACKGROUND QUEUE: AI Enhancement enabled from Settings =====
@@ -1117,9 +1174,7 @@ import debugRouter from './controllers/debugRouter.js';
           // - Prevents duplicate jobs
           // - Handles retries on failure
           // - Updates status in Shop.sitemapStatus
-          const jobInfo = await sitemapQueue.addJob(shop, async () => {
-            return await generateSitemapCore(shop, { enableAIEnhancement: true });
-          }, { type: 'ai-enhanced' });
+          const jobInfo = await sitemapQueue.addJob(shop, { type: 'ai-enhanced' });
           
           // Return immediately with job info
           return {
@@ -1154,6 +1209,14 @@ import debugRouter from './controllers/debugRouter.js';
             };
           }
           
+          if (error.code === 'SPENDING_CAP') {
+            return {
+              success: false,
+              message: `SPENDING_CAP: ${error.message}`,
+              shop: shop
+            };
+          }
+          
           if (error.code === 'PLAN_NOT_ELIGIBLE') {
             return {
               success: false,
@@ -1402,10 +1465,12 @@ if (!IS_PROD) {
 
     // MCP Server endpoint (Model Context Protocol)
     // Stateless StreamableHTTP - each request creates a fresh MCP server
+    // Per-bot policy (block / throttle) from AI Discovery settings applies to agents too
     const mcpHandler = createMcpHandler();
-    app.post('/mcp', mcpHandler);
-    app.get('/mcp', mcpHandler);       // For SSE streams
-    app.delete('/mcp', mcpHandler);    // For session cleanup
+    const mcpBotAccess = createBotAccessMiddleware();
+    app.post('/mcp', mcpBotAccess, mcpHandler);
+    app.get('/mcp', mcpBotAccess, mcpHandler);       // For SSE streams
+    app.delete('/mcp', mcpBotAccess, mcpHandler);    // For session cleanup
 
     // Mount the new controllers with fixed authentication
     app.use('/api/collections', collectionsRouter);
@@ -1980,6 +2045,7 @@ if (!IS_PROD) {
       '/ai-seo',
       '/ai-seo/products',
       '/ai-seo/collections',
+      '/ai-seo/content',
       '/ai-seo/sitemap',
       '/ai-seo/store-metadata',
       '/ai-seo/schema-data',
@@ -2102,6 +2168,7 @@ app.get('/debug/ai-queue-stats', async (req, res) => {
     import { startScheduler } from './scheduler.js';
     import emailScheduler from './services/emailScheduler.js';
     import productDigestScheduler from './services/productDigestScheduler.js';
+    import { startJobWorkers, stopJobWorkers } from './services/jobWorkers.js';
 
     async function start() {
       try {
@@ -2294,8 +2361,9 @@ app.get('/debug/ai-queue-stats', async (req, res) => {
         // This is the main entry point for AI bots (ChatGPT, Perplexity, Claude, etc.)
         const { createAIAnalyticsMiddleware: createDirectAnalytics } = await import('./middleware/aiAnalytics.js');
         const directAnalytics = createDirectAnalytics('direct');
+        const directBotAccess = createBotAccessMiddleware();
 
-        app.get('/llms.txt', directAnalytics, async (req, res) => {
+        app.get('/llms.txt', directAnalytics, directBotAccess, async (req, res) => {
           try {
             const aiDiscovery = (await import('./services/aiDiscoveryService.js')).default;
 
@@ -2552,6 +2620,25 @@ app.get('/debug/ai-queue-stats', async (req, res) => {
               return res.status(404).type('text/plain').send('Sitemap not found for this shop. Please generate it first.');
             }
             
+            // Sitemap index (holds no <url> entries): serve the products child when there is
+            // one, otherwise an index of every products child
+            const productChildren = (sitemapDoc.children || []).filter(child => child.type === 'products');
+            if (productChildren.length === 1) {
+              const SitemapChild = (await import('./db/SitemapChild.js')).default;
+              const child = await SitemapChild.findOne({ shop, name: productChildren[0].name }).select('+content').lean();
+              if (child?.content) {
+                res.type('application/xml; charset=utf-8');
+                return res.send(child.content);
+              }
+            } else if (productChildren.length > 1) {
+              const { parseSitemapIndex, renderSitemapIndex } = await import('./utils/sitemapXml.js');
+              const files = new Set(productChildren.map(child => `/sitemap/${child.name}.xml`));
+              const entries = parseSitemapIndex(sitemapDoc.content)
+                .filter(entry => files.has(entry.loc.slice(entry.loc.lastIndexOf('/sitemap/'))));
+              res.type('application/xml; charset=utf-8');
+              return res.send(renderSitemapIndex(entries));
+            }
+            
             // Serve sitemap XML
             res.type('application/xml; charset=utf-8');
             res.send(sitemapDoc.content);
@@ -2801,6 +2888,13 @@ app.get('/debug/ai-queue-stats', async (req, res) => {
           } catch (e) {
             console.error('Product digest scheduler start error:', e);
           }
+
+          // Start background job workers (also resumes jobs left by a restarted instance)
+          try {
+            startJobWorkers();
+          } catch (e) {
+            console.error('Job workers start error:', e);
+          }
         });
       } catch (e) {
         console.error('Fatal startup error:', e);
@@ -2901,6 +2995,8 @@ app.get('/debug/ai-queue-stats', async (req, res) => {
       } catch (e) {
         console.error('Error stopping email scheduler:', e);
       }
+      // Unfinished jobs keep their lease; another instance resumes them when it expires
+      stopJobWorkers();
     });
     
     process.on('SIGINT', async () => {
@@ -2910,5 +3006,7 @@ app.get('/debug/ai-queue-stats', async (req, res) => {
       } catch (e) {
         console.error('Error stopping email scheduler:', e);
       }
+      // Unfinished jobs keep their lease; another instance resumes them when it expires
+      stopJobWorkers();
     });// Force rebuild 1757432718
 // Trigger Railway redeploy - Sun Nov  9 08:54:49 EET 2025
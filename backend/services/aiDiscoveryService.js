@@ -4,6 +4,7 @@ import Shop from '../db/Shop.js';
 import Subscription from '../db/Subscription.js';
 import Sitemap from '../db/Sitemap.js';
 import AdvancedSchema from '../db/AdvancedSchema.js';
+import ContentSeo from '../db/ContentSeo.js';
 
 // Helper function to normalize plan names
 const normalizePlan = (plan) => {
@@ -887,6 +888,25 @@ ${customRules}
         llmsTxt += '\n';
       }
 
+      // --- Blog & Pages section (articles/pages with applied SEO) ---
+      const contentDocs = await ContentSeo.find({ shop, published: true })
+        .sort({ updatedAt: -1 })
+        .limit(50)
+        .select('resource path title seo primaryLanguage')
+        .lean();
+      const contentLines = contentDocs.map(doc => {
+        const seo = doc.seo?.[doc.primaryLanguage] || Object.values(doc.seo || {})[0];
+        if (!seo) return null;
+        const description = seo.metaDescription ? `: ${seo.metaDescription}` : '';
+        return `- [${seo.title || doc.title}](${primaryDomain}${doc.path})${description}\n`;
+      }).filter(Boolean);
+
+      if (contentLines.length > 0) {
+        llmsTxt += `## Blog & Pages\n\n`;
+        llmsTxt += contentLines.join('');
+        llmsTxt += '\n';
+      }
+
       // --- Policies section (only policies that actually exist in the store) ---
       if (policies.length > 0) {
         llmsTxt += `## Policies\n\n`;
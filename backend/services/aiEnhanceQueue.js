@@ -1,66 +1,40 @@
 // backend/services/aiEnhanceQueue.js
 // Background job processing for AI Enhanced Add-ons
-// Based on seoJobQueue.js pattern
+// Jobs are stored in MongoDB (see durableQueue.js) - the item handler lives in aiEnhanceController.js
 
 import Shop from '../db/Shop.js';
+import DurableQueue from './durableQueue.js';
 import { dbLogger } from '../utils/logger.js';
 import emailService from './emailService.js';
 
-class AIEnhanceQueue {
+class AIEnhanceQueue extends DurableQueue {
   constructor() {
-    this.queue = []; // In-memory queue
-    this.processing = false;
-    this.currentJob = null;
+    super('ai-enhance', { logTag: '[AI-ENHANCE-QUEUE]', jobIdPrefix: 'aienhance' });
   }
 
   /**
    * Add an AI Enhancement job to the queue
    * @param {string} shop - Shop domain
    * @param {Array} products - Array of { productId, languages, title }
-   * @param {Function} enhanceFn - Function that enhances one product
    * @param {Object} preFailed - Pre-failed products info { count, reasons }
    * @returns {Object} Job info
    */
-  async addJob(shop, products, enhanceFn, preFailed = { count: 0, reasons: [] }) {
-    // Check if job already exists in queue
-    const existingJob = this.queue.find(job => job.shop === shop);
-    if (existingJob) {
-      dbLogger.info(`[AI-ENHANCE-QUEUE] Job already queued for shop: ${shop}`);
-      return {
-        queued: false,
-        message: 'Job already in queue',
-        position: this.queue.indexOf(existingJob) + 1
-      };
-    }
+  async addJob(shop, products, preFailed = { count: 0, reasons: [] }) {
+    // Include preFailed for products without Basic SEO
+    const { queued, job } = await this.enqueue(shop, {
+      items: products,
+      total: products.length + preFailed.count,
+      failed: preFailed.count,
+      failReasons: preFailed.reasons || []
+    });
 
-    // Check if currently processing this shop
-    if (this.currentJob?.shop === shop) {
-      dbLogger.info(`[AI-ENHANCE-QUEUE] Job already processing for shop: ${shop}`);
-      return {
-        queued: false,
-        message: 'Job already processing',
-        position: 0
-      };
+    if (!queued) {
+      dbLogger.info(`[AI-ENHANCE-QUEUE] Job already ${job.status === 'running' ? 'processing' : 'queued'} for shop: ${shop}`);
+      return job.status === 'running'
+        ? { queued: false, message: 'Job already processing', position: 0 }
+        : { queued: false, message: 'Job already in queue', position: await this.queuePosition(job) };
     }
 
-    // Create job (include preFailed for products without Basic SEO)
-    const job = {
-      id: `${shop}-aienhance-${Date.now()}`,
-      shop,
-      products,
-      enhanceFn,
-      status: 'queued',
-      queuedAt: new Date(),
-      totalProducts: products.length + preFailed.count,
-      processedProducts: 0,
-      successfulProducts: 0,
-      failedProducts: preFailed.count, // Start with pre-failed count
-      skippedProducts: 0,
-      skipReasons: [],
-      failReasons: [...(preFailed.reasons || [])] // Start with pre-failed reasons
-    };
-
-    this.queue.push(job);
     dbLogger.info(`[AI-ENHANCE-QUEUE] ✅ Job added for shop: ${shop}, ${products.length} products` + 
       (preFailed.count > 0 ? ` (+${preFailed.count} pre-failed)` : ''));
 
@@ -68,9 +42,9 @@ class AIEnhanceQueue {
     await this.updateShopStatus(shop, {
       inProgress: true,
       status: 'queued',
-      message: `Queued (${job.totalProducts} products)`,
-      queuedAt: new Date(),
-      totalProducts: job.totalProducts,
+      message: `Queued (${job.total} products)`,
+      queuedAt: job.queuedAt,
+      totalProducts: job.total,
       processedProducts: 0,
       successfulProducts: 0,
       failedProducts: preFailed.count,
@@ -78,260 +52,175 @@ class AIEnhanceQueue {
       failReasons: preFailed.reasons || []
     });
 
-    // Start processing if not already running
-    if (!this.processing) {
-      this.startProcessing();
-    }
-
     return {
       queued: true,
-      jobId: job.id,
-      position: this.queue.length,
+      jobId: job.jobId,
+      position: await this.queuePosition(job),
       totalProducts: products.length
     };
   }
 
   /**
-   * Start processing the queue
-   * OPTIMIZED: Processes products in batches of 2 for ~2x speedup
+   * Process one claimed job, 2 products in parallel with a per-product timeout.
+   * A resumed job only runs the products still pending.
    */
-  async startProcessing() {
-    if (this.processing) {
-      return;
-    }
+  async processJob(job, { resumed }) {
+    const { enhanceBatchProduct } = await import('../controllers/aiEnhanceController.js');
 
-    this.processing = true;
-    dbLogger.info('[AI-ENHANCE-QUEUE] 🔄 Starting queue processing...');
+    dbLogger.info(`[AI-ENHANCE-QUEUE] 🔧 Processing job for shop: ${job.shop} (${job.total} products)`);
+    const startTime = Date.now();
+    const processedAtStart = job.processed;
 
-    while (this.queue.length > 0) {
-      const job = this.queue.shift();
-      this.currentJob = job;
+    // Reset cancelled flag at start (a resumed job keeps a cancel that arrived meanwhile)
+    if (!resumed) {
+      await Shop.findOneAndUpdate(
+        { shop: job.shop },
+        { $set: { 'aiEnhanceJobStatus.cancelled': false } }
+      );
+    }
 
+    // Helper to check if job was cancelled
+    const checkCancelled = async () => {
       try {
-        dbLogger.info(`[AI-ENHANCE-QUEUE] 🔧 Processing job for shop: ${job.shop} (${job.totalProducts} products)`);
-        
-        job.status = 'processing';
-        job.startedAt = new Date();
-        const startTime = Date.now();
-        
-        // Reset cancelled flag at start
-        await Shop.findOneAndUpdate(
-          { shop: job.shop },
-          { $set: { 'aiEnhanceJobStatus.cancelled': false } }
-        );
-        
-        // Helper to check if job was cancelled
-        const checkCancelled = async () => {
-          try {
-            const shopDoc = await Shop.findOne({ shop: job.shop }).select('aiEnhanceJobStatus.cancelled').lean();
-            return shopDoc?.aiEnhanceJobStatus?.cancelled === true;
-          } catch (err) {
-            return false;
-          }
-        };
-        
-        // Helper to calculate and update progress
-        const updateProgress = async (current, total) => {
-          const elapsed = Math.floor((Date.now() - startTime) / 1000);
-          const avgTimePerProduct = current > 0 ? elapsed / current : 2.8; // Default estimate: 2.8s for AI
-          const remaining = Math.ceil((total - current) * avgTimePerProduct);
-          
-            await this.updateShopStatus(job.shop, {
-              inProgress: true,
-              status: 'processing',
-            message: `Enhancing ${current}/${total} products`,
-            totalProducts: total,
-            processedProducts: current,
-              successfulProducts: job.successfulProducts,
-              failedProducts: job.failedProducts,
-            skippedProducts: job.skippedProducts,
-            progress: {
-              current,
-              total,
-              percent: Math.round((current / total) * 100),
-              elapsedSeconds: elapsed,
-              remainingSeconds: remaining,
-              startedAt: new Date(startTime)
-            }
-          });
-        };
+        const shopDoc = await Shop.findOne({ shop: job.shop }).select('aiEnhanceJobStatus.cancelled').lean();
+        return shopDoc?.aiEnhanceJobStatus?.cancelled === true;
+      } catch (err) {
+        return false;
+      }
+    };
 
-        // OPTIMIZATION: Process products in batches of 2 for parallel execution
-        const BATCH_SIZE = 2;
-        const BATCH_DELAY = 300; // ms between batches to prevent overload
-        let shouldStop = false;
-
-        for (let batchStart = 0; batchStart < job.products.length && !shouldStop; batchStart += BATCH_SIZE) {
-          // Check for cancellation at start of each batch
-          if (await checkCancelled()) {
-            dbLogger.info(`[AI-ENHANCE-QUEUE] Job cancelled for shop: ${job.shop} after ${job.processedProducts} products`);
-            throw new Error('CANCELLED_BY_USER');
-          }
-          
-          const batch = job.products.slice(batchStart, batchStart + BATCH_SIZE);
-          
-          // Update progress before batch
-          await updateProgress(job.processedProducts, job.totalProducts);
-
-          // Process batch in parallel with error isolation and timeout
-          const PRODUCT_TIMEOUT = 90000; // 90s timeout per product
-          const batchPromises = batch.map(async (productData) => {
-            try {
-              // Add timeout wrapper to prevent stuck jobs
-              const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error(`Timeout after ${PRODUCT_TIMEOUT / 1000}s`)), PRODUCT_TIMEOUT);
-              });
-              
-              const result = await Promise.race([
-                job.enhanceFn(productData),
-                timeoutPromise
-              ]);
-              
-              return { productData, result, success: true, error: null };
-          } catch (error) {
-              dbLogger.error(`[AI-ENHANCE-QUEUE] Product ${productData.productId} error: ${error.message}`);
-              return { productData, result: null, success: false, error };
-              }
-          });
+    // Helper to calculate and update progress (ETA from products done in this run)
+    const updateProgress = async () => {
+      const current = job.processed;
+      const total = job.total;
+      const elapsed = Math.floor((Date.now() - startTime) / 1000);
+      const doneThisRun = current - processedAtStart;
+      const avgTimePerProduct = doneThisRun > 0 ? elapsed / doneThisRun : 2.8; // Default estimate: 2.8s for AI
+      const remaining = Math.ceil((total - current) * avgTimePerProduct);
 
-          // Wait for all products in batch to complete
-          const batchResults = await Promise.all(batchPromises);
-
-          // Process batch results
-          for (const batchResult of batchResults) {
-            const { productData, result, success, error } = batchResult;
-            
-            if (!success && error) {
-            // Check for token/plan errors that should stop processing
-            if (error.status === 402 || error.status === 403 || error.trialRestriction) {
-                shouldStop = true;
-              job.status = 'failed';
-              job.error = error.message || 'Token or plan restriction';
-              job.failedAt = new Date();
-              
-              await this.updateShopStatus(job.shop, {
-                inProgress: false,
-                status: 'failed',
-                message: error.message || 'Token or plan restriction',
-                lastError: error.message,
-                failedAt: new Date(),
-                totalProducts: job.totalProducts,
-                processedProducts: job.processedProducts,
-                successfulProducts: job.successfulProducts,
-                failedProducts: job.failedProducts,
-                skippedProducts: job.skippedProducts
-              });
-                break;
-            }
-            
-            job.failedProducts++;
-            job.failReasons.push(`${productData.title}: ${error.message}`);
-              dbLogger.error(`[AI-ENHANCE-QUEUE] Product failed: ${productData.productId}`, error.message);
-            } else if (result?.skipped) {
-              job.skippedProducts++;
-              if (result.reason) {
-                job.skipReasons.push(`${productData.title}: ${result.reason}`);
-              }
-            } else if (result?.success) {
-              job.successfulProducts++;
-            } else {
-              job.failedProducts++;
-              if (result?.error || result?.reason) {
-                job.failReasons.push(`${productData.title}: ${result.error || result.reason}`);
-              }
-          }
-
-          job.processedProducts++;
-          }
-
-          // Small delay between batches to prevent server overload
-          if (!shouldStop && batchStart + BATCH_SIZE < job.products.length) {
-            await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-          }
+      await this.updateShopStatus(job.shop, {
+        inProgress: true,
+        status: 'processing',
+        message: `Enhancing ${current}/${total} products`,
+        totalProducts: total,
+        processedProducts: current,
+        successfulProducts: job.successful,
+        failedProducts: job.failed,
+        skippedProducts: job.skipped,
+        progress: {
+          current,
+          total,
+          percent: Math.round((current / total) * 100),
+          elapsedSeconds: elapsed,
+          remainingSeconds: remaining,
+          startedAt: new Date(startTime)
         }
+      });
+    };
 
-        // Check if job was stopped due to error
-        if (job.status === 'failed') {
-          this.currentJob = null;
-          continue;
-        }
+    const PRODUCT_TIMEOUT = 90000; // 90s timeout per product
 
-        // Job completed
-        job.status = 'completed';
-        job.completedAt = new Date();
-
-        const duration = (new Date() - job.startedAt) / 1000;
-        dbLogger.info(`[AI-ENHANCE-QUEUE] ✅ Job completed for shop: ${job.shop}`, {
-          duration,
-          successful: job.successfulProducts,
-          failed: job.failedProducts,
-          skipped: job.skippedProducts,
-          avgPerProduct: (duration / job.totalProducts).toFixed(2) + 's'
+    await this.processItems(job, async (productData) => {
+      let timer;
+      try {
+        // Add timeout wrapper to prevent stuck jobs
+        const timeoutPromise = new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timeout after ${PRODUCT_TIMEOUT / 1000}s`)), PRODUCT_TIMEOUT);
         });
 
-        // Update shop status to completed
-        await this.updateShopStatus(job.shop, {
-          inProgress: false,
-          status: 'completed',
-          message: `Enhanced ${job.successfulProducts} products${job.skippedProducts > 0 ? ` (${job.skippedProducts} skipped)` : ''}${job.failedProducts > 0 ? ` (${job.failedProducts} failed)` : ''} in ${duration.toFixed(1)}s`,
-          completedAt: new Date(),
-          lastError: null,
-          totalProducts: job.totalProducts,
-          processedProducts: job.processedProducts,
-          successfulProducts: job.successfulProducts,
-          failedProducts: job.failedProducts,
-          skippedProducts: job.skippedProducts,
-          skipReasons: job.skipReasons.slice(0, 10),
-          failReasons: job.failReasons.slice(0, 10)
-        });
-        
-        // Send email notification if job took more than 2 minutes
-        if (duration > 120) {
-          try {
-            const shopDoc = await Shop.findOne({ shop: job.shop }).lean();
-            if (shopDoc?.email) {
-              await emailService.sendJobCompletedEmail(shopDoc, {
-                type: 'aiEnhance',
-                successful: job.successfulProducts,
-                failed: job.failedProducts,
-                skipped: job.skippedProducts,
-                duration: duration,
-                itemType: 'products',
-                failReasons: job.failReasons?.slice(0, 5) || [],
-                skipReasons: job.skipReasons?.slice(0, 5) || []
-              });
-            }
-          } catch (emailErr) {
-            dbLogger.error(`[AI-ENHANCE-QUEUE] Failed to send completion email: ${emailErr.message}`);
-          }
-        }
+        const result = await Promise.race([
+          enhanceBatchProduct(job.shop, productData),
+          timeoutPromise
+        ]);
 
+        if (result?.skipped) {
+          return { status: 'skipped', reason: result.reason ? `${productData.title}: ${result.reason}` : null };
+        }
+        if (result?.success) {
+          return { status: 'successful' };
+        }
+        const error = result?.error || result?.reason;
+        return { status: 'failed', reason: error ? `${productData.title}: ${error}` : null };
       } catch (error) {
-        dbLogger.error(`[AI-ENHANCE-QUEUE] ❌ Job failed for shop: ${job.shop}`, error.message);
-
-        job.status = 'failed';
-        job.error = error.message;
-        job.failedAt = new Date();
-
-        await this.updateShopStatus(job.shop, {
-          inProgress: false,
-          status: 'failed',
-          message: `Failed: ${error.message}`,
-          lastError: error.message,
-          failedAt: new Date(),
-          totalProducts: job.totalProducts,
-          processedProducts: job.processedProducts,
-          successfulProducts: job.successfulProducts,
-          failedProducts: job.failedProducts,
-          skippedProducts: job.skippedProducts
-        });
+        // Token/plan errors stop the whole job
+        if (error.status === 402 || error.status === 403 || error.trialRestriction) {
+          throw error;
+        }
+        dbLogger.error(`[AI-ENHANCE-QUEUE] Product failed: ${productData.productId}`, error.message);
+        return { status: 'failed', reason: `${productData.title}: ${error.message}` };
+      } finally {
+        clearTimeout(timer);
       }
+    }, { isCancelled: checkCancelled, beforeBatch: updateProgress });
+
+    const duration = (Date.now() - new Date(job.startedAt).getTime()) / 1000;
+    dbLogger.info(`[AI-ENHANCE-QUEUE] ✅ Job completed for shop: ${job.shop}`, {
+      duration,
+      successful: job.successful,
+      failed: job.failed,
+      skipped: job.skipped,
+      avgPerProduct: (duration / job.total).toFixed(2) + 's'
+    });
+
+    await this.finish(job, 'completed');
 
-      this.currentJob = null;
+    // Update shop status to completed
+    await this.updateShopStatus(job.shop, {
+      inProgress: false,
+      status: 'completed',
+      message: `Enhanced ${job.successful} products${job.skipped > 0 ? ` (${job.skipped} skipped)` : ''}${job.failed > 0 ? ` (${job.failed} failed)` : ''} in ${duration.toFixed(1)}s`,
+      completedAt: new Date(),
+      lastError: null,
+      totalProducts: job.total,
+      processedProducts: job.processed,
+      successfulProducts: job.successful,
+      failedProducts: job.failed,
+      skippedProducts: job.skipped,
+      skipReasons: job.skipReasons.slice(0, 10),
+      failReasons: job.failReasons.slice(0, 10)
+    });
+
+    // Send email notification if job took more than 2 minutes
+    if (duration > 120) {
+      try {
+        const shopDoc = await Shop.findOne({ shop: job.shop }).lean();
+        if (shopDoc?.email) {
+          await emailService.sendJobCompletedEmail(shopDoc, {
+            type: 'aiEnhance',
+            successful: job.successful,
+            failed: job.failed,
+            skipped: job.skipped,
+            duration: duration,
+            itemType: 'products',
+            failReasons: job.failReasons?.slice(0, 5) || [],
+            skipReasons: job.skipReasons?.slice(0, 5) || []
+          });
+        }
+      } catch (emailErr) {
+        dbLogger.error(`[AI-ENHANCE-QUEUE] Failed to send completion email: ${emailErr.message}`);
+      }
     }
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`[AI-ENHANCE-QUEUE] ❌ Job failed for shop: ${job.shop}`, error.message);
+
+    // Token/plan restrictions are shown as-is
+    const restricted = error.status === 402 || error.status === 403 || error.trialRestriction;
 
-    this.processing = false;
-    dbLogger.info('[AI-ENHANCE-QUEUE] ✅ Queue processing completed');
+    await this.updateShopStatus(job.shop, {
+      inProgress: false,
+      status: 'failed',
+      message: restricted ? (error.message || 'Token or plan restriction') : `Failed: ${error.message}`,
+      lastError: error.message,
+      failedAt: new Date(),
+      totalProducts: job.total,
+      processedProducts: job.processed,
+      successfulProducts: job.successful,
+      failedProducts: job.failed,
+      skippedProducts: job.skipped
+    });
+    return null;
   }
 
   /**
@@ -383,32 +272,33 @@ class AIEnhanceQueue {
    * Get job status for a shop
    */
   async getJobStatus(shop) {
+    const job = await this.findActiveJob(shop);
+
     // Check if currently processing
-    if (this.currentJob?.shop === shop) {
+    if (job?.status === 'running') {
       return {
         inProgress: true,
         status: 'processing',
-        message: `Enhancing ${this.currentJob.processedProducts}/${this.currentJob.totalProducts}...`,
-        totalProducts: this.currentJob.totalProducts,
-        processedProducts: this.currentJob.processedProducts,
-        successfulProducts: this.currentJob.successfulProducts,
-        failedProducts: this.currentJob.failedProducts,
-        skippedProducts: this.currentJob.skippedProducts,
+        message: `Enhancing ${job.processed}/${job.total}...`,
+        totalProducts: job.total,
+        processedProducts: job.processed,
+        successfulProducts: job.successful,
+        failedProducts: job.failed,
+        skippedProducts: job.skipped,
         position: 0
       };
     }
 
     // Check if in queue
-    const jobIndex = this.queue.findIndex(job => job.shop === shop);
-    if (jobIndex !== -1) {
-      const job = this.queue[jobIndex];
+    if (job) {
+      const position = await this.queuePosition(job);
       return {
         inProgress: true,
         status: 'queued',
-        message: `Queued (position ${jobIndex + 1})`,
-        totalProducts: job.totalProducts,
-        processedProducts: 0,
-        position: jobIndex + 1
+        message: `Queued (position ${position})`,
+        totalProducts: job.total,
+        processedProducts: job.processed,
+        position
       };
     }
 
@@ -0,0 +1,96 @@
+// backend/services/altTextQueue.js
+// Background alt text generation for product images (see controllers/altTextController.js).
+// Jobs are stored in MongoDB (see durableQueue.js) - each item is one product and runs
+// generateProductAltTexts() for all languages of the job.
+
+import BackgroundJob from '../db/BackgroundJob.js';
+import DurableQueue from './durableQueue.js';
+import { dbLogger } from '../utils/logger.js';
+
+class AltTextQueue extends DurableQueue {
+  constructor() {
+    super('alt-text', { logTag: '[ALT-TEXT-QUEUE]', jobIdPrefix: 'alttext' });
+  }
+
+  /**
+   * @param {string} shop
+   * @param {Array<{ productId: string, title: string }>} items
+   * @param {Object} options - { languages, primaryLocale, overwrite }
+   * @returns {Object} Job info
+   */
+  async addJob(shop, items, { languages, primaryLocale, overwrite = false }) {
+    const { queued, job } = await this.enqueue(shop, { items, payload: { languages, primaryLocale, overwrite } });
+
+    if (!queued) {
+      return job.status === 'running'
+        ? { queued: false, message: 'Alt text generation is already processing', position: 0 }
+        : { queued: false, message: 'Alt text generation is already queued', position: await this.queuePosition(job) };
+    }
+
+    dbLogger.info(`${this.logTag} ✅ Job added for shop: ${shop}, ${items.length} products (${languages.join(', ')})`);
+    return {
+      queued: true,
+      jobId: job.jobId,
+      position: await this.queuePosition(job),
+      total: items.length,
+      languages
+    };
+  }
+
+  async processJob(job) {
+    const { generateProductAltTexts } = await import('../controllers/altTextController.js');
+    const options = job.payload || {};
+    let written = 0;
+
+    await this.processItems(job, async (item) => {
+      const label = item.title || item.productId;
+      try {
+        const result = await generateProductAltTexts(job.shop, item.productId, options);
+        written += result.updated;
+        if (!result.updated) {
+          return { status: 'skipped', reason: `${label}: ${result.reason || 'alt texts already good'}` };
+        }
+        return { status: 'successful' };
+      } catch (error) {
+        // Out of tokens / over a spending cap: stop instead of failing every remaining product
+        if (error.status === 402) throw error;
+        return { status: 'failed', reason: `${label}: ${error.message}` };
+      }
+    }, { batchSize: 1 });
+
+    dbLogger.info(`${this.logTag} ✅ ${job.shop}: ${written} alt texts on ${job.successful} products, ${job.skipped} skipped, ${job.failed} failed`);
+    await this.finish(job, 'completed');
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`${this.logTag} ❌ Job failed for shop: ${job.shop}`, error.message);
+    return null;
+  }
+
+  /**
+   * Active job, or the last finished one.
+   */
+  async getJobStatus(shop) {
+    const job = await this.findActiveJob(shop)
+      || await BackgroundJob.findOne({ queue: this.name, shop }).sort({ queuedAt: -1 }).lean();
+    if (!job) return { inProgress: false, status: 'idle' };
+
+    return {
+      inProgress: job.active === true,
+      status: job.status,
+      jobId: job.jobId,
+      languages: job.payload?.languages || [],
+      total: job.total,
+      processed: job.processed,
+      successful: job.successful,
+      skipped: job.skipped,
+      failed: job.failed,
+      failReasons: (job.failReasons || []).slice(-10),
+      error: job.status === 'failed' ? job.lastError : null,
+      position: job.status === 'queued' ? await this.queuePosition(job) : 0
+    };
+  }
+}
+
+const altTextQueue = new AltTextQueue();
+export default altTextQueue;
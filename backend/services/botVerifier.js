@@ -0,0 +1,271 @@
+// backend/services/botVerifier.js
+// Verifies that a visit claiming to be a known AI crawler really comes from its vendor:
+// the client IP must be in the vendor's published IP ranges or, when BOT_VERIFY_RDNS=true,
+// pass forward-confirmed reverse DNS (PTR hostname on the vendor's domain that resolves
+// back to the same IP). The lists are cached in a local JSON file (BOT_IP_RANGES_FILE)
+// and refreshed daily by scheduler.js; a failed download keeps the previous list.
+
+import fs from 'fs/promises';
+import path from 'path';
+import dns from 'dns/promises';
+import { fileURLToPath } from 'url';
+import {
+  parseCidr,
+  parseIp,
+  ipInRanges,
+  parseRangeList,
+  hostnameMatches,
+  classifyVisit
+} from '../utils/botVerification.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CACHE_FILE = process.env.BOT_IP_RANGES_FILE || path.join(__dirname, '../data/bot-ip-ranges.json');
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+const DNS_TIMEOUT_MS = 2000;
+const RDNS_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const RDNS_CACHE_MAX = 5000;
+const RDNS_ENABLED = String(process.env.BOT_VERIFY_RDNS || '').toLowerCase() === 'true';
+
+// bots: KNOWN_BOTS names from middleware/aiAnalytics.js. urls can be replaced with
+// BOT_IP_RANGES_<VENDOR> (comma-separated) - Anthropic has no default list.
+export const BOT_VENDORS = {
+  openai: {
+    bots: ['ChatGPT', 'OpenAI Search'],
+    urls: [
+      'https://openai.com/gptbot.json',
+      'https://openai.com/searchbot.json',
+      'https://openai.com/chatgpt-user.json'
+    ],
+    rdns: []
+  },
+  google: {
+    bots: ['Google', 'Google AI'],
+    urls: [
+      'https://developers.google.com/static/search/apis/ipranges/googlebot.json',
+      'https://developers.google.com/static/search/apis/ipranges/special-crawlers.json',
+      'https://developers.google.com/static/search/apis/ipranges/user-triggered-fetchers.json'
+    ],
+    // Only gae.googleusercontent.com (user-triggered fetchers) - other googleusercontent.com
+    // hosts, e.g. *.bc.googleusercontent.com, are rented Google Cloud VMs
+    rdns: ['googlebot.com', 'google.com', 'gae.googleusercontent.com']
+  },
+  perplexity: {
+    bots: ['Perplexity'],
+    urls: [
+      'https://www.perplexity.ai/perplexitybot.json',
+      'https://www.perplexity.ai/perplexity-user.json'
+    ],
+    rdns: []
+  },
+  anthropic: {
+    bots: ['Claude'],
+    urls: [],
+    rdns: []
+  },
+  bing: {
+    bots: ['Bing'],
+    urls: ['https://www.bing.com/toolbox/bingbot.json'],
+    rdns: ['search.msn.com']
+  },
+  apple: {
+    bots: ['Apple'],
+    urls: ['https://search.developer.apple.com/applebot.json'],
+    rdns: ['applebot.apple.com']
+  }
+};
+
+function vendorUrls(vendor) {
+  const override = process.env[`BOT_IP_RANGES_${vendor.toUpperCase()}`];
+  if (override) return override.split(',').map(u => u.trim()).filter(Boolean);
+  return BOT_VENDORS[vendor].urls;
+}
+
+export function vendorForBot(botName) {
+  return Object.keys(BOT_VENDORS).find(vendor => BOT_VENDORS[vendor].bots.includes(botName)) || null;
+}
+
+// { updatedAt, vendors: { [vendor]: { fetchedAt, cidrs, error } } } as stored in the file,
+// plus the parsed ranges per vendor
+let cache = null;
+let ranges = {};
+let loadPromise = null;
+let refreshPromise = null;
+const rdnsCache = new Map();
+
+function applyCache(data) {
+  cache = data;
+  ranges = Object.fromEntries(Object.entries(data?.vendors || {}).map(([vendor, entry]) => [
+    vendor,
+    (entry.cidrs || []).map(parseCidr).filter(Boolean)
+  ]));
+}
+
+async function readCacheFile() {
+  try {
+    applyCache(JSON.parse(await fs.readFile(CACHE_FILE, 'utf8')));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('[BOT-VERIFY] Could not read the IP range cache:', err.message);
+  }
+}
+
+async function fetchList(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const text = await response.text();
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      data = text;
+    }
+    return parseRangeList(data);
+  } catch (error) {
+    throw new Error(`${url}: ${error.name === 'AbortError' ? 'request timed out' : error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Download every vendor list and rewrite the cache file. A vendor whose download fails
+ * keeps its previous ranges (with the error recorded).
+ * @returns {Object} the new cache contents
+ */
+export async function refreshBotIpRanges() {
+  if (refreshPromise) return refreshPromise;
+  refreshPromise = (async () => {
+    if (!cache) await readCacheFile();
+    const vendors = {};
+    for (const vendor of Object.keys(BOT_VENDORS)) {
+      const previous = cache?.vendors?.[vendor];
+      const urls = vendorUrls(vendor);
+      if (!urls.length) {
+        vendors[vendor] = { fetchedAt: null, cidrs: [], error: null };
+        continue;
+      }
+      try {
+        const lists = await Promise.all(urls.map(fetchList));
+        vendors[vendor] = { fetchedAt: new Date().toISOString(), cidrs: [...new Set(lists.flat())], error: null };
+      } catch (error) {
+        console.error(`[BOT-VERIFY] ${vendor} IP ranges not refreshed:`, error.message);
+        vendors[vendor] = { fetchedAt: previous?.fetchedAt || null, cidrs: previous?.cidrs || [], error: error.message };
+      }
+    }
+
+    const data = { updatedAt: new Date().toISOString(), vendors };
+    applyCache(data);
+    try {
+      await fs.mkdir(path.dirname(CACHE_FILE), { recursive: true });
+      await fs.writeFile(CACHE_FILE, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('[BOT-VERIFY] Could not write the IP range cache:', error.message);
+    }
+    const counts = Object.entries(vendors).map(([vendor, entry]) => `${vendor}=${entry.cidrs.length}`).join(', ');
+    console.log(`[BOT-VERIFY] IP ranges refreshed: ${counts}`);
+    return data;
+  })().finally(() => {
+    refreshPromise = null;
+  });
+  return refreshPromise;
+}
+
+// Read the cache file once; download when it is missing or older than a day. Visits are
+// verified after the response is sent, so waiting for the first download is fine.
+function ensureLoaded() {
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      await readCacheFile();
+      const age = cache?.updatedAt ? Date.now() - new Date(cache.updatedAt).getTime() : Infinity;
+      if (!cache) {
+        await refreshBotIpRanges();
+      } else if (age > MAX_AGE_MS) {
+        refreshBotIpRanges().catch(() => {});
+      }
+    })().catch(error => {
+      console.error('[BOT-VERIFY] Loading IP ranges failed:', error.message);
+    });
+  }
+  return loadPromise;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error('DNS timeout'), { code: 'ETIMEOUT' })), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// 'pass' | 'fail' | null (lookup error - no verdict)
+async function forwardConfirmedRdns(ip, domains) {
+  const key = `${ip}|${domains.join(',')}`;
+  const cached = rdnsCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.result;
+
+  let result = null;
+  try {
+    const hostnames = await withTimeout(dns.reverse(ip), DNS_TIMEOUT_MS);
+    const host = hostnames.find(h => hostnameMatches(h, domains));
+    if (!host) {
+      result = 'fail';
+    } else {
+      const target = parseIp(ip);
+      const addresses = await withTimeout(dns.lookup(host, { all: true }), DNS_TIMEOUT_MS);
+      result = addresses.some(a => {
+        const parsed = parseIp(a.address);
+        return parsed && parsed.version === target.version && parsed.value === target.value;
+      }) ? 'pass' : 'fail';
+    }
+  } catch (error) {
+    // No PTR record at all: the vendors' crawlers always have one
+    if (error.code === 'ENOTFOUND') result = 'fail';
+  }
+
+  if (rdnsCache.size >= RDNS_CACHE_MAX) rdnsCache.delete(rdnsCache.keys().next().value);
+  rdnsCache.set(key, { result, expiresAt: Date.now() + RDNS_CACHE_TTL_MS });
+  return result;
+}
+
+/**
+ * Verify a visit by a detected bot.
+ * @param {string} botName - detectBot() name
+ * @param {string} ip - client IP
+ * @returns {Promise<{ verification: 'verified'|'unverified'|'spoofed', verifiedBy: 'ip_range'|'rdns'|null }>}
+ */
+export async function verifyBotVisit(botName, ip) {
+  const unverified = { verification: 'unverified', verifiedBy: null };
+  const vendor = vendorForBot(botName);
+  if (!vendor || !parseIp(ip)) return unverified;
+
+  await ensureLoaded();
+  const vendorRanges = ranges[vendor] || [];
+  const inRange = ipInRanges(ip, vendorRanges);
+  const domains = BOT_VENDORS[vendor].rdns;
+  const rdns = !inRange && RDNS_ENABLED && domains.length ? await forwardConfirmedRdns(ip, domains) : null;
+
+  const { status, method } = classifyVisit({ hasRanges: vendorRanges.length > 0, inRange, rdns });
+  return { verification: status, verifiedBy: method };
+}
+
+/**
+ * Cache state for the debug endpoint.
+ */
+export function getBotVerifierStatus() {
+  return {
+    file: CACHE_FILE,
+    rdnsEnabled: RDNS_ENABLED,
+    updatedAt: cache?.updatedAt || null,
+    vendors: Object.fromEntries(Object.keys(BOT_VENDORS).map(vendor => [vendor, {
+      ranges: (ranges[vendor] || []).length,
+      fetchedAt: cache?.vendors?.[vendor]?.fetchedAt || null,
+      error: cache?.vendors?.[vendor]?.error || null
+    }]))
+  };
+}
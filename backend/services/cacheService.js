@@ -98,6 +98,28 @@ class CacheService {
     }
   }
 
+  /**
+   * Increment a counter and (re)set its TTL - meant for per-window keys
+   * @param {string} key - Counter key
+   * @param {number} ttlSeconds - Time to live
+   * @returns {Promise<number|null>} New value, or null when Redis is unavailable
+   */
+  async incr(key, ttlSeconds) {
+    if (!this.enabled) return null;
+
+    try {
+      const [[incrErr, value], [expireErr]] = await this.redis.multi()
+        .incr(key)
+        .expire(key, ttlSeconds)
+        .exec();
+      if (incrErr || expireErr) throw incrErr || expireErr;
+      return value;
+    } catch (error) {
+      console.error('[CACHE] Incr error:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Delete multiple keys matching a pattern
    * @param {string} pattern - Key pattern (e.g., 'shop:*')
@@ -0,0 +1,161 @@
+// backend/services/catalogRefreshQueue.js
+// Debounced catalog refresh after products/collections webhooks.
+// The webhooks only mark what changed (db/CatalogChange.js); a sweep on every worker
+// enqueues one job per shop once its marks have been quiet for CATALOG_DEBOUNCE_MS
+// (or the oldest waited CATALOG_MAX_WAIT_MS, so a busy import still goes out), and the
+// job patches the stored sitemap and the NDJSON feed instead of rebuilding them, then
+// hands the touched URLs to IndexNow.
+// /ai/products.json and the schema sitemap read live data and need no patch.
+//
+// Env:
+//   CATALOG_DEBOUNCE_MS (default 120000) - quiet time after the last webhook
+//   CATALOG_MAX_WAIT_MS (default 600000) - longest a change waits under constant edits
+
+import DurableQueue from './durableQueue.js';
+import indexNowQueue from './indexNowQueue.js';
+import CatalogChange from '../db/CatalogChange.js';
+import { resolveShopToken } from '../utils/tokenResolver.js';
+import { dbLogger } from '../utils/logger.js';
+
+const DEBOUNCE_MS = parseInt(process.env.CATALOG_DEBOUNCE_MS || '120000', 10);
+const MAX_WAIT_MS = parseInt(process.env.CATALOG_MAX_WAIT_MS || '600000', 10);
+const SWEEP_MS = 30 * 1000;
+
+class CatalogRefreshQueue extends DurableQueue {
+  constructor() {
+    super('catalog-refresh', { logTag: '[CATALOG-REFRESH]', jobIdPrefix: 'catalog', maxAttempts: 3 });
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Record a changed product/collection. Called from the webhooks; cheap and idempotent.
+   * @param {string} shop
+   * @param {Object} change
+   * @param {'product'|'collection'} change.resource
+   * @param {string|number} change.resourceId - numeric Shopify id
+   * @param {string} [change.handle] - current handle
+   * @param {string} [change.previousHandle] - handle before this webhook
+   * @param {boolean} [change.published] - visible on the storefront
+   * @param {boolean} [change.deleted]
+   */
+  async markChanged(shop, { resource, resourceId, handle = null, previousHandle = null, published = true, deleted = false }) {
+    const now = new Date();
+    const update = {
+      $set: { handle, published, deleted, lastMarkedAt: now },
+      $setOnInsert: { firstMarkedAt: now }
+    };
+    if (previousHandle && previousHandle !== handle) {
+      update.$addToSet = { previousHandles: previousHandle };
+    }
+    await CatalogChange.updateOne({ shop, resource, resourceId: String(resourceId) }, update, { upsert: true });
+  }
+
+  start() {
+    super.start();
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.sweep(), SWEEP_MS);
+      this.sweepTimer.unref?.();
+    }
+  }
+
+  stop() {
+    super.stop();
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  // Enqueue a refresh for every shop whose marks are due
+  async sweep() {
+    try {
+      const now = Date.now();
+      const due = await CatalogChange.aggregate([
+        { $group: { _id: '$shop', first: { $min: '$firstMarkedAt' }, last: { $max: '$lastMarkedAt' }, count: { $sum: 1 } } },
+        {
+          $match: {
+            $or: [
+              { last: { $lte: new Date(now - DEBOUNCE_MS) } },
+              { first: { $lte: new Date(now - MAX_WAIT_MS) } }
+            ]
+          }
+        }
+      ]);
+      for (const { _id: shop, count } of due) {
+        await this.enqueue(shop, { total: count });
+      }
+    } catch (error) {
+      dbLogger.error(`${this.logTag} Sweep error:`, error.message);
+    }
+  }
+
+  async processJob(job) {
+    // Marks that arrive while the job runs stay for the next sweep
+    const snapshot = new Date();
+    const changes = await CatalogChange.find({ shop: job.shop, lastMarkedAt: { $lte: snapshot } }).lean();
+    if (!changes.length) {
+      await this.finish(job, 'completed');
+      return;
+    }
+
+    const accessToken = await resolveShopToken(job.shop);
+    const req = { auth: { shop: job.shop, accessToken } };
+    const productIds = changes.filter(c => c.resource === 'product').map(c => c.resourceId);
+    const errors = [];
+
+    let sitemap = null;
+    try {
+      const { patchSitemapEntries } = await import('../controllers/sitemapController.js');
+      sitemap = await patchSitemapEntries(job.shop, changes);
+    } catch (error) {
+      errors.push(`sitemap: ${error.message}`);
+    }
+
+    if (sitemap?.patched && sitemap.urls?.length) {
+      try {
+        await indexNowQueue.queueUrls(job.shop, sitemap.urls, 'catalog');
+      } catch (error) {
+        dbLogger.error(`${this.logTag} Could not queue IndexNow URLs for ${job.shop}:`, error.message);
+      }
+    }
+
+    let feed = null;
+    if (productIds.length) {
+      try {
+        const { refreshFeedProducts } = await import('../controllers/productSync.js');
+        feed = await refreshFeedProducts(req, productIds);
+      } catch (error) {
+        errors.push(`feed: ${error.message}`);
+      }
+    }
+
+    if (errors.length) {
+      throw new Error(errors.join('; '));
+    }
+
+    await CatalogChange.deleteMany({
+      _id: { $in: changes.map(c => c._id) },
+      lastMarkedAt: { $lte: snapshot }
+    });
+
+    dbLogger.info(`${this.logTag} ✅ ${job.shop}: ${changes.length} changes applied`, {
+      sitemap: sitemap?.patched ? sitemap.children : sitemap?.reason,
+      feed: feed?.skipped ? feed.reason : feed?.productsCount
+    });
+    await this.finish(job, 'completed');
+  }
+
+  async onJobFailed(job, error) {
+    if (job.attempts < job.maxAttempts) {
+      dbLogger.warn(`${this.logTag} ${job.shop}: ${error.message} - retrying`);
+      return 'retry';
+    }
+    // Give up on these marks; the next full sitemap generation / feed sync includes them
+    await CatalogChange.deleteMany({ shop: job.shop, lastMarkedAt: { $lte: job.startedAt || new Date() } });
+    dbLogger.error(`${this.logTag} ❌ ${job.shop}: ${error.message} - changes dropped until the next full rebuild`);
+    return null;
+  }
+}
+
+// Singleton instance
+const catalogRefreshQueue = new CatalogRefreshQueue();
+
+export default catalogRefreshQueue;
@@ -1,16 +1,20 @@
 // backend/services/collectionJobQueue.js
 // Background job processing for Collection SEO (Generate + Apply) and AI Enhancement
-// Based on seoJobQueue.js pattern
+// Jobs are stored in MongoDB (see durableQueue.js); kind = jobType. Item handlers live in
+// seoController.js ('seo') and aiEnhanceController.js ('aiEnhance')
 
 import Shop from '../db/Shop.js';
+import DurableQueue from './durableQueue.js';
 import { dbLogger } from '../utils/logger.js';
 import emailService from './emailService.js';
 
-class CollectionJobQueue {
+function statusFieldFor(jobType) {
+  return jobType === 'aiEnhance' ? 'collectionAiEnhanceJobStatus' : 'collectionSeoJobStatus';
+}
+
+class CollectionJobQueue extends DurableQueue {
   constructor() {
-    this.queue = []; // In-memory queue
-    this.processing = false;
-    this.currentJob = null;
+    super('collection', { logTag: '[COLLECTION-QUEUE]', jobIdPrefix: 'collection' });
   }
 
   /**
@@ -18,51 +22,20 @@ class CollectionJobQueue {
    * @param {string} shop - Shop domain
    * @param {Array} collections - Array of { collectionId, languages, title }
    * @param {string} jobType - 'seo' or 'aiEnhance'
-   * @param {Function} processFn - Function that processes one collection
+   * @param {Object} [options] - handler options stored with the job ({ model } for 'seo')
    * @returns {Object} Job info
    */
-  async addJob(shop, collections, jobType, processFn) {
-    const statusField = jobType === 'aiEnhance' ? 'collectionAiEnhanceJobStatus' : 'collectionSeoJobStatus';
-    
-    // Check if job already exists in queue
-    const existingJob = this.queue.find(job => job.shop === shop && job.jobType === jobType);
-    if (existingJob) {
-      dbLogger.info(`[COLLECTION-QUEUE] ${jobType} job already queued for shop: ${shop}`);
-      return {
-        queued: false,
-        message: 'Job already in queue',
-        position: this.queue.indexOf(existingJob) + 1
-      };
+  async addJob(shop, collections, jobType, options = {}) {
+    const statusField = statusFieldFor(jobType);
+    const { queued, job } = await this.enqueue(shop, { kind: jobType, items: collections, payload: options });
+
+    if (!queued) {
+      dbLogger.info(`[COLLECTION-QUEUE] ${jobType} job already ${job.status === 'running' ? 'processing' : 'queued'} for shop: ${shop}`);
+      return job.status === 'running'
+        ? { queued: false, message: 'Job already processing', position: 0 }
+        : { queued: false, message: 'Job already in queue', position: await this.queuePosition(job) };
     }
 
-    // Check if currently processing this shop with same job type
-    if (this.currentJob?.shop === shop && this.currentJob?.jobType === jobType) {
-      dbLogger.info(`[COLLECTION-QUEUE] ${jobType} job already processing for shop: ${shop}`);
-      return {
-        queued: false,
-        message: 'Job already processing',
-        position: 0
-      };
-    }
-
-    // Create job
-    const job = {
-      id: `${shop}-collection-${jobType}-${Date.now()}`,
-      shop,
-      collections,
-      jobType,
-      processFn,
-      statusField,
-      status: 'queued',
-      queuedAt: new Date(),
-      totalCollections: collections.length,
-      processedCollections: 0,
-      successfulCollections: 0,
-      failedCollections: 0,
-      skippedCollections: 0
-    };
-
-    this.queue.push(job);
     dbLogger.info(`[COLLECTION-QUEUE] ✅ ${jobType} job added for shop: ${shop}, ${collections.length} collections`);
 
     // Update shop status in DB
@@ -70,7 +43,7 @@ class CollectionJobQueue {
       inProgress: true,
       status: 'queued',
       message: `Queued (${collections.length} collections)`,
-      queuedAt: new Date(),
+      queuedAt: job.queuedAt,
       totalCollections: collections.length,
       processedCollections: 0,
       successfulCollections: 0,
@@ -78,244 +51,163 @@ class CollectionJobQueue {
       skippedCollections: 0
     });
 
-    // Start processing if not already running
-    if (!this.processing) {
-      this.startProcessing();
-    }
-
     return {
       queued: true,
-      jobId: job.id,
-      position: this.queue.length,
+      jobId: job.jobId,
+      position: await this.queuePosition(job),
       totalCollections: collections.length
     };
   }
 
   /**
-   * Start processing the queue
-   * OPTIMIZED: Processes collections in batches of 2 for ~2x speedup
+   * Process one claimed job, 2 collections in parallel.
+   * A resumed job only runs the collections still pending.
    */
-  async startProcessing() {
-    if (this.processing) {
-      return;
+  async processJob(job, { resumed }) {
+    const jobType = job.kind;
+    const statusField = statusFieldFor(jobType);
+    const processFn = jobType === 'aiEnhance'
+      ? (await import('../controllers/aiEnhanceController.js')).enhanceCollectionBatchItem
+      : (await import('../controllers/seoController.js')).processCollectionBatchItem;
+
+    dbLogger.info(`[COLLECTION-QUEUE] 🔧 Processing ${jobType} job for shop: ${job.shop} (${job.total} collections)`);
+    const startTime = Date.now();
+    const processedAtStart = job.processed;
+
+    // Reset cancelled flag at start (a resumed job keeps a cancel that arrived meanwhile)
+    if (!resumed) {
+      await Shop.findOneAndUpdate(
+        { shop: job.shop },
+        { $set: { [`${statusField}.cancelled`]: false } }
+      );
     }
 
-    this.processing = true;
-    dbLogger.info('[COLLECTION-QUEUE] 🔄 Starting queue processing...');
+    // Helper to check if job was cancelled
+    const checkCancelled = async () => {
+      try {
+        const shopDoc = await Shop.findOne({ shop: job.shop }).select(`${statusField}.cancelled`).lean();
+        return shopDoc?.[statusField]?.cancelled === true;
+      } catch (err) {
+        return false;
+      }
+    };
 
-    while (this.queue.length > 0) {
-      const job = this.queue.shift();
-      this.currentJob = job;
+    // Helper to calculate and update progress (ETA from collections done in this run)
+    const updateProgress = async () => {
+      const current = job.processed;
+      const total = job.total;
+      const elapsed = Math.floor((Date.now() - startTime) / 1000);
+      const doneThisRun = current - processedAtStart;
+      // Default estimate: 1.5s for basic, 3s for AI enhancement
+      const avgTimePerCollection = doneThisRun > 0 ? elapsed / doneThisRun : (jobType === 'aiEnhance' ? 3 : 1.5);
+      const remaining = Math.ceil((total - current) * avgTimePerCollection);
+
+      await this.updateShopStatus(job.shop, statusField, {
+        inProgress: true,
+        status: 'processing',
+        message: `Processing ${current}/${total} collections`,
+        totalCollections: total,
+        processedCollections: current,
+        successfulCollections: job.successful,
+        failedCollections: job.failed,
+        skippedCollections: job.skipped,
+        progress: {
+          current,
+          total,
+          percent: Math.round((current / total) * 100),
+          elapsedSeconds: elapsed,
+          remainingSeconds: remaining,
+          startedAt: new Date(startTime)
+        }
+      });
+    };
 
+    await this.processItems(job, async (collectionData) => {
+      const label = collectionData.title || collectionData.collectionId;
       try {
-        dbLogger.info(`[COLLECTION-QUEUE] 🔧 Processing ${job.jobType} job for shop: ${job.shop} (${job.totalCollections} collections)`);
-        
-        job.status = 'processing';
-        job.startedAt = new Date();
-        const startTime = Date.now();
-        
-        // Reset cancelled flag at start
-        await Shop.findOneAndUpdate(
-          { shop: job.shop },
-          { $set: { [`${job.statusField}.cancelled`]: false } }
-        );
-        
-        // Helper to check if job was cancelled
-        const checkCancelled = async () => {
-          try {
-            const shopDoc = await Shop.findOne({ shop: job.shop }).select(`${job.statusField}.cancelled`).lean();
-            return shopDoc?.[job.statusField]?.cancelled === true;
-          } catch (err) {
-            return false;
-          }
-        };
-        
-        // Helper to calculate and update progress
-        const updateProgress = async (current, total) => {
-          const elapsed = Math.floor((Date.now() - startTime) / 1000);
-          // Default estimate: 1.5s for basic, 3s for AI enhancement
-          const avgTimePerCollection = current > 0 ? elapsed / current : (job.jobType === 'aiEnhance' ? 3 : 1.5);
-          const remaining = Math.ceil((total - current) * avgTimePerCollection);
-          
-            await this.updateShopStatus(job.shop, job.statusField, {
-              inProgress: true,
-              status: 'processing',
-            message: `Processing ${current}/${total} collections`,
-            totalCollections: total,
-            processedCollections: current,
-              successfulCollections: job.successfulCollections,
-              failedCollections: job.failedCollections,
-            skippedCollections: job.skippedCollections,
-            progress: {
-              current,
-              total,
-              percent: Math.round((current / total) * 100),
-              elapsedSeconds: elapsed,
-              remainingSeconds: remaining,
-              startedAt: new Date(startTime)
-            }
-            });
-        };
+        const result = await processFn(job.shop, collectionData, job.payload || {});
+        if (result?.skipped) return { status: 'skipped', reason: result.reason ? `${label}: ${result.reason}` : null };
+        if (result?.success) return { status: 'successful' };
+        return { status: 'failed', reason: result?.error ? `${label}: ${result.error}` : null };
+      } catch (error) {
+        // Token/plan errors stop the whole job
+        if (error.status === 402 || error.status === 403 || error.trialRestriction) {
+          throw error;
+        }
+        dbLogger.error(`[COLLECTION-QUEUE] Collection failed: ${collectionData.collectionId}`, error.message);
+        return { status: 'failed', reason: `${label}: ${error.message}` };
+      }
+    }, { isCancelled: checkCancelled, beforeBatch: updateProgress });
+
+    const duration = (Date.now() - new Date(job.startedAt).getTime()) / 1000;
+    dbLogger.info(`[COLLECTION-QUEUE] ✅ ${jobType} job completed for shop: ${job.shop}`, {
+      duration,
+      successful: job.successful,
+      failed: job.failed,
+      skipped: job.skipped,
+      avgPerCollection: (duration / job.total).toFixed(2) + 's'
+    });
 
-        // OPTIMIZATION: Process collections in batches of 2 for parallel execution
-        const BATCH_SIZE = 2;
-        const BATCH_DELAY = 300; // ms between batches
-        let shouldStop = false;
-
-        for (let batchStart = 0; batchStart < job.collections.length && !shouldStop; batchStart += BATCH_SIZE) {
-          // Check for cancellation at start of each batch
-          if (await checkCancelled()) {
-            dbLogger.info(`[COLLECTION-QUEUE] Job cancelled for shop: ${job.shop} after ${job.processedCollections} collections`);
-            throw new Error('CANCELLED_BY_USER');
-          }
-          
-          const batch = job.collections.slice(batchStart, batchStart + BATCH_SIZE);
-          
-          // Update progress before batch
-          await updateProgress(job.processedCollections, job.totalCollections);
-
-          // Process batch in parallel
-          const batchPromises = batch.map(async (collectionData) => {
-            try {
-            const result = await job.processFn(collectionData);
-              return { collectionData, result, success: true, error: null };
-            } catch (error) {
-              return { collectionData, result: null, success: false, error };
-            }
-          });
+    await this.finish(job, 'completed');
 
-          // Wait for all collections in batch to complete
-          const batchResults = await Promise.all(batchPromises);
-
-          // Process batch results
-          for (const batchResult of batchResults) {
-            const { collectionData, result, success, error } = batchResult;
-            
-            if (!success && error) {
-            // Check for token/plan errors that should stop processing
-            if (error.status === 402 || error.status === 403 || error.trialRestriction) {
-                shouldStop = true;
-              job.status = 'failed';
-              job.error = error.message || 'Token or plan restriction';
-              job.failedAt = new Date();
-              
-              await this.updateShopStatus(job.shop, job.statusField, {
-                inProgress: false,
-                status: 'failed',
-                message: error.message || 'Token or plan restriction',
-                lastError: error.message,
-                failedAt: new Date(),
-                totalCollections: job.totalCollections,
-                processedCollections: job.processedCollections,
-                successfulCollections: job.successfulCollections,
-                failedCollections: job.failedCollections,
-                skippedCollections: job.skippedCollections
-              });
-                break;
-            }
-            
-            job.failedCollections++;
-              dbLogger.error(`[COLLECTION-QUEUE] Collection failed: ${collectionData.collectionId}`, error.message);
-            } else if (result?.skipped) {
-              job.skippedCollections++;
-            } else if (result?.success) {
-              job.successfulCollections++;
-            } else {
-            job.failedCollections++;
-          }
-
-          job.processedCollections++;
-          }
-
-          // Small delay between batches
-          if (!shouldStop && batchStart + BATCH_SIZE < job.collections.length) {
-            await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-          }
-        }
+    const statusMessage = jobType === 'aiEnhance' 
+      ? `Enhanced ${job.successful} collections`
+      : `Optimized ${job.successful} collections`;
 
-        // Check if job was stopped due to error
-        if (job.status === 'failed') {
-          this.currentJob = null;
-          continue;
-        }
+    await this.updateShopStatus(job.shop, statusField, {
+      inProgress: false,
+      status: 'completed',
+      message: `${statusMessage}${job.skipped > 0 ? ` (${job.skipped} skipped)` : ''}${job.failed > 0 ? ` (${job.failed} failed)` : ''} in ${duration.toFixed(1)}s`,
+      completedAt: new Date(),
+      lastError: null,
+      totalCollections: job.total,
+      processedCollections: job.processed,
+      successfulCollections: job.successful,
+      failedCollections: job.failed,
+      skippedCollections: job.skipped
+    });
 
-        // Job completed
-        job.status = 'completed';
-        job.completedAt = new Date();
-
-        const duration = (new Date() - job.startedAt) / 1000;
-        dbLogger.info(`[COLLECTION-QUEUE] ✅ ${job.jobType} job completed for shop: ${job.shop}`, {
-          duration,
-          successful: job.successfulCollections,
-          failed: job.failedCollections,
-          skipped: job.skippedCollections,
-          avgPerCollection: (duration / job.totalCollections).toFixed(2) + 's'
-        });
-
-        const statusMessage = job.jobType === 'aiEnhance' 
-          ? `Enhanced ${job.successfulCollections} collections`
-          : `Optimized ${job.successfulCollections} collections`;
-
-        await this.updateShopStatus(job.shop, job.statusField, {
-          inProgress: false,
-          status: 'completed',
-          message: `${statusMessage}${job.skippedCollections > 0 ? ` (${job.skippedCollections} skipped)` : ''}${job.failedCollections > 0 ? ` (${job.failedCollections} failed)` : ''} in ${duration.toFixed(1)}s`,
-          completedAt: new Date(),
-          lastError: null,
-          totalCollections: job.totalCollections,
-          processedCollections: job.processedCollections,
-          successfulCollections: job.successfulCollections,
-          failedCollections: job.failedCollections,
-          skippedCollections: job.skippedCollections
-        });
-        
-        // Send email notification if job took more than 2 minutes
-        if (duration > 120) {
-          try {
-            const shopDoc = await Shop.findOne({ shop: job.shop }).lean();
-            if (shopDoc?.email) {
-              await emailService.sendJobCompletedEmail(shopDoc, {
-                type: job.jobType === 'aiEnhance' ? 'collectionAiEnhance' : 'collectionSeo',
-                successful: job.successfulCollections,
-                failed: job.failedCollections,
-                skipped: job.skippedCollections,
-                duration: duration,
-                itemType: 'collections',
-                failReasons: job.failReasons?.slice(0, 5) || [],
-                skipReasons: job.skipReasons?.slice(0, 5) || []
-              });
-            }
-          } catch (emailErr) {
-            dbLogger.error(`[COLLECTION-QUEUE] Failed to send completion email: ${emailErr.message}`);
-          }
+    // Send email notification if job took more than 2 minutes
+    if (duration > 120) {
+      try {
+        const shopDoc = await Shop.findOne({ shop: job.shop }).lean();
+        if (shopDoc?.email) {
+          await emailService.sendJobCompletedEmail(shopDoc, {
+            type: jobType === 'aiEnhance' ? 'collectionAiEnhance' : 'collectionSeo',
+            successful: job.successful,
+            failed: job.failed,
+            skipped: job.skipped,
+            duration: duration,
+            itemType: 'collections',
+            failReasons: job.failReasons?.slice(0, 5) || [],
+            skipReasons: job.skipReasons?.slice(0, 5) || []
+          });
         }
-
-      } catch (error) {
-        dbLogger.error(`[COLLECTION-QUEUE] ❌ ${job.jobType} job failed for shop: ${job.shop}`, error.message);
-
-        job.status = 'failed';
-        job.error = error.message;
-        job.failedAt = new Date();
-
-        await this.updateShopStatus(job.shop, job.statusField, {
-          inProgress: false,
-          status: 'failed',
-          message: `Failed: ${error.message}`,
-          lastError: error.message,
-          failedAt: new Date(),
-          totalCollections: job.totalCollections,
-          processedCollections: job.processedCollections,
-          successfulCollections: job.successfulCollections,
-          failedCollections: job.failedCollections,
-          skippedCollections: job.skippedCollections
-        });
+      } catch (emailErr) {
+        dbLogger.error(`[COLLECTION-QUEUE] Failed to send completion email: ${emailErr.message}`);
       }
-
-      this.currentJob = null;
     }
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`[COLLECTION-QUEUE] ❌ ${job.kind} job failed for shop: ${job.shop}`, error.message);
+
+    // Token/plan restrictions are shown as-is
+    const restricted = error.status === 402 || error.status === 403 || error.trialRestriction;
 
-    this.processing = false;
-    dbLogger.info('[COLLECTION-QUEUE] ✅ Queue processing completed');
+    await this.updateShopStatus(job.shop, statusFieldFor(job.kind), {
+      inProgress: false,
+      status: 'failed',
+      message: restricted ? (error.message || 'Token or plan restriction') : `Failed: ${error.message}`,
+      lastError: error.message,
+      failedAt: new Date(),
+      totalCollections: job.total,
+      processedCollections: job.processed,
+      successfulCollections: job.successful,
+      failedCollections: job.failed,
+      skippedCollections: job.skipped
+    });
+    return null;
   }
 
   /**
@@ -364,34 +256,34 @@ class CollectionJobQueue {
    * Get job status for a shop
    */
   async getJobStatus(shop, jobType) {
-    const statusField = jobType === 'aiEnhance' ? 'collectionAiEnhanceJobStatus' : 'collectionSeoJobStatus';
-    
+    const statusField = statusFieldFor(jobType);
+    const job = await this.findActiveJob(shop, jobType);
+
     // Check if currently processing
-    if (this.currentJob?.shop === shop && this.currentJob?.jobType === jobType) {
+    if (job?.status === 'running') {
       return {
         inProgress: true,
         status: 'processing',
-        message: `Processing ${this.currentJob.processedCollections}/${this.currentJob.totalCollections}...`,
-        totalCollections: this.currentJob.totalCollections,
-        processedCollections: this.currentJob.processedCollections,
-        successfulCollections: this.currentJob.successfulCollections,
-        failedCollections: this.currentJob.failedCollections,
-        skippedCollections: this.currentJob.skippedCollections,
+        message: `Processing ${job.processed}/${job.total}...`,
+        totalCollections: job.total,
+        processedCollections: job.processed,
+        successfulCollections: job.successful,
+        failedCollections: job.failed,
+        skippedCollections: job.skipped,
         position: 0
       };
     }
 
     // Check if in queue
-    const jobIndex = this.queue.findIndex(job => job.shop === shop && job.jobType === jobType);
-    if (jobIndex !== -1) {
-      const job = this.queue[jobIndex];
+    if (job) {
+      const position = await this.queuePosition(job);
       return {
         inProgress: true,
         status: 'queued',
-        message: `Queued (position ${jobIndex + 1})`,
-        totalCollections: job.totalCollections,
-        processedCollections: 0,
-        position: jobIndex + 1
+        message: `Queued (position ${position})`,
+        totalCollections: job.total,
+        processedCollections: job.processed,
+        position
       };
     }
 
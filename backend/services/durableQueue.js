@@ -0,0 +1,392 @@
+// backend/services/durableQueue.js
+// Base class for the background job queues (SEO, AI enhance, collections, schema, sitemap).
+//
+// Jobs live in MongoDB (db/BackgroundJob.js) instead of process memory:
+// - a worker claims the oldest queued job with a lease (owner + expiresAt) and renews it
+//   while it runs; a job whose lease expired (crash, redeploy) is claimed again by any
+//   instance and resumes with the items that are still pending
+// - every instance that calls start() is a worker, so jobs scale across processes
+// - handlers are plain functions resolved by the subclass from job.queue/kind/payload,
+//   so nothing in a job record depends on the process that created it
+//
+// Env:
+//   JOB_LEASE_MS (default 60000) - lease length, renewed every third of it
+//   JOB_POLL_MS  (default 5000)  - how often idle workers look for jobs
+//
+// Subclasses implement:
+//   processJob(job, { resumed })  - run the job, call recordItem() per item and finish() at the end
+//   onJobFailed(job, error)       - update the Shop status; return 'retry' to queue the job again
+
+import os from 'os';
+import crypto from 'crypto';
+import BackgroundJob from '../db/BackgroundJob.js';
+import { dbLogger } from '../utils/logger.js';
+import { runWithMeter } from '../utils/tokenMeter.js';
+
+// Identifies this process in job leases
+export const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const LEASE_MS = parseInt(process.env.JOB_LEASE_MS || '60000', 10);
+const POLL_MS = parseInt(process.env.JOB_POLL_MS || '5000', 10);
+const REASONS_LIMIT = 50;
+
+/**
+ * Thrown when another worker took over the job (our lease expired).
+ * The job is not failed - the new owner continues it.
+ */
+export class LeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Lease lost for job ${jobId}`);
+    this.name = 'LeaseLostError';
+  }
+}
+
+export default class DurableQueue {
+  /**
+   * @param {string} name - BackgroundJob.queue value
+   * @param {Object} options
+   * @param {string} options.logTag - e.g. '[SEO-JOB-QUEUE]'
+   * @param {string} options.jobIdPrefix - public job ids look like `${shop}-${prefix}-${timestamp}`
+   * @param {number} [options.maxAttempts=3] - claims before a job is given up
+   */
+  constructor(name, { logTag, jobIdPrefix, maxAttempts = 3 } = {}) {
+    this.name = name;
+    this.logTag = logTag || `[${name.toUpperCase()}-QUEUE]`;
+    this.jobIdPrefix = jobIdPrefix || name;
+    this.maxAttempts = maxAttempts;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Store a new job unless the shop already has an active one for this queue (+ kind).
+   * @returns {Promise<{queued: boolean, job: Object}>} job is the existing one when queued is false
+   */
+  async enqueue(shop, { kind = null, items = [], payload = {}, total, failed = 0, failReasons = [], maxAttempts } = {}) {
+    const existing = await this.findActiveJob(shop, kind);
+    if (existing) {
+      return { queued: false, job: existing };
+    }
+
+    try {
+      const kindPart = kind ? `${kind}-` : '';
+      const job = await BackgroundJob.create({
+        queue: this.name,
+        kind,
+        shop,
+        jobId: `${shop}-${this.jobIdPrefix}-${kindPart}${Date.now()}`,
+        payload,
+        items: items.map(data => ({ data })),
+        total: total ?? items.length,
+        failed,
+        failReasons: failReasons.slice(-REASONS_LIMIT),
+        maxAttempts: maxAttempts || this.maxAttempts
+      });
+      dbLogger.info(`${this.logTag} ✅ Job ${job.jobId} stored (${items.length} items)`);
+      this.kick();
+      return { queued: true, job: job.toObject() };
+    } catch (error) {
+      // Another instance enqueued for the same shop at the same moment
+      if (error.code === 11000) {
+        return { queued: false, job: await this.findActiveJob(shop, kind) };
+      }
+      throw error;
+    }
+  }
+
+  findActiveJob(shop, kind = null) {
+    return BackgroundJob.findOne({ queue: this.name, shop, kind, active: true }).lean();
+  }
+
+  /**
+   * 1-based position among queued jobs of this queue, 0 when running.
+   */
+  async queuePosition(job) {
+    if (job.status !== 'queued') return 0;
+    const ahead = await BackgroundJob.countDocuments({ queue: this.name, status: 'queued', queuedAt: { $lt: job.queuedAt } });
+    return ahead + 1;
+  }
+
+  /**
+   * Cancel the shop's active job: a queued job is dropped, a running job is flagged
+   * and stops at its next checkpoint (see isCancelRequested).
+   */
+  async cancel(shop, kind = null) {
+    const now = new Date();
+    await BackgroundJob.updateOne(
+      { queue: this.name, shop, kind, active: true, status: 'queued' },
+      { $set: { status: 'cancelled', active: false, finishedAt: now, lastError: 'Cancelled by user' } }
+    );
+    await BackgroundJob.updateOne(
+      { queue: this.name, shop, kind, active: true, status: 'running' },
+      { $set: { cancelRequested: true } }
+    );
+  }
+
+  async isCancelRequested(job) {
+    const doc = await BackgroundJob.findById(job._id).select('cancelRequested').lean();
+    return doc?.cancelRequested === true;
+  }
+
+  async getStats() {
+    const [queued, running] = await Promise.all([
+      BackgroundJob.countDocuments({ queue: this.name, status: 'queued' }),
+      BackgroundJob.countDocuments({ queue: this.name, status: 'running' })
+    ]);
+    return { queue: this.name, queued, running, polling: this.polling, worker: WORKER_ID };
+  }
+
+  // ------------------------------------------------------------------ worker
+
+  /**
+   * Start claiming jobs in this process. Also resumes jobs left behind by a dead worker
+   * once their lease has expired.
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), POLL_MS);
+    this.timer.unref?.();
+    dbLogger.info(`${this.logTag} Worker ${WORKER_ID} started`);
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Look for work right away (after enqueue) instead of waiting for the next poll
+  kick() {
+    if (this.timer) setImmediate(() => this.poll());
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      let job;
+      while (this.timer && (job = await this.claim())) {
+        await this.run(job);
+      }
+    } catch (error) {
+      dbLogger.error(`${this.logTag} Poll error:`, error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  claim() {
+    const now = new Date();
+    return BackgroundJob.findOneAndUpdate(
+      {
+        queue: this.name,
+        $or: [
+          { status: 'queued' },
+          { status: 'running', 'lease.expiresAt': { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          'lease.owner': WORKER_ID,
+          'lease.expiresAt': new Date(now.getTime() + LEASE_MS)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { queuedAt: 1 }, new: true }
+    ).lean();
+  }
+
+  async run(job) {
+    const resumed = !!job.startedAt;
+    if (resumed) {
+      dbLogger.info(`${this.logTag} 🔁 Resuming job ${job.jobId} at ${job.processed}/${job.total} (attempt ${job.attempts}/${job.maxAttempts})`);
+    } else {
+      job.startedAt = new Date();
+      await BackgroundJob.updateOne({ _id: job._id }, { $set: { startedAt: job.startedAt } });
+    }
+
+    const heartbeat = setInterval(() => this.renewLease(job), Math.floor(LEASE_MS / 3));
+    try {
+      if (job.attempts > job.maxAttempts) {
+        throw new Error(`Gave up after ${job.maxAttempts} attempts`);
+      }
+      // Token reservations made while the job runs are attributed to it in the ledger
+      await runWithMeter({ jobId: job.jobId, queue: this.name }, () => this.processJob(job, { resumed }));
+    } catch (error) {
+      if (error instanceof LeaseLostError) {
+        dbLogger.warn(`${this.logTag} ${error.message} - another worker continues it`);
+        return;
+      }
+      let outcome = null;
+      try {
+        outcome = await this.onJobFailed(job, error);
+      } catch (hookError) {
+        dbLogger.error(`${this.logTag} onJobFailed error:`, hookError.message);
+      }
+      if (outcome === 'retry' && job.attempts < job.maxAttempts) {
+        await this.requeue(job, error.message);
+      } else {
+        const cancelled = String(error.message || '').includes('CANCELLED');
+        await this.finish(job, cancelled ? 'cancelled' : 'failed', { error: error.message });
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async renewLease(job) {
+    try {
+      const res = await BackgroundJob.updateOne(
+        { _id: job._id, 'lease.owner': WORKER_ID, status: 'running' },
+        { $set: { 'lease.expiresAt': new Date(Date.now() + LEASE_MS) } }
+      );
+      if (res.matchedCount === 0) job.leaseLost = true;
+    } catch (error) {
+      dbLogger.error(`${this.logTag} Lease renewal failed for ${job.jobId}:`, error.message);
+    }
+  }
+
+  // ---------------------------------------------------------- job helpers
+
+  /**
+   * Items not processed yet, with their index in job.items.
+   */
+  pendingItems(job) {
+    return job.items
+      .map((item, index) => ({ index, data: item.data, status: item.status }))
+      .filter(item => item.status === 'pending');
+  }
+
+  /**
+   * Persist the outcome of one item (and renew the lease).
+   * @param {'successful'|'failed'|'skipped'} status
+   * @param {string|null} reason - shown in skip/fail reasons
+   * @throws {LeaseLostError} when this worker no longer owns the job
+   */
+  async recordItem(job, index, status, reason = null) {
+    if (job.leaseLost) throw new LeaseLostError(job.jobId);
+
+    const update = {
+      $set: {
+        [`items.${index}.status`]: status,
+        [`items.${index}.reason`]: reason,
+        'lease.expiresAt': new Date(Date.now() + LEASE_MS)
+      },
+      $inc: { processed: 1, [status]: 1 }
+    };
+    const reasonsField = status === 'failed' ? 'failReasons' : status === 'skipped' ? 'skipReasons' : null;
+    if (reasonsField && reason) {
+      update.$push = { [reasonsField]: { $each: [reason], $slice: -REASONS_LIMIT } };
+    }
+
+    const res = await BackgroundJob.updateOne(
+      { _id: job._id, 'lease.owner': WORKER_ID, [`items.${index}.status`]: 'pending' },
+      update
+    );
+    if (res.matchedCount === 0) {
+      job.leaseLost = true;
+      throw new LeaseLostError(job.jobId);
+    }
+
+    job.items[index].status = status;
+    job.items[index].reason = reason;
+    job.processed++;
+    job[status]++;
+    if (reasonsField && reason) job[reasonsField].push(reason);
+  }
+
+  /**
+   * Run the pending items in small parallel batches (the pattern every item queue used),
+   * persisting each outcome so a resumed job continues where it stopped.
+   * @param {Function} handleItem - async (data) => { status: 'successful'|'failed'|'skipped', reason? };
+   *   a rejection fails the whole job (e.g. plan or token errors)
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=2]
+   * @param {number} [options.batchDelay=300] - ms between batches
+   * @param {Function} [options.isCancelled] - extra cancellation check (Shop flags)
+   * @param {Function} [options.beforeBatch] - progress hook, called before each batch
+   */
+  async processItems(job, handleItem, { batchSize = 2, batchDelay = 300, isCancelled, beforeBatch } = {}) {
+    const pending = this.pendingItems(job);
+
+    for (let start = 0; start < pending.length; start += batchSize) {
+      if (await this.isCancelRequested(job) || (isCancelled && await isCancelled())) {
+        dbLogger.info(`${this.logTag} Job cancelled for shop: ${job.shop} after ${job.processed} items`);
+        throw new Error('CANCELLED_BY_USER');
+      }
+      if (beforeBatch) await beforeBatch();
+
+      const batch = pending.slice(start, start + batchSize);
+      // One meter per item so parallel items do not share provider costs
+      const results = await Promise.allSettled(batch.map(item => runWithMeter({}, () => handleItem(item.data))));
+
+      let fatal = null;
+      for (let i = 0; i < batch.length; i++) {
+        if (results[i].status === 'rejected') {
+          fatal = fatal || results[i].reason;
+          continue;
+        }
+        const { status, reason = null } = results[i].value;
+        await this.recordItem(job, batch[i].index, status, reason);
+      }
+      if (fatal) throw fatal;
+
+      if (start + batchSize < pending.length) {
+        await new Promise(resolve => setTimeout(resolve, batchDelay));
+      }
+    }
+  }
+
+  async finish(job, status, { error = null } = {}) {
+    job.status = status;
+    job.finishedAt = new Date();
+    await BackgroundJob.updateOne(
+      { _id: job._id, 'lease.owner': WORKER_ID },
+      {
+        $set: {
+          status,
+          active: false,
+          finishedAt: job.finishedAt,
+          lastError: error,
+          'lease.owner': null,
+          'lease.expiresAt': null
+        }
+      }
+    );
+  }
+
+  async requeue(job, error) {
+    dbLogger.warn(`${this.logTag} 🔄 Job ${job.jobId} queued again (attempt ${job.attempts + 1}/${job.maxAttempts})`);
+    await BackgroundJob.updateOne(
+      { _id: job._id, 'lease.owner': WORKER_ID },
+      {
+        $set: {
+          status: 'queued',
+          lastError: error,
+          queuedAt: new Date(),
+          'lease.owner': null,
+          'lease.expiresAt': null
+        }
+      }
+    );
+  }
+
+  // ---------------------------------------------------------- subclass hooks
+
+  /**
+   * Run the job. Overridden by every queue; called as processJob(job, { resumed }).
+   * job - the claimed BackgroundJob (lean); resumed - true when an earlier claim lost its lease
+   */
+  async processJob() {
+    throw new Error(`${this.constructor.name}.processJob() not implemented`);
+  }
+
+  /**
+   * Called as onJobFailed(job, error) when processJob throws. Return 'retry' to queue
+   * the job again (up to maxAttempts); the default gives up.
+   */
+  async onJobFailed() {
+    return null;
+  }
+}
@@ -709,6 +709,69 @@ class EmailService {
     }
   }
 
+  /**
+   * Send email when token spending crosses a spending limit
+   * @param {Object} store - Store object with shop, email, etc.
+   * @param {Object} alert - { type: 'budget-warning'|'budget-reached'|'low-balance', ...getSpendingStatus() }
+   */
+  async sendTokenAlertEmail(store, alert) {
+    if (!process.env.SENDGRID_API_KEY) {
+      console.warn('⚠️ SendGrid not configured - skipping token alert email');
+      return { success: false, error: 'SendGrid not configured' };
+    }
+
+    try {
+      const shopName = store.shop?.replace('.myshopify.com', '') || store.shop || 'there';
+
+      const subjects = {
+        'budget-warning': `⚠️ You have used ${alert.percentUsed}% of your monthly token budget`,
+        'budget-reached': '⛔ Monthly token budget reached - new AI jobs are paused',
+        'low-balance': '🪫 Your token balance is running low'
+      };
+
+      // Prepare logo attachment
+      const logoPath = path.join(__dirname, '..', 'assets', 'logo', 'Logo_120x120.png');
+      const attachments = [];
+      if (fs.existsSync(logoPath)) {
+        const logoContent = fs.readFileSync(logoPath);
+        attachments.push({
+          content: logoContent.toString('base64'),
+          filename: 'logo.png',
+          type: 'image/png',
+          disposition: 'inline',
+          content_id: 'logo'
+        });
+      }
+
+      const msg = {
+        to: store.email,
+        from: { email: this.fromEmail, name: this.fromName },
+        subject: subjects[alert.type] || 'Token spending alert',
+        html: this.getTokenAlertEmailTemplate({
+          ...alert,
+          shopName,
+          shop: store.shop,
+          email: store.email,
+          billingUrl: this.getBillingUrl(store.shop)
+        }),
+        attachments,
+        trackingSettings: {
+          clickTracking: { enable: false },
+          openTracking: { enable: true }
+        }
+      };
+
+      await sgMail.send(msg);
+      await this.logEmail(store._id || store.id, store.shop, 'token-alert', 'sent');
+      console.log(`📧 Token alert (${alert.type}) sent to ${store.email} for ${store.shop}`);
+      return { success: true };
+    } catch (error) {
+      console.error('❌ Token alert email error:', error);
+      await this.logEmail(store._id || store.id, store.shop, 'token-alert', 'failed', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Helper methods
    */
@@ -1680,6 +1743,117 @@ class EmailService {
     `;
   }
 
+  getTokenAlertEmailTemplate(data) {
+    const fmt = (n) => Number(n || 0).toLocaleString('en-US');
+    const headlines = {
+      'budget-warning': `⚠️ ${data.percentUsed}% of your monthly token budget used`,
+      'budget-reached': '⛔ Monthly token budget reached',
+      'low-balance': '🪫 Token balance running low'
+    };
+    const intros = {
+      'budget-warning': `Your store has used ${data.percentUsed}% of the monthly token budget you set. AI jobs that would go over the budget will be refused until next month or until you raise it.`,
+      'budget-reached': 'Your store has reached the monthly token budget you set. New AI optimizations are refused until next month or until you raise the budget in Billing.',
+      'low-balance': `Your token balance has dropped below ${fmt(data.lowBalanceThreshold)} tokens. Buy more tokens to keep AI optimizations running.`
+    };
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Token Spending Alert</title>
+      </head>
+      <body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5;">
+        <table role="presentation" style="width: 100%; border-collapse: collapse; background-color: #f5f5f5;">
+          <tr>
+            <td align="center" style="padding: 40px 20px;">
+              <table role="presentation" style="max-width: 600px; width: 100%; background-color: #ffffff; border-collapse: collapse; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+                <!-- Header -->
+                <tr>
+                  <td style="padding: 40px 40px; background: linear-gradient(135deg, #3b82f6 0%, #1e40af 100%);">
+                    <table role="presentation" style="width: 100%; border-collapse: collapse;">
+                      <tr>
+                        <!-- Logo (Left) -->
+                        <td style="width: auto; vertical-align: middle; padding-right: 25px;">
+                          <img src="cid:logo" alt="indexAIze Logo" style="width: 80px; height: 80px; display: block; border: none; outline: none; background: transparent; border-radius: 12px;" />
+                        </td>
+                        <!-- Text (Center) -->
+                        <td style="text-align: left; vertical-align: middle; padding-left: 0;">
+                          <p style="margin: 0 0 5px; color: rgba(255,255,255,0.8); font-size: 14px; letter-spacing: 0.5px;">indexAIze</p>
+                          <p style="margin: 0; color: #ffffff; font-size: 20px; font-weight: 600; line-height: 1.3;">${headlines[data.type] || 'Token spending alert'}</p>
+                        </td>
+                        <!-- Spacer (Right) -->
+                        <td style="width: auto;"></td>
+                      </tr>
+                    </table>
+                  </td>
+                </tr>
+                
+                <!-- Main Content -->
+                <tr>
+                  <td style="padding: 40px 40px 30px;">
+                    <p style="margin: 0 0 20px; color: #1a1a1a; font-size: 16px; line-height: 1.6;">Hello ${data.shopName},</p>
+                    
+                    <p style="margin: 0 0 30px; color: #4a4a4a; font-size: 15px; line-height: 1.6;">
+                      ${intros[data.type] || ''}
+                    </p>
+                    
+                    <!-- Spending Summary -->
+                    <div style="background-color: #f0f7ff; border-left: 4px solid #2563eb; padding: 20px; margin: 30px 0;">
+                      <h3 style="margin: 0 0 15px; color: #1e40af; font-size: 16px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px;">Token Spending</h3>
+                      
+                      <table style="width: 100%; border-collapse: collapse;">
+                        ${data.monthlyBudget ? `
+                        <tr>
+                          <td style="padding: 10px 0; color: #64748b; font-size: 14px;">Used this month</td>
+                          <td style="padding: 10px 0; text-align: right; font-weight: 600; font-size: 14px; color: #1e293b;">${fmt(data.spent + data.reserved)} / ${fmt(data.monthlyBudget)}</td>
+                        </tr>
+                        ` : ''}
+                        <tr>
+                          <td style="padding: 10px 0; color: #64748b; font-size: 14px;">Current balance</td>
+                          <td style="padding: 10px 0; text-align: right; font-weight: 600; font-size: 14px; color: ${data.lowBalance ? '#dc2626' : '#1e293b'};">${fmt(data.balance)} tokens</td>
+                        </tr>
+                        ${data.maxPerJob ? `
+                        <tr style="border-top: 1px solid #dbeafe;">
+                          <td style="padding: 15px 0 0; color: #64748b; font-size: 14px;">Per-job limit</td>
+                          <td style="padding: 15px 0 0; text-align: right; font-size: 14px; color: #1e293b;">${fmt(data.maxPerJob)} tokens</td>
+                        </tr>
+                        ` : ''}
+                      </table>
+                    </div>
+                    
+                    <!-- CTA Button -->
+                    <div style="text-align: center; margin: 35px 0;">
+                      <a href="${data.billingUrl}" style="display: inline-block; background: linear-gradient(135deg, #3b82f6 0%, #2563eb 100%); color: #ffffff; text-decoration: none; padding: 14px 32px; font-size: 15px; font-weight: 600; border-radius: 4px; letter-spacing: 0.3px; box-shadow: 0 2px 4px rgba(37, 99, 235, 0.3);">
+                        ${data.type === 'low-balance' ? 'Buy Tokens' : 'Manage Spending Limits'}
+                      </a>
+                    </div>
+                    
+                    <p style="margin: 30px 0 0; color: #8a8a8a; font-size: 13px; line-height: 1.6;">
+                      You can change or turn off these alerts in Billing → Token usage.
+                    </p>
+                  </td>
+                </tr>
+                
+                <!-- Footer -->
+                <tr>
+                  <td style="padding: 30px 40px; background-color: #f0f7ff; border-top: 1px solid #dbeafe; text-align: center;">
+                    <p style="margin: 0 0 15px; color: #64748b; font-size: 12px; line-height: 1.6;">
+                      <strong style="color: #1e40af;">indexAIze Team</strong>
+                    </p>
+                    ${data.shop && data.email ? this.getUnsubscribeFooter(data.shop, data.email) : ''}
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+      </html>
+    `;
+  }
+
   getReengagementEmailTemplate(data) {
     return `
       <!DOCTYPE html>
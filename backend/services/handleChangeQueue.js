@@ -0,0 +1,90 @@
+// backend/services/handleChangeQueue.js
+// Background "apply slug" for many products/collections at once.
+// Jobs are stored in MongoDB (see durableQueue.js) - each item runs applyHandleChange()
+// from handleController.js; taken handles are skipped, not failed.
+
+import BackgroundJob from '../db/BackgroundJob.js';
+import DurableQueue from './durableQueue.js';
+import { dbLogger } from '../utils/logger.js';
+
+class HandleChangeQueue extends DurableQueue {
+  constructor() {
+    super('handle-change', { logTag: '[HANDLE-CHANGE-QUEUE]', jobIdPrefix: 'handle', maxAttempts: 2 });
+  }
+
+  /**
+   * @param {string} shop
+   * @param {Array<{ resource: 'product'|'collection', id: string, handle: string, title?: string }>} items
+   * @returns {Object} Job info
+   */
+  async addJob(shop, items) {
+    const { queued, job } = await this.enqueue(shop, { items });
+
+    if (!queued) {
+      return job.status === 'running'
+        ? { queued: false, message: 'Handle changes already processing', position: 0 }
+        : { queued: false, message: 'Handle changes already queued', position: await this.queuePosition(job) };
+    }
+
+    dbLogger.info(`${this.logTag} ✅ Job added for shop: ${shop}, ${items.length} handles`);
+    return {
+      queued: true,
+      jobId: job.jobId,
+      position: await this.queuePosition(job),
+      total: items.length
+    };
+  }
+
+  async processJob(job) {
+    const { applyHandleChange } = await import('../controllers/handleController.js');
+
+    await this.processItems(job, async (item) => {
+      try {
+        const result = await applyHandleChange(null, job.shop, { ...item, jobId: job.jobId });
+        return result.changed
+          ? { status: 'successful' }
+          : { status: 'skipped', reason: `${item.title || item.handle}: ${result.reason}` };
+      } catch (error) {
+        if (error.status === 409) {
+          return { status: 'skipped', reason: `${item.title || item.handle}: ${error.message}` };
+        }
+        return { status: 'failed', reason: `${item.title || item.handle}: ${error.message}` };
+      }
+    }, { batchSize: 1 });
+
+    dbLogger.info(`${this.logTag} ✅ ${job.shop}: ${job.successful} handles changed, ${job.skipped} skipped, ${job.failed} failed`);
+    await this.finish(job, 'completed');
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`${this.logTag} ❌ Job failed for shop: ${job.shop}`, error.message);
+    return null;
+  }
+
+  /**
+   * Active job, or the last finished one (read straight from BackgroundJob - this queue
+   * keeps no status on the Shop document).
+   */
+  async getJobStatus(shop) {
+    const job = await this.findActiveJob(shop)
+      || await BackgroundJob.findOne({ queue: this.name, shop }).sort({ queuedAt: -1 }).lean();
+    if (!job) return { inProgress: false, status: 'idle' };
+
+    return {
+      inProgress: job.active === true,
+      status: job.status,
+      jobId: job.jobId,
+      total: job.total,
+      processed: job.processed,
+      successful: job.successful,
+      failed: job.failed,
+      skipped: job.skipped,
+      skipReasons: (job.skipReasons || []).slice(-10),
+      failReasons: (job.failReasons || []).slice(-10),
+      position: job.status === 'queued' ? await this.queuePosition(job) : 0
+    };
+  }
+}
+
+const handleChangeQueue = new HandleChangeQueue();
+export default handleChangeQueue;
@@ -0,0 +1,308 @@
+// backend/services/indexNowQueue.js
+// Tells search and AI engines about changed URLs through IndexNow.
+// Callers queue URLs (SEO apply, sitemap generation, webhook patches); a sweep on every
+// worker enqueues one job per shop once its oldest URL waited INDEXNOW_BATCH_MS, and the
+// job sends them in one request per storefront host. Every request is kept as an
+// IndexNowSubmission for the history on the Sitemap page.
+//
+// The key file is served by the app proxy (/apps/{subpath}/indexnow/{key}.txt); a
+// storefront redirect from /{key}.txt makes it valid for the whole host.
+//
+// Env:
+//   INDEXNOW_ENABLED  (default true)  - false turns submissions off for all shops
+//   INDEXNOW_ENDPOINT (default https://api.indexnow.org/indexnow) - point at a local stub in tests
+//   INDEXNOW_BATCH_MS (default 60000) - how long URLs collect before a batch goes out
+
+import fetch from 'node-fetch';
+import DurableQueue from './durableQueue.js';
+import Shop from '../db/Shop.js';
+import Sitemap from '../db/Sitemap.js';
+import IndexNowPending from '../db/IndexNowPending.js';
+import IndexNowSubmission from '../db/IndexNowSubmission.js';
+import { resolveShopToken } from '../utils/tokenResolver.js';
+import { makeShopifyGraphQLRequest } from '../utils/shopifyGraphQL.js';
+import { dbLogger } from '../utils/logger.js';
+import {
+  DEFAULT_INDEXNOW_ENDPOINT,
+  INDEXNOW_MAX_URLS,
+  generateIndexNowKey,
+  isValidIndexNowKey,
+  groupUrlsByHost,
+  buildIndexNowPayload,
+  interpretIndexNowResponse
+} from '../utils/indexNow.js';
+
+const ENABLED = process.env.INDEXNOW_ENABLED !== 'false';
+const BATCH_MS = parseInt(process.env.INDEXNOW_BATCH_MS || '60000', 10);
+const APP_PROXY_SUBPATH = process.env.APP_PROXY_SUBPATH || 'indexaize';
+const SWEEP_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_URL_ATTEMPTS = 3;
+
+export function getIndexNowEndpoint() {
+  return process.env.INDEXNOW_ENDPOINT || DEFAULT_INDEXNOW_ENDPOINT;
+}
+
+const URL_REDIRECT_CREATE = `
+  mutation urlRedirectCreate($urlRedirect: UrlRedirectInput!) {
+    urlRedirectCreate(urlRedirect: $urlRedirect) {
+      urlRedirect { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+class IndexNowQueue extends DurableQueue {
+  constructor() {
+    super('indexnow', { logTag: '[INDEXNOW]', jobIdPrefix: 'indexnow', maxAttempts: 2 });
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Queue storefront URLs for the next batch of the shop.
+   * @param {string} shop
+   * @param {string[]} urls - absolute URLs
+   * @param {string} source - 'sitemap' | 'catalog' | 'manual'
+   */
+  async queueUrls(shop, urls, source) {
+    if (!ENABLED || !urls?.length) return;
+    const now = new Date();
+    await IndexNowPending.bulkWrite([...new Set(urls)].map(url => ({
+      updateOne: {
+        filter: { shop, key: url },
+        update: { $set: { url, source, attempts: 0 }, $setOnInsert: { queuedAt: now } },
+        upsert: true
+      }
+    })), { ordered: false });
+  }
+
+  /**
+   * Queue a product page in one language; resolved to its storefront URL when sent.
+   * @param {string} shop
+   * @param {string|number} productId - GID or numeric id
+   * @param {string} language - locale the SEO was applied for
+   */
+  async queueProduct(shop, productId, language, source = 'seo-apply') {
+    if (!ENABLED) return;
+    const numericId = String(productId).replace('gid://shopify/Product/', '');
+    const lang = String(language || '').toLowerCase();
+    await IndexNowPending.updateOne(
+      { shop, key: `product:${numericId}:${lang}` },
+      { $set: { productId: numericId, language: lang, source, attempts: 0 }, $setOnInsert: { queuedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  // Send the shop's pending URLs now instead of waiting for the sweep
+  submitNow(shop) {
+    return this.enqueue(shop, { payload: { manual: true } });
+  }
+
+  start() {
+    super.start();
+    if (ENABLED && !this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.sweep(), SWEEP_MS);
+      this.sweepTimer.unref?.();
+    }
+  }
+
+  stop() {
+    super.stop();
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  async sweep() {
+    try {
+      const shops = await IndexNowPending.distinct('shop', { queuedAt: { $lte: new Date(Date.now() - BATCH_MS) } });
+      for (const shop of shops) {
+        await this.enqueue(shop);
+      }
+    } catch (error) {
+      dbLogger.error(`${this.logTag} Sweep error:`, error.message);
+    }
+  }
+
+  /**
+   * The shop's key, created on first use together with the /{key}.txt storefront redirect.
+   * Without the redirect the key location is the app proxy path, which IndexNow only
+   * accepts for URLs under that path.
+   */
+  async ensureKey(shop, primaryUrl) {
+    const shopDoc = await Shop.findOne({ shop }).select('indexNow').lean();
+    let { key, redirectId } = shopDoc?.indexNow || {};
+    if (!isValidIndexNowKey(key)) {
+      key = generateIndexNowKey();
+      redirectId = null;
+    }
+
+    if (!redirectId) {
+      try {
+        const accessToken = await resolveShopToken(shop);
+        const data = await makeShopifyGraphQLRequest(shop, accessToken, URL_REDIRECT_CREATE, {
+          urlRedirect: { path: `/${key}.txt`, target: `/apps/${APP_PROXY_SUBPATH}/indexnow/${key}.txt` }
+        });
+        const errors = data?.urlRedirectCreate?.userErrors || [];
+        redirectId = data?.urlRedirectCreate?.urlRedirect?.id
+          // A redirect left from an earlier attempt serves the same file
+          || (errors.some(e => /already/i.test(e.message)) ? 'existing' : null);
+        if (!redirectId && errors.length) {
+          dbLogger.warn(`${this.logTag} ${shop}: key redirect not created:`, errors.map(e => e.message).join('; '));
+        }
+      } catch (error) {
+        dbLogger.warn(`${this.logTag} ${shop}: key redirect not created:`, error.message);
+      }
+    }
+
+    const keyLocation = redirectId ? null : `${primaryUrl}/apps/${APP_PROXY_SUBPATH}/indexnow/${key}.txt`;
+    await Shop.updateOne(
+      { shop },
+      { $set: { 'indexNow.key': key, 'indexNow.redirectId': redirectId, 'indexNow.keyLocation': keyLocation } }
+    );
+    return { key, keyLocation };
+  }
+
+  // Storefront roots from the last sitemap generation (primary domain + market domains/subfolders)
+  async storefrontTargets(shop) {
+    const sitemap = await Sitemap.findOne({ shop }).select('hreflangTargets').lean();
+    if (sitemap?.hreflangTargets?.length) return sitemap.hreflangTargets;
+
+    const accessToken = await resolveShopToken(shop);
+    const data = await makeShopifyGraphQLRequest(shop, accessToken, '{ shop { primaryDomain { url } } }');
+    const url = data?.shop?.primaryDomain?.url || `https://${shop}`;
+    return [{ hreflang: null, locale: null, url: url.replace(/\/+$/, ''), primary: true }];
+  }
+
+  async processJob(job) {
+    const shopDoc = await Shop.findOne({ shop: job.shop }).select('indexNow').lean();
+    if (!ENABLED || shopDoc?.indexNow?.enabled === false) {
+      await IndexNowPending.deleteMany({ shop: job.shop });
+      await this.finish(job, 'completed');
+      return;
+    }
+
+    const pending = await IndexNowPending.find({ shop: job.shop }).sort({ queuedAt: 1 }).limit(INDEXNOW_MAX_URLS).lean();
+    if (!pending.length) {
+      await this.finish(job, 'completed');
+      return;
+    }
+
+    const targets = await this.storefrontTargets(job.shop);
+    const primary = targets.find(t => t.primary) || targets[0];
+    const rootFor = language => (language && targets.find(t => t.locale?.toLowerCase() === language)?.url) || primary.url;
+
+    // Product references → storefront URLs
+    const productIds = [...new Set(pending.filter(p => p.productId).map(p => p.productId))];
+    const handles = new Map();
+    if (productIds.length) {
+      const { default: Product } = await import('../db/Product.js');
+      const products = await Product.find({ shop: job.shop, productId: { $in: productIds } })
+        .select('productId handle status').lean();
+      for (const product of products) {
+        if (product.handle && (product.status || 'active').toLowerCase() === 'active') {
+          handles.set(String(product.productId), product.handle);
+        }
+      }
+    }
+
+    const entries = [];
+    const dropped = [];
+    for (const item of pending) {
+      const url = item.url || (handles.has(item.productId) ? `${rootFor(item.language)}/products/${handles.get(item.productId)}` : null);
+      if (url) entries.push({ ...item, url });
+      else dropped.push(item._id);
+    }
+
+    const hosts = targets.map(t => new URL(t.url).host);
+    const { batches, skipped } = groupUrlsByHost(entries.map(e => e.url), hosts);
+    const { key, keyLocation } = await this.ensureKey(job.shop, primary.url);
+    const endpoint = getIndexNowEndpoint();
+    const sourceByUrl = new Map(entries.map(e => [e.url, e.source]));
+    const sourcesOf = urls => [...new Set(urls.map(url => sourceByUrl.get(url)).filter(Boolean))];
+
+    if (skipped.length) {
+      await IndexNowSubmission.create({
+        shop: job.shop,
+        endpoint,
+        sources: sourcesOf(skipped),
+        urls: skipped.map(url => ({ url, status: 'skipped' })),
+        urlCount: skipped.length,
+        status: 'skipped',
+        message: 'Not a storefront URL of this shop'
+      });
+    }
+
+    const retry = new Set();
+    for (const batch of batches) {
+      const payload = buildIndexNowPayload({
+        host: batch.host,
+        key,
+        // The proxy key location only exists on the primary domain
+        keyLocation: keyLocation && new URL(keyLocation).host === batch.host ? keyLocation : null,
+        urls: batch.urls
+      });
+
+      let statusCode = null;
+      let errorMessage = null;
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+      try {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json; charset=utf-8' },
+          body: JSON.stringify(payload),
+          signal: controller.signal
+        });
+        statusCode = response.status;
+      } catch (error) {
+        errorMessage = error.name === 'AbortError' ? 'Request timed out' : error.message;
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const outcome = interpretIndexNowResponse(statusCode);
+      await IndexNowSubmission.create({
+        shop: job.shop,
+        endpoint,
+        host: batch.host,
+        sources: sourcesOf(batch.urls),
+        urls: batch.urls.map(url => ({ url, status: outcome.status })),
+        urlCount: batch.urls.length,
+        status: outcome.status,
+        statusCode,
+        message: errorMessage || outcome.message
+      });
+      dbLogger.info(`${this.logTag} ${job.shop}: ${batch.urls.length} URLs for ${batch.host} → ${statusCode || errorMessage}`);
+
+      if (outcome.retry) {
+        for (const url of batch.urls) retry.add(url);
+      }
+    }
+
+    // Failed URLs wait for another batch window, a few times at most
+    const again = entries.filter(e => retry.has(e.url) && e.attempts + 1 < MAX_URL_ATTEMPTS);
+    if (again.length) {
+      await IndexNowPending.updateMany(
+        { _id: { $in: again.map(e => e._id) } },
+        { $inc: { attempts: 1 }, $set: { queuedAt: new Date() } }
+      );
+    }
+    const againIds = new Set(again.map(e => String(e._id)));
+    await IndexNowPending.deleteMany({
+      _id: { $in: [...dropped, ...entries.filter(e => !againIds.has(String(e._id))).map(e => e._id)] }
+    });
+    await Shop.updateOne({ shop: job.shop }, { $set: { 'indexNow.lastSubmittedAt': new Date() } });
+
+    await this.finish(job, 'completed');
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`${this.logTag} ❌ ${job.shop}: ${error.message}`);
+    return job.attempts < job.maxAttempts ? 'retry' : null;
+  }
+}
+
+// Singleton instance
+const indexNowQueue = new IndexNowQueue();
+
+export default indexNowQueue;
@@ -0,0 +1,42 @@
+// backend/services/jobWorkers.js
+// Starts the MongoDB-backed job queues (see durableQueue.js) in this process.
+// Called from server.js after listen and from worker.js for dedicated worker processes.
+// Set JOB_WORKERS=false on web instances that should only enqueue jobs.
+
+import mongoose from 'mongoose';
+import seoJobQueue from './seoJobQueue.js';
+import aiEnhanceQueue from './aiEnhanceQueue.js';
+import collectionJobQueue from './collectionJobQueue.js';
+import schemaQueue from './schemaQueue.js';
+import sitemapQueue from './sitemapQueue.js';
+import catalogRefreshQueue from './catalogRefreshQueue.js';
+import indexNowQueue from './indexNowQueue.js';
+import handleChangeQueue from './handleChangeQueue.js';
+import optimizationRuleQueue from './optimizationRuleQueue.js';
+import seoImportQueue from './seoImportQueue.js';
+import seoAuditQueue from './seoAuditQueue.js';
+import altTextQueue from './altTextQueue.js';
+import seoRestoreQueue from './seoRestoreQueue.js';
+import seoDraftPublishQueue from './seoDraftPublishQueue.js';
+import { WORKER_ID } from './durableQueue.js';
+
+const queues = [seoJobQueue, aiEnhanceQueue, collectionJobQueue, schemaQueue, sitemapQueue, catalogRefreshQueue, indexNowQueue, handleChangeQueue, optimizationRuleQueue, seoImportQueue, seoAuditQueue, altTextQueue, seoRestoreQueue, seoDraftPublishQueue];
+
+export function startJobWorkers() {
+  if (process.env.JOB_WORKERS === 'false') {
+    console.log('[JOB-WORKERS] JOB_WORKERS=false - this instance only enqueues jobs');
+    return false;
+  }
+  if (mongoose.connection.readyState !== 1) {
+    console.warn('[JOB-WORKERS] ⚠️ MongoDB not connected - job workers will not start');
+    return false;
+  }
+
+  for (const queue of queues) queue.start();
+  console.log(`[JOB-WORKERS] ✅ ${queues.length} queues running on worker ${WORKER_ID}`);
+  return true;
+}
+
+export function stopJobWorkers() {
+  for (const queue of queues) queue.stop();
+}
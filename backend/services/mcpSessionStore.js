@@ -0,0 +1,76 @@
+// backend/services/mcpSessionStore.js
+// MongoDB-backed MCP session records and tool-call log. Live server/transport
+// pairs stay in memory in mcp/mcpServer.js; this is what lets another instance
+// pick a session up after a restart or a load-balancer switch.
+
+import McpSession from '../db/McpSession.js';
+import McpToolCall from '../db/McpToolCall.js';
+import { hashToolArgs, toolResultBytes } from '../utils/mcpCallLog.js';
+
+export const SESSION_TTL_MS = 30 * 60 * 1000; // 30 minutes after the last request
+
+export async function saveSession({ sessionId, shop, clientName, clientVersion, protocolVersion, clientCapabilities, userAgent, botName }) {
+  const now = new Date();
+  await McpSession.updateOne(
+    { sessionId },
+    {
+      $set: {
+        shop,
+        clientName,
+        clientVersion,
+        protocolVersion,
+        clientCapabilities: clientCapabilities || {},
+        userAgent: (userAgent || '').substring(0, 500),
+        botName,
+        lastActivity: now,
+        expiresAt: new Date(now.getTime() + SESSION_TTL_MS)
+      },
+      $setOnInsert: { createdAt: now }
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Stored session for this shop, or null if unknown or expired.
+ * (The TTL monitor runs once a minute, so expiry is checked here too.)
+ */
+export async function loadSession(sessionId, shop) {
+  const session = await McpSession.findOne({ sessionId, shop }).lean();
+  if (!session || session.expiresAt < new Date()) return null;
+  return session;
+}
+
+export async function touchSession(sessionId) {
+  const now = new Date();
+  await McpSession.updateOne(
+    { sessionId },
+    { $set: { lastActivity: now, expiresAt: new Date(now.getTime() + SESSION_TTL_MS) } }
+  );
+}
+
+export async function deleteSession(sessionId) {
+  await McpSession.deleteOne({ sessionId });
+}
+
+/**
+ * Record one tool call. Never throws - analytics must not break the agent's request.
+ */
+export async function logToolCall({ shop, sessionId, client, botName, tool, args, latencyMs, result, isError }) {
+  try {
+    await McpToolCall.create({
+      shop,
+      sessionId: sessionId || null,
+      clientName: client?.name ? String(client.name).substring(0, 100) : 'unknown',
+      clientVersion: client?.version ? String(client.version).substring(0, 50) : null,
+      botName,
+      tool,
+      argsHash: hashToolArgs(args),
+      latencyMs,
+      resultBytes: toolResultBytes(result),
+      isError: !!(isError || result?.isError)
+    });
+  } catch (err) {
+    console.error('[MCP] Failed to log tool call:', err.message);
+  }
+}
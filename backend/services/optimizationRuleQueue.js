@@ -0,0 +1,125 @@
+// backend/services/optimizationRuleQueue.js
+// Runs the automatic optimization rules (db/OptimizationRule.js).
+// The products webhook only marks changed products on the shop's webhook rules; a sweep
+// on every worker enqueues one job per shop once those marks have been quiet for
+// RULES_DEBOUNCE_MS, or when a schedule rule is due. The job runs each due rule through
+// runOptimizationRule() in optimizationRuleController.js, which hands the matched products
+// to the existing SEO / AI enhance / schema queues.
+// Manual "Run now" jobs use kind 'manual' so they do not wait for the sweep.
+//
+// Env:
+//   RULES_DEBOUNCE_MS (default 300000) - quiet time after the last product webhook
+
+import DurableQueue from './durableQueue.js';
+import OptimizationRule from '../db/OptimizationRule.js';
+import { isScheduleDue, RULE_SCHEDULES } from '../utils/optimizationRules.js';
+import { dbLogger } from '../utils/logger.js';
+
+const DEBOUNCE_MS = parseInt(process.env.RULES_DEBOUNCE_MS || '300000', 10);
+const SWEEP_MS = 60 * 1000;
+const MIN_SCHEDULE_MS = Math.min(...Object.values(RULE_SCHEDULES)) * 36e5;
+
+class OptimizationRuleQueue extends DurableQueue {
+  constructor() {
+    super('optimization-rules', { logTag: '[OPTIMIZATION-RULES]', jobIdPrefix: 'rules', maxAttempts: 2 });
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Make a created/changed product a candidate for the shop's webhook rules.
+   * Called from webhooks/products.js; a no-op for shops without such rules.
+   * @param {string} shop
+   * @param {string|number} productId - numeric Shopify id
+   * @param {'created'|'updated'} event
+   */
+  async markChanged(shop, productId, event) {
+    const filter = { shop, enabled: true, trigger: 'webhook', events: event };
+    const res = await OptimizationRule.updateMany(filter, { $addToSet: { pendingProductIds: String(productId) } });
+    if (res.matchedCount > 0) {
+      await OptimizationRule.updateMany({ ...filter, pendingSince: null }, { $set: { pendingSince: new Date() } });
+    }
+  }
+
+  /**
+   * Queue a run of one rule right away.
+   */
+  async runNow(shop, ruleId) {
+    const { queued, job } = await this.enqueue(shop, { kind: 'manual', payload: { ruleId: String(ruleId) } });
+    return queued
+      ? { queued: true, jobId: job.jobId }
+      : { queued: false, message: 'A manual rule run is already in progress' };
+  }
+
+  start() {
+    super.start();
+    if (!this.sweepTimer) {
+      this.sweepTimer = setInterval(() => this.sweep(), SWEEP_MS);
+      this.sweepTimer.unref?.();
+    }
+  }
+
+  stop() {
+    super.stop();
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  // Enqueue a job for every shop with quiet webhook marks or a due schedule rule
+  async sweep() {
+    try {
+      const now = new Date();
+      const webhookShops = await OptimizationRule.distinct('shop', {
+        enabled: true,
+        trigger: 'webhook',
+        pendingSince: { $ne: null, $lte: new Date(now.getTime() - DEBOUNCE_MS) }
+      });
+      const scheduleRules = await OptimizationRule.find({
+        enabled: true,
+        trigger: 'schedule',
+        $or: [{ lastRunAt: null }, { lastRunAt: { $lte: new Date(now.getTime() - MIN_SCHEDULE_MS) } }]
+      }).select('shop trigger enabled schedule lastRunAt').lean();
+      const scheduleShops = scheduleRules.filter(rule => isScheduleDue(rule, now)).map(rule => rule.shop);
+
+      for (const shop of new Set([...webhookShops, ...scheduleShops])) {
+        await this.enqueue(shop);
+      }
+    } catch (error) {
+      dbLogger.error(`${this.logTag} Sweep error:`, error.message);
+    }
+  }
+
+  async processJob(job) {
+    const { runOptimizationRule } = await import('../controllers/optimizationRuleController.js');
+    const results = [];
+
+    if (job.kind === 'manual') {
+      const rule = await OptimizationRule.findOne({ _id: job.payload?.ruleId, shop: job.shop });
+      if (rule) results.push(await runOptimizationRule(rule, 'manual'));
+    } else {
+      const now = new Date();
+      const cutoff = new Date(now.getTime() - DEBOUNCE_MS);
+      const rules = await OptimizationRule.find({ shop: job.shop, enabled: true });
+      for (const rule of rules) {
+        if (rule.trigger === 'webhook' && rule.pendingSince && rule.pendingSince <= cutoff) {
+          results.push(await runOptimizationRule(rule, 'webhook'));
+        } else if (isScheduleDue(rule, now)) {
+          results.push(await runOptimizationRule(rule, 'schedule'));
+        }
+      }
+    }
+
+    const summary = results.map(r => `${r.rule}: ${r.status}`).join(', ');
+    dbLogger.info(`${this.logTag} ✅ ${job.shop}: ${summary || 'nothing due'}`);
+    await this.finish(job, 'completed');
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`${this.logTag} ❌ Job failed for shop: ${job.shop}`, error.message);
+    return job.attempts < job.maxAttempts ? 'retry' : null;
+  }
+}
+
+// Singleton instance
+const optimizationRuleQueue = new OptimizationRuleQueue();
+
+export default optimizationRuleQueue;
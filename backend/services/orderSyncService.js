@@ -2,6 +2,10 @@ import { makeShopifyGraphQLRequest } from '../utils/shopifyGraphQL.js';
 import { resolveAdminToken } from '../utils/tokenResolver.js';
 import OrderRevenue from '../db/OrderRevenue.js';
 import AIVisitLog from '../db/AIVisitLog.js';
+import ConversionEvent from '../db/ConversionEvent.js';
+import Shop from '../db/Shop.js';
+import { verificationMatch } from '../utils/botVerification.js';
+import { attributeOrder, sanitizeAttributionSettings, MAX_LOOKBACK_DAYS } from '../utils/attributionModels.js';
 
 const AI_DOMAINS = [
   'chat.openai.com', 'chatgpt.com',
@@ -67,6 +71,7 @@ const ORDERS_QUERY = `
           subtotalPriceSet { shopMoney { amount currencyCode } }
           customerJourneySummary {
             firstVisit {
+              occurredAt
               referrerUrl
               source
               sourceType
@@ -74,6 +79,7 @@ const ORDERS_QUERY = `
               utmParameters { source medium campaign }
             }
             lastVisit {
+              occurredAt
               referrerUrl
               source
               sourceType
@@ -125,10 +131,116 @@ async function fetchShopifyOrders(shop, accessToken, sinceDate) {
   return allOrders;
 }
 
+/**
+ * Which bot visits count for attribution (Shop.analyticsSettings.botVisits) and the
+ * attribution model lookback windows (Shop.analyticsSettings.attribution)
+ */
+async function getAttributionContext(shop) {
+  const doc = await Shop.findOne({ shop }).select('analyticsSettings').lean();
+  return {
+    visitFilter: doc?.analyticsSettings?.botVisits,
+    settings: sanitizeAttributionSettings(doc?.analyticsSettings?.attribution)
+  };
+}
+
+function isAIUtmSource(utmSource) {
+  return Boolean(utmSource) && AI_DOMAINS.some(d => utmSource.includes(d.split('.')[0]));
+}
+
+// AI source of a customer journey visit, from its referrer or UTM source
+function journeyVisitSource(referrer, utmSource) {
+  const domain = extractDomain(referrer);
+  if (isAIDomain(domain)) return resolveAISource(domain) || domain;
+  if (isAIUtmSource(utmSource)) return utmSource;
+  return null;
+}
+
+/**
+ * Touchpoints of a stored order within the longest lookback window: the customer journey's
+ * first and last visit, AI-referred pixel sessions that ended in this order, and AI bot
+ * visits to the ordered products (earliest and latest, so many crawls count as one read).
+ */
+async function collectTouchpoints(doc, { visitFilter, settings }) {
+  const orderAt = new Date(doc.orderCreatedAt);
+  const longest = Math.max(...Object.values(settings.lookbackDays), 1);
+  const windowStart = new Date(orderAt.getTime() - Math.min(longest, MAX_LOOKBACK_DAYS) * 86400000);
+  const touchpoints = [];
+
+  const journey = doc.customerJourney || {};
+  const firstSource = journeyVisitSource(journey.firstVisitReferrer, journey.firstVisitUtmSource);
+  const lastSource = journeyVisitSource(journey.lastVisitReferrer, journey.lastVisitUtmSource);
+  if (journey.firstVisitReferrer || journey.firstVisitAt || firstSource) {
+    touchpoints.push({ at: journey.firstVisitAt || orderAt, channel: firstSource ? 'ai' : 'other', source: firstSource, kind: 'first_visit' });
+  }
+  // Older orders have no visit times; a last visit identical to the first is the same visit
+  const sameVisit = !journey.lastVisitAt && !journey.firstVisitAt && journey.lastVisitReferrer === journey.firstVisitReferrer;
+  if ((journey.lastVisitReferrer || journey.lastVisitAt || lastSource) && !sameVisit) {
+    touchpoints.push({ at: journey.lastVisitAt || orderAt, channel: lastSource ? 'ai' : 'other', source: lastSource, kind: 'last_visit' });
+  }
+
+  // The pixel reports the order ID numeric or as a GID
+  const numericId = String(doc.shopifyOrderId || '').split('/').pop();
+  const checkouts = await ConversionEvent.find({
+    shop: doc.shop,
+    eventType: 'checkout_completed',
+    orderId: { $in: [doc.shopifyOrderId, numericId] }
+  }).select('sessionId aiSource createdAt').lean();
+  for (const checkout of checkouts) {
+    if (!checkout.aiSource) continue;
+    let startedAt = checkout.createdAt;
+    if (checkout.sessionId) {
+      const first = await ConversionEvent.findOne({
+        shop: doc.shop,
+        sessionId: checkout.sessionId,
+        createdAt: { $gte: windowStart, $lte: checkout.createdAt }
+      }).sort({ createdAt: 1 }).select('createdAt').lean();
+      if (first) startedAt = first.createdAt;
+    }
+    touchpoints.push({ at: startedAt, channel: 'ai', source: checkout.aiSource, kind: 'pixel_session' });
+  }
+
+  const handles = (doc.lineItems || []).map(li => li.handle).filter(Boolean);
+  if (handles.length) {
+    const match = {
+      shop: doc.shop,
+      createdAt: { $gte: windowStart, $lte: orderAt },
+      botName: { $nin: ['Human/Unknown', 'Other Bot'] },
+      ...verificationMatch(visitFilter),
+      $or: handles.map(h => ({ endpoint: new RegExp(h, 'i') }))
+    };
+    const [earliest, latest] = await Promise.all([
+      AIVisitLog.findOne(match).sort({ createdAt: 1 }).select('botName createdAt').lean(),
+      AIVisitLog.findOne(match).sort({ createdAt: -1 }).select('botName createdAt').lean()
+    ]);
+    for (const visit of [earliest, latest]) {
+      if (!visit || (visit === latest && earliest && String(earliest._id) === String(latest._id))) continue;
+      touchpoints.push({ at: visit.createdAt, channel: 'ai', source: visit.botName, kind: 'bot_visit' });
+    }
+  }
+
+  return touchpoints;
+}
+
+/**
+ * Touchpoints and per-model attribution for a stored (or about to be stored) order
+ */
+async function attributeStoredOrder(doc, context) {
+  const touchpoints = await collectTouchpoints(doc, context);
+  return {
+    touchpoints,
+    attribution: attributeOrder(touchpoints, {
+      orderAt: doc.orderCreatedAt,
+      total: parseFloat(doc.totalPrice) || 0,
+      settings: context.settings
+    }),
+    attributedAt: new Date()
+  };
+}
+
 /**
  * Check if any product handles from an order were recently visited by AI bots
  */
-async function checkAIInfluence(shop, productHandles, orderDate) {
+async function checkAIInfluence(shop, productHandles, orderDate, visitFilter) {
   if (!productHandles.length) return false;
 
   const windowStart = new Date(orderDate);
@@ -140,6 +252,7 @@ async function checkAIInfluence(shop, productHandles, orderDate) {
     shop,
     createdAt: { $gte: windowStart, $lte: new Date(orderDate) },
     botName: { $nin: ['Human/Unknown', 'Other Bot'] },
+    ...verificationMatch(visitFilter),
     $or: endpointPatterns.map(p => ({ endpoint: p }))
   });
 
@@ -149,13 +262,14 @@ async function checkAIInfluence(shop, productHandles, orderDate) {
 /**
  * Process a single Shopify order and determine attribution
  */
-async function processOrder(shop, order) {
+async function processOrder(shop, order, context) {
   const journey = order.customerJourneySummary;
   const firstRef = journey?.firstVisit?.referrerUrl || '';
   const lastRef = journey?.lastVisit?.referrerUrl || '';
   const firstDomain = extractDomain(firstRef);
   const lastDomain = extractDomain(lastRef);
   const utmSource = (journey?.firstVisit?.utmParameters?.source || '').toLowerCase();
+  const lastUtmSource = (journey?.lastVisit?.utmParameters?.source || '').toLowerCase();
 
   const lineItems = (order.lineItems?.edges || []).map(e => ({
     productId: e.node.product?.id || '',
@@ -174,14 +288,14 @@ async function processOrder(shop, order) {
   if (isAIDomain(firstDomain) || isAIDomain(lastDomain)) {
     attributionType = 'direct_ai';
     aiSource = resolveAISource(firstDomain) || resolveAISource(lastDomain);
-  } else if (utmSource && AI_DOMAINS.some(d => utmSource.includes(d.split('.')[0]))) {
+  } else if (isAIUtmSource(utmSource)) {
     attributionType = 'direct_ai';
     aiSource = utmSource;
-  } else if (await checkAIInfluence(shop, productHandles, order.createdAt)) {
+  } else if (await checkAIInfluence(shop, productHandles, order.createdAt, context.visitFilter)) {
     attributionType = 'ai_influenced';
   }
 
-  return {
+  const doc = {
     shop,
     shopifyOrderId: order.id,
     orderNumber: order.name || '',
@@ -194,13 +308,19 @@ async function processOrder(shop, order) {
     customerJourney: {
       firstVisitReferrer: firstRef,
       lastVisitReferrer: lastRef,
-      source: journey?.firstVisit?.source || ''
+      source: journey?.firstVisit?.source || '',
+      firstVisitAt: journey?.firstVisit?.occurredAt ? new Date(journey.firstVisit.occurredAt) : null,
+      lastVisitAt: journey?.lastVisit?.occurredAt ? new Date(journey.lastVisit.occurredAt) : null,
+      firstVisitUtmSource: utmSource,
+      lastVisitUtmSource: lastUtmSource
     },
     attributionType,
     aiSource,
     orderCreatedAt: new Date(order.createdAt),
     processedAt: new Date()
   };
+
+  return { ...doc, ...(await attributeStoredOrder(doc, context)) };
 }
 
 /**
@@ -222,6 +342,7 @@ export async function syncOrdersForShop(req, shop, days = 30) {
     const orders = await fetchShopifyOrders(shop, accessToken, sinceDate);
     console.log(`[ORDER-SYNC] Fetched ${orders.length} paid orders for ${shop}`);
 
+    const context = await getAttributionContext(shop);
     let synced = 0;
     let skipped = 0;
 
@@ -229,11 +350,16 @@ export async function syncOrdersForShop(req, shop, days = 30) {
       try {
         const existing = await OrderRevenue.findOne({ shop, shopifyOrderId: order.id });
         if (existing) {
+          // Orders synced before attribution models existed get them on the next sync
+          if (!existing.attribution) {
+            Object.assign(existing, await attributeStoredOrder(existing.toObject(), context));
+            await existing.save();
+          }
           skipped++;
           continue;
         }
 
-        const doc = await processOrder(shop, order);
+        const doc = await processOrder(shop, order, context);
         await OrderRevenue.create(doc);
         synced++;
       } catch (err) {
@@ -275,6 +401,7 @@ export async function processOrderWebhook(shop, orderData) {
           subtotalPriceSet { shopMoney { amount currencyCode } }
           customerJourneySummary {
             firstVisit {
+              occurredAt
               referrerUrl
               source
               sourceType
@@ -282,6 +409,7 @@ export async function processOrderWebhook(shop, orderData) {
               utmParameters { source medium campaign }
             }
             lastVisit {
+              occurredAt
               referrerUrl
               source
               sourceType
@@ -306,7 +434,7 @@ export async function processOrderWebhook(shop, orderData) {
     const data = await makeShopifyGraphQLRequest(shop, accessToken, detailQuery, { id: orderId });
     if (!data?.order) return;
 
-    const doc = await processOrder(shop, data.order);
+    const doc = await processOrder(shop, data.order, await getAttributionContext(shop));
     await OrderRevenue.create(doc);
     console.log(`[ORDER-WEBHOOK] Processed order ${orderData.name || orderData.id} for ${shop} → ${doc.attributionType}`);
   } catch (err) {
@@ -315,4 +443,28 @@ export async function processOrderWebhook(shop, orderData) {
   }
 }
 
+/**
+ * Re-run attribution for a shop's stored orders from data already in the database
+ * (after the lookback windows or bot visit setting change). No Shopify calls.
+ */
+export async function recomputeAttribution(shop, days = MAX_LOOKBACK_DAYS * 2) {
+  const context = await getAttributionContext(shop);
+  const since = new Date(Date.now() - days * 86400000);
+  let updated = 0;
+
+  const cursor = OrderRevenue.find({ shop, orderCreatedAt: { $gte: since } }).cursor();
+  for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+    try {
+      Object.assign(doc, await attributeStoredOrder(doc.toObject(), context));
+      await doc.save();
+      updated++;
+    } catch (err) {
+      console.error(`[ORDER-SYNC] Attribution failed for ${doc.orderNumber || doc.shopifyOrderId}:`, err.message);
+    }
+  }
+
+  console.log(`[ORDER-SYNC] Recomputed attribution for ${updated} orders on ${shop}`);
+  return { updated };
+}
+
 export { AI_DOMAINS, AI_SOURCE_MAP, isAIDomain, resolveAISource };
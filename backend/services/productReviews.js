@@ -0,0 +1,76 @@
+// backend/services/productReviews.js
+// Loads the real review data for a product (rating metafields + imported reviews)
+// and stores imports. Pure parsing/JSON-LD lives in utils/reviewSources.js.
+
+import ProductReview from '../db/ProductReview.js';
+import { parseRatingMetafields, MAX_SCHEMA_REVIEWS } from '../utils/reviewSources.js';
+
+/**
+ * Review data for one product.
+ * @param {string} shop
+ * @param {Object} product - { id (GID or numeric), handle, ratingMetafield?, ratingCountMetafield? }
+ * @returns {Promise<{ metafieldRating: Object|null, importedRating: Object|null, reviews: Object[] }>}
+ *   reviews are the newest imported ones (enough for the schema), importedRating covers all of them
+ */
+export async function loadProductReviewData(shop, product) {
+  const metafieldRating = parseRatingMetafields({
+    rating: product.ratingMetafield?.value,
+    ratingCount: product.ratingCountMetafield?.value
+  });
+
+  const productId = String(product.id || '').split('/').pop() || null;
+  const or = [];
+  if (productId) or.push({ productId });
+  if (product.handle) or.push({ productHandle: String(product.handle).toLowerCase() });
+  if (or.length === 0) return { metafieldRating, importedRating: null, reviews: [] };
+
+  const filter = { shop, $or: or };
+  const [reviews, totals] = await Promise.all([
+    ProductReview.find(filter)
+      .sort({ publishedAt: -1, importedAt: -1 })
+      .limit(MAX_SCHEMA_REVIEWS * 2)
+      .lean(),
+    ProductReview.aggregate([
+      { $match: filter },
+      { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const importedRating = totals[0]?.count
+    ? {
+      ratingValue: Math.round(totals[0].average * 100) / 100,
+      bestRating: 5,
+      worstRating: 1,
+      reviewCount: totals[0].count
+    }
+    : null;
+
+  return { metafieldRating, importedRating, reviews };
+}
+
+/**
+ * Upsert normalized reviews (re-importing the same export updates in place).
+ * @returns {Promise<{ inserted: number, updated: number }>}
+ */
+export async function saveImportedReviews(shop, reviews) {
+  if (!reviews.length) return { inserted: 0, updated: 0 };
+
+  const now = new Date();
+  const ops = reviews.map(review => ({
+    updateOne: {
+      filter: { shop, source: review.source, externalId: review.externalId },
+      update: { $set: { ...review, shop, importedAt: now } },
+      upsert: true
+    }
+  }));
+
+  let inserted = 0;
+  let updated = 0;
+  // Keep each bulkWrite reasonably small
+  for (let i = 0; i < ops.length; i += 500) {
+    const result = await ProductReview.bulkWrite(ops.slice(i, i + 500), { ordered: false });
+    inserted += result.upsertedCount || 0;
+    updated += result.modifiedCount || 0;
+  }
+  return { inserted, updated };
+}
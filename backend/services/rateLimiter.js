@@ -0,0 +1,57 @@
+// backend/services/rateLimiter.js
+// Fixed-window request counters for the AI endpoints (bot policies, /ai/ask). Counters
+// live in Redis (services/cacheService.js) so every instance shares them; without Redis,
+// or while it is unreachable, they fall back to this process's memory.
+
+import cacheService from './cacheService.js';
+import { rateWindows } from '../utils/botPolicy.js';
+
+const memoryCounters = new Map(); // key -> { count, expiresAt }
+const MEMORY_MAX_KEYS = 20000;
+
+function incrementInMemory(key, ttlSeconds, now) {
+  if (memoryCounters.size >= MEMORY_MAX_KEYS) {
+    for (const [k, entry] of memoryCounters) {
+      if (entry.expiresAt <= now) memoryCounters.delete(k);
+    }
+    if (memoryCounters.size >= MEMORY_MAX_KEYS) memoryCounters.clear();
+  }
+  const entry = memoryCounters.get(key);
+  if (!entry || entry.expiresAt <= now) {
+    memoryCounters.set(key, { count: 1, expiresAt: now + ttlSeconds * 1000 });
+    return 1;
+  }
+  entry.count++;
+  return entry.count;
+}
+
+async function increment(key, ttlSeconds, now) {
+  const value = await cacheService.incr(key, ttlSeconds);
+  return value ?? incrementInMemory(key, ttlSeconds, now);
+}
+
+/**
+ * Count a request by a bot policy group in the current minute and day.
+ * @returns {Promise<{ minute: number, day: number }>} counts including this request
+ */
+export async function countBotRequest(shop, group, now = Date.now()) {
+  const windows = rateWindows(now);
+  const base = `ratelimit:bot:${shop}:${group}`;
+  const [minute, day] = await Promise.all([
+    increment(`${base}:m:${windows.minute}`, windows.minuteResetIn + 5, now),
+    increment(`${base}:d:${windows.day}`, windows.dayResetIn + 60, now)
+  ]);
+  return { minute, day };
+}
+
+/**
+ * Simple per-minute limit.
+ * @param {string} name - e.g. `ask:${shop}`
+ * @param {number} perMinute
+ * @returns {Promise<{ allowed: boolean, retryAfter: number }>}
+ */
+export async function consumePerMinute(name, perMinute, now = Date.now()) {
+  const windows = rateWindows(now);
+  const count = await increment(`ratelimit:${name}:m:${windows.minute}`, windows.minuteResetIn + 5, now);
+  return { allowed: count <= perMinute, retryAfter: windows.minuteResetIn };
+}
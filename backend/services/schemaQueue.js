@@ -1,179 +1,132 @@
 // backend/services/schemaQueue.js
 // Background job processing for Advanced Schema Data generation without blocking requests
+// Jobs are stored in MongoDB (see durableQueue.js) and run generateAllSchemas() from advancedSchemaController.js
 
 import Shop from '../db/Shop.js';
+import BackgroundJob from '../db/BackgroundJob.js';
+import DurableQueue from './durableQueue.js';
 import { dbLogger } from '../utils/logger.js';
 
-class SchemaQueue {
+// Errors that need user action - retrying would fail the same way
+const NON_RETRYABLE_ERRORS = ['NO_OPTIMIZED_PRODUCTS', 'ONLY_BASIC_SEO'];
+
+class SchemaQueue extends DurableQueue {
   constructor() {
-    this.queue = []; // In-memory queue (simple array)
-    this.processing = false; // Flag to prevent concurrent processing
-    this.currentJob = null; // Currently processing job
+    super('schema', { logTag: '[SCHEMA-QUEUE]', jobIdPrefix: 'schema', maxAttempts: 2 });
   }
 
   /**
    * Add a schema generation job to the queue
    * @param {string} shop - Shop domain
-   * @param {Function} generatorFn - Function that generates the schema
+   * @param {Object} [options]
+   * @param {boolean} [options.forceBasicSeo=false] - generate from basic SEO only
    * @returns {Object} Job info
    */
-  async addJob(shop, generatorFn) {
-    // Check if job already exists in queue
-    const existingJob = this.queue.find(job => job.shop === shop);
-    if (existingJob) {
-      dbLogger.info(`[SCHEMA-QUEUE] Job already queued for shop: ${shop}`);
-      return {
-        queued: false,
-        message: 'Job already in queue',
-        position: this.queue.indexOf(existingJob) + 1,
-        estimatedTime: (this.queue.indexOf(existingJob) + 1) * 60 // Rough estimate: 60s per job
-      };
-    }
+  async addJob(shop, options = {}) {
+    const { queued, job } = await this.enqueue(shop, {
+      payload: { forceBasicSeo: options.forceBasicSeo === true }
+    });
 
-    // Check if currently processing this shop
-    if (this.currentJob?.shop === shop) {
-      dbLogger.info(`[SCHEMA-QUEUE] Job already processing for shop: ${shop}`);
+    if (!queued) {
+      dbLogger.info(`[SCHEMA-QUEUE] Job already ${job.status === 'running' ? 'processing' : 'queued'} for shop: ${shop}`);
+      if (job.status === 'running') {
+        return {
+          queued: false,
+          message: 'Job already processing',
+          position: 0,
+          estimatedTime: 30 // Rough estimate: halfway through
+        };
+      }
+      const position = await this.queuePosition(job);
       return {
         queued: false,
-        message: 'Job already processing',
-        position: 0,
-        estimatedTime: 30 // Rough estimate: halfway through
+        message: 'Job already in queue',
+        position,
+        estimatedTime: position * 60 // Rough estimate: 60s per job
       };
     }
 
-    // Create job
-    const job = {
-      id: `${shop}-${Date.now()}`,
-      shop,
-      generatorFn,
-      status: 'queued',
-      queuedAt: new Date(),
-      attempts: 0,
-      maxAttempts: 2
-    };
-
-    this.queue.push(job);
-    dbLogger.info(`[SCHEMA-QUEUE] ✅ Job added for shop: ${shop}, queue length: ${this.queue.length}`);
+    const position = await this.queuePosition(job);
+    dbLogger.info(`[SCHEMA-QUEUE] ✅ Job added for shop: ${shop}, queue position: ${position}`);
 
     // Update shop status in DB
     await this.updateShopStatus(shop, {
       inProgress: true,
       status: 'queued',
-      message: `Queued (position ${this.queue.length})`,
-      queuedAt: new Date()
+      message: `Queued (position ${position})`,
+      queuedAt: job.queuedAt
     });
 
-    // Start processing if not already running
-    if (!this.processing) {
-      this.startProcessing();
-    }
-
     return {
       queued: true,
-      jobId: job.id,
-      position: this.queue.length,
-      estimatedTime: this.queue.length * 60, // 60s per job estimate
+      jobId: job.jobId,
+      position,
+      estimatedTime: position * 60, // 60s per job estimate
       message: 'Advanced Schema Data generation started in background'
     };
   }
 
-  /**
-   * Start processing the queue
-   */
-  async startProcessing() {
-    if (this.processing) {
-      dbLogger.warn('[SCHEMA-QUEUE] ⚠️  Processing already running');
-      return;
-    }
-
-    this.processing = true;
-    dbLogger.info('[SCHEMA-QUEUE] 🔄 Starting queue processing...');
+  async processJob(job) {
+    const { generateAllSchemas } = await import('../controllers/advancedSchemaController.js');
 
-    while (this.queue.length > 0) {
-      const job = this.queue.shift(); // Get first job (FIFO)
-      this.currentJob = job;
+    dbLogger.info(`[SCHEMA-QUEUE] 🔧 Processing job for shop: ${job.shop} (attempt ${job.attempts}/${job.maxAttempts})`);
+    const startedAt = new Date();
 
-      try {
-        dbLogger.info(`[SCHEMA-QUEUE] 🔧 Processing job for shop: ${job.shop} (attempt ${job.attempts + 1}/${job.maxAttempts})`);
-        
-        // Update status to processing
-        await this.updateShopStatus(job.shop, {
-          inProgress: true,
-          status: 'processing',
-          message: 'Generating Advanced Schema Data...',
-          startedAt: new Date()
-        });
-
-        job.status = 'processing';
-        job.startedAt = new Date();
-        job.attempts++;
-
-        // Execute the schema generation function
-        const result = await job.generatorFn();
-
-        // Job completed successfully
-        job.status = 'completed';
-        job.completedAt = new Date();
-        job.result = result;
-
-        dbLogger.info(`[SCHEMA-QUEUE] ✅ Job completed for shop: ${job.shop}`, {
-          duration: (new Date() - job.startedAt) / 1000,
-          schemaCount: result.schemaCount || 0
-        });
-
-        // Update shop status to completed
-        await this.updateShopStatus(job.shop, {
-          inProgress: false,
-          status: 'completed',
-          message: `Schema data generated successfully (${result.schemaCount || 0} schemas)`,
-          completedAt: new Date(),
-          lastError: null
-        });
+    // Update status to processing
+    await this.updateShopStatus(job.shop, {
+      inProgress: true,
+      status: 'processing',
+      message: 'Generating Advanced Schema Data...',
+      startedAt
+    });
 
-      } catch (error) {
-        dbLogger.error(`[SCHEMA-QUEUE] ❌ Job failed for shop: ${job.shop}`, error.message);
+    const result = await generateAllSchemas(job.shop, job.payload?.forceBasicSeo === true);
+    const schemaCount = result?.schemaCount || result?.schemas?.length || 0;
 
-        job.status = 'failed';
-        job.error = error.message;
-        job.failedAt = new Date();
+    dbLogger.info(`[SCHEMA-QUEUE] ✅ Job completed for shop: ${job.shop}`, {
+      duration: (new Date() - startedAt) / 1000,
+      schemaCount
+    });
 
-        // Check if error is non-retryable (user action required)
-        const nonRetryableErrors = ['NO_OPTIMIZED_PRODUCTS', 'ONLY_BASIC_SEO'];
-        const isNonRetryable = nonRetryableErrors.includes(error.message);
+    await this.finish(job, 'completed');
 
-        // Retry logic (skip for non-retryable errors)
-        if (!isNonRetryable && job.attempts < job.maxAttempts) {
-          dbLogger.warn(`[SCHEMA-QUEUE] 🔄 Retrying job for shop: ${job.shop} (attempt ${job.attempts + 1}/${job.maxAttempts})`);
-          
-          // Re-add to queue for retry
-          this.queue.push(job);
-          
-          await this.updateShopStatus(job.shop, {
-            inProgress: true,
-            status: 'retrying',
-            message: `Retrying (attempt ${job.attempts + 1}/${job.maxAttempts})...`,
-            lastError: error.message
-          });
-        } else {
-          // Non-retryable error OR max attempts reached
-          const reason = isNonRetryable ? 'Non-retryable error' : `Max attempts (${job.maxAttempts}) reached`;
-          dbLogger.error(`[SCHEMA-QUEUE] ❌ Job permanently failed for shop: ${job.shop}. ${reason}`);
-          
-          await this.updateShopStatus(job.shop, {
-            inProgress: false,
-            status: 'failed',
-            message: error.message, // Use raw error message for NO_OPTIMIZED_PRODUCTS/ONLY_BASIC_SEO
-            lastError: error.message,
-            failedAt: new Date()
-          });
-        }
-      }
+    // Update shop status to completed
+    await this.updateShopStatus(job.shop, {
+      inProgress: false,
+      status: 'completed',
+      message: `Schema data generated successfully (${schemaCount} schemas)`,
+      completedAt: new Date(),
+      lastError: null
+    });
+  }
 
-      this.currentJob = null;
+  async onJobFailed(job, error) {
+    dbLogger.error(`[SCHEMA-QUEUE] ❌ Job failed for shop: ${job.shop}`, error.message);
+
+    // Retry logic (skip for non-retryable errors)
+    const isNonRetryable = NON_RETRYABLE_ERRORS.includes(error.message);
+    if (!isNonRetryable && job.attempts < job.maxAttempts) {
+      await this.updateShopStatus(job.shop, {
+        inProgress: true,
+        status: 'retrying',
+        message: `Retrying (attempt ${job.attempts + 1}/${job.maxAttempts})...`,
+        lastError: error.message
+      });
+      return 'retry';
     }
 
-    this.processing = false;
-    dbLogger.info('[SCHEMA-QUEUE] ✅ Queue processing completed, queue is empty');
+    // Non-retryable error OR max attempts reached
+    const reason = isNonRetryable ? 'Non-retryable error' : `Max attempts (${job.maxAttempts}) reached`;
+    dbLogger.error(`[SCHEMA-QUEUE] ❌ Job permanently failed for shop: ${job.shop}. ${reason}`);
+
+    await this.updateShopStatus(job.shop, {
+      inProgress: false,
+      status: 'failed',
+      message: error.message, // Use raw error message for NO_OPTIMIZED_PRODUCTS/ONLY_BASIC_SEO
+      lastError: error.message,
+      failedAt: new Date()
+    });
+    return null;
   }
 
   /**
@@ -207,26 +160,30 @@ class SchemaQueue {
    * Get queue status for a shop
    */
   async getJobStatus(shop) {
+    const [job, queueLength] = await Promise.all([
+      this.findActiveJob(shop),
+      BackgroundJob.countDocuments({ queue: this.name, status: 'queued' })
+    ]);
+
     // Check if currently processing
-    if (this.currentJob?.shop === shop) {
+    if (job?.status === 'running') {
       return {
         status: 'processing',
         message: 'Generating Advanced Schema Data...',
         position: 0,
-        queueLength: this.queue.length
+        queueLength
       };
     }
 
     // Check if in queue
-    const jobIndex = this.queue.findIndex(job => job.shop === shop);
-    if (jobIndex !== -1) {
-      const job = this.queue[jobIndex];
+    if (job) {
+      const position = await this.queuePosition(job);
       return {
         status: 'queued',
-        message: `Queued (position ${jobIndex + 1} of ${this.queue.length})`,
-        position: jobIndex + 1,
-        queueLength: this.queue.length,
-        estimatedTime: (jobIndex + 1) * 60
+        message: `Queued (position ${position} of ${queueLength})`,
+        position,
+        queueLength,
+        estimatedTime: position * 60
       };
     }
 
@@ -238,7 +195,7 @@ class SchemaQueue {
           status: shopDoc.schemaStatus.status || 'idle',
           message: shopDoc.schemaStatus.message || 'No generation in progress',
           lastUpdate: shopDoc.schemaStatus.updatedAt,
-          queueLength: this.queue.length
+          queueLength
         };
       }
     } catch (error) {
@@ -248,28 +205,7 @@ class SchemaQueue {
     return {
       status: 'idle',
       message: 'No generation in progress',
-      queueLength: this.queue.length
-    };
-  }
-
-  /**
-   * Get overall queue stats
-   */
-  getStats() {
-    return {
-      queueLength: this.queue.length,
-      processing: this.processing,
-      currentJob: this.currentJob ? {
-        shop: this.currentJob.shop,
-        status: this.currentJob.status,
-        startedAt: this.currentJob.startedAt,
-        attempts: this.currentJob.attempts
-      } : null,
-      queuedJobs: this.queue.map(job => ({
-        shop: job.shop,
-        queuedAt: job.queuedAt,
-        attempts: job.attempts
-      }))
+      queueLength
     };
   }
 }
@@ -278,4 +214,3 @@ class SchemaQueue {
 const schemaQueue = new SchemaQueue();
 
 export default schemaQueue;
-
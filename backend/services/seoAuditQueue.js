@@ -0,0 +1,50 @@
+// backend/services/seoAuditQueue.js
+// Background run of the store-wide SEO audit. One job per shop; the work itself is
+// runSeoAudit() in controllers/seoAuditController.js, which stores a db/SeoAudit.js entry.
+
+import BackgroundJob from '../db/BackgroundJob.js';
+import DurableQueue from './durableQueue.js';
+import { dbLogger } from '../utils/logger.js';
+
+class SeoAuditQueue extends DurableQueue {
+  constructor() {
+    super('seo-audit', { logTag: '[SEO-AUDIT-QUEUE]', jobIdPrefix: 'seoaudit', maxAttempts: 2 });
+  }
+
+  async addJob(shop) {
+    const { queued, job } = await this.enqueue(shop);
+    if (!queued) {
+      return { queued: false, message: 'An SEO audit is already running', jobId: job.jobId };
+    }
+    return { queued: true, jobId: job.jobId, position: await this.queuePosition(job) };
+  }
+
+  async processJob(job) {
+    const { runSeoAudit } = await import('../controllers/seoAuditController.js');
+    const audit = await runSeoAudit(job.shop, { jobId: job.jobId, startedAt: job.startedAt });
+    dbLogger.info(`${this.logTag} ✅ ${job.shop}: score ${audit.summary.score}, ${audit.issues.length} issues`);
+    await this.finish(job, 'completed');
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`${this.logTag} ❌ Job failed for shop: ${job.shop}`, error.message);
+    return job.attempts < job.maxAttempts ? 'retry' : null;
+  }
+
+  async getJobStatus(shop) {
+    const job = await this.findActiveJob(shop)
+      || await BackgroundJob.findOne({ queue: this.name, shop }).sort({ queuedAt: -1 }).lean();
+    if (!job) return { inProgress: false, status: 'idle' };
+
+    return {
+      inProgress: job.active === true,
+      status: job.status,
+      jobId: job.jobId,
+      error: job.status === 'failed' ? job.lastError : null,
+      position: job.status === 'queued' ? await this.queuePosition(job) : 0
+    };
+  }
+}
+
+const seoAuditQueue = new SeoAuditQueue();
+export default seoAuditQueue;
@@ -0,0 +1,106 @@
+// backend/services/seoDraftPublishQueue.js
+// Background publish of reviewed SEO drafts (see controllers/seoDraftController.js).
+// Jobs are stored in MongoDB (see durableQueue.js) - each item is one SeoDraft that is
+// applied with applySEOForLanguage() using its approved/edited fields. The draft is read
+// when its turn comes, so drafts discarded or re-opened in the meantime are skipped.
+
+import BackgroundJob from '../db/BackgroundJob.js';
+import SeoDraft from '../db/SeoDraft.js';
+import DurableQueue from './durableQueue.js';
+import { dbLogger } from '../utils/logger.js';
+import { draftReviewState, buildSeoFromDraft } from '../utils/seoDraft.js';
+
+class SeoDraftPublishQueue extends DurableQueue {
+  constructor() {
+    super('seo-draft-publish', { logTag: '[SEO-DRAFT-PUBLISH-QUEUE]', jobIdPrefix: 'publish', maxAttempts: 2 });
+  }
+
+  /**
+   * @param {string} shop
+   * @param {Array<{ draftId: string, label: string }>} items
+   * @param {Object} [options]
+   * @param {number} [options.discarded] - drafts discarded when publishing was requested (shown with the progress)
+   * @returns {Object} Job info
+   */
+  async addJob(shop, items, { discarded = 0 } = {}) {
+    const { queued, job } = await this.enqueue(shop, { items, payload: { discarded } });
+
+    if (!queued) {
+      return { queued: false, message: 'Publishing already in progress', ...this.formatProgress(job) };
+    }
+
+    dbLogger.info(`${this.logTag} ✅ Job added for shop: ${shop}, ${items.length} drafts`);
+    return { queued: true, total: items.length };
+  }
+
+  async processJob(job) {
+    const { applySEOForLanguage } = await import('../controllers/seoController.js');
+    // No request in the background - shopGraphQL resolves the offline token by shop
+    const bgReq = { shopDomain: job.shop, headers: {}, query: { shop: job.shop } };
+
+    await this.processItems(job, async (item) => {
+      const draft = await SeoDraft.findOne({ _id: item.draftId, shop: job.shop }).lean();
+      // Applied before a restart, but not recorded
+      if (draft?.status === 'applied') return { status: 'successful' };
+      if (!draft || draft.status !== 'pending' || draftReviewState(draft) !== 'ready') {
+        return { status: 'skipped', reason: `${item.label}: no longer ready to publish` };
+      }
+
+      try {
+        const result = await applySEOForLanguage(
+          bgReq,
+          job.shop,
+          draft.productId,
+          buildSeoFromDraft(draft),
+          draft.language,
+          { updateTitle: true, updateBody: true, updateSeo: true, updateBullets: true, updateFaq: true, jobId: draft.jobId }
+        );
+        if (!result?.ok) {
+          throw new Error(result?.errors?.join('; ') || 'Apply failed');
+        }
+        await SeoDraft.updateOne({ _id: draft._id }, { $set: { status: 'applied', appliedAt: new Date(), error: null } });
+        return { status: 'successful' };
+      } catch (error) {
+        await SeoDraft.updateOne({ _id: draft._id }, { $set: { status: 'failed', error: error.message } }).catch(() => {});
+        return { status: 'failed', reason: `${item.label}: ${error.message}` };
+      }
+    }, { batchSize: 1 });
+
+    dbLogger.info(`${this.logTag} ✅ ${job.shop}: ${job.successful} drafts applied, ${job.skipped} skipped, ${job.failed} failed`);
+    await this.finish(job, 'completed');
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`${this.logTag} ❌ Job failed for shop: ${job.shop}`, error.message);
+    return null;
+  }
+
+  /**
+   * Publish progress in the shape the draft review modal polls for.
+   */
+  formatProgress(job) {
+    return {
+      total: job.total,
+      processed: job.processed,
+      applied: job.successful,
+      skipped: job.skipped,
+      failed: job.failed,
+      errors: [...(job.failReasons || []), ...(job.skipReasons || [])],
+      discarded: job.payload?.discarded || 0,
+      startedAt: job.startedAt || job.queuedAt,
+      finishedAt: job.active ? null : job.finishedAt
+    };
+  }
+
+  /**
+   * Active publish job, or the last finished one, or null.
+   */
+  async getProgress(shop) {
+    const job = await this.findActiveJob(shop)
+      || await BackgroundJob.findOne({ queue: this.name, shop }).sort({ queuedAt: -1 }).lean();
+    return job ? this.formatProgress(job) : null;
+  }
+}
+
+const seoDraftPublishQueue = new SeoDraftPublishQueue();
+export default seoDraftPublishQueue;
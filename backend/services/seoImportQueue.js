@@ -0,0 +1,83 @@
+// backend/services/seoImportQueue.js
+// Background apply of an imported SEO sheet (see controllers/seoCsvController.js).
+// Jobs are stored in MongoDB (see durableQueue.js) - each item is one resource + language
+// and runs applySeoCsvRow(), which goes through the regular product/collection apply.
+
+import BackgroundJob from '../db/BackgroundJob.js';
+import DurableQueue from './durableQueue.js';
+import { dbLogger } from '../utils/logger.js';
+
+class SeoImportQueue extends DurableQueue {
+  constructor() {
+    super('seo-import', { logTag: '[SEO-IMPORT-QUEUE]', jobIdPrefix: 'seoimport', maxAttempts: 2 });
+  }
+
+  /**
+   * @param {string} shop
+   * @param {Array<{ type: 'product'|'collection', id: string, title: string, language: string, fields: Object, alts: Array }>} items
+   * @returns {Object} Job info
+   */
+  async addJob(shop, items) {
+    const { queued, job } = await this.enqueue(shop, { items });
+
+    if (!queued) {
+      return job.status === 'running'
+        ? { queued: false, message: 'An SEO import is already processing', position: 0 }
+        : { queued: false, message: 'An SEO import is already queued', position: await this.queuePosition(job) };
+    }
+
+    dbLogger.info(`${this.logTag} ✅ Job added for shop: ${shop}, ${items.length} rows`);
+    return {
+      queued: true,
+      jobId: job.jobId,
+      position: await this.queuePosition(job),
+      total: items.length
+    };
+  }
+
+  async processJob(job) {
+    const { applySeoCsvRow } = await import('../controllers/seoCsvController.js');
+
+    await this.processItems(job, async (item) => {
+      const label = `${item.title || item.id} [${item.language}]`;
+      try {
+        await applySeoCsvRow(job.shop, item, { jobId: job.jobId });
+        return { status: 'successful' };
+      } catch (error) {
+        return { status: 'failed', reason: `${label}: ${error.message}` };
+      }
+    }, { batchSize: 1 });
+
+    dbLogger.info(`${this.logTag} ✅ ${job.shop}: ${job.successful} rows applied, ${job.failed} failed`);
+    await this.finish(job, 'completed');
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`${this.logTag} ❌ Job failed for shop: ${job.shop}`, error.message);
+    return null;
+  }
+
+  /**
+   * Active job, or the last finished one.
+   */
+  async getJobStatus(shop) {
+    const job = await this.findActiveJob(shop)
+      || await BackgroundJob.findOne({ queue: this.name, shop }).sort({ queuedAt: -1 }).lean();
+    if (!job) return { inProgress: false, status: 'idle' };
+
+    return {
+      inProgress: job.active === true,
+      status: job.status,
+      jobId: job.jobId,
+      total: job.total,
+      processed: job.processed,
+      successful: job.successful,
+      failed: job.failed,
+      failReasons: (job.failReasons || []).slice(-10),
+      position: job.status === 'queued' ? await this.queuePosition(job) : 0
+    };
+  }
+}
+
+const seoImportQueue = new SeoImportQueue();
+export default seoImportQueue;
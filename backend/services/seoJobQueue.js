@@ -1,68 +1,40 @@
 // backend/services/seoJobQueue.js
 // Background job processing for SEO Generate + Apply combined operations
-// Based on sitemapQueue.js pattern
+// Jobs are stored in MongoDB (see durableQueue.js) - handlers live in multiSeoController.js
 
 import Shop from '../db/Shop.js';
+import DurableQueue from './durableQueue.js';
 import { dbLogger } from '../utils/logger.js';
 import emailService from './emailService.js';
 
-class SeoJobQueue {
+class SeoJobQueue extends DurableQueue {
   constructor() {
-    this.queue = []; // In-memory queue
-    this.processing = false;
-    this.currentJob = null;
+    super('seo', { logTag: '[SEO-JOB-QUEUE]', jobIdPrefix: 'seo' });
   }
 
   /**
    * Add a SEO generate+apply job to the queue
    * @param {string} shop - Shop domain
-   * @param {Array} products - Array of { productId, languages, model }
-   * @param {Function} generateFn - Function that generates SEO for one product
-   * @param {Function} applyFn - Function that applies SEO for one product
+   * @param {Array} products - Array of { productId, title, languages, existingLanguages, model }
+   * @param {Object} [options]
+   * @param {boolean} [options.reviewMode=false] - store drafts for review instead of publishing
+   * @param {number} [options.languageLimit=1] - plan language limit for generation
    * @returns {Object} Job info
    */
-  async addJob(shop, products, generateFn, applyFn) {
-    // Check if job already exists in queue
-    const existingJob = this.queue.find(job => job.shop === shop);
-    if (existingJob) {
-      dbLogger.info(`[SEO-JOB-QUEUE] Job already queued for shop: ${shop}`);
-      return {
-        queued: false,
-        message: 'Job already in queue',
-        position: this.queue.indexOf(existingJob) + 1
-      };
-    }
+  async addJob(shop, products, options = {}) {
+    const reviewMode = options.reviewMode === true;
+    const { queued, job } = await this.enqueue(shop, {
+      items: products,
+      payload: { reviewMode, languageLimit: options.languageLimit || 1 }
+    });
 
-    // Check if currently processing this shop
-    if (this.currentJob?.shop === shop) {
-      dbLogger.info(`[SEO-JOB-QUEUE] Job already processing for shop: ${shop}`);
-      return {
-        queued: false,
-        message: 'Job already processing',
-        position: 0
-      };
+    if (!queued) {
+      dbLogger.info(`[SEO-JOB-QUEUE] Job already ${job.status === 'running' ? 'processing' : 'queued'} for shop: ${shop}`);
+      return job.status === 'running'
+        ? { queued: false, message: 'Job already processing', position: 0 }
+        : { queued: false, message: 'Job already in queue', position: await this.queuePosition(job) };
     }
 
-    // Create job
-    const job = {
-      id: `${shop}-seo-${Date.now()}`,
-      shop,
-      products,
-      generateFn,
-      applyFn,
-      status: 'queued',
-      phase: null,
-      queuedAt: new Date(),
-      totalProducts: products.length,
-      processedProducts: 0,
-      successfulProducts: 0,
-      failedProducts: 0,
-      skippedProducts: 0,
-      skipReasons: [],
-      failReasons: []
-    };
-
-    this.queue.push(job);
     dbLogger.info(`[SEO-JOB-QUEUE] ✅ Job added for shop: ${shop}, ${products.length} products`);
 
     // Update shop status in DB
@@ -70,8 +42,10 @@ class SeoJobQueue {
       inProgress: true,
       status: 'queued',
       phase: null,
+      jobId: job.jobId,
+      reviewMode,
       message: `Queued (${products.length} products)`,
-      queuedAt: new Date(),
+      queuedAt: job.queuedAt,
       totalProducts: products.length,
       processedProducts: 0,
       successfulProducts: 0,
@@ -79,233 +53,166 @@ class SeoJobQueue {
       skippedProducts: 0
     });
 
-    // Start processing if not already running
-    if (!this.processing) {
-      this.startProcessing();
-    }
-
     return {
       queued: true,
-      jobId: job.id,
-      position: this.queue.length,
+      jobId: job.jobId,
+      position: await this.queuePosition(job),
       totalProducts: products.length
     };
   }
 
   /**
-   * Start processing the queue
-   * OPTIMIZED: Processes products in batches of 2 for ~2x speedup
+   * Process one claimed job - each product goes through Generate then Apply (or draft),
+   * 2 products in parallel. A resumed job only runs the products still pending.
    */
-  async startProcessing() {
-    if (this.processing) {
-      return;
-    }
+  async processJob(job, { resumed }) {
+    const { generateBatchProduct, applyBatchProduct, saveBatchDrafts } = await import('../controllers/multiSeoController.js');
+    const { reviewMode = false, languageLimit = 1 } = job.payload || {};
+    const applyFn = reviewMode ? saveBatchDrafts : applyBatchProduct;
 
-    this.processing = true;
-    dbLogger.info('[SEO-JOB-QUEUE] 🔄 Starting queue processing...');
+    dbLogger.info(`[SEO-JOB-QUEUE] 🔧 Processing job for shop: ${job.shop} (${job.total} products)`);
+    const startTime = Date.now();
+    const processedAtStart = job.processed;
 
-    while (this.queue.length > 0) {
-      const job = this.queue.shift();
-      this.currentJob = job;
+    // Reset cancelled flag at start (a resumed job keeps a cancel that arrived meanwhile)
+    if (!resumed) {
+      await Shop.findOneAndUpdate(
+        { shop: job.shop },
+        { $set: { 'seoJobStatus.cancelled': false } }
+      );
+    }
 
+    // Helper to check if job was cancelled
+    const checkCancelled = async () => {
       try {
-        dbLogger.info(`[SEO-JOB-QUEUE] 🔧 Processing job for shop: ${job.shop} (${job.totalProducts} products)`);
-        
-        job.status = 'processing';
-        job.startedAt = new Date();
-        const startTime = Date.now();
-        
-        // Reset cancelled flag at start
-        await Shop.findOneAndUpdate(
-          { shop: job.shop },
-          { $set: { 'seoJobStatus.cancelled': false } }
-        );
-        
-        // Helper to check if job was cancelled
-        const checkCancelled = async () => {
-          try {
-            const shopDoc = await Shop.findOne({ shop: job.shop }).select('seoJobStatus.cancelled').lean();
-            return shopDoc?.seoJobStatus?.cancelled === true;
-          } catch (err) {
-            return false;
-          }
-        };
-        
-        // Helper to calculate and update progress
-        const updateProgress = async (current, total) => {
-          const elapsed = Math.floor((Date.now() - startTime) / 1000);
-          const avgTimePerProduct = current > 0 ? elapsed / current : 1.3; // Default estimate: 1.3s
-          const remaining = Math.ceil((total - current) * avgTimePerProduct);
-          
-            await this.updateShopStatus(job.shop, {
-              inProgress: true,
-            status: 'processing',
-            phase: 'processing',
-            message: `Processing ${current}/${total} products`,
-            totalProducts: total,
-            processedProducts: current,
-              successfulProducts: job.successfulProducts,
-              failedProducts: job.failedProducts,
-            skippedProducts: job.skippedProducts,
-            progress: {
-              current,
-              total,
-              percent: Math.round((current / total) * 100),
-              elapsedSeconds: elapsed,
-              remainingSeconds: remaining,
-              startedAt: new Date(startTime)
-            }
-          });
-        };
+        const shopDoc = await Shop.findOne({ shop: job.shop }).select('seoJobStatus.cancelled').lean();
+        return shopDoc?.seoJobStatus?.cancelled === true;
+      } catch (err) {
+        return false;
+      }
+    };
 
-        // OPTIMIZATION: Process products in batches of 2 for parallel execution
-        const BATCH_SIZE = 2;
-        const BATCH_DELAY = 300; // ms between batches
-
-        for (let batchStart = 0; batchStart < job.products.length; batchStart += BATCH_SIZE) {
-          // Check for cancellation at start of each batch
-          if (await checkCancelled()) {
-            dbLogger.info(`[SEO-JOB-QUEUE] Job cancelled for shop: ${job.shop} after ${job.processedProducts} products`);
-            throw new Error('CANCELLED_BY_USER');
-          }
-          
-          const batch = job.products.slice(batchStart, batchStart + BATCH_SIZE);
-          
-          // Update progress before batch
-          job.phase = 'processing';
-          await updateProgress(job.processedProducts, job.totalProducts);
-
-          // Process batch in parallel - each product goes through Generate then Apply
-          const batchPromises = batch.map(async (productData) => {
-            try {
-              // Phase 1: Generate
-            const generateResult = await job.generateFn(productData);
-            
-              // Check if skipped
-            if (generateResult.skipped) {
-                return { productData, skipped: true, reason: generateResult.reason };
-            }
-
-            // Check if generate failed
-            if (!generateResult.success) {
-                return { productData, failed: true, error: generateResult.error || generateResult.reason };
-            }
-
-            // Phase 2: Apply
-              await job.applyFn(productData, generateResult.data);
-              return { productData, success: true };
-
-            } catch (error) {
-              return { productData, failed: true, error: error.message };
-            }
-          });
+    // Helper to calculate and update progress (ETA from products done in this run)
+    const updateProgress = async () => {
+      const current = job.processed;
+      const total = job.total;
+      const elapsed = Math.floor((Date.now() - startTime) / 1000);
+      const doneThisRun = current - processedAtStart;
+      const avgTimePerProduct = doneThisRun > 0 ? elapsed / doneThisRun : 1.3; // Default estimate: 1.3s
+      const remaining = Math.ceil((total - current) * avgTimePerProduct);
 
-          // Wait for all products in batch to complete
-          const batchResults = await Promise.all(batchPromises);
-
-          // Process batch results
-          for (const result of batchResults) {
-            if (result.skipped) {
-              job.skippedProducts++;
-              if (result.reason) {
-                job.skipReasons.push(`${result.productData.title || result.productData.productId}: ${result.reason}`);
-              }
-            } else if (result.success) {
-            job.successfulProducts++;
-            } else if (result.failed) {
-            job.failedProducts++;
-              if (result.error) {
-                job.failReasons.push(`${result.productData.title || result.productData.productId}: ${result.error}`);
-              }
-              dbLogger.error(`[SEO-JOB-QUEUE] Product failed: ${result.productData.productId}`, result.error);
-          }
-          job.processedProducts++;
-          }
-
-          // Small delay between batches
-          if (batchStart + BATCH_SIZE < job.products.length) {
-            await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-          }
+      await this.updateShopStatus(job.shop, {
+        inProgress: true,
+        status: 'processing',
+        phase: 'processing',
+        message: `Processing ${current}/${total} products`,
+        totalProducts: total,
+        processedProducts: current,
+        successfulProducts: job.successful,
+        failedProducts: job.failed,
+        skippedProducts: job.skipped,
+        progress: {
+          current,
+          total,
+          percent: Math.round((current / total) * 100),
+          elapsedSeconds: elapsed,
+          remainingSeconds: remaining,
+          startedAt: new Date(startTime)
         }
+      });
+    };
+
+    await this.processItems(job, async (productData) => {
+      const label = productData.title || productData.productId;
+      try {
+        // Phase 1: Generate
+        const generateResult = await generateBatchProduct(job.shop, productData, { languageLimit });
 
-        // Job completed
-        job.status = 'completed';
-        job.completedAt = new Date();
-
-        const duration = (new Date() - job.startedAt) / 1000;
-        dbLogger.info(`[SEO-JOB-QUEUE] ✅ Job completed for shop: ${job.shop}`, {
-          duration,
-          successful: job.successfulProducts,
-          failed: job.failedProducts,
-          skipped: job.skippedProducts,
-          avgPerProduct: (duration / job.totalProducts).toFixed(2) + 's'
-        });
-
-        // Update shop status to completed
-        await this.updateShopStatus(job.shop, {
-          inProgress: false,
-          status: 'completed',
-          phase: null,
-          message: `Completed: ${job.successfulProducts} optimized${job.skippedProducts > 0 ? `, ${job.skippedProducts} skipped` : ''}${job.failedProducts > 0 ? `, ${job.failedProducts} failed` : ''} in ${duration.toFixed(1)}s`,
-          completedAt: new Date(),
-          lastError: null,
-          totalProducts: job.totalProducts,
-          processedProducts: job.processedProducts,
-          successfulProducts: job.successfulProducts,
-          failedProducts: job.failedProducts,
-          skippedProducts: job.skippedProducts,
-          skipReasons: job.skipReasons.slice(0, 10),
-          failReasons: job.failReasons.slice(0, 10)
-        });
-        
-        // Send email notification if job took more than 2 minutes
-        if (duration > 120) {
-          try {
-            const shopDoc = await Shop.findOne({ shop: job.shop }).lean();
-            if (shopDoc?.email) {
-              await emailService.sendJobCompletedEmail(shopDoc, {
-                type: 'seo',
-                successful: job.successfulProducts,
-                failed: job.failedProducts,
-                skipped: job.skippedProducts,
-                duration: duration,
-                itemType: 'products',
-                failReasons: job.failReasons?.slice(0, 5) || [],
-                skipReasons: job.skipReasons?.slice(0, 5) || []
-              });
-            }
-          } catch (emailErr) {
-            dbLogger.error(`[SEO-JOB-QUEUE] Failed to send completion email: ${emailErr.message}`);
-          }
+        if (generateResult.skipped) {
+          return { status: 'skipped', reason: generateResult.reason ? `${label}: ${generateResult.reason}` : null };
+        }
+        if (!generateResult.success) {
+          const error = generateResult.error || generateResult.reason;
+          dbLogger.error(`[SEO-JOB-QUEUE] Product failed: ${productData.productId}`, error);
+          return { status: 'failed', reason: error ? `${label}: ${error}` : null };
         }
 
+        // Phase 2: Apply
+        await applyFn(job.shop, productData, generateResult.data, job.jobId);
+        return { status: 'successful' };
       } catch (error) {
-        dbLogger.error(`[SEO-JOB-QUEUE] ❌ Job failed for shop: ${job.shop}`, error.message);
-
-        job.status = 'failed';
-        job.error = error.message;
-        job.failedAt = new Date();
-
-        await this.updateShopStatus(job.shop, {
-          inProgress: false,
-          status: 'failed',
-          phase: null,
-          message: `Failed: ${error.message}`,
-          lastError: error.message,
-          failedAt: new Date(),
-          totalProducts: job.totalProducts,
-          processedProducts: job.processedProducts,
-          successfulProducts: job.successfulProducts,
-          failedProducts: job.failedProducts,
-          skippedProducts: job.skippedProducts
-        });
+        dbLogger.error(`[SEO-JOB-QUEUE] Product failed: ${productData.productId}`, error.message);
+        return { status: 'failed', reason: `${label}: ${error.message}` };
       }
+    }, { isCancelled: checkCancelled, beforeBatch: updateProgress });
+
+    const duration = (Date.now() - new Date(job.startedAt).getTime()) / 1000;
+    dbLogger.info(`[SEO-JOB-QUEUE] ✅ Job completed for shop: ${job.shop}`, {
+      duration,
+      successful: job.successful,
+      failed: job.failed,
+      skipped: job.skipped,
+      avgPerProduct: (duration / job.total).toFixed(2) + 's'
+    });
+
+    await this.finish(job, 'completed');
+
+    // Update shop status to completed
+    await this.updateShopStatus(job.shop, {
+      inProgress: false,
+      status: 'completed',
+      phase: null,
+      message: `Completed: ${job.successful} ${reviewMode ? 'ready for review' : 'optimized'}${job.skipped > 0 ? `, ${job.skipped} skipped` : ''}${job.failed > 0 ? `, ${job.failed} failed` : ''} in ${duration.toFixed(1)}s`,
+      completedAt: new Date(),
+      lastError: null,
+      totalProducts: job.total,
+      processedProducts: job.processed,
+      successfulProducts: job.successful,
+      failedProducts: job.failed,
+      skippedProducts: job.skipped,
+      skipReasons: job.skipReasons.slice(0, 10),
+      failReasons: job.failReasons.slice(0, 10)
+    });
 
-      this.currentJob = null;
+    // Send email notification if job took more than 2 minutes
+    if (duration > 120) {
+      try {
+        const shopDoc = await Shop.findOne({ shop: job.shop }).lean();
+        if (shopDoc?.email) {
+          await emailService.sendJobCompletedEmail(shopDoc, {
+            type: 'seo',
+            successful: job.successful,
+            failed: job.failed,
+            skipped: job.skipped,
+            duration: duration,
+            itemType: 'products',
+            failReasons: job.failReasons?.slice(0, 5) || [],
+            skipReasons: job.skipReasons?.slice(0, 5) || []
+          });
+        }
+      } catch (emailErr) {
+        dbLogger.error(`[SEO-JOB-QUEUE] Failed to send completion email: ${emailErr.message}`);
+      }
     }
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`[SEO-JOB-QUEUE] ❌ Job failed for shop: ${job.shop}`, error.message);
 
-    this.processing = false;
-    dbLogger.info('[SEO-JOB-QUEUE] ✅ Queue processing completed');
+    await this.updateShopStatus(job.shop, {
+      inProgress: false,
+      status: 'failed',
+      phase: null,
+      message: `Failed: ${error.message}`,
+      lastError: error.message,
+      failedAt: new Date(),
+      totalProducts: job.total,
+      processedProducts: job.processed,
+      successfulProducts: job.successful,
+      failedProducts: job.failed,
+      skippedProducts: job.skipped
+    });
+    return null;
   }
 
   /**
@@ -321,6 +228,8 @@ class SeoJobQueue {
         'seoJobStatus.updatedAt': new Date()
       };
 
+      if (statusUpdate.jobId !== undefined) updateFields['seoJobStatus.jobId'] = statusUpdate.jobId;
+      if (statusUpdate.reviewMode !== undefined) updateFields['seoJobStatus.reviewMode'] = statusUpdate.reviewMode;
       if (statusUpdate.queuedAt !== undefined) updateFields['seoJobStatus.queuedAt'] = statusUpdate.queuedAt;
       if (statusUpdate.startedAt !== undefined) updateFields['seoJobStatus.startedAt'] = statusUpdate.startedAt;
       if (statusUpdate.completedAt !== undefined) updateFields['seoJobStatus.completedAt'] = statusUpdate.completedAt;
@@ -358,36 +267,39 @@ class SeoJobQueue {
    * Get job status for a shop
    */
   async getJobStatus(shop) {
+    const job = await this.findActiveJob(shop);
+
     // Check if currently processing
-    if (this.currentJob?.shop === shop) {
+    if (job?.status === 'running') {
       return {
         inProgress: true,
-        status: this.currentJob.status === 'processing' ? 
-          (this.currentJob.phase === 'generate' ? 'generating' : 'applying') : 
-          this.currentJob.status,
-        phase: this.currentJob.phase,
-        message: `${this.currentJob.phase === 'generate' ? 'Generating' : 'Applying'} ${this.currentJob.processedProducts}/${this.currentJob.totalProducts}...`,
-        totalProducts: this.currentJob.totalProducts,
-        processedProducts: this.currentJob.processedProducts,
-        successfulProducts: this.currentJob.successfulProducts,
-        failedProducts: this.currentJob.failedProducts,
-        skippedProducts: this.currentJob.skippedProducts,
+        status: 'applying',
+        phase: 'processing',
+        jobId: job.jobId,
+        reviewMode: job.payload?.reviewMode === true,
+        message: `Applying ${job.processed}/${job.total}...`,
+        totalProducts: job.total,
+        processedProducts: job.processed,
+        successfulProducts: job.successful,
+        failedProducts: job.failed,
+        skippedProducts: job.skipped,
         position: 0
       };
     }
 
     // Check if in queue
-    const jobIndex = this.queue.findIndex(job => job.shop === shop);
-    if (jobIndex !== -1) {
-      const job = this.queue[jobIndex];
+    if (job) {
+      const position = await this.queuePosition(job);
       return {
         inProgress: true,
         status: 'queued',
         phase: null,
-        message: `Queued (position ${jobIndex + 1})`,
-        totalProducts: job.totalProducts,
-        processedProducts: 0,
-        position: jobIndex + 1
+        jobId: job.jobId,
+        reviewMode: job.payload?.reviewMode === true,
+        message: `Queued (position ${position})`,
+        totalProducts: job.total,
+        processedProducts: job.processed,
+        position
       };
     }
 
@@ -399,6 +311,8 @@ class SeoJobQueue {
           inProgress: shopDoc.seoJobStatus.inProgress || false,
           status: shopDoc.seoJobStatus.status || 'idle',
           phase: shopDoc.seoJobStatus.phase || null,
+          jobId: shopDoc.seoJobStatus.jobId || null,
+          reviewMode: shopDoc.seoJobStatus.reviewMode || false,
           message: shopDoc.seoJobStatus.message || null,
           totalProducts: shopDoc.seoJobStatus.totalProducts || 0,
           processedProducts: shopDoc.seoJobStatus.processedProducts || 0,
@@ -0,0 +1,121 @@
+// backend/services/seoRestoreQueue.js
+// Background rollback of a batch SEO job (see controllers/seoHistoryController.js).
+// Jobs are stored in MongoDB (see durableQueue.js) - each item is one SeoVersion written
+// by the batch job and is restored to its `before` state with restoreSeoVersion().
+// Versions changed again after the batch job are skipped unless payload.force is set.
+
+import BackgroundJob from '../db/BackgroundJob.js';
+import SeoVersion from '../db/SeoVersion.js';
+import DurableQueue from './durableQueue.js';
+import { dbLogger } from '../utils/logger.js';
+
+// A version is stale if the same product + language was changed after it
+async function hasNewerVersion(shop, version) {
+  const newer = await SeoVersion.exists({
+    shop,
+    productId: version.productId,
+    language: version.language,
+    createdAt: { $gt: version.createdAt },
+    restoredFrom: { $ne: version._id }
+  });
+  return !!newer;
+}
+
+class SeoRestoreQueue extends DurableQueue {
+  constructor() {
+    super('seo-restore', { logTag: '[SEO-RESTORE-QUEUE]', jobIdPrefix: 'restore', maxAttempts: 2 });
+  }
+
+  /**
+   * @param {string} shop
+   * @param {string} sourceJobId - the batch job being rolled back
+   * @param {Array<{ versionId: string, label: string }>} items - newest version first
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - also restore versions changed after the batch job
+   * @returns {Object} Job info
+   */
+  async addJob(shop, sourceJobId, items, { force = false } = {}) {
+    const { queued, job } = await this.enqueue(shop, { items, payload: { sourceJobId, force } });
+
+    if (!queued) {
+      const sameJob = job.payload?.sourceJobId === sourceJobId;
+      return {
+        queued: false,
+        message: sameJob ? 'Rollback already in progress' : 'Another rollback is in progress',
+        ...(sameJob ? this.formatProgress(job) : {})
+      };
+    }
+
+    dbLogger.info(`${this.logTag} ✅ Rollback of ${sourceJobId} added for shop: ${shop}, ${items.length} versions`);
+    return { queued: true, jobId: sourceJobId, total: items.length };
+  }
+
+  async processJob(job) {
+    const { restoreSeoVersion } = await import('../controllers/seoController.js');
+    const { sourceJobId, force } = job.payload || {};
+    // No request in the background - shopGraphQL resolves the offline token by shop
+    const bgReq = { shopDomain: job.shop, headers: {}, query: { shop: job.shop } };
+
+    await this.processItems(job, async (item) => {
+      try {
+        const version = await SeoVersion.findOne({ _id: item.versionId, shop: job.shop }).lean();
+        if (!version) return { status: 'skipped', reason: `${item.label}: version no longer exists` };
+        // Restored before a restart, but not recorded
+        if (version.restoredAt) return { status: 'successful' };
+
+        if (!force && await hasNewerVersion(job.shop, version)) {
+          return { status: 'skipped', reason: `${item.label}: changed after this job` };
+        }
+        await restoreSeoVersion(bgReq, job.shop, version, 'before');
+        return { status: 'successful' };
+      } catch (error) {
+        return { status: 'failed', reason: `${item.label}: ${error.message}` };
+      }
+    }, { batchSize: 1 });
+
+    dbLogger.info(`${this.logTag} ✅ Rollback of ${sourceJobId} for ${job.shop}: ${job.successful} restored, ${job.skipped} skipped, ${job.failed} failed`);
+    await this.finish(job, 'completed');
+  }
+
+  async onJobFailed(job, error) {
+    dbLogger.error(`${this.logTag} ❌ Rollback failed for shop: ${job.shop}`, error.message);
+    return null;
+  }
+
+  /**
+   * Rollback progress in the shape the history modal polls for.
+   */
+  formatProgress(job) {
+    return {
+      total: job.total,
+      processed: job.processed,
+      restored: job.successful,
+      skipped: job.skipped,
+      failed: job.failed,
+      errors: [...(job.skipReasons || []), ...(job.failReasons || [])],
+      startedAt: job.startedAt || job.queuedAt,
+      finishedAt: job.active ? null : job.finishedAt
+    };
+  }
+
+  /**
+   * Latest rollback of a batch job, or null.
+   */
+  async getRollback(shop, sourceJobId) {
+    const job = await BackgroundJob.findOne({ queue: this.name, shop, 'payload.sourceJobId': sourceJobId })
+      .sort({ queuedAt: -1 })
+      .lean();
+    return job ? this.formatProgress(job) : null;
+  }
+
+  /**
+   * Batch job id being rolled back for the shop right now, or null.
+   */
+  async activeSourceJobId(shop) {
+    const job = await this.findActiveJob(shop);
+    return job?.payload?.sourceJobId || null;
+  }
+}
+
+const seoRestoreQueue = new SeoRestoreQueue();
+export default seoRestoreQueue;
@@ -1,222 +1,160 @@
 // backend/services/sitemapQueue.js
-// PHASE 4: Simplified Queue System (In-Memory)
 // Background job processing for sitemap generation without blocking requests
+// Jobs are stored in MongoDB (see durableQueue.js) and run generateSitemapCore() from sitemapController.js
 
 import Shop from '../db/Shop.js';
+import BackgroundJob from '../db/BackgroundJob.js';
+import DurableQueue from './durableQueue.js';
 import { dbLogger } from '../utils/logger.js';
 import emailService from './emailService.js';
 
-class SitemapQueue {
+class SitemapQueue extends DurableQueue {
   constructor() {
-    this.queue = []; // In-memory queue (simple array)
-    this.processing = false; // Flag to prevent concurrent processing
-    this.currentJob = null; // Currently processing job
+    super('sitemap', { logTag: '[QUEUE]', jobIdPrefix: 'sitemap', maxAttempts: 2 });
   }
 
   /**
    * Add a sitemap generation job to the queue
    * @param {string} shop - Shop domain
-   * @param {Function} generatorFn - Function that generates the sitemap
    * @param {Object} options - Optional settings { type: 'basic' | 'ai-enhanced' }
+   *   'ai-enhanced' runs generateSitemapCore() with enableAIEnhancement
    * @returns {Object} Job info
    */
-  async addJob(shop, generatorFn, options = {}) {
-    // Check if job already exists in queue
-    const existingJob = this.queue.find(job => job.shop === shop);
-    if (existingJob) {
-      dbLogger.info(`[QUEUE] Job already queued for shop: ${shop}`);
-      return {
-        queued: false,
-        message: 'Job already in queue',
-        position: this.queue.indexOf(existingJob) + 1,
-        estimatedTime: (this.queue.indexOf(existingJob) + 1) * 30 // Rough estimate: 30s per job
-      };
-    }
+  async addJob(shop, options = {}) {
+    const type = options.type || 'basic'; // 'basic' or 'ai-enhanced'
+    const { queued, job } = await this.enqueue(shop, { payload: { type } });
 
-    // Check if currently processing this shop
-    if (this.currentJob?.shop === shop) {
-      dbLogger.info(`[QUEUE] Job already processing for shop: ${shop}`);
+    if (!queued) {
+      dbLogger.info(`[QUEUE] Job already ${job.status === 'running' ? 'processing' : 'queued'} for shop: ${shop}`);
+      if (job.status === 'running') {
+        return {
+          queued: false,
+          message: 'Job already processing',
+          position: 0,
+          estimatedTime: 15 // Rough estimate: halfway through
+        };
+      }
+      const position = await this.queuePosition(job);
       return {
         queued: false,
-        message: 'Job already processing',
-        position: 0,
-        estimatedTime: 15 // Rough estimate: halfway through
+        message: 'Job already in queue',
+        position,
+        estimatedTime: position * 30 // Rough estimate: 30s per job
       };
     }
 
-    // Create job
-    const job = {
-      id: `${shop}-${Date.now()}`,
-      shop,
-      generatorFn,
-      type: options.type || 'basic', // 'basic' or 'ai-enhanced'
-      status: 'queued',
-      queuedAt: new Date(),
-      attempts: 0,
-      maxAttempts: 2
-    };
-
-    this.queue.push(job);
-    dbLogger.info(`[QUEUE] ✅ Job added for shop: ${shop}, queue length: ${this.queue.length}`);
+    const position = await this.queuePosition(job);
+    dbLogger.info(`[QUEUE] ✅ Job added for shop: ${shop}, queue position: ${position}`);
 
     // Update shop status in DB
     await this.updateShopStatus(shop, {
       inProgress: true,
       status: 'queued',
-      message: `Queued (position ${this.queue.length})`,
-      queuedAt: new Date()
+      message: `Queued (position ${position})`,
+      queuedAt: job.queuedAt
     });
 
-    // Start processing if not already running
-    if (!this.processing) {
-      this.startProcessing();
-    }
-
     return {
       queued: true,
-      jobId: job.id,
-      position: this.queue.length,
-      estimatedTime: this.queue.length * 30 // 30s per job estimate
+      jobId: job.jobId,
+      position,
+      estimatedTime: position * 30 // 30s per job estimate
     };
   }
 
-  /**
-   * Start processing the queue
-   */
-  async startProcessing() {
-    if (this.processing) {
-      dbLogger.warn('[QUEUE] ⚠️  Processing already running');
-      return;
-    }
-
-    this.processing = true;
-    dbLogger.info('[QUEUE] 🔄 Starting queue processing...');
-
-    while (this.queue.length > 0) {
-      const job = this.queue.shift(); // Get first job (FIFO)
-      this.currentJob = job;
-
-      try {
-        dbLogger.info(`[QUEUE] 🔧 Processing job for shop: ${job.shop} (attempt ${job.attempts + 1}/${job.maxAttempts})`);
-        
-        // Update status to processing
-        await this.updateShopStatus(job.shop, {
-          inProgress: true,
-          status: 'processing',
-          message: 'Generating sitemap...',
-          startedAt: new Date()
-        });
-
-        job.status = 'processing';
-        job.startedAt = new Date();
-        job.attempts++;
-
-        // Execute the sitemap generation function
-        const result = await job.generatorFn();
+  async processJob(job) {
+    const { generateSitemapCore } = await import('../controllers/sitemapController.js');
+    const type = job.payload?.type || 'basic';
 
-        // Job completed successfully
-        job.status = 'completed';
-        job.completedAt = new Date();
-        job.result = result;
+    dbLogger.info(`[QUEUE] 🔧 Processing job for shop: ${job.shop} (attempt ${job.attempts}/${job.maxAttempts})`);
+    const startedAt = new Date();
 
-        const duration = (new Date() - job.startedAt) / 1000;
+    // Update status to processing
+    await this.updateShopStatus(job.shop, {
+      inProgress: true,
+      status: 'processing',
+      message: 'Generating sitemap...',
+      startedAt
+    });
 
-        dbLogger.info(`[QUEUE] ✅ Job completed for shop: ${job.shop}`, {
-          duration,
-          productCount: result.productCount
-        });
+    const result = await generateSitemapCore(job.shop, { enableAIEnhancement: type === 'ai-enhanced' });
+    const duration = (new Date() - startedAt) / 1000;
 
-        // Update shop status to completed
-        await this.updateShopStatus(job.shop, {
-          inProgress: false,
-          status: 'completed',
-          message: `Sitemap generated successfully (${result.productCount} products)`,
-          completedAt: new Date(),
-          lastError: null
-        });
-        
-        // Send email notification if job took more than 2 minutes
-        if (duration > 120) {
-          try {
-            const shopDoc = await Shop.findOne({ shop: job.shop }).lean();
-            if (shopDoc?.email) {
-              await emailService.sendSitemapCompletedEmail(shopDoc, {
-                productCount: result.productCount,
-                duration: duration,
-                type: job.type || 'basic' // 'basic' or 'ai-enhanced'
-              });
-            }
-          } catch (emailErr) {
-            dbLogger.error(`[QUEUE] Failed to send sitemap completion email: ${emailErr.message}`);
-          }
-        }
+    dbLogger.info(`[QUEUE] ✅ Job completed for shop: ${job.shop}`, {
+      duration,
+      productCount: result.productCount
+    });
 
-      } catch (error) {
-        // Check if this was a user cancellation - DO NOT retry
-        // error.message could be "CANCELLED_BY_USER" or "Error: CANCELLED_BY_USER" or contain "CANCELLED"
-        const errorMsg = error.message || '';
-        const isCancelled = errorMsg === 'CANCELLED_BY_USER' || 
-                           errorMsg.includes('CANCELLED_BY_USER') || 
-                           errorMsg.includes('CANCELLED');
-        
-        dbLogger.info(`[QUEUE] Caught error for ${job.shop}: "${errorMsg}" (isCancelled: ${isCancelled})`);
-        
-        if (isCancelled) {
-          dbLogger.info(`[QUEUE] 🛑 Job cancelled by user for shop: ${job.shop} - NOT retrying`);
-          job.status = 'cancelled';
-          job.error = 'Cancelled by user';
-          job.cancelledAt = new Date();
-          
-          await this.updateShopStatus(job.shop, {
-            inProgress: false,
-            status: 'cancelled',
-            message: 'Generation cancelled by user',
-            lastError: null,
-            cancelledAt: new Date()
-          });
-          // Do NOT retry - skip to next job in queue
-          this.currentJob = null;
-          continue;
-        }
-        
-        dbLogger.error(`[QUEUE] ❌ Job failed for shop: ${job.shop}: ${errorMsg}`);
+    await this.finish(job, 'completed');
 
-        job.status = 'failed';
-        job.error = error.message;
-        job.failedAt = new Date();
+    // Update shop status to completed
+    await this.updateShopStatus(job.shop, {
+      inProgress: false,
+      status: 'completed',
+      message: `Sitemap generated successfully (${result.productCount} products)`,
+      completedAt: new Date(),
+      lastError: null
+    });
 
-        // Retry logic
-        if (job.attempts < job.maxAttempts) {
-          dbLogger.warn(`[QUEUE] 🔄 Retrying job for shop: ${job.shop} (attempt ${job.attempts + 1}/${job.maxAttempts})`);
-          
-          // Re-add to queue for retry
-          this.queue.push(job);
-          
-          await this.updateShopStatus(job.shop, {
-            inProgress: true,
-            status: 'retrying',
-            message: `Retrying (attempt ${job.attempts + 1}/${job.maxAttempts})...`,
-            lastError: error.message
-          });
-        } else {
-          // Max attempts reached, mark as failed
-          dbLogger.error(`[QUEUE] ❌ Job permanently failed for shop: ${job.shop} after ${job.maxAttempts} attempts`);
-          
-          await this.updateShopStatus(job.shop, {
-            inProgress: false,
-            status: 'failed',
-            message: `Generation failed: ${error.message}`,
-            lastError: error.message,
-            failedAt: new Date()
+    // Send email notification if job took more than 2 minutes
+    if (duration > 120) {
+      try {
+        const shopDoc = await Shop.findOne({ shop: job.shop }).lean();
+        if (shopDoc?.email) {
+          await emailService.sendSitemapCompletedEmail(shopDoc, {
+            productCount: result.productCount,
+            duration: duration,
+            type
           });
         }
+      } catch (emailErr) {
+        dbLogger.error(`[QUEUE] Failed to send sitemap completion email: ${emailErr.message}`);
       }
+    }
+  }
 
-      this.currentJob = null;
+  async onJobFailed(job, error) {
+    // Check if this was a user cancellation - DO NOT retry
+    // error.message could be "CANCELLED_BY_USER" or "Error: CANCELLED_BY_USER" or contain "CANCELLED"
+    const errorMsg = error.message || '';
+    const isCancelled = errorMsg.includes('CANCELLED');
+
+    if (isCancelled) {
+      dbLogger.info(`[QUEUE] 🛑 Job cancelled by user for shop: ${job.shop} - NOT retrying`);
+      await this.updateShopStatus(job.shop, {
+        inProgress: false,
+        status: 'cancelled',
+        message: 'Generation cancelled by user',
+        lastError: null,
+        cancelledAt: new Date()
+      });
+      return null;
     }
 
-    this.processing = false;
-    dbLogger.info('[QUEUE] ✅ Queue processing completed, queue is empty');
+    dbLogger.error(`[QUEUE] ❌ Job failed for shop: ${job.shop}: ${errorMsg}`);
+
+    // Retry logic
+    if (job.attempts < job.maxAttempts) {
+      await this.updateShopStatus(job.shop, {
+        inProgress: true,
+        status: 'retrying',
+        message: `Retrying (attempt ${job.attempts + 1}/${job.maxAttempts})...`,
+        lastError: error.message
+      });
+      return 'retry';
+    }
+
+    // Max attempts reached, mark as failed
+    dbLogger.error(`[QUEUE] ❌ Job permanently failed for shop: ${job.shop} after ${job.maxAttempts} attempts`);
+
+    await this.updateShopStatus(job.shop, {
+      inProgress: false,
+      status: 'failed',
+      message: `Generation failed: ${error.message}`,
+      lastError: error.message,
+      failedAt: new Date()
+    });
+    return null;
   }
 
   /**
@@ -250,26 +188,30 @@ class SitemapQueue {
    * Get queue status for a shop
    */
   async getJobStatus(shop) {
+    const [job, queueLength] = await Promise.all([
+      this.findActiveJob(shop),
+      BackgroundJob.countDocuments({ queue: this.name, status: 'queued' })
+    ]);
+
     // Check if currently processing
-    if (this.currentJob?.shop === shop) {
+    if (job?.status === 'running') {
       return {
         status: 'processing',
         message: 'Generating sitemap...',
         position: 0,
-        queueLength: this.queue.length
+        queueLength
       };
     }
 
     // Check if in queue
-    const jobIndex = this.queue.findIndex(job => job.shop === shop);
-    if (jobIndex !== -1) {
-      const job = this.queue[jobIndex];
+    if (job) {
+      const position = await this.queuePosition(job);
       return {
         status: 'queued',
-        message: `Queued (position ${jobIndex + 1} of ${this.queue.length})`,
-        position: jobIndex + 1,
-        queueLength: this.queue.length,
-        estimatedTime: (jobIndex + 1) * 30
+        message: `Queued (position ${position} of ${queueLength})`,
+        position,
+        queueLength,
+        estimatedTime: position * 30
       };
     }
 
@@ -281,7 +223,7 @@ class SitemapQueue {
           status: shopDoc.sitemapStatus.status || 'idle',
           message: shopDoc.sitemapStatus.message || 'No generation in progress',
           lastUpdate: shopDoc.sitemapStatus.updatedAt,
-          queueLength: this.queue.length
+          queueLength
         };
       }
     } catch (error) {
@@ -291,28 +233,7 @@ class SitemapQueue {
     return {
       status: 'idle',
       message: 'No generation in progress',
-      queueLength: this.queue.length
-    };
-  }
-
-  /**
-   * Get overall queue stats
-   */
-  getStats() {
-    return {
-      queueLength: this.queue.length,
-      processing: this.processing,
-      currentJob: this.currentJob ? {
-        shop: this.currentJob.shop,
-        status: this.currentJob.status,
-        startedAt: this.currentJob.startedAt,
-        attempts: this.currentJob.attempts
-      } : null,
-      queuedJobs: this.queue.map(job => ({
-        shop: job.shop,
-        queuedAt: job.queuedAt,
-        attempts: job.attempts
-      }))
+      queueLength
     };
   }
 }
@@ -321,4 +242,3 @@ class SitemapQueue {
 const sitemapQueue = new SitemapQueue();
 
 export default sitemapQueue;
-
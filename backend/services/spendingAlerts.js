@@ -0,0 +1,45 @@
+// backend/services/spendingAlerts.js
+// Emails the merchant when token spending crosses a limit (monthly budget share,
+// budget reached, low balance). Called after every charge from TokenBalance's
+// post-save hook; each alert is claimed atomically so parallel charges send it once.
+
+import TokenBalance from '../db/TokenBalance.js';
+import Shop from '../db/Shop.js';
+import { getDueSpendingAlerts } from '../utils/spendingCaps.js';
+
+export async function checkSpendingAlerts(tokenBalance) {
+  const { send, clear, status } = getDueSpendingAlerts(tokenBalance);
+
+  if (clear.length) {
+    await TokenBalance.updateOne({ shop: tokenBalance.shop }, { $pull: { spendingAlerts: { $in: clear } } });
+  }
+  if (!send.length) return [];
+
+  const sent = [];
+  for (const alert of send) {
+    // Only the caller that adds the key sends the alert
+    const claim = await TokenBalance.updateOne(
+      { shop: tokenBalance.shop, spendingAlerts: { $ne: alert.key } },
+      { $addToSet: { spendingAlerts: alert.key } }
+    );
+    if (!claim.modifiedCount) continue;
+
+    console.log(`[SPENDING-ALERT] ${tokenBalance.shop}: ${alert.type}`, {
+      spent: status.spent,
+      monthlyBudget: status.monthlyBudget,
+      balance: status.balance
+    });
+    sent.push(alert.type);
+
+    if (!status.emailAlerts) continue;
+    try {
+      const shopDoc = await Shop.findOne({ shop: tokenBalance.shop }).lean();
+      if (!shopDoc?.email) continue;
+      const { default: emailService } = await import('./emailService.js');
+      await emailService.sendTokenAlertEmail(shopDoc, { type: alert.type, ...status });
+    } catch (error) {
+      console.error(`[SPENDING-ALERT] Failed to email ${alert.type} for ${tokenBalance.shop}:`, error.message);
+    }
+  }
+  return sent;
+}
@@ -0,0 +1,146 @@
+// backend/services/tokenLedger.js
+// Writes and queries the token ledger (db/TokenLedger.js).
+
+import TokenLedger, { LEDGER_TYPES } from '../db/TokenLedger.js';
+import { toCsv } from '../utils/csv.js';
+
+export const LEDGER_CSV_COLUMNS = [
+  'createdAt', 'type', 'feature', 'balanceChange', 'balanceAfter', 'estimatedTokens', 'chargedTokens',
+  'jobId', 'queue', 'reservationId', 'productId', 'collectionId', 'provider', 'model',
+  'providerCalls', 'promptTokens', 'completionTokens', 'costUsd', 'costEstimated',
+  'usdAmount', 'shopifyChargeId', 'plan'
+];
+
+// Exports are capped; narrow the date range for more
+export const LEDGER_EXPORT_LIMIT = 50000;
+
+/**
+ * Insert ledger rows. Never throws - a ledger failure must not fail the balance update.
+ */
+export async function writeLedgerEntries(entries) {
+  if (!entries?.length) return;
+  try {
+    await TokenLedger.insertMany(entries, { ordered: false });
+  } catch (error) {
+    console.error(`[TokenLedger] Failed to write ${entries.length} entries:`, error.message);
+  }
+}
+
+/**
+ * Mongo filter from query params.
+ * @param {string} shop
+ * @param {Object} query - { type, feature, jobId, reservationId, from, to }
+ */
+export function buildLedgerFilter(shop, { type, feature, jobId, reservationId, from, to } = {}) {
+  const filter = { shop };
+
+  const types = String(type || '').split(',').map(t => t.trim()).filter(t => LEDGER_TYPES.includes(t));
+  if (types.length) filter.type = { $in: types };
+  if (feature) filter.feature = String(feature);
+  if (jobId) filter.jobId = String(jobId);
+  if (reservationId) filter.reservationId = String(reservationId);
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && !isNaN(fromDate)) || (toDate && !isNaN(toDate))) {
+    filter.createdAt = {};
+    if (fromDate && !isNaN(fromDate)) filter.createdAt.$gte = fromDate;
+    if (toDate && !isNaN(toDate)) {
+      // A bare date means the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(to))) toDate.setUTCHours(23, 59, 59, 999);
+      filter.createdAt.$lte = toDate;
+    }
+  }
+  return filter;
+}
+
+/**
+ * One page of ledger rows, newest first.
+ * @returns {Promise<{ entries: Object[], total: number, page: number, limit: number, pages: number }>}
+ */
+export async function queryLedger(filter, { page = 1, limit = 50 } = {}) {
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+  const safePage = Math.max(parseInt(page, 10) || 1, 1);
+
+  const [entries, total] = await Promise.all([
+    TokenLedger.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((safePage - 1) * safeLimit)
+      .limit(safeLimit)
+      .lean(),
+    TokenLedger.countDocuments(filter)
+  ]);
+
+  return { entries, total, page: safePage, limit: safeLimit, pages: Math.ceil(total / safeLimit) };
+}
+
+export async function exportLedger(filter) {
+  return TokenLedger.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(LEDGER_EXPORT_LIMIT)
+    .lean();
+}
+
+export function ledgerToCsv(entries) {
+  return toCsv(entries, LEDGER_CSV_COLUMNS);
+}
+
+/**
+ * Token usage grouped by job: background jobs by jobId, single requests by reservation.
+ * Only charging rows count (finalize, refund, deduct).
+ * @returns {Promise<{ jobs: Object[], total: number, page: number, limit: number, pages: number }>}
+ */
+export async function summarizeLedgerJobs(filter, { page = 1, limit = 20 } = {}) {
+  const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const safePage = Math.max(parseInt(page, 10) || 1, 1);
+
+  const match = { ...filter, type: { $in: ['finalize', 'refund', 'deduct'] } };
+  const [result] = await TokenLedger.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: ['$jobId', { $ifNull: ['$reservationId', { $toString: '$_id' }] }] },
+        jobId: { $first: '$jobId' },
+        queue: { $first: '$queue' },
+        features: { $addToSet: '$feature' },
+        models: { $addToSet: '$model' },
+        operations: { $sum: 1 },
+        products: { $addToSet: '$productId' },
+        estimatedTokens: { $sum: { $ifNull: ['$estimatedTokens', 0] } },
+        chargedTokens: { $sum: { $ifNull: ['$chargedTokens', 0] } },
+        providerCalls: { $sum: { $ifNull: ['$providerCalls', 0] } },
+        costUsd: { $sum: { $ifNull: ['$costUsd', 0] } },
+        costEstimated: { $max: '$costEstimated' },
+        startedAt: { $min: '$createdAt' },
+        finishedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { finishedAt: -1 } },
+    {
+      $facet: {
+        jobs: [{ $skip: (safePage - 1) * safeLimit }, { $limit: safeLimit }],
+        count: [{ $count: 'total' }]
+      }
+    }
+  ]);
+
+  const total = result?.count?.[0]?.total || 0;
+  const jobs = (result?.jobs || []).map(job => ({
+    key: job._id,
+    jobId: job.jobId,
+    queue: job.queue,
+    features: job.features.filter(Boolean),
+    models: job.models.filter(Boolean),
+    operations: job.operations,
+    products: job.products.filter(Boolean).length,
+    estimatedTokens: job.estimatedTokens,
+    chargedTokens: job.chargedTokens,
+    providerCalls: job.providerCalls,
+    costUsd: Math.round(job.costUsd * 1e6) / 1e6,
+    costEstimated: !!job.costEstimated,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  }));
+
+  return { jobs, total, page: safePage, limit: safeLimit, pages: Math.ceil(total / safeLimit) };
+}
@@ -0,0 +1,125 @@
+// backend/services/webPixelService.js
+// Connects the ai-revenue-pixel web pixel for a shop and keeps its settings current:
+// backend URL, shop domain and the per-shop signing secret the pixel signs events with
+// (see utils/pixelSignature.js). Runs with webhook registration on install; scheduler.js
+// connects shops installed before event signing.
+
+import Shop from '../db/Shop.js';
+import { makeShopifyGraphQLRequest } from '../utils/shopifyGraphQL.js';
+import { resolveAdminToken } from '../utils/tokenResolver.js';
+import { generatePixelSecret } from '../utils/pixelSignature.js';
+
+const WEB_PIXEL_QUERY = `
+  query {
+    webPixel { id settings }
+  }
+`;
+
+const WEB_PIXEL_CREATE = `
+  mutation webPixelCreate($webPixel: WebPixelInput!) {
+    webPixelCreate(webPixel: $webPixel) {
+      webPixel { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const WEB_PIXEL_UPDATE = `
+  mutation webPixelUpdate($id: ID!, $webPixel: WebPixelInput!) {
+    webPixelUpdate(id: $id, webPixel: $webPixel) {
+      webPixel { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Create or update the shop's web pixel with the current settings. The secret is only
+ * stored once Shopify has accepted it, so a failed update never leaves the storefront
+ * signing with a secret the backend no longer accepts.
+ * @param {Object} req - Express request (or the mock used during install)
+ * @param {string} shop
+ * @param {string} appUrl - backend base URL the pixel posts events to
+ * @param {Object} [options]
+ * @param {boolean} [options.rotate] - issue a new signing secret
+ * @returns {Promise<{ success: boolean, webPixelId?: string, created?: boolean, errors?: string[] }>}
+ */
+// Kept for the Pixel Health card; never fails the connect
+function recordConnectError(shop, message) {
+  return Shop.updateOne({ shop }, { $set: { pixelConnectError: message } })
+    .catch(err => console.error(`[WEB-PIXEL] Could not record connect error for ${shop}:`, err.message));
+}
+
+export async function connectWebPixel(req, shop, appUrl, { rotate = false } = {}) {
+  try {
+    const accessToken = await resolveAdminToken(req, shop);
+    if (!accessToken) throw new Error(`No access token found for shop: ${shop}`);
+
+    const current = await Shop.findOne({ shop }).select('+pixelSigningSecret pixelSignedSince').lean();
+    if (!current) throw new Error(`Shop not installed: ${shop}`);
+    const secret = (!rotate && current.pixelSigningSecret) || generatePixelSecret();
+
+    const settings = JSON.stringify({ app_url: appUrl, shop_domain: shop, signing_secret: secret });
+
+    // webPixel errors when the app has no pixel on this shop yet
+    let existingId = null;
+    try {
+      const data = await makeShopifyGraphQLRequest(shop, accessToken, WEB_PIXEL_QUERY);
+      existingId = data?.webPixel?.id || null;
+    } catch {
+      existingId = null;
+    }
+
+    const result = existingId
+      ? (await makeShopifyGraphQLRequest(shop, accessToken, WEB_PIXEL_UPDATE, { id: existingId, webPixel: { settings } }))?.webPixelUpdate
+      : (await makeShopifyGraphQLRequest(shop, accessToken, WEB_PIXEL_CREATE, { webPixel: { settings } }))?.webPixelCreate;
+
+    const errors = result?.userErrors || [];
+    if (errors.length > 0) {
+      console.error(`[WEB-PIXEL] ${existingId ? 'Update' : 'Create'} errors for ${shop}:`, errors);
+      await recordConnectError(shop, errors.map(e => e.message).join('; '));
+      return { success: false, errors: errors.map(e => e.message) };
+    }
+
+    const webPixelId = result?.webPixel?.id || existingId;
+    await Shop.updateOne({ shop }, {
+      $set: {
+        webPixelId,
+        pixelSigningSecret: secret,
+        pixelConnectError: null,
+        ...(current.pixelSignedSince ? {} : { pixelSignedSince: new Date() })
+      }
+    });
+    console.log(`[WEB-PIXEL] ${existingId ? 'Updated' : 'Created'} web pixel for ${shop}${rotate ? ' (secret rotated)' : ''}`);
+    return { success: true, webPixelId, created: !existingId };
+  } catch (error) {
+    console.error(`[WEB-PIXEL] Connect failed for ${shop}:`, error.message);
+    await recordConnectError(shop, error.message);
+    return { success: false, errors: [error.message] };
+  }
+}
+
+/**
+ * Connect the pixel on installed shops that have never received a signing secret
+ * (installed before event signing). Run by scheduler.js; shops that fail are retried
+ * after the others, oldest attempt first.
+ * @param {string} appUrl
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Promise<{ attempted: number, connected: number }>}
+ */
+export async function reconnectUnsignedPixels(appUrl, { limit = 50 } = {}) {
+  const shops = await Shop.find({ accessToken: { $nin: [null, ''] }, pixelSignedSince: null })
+    .sort({ pixelConnectAttemptAt: 1 })
+    .limit(limit)
+    .select('shop')
+    .lean();
+
+  let connected = 0;
+  for (const { shop } of shops) {
+    await Shop.updateOne({ shop }, { $set: { pixelConnectAttemptAt: new Date() } });
+    const result = await connectWebPixel({ shopDomain: shop }, shop, appUrl);
+    if (result.success) connected++;
+  }
+  return { attempted: shops.length, connected };
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { chatCompletion, chatJSON, parseJsonContent, resolveModel } from '../../ai/provider.js';
+import { extractRequestedKeys } from '../../ai/providers/mock.js';
+
+const ORIGINAL_PROVIDER = process.env.AI_PROVIDER;
+
+afterEach(() => {
+  if (ORIGINAL_PROVIDER === undefined) delete process.env.AI_PROVIDER;
+  else process.env.AI_PROVIDER = ORIGINAL_PROVIDER;
+});
+
+describe('parseJsonContent', () => {
+  it('parses plain and fenced JSON', () => {
+    expect(parseJsonContent('{"a":1}')).toEqual({ a: 1 });
+    expect(parseJsonContent('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+    expect(parseJsonContent('Here you go: [1, 2]')).toEqual([1, 2]);
+  });
+
+  it('throws a 502 when there is no JSON', () => {
+    expect(() => parseJsonContent('no json here')).toThrow(expect.objectContaining({ status: 502 }));
+  });
+});
+
+describe('resolveModel', () => {
+  it('maps our vendor/model ids per provider', () => {
+    expect(resolveModel('google/gemini-2.5-flash-lite', 'openrouter')).toBe('google/gemini-2.5-flash-lite');
+    expect(resolveModel('google/gemini-2.5-flash-lite', 'gemini')).toBe('gemini-2.5-flash-lite');
+    expect(resolveModel('openai/gpt-4o-mini', 'openai')).toBe('gpt-4o-mini');
+    expect(resolveModel('anthropic/claude-3.5-sonnet', 'anthropic')).toBe('claude-3-5-sonnet-latest');
+  });
+});
+
+describe('mock provider', () => {
+  const messages = [
+    { role: 'system', content: 'Return ONLY a JSON object with exactly 2 keys: "bullets" and "faq"' },
+    { role: 'user', content: JSON.stringify({ title: 'Linen Shirt' }) },
+  ];
+
+  it('finds keys from templates and instructions', () => {
+    const keys = extractRequestedKeys('Format as JSON:\n{ "use_case": "string", "score": 4.2 }\nwith key "altText"');
+    expect([...keys.keys()]).toEqual(['use_case', 'score', 'altText']);
+    expect(keys.get('score')).toBe('4');
+  });
+
+  it('returns deterministic JSON with the requested shape and usage', async () => {
+    process.env.AI_PROVIDER = 'mock';
+    const first = await chatJSON({ model: 'google/gemini-2.5-flash-lite', messages });
+    const second = await chatJSON({ model: 'google/gemini-2.5-flash-lite', messages });
+
+    expect(first.provider).toBe('mock');
+    expect(first.content).toEqual(second.content);
+    expect(first.content.bullets).toHaveLength(5);
+    expect(first.content.faq[0]).toEqual(expect.objectContaining({ q: expect.any(String), a: expect.any(String) }));
+    expect(first.usage.total_tokens).toBe(first.usage.prompt_tokens + first.usage.completion_tokens);
+    expect(first.usage.total_cost).toBe(0);
+  });
+
+  it('returns plain text when JSON mode is off', async () => {
+    process.env.AI_PROVIDER = 'mock';
+    const { content } = await chatCompletion({ model: 'openai/gpt-4o-mini', messages });
+    expect(content).toContain('Linen Shirt');
+  });
+});
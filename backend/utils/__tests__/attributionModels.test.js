@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sanitizeAttributionSettings,
+  touchesInWindow,
+  modelWeights,
+  attributeOrder,
+  summarizeAttribution,
+  DEFAULT_LOOKBACK_DAYS,
+  MAX_LOOKBACK_DAYS
+} from '../attributionModels.js';
+
+const ORDER_AT = '2026-03-31T12:00:00Z';
+const daysBefore = (days) => new Date(new Date(ORDER_AT).getTime() - days * 86400000);
+
+// Bot read 20 days out, organic first visit 10 days out, ChatGPT visit on order day
+const journey = [
+  { at: daysBefore(10), channel: 'other', source: null, kind: 'first_visit' },
+  { at: daysBefore(0), channel: 'ai', source: 'ChatGPT', kind: 'last_visit' },
+  { at: daysBefore(20), channel: 'ai', source: 'Perplexity', kind: 'bot_visit' }
+];
+
+describe('sanitizeAttributionSettings', () => {
+  it('fills defaults and clamps lookback windows', () => {
+    const settings = sanitizeAttributionSettings({ model: 'linear', lookbackDays: { linear: 500, first_touch: 0, time_decay: '14' } });
+    expect(settings.model).toBe('linear');
+    expect(settings.lookbackDays.linear).toBe(MAX_LOOKBACK_DAYS);
+    expect(settings.lookbackDays.first_touch).toBe(DEFAULT_LOOKBACK_DAYS);
+    expect(settings.lookbackDays.time_decay).toBe(14);
+    expect(sanitizeAttributionSettings({ model: 'nope' }).model).toBe('last_touch');
+  });
+});
+
+describe('touchesInWindow', () => {
+  it('keeps touches inside the window, oldest first', () => {
+    expect(touchesInWindow(journey, ORDER_AT, 15).map(t => t.kind)).toEqual(['first_visit', 'last_visit']);
+    expect(touchesInWindow(journey, ORDER_AT, 30).map(t => t.kind)).toEqual(['bot_visit', 'first_visit', 'last_visit']);
+  });
+
+  it('orders same-time journey visits first to last', () => {
+    const sameTime = [
+      { at: ORDER_AT, kind: 'last_visit' },
+      { at: ORDER_AT, kind: 'first_visit' }
+    ];
+    expect(touchesInWindow(sameTime, ORDER_AT, 30).map(t => t.kind)).toEqual(['first_visit', 'last_visit']);
+  });
+});
+
+describe('modelWeights', () => {
+  const touches = touchesInWindow(journey, ORDER_AT, 30);
+
+  it('splits credit per model', () => {
+    expect(modelWeights('last_touch', touches, ORDER_AT)).toEqual([0, 0, 1]);
+    expect(modelWeights('first_touch', touches, ORDER_AT)).toEqual([1, 0, 0]);
+    expect(modelWeights('linear', touches, ORDER_AT)).toEqual([1 / 3, 1 / 3, 1 / 3]);
+    expect(modelWeights('position_based', touches, ORDER_AT)).toEqual([0.4, 0.2, 0.4]);
+    expect(modelWeights('position_based', touches.slice(0, 2), ORDER_AT)).toEqual([0.5, 0.5]);
+  });
+
+  it('weights recent touches more under time decay', () => {
+    const [oldest, middle, latest] = modelWeights('time_decay', touches, ORDER_AT);
+    expect(oldest).toBeLessThan(middle);
+    expect(middle).toBeLessThan(latest);
+    expect(oldest + middle + latest).toBeCloseTo(1, 10);
+  });
+});
+
+describe('attributeOrder', () => {
+  it('stores the AI share of the order under every model', () => {
+    const result = attributeOrder(journey, { orderAt: ORDER_AT, total: '200' });
+    expect(result.last_touch).toMatchObject({ aiCredit: 1, aiRevenue: 200, touches: 3 });
+    expect(result.last_touch.sources).toEqual([{ source: 'ChatGPT', credit: 1, revenue: 200 }]);
+    expect(result.first_touch).toMatchObject({ aiCredit: 1, aiRevenue: 200 });
+    expect(result.first_touch.sources[0].source).toBe('Perplexity');
+    expect(result.linear.aiCredit).toBeCloseTo(0.6667, 4);
+    expect(result.position_based).toMatchObject({ aiCredit: 0.8, aiRevenue: 160 });
+  });
+
+  it('applies each model its own lookback window', () => {
+    const result = attributeOrder(journey, {
+      orderAt: ORDER_AT,
+      total: 100,
+      settings: { lookbackDays: { first_touch: 15 } }
+    });
+    expect(result.first_touch).toMatchObject({ lookbackDays: 15, touches: 2, aiCredit: 0, aiRevenue: 0 });
+  });
+
+  it('gives no credit without touchpoints', () => {
+    expect(attributeOrder([], { orderAt: ORDER_AT, total: 50 }).linear).toMatchObject({ aiCredit: 0, touches: 0, sources: [] });
+  });
+});
+
+describe('summarizeAttribution', () => {
+  it('totals one model and counts orders without stored results', () => {
+    const orders = [
+      { attribution: attributeOrder(journey, { orderAt: ORDER_AT, total: 100 }) },
+      { attribution: attributeOrder([], { orderAt: ORDER_AT, total: 80 }) },
+      { attributionType: 'direct_ai' }
+    ];
+    const summary = summarizeAttribution(orders, 'position_based');
+    expect(summary).toMatchObject({ orders: 1, revenue: 80, unattributed: 1 });
+    expect(summary.sources.ChatGPT).toEqual({ credit: 0.4, revenue: 40 });
+  });
+});
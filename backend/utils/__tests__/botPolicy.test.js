@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import {
+  policyGroupForBot,
+  sanitizeBotPolicies,
+  rateWindows,
+  evaluateBotPolicy,
+  BOT_POLICY_GROUPS
+} from '../botPolicy.js';
+
+describe('policyGroupForBot', () => {
+  it('maps detected bot names to policy groups', () => {
+    expect(policyGroupForBot('ChatGPT')).toBe('openai');
+    expect(policyGroupForBot('OpenAI Search')).toBe('openai');
+    expect(policyGroupForBot('Claude')).toBe('anthropic');
+    expect(policyGroupForBot('Google AI')).toBe('google');
+    expect(policyGroupForBot('Human/Unknown')).toBe('unknown');
+    expect(policyGroupForBot('Ahrefs')).toBe('others');
+  });
+});
+
+describe('sanitizeBotPolicies', () => {
+  it('fills every group and drops invalid values', () => {
+    const policies = sanitizeBotPolicies({
+      openai: { mode: 'throttle', perMinute: '30', perDay: 0 },
+      anthropic: { mode: 'nope' },
+      google: { mode: 'block', perMinute: '' },
+      made_up: { mode: 'block' }
+    });
+
+    expect(Object.keys(policies)).toEqual(BOT_POLICY_GROUPS.map(g => g.key));
+    expect(policies.openai).toEqual({ mode: 'throttle', perMinute: 30, perDay: 1 });
+    expect(policies.anthropic.mode).toBe('allow');
+    expect(policies.google).toEqual({ mode: 'block', perMinute: 60, perDay: 5000 });
+    expect(policies.made_up).toBeUndefined();
+    expect(sanitizeBotPolicies(null).others.mode).toBe('allow');
+  });
+});
+
+describe('rateWindows', () => {
+  it('uses UTC minute and day windows', () => {
+    const now = Date.UTC(2026, 9, 19, 23, 59, 30, 500);
+    const windows = rateWindows(now);
+    expect(windows.day).toBe('20261019');
+    expect(windows.minuteResetIn).toBe(30);
+    expect(windows.dayResetIn).toBe(30);
+  });
+});
+
+describe('evaluateBotPolicy', () => {
+  const now = Date.UTC(2026, 9, 19, 12, 0, 45);
+  const throttle = { mode: 'throttle', perMinute: 10, perDay: 100 };
+
+  it('allows and blocks by mode', () => {
+    expect(evaluateBotPolicy({ mode: 'allow' })).toEqual({ action: 'allow' });
+    expect(evaluateBotPolicy({ mode: 'block' })).toEqual({ action: 'block', status: 403 });
+  });
+
+  it('throttles over the minute limit until the next minute', () => {
+    expect(evaluateBotPolicy(throttle, { minute: 10, day: 50 }, now).action).toBe('allow');
+    expect(evaluateBotPolicy(throttle, { minute: 11, day: 50 }, now)).toEqual({
+      action: 'limit', status: 429, retryAfter: 15, limit: '10 requests per minute'
+    });
+  });
+
+  it('reports the daily quota with the time until midnight UTC', () => {
+    const result = evaluateBotPolicy(throttle, { minute: 1, day: 101 }, now);
+    expect(result).toMatchObject({ action: 'limit', limit: '100 requests per day' });
+    expect(result.retryAfter).toBe(12 * 3600 - 45);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseIp,
+  parseCidr,
+  ipInRanges,
+  parseRangeList,
+  hostnameMatches,
+  classifyVisit,
+  verificationMatch
+} from '../botVerification.js';
+import { BOT_VENDORS } from '../../services/botVerifier.js';
+
+const ranges = (...cidrs) => cidrs.map(parseCidr);
+
+describe('parseIp', () => {
+  it('reads IPv4, IPv6 and IPv4-mapped addresses', () => {
+    expect(parseIp('66.249.66.1')).toEqual({ version: 4, value: 0x42f94201n });
+    expect(parseIp('::ffff:66.249.66.1')).toEqual({ version: 4, value: 0x42f94201n });
+    expect(parseIp('2001:4860:4801:10::1')?.version).toBe(6);
+    expect(parseIp('2001:db8::1').value).toBe(parseIp('2001:0db8:0:0:0:0:0:0001').value);
+  });
+
+  it('rejects malformed input', () => {
+    for (const bad of ['', '1.2.3', '1.2.3.256', '1::2::3', 'gggg::1', '1:2:3:4:5:6:7:8:9', 'unknown']) {
+      expect(parseIp(bad)).toBeNull();
+    }
+  });
+});
+
+describe('ipInRanges', () => {
+  it('matches IPv4 and IPv6 prefixes', () => {
+    const list = ranges('66.249.64.0/27', '2001:4860:4801:10::/64', '20.171.207.1');
+    expect(ipInRanges('66.249.64.31', list)).toBe(true);
+    expect(ipInRanges('66.249.64.32', list)).toBe(false);
+    expect(ipInRanges('::ffff:66.249.64.5', list)).toBe(true);
+    expect(ipInRanges('2001:4860:4801:10::abcd', list)).toBe(true);
+    expect(ipInRanges('2001:4860:4801:11::1', list)).toBe(false);
+    expect(ipInRanges('20.171.207.1', list)).toBe(true);
+    expect(ipInRanges('20.171.207.2', list)).toBe(false);
+  });
+
+  it('does not match without ranges or a valid IP', () => {
+    expect(ipInRanges('1.2.3.4', [])).toBe(false);
+    expect(ipInRanges('', ranges('0.0.0.0/0'))).toBe(false);
+  });
+});
+
+describe('parseRangeList', () => {
+  it('reads the vendor JSON format, arrays and text', () => {
+    expect(parseRangeList({
+      creationTime: '2025-01-01',
+      prefixes: [{ ipv4Prefix: '66.249.64.0/27' }, { ipv6Prefix: '2001:4860:4801:10::/64' }, { ipv4Prefix: 'nope' }]
+    })).toEqual(['66.249.64.0/27', '2001:4860:4801:10::/64']);
+    expect(parseRangeList(['1.2.3.0/24', 42, '1.2.3.0/33'])).toEqual(['1.2.3.0/24']);
+    expect(parseRangeList('# ClaudeBot\n1.2.3.0/24\n\n5.6.7.8 # single\n')).toEqual(['1.2.3.0/24', '5.6.7.8']);
+    expect(parseRangeList(null)).toEqual([]);
+  });
+});
+
+describe('hostnameMatches', () => {
+  it('accepts the domain and its subdomains only', () => {
+    const domains = ['googlebot.com', 'google.com'];
+    expect(hostnameMatches('crawl-66-249-66-1.googlebot.com.', domains)).toBe(true);
+    expect(hostnameMatches('google.com', domains)).toBe(true);
+    expect(hostnameMatches('crawl.evilgooglebot.com', domains)).toBe(false);
+    expect(hostnameMatches('googlebot.com.attacker.net', domains)).toBe(false);
+  });
+
+  it('rejects Google Cloud VM hostnames for Google', () => {
+    const domains = BOT_VENDORS.google.rdns;
+    expect(hostnameMatches('rate-limited-proxy-66-249-90-1.google.com', domains)).toBe(true);
+    expect(hostnameMatches('1-2-3-4.gae.googleusercontent.com', domains)).toBe(true);
+    expect(hostnameMatches('4.3.2.1.bc.googleusercontent.com', domains)).toBe(false);
+    expect(hostnameMatches('googleusercontent.com', domains)).toBe(false);
+  });
+});
+
+describe('classifyVisit', () => {
+  it('verifies by IP range first, then reverse DNS', () => {
+    expect(classifyVisit({ hasRanges: true, inRange: true })).toEqual({ status: 'verified', method: 'ip_range' });
+    expect(classifyVisit({ hasRanges: true, inRange: false, rdns: 'pass' })).toEqual({ status: 'verified', method: 'rdns' });
+    expect(classifyVisit({ hasRanges: false, inRange: false, rdns: 'fail' })).toEqual({ status: 'spoofed', method: 'rdns' });
+  });
+
+  it('only calls a visit spoofed when there is evidence', () => {
+    expect(classifyVisit({ hasRanges: true, inRange: false })).toEqual({ status: 'spoofed', method: 'ip_range' });
+    expect(classifyVisit({ hasRanges: false, inRange: false, rdns: null })).toEqual({ status: 'unverified', method: null });
+  });
+});
+
+describe('verificationMatch', () => {
+  it('maps filters to queries, defaulting to excluding spoofed visits', () => {
+    expect(verificationMatch('all')).toEqual({});
+    expect(verificationMatch('verified')).toEqual({ verification: 'verified' });
+    expect(verificationMatch(undefined)).toEqual({ verification: { $ne: 'spoofed' } });
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  contentPath,
+  buildContentSeoPrompt,
+  sanitizeContentSeo,
+  buildContentJsonLd,
+} from '../contentSeo.js';
+
+describe('contentPath', () => {
+  it('builds article and page paths', () => {
+    expect(contentPath({ resource: 'article', handle: 'spring', blogHandle: 'news' })).toBe('/blogs/news/spring');
+    expect(contentPath({ resource: 'page', handle: 'about-us' })).toBe('/pages/about-us');
+  });
+});
+
+describe('buildContentSeoPrompt', () => {
+  it('sends plain-text content and asks for the target language', () => {
+    const [system, user] = buildContentSeoPrompt({
+      resource: 'article',
+      language: 'de',
+      title: 'Spring',
+      bodyHtml: '<p>Hello <b>world</b></p><script>x()</script>',
+      tags: ['lookbook'],
+    });
+    expect(system.content).toContain('blog article');
+    expect(system.content).toContain('"de"');
+    expect(JSON.parse(user.content)).toEqual({ title: 'Spring', tags: ['lookbook'], content: 'Hello world' });
+  });
+});
+
+describe('sanitizeContentSeo', () => {
+  it('clamps fields and drops incomplete FAQ items', () => {
+    const seo = sanitizeContentSeo({
+      title: 'word '.repeat(30),
+      metaDescription: '<b>Short</b>',
+      faq: [{ question: 'Why?', answer: 'Because.' }, { q: 'Missing answer' }],
+    }, { title: 'Fallback', bodyHtml: '<p>Body text</p>' });
+    expect(seo.title.length).toBeLessThanOrEqual(70);
+    expect(seo.title.endsWith(' ')).toBe(false);
+    expect(seo.metaDescription).toBe('Short');
+    expect(seo.excerpt).toBe('Body text');
+    expect(seo.faq).toEqual([{ q: 'Why?', a: 'Because.' }]);
+  });
+
+  it('falls back to the source when the answer is unusable', () => {
+    const seo = sanitizeContentSeo(null, { title: 'About us', bodyHtml: '' });
+    expect(seo).toEqual({ title: 'About us', metaDescription: 'About us', excerpt: '', faq: [] });
+  });
+});
+
+describe('buildContentJsonLd', () => {
+  const seo = { title: 'Spring', metaDescription: 'Desc', excerpt: 'Short', faq: [{ q: 'Q?', a: 'A.' }] };
+
+  it('builds a BlogPosting with FAQPage and drops unset properties', () => {
+    const ld = buildContentJsonLd({
+      resource: 'article',
+      url: 'https://shop.com/blogs/news/spring',
+      seo,
+      author: 'Ann',
+      publisher: { name: 'Shop' },
+    });
+    const [article, faq] = ld['@graph'];
+    expect(article['@type']).toBe('BlogPosting');
+    expect(article.author).toEqual({ '@type': 'Person', name: 'Ann' });
+    expect(article.publisher).toEqual({ '@type': 'Organization', name: 'Shop' });
+    expect(article).not.toHaveProperty('image');
+    expect(faq['@type']).toBe('FAQPage');
+    expect(faq.mainEntity[0].acceptedAnswer.text).toBe('A.');
+  });
+
+  it('uses Article when asked and WebPage for pages', () => {
+    const article = buildContentJsonLd({ resource: 'article', url: 'u', seo: { ...seo, faq: [] }, articleType: 'Article' });
+    expect(article['@graph']).toHaveLength(1);
+    expect(article['@graph'][0]['@type']).toBe('Article');
+    const page = buildContentJsonLd({ resource: 'page', url: 'u', seo });
+    expect(page['@graph'][0]['@type']).toBe('WebPage');
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { FUNNEL_EVENT_GROUP, countFunnelEvents } from '../conversionFunnel.js';
+
+const row = (eventType, count, orderId = null) => ({ _id: { eventType, orderId }, count });
+
+describe('FUNNEL_EVENT_GROUP', () => {
+  it('keeps order ids for checkout_completed only', () => {
+    expect(FUNNEL_EVENT_GROUP.$group._id.orderId).toEqual({
+      $cond: [{ $eq: ['$eventType', 'checkout_completed'] }, '$orderId', null]
+    });
+  });
+});
+
+describe('countFunnelEvents', () => {
+  it('counts events per type and purchases as distinct orders', () => {
+    const events = countFunnelEvents([
+      row('page_viewed', 12),
+      row('product_viewed', 8),
+      row('collection_viewed', 3),
+      row('search_submitted', 2),
+      row('add_to_cart', 4),
+      row('checkout_started', 3),
+      // one event per line item: order 1001 had three, 1002 one, 1003 two
+      row('checkout_completed', 3, '1001'),
+      row('checkout_completed', 1, '1002'),
+      row('checkout_completed', 2, '1003')
+    ]);
+
+    expect(events).toEqual({
+      page_viewed: 12,
+      product_viewed: 8,
+      collection_viewed: 3,
+      search_submitted: 2,
+      add_to_cart: 4,
+      checkout_started: 3,
+      checkout_completed: 3
+    });
+  });
+
+  it('falls back to the event count when purchases carry no order id', () => {
+    expect(countFunnelEvents([row('checkout_completed', 5, ''), row('checkout_started', 6)]))
+      .toEqual({ checkout_completed: 5, checkout_started: 6 });
+    expect(countFunnelEvents([])).toEqual({});
+  });
+});
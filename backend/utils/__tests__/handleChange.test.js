@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeHandle,
+  redirectPrefixes,
+  buildRedirectPlan,
+  handleCandidates,
+} from '../handleChange.js';
+
+describe('normalizeHandle', () => {
+  it('lowercases and joins words with hyphens', () => {
+    expect(normalizeHandle('  Linen Shirt -- Blue ')).toBe('linen-shirt-blue');
+    expect(normalizeHandle('')).toBe('');
+  });
+});
+
+describe('redirectPrefixes', () => {
+  it('always includes the root', () => {
+    expect(redirectPrefixes()).toEqual(['']);
+  });
+
+  it('adds locale subfolders and market root URLs once each', () => {
+    const prefixes = redirectPrefixes({
+      locales: [
+        { locale: 'en', primary: true, published: true },
+        { locale: 'de', published: true },
+        { locale: 'fr', published: false },
+        { locale: 'es', published: true },
+      ],
+      markets: [
+        {
+          primary: true,
+          rootUrls: [
+            { locale: 'en', url: 'https://shop.com' },
+            { locale: 'de', url: 'https://shop.com/de' },
+            { locale: 'es', url: 'https://shop.com/es-intl' },
+          ],
+        },
+        { primary: false, rootUrls: [{ locale: 'en', url: 'https://shop.com/en-ca/' }, { locale: 'fr', url: 'https://shop.com/fr-ca' }] },
+        { primary: false, rootUrls: [{ locale: 'de', url: 'https://shop.de' }] },
+        { primary: false, enabled: false, rootUrls: [{ locale: 'it', url: 'https://shop.com/it-it' }] },
+      ],
+    });
+    expect(prefixes).toEqual(['', '/de', '/es-intl', '/en-ca', '/fr-ca']);
+  });
+});
+
+describe('buildRedirectPlan', () => {
+  it('maps every prefix from the old path to the new one', () => {
+    expect(buildRedirectPlan({ resource: 'collection', oldHandle: 'summer', newHandle: 'summer-dresses', prefixes: ['', '/de'] }))
+      .toEqual([
+        { path: '/collections/summer', target: '/collections/summer-dresses' },
+        { path: '/de/collections/summer', target: '/de/collections/summer-dresses' },
+      ]);
+  });
+
+  it('rejects unknown resources', () => {
+    expect(() => buildRedirectPlan({ resource: 'page', oldHandle: 'a', newHandle: 'b' })).toThrow();
+  });
+});
+
+describe('handleCandidates', () => {
+  it('appends or bumps a numeric suffix', () => {
+    expect(handleCandidates('linen-shirt', 3)).toEqual(['linen-shirt-2', 'linen-shirt-3', 'linen-shirt-4']);
+    expect(handleCandidates('linen-shirt-2', 2)).toEqual(['linen-shirt-3', 'linen-shirt-4']);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ALT_TEXT_MAX,
+  isGoodAltText,
+  imageContext,
+  buildAltTextPrompt,
+  cleanAltText,
+  mapAltTexts,
+} from '../imageAlt.js';
+
+describe('isGoodAltText', () => {
+  it('rejects empty, file names, placeholders and the bare product title', () => {
+    expect(isGoodAltText('')).toBe(false);
+    expect(isGoodAltText('IMG_4021.JPG')).toBe(false);
+    expect(isGoodAltText('DSC 0042')).toBe(false);
+    expect(isGoodAltText('Product image')).toBe(false);
+    expect(isGoodAltText('linen  shirt', { productTitle: 'Linen Shirt' })).toBe(false);
+    expect(isGoodAltText('x'.repeat(ALT_TEXT_MAX + 1))).toBe(false);
+  });
+
+  it('keeps descriptive alt text', () => {
+    expect(isGoodAltText('Linen shirt in sand, folded on a wooden table', { productTitle: 'Linen Shirt' })).toBe(true);
+  });
+});
+
+describe('imageContext', () => {
+  it('collects the option values of the variants showing each image', () => {
+    const context = imageContext({
+      media: [{ id: 'm1' }, { id: 'm2' }],
+      variants: [
+        { selectedOptions: [{ name: 'Color', value: 'Sand' }, { name: 'Size', value: 'M' }], mediaIds: ['m2'] },
+        { selectedOptions: [{ name: 'Color', value: 'Sand' }, { name: 'Size', value: 'L' }], mediaIds: ['m2'] },
+        { selectedOptions: [{ name: 'Title', value: 'Default Title' }], mediaIds: ['m1'] }
+      ]
+    });
+    expect(context).toEqual([
+      { id: 'm1', position: 1, options: [] },
+      { id: 'm2', position: 2, options: ['Color: Sand', 'Size: M', 'Size: L'] }
+    ]);
+  });
+});
+
+describe('buildAltTextPrompt', () => {
+  it('sends positions, options and the alt to translate', () => {
+    const [system, user] = buildAltTextPrompt({
+      product: { title: 'Linen Shirt', options: [{ name: 'Title', values: ['Default Title'] }] },
+      images: [{ id: 'm1', position: 1, options: [], primaryAlt: 'Linen shirt, front' }],
+      language: 'de'
+    });
+    expect(system.content).toContain('Language: de');
+    const payload = JSON.parse(user.content);
+    expect(payload.productOptions).toEqual([]);
+    expect(payload.images).toEqual([{ position: 1, variantOptions: [], primaryAlt: 'Linen shirt, front' }]);
+  });
+});
+
+describe('mapAltTexts', () => {
+  it('maps answers by position and cleans them', () => {
+    const images = [{ id: 'm1', position: 1 }, { id: 'm2', position: 2 }];
+    const alts = mapAltTexts({ alts: [{ position: '2', altText: 'photo of sand linen shirt, back' }, { position: 7, altText: 'x' }, { position: 1, altText: ' ' }] }, images);
+    expect([...alts]).toEqual([['m2', 'Sand linen shirt, back']]);
+    expect(mapAltTexts(null, images).size).toBe(0);
+  });
+
+  it('shortens overlong text', () => {
+    expect(cleanAltText('y'.repeat(200))).toHaveLength(ALT_TEXT_MAX);
+  });
+});
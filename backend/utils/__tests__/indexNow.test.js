@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateIndexNowKey,
+  isValidIndexNowKey,
+  groupUrlsByHost,
+  buildIndexNowPayload,
+  interpretIndexNowResponse,
+} from '../indexNow.js';
+
+describe('IndexNow key', () => {
+  it('generates keys the protocol accepts', () => {
+    const key = generateIndexNowKey();
+    expect(isValidIndexNowKey(key)).toBe(true);
+    expect(generateIndexNowKey()).not.toBe(key);
+  });
+
+  it('rejects short keys and unsafe characters', () => {
+    expect(isValidIndexNowKey('abc')).toBe(false);
+    expect(isValidIndexNowKey('../../etc/passwd')).toBe(false);
+    expect(isValidIndexNowKey(null)).toBe(false);
+  });
+});
+
+describe('groupUrlsByHost', () => {
+  it('batches per allowed host and skips foreign or invalid URLs', () => {
+    const { batches, skipped } = groupUrlsByHost([
+      'https://shop.com/products/a',
+      'https://shop.com/products/a',
+      'https://SHOP.com/products/b',
+      'https://fr.shop.com/products/a',
+      'https://other.com/products/a',
+      'ftp://shop.com/file',
+      'not a url',
+    ], ['shop.com', 'fr.shop.com']);
+
+    expect(batches).toEqual([
+      { host: 'shop.com', urls: ['https://shop.com/products/a', 'https://SHOP.com/products/b'] },
+      { host: 'fr.shop.com', urls: ['https://fr.shop.com/products/a'] },
+    ]);
+    expect(skipped).toEqual(['https://other.com/products/a', 'ftp://shop.com/file', 'not a url']);
+  });
+
+  it('splits hosts over the per-request limit', () => {
+    const urls = ['a', 'b', 'c'].map(h => `https://shop.com/products/${h}`);
+    const { batches } = groupUrlsByHost(urls, ['shop.com'], 2);
+    expect(batches.map(b => b.urls.length)).toEqual([2, 1]);
+  });
+});
+
+describe('buildIndexNowPayload', () => {
+  it('defaults the key location to the host root', () => {
+    expect(buildIndexNowPayload({ host: 'shop.com', key: 'k1234567', urls: ['https://shop.com/'] })).toEqual({
+      host: 'shop.com',
+      key: 'k1234567',
+      keyLocation: 'https://shop.com/k1234567.txt',
+      urlList: ['https://shop.com/'],
+    });
+  });
+
+  it('keeps an explicit key location', () => {
+    const payload = buildIndexNowPayload({ host: 'shop.com', key: 'k1234567', keyLocation: 'https://shop.com/apps/x/k.txt', urls: [] });
+    expect(payload.keyLocation).toBe('https://shop.com/apps/x/k.txt');
+  });
+});
+
+describe('interpretIndexNowResponse', () => {
+  it('maps status codes to outcomes', () => {
+    expect(interpretIndexNowResponse(200)).toMatchObject({ status: 'submitted', retry: false });
+    expect(interpretIndexNowResponse(202)).toMatchObject({ status: 'accepted', retry: false });
+    expect(interpretIndexNowResponse(403)).toMatchObject({ status: 'rejected', retry: false });
+    expect(interpretIndexNowResponse(422)).toMatchObject({ status: 'rejected', retry: false });
+    expect(interpretIndexNowResponse(429)).toMatchObject({ status: 'failed', retry: true });
+    expect(interpretIndexNowResponse(503)).toMatchObject({ status: 'failed', retry: true });
+    expect(interpretIndexNowResponse(null)).toMatchObject({ status: 'failed', retry: true });
+    expect(interpretIndexNowResponse(404)).toMatchObject({ status: 'failed', retry: false });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  slugifyHandle,
+  keysToTranslate,
+  buildTranslationPrompt,
+  sanitizeTranslation,
+  buildTranslationInputs,
+  changedDigestKeys,
+} from '../machineTranslation.js';
+
+const CONTENT = [
+  { key: 'title', value: 'Linen Shirt', digest: 'd-title' },
+  { key: 'body_html', value: '<p>Breathable linen.</p>', digest: 'd-body' },
+  { key: 'meta_title', value: '', digest: 'd-mt' },
+  { key: 'meta_description', value: 'A breathable shirt', digest: 'd-md' },
+  { key: 'handle', value: 'linen-shirt', digest: 'd-handle' },
+  { key: 'product_type', value: 'Shirts', digest: 'd-type' },
+];
+
+describe('slugifyHandle', () => {
+  it('keeps letters of any script and joins words with hyphens', () => {
+    expect(slugifyHandle('Leinen Hemd – Größe M')).toBe('leinen-hemd-größe-m');
+    expect(slugifyHandle('Ленена риза')).toBe('ленена-риза');
+    expect(slugifyHandle("  L'été  ")).toBe('lété');
+    expect(slugifyHandle('---')).toBe('');
+  });
+});
+
+describe('keysToTranslate', () => {
+  it('returns source keys with content that have no current translation', () => {
+    expect(keysToTranslate(CONTENT, [])).toEqual(['title', 'body_html', 'meta_description', 'handle']);
+  });
+
+  it('keeps existing translations and redoes outdated ones', () => {
+    const existing = [
+      { key: 'title', value: 'Leinenhemd', outdated: false },
+      { key: 'body_html', value: '<p>Alt</p>', outdated: true },
+      { key: 'handle', value: '', outdated: false },
+    ];
+    expect(keysToTranslate(CONTENT, existing)).toEqual(['body_html', 'meta_description', 'handle']);
+  });
+});
+
+describe('buildTranslationPrompt', () => {
+  it('asks for exactly the given keys as JSON', () => {
+    const [system, user] = buildTranslationPrompt({ sourceLocale: 'en', targetLocale: 'de', fields: { title: 'Linen Shirt', handle: 'linen-shirt' } });
+    expect(system.content).toContain('from en to de');
+    expect(system.content).toContain('"title": "..."');
+    expect(system.content).toContain('"handle": "..."');
+    expect(system.content).not.toContain('"body_html"');
+    expect(JSON.parse(user.content)).toEqual({ title: 'Linen Shirt', handle: 'linen-shirt' });
+  });
+});
+
+describe('sanitizeTranslation', () => {
+  it('keeps requested keys, cleans markup and slugifies the handle', () => {
+    const result = sanitizeTranslation({
+      title: ' <b>Leinenhemd</b> ',
+      body_html: '<p>Atmungsaktiv.</p><script>alert(1)</script>',
+      handle: 'Leinen Hemd',
+      meta_title: 'x'.repeat(100),
+      product_type: 'Hemden',
+      meta_description: 42,
+    }, ['title', 'body_html', 'handle', 'meta_title', 'meta_description']);
+
+    expect(result).toEqual({
+      title: 'Leinenhemd',
+      body_html: '<p>Atmungsaktiv.</p>',
+      handle: 'leinen-hemd',
+      meta_title: 'x'.repeat(70),
+    });
+  });
+
+  it('returns nothing for a non-object answer', () => {
+    expect(sanitizeTranslation(null, ['title'])).toEqual({});
+  });
+});
+
+describe('translationsRegister inputs', () => {
+  it('ties every value to its source digest and drops keys without one', () => {
+    const inputs = buildTranslationInputs('de', { title: 'Leinenhemd', handle: 'leinenhemd' }, { title: 'd-title' });
+    expect(inputs).toEqual([{ locale: 'de', key: 'title', value: 'Leinenhemd', translatableContentDigest: 'd-title' }]);
+  });
+
+  it('detects sources edited between reads', () => {
+    const after = CONTENT.map(c => (c.key === 'body_html' ? { ...c, digest: 'd-body-2' } : c));
+    expect(changedDigestKeys({ title: 'd-title', body_html: 'd-body' }, after)).toEqual(['body_html']);
+    expect(changedDigestKeys({ title: 'd-title' }, CONTENT)).toEqual([]);
+  });
+});
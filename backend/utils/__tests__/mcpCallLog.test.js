@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { hashToolArgs, toolResultBytes, getInitializeInfo } from '../mcpCallLog.js';
+
+describe('hashToolArgs', () => {
+  it('ignores key order', () => {
+    expect(hashToolArgs({ query: 'shoes', limit: 5, filters: { a: 1, b: 2 } }))
+      .toBe(hashToolArgs({ filters: { b: 2, a: 1 }, limit: 5, query: 'shoes' }));
+  });
+
+  it('tells different arguments apart', () => {
+    expect(hashToolArgs({ query: 'shoes' })).not.toBe(hashToolArgs({ query: 'boots' }));
+    expect(hashToolArgs({ query: 'shoes' })).toMatch(/^[0-9a-f]{16}$/);
+  });
+});
+
+describe('toolResultBytes', () => {
+  it('counts the text content in UTF-8 bytes', () => {
+    expect(toolResultBytes({ content: [{ type: 'text', text: 'abc' }, { type: 'text', text: 'é' }] })).toBe(5);
+    expect(toolResultBytes(null)).toBe(0);
+  });
+});
+
+describe('getInitializeInfo', () => {
+  const init = {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: { roots: {} }, clientInfo: { name: 'claude-ai', version: '0.1.0' } }
+  };
+
+  it('reads client info from a single or batched initialize', () => {
+    const expected = { clientName: 'claude-ai', clientVersion: '0.1.0', protocolVersion: '2025-03-26', clientCapabilities: { roots: {} } };
+    expect(getInitializeInfo(init)).toEqual(expected);
+    expect(getInitializeInfo([{ jsonrpc: '2.0', method: 'notifications/initialized' }, init])).toEqual(expected);
+  });
+
+  it('returns null for other requests', () => {
+    expect(getInitializeInfo({ jsonrpc: '2.0', id: 2, method: 'tools/call' })).toBeNull();
+    expect(getInitializeInfo(undefined)).toBeNull();
+  });
+});
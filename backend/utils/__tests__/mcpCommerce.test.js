@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  numericId,
+  normalizeCartItems,
+  buildCartPermalink,
+  compareProductRecords,
+  findPolicyPassages,
+  MAX_CART_QUANTITY,
+} from '../mcpCommerce.js';
+
+describe('mcpCommerce', () => {
+  it('reads numeric ids from GIDs and plain ids', () => {
+    expect(numericId('gid://shopify/ProductVariant/4455')).toBe('4455');
+    expect(numericId(4455)).toBe('4455');
+    expect(numericId('abc')).toBeNull();
+  });
+
+  it('merges cart lines and builds the permalink', () => {
+    const { lines, invalid } = normalizeCartItems([
+      { variant_id: 'gid://shopify/ProductVariant/11', quantity: 2 },
+      { variant_id: '22' },
+      { variant_id: '11', quantity: 1 },
+      { variant_id: 'nope', quantity: 1 },
+      { variant_id: '33', quantity: 1000 },
+    ]);
+    expect(lines).toEqual([
+      { variantId: '11', quantity: 3 },
+      { variantId: '22', quantity: 1 },
+      { variantId: '33', quantity: MAX_CART_QUANTITY },
+    ]);
+    expect(invalid).toEqual(['nope']);
+
+    expect(buildCartPermalink('shop.example.com', lines.slice(0, 2), { discountCode: 'SAVE 10' }))
+      .toBe('https://shop.example.com/cart/11:3,22:1?discount=SAVE+10');
+    expect(buildCartPermalink('shop.example.com', [])).toBeNull();
+  });
+
+  it('splits shared attributes from differences', () => {
+    const result = compareProductRecords([
+      { handle: 'a', price: '20.00', currency: 'EUR', vendor: 'Acme', available: true, tags: ['Cotton', 'summer'] },
+      { handle: 'b', price: '15.00', currency: 'EUR', vendor: 'Other', available: true, tags: ['cotton'] },
+    ]);
+    expect(result.shared).toMatchObject({ currency: 'EUR', available: true });
+    expect(result.differences.vendor).toEqual({ a: 'Acme', b: 'Other' });
+    expect(result.common_tags).toEqual(['cotton']);
+    expect(result.unique_tags).toEqual({ a: ['summer'], b: [] });
+    expect(result.cheapest).toBe('b');
+    expect(result.most_expensive).toBe('a');
+  });
+
+  it('finds the policy passages that answer a question, with citations', () => {
+    const policies = [
+      {
+        type: 'shipping',
+        title: 'Shipping policy',
+        url: 'https://shop.example.com/policies/shipping-policy',
+        text: 'We ship from Berlin.\nOrders to Canada and the US arrive in 7-10 days.\nShipping is free over 50 EUR.',
+      },
+      {
+        type: 'returns',
+        title: 'Refund policy',
+        url: 'https://shop.example.com/policies/refund-policy',
+        text: 'You can return items within 30 days.',
+      },
+    ];
+
+    const [best] = findPolicyPassages(policies, 'Do you ship to Canada?');
+    expect(best).toMatchObject({
+      policy: 'shipping',
+      url: 'https://shop.example.com/policies/shipping-policy',
+      excerpt: 'Orders to Canada and the US arrive in 7-10 days.',
+    });
+
+    expect(findPolicyPassages(policies, '', 5).map(p => p.excerpt)).toEqual([
+      'We ship from Berlin.',
+      'You can return items within 30 days.',
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeRule,
+  ruleProductFacts,
+  matchesRule,
+  pendingWork,
+  hasPendingWork,
+  isScheduleDue,
+} from '../optimizationRules.js';
+
+describe('normalizeRule', () => {
+  it('accepts a webhook rule and drops schedule fields', () => {
+    const { rule, errors } = normalizeRule({
+      name: '  New  shoes ',
+      trigger: 'webhook',
+      events: ['created', 'deleted'],
+      schedule: 'daily',
+      conditions: [{ field: 'tag', operator: 'contains', value: ' sale ' }],
+      action: { type: 'basic-seo', languages: ['EN', 'de', 'en'] },
+      maxProducts: 999,
+    });
+    expect(errors).toEqual([]);
+    expect(rule).toMatchObject({
+      name: 'New shoes',
+      events: ['created'],
+      schedule: null,
+      conditions: [{ field: 'tag', operator: 'contains', value: 'sale' }],
+      action: { type: 'basic-seo', languages: ['en', 'de'] },
+      maxProducts: 250,
+    });
+  });
+
+  it('reports missing and invalid fields', () => {
+    const { errors } = normalizeRule({
+      trigger: 'schedule',
+      conditions: [{ field: 'color', value: 'red' }, { field: 'price', operator: 'gte', value: 'cheap' }],
+      action: { type: 'ai-enhance', languages: [] },
+    });
+    expect(errors).toEqual([
+      'Name is required',
+      'schedule must be one of: daily, weekly',
+      'Unknown condition field: color',
+      'Price condition needs a number',
+      'Pick at least one language',
+    ]);
+  });
+
+  it('does not need languages for advanced schema', () => {
+    const { rule, errors } = normalizeRule({ name: 'Schema', trigger: 'schedule', schedule: 'weekly', action: { type: 'advanced-schema', languages: ['en'] } });
+    expect(errors).toEqual([]);
+    expect(rule.action).toEqual({ type: 'advanced-schema', languages: [] });
+  });
+});
+
+describe('matchesRule', () => {
+  const product = { productType: 'Shoes', vendor: 'Acme Co', tags: ['Summer, Sale'], price: '49.90' };
+
+  it('splits webhook-stored tag strings and compares case-insensitively', () => {
+    expect(ruleProductFacts(product).tags).toEqual(['summer', 'sale']);
+    expect(matchesRule({ conditions: [{ field: 'tag', operator: 'equals', value: 'SALE' }] }, ruleProductFacts(product))).toBe(true);
+  });
+
+  it('combines conditions with all / any', () => {
+    const conditions = [
+      { field: 'vendor', operator: 'contains', value: 'acme' },
+      { field: 'price', operator: 'gte', value: '100' },
+    ];
+    const facts = ruleProductFacts(product);
+    expect(matchesRule({ match: 'all', conditions }, facts)).toBe(false);
+    expect(matchesRule({ match: 'any', conditions }, facts)).toBe(true);
+  });
+
+  it('matches collections by handle and everything without conditions', () => {
+    const facts = ruleProductFacts(product, ['Summer-Collection']);
+    expect(matchesRule({ conditions: [{ field: 'collection', operator: 'equals', value: 'summer-collection' }] }, facts)).toBe(true);
+    expect(matchesRule({ conditions: [] }, facts)).toBe(true);
+  });
+
+  it('never matches price conditions without a price', () => {
+    const facts = ruleProductFacts({ price: '' });
+    expect(matchesRule({ conditions: [{ field: 'price', operator: 'lte', value: '10' }] }, facts)).toBe(false);
+  });
+});
+
+describe('pendingWork', () => {
+  const product = {
+    seoStatus: { optimized: true, aiEnhanced: false, hasAdvancedSchema: false, languages: [{ code: 'en', optimized: true }, { code: 'de', optimized: false }] },
+  };
+
+  it('returns the languages each SEO action still has to do', () => {
+    expect(pendingWork({ type: 'basic-seo', languages: ['en', 'de'] }, product)).toEqual(['de']);
+    expect(pendingWork({ type: 'ai-enhance', languages: ['en', 'de'] }, product)).toEqual(['en']);
+    expect(pendingWork({ type: 'ai-enhance', languages: ['en'] }, { seoStatus: { ...product.seoStatus, aiEnhanced: true } })).toEqual([]);
+  });
+
+  it('skips schema when the product has no basic SEO or already has schema', () => {
+    expect(hasPendingWork({ type: 'advanced-schema' }, product)).toBe(true);
+    expect(hasPendingWork({ type: 'advanced-schema' }, { seoStatus: { optimized: false } })).toBe(false);
+    expect(hasPendingWork({ type: 'advanced-schema' }, { seoStatus: { optimized: true, hasAdvancedSchema: true } })).toBe(false);
+  });
+});
+
+describe('isScheduleDue', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  it('runs new rules right away and then once per interval', () => {
+    const rule = { trigger: 'schedule', enabled: true, schedule: 'daily', lastRunAt: null };
+    expect(isScheduleDue(rule, now)).toBe(true);
+    expect(isScheduleDue({ ...rule, lastRunAt: new Date('2026-03-09T13:00:00Z') }, now)).toBe(false);
+    expect(isScheduleDue({ ...rule, lastRunAt: new Date('2026-03-09T12:00:00Z') }, now)).toBe(true);
+    expect(isScheduleDue({ ...rule, schedule: 'weekly', lastRunAt: new Date('2026-03-09T12:00:00Z') }, now)).toBe(false);
+  });
+
+  it('ignores disabled and webhook rules', () => {
+    expect(isScheduleDue({ trigger: 'schedule', enabled: false, schedule: 'daily' }, now)).toBe(false);
+    expect(isScheduleDue({ trigger: 'webhook', enabled: true }, now)).toBe(false);
+  });
+});
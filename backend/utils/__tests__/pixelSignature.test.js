@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generatePixelSecret,
+  signPixelPayload,
+  verifyPixelSignature,
+  isSigningEnforced,
+  signingRequiredFrom,
+  SIGNATURE_TOLERANCE_SECONDS,
+  UNSIGNED_GRACE_MS,
+  UNSIGNED_MAX_MS,
+  SIGNING_RELEASED_AT
+} from '../pixelSignature.js';
+
+const secret = 'a'.repeat(64);
+const rawBody = JSON.stringify({ shop: 'demo.myshopify.com', eventId: 'evt-1', eventType: 'add_to_cart', aiSource: 'ChatGPT' });
+const now = 1767225600000; // 2026-01-01T00:00:00Z
+const ts = String(now / 1000);
+
+describe('generatePixelSecret', () => {
+  it('returns a fresh 256-bit hex secret', () => {
+    const a = generatePixelSecret();
+    expect(a).toMatch(/^[0-9a-f]{64}$/);
+    expect(generatePixelSecret()).not.toBe(a);
+  });
+});
+
+describe('verifyPixelSignature', () => {
+  it('accepts a signature over the timestamp and raw body', () => {
+    const signature = signPixelPayload(secret, ts, rawBody);
+    expect(verifyPixelSignature({ secret, signature, timestamp: ts, rawBody, now })).toEqual({ ok: true });
+    expect(verifyPixelSignature({ secret, signature: signature.toUpperCase(), timestamp: ts, rawBody, now }).ok).toBe(true);
+  });
+
+  it('rejects tampered bodies, other secrets and malformed signatures', () => {
+    const signature = signPixelPayload(secret, ts, rawBody);
+    const tampered = rawBody.replace('add_to_cart', 'checkout_completed');
+    expect(verifyPixelSignature({ secret, signature, timestamp: ts, rawBody: tampered, now })).toEqual({ ok: false, reason: 'bad_signature' });
+    expect(verifyPixelSignature({ secret: 'b'.repeat(64), signature, timestamp: ts, rawBody, now }).reason).toBe('bad_signature');
+    expect(verifyPixelSignature({ secret, signature: 'abc', timestamp: ts, rawBody, now }).reason).toBe('bad_signature');
+  });
+
+  it('rejects missing signatures and timestamps outside the tolerance', () => {
+    expect(verifyPixelSignature({ secret, timestamp: ts, rawBody, now }).reason).toBe('missing_signature');
+    const old = String(now / 1000 - SIGNATURE_TOLERANCE_SECONDS - 1);
+    const signature = signPixelPayload(secret, old, rawBody);
+    expect(verifyPixelSignature({ secret, signature, timestamp: old, rawBody, now }).reason).toBe('stale_timestamp');
+    expect(verifyPixelSignature({ secret, signature, timestamp: 'soon', rawBody, now }).reason).toBe('stale_timestamp');
+  });
+});
+
+describe('isSigningEnforced', () => {
+  const released = SIGNING_RELEASED_AT.getTime();
+
+  it('keeps accepting unsigned events until the grace period after the pixel got a secret', () => {
+    const at = released + 1000;
+    const signedSince = new Date(at - UNSIGNED_GRACE_MS + 1000);
+    expect(isSigningEnforced({ signedSince: null, now: at })).toBe(false);
+    expect(isSigningEnforced({ signedSince, now: at })).toBe(false);
+    expect(isSigningEnforced({ signedSince, now: at + 1000 })).toBe(true);
+    expect(isSigningEnforced({ signedSince: signedSince.toISOString(), now: at + 1000 })).toBe(true);
+  });
+
+  it('requires signatures after a deadline even when the pixel never got a secret', () => {
+    expect(signingRequiredFrom({ signedSince: null }).getTime()).toBe(released + UNSIGNED_MAX_MS);
+    expect(isSigningEnforced({ signedSince: null, now: released + UNSIGNED_MAX_MS - 1 })).toBe(false);
+    expect(isSigningEnforced({ signedSince: null, now: released + UNSIGNED_MAX_MS })).toBe(true);
+  });
+
+  it('counts the deadline from install for shops installed after signing was released', () => {
+    const installedAt = new Date(released + 30 * 86400000);
+    const deadline = installedAt.getTime() + UNSIGNED_MAX_MS;
+    expect(signingRequiredFrom({ signedSince: null, installedAt }).getTime()).toBe(deadline);
+    expect(isSigningEnforced({ signedSince: null, installedAt, now: deadline - 1 })).toBe(false);
+    expect(isSigningEnforced({ signedSince: null, installedAt: new Date(released - 86400000), now: released + UNSIGNED_MAX_MS })).toBe(true);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePromptTemplate,
+  buildBrandVoiceBlock,
+  withPromptTemplate,
+  scrubNeverUsePhrases,
+} from '../promptTemplate.js';
+
+const TEMPLATE = {
+  tone: 'warm and direct',
+  readingLevel: 'simple',
+  alwaysUse: ['handmade'],
+  neverUse: ['cheap', 'best ever'],
+  defaultCta: 'Order today.',
+  languageInstructions: [{ language: 'de', instructions: 'Use "Sie".' }],
+};
+
+describe('normalizePromptTemplate', () => {
+  it('drops unknown fields, dedupes phrases and falls back to standard reading level', () => {
+    const t = normalizePromptTemplate({ readingLevel: 'phd', neverUse: 'cheap, Cheap,\nfake', extra: 1 });
+    expect(t.readingLevel).toBe('standard');
+    expect(t.neverUse).toEqual(['cheap', 'fake']);
+    expect(t).not.toHaveProperty('extra');
+  });
+});
+
+describe('buildBrandVoiceBlock', () => {
+  it('is empty for disabled or empty templates', () => {
+    expect(buildBrandVoiceBlock({ ...TEMPLATE, enabled: false }, 'en')).toBe('');
+    expect(buildBrandVoiceBlock({}, 'en')).toBe('');
+    expect(buildBrandVoiceBlock(null, 'en')).toBe('');
+  });
+
+  it('includes per-language instructions only for that language (and its base locale)', () => {
+    expect(buildBrandVoiceBlock(TEMPLATE, 'de-AT')).toContain('Use "Sie".');
+    expect(buildBrandVoiceBlock(TEMPLATE, 'en')).not.toContain('Use "Sie".');
+    expect(buildBrandVoiceBlock(TEMPLATE, 'en')).toContain('"cheap"');
+  });
+});
+
+describe('withPromptTemplate', () => {
+  it('appends the block to the system message without mutating the input', () => {
+    const messages = [{ role: 'system', content: 'Base' }, { role: 'user', content: 'x' }];
+    const merged = withPromptTemplate(messages, TEMPLATE, 'en');
+    expect(merged[0].content.startsWith('Base\n\nBRAND VOICE')).toBe(true);
+    expect(messages[0].content).toBe('Base');
+    expect(withPromptTemplate(messages, null, 'en')).toBe(messages);
+  });
+});
+
+describe('scrubNeverUsePhrases', () => {
+  it('removes forbidden phrases from nested strings, case-insensitively and on word boundaries', () => {
+    const out = scrubNeverUsePhrases(
+      { bullets: ['Cheap and cheerful', 'Cheapskate approved'], faq: [{ q: 'Why?', a: 'The best ever mug.' }] },
+      TEMPLATE
+    );
+    expect(out.bullets).toEqual(['and cheerful', 'Cheapskate approved']);
+    expect(out.faq[0].a).toBe('The mug.');
+  });
+});
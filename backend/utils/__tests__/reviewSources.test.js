@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseReviewsCsv,
+  parseReviewAppExport,
+  detectReviewApp,
+  parseRatingMetafields,
+  buildReviewJsonLd,
+} from '../reviewSources.js';
+import { parseCsvRows, toCsv } from '../csv.js';
+
+describe('csv', () => {
+  it('handles quoted fields, escaped quotes and CRLF', () => {
+    const rows = parseCsvRows('a,b\r\n"x, y","say ""hi"""\r\n\r\n');
+    expect(rows).toEqual([['a', 'b'], ['x, y', 'say "hi"']]);
+  });
+
+  it('round-trips through toCsv', () => {
+    const csv = toCsv([{ a: 'x, y', b: 'line\nbreak' }], ['a', 'b']);
+    expect(parseCsvRows(csv)).toEqual([['a', 'b'], ['x, y', 'line\nbreak']]);
+  });
+});
+
+describe('parseReviewsCsv', () => {
+  it('maps column aliases and reports invalid rows with line numbers', () => {
+    const csv = [
+      'Product Handle,Review Score,Reviewer Name,Review Content,Date,Published',
+      'Linen-Shirt,5,Maria,"Great, fits well",2025-06-01,true',
+      'linen-shirt,7,Bob,Too good,2025-06-02,true',
+      'linen-shirt,3,Ann,Meh,2025-06-03,false',
+    ].join('\n');
+
+    const { reviews, errors, skipped } = parseReviewsCsv(csv);
+    expect(reviews).toHaveLength(1);
+    expect(reviews[0]).toMatchObject({
+      source: 'csv',
+      productHandle: 'linen-shirt',
+      rating: 5,
+      author: 'Maria',
+      body: 'Great, fits well',
+    });
+    expect(reviews[0].externalId).toMatch(/^[0-9a-f]{40}$/);
+    expect(errors).toEqual([{ row: 3, error: expect.stringContaining('Invalid rating') }]);
+    expect(skipped).toBe(1);
+  });
+
+  it('rejects files without rating or product columns', () => {
+    expect(() => parseReviewsCsv('author,body\nMaria,Nice')).toThrow(/rating column/);
+  });
+});
+
+describe('review app exports', () => {
+  const judgeme = {
+    reviews: [
+      { id: 11, product_external_id: 'gid://shopify/Product/123', reviewer: { name: 'Maria' }, rating: 4, body: '<p>Nice</p>', created_at: '2025-05-01T10:00:00Z', published: true },
+      { id: 12, product_external_id: 123, reviewer: { name: 'Hidden' }, rating: 1, body: 'x', hidden: true },
+    ],
+  };
+
+  it('detects the app from the export shape', () => {
+    expect(detectReviewApp(judgeme)).toBe('judgeme');
+    expect(detectReviewApp({ reviews: [{ score: 5, user_name: 'A', content: 'B' }] })).toBe('yotpo');
+    expect(detectReviewApp({ foo: [] })).toBeNull();
+  });
+
+  it('normalizes a Judge.me export and skips hidden reviews', () => {
+    const result = parseReviewAppExport('auto', JSON.stringify(judgeme));
+    expect(result.source).toBe('judgeme');
+    expect(result.skipped).toBe(1);
+    expect(result.reviews).toEqual([
+      expect.objectContaining({ externalId: '11', productId: '123', author: 'Maria', rating: 4, body: 'Nice' }),
+    ]);
+  });
+
+  it('fails with status 400 on unknown formats', () => {
+    expect(() => parseReviewAppExport('auto', '{"foo":1}')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => parseReviewAppExport('auto', 'not json')).toThrow(/valid JSON/);
+  });
+});
+
+describe('parseRatingMetafields', () => {
+  it('reads the Shopify rating metafield pair', () => {
+    expect(parseRatingMetafields({
+      rating: '{"value":"4.6","scale_min":"1.0","scale_max":"5.0"}',
+      ratingCount: '27',
+    })).toEqual({ ratingValue: 4.6, bestRating: 5, worstRating: 1, reviewCount: 27 });
+  });
+
+  it('ignores ratings without a count or out of scale', () => {
+    expect(parseRatingMetafields({ rating: '{"value":"4.6"}', ratingCount: '0' })).toBeNull();
+    expect(parseRatingMetafields({ rating: '{"value":"9","scale_max":"5"}', ratingCount: '3' })).toBeNull();
+    expect(parseRatingMetafields({})).toBeNull();
+  });
+});
+
+describe('buildReviewJsonLd', () => {
+  const reviews = [
+    { author: 'Maria', rating: 5, body: 'Great', publishedAt: new Date('2025-06-01T12:00:00Z') },
+    { author: null, rating: 1, body: 'Anonymous' },
+  ];
+
+  it('returns nothing without real data', () => {
+    expect(buildReviewJsonLd({ metafieldRating: null, reviews: [] })).toEqual({});
+  });
+
+  it('prefers the metafield rating and only emits named reviews', () => {
+    const metafieldRating = { ratingValue: 4.6, bestRating: 5, worstRating: 1, reviewCount: 27 };
+    const result = buildReviewJsonLd({ metafieldRating, reviews });
+    expect(result.aggregateRating).toMatchObject({ ratingValue: 4.6, reviewCount: 27 });
+    expect(result.review).toHaveLength(1);
+    expect(result.review[0]).toMatchObject({ author: { name: 'Maria' }, datePublished: '2025-06-01' });
+  });
+
+  it('falls back to imported reviews and respects the toggles', () => {
+    expect(buildReviewJsonLd({ reviews }, { reviews: false })).toEqual({
+      aggregateRating: expect.objectContaining({ ratingValue: 3, reviewCount: 2 }),
+    });
+    expect(buildReviewJsonLd({ reviews }, { ratings: false }).aggregateRating).toBeUndefined();
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { auditSeo, effectiveMeta, wordCount, ISSUE_ITEM_LIMIT } from '../seoAudit.js';
+
+const words = (n) => Array.from({ length: n }, (_, i) => `word${i}`).join(' ');
+const meta = 'A breathable linen shirt cut for hot days, with a relaxed fit, mother-of-pearl buttons and a soft washed finish.';
+
+const product = (id, overrides = {}) => ({
+  type: 'product',
+  id: String(id),
+  title: `Product ${id}`,
+  handle: `product-${id}`,
+  description: `<p>${words(80)}</p>`,
+  images: [{ id: `img${id}`, alt: 'Front view' }],
+  seo: { title: null, description: null },
+  aiSeo: { title: `Product ${id} | Shop`, metaDescription: `${meta} ${id}` },
+  optimizedLocales: ['en'],
+  ...overrides
+});
+
+const issue = (result, id) => result.issues.find(i => i.id === id);
+
+describe('effectiveMeta', () => {
+  it('prefers AI SEO, then Shopify SEO, then the title', () => {
+    expect(effectiveMeta({ title: 'T', seo: { title: 'S' }, aiSeo: { title: 'A' } }).title).toBe('A');
+    expect(effectiveMeta({ title: 'T', seo: { title: 'S', description: 'D' }, aiSeo: null })).toEqual({ title: 'S', description: 'D' });
+    expect(effectiveMeta({ title: 'T', seo: {}, aiSeo: null })).toEqual({ title: 'T', description: '' });
+  });
+});
+
+describe('wordCount', () => {
+  it('ignores markup', () => {
+    expect(wordCount('<p>Linen&nbsp;shirt</p><style>p{}</style><ul><li>soft</li></ul>')).toBe(3);
+    expect(wordCount('')).toBe(0);
+  });
+});
+
+describe('auditSeo', () => {
+  it('reports a clean catalog with full score', () => {
+    const result = auditSeo([product(1), product(2)], { locales: ['en'], primaryLocale: 'en' });
+    expect(result.issues).toEqual([]);
+    expect(result.summary).toMatchObject({ products: 2, resourcesWithIssues: 0, score: 100 });
+  });
+
+  it('groups duplicates per resource type', () => {
+    const shared = { title: 'Linen Shirt', metaDescription: meta };
+    const result = auditSeo([
+      product(1, { aiSeo: shared }),
+      product(2, { aiSeo: { ...shared, title: 'linen  shirt' } }),
+      product(3),
+      { ...product(4), type: 'collection', aiSeo: shared }
+    ], { locales: ['en'], primaryLocale: 'en' });
+
+    expect(issue(result, 'duplicate_title:product')).toMatchObject({ severity: 'high', count: 2, ids: ['1', '2'], fix: 'review' });
+    expect(issue(result, 'duplicate_description:product').count).toBe(2);
+    expect(issue(result, 'duplicate_title:collection')).toBeUndefined();
+  });
+
+  it('flags lengths, content, alt text and locales', () => {
+    const result = auditSeo([
+      product(1, { aiSeo: { title: 'x'.repeat(71), metaDescription: 'Too short.' } }),
+      product(2, { aiSeo: { title: 'Two', metaDescription: 'y'.repeat(201) }, description: '', images: [{ id: 'a', alt: '' }, { id: 'b', alt: 'Back view' }] }),
+      product(3, { aiSeo: null, description: words(10), optimizedLocales: [] })
+    ], { locales: ['en', 'de'], primaryLocale: 'en' });
+
+    expect(issue(result, 'title_too_long:product').ids).toEqual(['1']);
+    expect(issue(result, 'meta_too_short:product').ids).toEqual(['1']);
+    expect(issue(result, 'meta_too_long:product').ids).toEqual(['2']);
+    expect(issue(result, 'empty_description:product').ids).toEqual(['2']);
+    expect(issue(result, 'missing_alt:product')).toMatchObject({ fix: 'generate-alt', items: [{ detail: '1 of 2 images' }] });
+    expect(result.summary.altCoverage).toEqual({ images: 4, withAlt: 3, percent: 75 });
+    expect(issue(result, 'thin_content:product').ids).toEqual(['3']);
+    expect(issue(result, 'missing_meta:product:en')).toMatchObject({ ids: ['3'], fix: 'generate', language: 'en' });
+    expect(issue(result, 'unoptimized_locale:product:de')).toMatchObject({ count: 3, label: 'Not optimized in DE', fix: 'generate' });
+    expect(issue(result, 'unoptimized_locale:product:en').ids).toEqual(['3']);
+    expect(result.summary.score).toBe(0);
+  });
+
+  it('sorts by severity, then affected count, and caps listed items', () => {
+    const many = Array.from({ length: ISSUE_ITEM_LIMIT + 5 }, (_, i) => product(i, { images: [{ id: 'x', alt: null }] }));
+    const result = auditSeo([...many, product('dup-a', { aiSeo: { title: 'Same', metaDescription: meta } }), product('dup-b', { aiSeo: { title: 'Same', metaDescription: `${meta}!` } })], {
+      locales: ['en'],
+      primaryLocale: 'en'
+    });
+
+    expect(result.issues.map(i => i.type)).toEqual(['duplicate_title', 'missing_alt']);
+    const alt = issue(result, 'missing_alt:product');
+    expect(alt.count).toBe(ISSUE_ITEM_LIMIT + 5);
+    expect(alt.items).toHaveLength(ISSUE_ITEM_LIMIT);
+  });
+
+  it('sends collection issues to the editor', () => {
+    const result = auditSeo([{ ...product(1), type: 'collection', aiSeo: null, optimizedLocales: [] }], { locales: ['en'], primaryLocale: 'en' });
+    expect(issue(result, 'missing_meta:collection:en').fix).toBe('review');
+  });
+});
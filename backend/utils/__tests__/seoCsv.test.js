@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { toCsv } from '../csv.js';
+import {
+  SEO_CSV_COLUMNS,
+  parseSeoCsv,
+  parseFaq,
+  diffSeoRow,
+  mergeSeoFields,
+  resourceToCsvRows,
+} from '../seoCsv.js';
+
+const current = {
+  title: 'Linen Shirt',
+  metaDescription: 'Breathable linen shirt for summer.',
+  bullets: ['Pure linen', 'Relaxed fit'],
+  faq: [{ q: 'Is it washable?', a: 'Yes, at 30°C.' }],
+  bodyHtml: '<p>Linen</p>',
+  language: 'en',
+  updatedAt: '2026-01-01T00:00:00Z'
+};
+
+const product = {
+  type: 'product',
+  id: 'gid://shopify/Product/101',
+  handle: 'linen-shirt',
+  title: 'Linen Shirt',
+  metafields: [{ key: 'seo__en', value: JSON.stringify(current) }],
+  images: [{ id: 'gid://shopify/ProductImage/9', altText: 'Front' }, { id: 'gid://shopify/ProductImage/10', altText: null }]
+};
+
+const options = { locales: ['en', 'de'], primaryLocale: 'en' };
+
+describe('resourceToCsvRows', () => {
+  it('writes one row per language with alt texts on the primary row', () => {
+    const [en, de] = resourceToCsvRows(product, ['en', 'de']);
+    expect(en).toMatchObject({
+      type: 'product',
+      id: '101',
+      language: 'en',
+      bullets: 'Pure linen\nRelaxed fit',
+      faq: 'Q: Is it washable?\nA: Yes, at 30°C.',
+      image_alt: '9: Front\n10: '
+    });
+    expect(de).toMatchObject({ language: 'de', seo_title: '', image_alt: '' });
+  });
+
+  it('round-trips an untouched export without changes', () => {
+    const csv = toCsv(resourceToCsvRows(product, ['en', 'de']), SEO_CSV_COLUMNS);
+    const { rows, errors } = parseSeoCsv(csv, options);
+    expect(errors).toEqual([]);
+    expect(rows.map(r => diffSeoRow(r.language === 'en' ? current : null, product.images, r))).toEqual([[], []]);
+  });
+});
+
+describe('parseSeoCsv', () => {
+  it('reads semicolon sheets saved by Excel and diffs changed fields', () => {
+    const csv = '\uFEFFType;ID;Language;SEO Title;Image Alt\r\nProduct;101;EN;Linen Shirt – Summer;9: Front view\r\n';
+    const { rows, errors } = parseSeoCsv(csv, options);
+    expect(errors).toEqual([]);
+    expect(rows[0]).toMatchObject({ type: 'product', id: '101', language: 'en', fields: { title: 'Linen Shirt – Summer' } });
+    expect(diffSeoRow(current, product.images, rows[0])).toEqual([
+      { field: 'seo_title', before: 'Linen Shirt', after: 'Linen Shirt – Summer' },
+      { field: 'image_alt 9', before: 'Front', after: 'Front view' }
+    ]);
+  });
+
+  it('reports limits, locales, alt rows and duplicates by line', () => {
+    const csv = toCsv([
+      { type: 'product', id: '1', language: 'fr', seo_title: 'x' },
+      { type: 'product', id: '2', language: 'en', seo_title: 'x'.repeat(71) },
+      { type: 'product', id: '3', language: 'en', bullets: 'only one' },
+      { type: 'product', id: '4', language: 'de', image_alt: '9: Vorne' },
+      { type: 'collection', handle: 'summer', language: 'en', faq: 'Q: Why?\nA: Because.' },
+      { type: 'collection', handle: 'summer', language: 'en', seo_title: 'Summer' },
+      { type: 'page', id: '5', language: 'en', seo_title: 'x' }
+    ], ['type', 'id', 'handle', 'language', 'seo_title', 'bullets', 'faq', 'image_alt']);
+    const { rows, errors } = parseSeoCsv(csv, options);
+    expect(rows.map(r => r.row)).toEqual([6]);
+    expect(errors.map(e => e.row)).toEqual([2, 3, 4, 5, 7, 8]);
+    expect(errors[0].error).toContain('Unknown locale "fr"');
+    expect(errors[1].error).toContain('max 70');
+    expect(errors[2].error).toContain('bullets needs 2-10 lines');
+    expect(errors[3].error).toContain('on the en row');
+    expect(errors[4].error).toBe('Duplicate of row 6');
+  });
+
+  it('rejects sheets without key columns', () => {
+    expect(() => parseSeoCsv('id,seo_title\n1,x\n', options)).toThrow(/type, language/);
+  });
+});
+
+describe('parseFaq', () => {
+  it('pairs questions and answers', () => {
+    expect(parseFaq('Q: Size?\nA: True to size.\nq) Care?\na) Hand wash.')).toEqual([
+      { q: 'Size?', a: 'True to size.' },
+      { q: 'Care?', a: 'Hand wash.' }
+    ]);
+    expect(() => parseFaq('Q: Size?\nQ: Care?')).toThrow(/without answer/);
+  });
+});
+
+describe('mergeSeoFields', () => {
+  it('keeps the fields the row does not set', () => {
+    const merged = mergeSeoFields(current, { title: 'New title' });
+    expect(merged).toMatchObject({ title: 'New title', bodyHtml: '<p>Linen</p>', bullets: current.bullets });
+    expect(merged).not.toHaveProperty('updatedAt');
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { diffSeoSnapshots } from '../seoDiff.js';
+
+const BEFORE = {
+  title: 'Linen Shirt',
+  metaDescription: 'A breathable linen shirt.',
+  bodyHtml: '<p>Linen shirt</p>',
+  bullets: ['Breathable', 'Relaxed fit'],
+  faq: [{ q: 'Is it washable?', a: 'Yes, at 30°C.' }],
+  imageAlt: null,
+  language: 'en',
+  updatedAt: '2025-01-01T00:00:00.000Z',
+};
+
+describe('diffSeoSnapshots', () => {
+  it('returns no changes for identical snapshots', () => {
+    expect(diffSeoSnapshots(BEFORE, { ...BEFORE })).toEqual([]);
+  });
+
+  it('ignores bookkeeping fields like updatedAt', () => {
+    expect(diffSeoSnapshots(BEFORE, { ...BEFORE, updatedAt: '2025-02-01T00:00:00.000Z' })).toEqual([]);
+  });
+
+  it('reports changed fields with before and after values', () => {
+    const after = { ...BEFORE, title: 'Linen Shirt – Summer', bullets: ['Breathable'] };
+    const changes = diffSeoSnapshots(BEFORE, after);
+    expect(changes.map(c => c.field)).toEqual(['title', 'bullets']);
+    expect(changes[0]).toEqual({ field: 'title', before: 'Linen Shirt', after: 'Linen Shirt – Summer', change: 'changed' });
+  });
+
+  it('treats a missing snapshot as all fields added', () => {
+    const changes = diffSeoSnapshots(null, BEFORE);
+    expect(changes.every(c => c.change === 'added')).toBe(true);
+    expect(changes.map(c => c.field)).toContain('metaDescription');
+  });
+
+  it('treats empty strings and empty arrays as missing', () => {
+    const changes = diffSeoSnapshots({ ...BEFORE, bullets: [] }, { ...BEFORE, bullets: [], title: '' });
+    expect(changes).toEqual([
+      { field: 'title', before: 'Linen Shirt', after: null, change: 'removed' }
+    ]);
+  });
+});
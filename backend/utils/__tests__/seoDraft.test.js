@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createDraftFields,
+  applyReviewDecisions,
+  draftReviewState,
+  buildSeoFromDraft,
+  normalizeFieldValue,
+} from '../seoDraft.js';
+
+const GENERATED = {
+  title: 'Linen Shirt – Breathable Summer Shirt',
+  metaDescription: 'A breathable linen shirt for hot days.',
+  bodyHtml: '<p>Linen shirt</p>',
+  bullets: ['Breathable', 'Relaxed fit'],
+  faq: [{ q: 'Is it washable?', a: 'Yes, at 30°C.' }],
+  slug: 'linen-shirt',
+};
+
+const CURRENT = {
+  title: 'Linen Shirt',
+  metaDescription: 'Old description.',
+  bullets: ['Old bullet'],
+  faq: [],
+};
+
+function draftWith(decisions, current = CURRENT) {
+  return {
+    productTitle: 'Linen Shirt',
+    seo: GENERATED,
+    current,
+    fields: applyReviewDecisions(createDraftFields(GENERATED), decisions),
+  };
+}
+
+describe('createDraftFields', () => {
+  it('starts every review field as pending with the generated value', () => {
+    const fields = createDraftFields(GENERATED);
+    expect(Object.keys(fields)).toEqual(['title', 'metaDescription', 'bullets', 'faq']);
+    expect(fields.bullets).toEqual({ value: GENERATED.bullets, edited: null, status: 'pending' });
+  });
+});
+
+describe('applyReviewDecisions', () => {
+  it('normalizes edits and keeps untouched fields', () => {
+    const fields = applyReviewDecisions(createDraftFields(GENERATED), {
+      bullets: { status: 'approved', edited: 'Soft linen\n\n  Relaxed   fit ' },
+    });
+    expect(fields.bullets.edited).toEqual(['Soft linen', 'Relaxed fit']);
+    expect(fields.title.status).toBe('pending');
+  });
+
+  it('rejects unknown fields, statuses and empty edits with status 400', () => {
+    const fields = createDraftFields(GENERATED);
+    expect(() => applyReviewDecisions(fields, { slug: { status: 'approved' } })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => applyReviewDecisions(fields, { title: { status: 'maybe' } })).toThrow(/Invalid status/);
+    expect(() => applyReviewDecisions(fields, { title: { edited: '   ' } })).toThrow(/cannot be empty/);
+  });
+});
+
+describe('draftReviewState', () => {
+  it('is pending until every field is decided', () => {
+    expect(draftReviewState(draftWith({ title: { status: 'approved' } }))).toBe('pending');
+  });
+
+  it('is ready with at least one approval and rejected otherwise', () => {
+    const all = (status) => Object.fromEntries(['title', 'metaDescription', 'bullets', 'faq'].map(f => [f, { status }]));
+    expect(draftReviewState(draftWith({ ...all('rejected'), faq: { status: 'approved' } }))).toBe('ready');
+    expect(draftReviewState(draftWith(all('rejected')))).toBe('rejected');
+  });
+});
+
+describe('buildSeoFromDraft', () => {
+  it('uses edits for approved fields and live values for rejected ones', () => {
+    const seo = buildSeoFromDraft(draftWith({
+      title: { status: 'approved', edited: 'Linen Shirt for Summer' },
+      metaDescription: { status: 'rejected' },
+      bullets: { status: 'approved' },
+      faq: { status: 'rejected' },
+    }));
+    expect(seo.title).toBe('Linen Shirt for Summer');
+    expect(seo.metaDescription).toBe('Old description.');
+    expect(seo.bullets).toEqual(GENERATED.bullets);
+    expect(seo.faq).toEqual([]);
+    expect(seo.slug).toBe('linen-shirt');
+  });
+
+  it('falls back to the product title and a derived description without live SEO', () => {
+    const seo = buildSeoFromDraft(draftWith({
+      title: { status: 'rejected' },
+      metaDescription: { status: 'rejected' },
+      bullets: { status: 'rejected' },
+      faq: { status: 'approved' },
+    }, null));
+    expect(seo.title).toBe('Linen Shirt');
+    expect(seo).not.toHaveProperty('metaDescription');
+    expect(seo.bullets).toEqual([]);
+  });
+});
+
+describe('normalizeFieldValue', () => {
+  it('drops incomplete FAQ entries', () => {
+    expect(normalizeFieldValue('faq', [{ q: 'Size?', a: 'True to size' }, { q: 'Empty', a: '' }, null]))
+      .toEqual([{ q: 'Size?', a: 'True to size' }]);
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, it, expect } from 'vitest';
+import {
+  renderUrlEntry,
+  renderUrlset,
+  renderSitemapIndex,
+  chunkEntries,
+  childSitemapName,
+  buildHreflangTargets,
+  hreflangAlternates,
+  parseUrlset,
+  entryAiBlock,
+  contentAiBlock,
+  patchUrlset,
+  changedLocs,
+  parseSitemapIndex,
+} from '../sitemapXml.js';
+
+describe('renderUrlEntry', () => {
+  it('adds alternates and images after the standard fields', () => {
+    const xml = renderUrlEntry({
+      loc: 'https://shop.com/products/a&b',
+      lastmod: '2026-01-02',
+      priority: '0.8',
+      alternates: [{ hreflang: 'fr', href: 'https://shop.com/fr/products/a&b' }],
+      images: ['https://cdn.shopify.com/a.jpg'],
+    });
+    expect(xml).toContain('<loc>https://shop.com/products/a&amp;b</loc>');
+    expect(xml).toContain('<xhtml:link rel="alternate" hreflang="fr" href="https://shop.com/fr/products/a&amp;b" />');
+    expect(xml).toContain('<image:loc>https://cdn.shopify.com/a.jpg</image:loc>');
+    expect(xml.indexOf('<priority>')).toBeLessThan(xml.indexOf('<xhtml:link'));
+  });
+
+  it('declares the ai namespace only when asked', () => {
+    expect(renderUrlset([])).not.toContain('xmlns:ai');
+    expect(renderUrlset([], { ai: true })).toContain('xmlns:ai');
+    expect(renderUrlset([])).toContain('xmlns:image');
+  });
+});
+
+describe('contentAiBlock', () => {
+  it('renders escaped SEO and FAQ for an article', () => {
+    const xml = contentAiBlock({
+      type: 'article',
+      language: 'en',
+      seo: { title: 'Care & repair', metaDescription: 'How to', excerpt: '', faq: [{ q: 'Q?', a: 'A.' }, { q: 'no answer' }] },
+    });
+    expect(xml).toContain('<ai:type>article</ai:type>');
+    expect(xml).toContain('<ai:title>Care &amp; repair</ai:title>');
+    expect(xml).not.toContain('<ai:summary>');
+    expect(xml.match(/<ai:qa>/g)).toHaveLength(1);
+  });
+
+  it('is empty without SEO', () => {
+    expect(contentAiBlock({ type: 'page', seo: null })).toBe('');
+  });
+});
+
+describe('chunkEntries', () => {
+  const entries = Array.from({ length: 5 }, (_, i) => renderUrlEntry({ loc: `https://shop.com/products/p${i}` }));
+
+  it('splits on the URL limit', () => {
+    expect(chunkEntries(entries, { maxUrls: 2 }).map(c => c.length)).toEqual([2, 2, 1]);
+  });
+
+  it('splits on the byte limit, wrapper included', () => {
+    const wrapper = Buffer.byteLength(renderUrlset([]));
+    const entryBytes = Buffer.byteLength(entries[0]);
+    const chunks = chunkEntries(entries, { maxBytes: wrapper + entryBytes * 3 });
+    expect(chunks.map(c => c.length)).toEqual([3, 2]);
+    for (const chunk of chunks) {
+      expect(Buffer.byteLength(renderUrlset(chunk))).toBeLessThanOrEqual(wrapper + entryBytes * 3);
+    }
+  });
+});
+
+describe('sitemap index', () => {
+  it('lists the children', () => {
+    const xml = renderSitemapIndex([{ loc: 'https://shop.com/apps/x/sitemap/products-1.xml', lastmod: '2026-01-02' }]);
+    expect(xml).toContain('<sitemapindex');
+    expect(xml).toContain('<loc>https://shop.com/apps/x/sitemap/products-1.xml</loc>');
+  });
+
+  it('parses the children back', () => {
+    const children = [
+      { loc: 'https://shop.com/apps/x/sitemap/products-1.xml?a=1&b=2', lastmod: '2026-01-02' },
+      { loc: 'https://shop.com/apps/x/sitemap/pages-1.xml' }
+    ];
+    expect(parseSitemapIndex(renderSitemapIndex(children))).toEqual([children[0], { ...children[1], lastmod: undefined }]);
+  });
+
+  it('names children by type, locale and part', () => {
+    expect(childSitemapName('products', 1)).toBe('products-1');
+    expect(childSitemapName('locale', 2, 'fr-CA')).toBe('locale-fr-ca-2');
+  });
+});
+
+describe('hreflang', () => {
+  const locales = [
+    { locale: 'en', primary: true, published: true },
+    { locale: 'fr', primary: false, published: true },
+    { locale: 'de', primary: false, published: false },
+  ];
+
+  it('uses published locales under the primary domain', () => {
+    const targets = buildHreflangTargets({ primaryUrl: 'https://shop.com/', locales });
+    expect(targets.map(t => [t.hreflang, t.url])).toEqual([
+      ['en', 'https://shop.com'],
+      ['fr', 'https://shop.com/fr'],
+    ]);
+  });
+
+  it('adds single-country market roots and skips duplicates', () => {
+    const targets = buildHreflangTargets({
+      primaryUrl: 'https://shop.com',
+      locales,
+      markets: [
+        { primary: true, enabled: true, countries: ['US'], rootUrls: [{ locale: 'en', url: 'https://shop.com/' }, { locale: 'fr', url: 'https://shop.com/fr' }] },
+        { primary: false, enabled: true, countries: ['CA'], rootUrls: [{ locale: 'en', url: 'https://shop.ca' }, { locale: 'fr', url: 'https://shop.ca/fr' }] },
+        { primary: false, enabled: true, countries: ['DE', 'AT'], rootUrls: [{ locale: 'de', url: 'https://shop.eu' }] },
+        { primary: false, enabled: false, countries: ['GB'], rootUrls: [{ locale: 'en', url: 'https://shop.co.uk' }] },
+      ],
+    });
+    expect(targets.map(t => t.hreflang)).toEqual(['en', 'fr', 'en-CA', 'fr-CA']);
+  });
+
+  it('builds alternates with x-default, none for a single locale', () => {
+    const targets = buildHreflangTargets({ primaryUrl: 'https://shop.com', locales });
+    expect(hreflangAlternates(targets, '/products/a')).toEqual([
+      { hreflang: 'en', href: 'https://shop.com/products/a' },
+      { hreflang: 'fr', href: 'https://shop.com/fr/products/a' },
+      { hreflang: 'x-default', href: 'https://shop.com/products/a' },
+    ]);
+    expect(hreflangAlternates(targets.slice(0, 1), '/products/a')).toEqual([]);
+  });
+});
+
+describe('patchUrlset', () => {
+  const entry = (handle, extra = '') => renderUrlEntry({ loc: `https://shop.com/products/${handle}`, lastmod: '2026-01-01', extra });
+  const ai = '    <ai:product>\n      <ai:title>A</ai:title>\n    </ai:product>\n';
+  const xml = renderUrlset([entry('a', ai), entry('b'), entry('c')], { ai: true });
+
+  it('parses entries back by loc', () => {
+    const { head, entries } = parseUrlset(xml);
+    expect(head).toContain('xmlns:ai=');
+    expect(entries.map(e => e.loc)).toEqual([
+      'https://shop.com/products/a',
+      'https://shop.com/products/b',
+      'https://shop.com/products/c',
+    ]);
+    expect(entryAiBlock(entries[0].xml)).toBe(ai);
+    expect(entryAiBlock(entries[1].xml)).toBe('');
+  });
+
+  it('replaces in place, follows handle changes and removes', () => {
+    const result = patchUrlset(xml, [
+      { loc: 'https://shop.com/products/a2', oldLocs: ['https://shop.com/products/a'], render: prev => entry('a2', entryAiBlock(prev)) },
+      { loc: 'https://shop.com/products/c' },
+    ]);
+    expect(result.changed).toBe(true);
+    expect(result.urlCount).toBe(2);
+    expect(parseUrlset(result.content).entries.map(e => e.loc)).toEqual([
+      'https://shop.com/products/a2',
+      'https://shop.com/products/b',
+    ]);
+    expect(result.content).toContain(ai);
+    expect(result.content.endsWith('</urlset>\n')).toBe(true);
+  });
+
+  it('returns unmatched changes unless asked to append', () => {
+    const change = { loc: 'https://shop.com/products/d', render: () => entry('d') };
+    const kept = patchUrlset(xml, [change]);
+    expect(kept.changed).toBe(false);
+    expect(kept.unmatched).toEqual([change]);
+
+    const appended = patchUrlset(renderUrlset([]), [change], { append: true });
+    expect(appended.urlCount).toBe(1);
+    expect(appended.content).toContain('https://shop.com/products/d');
+  });
+});
+
+describe('changedLocs', () => {
+  const xml = renderUrlset([
+    renderUrlEntry({ loc: 'https://shop.com/products/old', lastmod: '2026-01-01' }),
+    renderUrlEntry({ loc: 'https://shop.com/products/new', lastmod: '2026-03-02' }),
+    renderUrlEntry({ loc: 'https://shop.com/pages/about' }),
+  ]);
+
+  it('returns entries modified on or after the date and those without lastmod', () => {
+    expect(changedLocs(xml, '2026-03-02')).toEqual([
+      'https://shop.com/products/new',
+      'https://shop.com/pages/about',
+    ]);
+  });
+
+  it('returns every loc without a date', () => {
+    expect(changedLocs(xml)).toHaveLength(3);
+  });
+});
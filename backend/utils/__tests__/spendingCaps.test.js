@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  currentPeriod,
+  getMonthlySpent,
+  getSpendingStatus,
+  checkSpendingCaps,
+  spendingCapResponse,
+  getDueSpendingAlerts,
+} from '../spendingCaps.js';
+
+const NOW = new Date('2025-06-15T12:00:00Z');
+
+const balance = (overrides = {}) => ({
+  balance: 100000,
+  spendingLimits: { monthlyBudget: 10000, maxPerJob: 3000, alertPercent: 80, lowBalanceThreshold: 500 },
+  monthlySpend: { period: '2025-06', tokens: 5000 },
+  spendingAlerts: [],
+  usage: [],
+  ...overrides,
+});
+
+describe('spendingCaps', () => {
+  it('counts only the current month', () => {
+    expect(currentPeriod(NOW)).toBe('2025-06');
+    expect(getMonthlySpent(balance(), NOW)).toBe(5000);
+    expect(getMonthlySpent(balance({ monthlySpend: { period: '2025-05', tokens: 9000 } }), NOW)).toBe(0);
+  });
+
+  it('allows anything when no limits are set', () => {
+    expect(checkSpendingCaps(balance({ spendingLimits: {} }), 1e9, NOW)).toBeNull();
+  });
+
+  it('refuses a job above the per-job maximum', () => {
+    const violation = checkSpendingCaps(balance(), 3500, NOW);
+    expect(violation).toEqual({ code: 'job-limit', limit: 3000, requested: 3500 });
+    expect(spendingCapResponse(violation, 'ai-seo-product-enhanced')).toMatchObject({
+      spendingCap: true,
+      capType: 'job-limit',
+      tokensRequired: 3500,
+    });
+  });
+
+  it('counts open reservations against the monthly budget', () => {
+    const tb = balance({
+      usage: [
+        { tokensUsed: 3000, metadata: { status: 'reserved' } },
+        { tokensUsed: 1000, metadata: { status: 'finalized' } },
+      ],
+    });
+    expect(checkSpendingCaps(tb, 2000, NOW)).toBeNull();
+    expect(checkSpendingCaps(tb, 2001, NOW)).toEqual({
+      code: 'monthly-budget',
+      limit: 10000,
+      requested: 2001,
+      spent: 8000,
+      remaining: 2000,
+    });
+  });
+
+  it('sends the budget warning once per month', () => {
+    const tb = balance({ monthlySpend: { period: '2025-06', tokens: 8500 } });
+    const due = getDueSpendingAlerts(tb, NOW);
+    expect(due.status.budgetWarning).toBe(true);
+    expect(due.send).toEqual([{ type: 'budget-warning', key: 'budget-warning:2025-06' }]);
+
+    tb.spendingAlerts = ['budget-warning:2025-06'];
+    expect(getDueSpendingAlerts(tb, NOW).send).toEqual([]);
+  });
+
+  it('sends budget-reached instead of the warning and clears last month', () => {
+    const tb = balance({
+      monthlySpend: { period: '2025-06', tokens: 10000 },
+      spendingAlerts: ['budget-warning:2025-05', 'budget-warning:2025-06'],
+    });
+    const due = getDueSpendingAlerts(tb, NOW);
+    expect(due.send).toEqual([{ type: 'budget-reached', key: 'budget-reached:2025-06' }]);
+    expect(due.clear).toEqual(['budget-warning:2025-05']);
+  });
+
+  it('re-arms the low-balance alert once the balance recovers', () => {
+    const low = balance({ balance: 100 });
+    expect(getSpendingStatus(low, NOW).lowBalance).toBe(true);
+    expect(getDueSpendingAlerts(low, NOW).send).toEqual([{ type: 'low-balance', key: 'low-balance' }]);
+
+    const recovered = balance({ spendingAlerts: ['low-balance'] });
+    const due = getDueSpendingAlerts(recovered, NOW);
+    expect(due.send).toEqual([]);
+    expect(due.clear).toEqual(['low-balance']);
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import {
+  runWithMeter,
+  getMeter,
+  recordProviderCall,
+  markMeter,
+  readMeterSince,
+} from '../tokenMeter.js';
+
+const call = (model, prompt, completion, cost, estimated = false) => ({
+  model,
+  provider: 'openrouter',
+  usage: { prompt_tokens: prompt, completion_tokens: completion, total_cost: cost, cost_estimated: estimated },
+});
+
+describe('tokenMeter', () => {
+  it('is a no-op outside a meter', () => {
+    expect(getMeter()).toBeNull();
+    recordProviderCall(call('a', 1, 1, 0.1));
+    markMeter('r1');
+    expect(readMeterSince('r1')).toBeNull();
+  });
+
+  it('reports the calls made since a reservation', async () => {
+    await runWithMeter({}, async () => {
+      recordProviderCall(call('google/gemini-2.5-flash', 100, 50, 0.001));
+      markMeter('r1');
+      await Promise.resolve();
+      recordProviderCall(call('google/gemini-2.5-flash', 200, 100, 0.002));
+      recordProviderCall(call('openai/gpt-4o-mini', 10, 5, 0.0001, true));
+
+      expect(readMeterSince('r1')).toEqual({
+        provider: 'openrouter',
+        model: 'google/gemini-2.5-flash',
+        models: ['google/gemini-2.5-flash', 'openai/gpt-4o-mini'],
+        providerCalls: 2,
+        promptTokens: 210,
+        completionTokens: 105,
+        costUsd: 0.0021,
+        costEstimated: true,
+      });
+      // marks are released once read
+      expect(readMeterSince('r1')).toBeNull();
+    });
+  });
+
+  it('keeps parallel items apart and inherits the job id', async () => {
+    await runWithMeter({ jobId: 'job-1', queue: 'ai-enhance' }, async () => {
+      const item = (cost) => runWithMeter({}, async () => {
+        markMeter('r');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        recordProviderCall(call('m', 1, 1, cost));
+        return { jobId: getMeter().jobId, spent: readMeterSince('r').costUsd };
+      });
+
+      const results = await Promise.all([item(0.5), item(0.25)]);
+      expect(results).toEqual([
+        { jobId: 'job-1', spent: 0.5 },
+        { jobId: 'job-1', spent: 0.25 },
+      ]);
+      expect(getMeter().totals.calls).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+// backend/utils/attributionModels.js
+// Multi-touch attribution of order revenue to AI sources. An order's touchpoints
+// (customer journey visits, AI-referred pixel sessions, AI bot reads of its products -
+// collected by services/orderSyncService.js) are weighted per model and the AI share of
+// the order is stored per model on OrderRevenue.attribution, so analytics can switch
+// models without reprocessing orders.
+
+export const ATTRIBUTION_MODELS = ['last_touch', 'first_touch', 'linear', 'time_decay', 'position_based'];
+
+export const MODEL_LABELS = {
+  last_touch: 'Last touch',
+  first_touch: 'First touch',
+  linear: 'Linear',
+  time_decay: 'Time decay',
+  position_based: 'Position based (40/20/40)'
+};
+
+export const DEFAULT_MODEL = 'last_touch';
+export const DEFAULT_LOOKBACK_DAYS = 30;
+export const MAX_LOOKBACK_DAYS = 90;
+// time_decay: a touch this many days before the order gets half the weight of one at order time
+export const TIME_DECAY_HALF_LIFE_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Valid attribution settings (Shop.analyticsSettings.attribution).
+ * @param {Object} [input] - { model, lookbackDays: { [model]: days } }
+ * @returns {{ model: string, lookbackDays: Object }}
+ */
+export function sanitizeAttributionSettings(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const lookbackDays = Object.fromEntries(ATTRIBUTION_MODELS.map(model => {
+    const days = Math.round(Number(source.lookbackDays?.[model]));
+    return [model, Number.isFinite(days) && days >= 1 ? Math.min(days, MAX_LOOKBACK_DAYS) : DEFAULT_LOOKBACK_DAYS];
+  }));
+  return {
+    model: ATTRIBUTION_MODELS.includes(source.model) ? source.model : DEFAULT_MODEL,
+    lookbackDays
+  };
+}
+
+// Same-time touches keep journey order: first visit, then our own signals, then last visit
+const KIND_RANK = { first_visit: 0, bot_visit: 1, pixel_session: 1, last_visit: 2 };
+
+/**
+ * Touchpoints inside the lookback window, oldest first.
+ * @param {Array<{ at: Date|string, kind: string }>} touchpoints
+ * @param {Date|string} orderAt
+ * @param {number} lookbackDays
+ */
+export function touchesInWindow(touchpoints, orderAt, lookbackDays) {
+  const end = new Date(orderAt).getTime();
+  const start = end - lookbackDays * DAY_MS;
+  return (touchpoints || [])
+    .filter(t => {
+      const at = new Date(t.at).getTime();
+      return Number.isFinite(at) && at >= start && at <= end;
+    })
+    .sort((a, b) => new Date(a.at) - new Date(b.at) || (KIND_RANK[a.kind] ?? 1) - (KIND_RANK[b.kind] ?? 1));
+}
+
+/**
+ * Credit share of each touch (sums to 1, empty for no touches).
+ * @param {string} model
+ * @param {Array<{ at }>} touches - sorted, oldest first
+ * @param {Date|string} orderAt
+ * @returns {number[]}
+ */
+export function modelWeights(model, touches, orderAt) {
+  const n = touches.length;
+  if (!n) return [];
+  if (n === 1) return [1];
+
+  switch (model) {
+    case 'first_touch':
+      return touches.map((_, i) => (i === 0 ? 1 : 0));
+    case 'linear':
+      return touches.map(() => 1 / n);
+    case 'time_decay': {
+      const end = new Date(orderAt).getTime();
+      const raw = touches.map(t => 2 ** (-Math.max(end - new Date(t.at).getTime(), 0) / (TIME_DECAY_HALF_LIFE_DAYS * DAY_MS)));
+      const total = raw.reduce((s, w) => s + w, 0);
+      return raw.map(w => w / total);
+    }
+    case 'position_based': {
+      if (n === 2) return [0.5, 0.5];
+      const middle = 0.2 / (n - 2);
+      return touches.map((_, i) => (i === 0 || i === n - 1 ? 0.4 : middle));
+    }
+    default: // last_touch
+      return touches.map((_, i) => (i === n - 1 ? 1 : 0));
+  }
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Attribute one order under every model.
+ * @param {Array<{ at, channel: 'ai'|'other', source: string|null, kind: string }>} touchpoints
+ * @param {Object} options
+ * @param {Date|string} options.orderAt
+ * @param {number} options.total - order total
+ * @param {Object} [options.settings] - sanitizeAttributionSettings() result
+ * @returns {Object} { [model]: { lookbackDays, touches, aiCredit, aiRevenue, sources: [{ source, credit, revenue }] } }
+ */
+export function attributeOrder(touchpoints, { orderAt, total, settings } = {}) {
+  const { lookbackDays } = sanitizeAttributionSettings(settings);
+  const amount = Number(total) || 0;
+
+  return Object.fromEntries(ATTRIBUTION_MODELS.map(model => {
+    const touches = touchesInWindow(touchpoints, orderAt, lookbackDays[model]);
+    const weights = modelWeights(model, touches, orderAt);
+
+    const bySource = new Map();
+    touches.forEach((touch, i) => {
+      if (touch.channel !== 'ai' || !weights[i]) return;
+      const source = touch.source || 'Unknown';
+      bySource.set(source, (bySource.get(source) || 0) + weights[i]);
+    });
+    const aiCredit = [...bySource.values()].reduce((s, w) => s + w, 0);
+
+    return [model, {
+      lookbackDays: lookbackDays[model],
+      touches: touches.length,
+      aiCredit: round(aiCredit, 4),
+      aiRevenue: round(aiCredit * amount, 2),
+      sources: [...bySource.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([source, credit]) => ({ source, credit: round(credit, 4), revenue: round(credit * amount, 2) }))
+    }];
+  }));
+}
+
+/**
+ * Totals for one model over stored orders. Orders attributed before a model existed
+ * (no attribution[model]) are counted in `unattributed`.
+ * @param {Array<Object>} orders - OrderRevenue documents
+ * @param {string} model
+ * @returns {{ orders: number, revenue: number, credit: number, unattributed: number, sources: Object }}
+ */
+export function summarizeAttribution(orders, model) {
+  const summary = { orders: 0, revenue: 0, credit: 0, unattributed: 0, sources: {} };
+  for (const order of orders || []) {
+    const result = order.attribution?.[model];
+    if (!result) {
+      summary.unattributed++;
+      continue;
+    }
+    if (!(result.aiCredit > 0)) continue;
+    summary.orders++;
+    summary.credit += result.aiCredit;
+    summary.revenue += result.aiRevenue || 0;
+    for (const { source, credit, revenue } of result.sources || []) {
+      const entry = summary.sources[source] || (summary.sources[source] = { credit: 0, revenue: 0 });
+      entry.credit = round(entry.credit + credit, 4);
+      entry.revenue = round(entry.revenue + revenue, 2);
+    }
+  }
+  summary.revenue = round(summary.revenue, 2);
+  summary.credit = round(summary.credit, 4);
+  return summary;
+}
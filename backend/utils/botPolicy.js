@@ -0,0 +1,98 @@
+// backend/utils/botPolicy.js
+// Per-shop access policy for AI crawlers on the /ai/*, llms.txt and MCP endpoints:
+// allow, block, or throttle with a requests-per-minute limit and a daily quota.
+// Stored in AIDiscoverySettings.botPolicies and enforced by middleware/botAccessControl.js.
+
+// Groups follow AIDiscoverySettings.bots; `bots` are detectBot() names from
+// middleware/aiAnalytics.js. 'others' is any other bot, 'unknown' callers without a
+// bot User-Agent.
+export const BOT_POLICY_GROUPS = [
+  { key: 'openai', label: 'OpenAI (ChatGPT, SearchGPT)', bots: ['ChatGPT', 'OpenAI Search'] },
+  { key: 'anthropic', label: 'Anthropic (Claude)', bots: ['Claude'] },
+  { key: 'google', label: 'Google (Gemini, Googlebot)', bots: ['Google', 'Google AI'] },
+  { key: 'perplexity', label: 'Perplexity AI', bots: ['Perplexity'] },
+  { key: 'meta', label: 'Meta AI', bots: ['Meta AI', 'Facebook'] },
+  { key: 'others', label: 'Other bots', bots: [] },
+  { key: 'unknown', label: 'Callers without a bot User-Agent', bots: ['Human/Unknown', 'Unknown'] }
+];
+
+export const BOT_POLICY_MODES = ['allow', 'block', 'throttle'];
+
+export const POLICY_LIMITS = {
+  perMinute: { min: 1, max: 600, default: 60 },
+  perDay: { min: 1, max: 100000, default: 5000 }
+};
+
+const GROUP_KEYS = BOT_POLICY_GROUPS.map(g => g.key);
+
+/**
+ * Policy group of a detected bot.
+ * @param {string} botName - detectBot() name
+ * @returns {string} one of BOT_POLICY_GROUPS keys
+ */
+export function policyGroupForBot(botName) {
+  const group = BOT_POLICY_GROUPS.find(g => g.bots.includes(botName));
+  return group ? group.key : 'others';
+}
+
+function clampLimit(value, { min, max, default: fallback }) {
+  if (value === '' || value === null || value === undefined) return fallback;
+  const n = Math.round(Number(value));
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(Math.max(n, min), max);
+}
+
+/**
+ * Complete, valid policy for every group. Unknown groups and modes are dropped, limits
+ * clamped; missing groups get the default (allow).
+ * @param {Object} [input] - { [group]: { mode, perMinute, perDay } }
+ * @returns {Object}
+ */
+export function sanitizeBotPolicies(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  return Object.fromEntries(GROUP_KEYS.map(key => {
+    const entry = source[key] || {};
+    return [key, {
+      mode: BOT_POLICY_MODES.includes(entry.mode) ? entry.mode : 'allow',
+      perMinute: clampLimit(entry.perMinute, POLICY_LIMITS.perMinute),
+      perDay: clampLimit(entry.perDay, POLICY_LIMITS.perDay)
+    }];
+  }));
+}
+
+/**
+ * Counter windows for a timestamp: the UTC minute and UTC day, with the seconds left in each.
+ * @param {number} now - ms since epoch
+ */
+export function rateWindows(now) {
+  const minute = Math.floor(now / 60000);
+  const dayStart = Date.UTC(new Date(now).getUTCFullYear(), new Date(now).getUTCMonth(), new Date(now).getUTCDate());
+  return {
+    minute: String(minute),
+    day: new Date(dayStart).toISOString().slice(0, 10).replace(/-/g, ''),
+    minuteResetIn: Math.max(1, Math.ceil(((minute + 1) * 60000 - now) / 1000)),
+    dayResetIn: Math.max(1, Math.ceil((dayStart + 86400000 - now) / 1000))
+  };
+}
+
+/**
+ * Decide what happens to a request.
+ * @param {Object} policy - sanitized group policy
+ * @param {Object} [counts] - requests in the current windows, this one included ({ minute, day });
+ *   only needed for 'throttle'
+ * @param {number} [now]
+ * @returns {{ action: 'allow'|'block'|'limit', status?: number, retryAfter?: number, limit?: string }}
+ */
+export function evaluateBotPolicy(policy, counts = {}, now = Date.now()) {
+  if (!policy || policy.mode === 'allow') return { action: 'allow' };
+  if (policy.mode === 'block') return { action: 'block', status: 403 };
+
+  const windows = rateWindows(now);
+  if ((counts.day || 0) > policy.perDay) {
+    return { action: 'limit', status: 429, retryAfter: windows.dayResetIn, limit: `${policy.perDay} requests per day` };
+  }
+  if ((counts.minute || 0) > policy.perMinute) {
+    return { action: 'limit', status: 429, retryAfter: windows.minuteResetIn, limit: `${policy.perMinute} requests per minute` };
+  }
+  return { action: 'allow' };
+}
@@ -0,0 +1,156 @@
+// backend/utils/botVerification.js
+// Pure helpers for verifying AI crawler visits: CIDR matching against the vendors'
+// published IP ranges, reverse-DNS hostname checks and the resulting status stored on
+// AIVisitLog.verification. Lists are loaded and cached by services/botVerifier.js.
+
+export const VERIFICATION_STATUSES = ['verified', 'unverified', 'spoofed'];
+
+// Which visits analytics and attribution count (Shop.analyticsSettings.botVisits)
+export const VISIT_FILTERS = ['all', 'exclude_spoofed', 'verified'];
+export const DEFAULT_VISIT_FILTER = 'exclude_spoofed';
+
+/**
+ * Mongo match for a visit filter. Visits logged before verification existed have no
+ * status and count as unverified.
+ * @param {string} filter - one of VISIT_FILTERS (unknown values fall back to the default)
+ * @returns {Object} partial AIVisitLog query
+ */
+export function verificationMatch(filter) {
+  const value = VISIT_FILTERS.includes(filter) ? filter : DEFAULT_VISIT_FILTER;
+  if (value === 'verified') return { verification: 'verified' };
+  if (value === 'exclude_spoofed') return { verification: { $ne: 'spoofed' } };
+  return {};
+}
+
+function parseIPv4(value) {
+  const parts = value.split('.');
+  if (parts.length !== 4) return null;
+  let result = 0n;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+    result = (result << 8n) + BigInt(part);
+  }
+  return result;
+}
+
+function parseIPv6(value) {
+  let text = value.split('%')[0];
+  // Embedded IPv4 tail (::ffff:1.2.3.4)
+  const v4Tail = text.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4Tail) {
+    const v4 = parseIPv4(v4Tail[1]);
+    if (v4 === null) return null;
+    text = `${text.slice(0, -v4Tail[1].length)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+
+  let result = 0n;
+  for (const group of groups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+    result = (result << 16n) + BigInt(parseInt(group, 16));
+  }
+  return result;
+}
+
+/**
+ * Parse an IP address. IPv4-mapped IPv6 addresses (::ffff:1.2.3.4, as Node reports
+ * IPv4 clients on dual-stack sockets) are returned as IPv4.
+ * @param {string} ip
+ * @returns {{ version: 4|6, value: bigint }|null}
+ */
+export function parseIp(ip) {
+  const text = String(ip || '').trim();
+  if (!text) return null;
+  if (!text.includes(':')) {
+    const value = parseIPv4(text);
+    return value === null ? null : { version: 4, value };
+  }
+  const value = parseIPv6(text);
+  if (value === null) return null;
+  if (value >> 32n === 0xffffn) return { version: 4, value: value & 0xffffffffn };
+  return { version: 6, value };
+}
+
+/**
+ * @param {string} cidr - '1.2.3.0/24', '2001:db8::/32' or a single address
+ * @returns {{ version: 4|6, network: bigint, prefix: number }|null}
+ */
+export function parseCidr(cidr) {
+  const [address, prefixText] = String(cidr || '').trim().split('/');
+  const ip = parseIp(address);
+  if (!ip) return null;
+  const bits = ip.version === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null;
+  const shift = BigInt(bits - prefix);
+  return { version: ip.version, network: (ip.value >> shift) << shift, prefix };
+}
+
+/**
+ * @param {string} ip
+ * @param {Array<{ version, network, prefix }>} ranges - parsed with parseCidr
+ */
+export function ipInRanges(ip, ranges) {
+  const parsed = parseIp(ip);
+  if (!parsed) return false;
+  const bits = parsed.version === 4 ? 32 : 128;
+  return (ranges || []).some(range => {
+    if (range.version !== parsed.version) return false;
+    const shift = BigInt(bits - range.prefix);
+    return (parsed.value >> shift) << shift === range.network;
+  });
+}
+
+/**
+ * Read a vendor IP list. OpenAI, Google, Bing, Perplexity and Apple all publish
+ * { prefixes: [{ ipv4Prefix } | { ipv6Prefix }] }; plain arrays of CIDR strings and
+ * newline-separated text are accepted for self-hosted lists.
+ * @param {Object|Array|string} data
+ * @returns {string[]} valid CIDRs
+ */
+export function parseRangeList(data) {
+  let entries;
+  if (typeof data === 'string') {
+    entries = data.split(/\r?\n/).map(line => line.replace(/#.*$/, '').trim());
+  } else if (Array.isArray(data)) {
+    entries = data;
+  } else {
+    entries = (data?.prefixes || []).map(p => p?.ipv4Prefix || p?.ipv6Prefix);
+  }
+  return entries
+    .map(entry => (typeof entry === 'string' ? entry.trim() : ''))
+    .filter(entry => entry && parseCidr(entry));
+}
+
+/**
+ * True when the hostname is one of the domains or a subdomain of one
+ * (crawl-66-249-66-1.googlebot.com matches googlebot.com; evilgooglebot.com does not).
+ */
+export function hostnameMatches(hostname, domains) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  if (!host) return false;
+  return (domains || []).some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Decide the status of a visit from a bot that claims to be a known vendor's crawler.
+ * @param {Object} checks
+ * @param {boolean} checks.hasRanges - the vendor's IP list is loaded
+ * @param {boolean} checks.inRange - the client IP is in it
+ * @param {'pass'|'fail'|null} [checks.rdns] - forward-confirmed reverse DNS result,
+ *   null when not checked or the lookup errored
+ * @returns {{ status: string, method: string|null }}
+ */
+export function classifyVisit({ hasRanges, inRange, rdns = null }) {
+  if (hasRanges && inRange) return { status: 'verified', method: 'ip_range' };
+  if (rdns === 'pass') return { status: 'verified', method: 'rdns' };
+  if (rdns === 'fail') return { status: 'spoofed', method: 'rdns' };
+  if (hasRanges) return { status: 'spoofed', method: 'ip_range' };
+  return { status: 'unverified', method: null };
+}
@@ -0,0 +1,192 @@
+// backend/utils/contentSeo.js
+// SEO for blog articles and online store pages: prompt, cleanup of the model answer,
+// storefront paths and Article/BlogPosting/WebPage JSON-LD.
+// Pure helpers; controllers/contentSeoController.js does the Shopify and AI calls.
+
+export const CONTENT_TYPES = ['article', 'page'];
+
+// Token cost feature per content type (billing/tokenConfig.js)
+export const CONTENT_FEATURES = {
+  article: 'ai-seo-article',
+  page: 'ai-seo-page'
+};
+
+// schema.org types an article can be published as
+export const ARTICLE_SCHEMA_TYPES = ['BlogPosting', 'Article'];
+
+const LIMITS = {
+  title: 70,
+  metaDescription: 160,
+  excerpt: 300,
+  faqItems: 5,
+  question: 160,
+  answer: 500,
+  bodyChars: 6000
+};
+
+export function stripHtml(html = '') {
+  return String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function clampText(value, max) {
+  const text = stripHtml(value);
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > max * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, '');
+}
+
+/**
+ * Storefront path of an article or page.
+ * @returns {string} '/blogs/news/spring-lookbook' or '/pages/about-us'
+ */
+export function contentPath({ resource, handle, blogHandle }) {
+  if (resource === 'article') return `/blogs/${blogHandle}/${handle}`;
+  return `/pages/${handle}`;
+}
+
+/**
+ * Chat messages asking for SEO title, meta description, excerpt and FAQ as one JSON object.
+ * @param {Object} input
+ * @param {'article'|'page'} input.resource
+ * @param {string} input.language - output language, e.g. 'de'
+ * @param {string} input.title
+ * @param {string} [input.bodyHtml]
+ * @param {string} [input.summary] - current article excerpt
+ * @param {string} [input.blogTitle]
+ * @param {string[]} [input.tags]
+ */
+export function buildContentSeoPrompt({ resource, language, title, bodyHtml = '', summary = '', blogTitle = '', tags = [] }) {
+  const kind = resource === 'article' ? 'blog article' : 'store page';
+  const source = {
+    title,
+    ...(blogTitle ? { blog: blogTitle } : {}),
+    ...(tags.length ? { tags } : {}),
+    ...(summary ? { excerpt: stripHtml(summary) } : {}),
+    content: stripHtml(bodyHtml).slice(0, LIMITS.bodyChars)
+  };
+  return [
+    {
+      role: 'system',
+      content:
+        `You write search and AI-assistant metadata for a Shopify ${kind}. Output STRICT JSON only, in language "${language}":\n` +
+        `{\n  "title": "...",\n  "metaDescription": "...",\n  "excerpt": "...",\n  "faq": [{ "q": "...", "a": "..." }]\n}\n` +
+        `Rules:\n` +
+        `- title <= ${LIMITS.title} chars, metaDescription <= ${LIMITS.metaDescription} chars\n` +
+        `- excerpt: 1-3 plain sentences (<= ${LIMITS.excerpt} chars) summarizing the ${kind}, no HTML\n` +
+        `- faq: 2-${LIMITS.faqItems} questions a reader would ask an AI assistant, answered only from the content\n` +
+        `- Do not invent facts, prices, dates or claims that are not in the content`
+    },
+    { role: 'user', content: JSON.stringify(source) }
+  ];
+}
+
+/**
+ * Clamp and clean a parsed model answer. Missing title/description fall back to the
+ * source title and content so apply always has something to write.
+ * @param {Object} raw - parsed model answer
+ * @param {Object} fallback - { title, bodyHtml }
+ * @returns {{ title, metaDescription, excerpt, faq: Array<{ q, a }> }}
+ */
+export function sanitizeContentSeo(raw, { title = '', bodyHtml = '' } = {}) {
+  const r = raw && typeof raw === 'object' ? raw : {};
+  const plainBody = stripHtml(bodyHtml);
+
+  const faq = (Array.isArray(r.faq) ? r.faq : [])
+    .map(item => ({
+      q: clampText(item?.q ?? item?.question ?? '', LIMITS.question),
+      a: clampText(item?.a ?? item?.answer ?? '', LIMITS.answer)
+    }))
+    .filter(item => item.q && item.a)
+    .slice(0, LIMITS.faqItems);
+
+  return {
+    title: clampText(r.title || title, LIMITS.title),
+    metaDescription: clampText(r.metaDescription || plainBody || title, LIMITS.metaDescription),
+    excerpt: clampText(r.excerpt || plainBody, LIMITS.excerpt),
+    faq
+  };
+}
+
+/**
+ * JSON-LD for an article (BlogPosting or Article) or a page (WebPage), with a FAQPage
+ * node when the SEO has FAQ.
+ * @param {Object} input
+ * @param {'article'|'page'} input.resource
+ * @param {string} input.url - absolute storefront URL
+ * @param {Object} input.seo - sanitized SEO ({ title, metaDescription, excerpt, faq })
+ * @param {string} [input.language]
+ * @param {string} [input.articleType='BlogPosting']
+ * @param {string} [input.author]
+ * @param {string} [input.image] - absolute image URL
+ * @param {string} [input.publishedAt]
+ * @param {string} [input.updatedAt]
+ * @param {{ name, url }} [input.publisher]
+ * @param {{ title, url }} [input.blog]
+ */
+export function buildContentJsonLd({
+  resource,
+  url,
+  seo,
+  language,
+  articleType = 'BlogPosting',
+  author,
+  image,
+  publishedAt,
+  updatedAt,
+  publisher,
+  blog
+}) {
+  const graph = [];
+
+  if (resource === 'article') {
+    const node = {
+      '@type': ARTICLE_SCHEMA_TYPES.includes(articleType) ? articleType : 'BlogPosting',
+      '@id': `${url}#article`,
+      headline: seo.title,
+      description: seo.metaDescription,
+      abstract: seo.excerpt || undefined,
+      url,
+      mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+      inLanguage: language || undefined,
+      image: image || undefined,
+      datePublished: publishedAt || undefined,
+      dateModified: updatedAt || publishedAt || undefined,
+      author: author ? { '@type': 'Person', name: author } : undefined,
+      publisher: publisher?.name ? { '@type': 'Organization', name: publisher.name, url: publisher.url || undefined } : undefined,
+      isPartOf: blog?.url ? { '@type': 'Blog', name: blog.title || undefined, url: blog.url } : undefined
+    };
+    graph.push(node);
+  } else {
+    graph.push({
+      '@type': 'WebPage',
+      '@id': `${url}#webpage`,
+      name: seo.title,
+      description: seo.metaDescription,
+      url,
+      inLanguage: language || undefined,
+      dateModified: updatedAt || undefined,
+      isPartOf: publisher?.url ? { '@type': 'WebSite', name: publisher.name || undefined, url: publisher.url } : undefined
+    });
+  }
+
+  if (seo.faq?.length) {
+    graph.push({
+      '@type': 'FAQPage',
+      '@id': `${url}#faq`,
+      mainEntity: seo.faq.map(item => ({
+        '@type': 'Question',
+        name: item.q,
+        acceptedAnswer: { '@type': 'Answer', text: item.a }
+      }))
+    });
+  }
+
+  // Drop unset properties so the output stays clean JSON
+  return JSON.parse(JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }));
+}
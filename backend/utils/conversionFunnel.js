@@ -0,0 +1,33 @@
+// backend/utils/conversionFunnel.js
+// Event counts for the AI referral funnel (GET /api/analytics/funnel) from web pixel
+// events (db/ConversionEvent.js). checkout_completed is stored once per line item, so
+// purchases are counted as distinct orders; every other event type counts events.
+
+// $group stage for ConversionEvent: one row per event type, and per order id for
+// checkout_completed only - other events never carry an order worth keeping
+export const FUNNEL_EVENT_GROUP = {
+  $group: {
+    _id: {
+      eventType: '$eventType',
+      orderId: { $cond: [{ $eq: ['$eventType', 'checkout_completed'] }, '$orderId', null] }
+    },
+    count: { $sum: 1 }
+  }
+};
+
+/**
+ * Events per type from FUNNEL_EVENT_GROUP rows.
+ * @param {Array<{ _id: { eventType: string, orderId: string|null }, count: number }>} rows
+ * @returns {Object<string, number>} checkout_completed counts distinct orders; when no
+ *   purchase event has an order id it falls back to the number of events
+ */
+export function countFunnelEvents(rows) {
+  const events = {};
+  const orders = new Set();
+  for (const { _id, count } of rows) {
+    events[_id.eventType] = (events[_id.eventType] || 0) + count;
+    if (_id.eventType === 'checkout_completed' && _id.orderId) orders.add(_id.orderId);
+  }
+  if (orders.size) events.checkout_completed = orders.size;
+  return events;
+}
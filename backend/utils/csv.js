@@ -0,0 +1,101 @@
+// backend/utils/csv.js
+// Minimal RFC 4180 CSV reader/writer (quoted fields, "" escapes, CRLF/LF, BOM).
+
+/**
+ * Parse CSV text into rows of cells.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - ';' and '\t' exports work too
+ * @returns {string[][]}
+ */
+export function parseCsvRows(text, { delimiter = ',' } = {}) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by normalized header
+ * (lowercase, spaces/dashes -> underscores).
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+export function parseCsv(text, options = {}) {
+  const rows = parseCsvRows(text, options);
+  if (rows.length === 0) return { headers: [], records: [] };
+
+  const headers = rows[0].map(normalizeHeader);
+  const records = rows.slice(1).map(cells => {
+    const record = {};
+    headers.forEach((h, i) => {
+      if (h) record[h] = (cells[i] ?? '').trim();
+    });
+    return record;
+  });
+  return { headers, records };
+}
+
+export function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase().replace(/[\s\-]+/g, '_');
+}
+
+function escapeCell(value) {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serialize objects to CSV.
+ * @param {Object[]} records
+ * @param {string[]} columns - keys to write, in order (also the header row)
+ */
+export function toCsv(records, columns) {
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(c => escapeCell(record?.[c])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,78 @@
+// backend/utils/handleChange.js
+// "Apply slug": turning the generated SEO slug into the product/collection handle.
+// Pure helpers for the storefront paths that need a redirect and for collision
+// suggestions; controllers/handleController.js does the Shopify calls.
+
+import { slugifyHandle } from './machineTranslation.js';
+
+// Storefront path segment per resource
+export const RESOURCE_PATHS = {
+  product: 'products',
+  collection: 'collections'
+};
+
+export function normalizeHandle(value) {
+  return slugifyHandle(value);
+}
+
+function pathPrefix(url) {
+  try {
+    return new URL(url).pathname.replace(/\/+$/, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Path prefixes the resource is reachable under: the root, each published locale
+ * subfolder of the primary market ('/de') and every market root URL's subfolder
+ * ('/en-ca'). Markets on their own domain share the root prefix - Shopify redirects
+ * are per store, not per domain.
+ * @param {Object} input
+ * @param {Array<{ locale, primary, published }>} [input.locales] - shopLocales
+ * @param {Array<{ primary, enabled, rootUrls: Array<{ locale, url }> }>} [input.markets]
+ * @returns {string[]} e.g. ['', '/de', '/en-ca']
+ */
+export function redirectPrefixes({ locales = [], markets = [] } = {}) {
+  const prefixes = new Set(['']);
+  const primaryMarket = markets.find(m => m.primary);
+
+  for (const { locale, primary, published } of locales) {
+    if (primary || published === false) continue;
+    const root = primaryMarket?.rootUrls?.find(r => r.locale === locale);
+    prefixes.add(root ? pathPrefix(root.url) : `/${locale.toLowerCase()}`);
+  }
+
+  for (const market of markets) {
+    if (market.enabled === false) continue;
+    for (const { url } of market.rootUrls || []) {
+      prefixes.add(pathPrefix(url));
+    }
+  }
+
+  return [...prefixes];
+}
+
+/**
+ * One redirect per prefix from the old handle's path to the new one.
+ * @returns {Array<{ path, target }>}
+ */
+export function buildRedirectPlan({ resource, oldHandle, newHandle, prefixes = [''] }) {
+  const segment = RESOURCE_PATHS[resource];
+  if (!segment) throw new Error(`Unsupported resource: ${resource}`);
+  return prefixes.map(prefix => ({
+    path: `${prefix}/${segment}/${oldHandle}`,
+    target: `${prefix}/${segment}/${newHandle}`
+  }));
+}
+
+/**
+ * Alternatives for a handle that is already taken: 'linen-shirt-2', 'linen-shirt-3', ...
+ * The numeric suffix is replaced rather than appended ('shirt-2' → 'shirt-3').
+ */
+export function handleCandidates(handle, count = 5) {
+  const match = /^(.*?)-(\d+)$/.exec(handle);
+  const base = match ? match[1] : handle;
+  const start = match ? parseInt(match[2], 10) + 1 : 2;
+  return Array.from({ length: count }, (_, i) => `${base}-${start + i}`);
+}
@@ -0,0 +1,113 @@
+// backend/utils/imageAlt.js
+// Alt text for every product image: which images need one, the prompt (product title,
+// type, the variant options an image is attached to, its position) and parsing of the
+// model's answer. Generation and apply live in controllers/altTextController.js.
+
+export const ALT_TEXT_MAX = 125;
+
+// Camera/CMS file names and placeholders merchants leave in the alt field
+const FILE_NAME = /\.(jpe?g|png|gif|webp|avif|heic)$/i;
+const CAMERA_NAME = /^(img|dsc|dscn|pxl|photo|image|screenshot)[\s_-]*\d+/i;
+const GENERIC_ALTS = new Set(['image', 'photo', 'picture', 'product', 'product image', 'product photo', 'untitled', 'alt', 'alt text']);
+const ALT_PREFIX = /^(an?\s+)?(image|photo|picture)\s+of\s+/i;
+
+const normalize = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Whether an existing alt text is worth keeping. The bare product title counts as weak:
+ * repeated on every image it says nothing about the individual picture.
+ * @param {string} alt
+ * @param {Object} [context]
+ * @param {string} [context.productTitle]
+ */
+export function isGoodAltText(alt, { productTitle = '' } = {}) {
+  const text = normalize(alt);
+  if (text.length < 5 || text.length > ALT_TEXT_MAX) return false;
+  if (FILE_NAME.test(text) || CAMERA_NAME.test(text) || GENERIC_ALTS.has(text)) return false;
+  if (productTitle && text === normalize(productTitle)) return false;
+  return true;
+}
+
+/**
+ * Per image: its 1-based position and the option values of the variants showing it.
+ * @param {Object} product - { media: [{ id }], variants: [{ selectedOptions: [{ name, value }], mediaIds: string[] }] }
+ * @returns {Array<{ id: string, position: number, options: string[] }>}
+ */
+export function imageContext(product) {
+  return (product.media || []).map((media, i) => {
+    const options = new Set();
+    for (const variant of product.variants || []) {
+      if (!(variant.mediaIds || []).includes(media.id)) continue;
+      for (const option of variant.selectedOptions || []) {
+        if (option.value && option.value !== 'Default Title') options.add(`${option.name}: ${option.value}`);
+      }
+    }
+    return { id: media.id, position: i + 1, options: [...options] };
+  });
+}
+
+/**
+ * Chat messages asking for one alt text per image.
+ * @param {Object} params
+ * @param {Object} params.product - { title, productType, vendor, description, options: [{ name, values }] }
+ * @param {Array} params.images - from imageContext(), optionally with `primaryAlt` (for translations)
+ * @param {string} params.language
+ */
+export function buildAltTextPrompt({ product, images, language }) {
+  return [
+    {
+      role: 'system',
+      content: `You write alt text for e-commerce product images.
+Language: ${language}
+Guidelines:
+- One alt text per image, max ${ALT_TEXT_MAX} characters each
+- Describe what the picture most likely shows: use the variant options attached to the image (color, material, style) and its position (1 = main product shot, later images = details, angles, in use)
+- Vary the wording between images of the same product
+- Include the product name naturally; no keyword stuffing
+- Do NOT start with "image of" or "photo of"
+- When "primaryAlt" is given, translate and adapt it instead of writing a new one
+- Return ONLY a JSON object: { "alts": [{ "position": <number>, "altText": "<text>" }] }`
+    },
+    {
+      role: 'user',
+      content: JSON.stringify({
+        productTitle: product.title || '',
+        productType: product.productType || '',
+        vendor: product.vendor || '',
+        description: String(product.description || '').slice(0, 400),
+        productOptions: (product.options || [])
+          .filter(o => !(o.values || []).every(v => v === 'Default Title'))
+          .map(o => ({ name: o.name, values: (o.values || []).slice(0, 10) })),
+        images: images.map(img => ({
+          position: img.position,
+          variantOptions: img.options,
+          ...(img.primaryAlt ? { primaryAlt: img.primaryAlt } : {})
+        }))
+      })
+    }
+  ];
+}
+
+export function cleanAltText(value) {
+  let text = String(value || '').replace(/\s+/g, ' ').trim().replace(ALT_PREFIX, '');
+  if (text) text = text[0].toUpperCase() + text.slice(1);
+  if (text.length > ALT_TEXT_MAX) text = `${text.slice(0, ALT_TEXT_MAX - 1).trimEnd()}…`;
+  return text;
+}
+
+/**
+ * Map the model's answer back to the images by position.
+ * @param {Object} parsed - { alts: [{ position, altText }] }
+ * @param {Array<{ id, position }>} images
+ * @returns {Map<string, string>} media id -> alt text (images without a usable answer are missing)
+ */
+export function mapAltTexts(parsed, images) {
+  const byPosition = new Map(images.map(img => [Number(img.position), img.id]));
+  const result = new Map();
+  for (const entry of Array.isArray(parsed?.alts) ? parsed.alts : []) {
+    const id = byPosition.get(Number(entry?.position));
+    const alt = cleanAltText(entry?.altText);
+    if (id && alt && !result.has(id)) result.set(id, alt);
+  }
+  return result;
+}
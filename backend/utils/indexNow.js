@@ -0,0 +1,87 @@
+// backend/utils/indexNow.js
+// IndexNow protocol helpers (https://www.indexnow.org/documentation).
+// Pure functions; services/indexNowQueue.js batches the URLs and does the HTTP calls.
+
+import crypto from 'crypto';
+
+export const DEFAULT_INDEXNOW_ENDPOINT = 'https://api.indexnow.org/indexnow';
+// Protocol limit per request
+export const INDEXNOW_MAX_URLS = 10000;
+
+const KEY_RE = /^[a-zA-Z0-9-]{8,128}$/;
+
+export function generateIndexNowKey() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+export function isValidIndexNowKey(key) {
+  return typeof key === 'string' && KEY_RE.test(key);
+}
+
+/**
+ * Group URLs into one request body per host (IndexNow rejects mixed hosts).
+ * URLs that are not absolute http(s) URLs on an allowed host are returned in `skipped`.
+ * @param {string[]} urls
+ * @param {string[]} allowedHosts - the store's own domains
+ * @returns {{ batches: Array<{ host: string, urls: string[] }>, skipped: string[] }}
+ */
+export function groupUrlsByHost(urls, allowedHosts, maxUrls = INDEXNOW_MAX_URLS) {
+  const allowed = new Set(allowedHosts.map(h => h.toLowerCase()));
+  const byHost = new Map();
+  const skipped = [];
+
+  for (const url of new Set(urls)) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      skipped.push(url);
+      continue;
+    }
+    const host = parsed.host.toLowerCase();
+    if (!/^https?:$/.test(parsed.protocol) || !allowed.has(host)) {
+      skipped.push(url);
+      continue;
+    }
+    if (!byHost.has(host)) byHost.set(host, []);
+    byHost.get(host).push(url);
+  }
+
+  const batches = [];
+  for (const [host, hostUrls] of byHost) {
+    for (let i = 0; i < hostUrls.length; i += maxUrls) {
+      batches.push({ host, urls: hostUrls.slice(i, i + maxUrls) });
+    }
+  }
+  return { batches, skipped };
+}
+
+/**
+ * Request body for one host. The key file is expected at https://{host}/{key}.txt
+ * unless keyLocation points elsewhere.
+ */
+export function buildIndexNowPayload({ host, key, keyLocation, urls }) {
+  return {
+    host,
+    key,
+    keyLocation: keyLocation || `https://${host}/${key}.txt`,
+    urlList: urls
+  };
+}
+
+/**
+ * What an endpoint response means for the URLs in the request.
+ * 200 received, 202 received but the key is still being validated,
+ * 400/403/422 rejected (bad request, key not found, URLs not on the host),
+ * 429 and 5xx are worth another try.
+ * @returns {{ status: 'submitted'|'accepted'|'rejected'|'failed', retry: boolean, message: string }}
+ */
+export function interpretIndexNowResponse(statusCode) {
+  if (statusCode === 200) return { status: 'submitted', retry: false, message: 'URLs received' };
+  if (statusCode === 202) return { status: 'accepted', retry: false, message: 'URLs received, key validation pending' };
+  if (statusCode === 403) return { status: 'rejected', retry: false, message: 'Key file not found or key does not match' };
+  if (statusCode === 422) return { status: 'rejected', retry: false, message: 'URLs do not belong to the host or key location' };
+  if (statusCode === 400) return { status: 'rejected', retry: false, message: 'Invalid request' };
+  if (statusCode === 429) return { status: 'failed', retry: true, message: 'Too many requests' };
+  return { status: 'failed', retry: !statusCode || statusCode >= 500, message: statusCode ? `HTTP ${statusCode}` : 'No response' };
+}
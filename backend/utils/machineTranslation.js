@@ -0,0 +1,126 @@
+// backend/utils/machineTranslation.js
+// "Translate then optimize": prompt, cleanup and translationsRegister inputs for
+// machine-translating a product into a locale that has no translation yet.
+// Pure helpers; seoController.js (translateProductForLanguage) does the Shopify and AI calls.
+
+// Product translatable content keys we fill, in prompt order
+export const TRANSLATABLE_PRODUCT_KEYS = ['title', 'body_html', 'meta_title', 'meta_description', 'handle'];
+
+const MAX_LENGTHS = {
+  title: 255,
+  meta_title: 70,
+  meta_description: 320,
+  handle: 255
+};
+
+/**
+ * Storefront handle from a translated title or handle. Keeps letters of any script
+ * (Shopify accepts non-Latin handles), lowercases and joins words with hyphens.
+ */
+export function slugifyHandle(value = '') {
+  return String(value || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_LENGTHS.handle)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Keys that still need a translation: present in the source with a digest, and with no
+ * translation in the target locale or only an outdated one.
+ * @param {Array<{ key, value, digest }>} translatableContent
+ * @param {Array<{ key, value, outdated }>} existing - translations(locale:)
+ * @returns {string[]}
+ */
+export function keysToTranslate(translatableContent = [], existing = []) {
+  const current = new Map(existing.filter(t => t?.value && String(t.value).trim()).map(t => [t.key, t]));
+  return TRANSLATABLE_PRODUCT_KEYS.filter(key => {
+    const source = translatableContent.find(c => c.key === key);
+    if (!source?.digest || !String(source.value || '').trim()) return false;
+    const translation = current.get(key);
+    return !translation || translation.outdated === true;
+  });
+}
+
+/**
+ * Chat messages asking for the given keys in the target locale as one JSON object.
+ * @param {Object} input
+ * @param {string} input.sourceLocale - e.g. 'en'
+ * @param {string} input.targetLocale - e.g. 'de'
+ * @param {Object<string,string>} input.fields - source values by translatable key
+ */
+export function buildTranslationPrompt({ sourceLocale, targetLocale, fields }) {
+  const keys = Object.keys(fields);
+  const template = '{\n' + keys.map(key => `  "${key}": "..."`).join(',\n') + '\n}';
+  return [
+    {
+      role: 'system',
+      content:
+        `You translate Shopify product content from ${sourceLocale} to ${targetLocale}. Output STRICT JSON only.\n` +
+        `Return exactly these keys:\n${template}\n` +
+        `Rules:\n` +
+        `- Translate meaning faithfully; do not add claims, prices or features that are not in the source\n` +
+        `- Keep brand names, model numbers, units and sizes unchanged\n` +
+        `- body_html: keep the HTML structure and attributes, translate only the text\n` +
+        `- meta_title <= ${MAX_LENGTHS.meta_title} chars, meta_description <= 160 chars where possible\n` +
+        `- handle: a short lowercase URL slug in ${targetLocale}, words joined with hyphens`
+    },
+    { role: 'user', content: JSON.stringify(fields) }
+  ];
+}
+
+/**
+ * Keep only the requested keys with non-empty values, strip script/style/iframe from the
+ * body and clamp lengths. A handle that slugifies to nothing is dropped.
+ * @param {Object} raw - parsed model answer
+ * @param {string[]} keys - keys that were asked for
+ * @returns {Object<string,string>}
+ */
+export function sanitizeTranslation(raw, keys) {
+  const result = {};
+  if (!raw || typeof raw !== 'object') return result;
+
+  for (const key of keys) {
+    let value = raw[key];
+    if (typeof value !== 'string') continue;
+    value = value.trim();
+    if (key === 'body_html') {
+      value = value.replace(/<(script|style|iframe)[^>]*>[\s\S]*?<\/\1>/gi, '').replace(/<\/?(script|style|iframe)[^>]*>/gi, '');
+    } else if (key === 'handle') {
+      value = slugifyHandle(value);
+    } else {
+      value = value.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+    }
+    if (MAX_LENGTHS[key] && value.length > MAX_LENGTHS[key]) {
+      value = value.slice(0, MAX_LENGTHS[key]).trim();
+    }
+    if (value) result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * translationsRegister inputs, each tied to the digest of the source it was translated
+ * from so Shopify rejects it if the source changed in the meantime.
+ * @param {string} locale
+ * @param {Object<string,string>} translated
+ * @param {Object<string,string>} digests - source digest by key
+ */
+export function buildTranslationInputs(locale, translated, digests) {
+  return Object.entries(translated)
+    .filter(([key]) => digests[key])
+    .map(([key, value]) => ({ locale, key, value, translatableContentDigest: digests[key] }));
+}
+
+/**
+ * Keys whose source digest differs between two reads of translatableContent.
+ * @param {Object<string,string>} before - digest by key
+ * @param {Array<{ key, digest }>} afterContent
+ */
+export function changedDigestKeys(before, afterContent = []) {
+  const after = new Map(afterContent.map(c => [c.key, c.digest]));
+  return Object.keys(before).filter(key => after.get(key) !== before[key]);
+}
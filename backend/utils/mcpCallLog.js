@@ -0,0 +1,50 @@
+// backend/utils/mcpCallLog.js
+// Pure helpers for MCP session and tool-call logging.
+
+import crypto from 'crypto';
+
+// JSON with sorted object keys, so equal arguments hash the same
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Short hash of tool arguments - lets repeated calls be grouped without storing buyer input.
+ */
+export function hashToolArgs(args) {
+  return crypto.createHash('sha256').update(stableStringify(args || {})).digest('hex').substring(0, 16);
+}
+
+/**
+ * Size in bytes of the text an MCP tool result returns to the agent.
+ */
+export function toolResultBytes(result) {
+  return (result?.content || []).reduce((sum, part) => {
+    const text = typeof part.text === 'string' ? part.text : JSON.stringify(part);
+    return sum + Buffer.byteLength(text, 'utf8');
+  }, 0);
+}
+
+/**
+ * Client details from an MCP initialize request body (single message or batch).
+ * @returns {null|{ clientName, clientVersion, protocolVersion, clientCapabilities }}
+ */
+export function getInitializeInfo(body) {
+  const messages = Array.isArray(body) ? body : [body];
+  const init = messages.find(message => message?.method === 'initialize');
+  if (!init) return null;
+  const params = init.params || {};
+  return {
+    clientName: params.clientInfo?.name ? String(params.clientInfo.name).substring(0, 100) : null,
+    clientVersion: params.clientInfo?.version ? String(params.clientInfo.version).substring(0, 50) : null,
+    protocolVersion: params.protocolVersion || null,
+    clientCapabilities: params.capabilities || {}
+  };
+}
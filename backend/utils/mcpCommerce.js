@@ -0,0 +1,179 @@
+// backend/utils/mcpCommerce.js
+// Pure helpers behind the MCP commerce tools (compare_products, lookup_policy,
+// build_cart_link). No DB or Shopify calls - mcp/mcpTools.js does the fetching.
+
+export const MAX_CART_LINES = 50;
+export const MAX_CART_QUANTITY = 99;
+
+/**
+ * Numeric id from a Shopify GID or a plain id ('gid://shopify/ProductVariant/123' → '123').
+ * @returns {string|null}
+ */
+export function numericId(id) {
+  const match = String(id ?? '').trim().match(/(\d+)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Merge cart lines: valid numeric variant ids, quantities clamped to 1..MAX_CART_QUANTITY,
+ * repeated variants summed. Returns the lines plus the ids that could not be read.
+ * @param {Array<{ variant_id, quantity }>} items
+ */
+export function normalizeCartItems(items = []) {
+  const lines = new Map();
+  const invalid = [];
+
+  for (const item of items) {
+    const id = numericId(item?.variant_id);
+    if (!id) {
+      invalid.push(item?.variant_id ?? null);
+      continue;
+    }
+    const quantity = Math.max(1, Math.floor(Number(item.quantity) || 1));
+    lines.set(id, Math.min(MAX_CART_QUANTITY, (lines.get(id) || 0) + quantity));
+  }
+
+  return {
+    lines: [...lines].slice(0, MAX_CART_LINES).map(([variantId, quantity]) => ({ variantId, quantity })),
+    invalid
+  };
+}
+
+/**
+ * Shopify cart permalink: https://{domain}/cart/{variantId}:{qty},...
+ * The storefront fills the cart and goes straight to checkout.
+ * @param {string} domain - public storefront domain
+ * @param {Array<{ variantId, quantity }>} lines
+ * @param {Object} [options] - { discountCode, note }
+ */
+export function buildCartPermalink(domain, lines, { discountCode, note } = {}) {
+  if (!lines?.length) return null;
+  const path = lines.map(line => `${line.variantId}:${line.quantity}`).join(',');
+  const params = new URLSearchParams();
+  if (discountCode) params.set('discount', String(discountCode).trim());
+  if (note) params.set('note', String(note).slice(0, 500));
+  const query = params.toString();
+  return `https://${domain}/cart/${path}${query ? `?${query}` : ''}`;
+}
+
+const COMPARE_FIELDS = ['price', 'currency', 'product_type', 'vendor', 'available'];
+
+/**
+ * Side-by-side comparison of formatted products (see formatProduct in mcpTools.js).
+ * Attributes with the same value everywhere go to `shared`, the rest to `differences`.
+ * @param {Object[]} products
+ */
+export function compareProductRecords(products) {
+  const shared = {};
+  const differences = {};
+
+  for (const field of COMPARE_FIELDS) {
+    const values = products.map(p => p[field] ?? null);
+    if (values.every(v => v === values[0])) {
+      shared[field] = values[0];
+    } else {
+      differences[field] = Object.fromEntries(products.map((p, i) => [p.handle, values[i]]));
+    }
+  }
+
+  // Tags: what all products have vs what only some have
+  const tagSets = products.map(p => new Set((p.tags || []).map(t => String(t).toLowerCase())));
+  const commonTags = [...(tagSets[0] || [])].filter(tag => tagSets.every(set => set.has(tag)));
+  const uniqueTags = Object.fromEntries(products.map((p, i) => [
+    p.handle,
+    [...tagSets[i]].filter(tag => !commonTags.includes(tag))
+  ]));
+
+  const prices = products
+    .map(p => ({ handle: p.handle, price: parseFloat(p.price) }))
+    .filter(p => !isNaN(p.price))
+    .sort((a, b) => a.price - b.price);
+
+  return {
+    shared,
+    differences,
+    common_tags: commonTags,
+    unique_tags: uniqueTags,
+    cheapest: prices[0]?.handle || null,
+    most_expensive: prices.length > 1 ? prices[prices.length - 1].handle : null
+  };
+}
+
+// Words that say nothing about which passage answers the question
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'can', 'do', 'does', 'for', 'how', 'i', 'if', 'in', 'is', 'it',
+  'my', 'of', 'on', 'or', 'the', 'to', 'what', 'when', 'where', 'which', 'will', 'with', 'you', 'your'
+]);
+
+function keywords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Split a plain-text policy into passages (paragraphs, long ones cut at sentence ends).
+ */
+export function splitPolicyPassages(text, maxLength = 600) {
+  const passages = [];
+  for (const paragraph of String(text || '').split(/\n\s*\n|\n/)) {
+    const clean = paragraph.replace(/\s+/g, ' ').trim();
+    if (!clean) continue;
+    if (clean.length <= maxLength) {
+      passages.push(clean);
+      continue;
+    }
+    let current = '';
+    for (const sentence of clean.split(/(?<=[.!?])\s+/)) {
+      if (current && current.length + sentence.length + 1 > maxLength) {
+        passages.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+    if (current) passages.push(current);
+  }
+  return passages;
+}
+
+/**
+ * Policy passages that best match a question, each with its citation.
+ * Rare question words weigh more than words found all over the policies.
+ * Without a question the opening passage of every policy is returned.
+ * @param {Array<{ type, title, url, text }>} policies
+ * @param {string} [question]
+ * @param {number} [limit]
+ * @returns {Array<{ policy, title, url, excerpt, score }>}
+ */
+export function findPolicyPassages(policies, question, limit = 3) {
+  const terms = [...new Set(keywords(question))];
+  const passages = policies.flatMap(policy =>
+    splitPolicyPassages(policy.text).map((excerpt, index) => ({
+      policy: policy.type,
+      title: policy.title,
+      url: policy.url || null,
+      excerpt,
+      index,
+      words: keywords(excerpt)
+    }))
+  );
+
+  const matches = (words, term) => words.some(w => w === term || w.startsWith(term));
+  const weights = Object.fromEntries(terms.map(term => {
+    const found = passages.filter(p => matches(p.words, term)).length;
+    return [term, found ? Math.log(1 + passages.length / found) : 0];
+  }));
+
+  return passages
+    .map(passage => ({
+      ...passage,
+      score: terms.length
+        ? terms.reduce((sum, term) => sum + (matches(passage.words, term) ? weights[term] : 0), 0)
+        : (passage.index === 0 ? 1 : 0)
+    }))
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ index, words, score, ...passage }) => ({ ...passage, score: Math.round(score * 100) / 100 }));
+}
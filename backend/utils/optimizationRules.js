@@ -0,0 +1,215 @@
+// backend/utils/optimizationRules.js
+// Per-shop automatic optimization rules: "when a product matching these conditions is
+// created/changed (or on a schedule), run this optimization". Pure helpers for validating
+// rules from the Settings editor, matching products and deciding what is due.
+// Rules are stored in db/OptimizationRule.js and run by services/optimizationRuleQueue.js.
+
+export const RULE_TRIGGERS = ['webhook', 'schedule'];
+export const RULE_EVENTS = ['created', 'updated'];
+
+// Schedule -> hours between runs
+export const RULE_SCHEDULES = {
+  daily: 24,
+  weekly: 7 * 24
+};
+
+// Condition fields and the operators each one supports
+export const RULE_FIELDS = {
+  productType: ['equals', 'contains'],
+  vendor: ['equals', 'contains'],
+  tag: ['equals', 'contains'],
+  collection: ['equals'],
+  price: ['gte', 'lte']
+};
+
+// Action -> token feature (null = not metered) and the plans that may run it
+export const RULE_ACTIONS = {
+  'basic-seo': { feature: null, plans: null },
+  'ai-enhance': {
+    feature: 'ai-seo-product-enhanced',
+    plans: ['professional', 'professional_plus', 'growth', 'growth_plus', 'growth_extra', 'enterprise']
+  },
+  'advanced-schema': {
+    feature: 'ai-schema-advanced',
+    plans: ['professional_plus', 'growth_plus', 'growth_extra', 'enterprise']
+  }
+};
+
+export const RULE_LIMITS = {
+  name: 80,
+  conditions: 10,
+  value: 120,
+  languages: 10,
+  maxProducts: 250,
+  rulesPerShop: 20
+};
+
+function cleanString(value, max) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+/**
+ * Validate a rule coming from the Settings editor.
+ * @returns {{ rule: Object, errors: string[] }} rule is normalized; errors is empty when valid
+ */
+export function normalizeRule(input = {}) {
+  const errors = [];
+
+  const name = cleanString(input.name, RULE_LIMITS.name);
+  if (!name) errors.push('Name is required');
+
+  const trigger = RULE_TRIGGERS.includes(input.trigger) ? input.trigger : null;
+  if (!trigger) errors.push(`trigger must be one of: ${RULE_TRIGGERS.join(', ')}`);
+
+  const events = (Array.isArray(input.events) ? input.events : RULE_EVENTS).filter(e => RULE_EVENTS.includes(e));
+  if (trigger === 'webhook' && !events.length) errors.push('Pick at least one product event');
+
+  const schedule = RULE_SCHEDULES[input.schedule] ? input.schedule : null;
+  if (trigger === 'schedule' && !schedule) errors.push(`schedule must be one of: ${Object.keys(RULE_SCHEDULES).join(', ')}`);
+
+  const conditions = [];
+  for (const c of (Array.isArray(input.conditions) ? input.conditions : []).slice(0, RULE_LIMITS.conditions)) {
+    const ops = RULE_FIELDS[c?.field];
+    if (!ops) {
+      errors.push(`Unknown condition field: ${c?.field}`);
+      continue;
+    }
+    const operator = ops.includes(c.operator) ? c.operator : ops[0];
+    const value = cleanString(c.value, RULE_LIMITS.value);
+    if (!value) {
+      errors.push(`Condition on ${c.field} needs a value`);
+      continue;
+    }
+    if (c.field === 'price' && !Number.isFinite(Number(value))) {
+      errors.push('Price condition needs a number');
+      continue;
+    }
+    conditions.push({ field: c.field, operator, value });
+  }
+
+  const actionType = RULE_ACTIONS[input.action?.type] ? input.action.type : null;
+  if (!actionType) errors.push(`action must be one of: ${Object.keys(RULE_ACTIONS).join(', ')}`);
+  const languages = [...new Set(
+    (Array.isArray(input.action?.languages) ? input.action.languages : [])
+      .map(l => cleanString(l, 10).toLowerCase())
+      .filter(Boolean)
+  )].slice(0, RULE_LIMITS.languages);
+  if (actionType && actionType !== 'advanced-schema' && !languages.length) {
+    errors.push('Pick at least one language');
+  }
+
+  const maxProducts = Math.min(Math.max(parseInt(input.maxProducts, 10) || 50, 1), RULE_LIMITS.maxProducts);
+
+  return {
+    rule: {
+      name,
+      enabled: input.enabled !== false,
+      trigger,
+      events: trigger === 'webhook' ? events : [],
+      schedule: trigger === 'schedule' ? schedule : null,
+      match: input.match === 'any' ? 'any' : 'all',
+      conditions,
+      action: { type: actionType, languages: actionType === 'advanced-schema' ? [] : languages },
+      maxProducts
+    },
+    errors
+  };
+}
+
+function splitTags(tags) {
+  const list = Array.isArray(tags) ? tags : [tags];
+  // Webhook-synced products store the comma-separated tag string as one element
+  return list.flatMap(t => String(t ?? '').split(',')).map(t => t.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * The product facts conditions are evaluated against.
+ * @param {Object} product - db/Product.js document (lean)
+ * @param {string[]} [collections] - handles of the product's collections (fetched only when a rule needs them)
+ */
+export function ruleProductFacts(product = {}, collections = []) {
+  const price = parseFloat(product.price);
+  return {
+    productType: String(product.productType || '').trim().toLowerCase(),
+    vendor: String(product.vendor || '').trim().toLowerCase(),
+    tags: splitTags(product.tags),
+    collections: collections.map(c => String(c).toLowerCase()),
+    price: Number.isFinite(price) ? price : null
+  };
+}
+
+function matchesCondition(condition, facts) {
+  const value = condition.value.toLowerCase();
+  const textMatch = (text) => (condition.operator === 'contains' ? text.includes(value) : text === value);
+
+  switch (condition.field) {
+    case 'productType':
+      return textMatch(facts.productType);
+    case 'vendor':
+      return textMatch(facts.vendor);
+    case 'tag':
+      return facts.tags.some(textMatch);
+    case 'collection':
+      return facts.collections.includes(value);
+    case 'price': {
+      if (facts.price === null) return false;
+      const limit = Number(condition.value);
+      return condition.operator === 'gte' ? facts.price >= limit : facts.price <= limit;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * A rule without conditions matches every product.
+ */
+export function matchesRule(rule, facts) {
+  const conditions = rule.conditions || [];
+  if (!conditions.length) return true;
+  return rule.match === 'any'
+    ? conditions.some(c => matchesCondition(c, facts))
+    : conditions.every(c => matchesCondition(c, facts));
+}
+
+export function ruleNeedsCollections(rule) {
+  return (rule.conditions || []).some(c => c.field === 'collection');
+}
+
+/**
+ * Whether the action still has work to do for the product, so rules never redo a
+ * finished optimization (and never loop on the metafield webhooks they cause).
+ * @returns {string[]|boolean} languages still to do for SEO actions, boolean for schema
+ */
+export function pendingWork(action, product = {}) {
+  const status = product.seoStatus || {};
+  const optimized = (status.languages || []).filter(l => l.optimized).map(l => String(l.code).toLowerCase());
+
+  switch (action.type) {
+    case 'basic-seo':
+      return action.languages.filter(l => !optimized.includes(l));
+    case 'ai-enhance':
+      if (status.aiEnhanced) return [];
+      return action.languages.filter(l => optimized.includes(l));
+    case 'advanced-schema':
+      return !!status.optimized && !status.hasAdvancedSchema;
+    default:
+      return false;
+  }
+}
+
+export function hasPendingWork(action, product) {
+  const work = pendingWork(action, product);
+  return Array.isArray(work) ? work.length > 0 : work;
+}
+
+/**
+ * Schedule rules run once per interval; a rule that never ran is due right away.
+ */
+export function isScheduleDue(rule, now = new Date()) {
+  if (rule.trigger !== 'schedule' || !rule.enabled) return false;
+  const hours = RULE_SCHEDULES[rule.schedule];
+  if (!hours) return false;
+  if (!rule.lastRunAt) return true;
+  return now.getTime() - new Date(rule.lastRunAt).getTime() >= hours * 36e5;
+}
@@ -0,0 +1,90 @@
+// backend/utils/pixelSignature.js
+// HMAC signing of web pixel events (extensions/ai-revenue-pixel). The pixel gets a
+// per-shop secret through its settings and sends
+//   X-Pixel-Timestamp: unix seconds
+//   X-Pixel-Signature: hex HMAC-SHA256(secret, `${timestamp}.${rawBody}`)
+// which controllers/pixelController.js verifies against Shop.pixelSigningSecret.
+
+import crypto from 'crypto';
+
+// Signed requests older (or further in the future) than this are refused as replays
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Storefront pages loaded before the pixel got its secret keep sending unsigned events
+export const UNSIGNED_GRACE_MS = 60 * 60 * 1000;
+
+// Shops whose pixel never gets a secret (reconnects keep failing) are not accepted unsigned
+// forever: only for this long after signing was released, or after install if later
+export const UNSIGNED_MAX_MS = 14 * 24 * 60 * 60 * 1000;
+
+// When event signing was released (PIXEL_SIGNING_RELEASED_AT overrides, ISO date)
+const DEFAULT_SIGNING_RELEASED_AT = '2026-10-19T00:00:00Z';
+const envReleasedAt = Date.parse(process.env.PIXEL_SIGNING_RELEASED_AT || '');
+export const SIGNING_RELEASED_AT = new Date(Number.isNaN(envReleasedAt) ? DEFAULT_SIGNING_RELEASED_AT : envReleasedAt);
+
+export function generatePixelSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * @param {string} secret
+ * @param {string|number} timestamp - unix seconds
+ * @param {string} rawBody
+ * @returns {string} hex signature
+ */
+export function signPixelPayload(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * When a shop's pixel events must be signed: the grace period after its pixel was
+ * connected with a secret (Shop.pixelSignedSince), and never later than UNSIGNED_MAX_MS
+ * after signing was released or the shop was installed.
+ * @param {Object} input
+ * @param {Date|string|null} input.signedSince
+ * @param {Date|string|null} [input.installedAt]
+ * @returns {Date}
+ */
+export function signingRequiredFrom({ signedSince, installedAt = null }) {
+  const start = Math.max(SIGNING_RELEASED_AT.getTime(), installedAt ? new Date(installedAt).getTime() || 0 : 0);
+  const deadline = start + UNSIGNED_MAX_MS;
+  if (!signedSince) return new Date(deadline);
+  return new Date(Math.min(deadline, new Date(signedSince).getTime() + UNSIGNED_GRACE_MS));
+}
+
+/**
+ * Whether a shop's pixel events must be signed (see signingRequiredFrom).
+ * @param {Object} input
+ * @param {Date|string|null} input.signedSince
+ * @param {Date|string|null} [input.installedAt]
+ * @param {number} [input.now] - ms since epoch
+ * @returns {boolean}
+ */
+export function isSigningEnforced({ signedSince, installedAt = null, now = Date.now() }) {
+  return now >= signingRequiredFrom({ signedSince, installedAt }).getTime();
+}
+
+/**
+ * Check a signed pixel request.
+ * @param {Object} input
+ * @param {string} input.secret - the shop's signing secret
+ * @param {string} [input.signature] - X-Pixel-Signature
+ * @param {string} [input.timestamp] - X-Pixel-Timestamp
+ * @param {string} input.rawBody
+ * @param {number} [input.now] - ms since epoch
+ * @returns {{ ok: boolean, reason?: 'missing_signature'|'stale_timestamp'|'bad_signature' }}
+ */
+export function verifyPixelSignature({ secret, signature, timestamp, rawBody, now = Date.now() }) {
+  if (!signature || !timestamp) return { ok: false, reason: 'missing_signature' };
+
+  const ts = Number(timestamp);
+  if (!Number.isInteger(ts) || Math.abs(now / 1000 - ts) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { ok: false, reason: 'stale_timestamp' };
+  }
+
+  const expected = Buffer.from(signPixelPayload(secret, ts, rawBody || ''), 'hex');
+  const given = /^[0-9a-f]{64}$/i.test(signature) ? Buffer.from(signature, 'hex') : null;
+  if (!given || !crypto.timingSafeEqual(expected, given)) return { ok: false, reason: 'bad_signature' };
+
+  return { ok: true };
+}
@@ -0,0 +1,160 @@
+// backend/utils/promptTemplate.js
+// Per-shop prompt template (brand voice, CTA, per-language instructions).
+// Stored on Shop.promptTemplate and merged into the system prompt of every
+// AI generator (SEO strictPrompt, AI enhance, advanced schema).
+
+export const READING_LEVELS = ['simple', 'standard', 'advanced'];
+
+export const PROMPT_TEMPLATE_LIMITS = {
+  tone: 120,
+  phrase: 60,
+  phrases: 30,
+  defaultCta: 160,
+  instructions: 1000,
+  languages: 30,
+};
+
+const READING_LEVEL_TEXT = {
+  simple: 'Write for a general audience: short sentences and everyday words (about 6th-8th grade reading level).',
+  standard: 'Write in clear, natural language for an average adult reader.',
+  advanced: 'Write for an expert audience: precise terminology is fine, avoid oversimplifying.',
+};
+
+function cleanString(value, max) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+function cleanPhrases(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(/[\n,]/);
+  const seen = new Set();
+  const out = [];
+  for (const item of list) {
+    const phrase = cleanString(item, PROMPT_TEMPLATE_LIMITS.phrase);
+    const key = phrase.toLowerCase();
+    if (!phrase || seen.has(key)) continue;
+    seen.add(key);
+    out.push(phrase);
+    if (out.length >= PROMPT_TEMPLATE_LIMITS.phrases) break;
+  }
+  return out;
+}
+
+/**
+ * Validate and trim a template coming from the Settings editor.
+ * Unknown fields are dropped, lists are de-duplicated and capped.
+ */
+export function normalizePromptTemplate(input = {}) {
+  const languageInstructions = [];
+  const seenLanguages = new Set();
+  for (const entry of Array.isArray(input.languageInstructions) ? input.languageInstructions : []) {
+    const language = cleanString(entry?.language, 10).toLowerCase();
+    const instructions = String(entry?.instructions ?? '').trim().slice(0, PROMPT_TEMPLATE_LIMITS.instructions);
+    if (!language || !instructions || seenLanguages.has(language)) continue;
+    seenLanguages.add(language);
+    languageInstructions.push({ language, instructions });
+    if (languageInstructions.length >= PROMPT_TEMPLATE_LIMITS.languages) break;
+  }
+
+  return {
+    enabled: input.enabled !== false,
+    tone: cleanString(input.tone, PROMPT_TEMPLATE_LIMITS.tone),
+    readingLevel: READING_LEVELS.includes(input.readingLevel) ? input.readingLevel : 'standard',
+    alwaysUse: cleanPhrases(input.alwaysUse),
+    neverUse: cleanPhrases(input.neverUse),
+    defaultCta: cleanString(input.defaultCta, PROMPT_TEMPLATE_LIMITS.defaultCta),
+    languageInstructions,
+  };
+}
+
+function isEmptyTemplate(t) {
+  return !t.tone && t.readingLevel === 'standard' && !t.alwaysUse.length && !t.neverUse.length
+    && !t.defaultCta && !t.languageInstructions.length;
+}
+
+/**
+ * Brand voice block for one language, or '' when the template is disabled/empty.
+ */
+export function buildBrandVoiceBlock(template, language) {
+  if (!template || template.enabled === false) return '';
+  const t = normalizePromptTemplate(template);
+  if (isEmptyTemplate(t)) return '';
+
+  const lines = ['BRAND VOICE (set by the merchant, follow it for all generated text):'];
+  if (t.tone) lines.push(`- Tone: ${t.tone}`);
+  if (t.readingLevel !== 'standard') lines.push(`- Reading level: ${READING_LEVEL_TEXT[t.readingLevel]}`);
+  if (t.alwaysUse.length) lines.push(`- Use these words or phrases where they fit naturally: ${t.alwaysUse.map(p => `"${p}"`).join(', ')}`);
+  if (t.neverUse.length) lines.push(`- NEVER use these words or phrases: ${t.neverUse.map(p => `"${p}"`).join(', ')}`);
+  if (t.defaultCta) lines.push(`- Where a call to action fits (descriptions, FAQ answers), use: "${t.defaultCta}"`);
+
+  const lang = String(language || '').toLowerCase();
+  const perLanguage = t.languageInstructions.find(l => l.language === lang)
+    || t.languageInstructions.find(l => l.language === lang.split('-')[0]);
+  if (perLanguage) lines.push(`- Instructions for ${perLanguage.language}: ${perLanguage.instructions}`);
+
+  lines.push('These rules never override factual accuracy or the required output format.');
+  return lines.join('\n');
+}
+
+/**
+ * Append the brand voice block to the first system message (or add one).
+ * Returns a new array; the input messages are not modified.
+ */
+export function withPromptTemplate(messages, template, language) {
+  const block = buildBrandVoiceBlock(template, language);
+  if (!block) return messages;
+  const idx = messages.findIndex(m => m.role === 'system');
+  if (idx === -1) return [{ role: 'system', content: block }, ...messages];
+  return messages.map((m, i) => (i === idx ? { ...m, content: `${m.content}\n\n${block}` } : m));
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remove "never use" phrases the model produced anyway. Walks strings in
+ * nested arrays/objects (bullets, faq[].a, ...). Returns a new value.
+ */
+export function scrubNeverUsePhrases(value, template) {
+  const phrases = template && template.enabled !== false ? cleanPhrases(template.neverUse) : [];
+  if (!phrases.length) return value;
+  // Unicode-aware word boundaries (\b only knows ASCII letters)
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${phrases.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+
+  const scrub = (v) => {
+    if (typeof v === 'string') {
+      return v.replace(pattern, '').replace(/\s{2,}/g, ' ').replace(/\s+([,.!?;:])/g, '$1').trim();
+    }
+    if (Array.isArray(v)) return v.map(scrub);
+    if (v && typeof v === 'object') {
+      return Object.fromEntries(Object.entries(v).map(([k, val]) => [k, scrub(val)]));
+    }
+    return v;
+  };
+  return scrub(value);
+}
+
+// Shop templates are read on every AI call - cache them briefly
+const templateCache = new Map(); // shop -> { template, timestamp }
+const CACHE_TTL = 5 * 60 * 1000;
+
+export async function getShopPromptTemplate(shop) {
+  if (!shop) return null;
+  const cached = templateCache.get(shop);
+  if (cached && Date.now() - cached.timestamp < CACHE_TTL) return cached.template;
+
+  try {
+    const Shop = (await import('../db/Shop.js')).default;
+    const doc = await Shop.findOne({ shop }).select('promptTemplate').lean();
+    const template = doc?.promptTemplate || null;
+    templateCache.set(shop, { template, timestamp: Date.now() });
+    return template;
+  } catch (e) {
+    console.error('[PROMPT-TEMPLATE] Failed to load template for', shop, e.message);
+    return null;
+  }
+}
+
+export function invalidatePromptTemplateCache(shop) {
+  templateCache.delete(shop);
+}
@@ -0,0 +1,420 @@
+// backend/utils/reviewSources.js
+// Review-source adapters: turn real review data into one normalized shape and build
+// Review / AggregateRating JSON-LD from it. Nothing here invents reviews - when a
+// product has no real data the builders return nothing.
+//
+// Sources:
+//   - Shopify standard metafields reviews.rating (rating JSON) + reviews.rating_count
+//   - CSV import (our template or review-app CSV exports, matched by column aliases)
+//   - JSON exports from review apps (Judge.me, Yotpo, Okendo, Stamped, Loox)
+//
+// Normalized review:
+//   { source, externalId, productId, productHandle, author, rating, title, body,
+//     publishedAt, verified }
+// productId is the numeric Shopify product id (string), rating is on a 1-5 scale.
+
+import crypto from 'crypto';
+import { parseCsv } from './csv.js';
+
+export const REVIEW_APP_SOURCES = ['judgeme', 'yotpo', 'okendo', 'stamped', 'loox'];
+export const REVIEW_SOURCES = ['csv', ...REVIEW_APP_SOURCES];
+
+// How many individual Review nodes go into a Product schema
+export const MAX_SCHEMA_REVIEWS = 10;
+
+// CSV columns we accept for each field (first non-empty wins). Covers our template
+// and the CSV exports of the common review apps.
+const CSV_ALIASES = {
+  productId: ['product_id', 'shopify_product_id', 'product_external_id', 'productid'],
+  productHandle: ['product_handle', 'handle', 'product_url_handle'],
+  externalId: ['review_id', 'id'],
+  author: ['author', 'reviewer_name', 'display_name', 'name', 'customer_name', 'reviewer'],
+  rating: ['rating', 'review_score', 'score', 'stars', 'review_rating'],
+  title: ['title', 'review_title'],
+  body: ['body', 'review_content', 'content', 'review_body', 'review', 'review_message'],
+  publishedAt: ['date', 'review_date', 'created_at', 'published_at', 'date_created'],
+  verified: ['verified', 'verified_buyer', 'verified_purchase'],
+  published: ['published', 'status', 'curated', 'is_published']
+};
+
+// Field paths per review-app JSON export
+const APP_FIELDS = {
+  judgeme: {
+    list: ['reviews'],
+    externalId: ['id'],
+    productId: ['product_external_id', 'product_id'],
+    productHandle: ['product_handle'],
+    author: ['reviewer.name', 'reviewer_name'],
+    rating: ['rating'],
+    title: ['title'],
+    body: ['body'],
+    publishedAt: ['created_at'],
+    verified: ['verified'],
+    published: ['published', 'curated'],
+    hidden: ['hidden']
+  },
+  yotpo: {
+    list: ['reviews', 'response.reviews'],
+    externalId: ['id'],
+    productId: ['product_id', 'sku', 'domain_key'],
+    productHandle: ['product_handle'],
+    author: ['user_name', 'name', 'user.display_name'],
+    rating: ['score'],
+    title: ['title'],
+    body: ['content'],
+    publishedAt: ['created_at'],
+    verified: ['verified_buyer'],
+    published: ['published'],
+    hidden: ['deleted', 'archived']
+  },
+  okendo: {
+    list: ['reviews'],
+    externalId: ['reviewId', 'id'],
+    productId: ['productId', 'product.id'],
+    productHandle: ['productHandle', 'product.handle'],
+    author: ['reviewer.displayName', 'reviewer.name'],
+    rating: ['rating'],
+    title: ['title'],
+    body: ['body'],
+    publishedAt: ['dateCreated', 'createdAt'],
+    verified: ['reviewer.isVerified', 'isVerified'],
+    published: ['status'],
+    hidden: []
+  },
+  stamped: {
+    list: ['data', 'reviews'],
+    externalId: ['id', 'reviewId'],
+    productId: ['productId', 'product_id'],
+    productHandle: ['productHandle', 'product_handle'],
+    author: ['author', 'reviewUserName'],
+    rating: ['reviewRating', 'rating'],
+    title: ['reviewTitle', 'title'],
+    body: ['reviewMessage', 'body'],
+    publishedAt: ['dateCreated', 'reviewDate'],
+    verified: ['reviewVerifiedType', 'isVerified'],
+    published: ['reviewState', 'published'],
+    hidden: []
+  },
+  loox: {
+    list: ['reviews'],
+    externalId: ['id'],
+    productId: ['product_id', 'productId'],
+    productHandle: ['handle', 'product_handle'],
+    author: ['name', 'nickname'],
+    rating: ['rating'],
+    title: ['title'],
+    body: ['review', 'text'],
+    publishedAt: ['date', 'created_at'],
+    verified: ['verified_purchase'],
+    published: ['status'],
+    hidden: ['hidden']
+  }
+};
+
+function getPath(obj, path) {
+  return path.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), obj);
+}
+
+function firstValue(obj, paths) {
+  for (const path of paths || []) {
+    const value = getPath(obj, path);
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+}
+
+function toBool(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  const str = String(value ?? '').trim().toLowerCase();
+  return ['true', 'yes', 'y', '1', 'verified', 'buyer', 'verified_buyer'].includes(str);
+}
+
+// false only for explicit "not published" markers; missing = published
+function isPublished(value) {
+  if (value === undefined || value === null || value === '') return true;
+  if (typeof value === 'boolean') return value;
+  const str = String(value).trim().toLowerCase();
+  if (['false', 'no', '0', 'unpublished', 'hidden', 'rejected', 'pending', 'spam', 'archived', 'not-yet'].includes(str)) return false;
+  return true;
+}
+
+function toProductId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = String(value).match(/(\d+)\s*$/);
+  return match ? match[1] : null;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function cleanText(value, max) {
+  if (value === undefined || value === null) return null;
+  const str = String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  if (!str) return null;
+  return max && str.length > max ? str.slice(0, max) : str;
+}
+
+/**
+ * Validate and normalize one review. Returns { review } or { error }.
+ * Reviews without a product reference or a 1-5 rating are rejected.
+ */
+export function normalizeReview(raw, source) {
+  const rating = Number(raw.rating);
+  if (!Number.isFinite(rating) || rating < 1 || rating > 5) {
+    return { error: `Invalid rating "${raw.rating ?? ''}" (expected 1-5)` };
+  }
+
+  const productId = toProductId(raw.productId);
+  const productHandle = cleanText(raw.productHandle, 255)?.toLowerCase() || null;
+  if (!productId && !productHandle) {
+    return { error: 'Missing product id or handle' };
+  }
+
+  const review = {
+    source,
+    productId,
+    productHandle,
+    author: cleanText(raw.author, 120),
+    rating: Math.round(rating * 10) / 10,
+    title: cleanText(raw.title, 300),
+    body: cleanText(raw.body, 5000),
+    publishedAt: toDate(raw.publishedAt),
+    verified: toBool(raw.verified)
+  };
+
+  // Stable id so re-importing the same export updates instead of duplicating
+  review.externalId = raw.externalId !== undefined && raw.externalId !== null && raw.externalId !== ''
+    ? String(raw.externalId)
+    : crypto.createHash('sha1')
+      .update([productId || productHandle, review.author, review.rating, review.publishedAt?.toISOString(), review.body].join('|'))
+      .digest('hex');
+
+  return { review };
+}
+
+function pick(record, aliases) {
+  return firstValue(record, aliases);
+}
+
+/**
+ * Parse a review CSV (our template or a review-app CSV export).
+ * Unpublished rows are skipped, invalid rows are reported with their line number.
+ * @returns {{ reviews: Object[], errors: Array<{ row: number, error: string }>, skipped: number }}
+ */
+export function parseReviewsCsv(text) {
+  const { headers, records } = parseCsv(text);
+  const hasRating = CSV_ALIASES.rating.some(h => headers.includes(h));
+  const hasProduct = [...CSV_ALIASES.productId, ...CSV_ALIASES.productHandle].some(h => headers.includes(h));
+  if (!hasRating || !hasProduct) {
+    const error = new Error('CSV needs a rating column and a product_id or product_handle column');
+    error.status = 400;
+    throw error;
+  }
+
+  const reviews = [];
+  const errors = [];
+  let skipped = 0;
+
+  records.forEach((record, i) => {
+    if (!isPublished(pick(record, CSV_ALIASES.published))) {
+      skipped++;
+      return;
+    }
+    const raw = {};
+    for (const field of Object.keys(CSV_ALIASES)) raw[field] = pick(record, CSV_ALIASES[field]);
+    const { review, error } = normalizeReview(raw, 'csv');
+    // +2: header row and 1-based line numbers
+    if (error) errors.push({ row: i + 2, error });
+    else reviews.push(review);
+  });
+
+  return { reviews, errors, skipped };
+}
+
+/**
+ * Guess the review app from the shape of an export.
+ * @returns {string|null}
+ */
+export function detectReviewApp(data) {
+  const list = Array.isArray(data) ? data : (data?.reviews || data?.data || data?.response?.reviews);
+  const sample = Array.isArray(list) ? list[0] : null;
+  if (!sample || typeof sample !== 'object') return null;
+
+  if ('reviewer' in sample && 'product_external_id' in sample) return 'judgeme';
+  if ('score' in sample && ('user_name' in sample || 'content' in sample)) return 'yotpo';
+  if ('reviewId' in sample && 'reviewer' in sample) return 'okendo';
+  if ('reviewRating' in sample || 'reviewMessage' in sample) return 'stamped';
+  if ('rating' in sample && 'review' in sample) return 'loox';
+  if ('reviewer' in sample && 'rating' in sample && 'body' in sample) return 'judgeme';
+  return null;
+}
+
+/**
+ * Parse a review-app JSON export.
+ * @param {string} app - one of REVIEW_APP_SOURCES or 'auto'
+ * @param {Object|Array|string} data - parsed JSON or JSON text
+ * @returns {{ source: string, reviews: Object[], errors: Array, skipped: number }}
+ */
+export function parseReviewAppExport(app, data) {
+  let parsed = data;
+  if (typeof data === 'string') {
+    try {
+      parsed = JSON.parse(data);
+    } catch (e) {
+      const error = new Error('File is not valid JSON');
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  const source = app === 'auto' || !app ? detectReviewApp(parsed) : app;
+  const fields = APP_FIELDS[source];
+  if (!fields) {
+    const error = new Error(app === 'auto' || !app
+      ? 'Could not recognize the review export format'
+      : `Unsupported review source: ${app}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const list = Array.isArray(parsed) ? parsed : firstValue(parsed, fields.list);
+  if (!Array.isArray(list)) {
+    const error = new Error(`No reviews found in the ${source} export`);
+    error.status = 400;
+    throw error;
+  }
+
+  const reviews = [];
+  const errors = [];
+  let skipped = 0;
+
+  list.forEach((item, i) => {
+    if (!item || typeof item !== 'object') {
+      errors.push({ row: i + 1, error: 'Not a review object' });
+      return;
+    }
+    const hidden = (fields.hidden || []).some(path => toBool(getPath(item, path)));
+    if (hidden || !isPublished(firstValue(item, fields.published))) {
+      skipped++;
+      return;
+    }
+    const raw = {};
+    for (const field of ['externalId', 'productId', 'productHandle', 'author', 'rating', 'title', 'body', 'publishedAt', 'verified']) {
+      raw[field] = firstValue(item, fields[field]);
+    }
+    const { review, error } = normalizeReview(raw, source);
+    if (error) errors.push({ row: i + 1, error });
+    else reviews.push(review);
+  });
+
+  return { source, reviews, errors, skipped };
+}
+
+/**
+ * Read Shopify's standard rating metafields.
+ * @param {Object} values
+ * @param {string} values.rating - reviews.rating value, e.g. '{"value":"4.6","scale_min":"1.0","scale_max":"5.0"}'
+ * @param {string|number} values.ratingCount - reviews.rating_count value
+ * @returns {{ ratingValue, bestRating, worstRating, reviewCount }|null}
+ */
+export function parseRatingMetafields({ rating, ratingCount } = {}) {
+  if (!rating) return null;
+
+  let data = rating;
+  if (typeof rating === 'string') {
+    try {
+      data = JSON.parse(rating);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const ratingValue = Number(data?.value);
+  const bestRating = Number(data?.scale_max ?? 5);
+  const worstRating = Number(data?.scale_min ?? 1);
+  const reviewCount = parseInt(ratingCount, 10);
+
+  if (!Number.isFinite(ratingValue) || !Number.isFinite(bestRating) || !Number.isFinite(worstRating)) return null;
+  if (ratingValue < worstRating || ratingValue > bestRating) return null;
+  if (!Number.isFinite(reviewCount) || reviewCount < 1) return null;
+
+  return { ratingValue, bestRating, worstRating, reviewCount };
+}
+
+/**
+ * Aggregate imported reviews (1-5 scale).
+ * @returns {{ ratingValue, bestRating, worstRating, reviewCount }|null}
+ */
+export function summarizeReviews(reviews) {
+  const rated = (reviews || []).filter(r => Number.isFinite(Number(r.rating)));
+  if (rated.length === 0) return null;
+  const sum = rated.reduce((acc, r) => acc + Number(r.rating), 0);
+  return {
+    ratingValue: Math.round((sum / rated.length) * 100) / 100,
+    bestRating: 5,
+    worstRating: 1,
+    reviewCount: rated.length
+  };
+}
+
+/**
+ * Build the Product properties for real reviews.
+ * The rating metafields win for aggregateRating (they cover every review the app has);
+ * imported reviews fill in when the metafields are missing.
+ *
+ * @param {Object} data
+ * @param {Object|null} data.metafieldRating - from parseRatingMetafields()
+ * @param {Object|null} [data.importedRating] - aggregate of all imported reviews (defaults to summarizing data.reviews)
+ * @param {Object[]} data.reviews - imported reviews for the product, newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.ratings=true] - include aggregateRating
+ * @param {boolean} [options.reviews=true] - include individual Review nodes
+ * @returns {Object} { aggregateRating?, review? } - empty when there is no real data
+ */
+export function buildReviewJsonLd({ metafieldRating = null, importedRating = null, reviews = [] } = {}, options = {}) {
+  const { ratings: includeRatings = true, reviews: includeReviews = true } = options;
+  const result = {};
+
+  if (includeRatings) {
+    const aggregate = metafieldRating || importedRating || summarizeReviews(reviews);
+    if (aggregate) {
+      result.aggregateRating = {
+        "@type": "AggregateRating",
+        "ratingValue": aggregate.ratingValue,
+        "reviewCount": aggregate.reviewCount,
+        "bestRating": aggregate.bestRating,
+        "worstRating": aggregate.worstRating
+      };
+    }
+  }
+
+  if (includeReviews) {
+    // Google requires a named author for each Review
+    const nodes = reviews
+      .filter(r => r.author)
+      .slice(0, MAX_SCHEMA_REVIEWS)
+      .map(r => {
+        const node = {
+          "@type": "Review",
+          "author": { "@type": "Person", "name": r.author },
+          "reviewRating": {
+            "@type": "Rating",
+            "ratingValue": r.rating,
+            "bestRating": 5,
+            "worstRating": 1
+          }
+        };
+        if (r.title) node.name = r.title;
+        if (r.body) node.reviewBody = r.body;
+        if (r.publishedAt) node.datePublished = new Date(r.publishedAt).toISOString().split('T')[0];
+        return node;
+      });
+    if (nodes.length > 0) result.review = nodes;
+  }
+
+  return result;
+}
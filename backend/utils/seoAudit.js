@@ -0,0 +1,230 @@
+// backend/utils/seoAudit.js
+// Store-wide SEO audit: checks the synced products/collections together with their live
+// SEO fields and groups what it finds into a prioritized issue list. Pure - the data is
+// loaded by controllers/seoAuditController.js and the result stored in db/SeoAudit.js.
+
+import { TITLE_LIMIT, META_MIN, META_TARGET, META_MAX } from './seoLimits.js';
+import { isGoodAltText } from './imageAlt.js';
+
+// Meta descriptions well below the target leave most of the snippet unused
+export const META_SHORT = Math.round(META_TARGET / 2);
+export const THIN_CONTENT_WORDS = 50;
+// Resources listed per issue; counts always cover all of them
+export const ISSUE_ITEM_LIMIT = 100;
+
+const SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+
+// fix: 'generate' starts a basic SEO batch for the affected products, 'generate-alt' the
+// alt text batch, 'review' opens them in the editor (collections are always reviewed -
+// the batches only cover products)
+export const AUDIT_ISSUE_TYPES = {
+  duplicate_title: {
+    severity: 'high',
+    label: 'Duplicate meta titles',
+    description: 'Several pages share the same title, so search engines cannot tell them apart.',
+    fix: 'review'
+  },
+  duplicate_description: {
+    severity: 'high',
+    label: 'Duplicate meta descriptions',
+    description: 'Several pages share the same meta description.',
+    fix: 'review'
+  },
+  empty_description: {
+    severity: 'high',
+    label: 'Empty description',
+    description: 'There is no description text to build SEO from.',
+    fix: 'review'
+  },
+  missing_meta: {
+    severity: 'medium',
+    label: 'No meta description',
+    description: 'Shopify falls back to the start of the description.',
+    fix: 'generate'
+  },
+  title_too_long: {
+    severity: 'medium',
+    label: 'Meta title too long',
+    description: `Titles over ${TITLE_LIMIT} characters are cut off in search results.`,
+    fix: 'review'
+  },
+  meta_too_long: {
+    severity: 'medium',
+    label: 'Meta description too long',
+    description: `Descriptions over ${META_MAX} characters are cut off in search results.`,
+    fix: 'review'
+  },
+  meta_too_short: {
+    severity: 'low',
+    label: 'Meta description too short',
+    description: `Under ${META_SHORT} characters - aim for about ${META_TARGET}.`,
+    fix: 'review'
+  },
+  missing_alt: {
+    severity: 'medium',
+    label: 'Images without good alt text',
+    description: 'Alt text describes images to search engines and screen readers - file names or the bare product title do not.',
+    fix: 'generate-alt'
+  },
+  thin_content: {
+    severity: 'low',
+    label: 'Thin content',
+    description: `Descriptions under ${THIN_CONTENT_WORDS} words give little to rank on.`,
+    fix: 'review'
+  },
+  unoptimized_locale: {
+    severity: 'medium',
+    label: 'Not optimized',
+    description: 'The language is published, but these pages have no AI SEO in it.',
+    fix: 'generate'
+  }
+};
+
+export function stripHtml(html) {
+  return String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function wordCount(text) {
+  const plain = stripHtml(text);
+  return plain ? plain.split(' ').length : 0;
+}
+
+const normalize = (value) => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * The title and description search engines see, in the order the storefront resolves
+ * them: our seo_ai copy, then Shopify's own SEO fields, then the resource title.
+ * @param {Object} resource - { title, seo: { title, description }, aiSeo: { title, metaDescription } }
+ * @returns {{ title: string, description: string }} description is '' when none is set
+ */
+export function effectiveMeta(resource) {
+  return {
+    title: (resource.aiSeo?.title || resource.seo?.title || resource.title || '').trim(),
+    description: (resource.aiSeo?.metaDescription || resource.seo?.description || '').trim()
+  };
+}
+
+/**
+ * Run the audit.
+ * @param {Array<Object>} resources - { type: 'product'|'collection', id, title, handle,
+ *   description, images?: [{ id, alt }], seo, aiSeo, optimizedLocales: string[] }
+ * @param {Object} options
+ * @param {string[]} options.locales - published locales (lowercase)
+ * @param {string} options.primaryLocale
+ * @returns {{ summary: Object, issues: Object[] }}
+ */
+export function auditSeo(resources, { locales = [], primaryLocale = 'en' } = {}) {
+  const groups = new Map();
+  const affected = new Set();
+  const altCoverage = { images: 0, withAlt: 0 };
+
+  const flag = (type, resource, { language = null, detail = '' } = {}) => {
+    const key = [type, resource.type, language].filter(Boolean).join(':');
+    if (!groups.has(key)) {
+      groups.set(key, { id: key, type, resourceType: resource.type, language, ids: [], items: [] });
+    }
+    const group = groups.get(key);
+    group.ids.push(String(resource.id));
+    if (group.items.length < ISSUE_ITEM_LIMIT) {
+      group.items.push({ id: String(resource.id), title: resource.title || '', handle: resource.handle || '', detail });
+    }
+    affected.add(`${resource.type}:${resource.id}`);
+  };
+
+  const titles = new Map();
+  const descriptions = new Map();
+  const remember = (map, resource, value) => {
+    const key = `${resource.type}:${normalize(value)}`;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(resource);
+  };
+
+  for (const resource of resources) {
+    const meta = effectiveMeta(resource);
+
+    if (meta.title) remember(titles, resource, meta.title);
+    if (meta.title.length > TITLE_LIMIT) {
+      flag('title_too_long', resource, { detail: `${meta.title.length} characters` });
+    }
+
+    if (!meta.description) {
+      flag('missing_meta', resource, { language: primaryLocale });
+    } else {
+      remember(descriptions, resource, meta.description);
+      if (meta.description.length > META_MAX) {
+        flag('meta_too_long', resource, { detail: `${meta.description.length} characters` });
+      } else if (meta.description.length < Math.max(META_SHORT, META_MIN)) {
+        flag('meta_too_short', resource, { detail: `${meta.description.length} characters` });
+      }
+    }
+
+    const words = wordCount(resource.description);
+    if (!words) {
+      flag('empty_description', resource);
+    } else if (words < THIN_CONTENT_WORDS) {
+      flag('thin_content', resource, { detail: `${words} words` });
+    }
+
+    const images = resource.images || [];
+    const withoutAlt = images.filter(img => !isGoodAltText(img.alt, { productTitle: resource.title }));
+    altCoverage.images += images.length;
+    altCoverage.withAlt += images.length - withoutAlt.length;
+    if (withoutAlt.length) {
+      flag('missing_alt', resource, { detail: `${withoutAlt.length} of ${resource.images.length} images` });
+    }
+
+    const optimized = new Set((resource.optimizedLocales || []).map(l => l.toLowerCase()));
+    for (const language of locales) {
+      if (!optimized.has(language)) flag('unoptimized_locale', resource, { language });
+    }
+  }
+
+  for (const [type, map] of [['duplicate_title', titles], ['duplicate_description', descriptions]]) {
+    for (const same of map.values()) {
+      if (same.length < 2) continue;
+      const value = effectiveMeta(same[0])[type === 'duplicate_title' ? 'title' : 'description'];
+      for (const resource of same) {
+        flag(type, resource, { detail: `Shared by ${same.length}: "${value.slice(0, 80)}"` });
+      }
+    }
+  }
+
+  const issues = [...groups.values()].map(group => {
+    const def = AUDIT_ISSUE_TYPES[group.type];
+    return {
+      ...group,
+      severity: def.severity,
+      label: group.language && group.type === 'unoptimized_locale' ? `${def.label} in ${group.language.toUpperCase()}` : def.label,
+      description: def.description,
+      fix: group.resourceType === 'product' ? def.fix : 'review',
+      count: group.ids.length
+    };
+  });
+  issues.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity] || b.count - a.count);
+
+  const products = resources.filter(r => r.type === 'product').length;
+  const total = resources.length;
+  return {
+    summary: {
+      products,
+      collections: total - products,
+      resourcesWithIssues: affected.size,
+      // Share of products/collections without any finding
+      score: total ? Math.round(((total - affected.size) / total) * 100) : 100,
+      // Product images with good alt text in the primary language
+      altCoverage: {
+        ...altCoverage,
+        percent: altCoverage.images ? Math.round((altCoverage.withAlt / altCoverage.images) * 100) : 100
+      },
+      bySeverity: Object.fromEntries(Object.keys(SEVERITY_RANK).map(s => [
+        s, issues.filter(i => i.severity === s).reduce((sum, i) => sum + i.count, 0)
+      ]))
+    },
+    issues
+  };
+}
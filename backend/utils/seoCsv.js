@@ -0,0 +1,279 @@
+// backend/utils/seoCsv.js
+// Spreadsheet import/export of the seo_ai.seo__{lang} metafields of products and
+// collections: one row per resource and language. Empty cells keep the current value,
+// so a sheet with only the columns an agency edited can be imported as it is.
+// Rows are read/written by controllers/seoCsvController.js and applied by
+// services/seoImportQueue.js.
+
+import { parseCsv, normalizeHeader } from './csv.js';
+import { TITLE_LIMIT, META_MAX } from './seoLimits.js';
+
+export const SEO_CSV_COLUMNS = [
+  'type',
+  'id',
+  'handle',
+  'title',
+  'language',
+  'seo_title',
+  'meta_description',
+  'bullets',
+  'faq',
+  'image_alt'
+];
+
+export const SEO_CSV_TYPES = ['product', 'collection'];
+
+// The limits fixupAndValidate() in seoController.js clamps generated SEO to - imported
+// copy is rejected instead of silently cut
+export const SEO_FIELD_LIMITS = {
+  title: TITLE_LIMIT,
+  metaDescription: META_MAX,
+  bullets: { min: 2, max: 10, minLength: 2, maxLength: 160 },
+  faq: { min: 1, max: 10, question: [3, 160], answer: [3, 400] },
+  alt: 125
+};
+
+// Row field -> seo_ai metafield key, in diff order
+const FIELD_KEYS = {
+  seo_title: 'title',
+  meta_description: 'metaDescription',
+  bullets: 'bullets',
+  faq: 'faq'
+};
+
+const lines = (text) => String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+
+export function formatBullets(bullets) {
+  return Array.isArray(bullets) ? bullets.join('\n') : '';
+}
+
+// One "Q: ..." line followed by one "A: ..." line per question
+export function formatFaq(faq) {
+  return Array.isArray(faq) ? faq.map(f => `Q: ${f.q}\nA: ${f.a}`).join('\n') : '';
+}
+
+// One "<image id>: <alt text>" line per image
+export function formatImageAlts(images) {
+  return (images || []).map(img => `${gidTail(img.id)}: ${img.altText || ''}`).join('\n');
+}
+
+function gidTail(value) {
+  return String(value || '').split('/').pop();
+}
+
+export function parseFaq(text) {
+  const faq = [];
+  let current = null;
+  for (const line of lines(text)) {
+    const match = line.match(/^([QA])\s*[:.)-]\s*(.*)$/i);
+    if (!match) throw new Error(`FAQ lines must start with "Q:" or "A:" (got "${line.slice(0, 40)}")`);
+    const [, kind, value] = match;
+    if (kind.toUpperCase() === 'Q') {
+      if (current) throw new Error(`FAQ question without answer: "${current.q.slice(0, 40)}"`);
+      current = { q: value.trim(), a: '' };
+    } else {
+      if (!current) throw new Error('FAQ answer without question');
+      current.a = value.trim();
+      faq.push(current);
+      current = null;
+    }
+  }
+  if (current) throw new Error(`FAQ question without answer: "${current.q.slice(0, 40)}"`);
+  return faq;
+}
+
+// Lines without alt text (as exported for images that have none) are left alone
+export function parseImageAlts(text) {
+  return lines(text).map(line => {
+    const match = line.match(/^(\d+)\s*:\s*(.*)$/);
+    if (!match) throw new Error(`image_alt lines must look like "<image id>: <alt text>" (got "${line.slice(0, 40)}")`);
+    return { imageId: `gid://shopify/ProductImage/${match[1]}`, alt: match[2].trim() };
+  }).filter(a => a.alt);
+}
+
+/**
+ * Check row fields against SEO_FIELD_LIMITS.
+ * @returns {string[]} problems, empty when valid
+ */
+export function validateSeoFields(fields, alts = []) {
+  const problems = [];
+  const L = SEO_FIELD_LIMITS;
+
+  if (fields.title !== undefined && fields.title.length > L.title) {
+    problems.push(`seo_title is ${fields.title.length} characters (max ${L.title})`);
+  }
+  if (fields.metaDescription !== undefined && fields.metaDescription.length > L.metaDescription) {
+    problems.push(`meta_description is ${fields.metaDescription.length} characters (max ${L.metaDescription})`);
+  }
+  if (fields.bullets) {
+    if (fields.bullets.length < L.bullets.min || fields.bullets.length > L.bullets.max) {
+      problems.push(`bullets needs ${L.bullets.min}-${L.bullets.max} lines (got ${fields.bullets.length})`);
+    }
+    const bad = fields.bullets.find(b => b.length < L.bullets.minLength || b.length > L.bullets.maxLength);
+    if (bad) problems.push(`bullet "${bad.slice(0, 40)}" must be ${L.bullets.minLength}-${L.bullets.maxLength} characters`);
+  }
+  if (fields.faq) {
+    if (fields.faq.length < L.faq.min || fields.faq.length > L.faq.max) {
+      problems.push(`faq needs ${L.faq.min}-${L.faq.max} questions (got ${fields.faq.length})`);
+    }
+    const [qMin, qMax] = L.faq.question;
+    const [aMin, aMax] = L.faq.answer;
+    const bad = fields.faq.find(f => f.q.length < qMin || f.q.length > qMax || f.a.length < aMin || f.a.length > aMax);
+    if (bad) problems.push(`FAQ "${bad.q.slice(0, 40)}": questions must be ${qMin}-${qMax} and answers ${aMin}-${aMax} characters`);
+  }
+  const badAlt = alts.find(a => !a.alt || a.alt.length > L.alt);
+  if (badAlt) problems.push(`alt text of image ${gidTail(badAlt.imageId)} must be 1-${L.alt} characters`);
+
+  return problems;
+}
+
+// Excel saves CSV with the locale's list separator
+function detectDelimiter(text) {
+  const header = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(d => [d, header.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Parse and validate an SEO sheet. Locale and field checks happen here; whether the
+ * product/collection exists is checked by the caller.
+ * @param {string} text - CSV text (comma, semicolon or tab separated)
+ * @param {Object} options
+ * @param {string[]} options.locales - the shop's locales (lowercase)
+ * @param {string} options.primaryLocale
+ * @returns {{ rows: Object[], errors: Array<{ row: number, error: string }> }}
+ */
+export function parseSeoCsv(text, { locales = [], primaryLocale = 'en' } = {}) {
+  const { headers, records } = parseCsv(text, { delimiter: detectDelimiter(text) });
+  if (!headers.includes('type') || !headers.includes('language') || !(headers.includes('id') || headers.includes('handle'))) {
+    const error = new Error('CSV needs type, language and id or handle columns');
+    error.status = 400;
+    throw error;
+  }
+  if (!Object.keys(FIELD_KEYS).some(c => headers.includes(c)) && !headers.includes('image_alt')) {
+    const error = new Error(`CSV has no SEO columns (${[...Object.keys(FIELD_KEYS), 'image_alt'].join(', ')})`);
+    error.status = 400;
+    throw error;
+  }
+
+  const knownLocales = locales.map(l => l.toLowerCase());
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+
+  records.forEach((record, i) => {
+    // +2: header row and 1-based line numbers
+    const row = i + 2;
+    const fail = (error) => errors.push({ row, error });
+
+    const type = normalizeHeader(record.type);
+    if (!SEO_CSV_TYPES.includes(type)) return fail(`type must be ${SEO_CSV_TYPES.join(' or ')}`);
+
+    const id = gidTail(record.id || '');
+    if (id && !/^\d+$/.test(id)) return fail(`id "${record.id}" is not a Shopify id`);
+    const handle = (record.handle || '').toLowerCase();
+    if (!id && !handle) return fail('id or handle is required');
+
+    const language = (record.language || '').toLowerCase();
+    if (!language) return fail('language is required');
+    if (knownLocales.length && !knownLocales.includes(language)) {
+      return fail(`Unknown locale "${language}" (store languages: ${knownLocales.join(', ')})`);
+    }
+
+    const fields = {};
+    let alts = [];
+    try {
+      if (record.seo_title) fields.title = record.seo_title;
+      if (record.meta_description) fields.metaDescription = record.meta_description;
+      if (record.bullets) fields.bullets = lines(record.bullets);
+      if (record.faq) fields.faq = parseFaq(record.faq);
+      if (record.image_alt) alts = parseImageAlts(record.image_alt);
+    } catch (e) {
+      return fail(e.message);
+    }
+
+    if (alts.length && type !== 'product') return fail('image_alt is only supported for products');
+    if (alts.length && language !== primaryLocale.toLowerCase()) {
+      return fail(`image_alt belongs on the ${primaryLocale} row (Shopify stores one alt text per image)`);
+    }
+    const problems = validateSeoFields(fields, alts);
+    if (problems.length) return fail(problems.join('; '));
+
+    const key = `${type}:${id || handle}:${language}`;
+    if (seen.has(key)) return fail(`Duplicate of row ${seen.get(key)}`);
+    seen.set(key, row);
+
+    rows.push({ row, type, id, handle, language, fields, alts });
+  });
+
+  return { rows, errors };
+}
+
+/**
+ * Changed fields of one row against the current metafield value and image alts.
+ * @param {Object|null} current - parsed seo_ai.seo__{lang} value
+ * @param {Array<{ id: string, altText: string }>} currentImages
+ * @param {Object} row - from parseSeoCsv()
+ * @returns {Array<{ field: string, before: string, after: string }>}
+ */
+export function diffSeoRow(current, currentImages, row) {
+  const changes = [];
+  const asText = {
+    title: v => v || '',
+    metaDescription: v => v || '',
+    bullets: formatBullets,
+    faq: formatFaq
+  };
+
+  for (const [column, key] of Object.entries(FIELD_KEYS)) {
+    if (row.fields[key] === undefined) continue;
+    const before = asText[key](current?.[key]);
+    const after = asText[key](row.fields[key]);
+    if (before !== after) changes.push({ field: column, before, after });
+  }
+
+  for (const alt of row.alts || []) {
+    const image = (currentImages || []).find(img => img.id === alt.imageId);
+    if (image && (image.altText || '') !== alt.alt) {
+      changes.push({ field: `image_alt ${gidTail(alt.imageId)}`, before: image.altText || '', after: alt.alt });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Metafield value after the import: the current value with the row's fields on top.
+ */
+export function mergeSeoFields(current, fields) {
+  const { language, updatedAt, ...rest } = current || {};
+  return { ...rest, ...fields };
+}
+
+/**
+ * The metafields of one resource as sheet rows, one per language.
+ * @param {Object} resource - { type, id (gid), handle, title, metafields: [{ key, value }], images? }
+ * @param {string[]} locales - row languages, primary first
+ */
+export function resourceToCsvRows(resource, locales) {
+  const byKey = new Map((resource.metafields || []).map(m => [m.key, m.value]));
+  return locales.map((language, i) => {
+    let seo = null;
+    try {
+      seo = JSON.parse(byKey.get(`seo__${language}`) || 'null');
+    } catch {
+      seo = null;
+    }
+    return {
+      type: resource.type,
+      id: gidTail(resource.id),
+      handle: resource.handle,
+      title: resource.title,
+      language,
+      seo_title: seo?.title || '',
+      meta_description: seo?.metaDescription || '',
+      bullets: formatBullets(seo?.bullets),
+      faq: formatFaq(seo?.faq),
+      image_alt: resource.type === 'product' && i === 0 ? formatImageAlts(resource.images) : ''
+    };
+  });
+}
@@ -0,0 +1,40 @@
+// backend/utils/seoDiff.js
+// Field-level diff between two seo_ai.seo__{lang} snapshots (see db/SeoVersion.js)
+
+// Fields shown in the history UI, in display order
+export const SEO_DIFF_FIELDS = ['title', 'metaDescription', 'bodyHtml', 'bullets', 'faq', 'imageAlt', 'slug'];
+
+function normalizeValue(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+  return value;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Compare two SEO snapshots and return the changed fields.
+ * A null snapshot means "no SEO metafield existed".
+ * @param {Object|null} before - seo object before the change
+ * @param {Object|null} after - seo object after the change
+ * @returns {Array<{ field: string, before: any, after: any, change: 'added'|'removed'|'changed' }>}
+ */
+export function diffSeoSnapshots(before, after) {
+  const changes = [];
+
+  for (const field of SEO_DIFF_FIELDS) {
+    const b = normalizeValue(before?.[field]);
+    const a = normalizeValue(after?.[field]);
+    if (isEqual(a, b)) continue;
+
+    let change = 'changed';
+    if (b === null) change = 'added';
+    else if (a === null) change = 'removed';
+
+    changes.push({ field, before: b, after: a, change });
+  }
+
+  return changes;
+}
@@ -0,0 +1,132 @@
+// backend/utils/seoDraft.js
+// Per-field review of AI-generated product SEO (see db/SeoDraft.js)
+
+// Fields the merchant approves / edits / rejects, in display order
+export const REVIEW_FIELDS = ['title', 'metaDescription', 'bullets', 'faq'];
+
+export const FIELD_STATUSES = ['pending', 'approved', 'rejected'];
+
+function cleanText(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a merchant edit to the shape stored in the seo metafield.
+ * Bullets accept an array or newline-separated text, FAQ an array of { q, a }.
+ */
+export function normalizeFieldValue(field, value) {
+  if (field === 'title' || field === 'metaDescription') {
+    return cleanText(value);
+  }
+  if (field === 'bullets') {
+    const list = Array.isArray(value) ? value : String(value ?? '').split('\n');
+    return list.map(cleanText).filter(Boolean);
+  }
+  if (field === 'faq') {
+    return (Array.isArray(value) ? value : [])
+      .filter(item => item && typeof item === 'object')
+      .map(item => ({ q: cleanText(item.q), a: cleanText(item.a) }))
+      .filter(item => item.q && item.a);
+  }
+  throw new Error(`Unknown review field: ${field}`);
+}
+
+/**
+ * Initial review fields for a freshly generated seo object.
+ */
+export function createDraftFields(seo) {
+  const fields = {};
+  for (const field of REVIEW_FIELDS) {
+    const value = seo?.[field];
+    fields[field] = { value: value === undefined ? null : value, edited: null, status: 'pending' };
+  }
+  return fields;
+}
+
+/**
+ * Merge review decisions into the draft fields. Returns new fields.
+ * @param {Object} fields - current draft fields
+ * @param {Object} decisions - { [field]: { status?, edited? } }, edited: null clears an edit
+ * @throws {Error} with status 400 for unknown fields/statuses or empty edits
+ */
+export function applyReviewDecisions(fields, decisions = {}) {
+  const next = {};
+  for (const field of REVIEW_FIELDS) {
+    next[field] = { value: null, edited: null, status: 'pending', ...(fields?.[field] || {}) };
+  }
+
+  for (const [field, decision] of Object.entries(decisions || {})) {
+    if (!REVIEW_FIELDS.includes(field)) {
+      const e = new Error(`Unknown review field: ${field}`);
+      e.status = 400;
+      throw e;
+    }
+    if (!decision || typeof decision !== 'object') continue;
+
+    if (decision.status !== undefined) {
+      if (!FIELD_STATUSES.includes(decision.status)) {
+        const e = new Error(`Invalid status for ${field}: ${decision.status}`);
+        e.status = 400;
+        throw e;
+      }
+      next[field].status = decision.status;
+    }
+
+    if (decision.edited !== undefined) {
+      if (decision.edited === null) {
+        next[field].edited = null;
+      } else {
+        const edited = normalizeFieldValue(field, decision.edited);
+        if (edited.length === 0) {
+          const e = new Error(`Edited ${field} cannot be empty (reject the field instead)`);
+          e.status = 400;
+          throw e;
+        }
+        next[field].edited = edited;
+      }
+    }
+  }
+  return next;
+}
+
+/**
+ * Review state of a draft:
+ *   'pending'  - at least one field still needs a decision
+ *   'ready'    - all fields decided, at least one approved (can be published)
+ *   'rejected' - every field rejected (nothing to publish)
+ */
+export function draftReviewState(draft) {
+  const statuses = REVIEW_FIELDS.map(f => draft?.fields?.[f]?.status || 'pending');
+  if (statuses.includes('pending')) return 'pending';
+  return statuses.includes('approved') ? 'ready' : 'rejected';
+}
+
+/**
+ * The seo object to publish for a reviewed draft. Approved fields use the
+ * merchant's edit (or the generated value); rejected fields keep what is live
+ * now. Fields the draft does not review (bodyHtml, slug, jsonLd, ...) are
+ * published as generated.
+ */
+export function buildSeoFromDraft(draft) {
+  const seo = { ...(draft?.seo || {}) };
+  const current = draft?.current || null;
+
+  for (const field of REVIEW_FIELDS) {
+    const entry = draft?.fields?.[field] || {};
+    if (entry.status === 'approved') {
+      seo[field] = entry.edited ?? entry.value;
+      continue;
+    }
+
+    // Rejected (or undecided): keep the live value
+    if (field === 'title') {
+      seo.title = current?.title || draft?.productTitle || seo.title;
+    } else if (field === 'metaDescription') {
+      if (current?.metaDescription) seo.metaDescription = current.metaDescription;
+      else delete seo.metaDescription; // derived from bodyHtml on apply
+    } else {
+      seo[field] = Array.isArray(current?.[field]) ? current[field] : [];
+    }
+  }
+  return seo;
+}
@@ -0,0 +1,8 @@
+// backend/utils/seoLimits.js
+// Length targets for generated SEO: fixupAndValidate() in seoController.js clamps to them,
+// the CSV importer (seoCsv.js) rejects copy beyond them and the audit (seoAudit.js) flags it.
+
+export const TITLE_LIMIT = 70;
+export const META_MIN = 20;
+export const META_TARGET = 180;
+export const META_MAX = 200;
@@ -0,0 +1,320 @@
+// backend/utils/sitemapXml.js
+// XML building blocks for the sitemap index and its child sitemaps
+// (products, collections, pages, articles, one per extra locale/market).
+// Pure helpers; sitemapController.js fetches the data and stores the output.
+
+// Protocol limits per child sitemap (sitemaps.org)
+export const SITEMAP_MAX_URLS = 50000;
+export const SITEMAP_MAX_BYTES = 50 * 1024 * 1024;
+// Children are stored one per MongoDB document, which caps at 16MB
+export const SITEMAP_CHILD_MAX_BYTES = 15 * 1024 * 1024;
+// Google reads at most 1000 images per URL
+const MAX_IMAGES_PER_URL = 1000;
+
+const NAMESPACES = {
+  xhtml: 'http://www.w3.org/1999/xhtml',
+  image: 'http://www.google.com/schemas/sitemap-image/1.1',
+  ai: 'http://www.aidata.org/schemas/sitemap/1.0'
+};
+
+export function escapeXml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[<>&'"]/g, c => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    '\'': '&apos;',
+    '"': '&quot;'
+  })[c]);
+}
+
+/**
+ * One <url> entry.
+ * @param {Object} entry
+ * @param {string} entry.loc
+ * @param {string} [entry.lastmod] - YYYY-MM-DD
+ * @param {string} [entry.changefreq]
+ * @param {string|number} [entry.priority]
+ * @param {Array<{ hreflang, href }>} [entry.alternates]
+ * @param {string[]} [entry.images] - absolute image URLs
+ * @param {string} [entry.extra] - ready-made XML placed last (e.g. the ai:product block)
+ */
+export function renderUrlEntry({ loc, lastmod, changefreq, priority, alternates = [], images = [], extra = '' }) {
+  let xml = '  <url>\n';
+  xml += '    <loc>' + escapeXml(loc) + '</loc>\n';
+  if (lastmod) xml += '    <lastmod>' + lastmod + '</lastmod>\n';
+  if (changefreq) xml += '    <changefreq>' + changefreq + '</changefreq>\n';
+  if (priority !== undefined && priority !== null) xml += '    <priority>' + priority + '</priority>\n';
+  for (const alt of alternates) {
+    xml += '    <xhtml:link rel="alternate" hreflang="' + escapeXml(alt.hreflang) + '" href="' + escapeXml(alt.href) + '" />\n';
+  }
+  for (const image of images.slice(0, MAX_IMAGES_PER_URL)) {
+    xml += '    <image:image>\n';
+    xml += '      <image:loc>' + escapeXml(image) + '</image:loc>\n';
+    xml += '    </image:image>\n';
+  }
+  xml += extra;
+  xml += '  </url>\n';
+  return xml;
+}
+
+export function renderUrlset(entries, { ai = false } = {}) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"\n';
+  xml += '        xmlns:xhtml="' + NAMESPACES.xhtml + '"\n';
+  xml += '        xmlns:image="' + NAMESPACES.image + '"';
+  if (ai) xml += '\n        xmlns:ai="' + NAMESPACES.ai + '"';
+  xml += '>\n';
+  xml += entries.join('');
+  xml += '</urlset>\n';
+  return xml;
+}
+
+/**
+ * @param {Array<{ loc, lastmod }>} children
+ */
+export function renderSitemapIndex(children) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n';
+  for (const child of children) {
+    xml += '  <sitemap>\n';
+    xml += '    <loc>' + escapeXml(child.loc) + '</loc>\n';
+    if (child.lastmod) xml += '    <lastmod>' + child.lastmod + '</lastmod>\n';
+    xml += '  </sitemap>\n';
+  }
+  xml += '</sitemapindex>\n';
+  return xml;
+}
+
+/**
+ * Split rendered <url> entries into child sitemaps that stay under both the URL
+ * and the byte limit (the urlset wrapper included).
+ * @param {string[]} entries
+ * @returns {string[][]}
+ */
+export function chunkEntries(entries, { maxUrls = SITEMAP_MAX_URLS, maxBytes = SITEMAP_CHILD_MAX_BYTES, ai = false } = {}) {
+  const overhead = Buffer.byteLength(renderUrlset([], { ai }), 'utf8');
+  const chunks = [];
+  let current = [];
+  let size = overhead;
+
+  for (const entry of entries) {
+    const bytes = Buffer.byteLength(entry, 'utf8');
+    if (current.length && (current.length >= maxUrls || size + bytes > maxBytes)) {
+      chunks.push(current);
+      current = [];
+      size = overhead;
+    }
+    current.push(entry);
+    size += bytes;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Child sitemap file name: 'products-1', 'collections-2', 'locale-fr-ca-1'.
+ */
+export function childSitemapName(type, part, hreflang = null) {
+  return [type, hreflang && hreflang.toLowerCase(), part].filter(Boolean).join('-');
+}
+
+function trimSlash(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+/**
+ * Storefront roots to list as hreflang alternates: every published locale of the
+ * primary market, plus each single-country market's locales ('fr-CA') when that
+ * market has its own domain or subfolder.
+ * @param {Object} input
+ * @param {string} input.primaryUrl - primary domain, e.g. 'https://shop.com'
+ * @param {Array<{ locale, primary, published }>} [input.locales] - shopLocales
+ * @param {Array<{ primary, enabled, countries: string[], rootUrls: Array<{ locale, url }> }>} [input.markets]
+ * @returns {Array<{ hreflang, locale, url, primary }>}
+ */
+export function buildHreflangTargets({ primaryUrl, locales = [], markets = [] }) {
+  const root = trimSlash(primaryUrl);
+  const published = locales.filter(l => l.primary || l.published !== false);
+  const primaryLocale = published.find(l => l.primary)?.locale || published[0]?.locale || 'en';
+  const primaryMarket = markets.find(m => m.primary);
+  const primaryRoots = new Map((primaryMarket?.rootUrls || []).map(r => [r.locale, trimSlash(r.url)]));
+
+  const targets = [];
+  const seen = new Set();
+  const usedUrls = new Set();
+  const add = (hreflang, locale, url, primary = false) => {
+    const key = hreflang.toLowerCase();
+    if (seen.has(key) || usedUrls.has(url)) return;
+    seen.add(key);
+    usedUrls.add(url);
+    targets.push({ hreflang, locale, url, primary });
+  };
+
+  add(primaryLocale, primaryLocale, primaryRoots.get(primaryLocale) || root, true);
+  for (const { locale } of published) {
+    if (locale === primaryLocale) continue;
+    add(locale, locale, primaryRoots.get(locale) || `${root}/${locale}`);
+  }
+
+  for (const market of markets) {
+    if (market.primary || market.enabled === false || market.countries?.length !== 1) continue;
+    const country = market.countries[0].toUpperCase();
+    for (const { locale, url } of market.rootUrls || []) {
+      add(`${locale.split('-')[0]}-${country}`, locale, trimSlash(url));
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * xhtml:link alternates for one storefront path ('/products/shoe'), x-default
+ * pointing at the primary locale. Empty when the store has a single locale.
+ */
+export function hreflangAlternates(targets, path) {
+  if (targets.length < 2) return [];
+  const alternates = targets.map(t => ({ hreflang: t.hreflang, href: t.url + path }));
+  const primary = targets.find(t => t.primary) || targets[0];
+  alternates.push({ hreflang: 'x-default', href: primary.url + path });
+  return alternates;
+}
+
+const URL_ENTRY_RE = /  <url>\n[\s\S]*?  <\/url>\n/g;
+const LOC_RE = /<loc>([^<]*)<\/loc>/;
+const LASTMOD_RE = /<lastmod>([^<]*)<\/lastmod>/;
+const AI_BLOCK_RE = /    <ai:product>\n[\s\S]*?    <\/ai:product>\n/;
+
+function unescapeXml(value) {
+  return value.replace(/&(lt|gt|apos|quot|amp);/g, (m, name) => ({
+    lt: '<', gt: '>', apos: '\'', quot: '"', amp: '&'
+  })[name]);
+}
+
+/**
+ * Split a urlset rendered by renderUrlset() back into its header and <url> entries.
+ * @returns {{ head: string, entries: Array<{ loc: string, xml: string }> }}
+ */
+export function parseUrlset(xml) {
+  const start = xml.indexOf('  <url>\n');
+  const head = start === -1 ? xml.slice(0, xml.indexOf('</urlset>')) : xml.slice(0, start);
+  const entries = (xml.match(URL_ENTRY_RE) || []).map(entry => ({
+    loc: unescapeXml(entry.match(LOC_RE)?.[1] || ''),
+    xml: entry
+  }));
+  return { head, entries };
+}
+
+/**
+ * Locs of the entries with a lastmod on or after `since` ('YYYY-MM-DD'); all locs
+ * without `since`. Entries without lastmod count as changed.
+ */
+export function changedLocs(xml, since = null) {
+  return parseUrlset(xml).entries
+    .filter(entry => {
+      if (!since) return true;
+      const lastmod = entry.xml.match(LASTMOD_RE)?.[1];
+      return !lastmod || lastmod.slice(0, 10) >= since;
+    })
+    .map(entry => entry.loc);
+}
+
+const SITEMAP_ENTRY_RE = /  <sitemap>\n[\s\S]*?  <\/sitemap>\n/g;
+
+/**
+ * Children listed by a sitemap index rendered by renderSitemapIndex().
+ * @returns {Array<{ loc: string, lastmod?: string }>}
+ */
+export function parseSitemapIndex(xml) {
+  return (xml.match(SITEMAP_ENTRY_RE) || []).map(entry => ({
+    loc: unescapeXml(entry.match(LOC_RE)?.[1] || ''),
+    lastmod: entry.match(LASTMOD_RE)?.[1]
+  }));
+}
+
+/**
+ * ai:content block for an optimized blog article or page (see db/ContentSeo.js).
+ * @param {Object} content
+ * @param {'article'|'page'} content.type
+ * @param {string} content.language
+ * @param {{ title, metaDescription, excerpt, faq }} content.seo
+ */
+export function contentAiBlock({ type, language, seo }) {
+  if (!seo) return '';
+  let xml = '    <ai:content>\n';
+  xml += '      <ai:type>' + escapeXml(type) + '</ai:type>\n';
+  xml += '      <ai:title>' + escapeXml(seo.title) + '</ai:title>\n';
+  if (seo.metaDescription) xml += '      <ai:description>' + escapeXml(seo.metaDescription) + '</ai:description>\n';
+  if (seo.excerpt) xml += '      <ai:summary>' + escapeXml(seo.excerpt) + '</ai:summary>\n';
+  if (language) xml += '      <ai:language>' + escapeXml(language) + '</ai:language>\n';
+  const faq = (seo.faq || []).filter(item => item?.q && item?.a);
+  if (faq.length) {
+    xml += '      <ai:faq>\n';
+    for (const item of faq) {
+      xml += '        <ai:qa>\n';
+      xml += '          <ai:question>' + escapeXml(item.q) + '</ai:question>\n';
+      xml += '          <ai:answer>' + escapeXml(item.a) + '</ai:answer>\n';
+      xml += '        </ai:qa>\n';
+    }
+    xml += '      </ai:faq>\n';
+  }
+  xml += '    </ai:content>\n';
+  return xml;
+}
+
+/**
+ * The ai:product block of a rendered entry ('' when there is none), so a patched
+ * entry keeps the AI data that only a full AI sitemap run can produce.
+ */
+export function entryAiBlock(entryXml) {
+  return entryXml?.match(AI_BLOCK_RE)?.[0] || '';
+}
+
+/**
+ * Replace or remove entries of one child sitemap.
+ * Each change drops every entry at `loc` or one of `oldLocs` (old handle); with
+ * `render` the new entry takes the place of the first one dropped. Changes that
+ * matched nothing are returned as `unmatched` so the caller can try the next child
+ * or append them with `append: true`.
+ * @param {string} xml - child urlset
+ * @param {Array<{ loc: string, oldLocs?: string[], render?: (previousXml: string|null) => string }>} changes
+ * @param {Object} [options]
+ * @param {boolean} [options.append=false] - add unmatched entries with `render` at the end
+ * @returns {{ content: string, urlCount: number, changed: boolean, unmatched: Array }}
+ */
+export function patchUrlset(xml, changes, { append = false } = {}) {
+  const { head, entries } = parseUrlset(xml);
+  let result = entries;
+  let changed = false;
+  const unmatched = [];
+
+  for (const change of changes) {
+    const locs = new Set([change.loc, ...(change.oldLocs || [])]);
+    const first = result.findIndex(entry => locs.has(entry.loc));
+
+    if (first === -1) {
+      if (append && change.render) {
+        result = [...result, { loc: change.loc, xml: change.render(null) }];
+        changed = true;
+      } else {
+        unmatched.push(change);
+      }
+      continue;
+    }
+
+    const replacement = change.render ? [{ loc: change.loc, xml: change.render(result[first].xml) }] : [];
+    result = [
+      ...result.slice(0, first).filter(entry => !locs.has(entry.loc)),
+      ...replacement,
+      ...result.slice(first + 1).filter(entry => !locs.has(entry.loc))
+    ];
+    changed = true;
+  }
+
+  return {
+    content: head + result.map(entry => entry.xml).join('') + '</urlset>\n',
+    urlCount: result.length,
+    changed,
+    unmatched
+  };
+}
@@ -0,0 +1,140 @@
+// backend/utils/spendingCaps.js
+// Per-shop token spending limits (TokenBalance.spendingLimits):
+//   monthlyBudget       - tokens a shop may spend per calendar month (UTC), null = no budget
+//   maxPerJob           - largest estimate a single job/request may reserve, null = no limit
+//   alertPercent        - budget share that triggers the warning alert (default 80)
+//   lowBalanceThreshold - alert when the balance drops below this, null = off
+// Pure helpers; the TokenBalance model keeps monthlySpend up to date.
+
+export const DEFAULT_ALERT_PERCENT = 80;
+
+export function currentPeriod(now = new Date()) {
+  return now.toISOString().slice(0, 7); // 'YYYY-MM'
+}
+
+function limitOf(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function getSpendingLimits(tokenBalance) {
+  const limits = tokenBalance?.spendingLimits || {};
+  const alertPercent = Number(limits.alertPercent);
+  return {
+    monthlyBudget: limitOf(limits.monthlyBudget),
+    maxPerJob: limitOf(limits.maxPerJob),
+    alertPercent: alertPercent > 0 && alertPercent <= 100 ? alertPercent : DEFAULT_ALERT_PERCENT,
+    lowBalanceThreshold: limitOf(limits.lowBalanceThreshold),
+    emailAlerts: limits.emailAlerts !== false
+  };
+}
+
+// Tokens charged in the current month
+export function getMonthlySpent(tokenBalance, now = new Date()) {
+  const spend = tokenBalance?.monthlySpend;
+  return spend?.period === currentPeriod(now) ? spend.tokens || 0 : 0;
+}
+
+// Tokens held by reservations that are not finalized yet
+export function getOpenReservedTokens(tokenBalance) {
+  return (tokenBalance?.usage || [])
+    .filter(u => u.metadata?.status === 'reserved')
+    .reduce((sum, u) => sum + (u.tokensUsed || 0), 0);
+}
+
+/**
+ * Where the shop stands against its limits.
+ */
+export function getSpendingStatus(tokenBalance, now = new Date()) {
+  const limits = getSpendingLimits(tokenBalance);
+  const spent = getMonthlySpent(tokenBalance, now);
+  const reserved = getOpenReservedTokens(tokenBalance);
+  const balance = tokenBalance?.balance || 0;
+  const committed = spent + reserved;
+
+  const percentUsed = limits.monthlyBudget ? Math.round((committed / limits.monthlyBudget) * 1000) / 10 : null;
+  const budgetReached = !!limits.monthlyBudget && committed >= limits.monthlyBudget;
+
+  return {
+    period: currentPeriod(now),
+    ...limits,
+    spent,
+    reserved,
+    remaining: limits.monthlyBudget ? Math.max(0, limits.monthlyBudget - committed) : null,
+    percentUsed,
+    budgetWarning: !!limits.monthlyBudget && !budgetReached && percentUsed >= limits.alertPercent,
+    budgetReached,
+    balance,
+    lowBalance: !!limits.lowBalanceThreshold && balance < limits.lowBalanceThreshold
+  };
+}
+
+/**
+ * Check an operation against the limits before it starts.
+ * @param {Object} tokenBalance
+ * @param {number} tokens - estimate with margin for the whole job/request
+ * @returns {null|{ code: 'job-limit'|'monthly-budget', limit, requested, spent?, remaining? }}
+ */
+export function checkSpendingCaps(tokenBalance, tokens, now = new Date()) {
+  const status = getSpendingStatus(tokenBalance, now);
+
+  if (status.maxPerJob && tokens > status.maxPerJob) {
+    return { code: 'job-limit', limit: status.maxPerJob, requested: tokens };
+  }
+  if (status.monthlyBudget && status.spent + status.reserved + tokens > status.monthlyBudget) {
+    return {
+      code: 'monthly-budget',
+      limit: status.monthlyBudget,
+      requested: tokens,
+      spent: status.spent + status.reserved,
+      remaining: status.remaining
+    };
+  }
+  return null;
+}
+
+/**
+ * 402 body for a refused operation (frontends show `message`).
+ */
+export function spendingCapResponse(violation, feature) {
+  const message = violation.code === 'job-limit'
+    ? `This job needs about ${violation.requested.toLocaleString()} tokens, above your per-job limit of ${violation.limit.toLocaleString()}. Select fewer items or raise the limit in Billing.`
+    : `This would exceed your monthly token budget: ${violation.remaining.toLocaleString()} of ${violation.limit.toLocaleString()} tokens left, about ${violation.requested.toLocaleString()} needed. Raise the budget in Billing or wait for next month.`;
+  return {
+    error: 'Spending limit reached',
+    spendingCap: true,
+    capType: violation.code,
+    feature,
+    tokensRequired: violation.requested,
+    limit: violation.limit,
+    spent: violation.spent ?? null,
+    remaining: violation.remaining ?? null,
+    message
+  };
+}
+
+/**
+ * Alerts that should go out now. Keys are stored in TokenBalance.spendingAlerts so every
+ * alert is sent once: budget alerts once per month, the low-balance alert again only
+ * after the balance recovered above the threshold.
+ * @returns {{ send: Array<{ type, key }>, clear: string[], status: Object }}
+ */
+export function getDueSpendingAlerts(tokenBalance, now = new Date()) {
+  const status = getSpendingStatus(tokenBalance, now);
+  const sent = tokenBalance?.spendingAlerts || [];
+  const send = [];
+  const clear = sent.filter(key => key.startsWith('budget-') && !key.endsWith(`:${status.period}`));
+
+  if (status.budgetReached) {
+    send.push({ type: 'budget-reached', key: `budget-reached:${status.period}` });
+  } else if (status.budgetWarning) {
+    send.push({ type: 'budget-warning', key: `budget-warning:${status.period}` });
+  }
+  if (status.lowBalance) {
+    send.push({ type: 'low-balance', key: 'low-balance' });
+  } else if (sent.includes('low-balance')) {
+    clear.push('low-balance');
+  }
+
+  return { send: send.filter(alert => !sent.includes(alert.key)), clear, status };
+}
@@ -0,0 +1,104 @@
+// backend/utils/tokenMeter.js
+// Attributes AI provider calls (model, tokens, real USD cost) and background job ids
+// to token reservations, without threading them through every generator.
+//
+// A meter is an AsyncLocalStorage context opened per HTTP request (meterMiddleware)
+// and per background job / job item (durableQueue.js). chatCompletion() reports each
+// call into the current meter; TokenBalance.reserveTokens() takes a mark and
+// finalizeReservation() reads what was spent since that mark for the ledger entry.
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, estimatedCalls: 0, models: {} };
+}
+
+/**
+ * Run fn inside a new meter. Job fields (jobId, queue) are inherited from the
+ * enclosing meter unless given.
+ * @param {Object} context - { jobId?, queue? }
+ * @param {Function} fn
+ */
+export function runWithMeter(context, fn) {
+  const parent = storage.getStore();
+  return storage.run({
+    jobId: context?.jobId ?? parent?.jobId ?? null,
+    queue: context?.queue ?? parent?.queue ?? null,
+    totals: emptyTotals(),
+    marks: new Map()
+  }, fn);
+}
+
+export function getMeter() {
+  return storage.getStore() || null;
+}
+
+// Express middleware: one meter per request
+export function meterMiddleware() {
+  return (req, res, next) => runWithMeter({}, next);
+}
+
+/**
+ * Record one provider call in the current meter (no-op outside a meter).
+ * @param {Object} result - chatCompletion() result ({ model, provider, usage })
+ */
+export function recordProviderCall(result) {
+  const meter = getMeter();
+  if (!meter || !result?.usage) return;
+
+  const { totals } = meter;
+  const usage = result.usage;
+  totals.calls += 1;
+  totals.promptTokens += usage.prompt_tokens || 0;
+  totals.completionTokens += usage.completion_tokens || 0;
+  totals.costUsd += Number(usage.total_cost) || 0;
+  if (usage.cost_estimated) totals.estimatedCalls += 1;
+
+  const key = `${result.provider || 'unknown'}|${result.model || 'unknown'}`;
+  totals.models[key] = (totals.models[key] || 0) + 1;
+}
+
+/**
+ * Remember the current totals under a key (a reservation id).
+ */
+export function markMeter(key) {
+  const meter = getMeter();
+  if (!meter) return;
+  const { totals } = meter;
+  meter.marks.set(key, { ...totals, models: { ...totals.models } });
+}
+
+/**
+ * What was spent since markMeter(key) in this meter; the mark is released.
+ * @returns {{ model, provider, models, providerCalls, promptTokens, completionTokens, costUsd, costEstimated }|null}
+ *   null when the key was marked in another meter (or never)
+ */
+export function readMeterSince(key) {
+  const meter = getMeter();
+  const mark = meter?.marks.get(key);
+  if (!mark) return null;
+  meter.marks.delete(key);
+  return diffTotals(mark, meter.totals);
+}
+
+export function diffTotals(before, after) {
+  const models = Object.entries(after.models)
+    .map(([key, count]) => [key, count - (before.models[key] || 0)])
+    .filter(([, count]) => count > 0)
+    .sort((a, b) => b[1] - a[1]);
+  const [provider = null, model = null] = models.length ? models[0][0].split('|') : [];
+  const providerCalls = after.calls - before.calls;
+
+  return {
+    provider,
+    model,
+    models: models.map(([key]) => key.split('|')[1]),
+    providerCalls,
+    promptTokens: after.promptTokens - before.promptTokens,
+    completionTokens: after.completionTokens - before.completionTokens,
+    costUsd: Math.round((after.costUsd - before.costUsd) * 1e6) / 1e6,
+    costEstimated: after.estimatedCalls - before.estimatedCalls > 0
+  };
+}
@@ -4,15 +4,17 @@
 import { makeShopifyGraphQLRequest } from './shopifyGraphQL.js';
 import { resolveAdminToken } from './tokenResolver.js';
 import { createAllMetafieldDefinitions } from './metafieldDefinitions.js';
+import { connectWebPixel } from '../services/webPixelService.js';
 
 /**
  * Register products/update webhook with Shopify
  * @param {Object} req - Express request
  * @param {string} shop - Shop domain
  * @param {string} callbackUrl - Full webhook URL (e.g., https://your-app.com/webhooks/products)
+ * @param {string} [topic] - PRODUCTS_UPDATE by default; the same handler also takes PRODUCTS_CREATE and PRODUCTS_DELETE
  * @returns {Promise<Object>} - Registration result
  */
-export async function registerProductsUpdateWebhook(req, shop, callbackUrl) {
+export async function registerProductsUpdateWebhook(req, shop, callbackUrl, topic = 'PRODUCTS_UPDATE') {
   try {
     const accessToken = await resolveAdminToken(req, shop);
     if (!accessToken) {
@@ -22,7 +24,7 @@ export async function registerProductsUpdateWebhook(req, shop, callbackUrl) {
     // Check if webhook already exists
     const checkQuery = `
       query {
-        webhookSubscriptions(first: 50, topics: PRODUCTS_UPDATE) {
+        webhookSubscriptions(first: 50, topics: ${topic}) {
           edges {
             node {
               id
@@ -80,7 +82,7 @@ export async function registerProductsUpdateWebhook(req, shop, callbackUrl) {
     `;
     
     const variables = {
-      topic: 'PRODUCTS_UPDATE',
+      topic,
       webhookSubscription: {
         callbackUrl: callbackUrl,
         format: 'JSON'
@@ -120,9 +122,10 @@ export async function registerProductsUpdateWebhook(req, shop, callbackUrl) {
  * @param {Object} req - Express request
  * @param {string} shop - Shop domain
  * @param {string} callbackUrl - Full webhook URL (e.g., https://your-app.com/webhooks/collections)
+ * @param {string} [topic] - COLLECTIONS_UPDATE by default; the same handler also takes COLLECTIONS_DELETE
  * @returns {Promise<Object>} - Registration result
  */
-export async function registerCollectionsUpdateWebhook(req, shop, callbackUrl) {
+export async function registerCollectionsUpdateWebhook(req, shop, callbackUrl, topic = 'COLLECTIONS_UPDATE') {
   
   try {
     const accessToken = await resolveAdminToken(req, shop);
@@ -133,7 +136,7 @@ export async function registerCollectionsUpdateWebhook(req, shop, callbackUrl) {
     // Check if webhook already exists
     const checkQuery = `
       query {
-        webhookSubscriptions(first: 50, topics: COLLECTIONS_UPDATE) {
+        webhookSubscriptions(first: 50, topics: ${topic}) {
           edges {
             node {
               id
@@ -191,7 +194,7 @@ export async function registerCollectionsUpdateWebhook(req, shop, callbackUrl) {
     `;
     
     const variables = {
-      topic: 'COLLECTIONS_UPDATE',
+      topic,
       webhookSubscription: {
         callbackUrl: callbackUrl,
         format: 'JSON'
@@ -547,10 +550,14 @@ export async function registerAllWebhooks(req, shop, appUrl) {
   // Register products/update webhook
   const productsUrl = `${appUrl}/webhooks/products`;
   results.productsUpdate = await registerProductsUpdateWebhook(req, shop, productsUrl);
+  // Create/delete keep the sitemap and feeds in step (see services/catalogRefreshQueue.js)
+  results.productsCreate = await registerProductsUpdateWebhook(req, shop, productsUrl, 'PRODUCTS_CREATE');
+  results.productsDelete = await registerProductsUpdateWebhook(req, shop, productsUrl, 'PRODUCTS_DELETE');
   
   // Register collections/update webhook
   const collectionsUrl = `${appUrl}/webhooks/collections`;
   results.collectionsUpdate = await registerCollectionsUpdateWebhook(req, shop, collectionsUrl);
+  results.collectionsDelete = await registerCollectionsUpdateWebhook(req, shop, collectionsUrl, 'COLLECTIONS_DELETE');
   
   // Register app/uninstalled webhook
   const uninstallUrl = `${appUrl}/webhooks/app/uninstalled`;
@@ -563,6 +570,9 @@ export async function registerAllWebhooks(req, shop, appUrl) {
   // Register ORDERS_PAID webhook (for revenue analytics)
   const ordersPaidUrl = `${appUrl}/webhooks/orders/paid`;
   results.ordersPaid = await registerOrdersPaidWebhook(req, shop, ordersPaidUrl);
+
+  // Connect the revenue web pixel with its signing secret (events post to /api/pixel/events)
+  results.webPixel = await connectWebPixel(req, shop, appUrl);
   
   // Create metafield definitions (makes metafields visible in Product → Metafields)
   results.metafieldDefinitions = await createAllMetafieldDefinitions(req, shop);
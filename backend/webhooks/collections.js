@@ -1,10 +1,12 @@
 // backend/webhooks/collections.js
-// Handles Shopify "collections/update" webhook
+// Handles Shopify "collections/update" (also collections/delete) webhooks
 // - Syncs collection data to MongoDB
 // - Detects title/description changes and invalidates SEO metafields
 // - Invalidates Redis cache to reflect changes immediately
+// - Marks the collection for the debounced sitemap refresh (catalogRefreshQueue.js)
 
 import cacheService from '../services/cacheService.js';
+import catalogRefreshQueue from '../services/catalogRefreshQueue.js';
 
 /**
  * Smart webhook handler for collections:
@@ -40,6 +42,23 @@ export default async function collectionsWebhook(req, res) {
       // 1. Find existing collection in MongoDB
       const existingCollection = await Collection.findOne({ shop, collectionId });
       
+      // collections/delete only carries the id
+      if (topic === 'collections/delete') {
+        await catalogRefreshQueue.markChanged(shop, {
+          resource: 'collection',
+          resourceId: collectionId,
+          handle: existingCollection?.handle || null,
+          published: false,
+          deleted: true
+        });
+        if (existingCollection) {
+          await Collection.deleteOne({ _id: existingCollection._id });
+        }
+        await cacheService.delPattern(`collections:${shop}:*`);
+        await cacheService.del(`stats:${shop}`);
+        return;
+      }
+      
       // Track whether content changed (initialize outside if block)
       let titleChanged = false;
       let descriptionChanged = false;
@@ -159,6 +178,15 @@ export default async function collectionsWebhook(req, res) {
         }
       }
       
+      // Sitemap picks the change up after the debounce
+      await catalogRefreshQueue.markChanged(shop, {
+        resource: 'collection',
+        resourceId: collectionId,
+        handle: payload.handle,
+        previousHandle: existingCollection?.handle,
+        published: !!payload.published_at
+      });
+      
       // 7. Invalidate Redis cache for this shop's collections
       // This ensures frontend immediately sees the updated collection status
       console.log('[Webhook-Collections] Invalidating Redis cache for shop:', shop);
@@ -1,12 +1,15 @@
 // backend/webhooks/products.js
-// Handles Shopify "products/update" webhook
+// Handles Shopify "products/update" (also products/create and products/delete) webhooks
 // - Syncs product data to MongoDB
 // - Detects title/description changes and invalidates SEO metafields
 // - Invalidates Redis cache to reflect changes immediately
+// - Marks the product for the debounced sitemap/feed refresh (catalogRefreshQueue.js)
 
 import { deleteAllSeoMetafieldsForProduct, deleteAdvancedSchemaMetafieldsForProduct, clearSeoStatusInMongoDB } from '../utils/seoMetafieldUtils.js';
 import cacheService from '../services/cacheService.js';
 import ProductChangeLog from '../db/ProductChangeLog.js';
+import catalogRefreshQueue from '../services/catalogRefreshQueue.js';
+import optimizationRuleQueue from '../services/optimizationRuleQueue.js';
 
 /**
  * Smart webhook handler:
@@ -44,6 +47,35 @@ export default async function productsWebhook(req, res) {
         productId: numericProductId 
       });
       
+      // products/delete only carries the id
+      if (topic === 'products/delete') {
+        await catalogRefreshQueue.markChanged(shop, {
+          resource: 'product',
+          resourceId: numericProductId,
+          handle: existingProduct?.handle || null,
+          published: false,
+          deleted: true
+        });
+        if (existingProduct) {
+          await ProductChangeLog.create({
+            shop,
+            productId: String(numericProductId),
+            productTitle: existingProduct.title || existingProduct.handle || String(numericProductId),
+            productHandle: existingProduct.handle,
+            changeType: 'deleted',
+            hasOptimization: false,
+            needsAttention: false,
+            notified: false
+          });
+          await Product.deleteOne({ _id: existingProduct._id });
+        }
+        await cacheService.delPattern(`products:${shop}:*`);
+        await cacheService.delPattern(`products:*:${shop}`);
+        await cacheService.delPattern(`products:${shop}*`);
+        await cacheService.del(`stats:${shop}`);
+        return;
+      }
+      
       // Track whether content changed (initialize outside if block)
       let titleChanged = false;
       let descriptionChanged = false;
@@ -183,6 +215,18 @@ export default async function productsWebhook(req, res) {
         });
       }
       
+      // Automatic optimization rules evaluate the product after the debounce
+      await optimizationRuleQueue.markChanged(shop, numericProductId, isNewProduct ? 'created' : 'updated');
+
+      // Sitemap and feeds pick the change up after the debounce
+      await catalogRefreshQueue.markChanged(shop, {
+        resource: 'product',
+        resourceId: numericProductId,
+        handle: payload.handle,
+        previousHandle: existingProduct?.handle,
+        published: payload.status === 'active'
+      });
+      
       // 6. Invalidate Redis cache for this shop's products
       // This ensures frontend immediately sees the updated product status
       // Delete both old format (products:shop:*) and new format (products:*:shop)
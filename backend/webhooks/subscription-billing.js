@@ -56,13 +56,14 @@ export default async function handleSubscriptionBilling(req, res) {
       // 3. Any purchased tokens from totalPurchased stay (they never expire)
       
       const currentUsed = tokenBalance.totalUsed;
+      const balanceBefore = tokenBalance.balance;
       
       // Reset to included tokens + any additional purchased tokens
       tokenBalance.balance = included.tokens + (tokenBalance.totalPurchased || 0);
       tokenBalance.totalUsed = 0; // New cycle starts
       
       // Add to usage history for tracking
-      tokenBalance.usage.push({
+      tokenBalance.pushUsage({
         feature: 'monthly-refresh',
         tokensUsed: -included.tokens, // Negative = added
         metadata: {
@@ -76,6 +77,13 @@ export default async function handleSubscriptionBilling(req, res) {
         date: new Date()
       });
       
+      tokenBalance.addLedgerEntry('cycle-reset', {
+        feature: 'monthly-refresh',
+        balanceChange: tokenBalance.balance - balanceBefore,
+        plan,
+        metadata: { includedTokens: included.tokens, previousTotalUsed: currentUsed }
+      });
+      
       await tokenBalance.save();
       
       console.log('[SUBSCRIPTION-BILLING] ✅ Monthly tokens refreshed:', {
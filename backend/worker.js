@@ -0,0 +1,40 @@
+// backend/worker.js
+// Dedicated background worker: processes queued jobs without serving HTTP.
+// Run any number of these next to the web instances (npm run worker). Jobs are
+// leased in MongoDB, so each job runs on exactly one process at a time.
+
+import 'dotenv/config';
+import dbConnection from './db/connection.js';
+import { startJobWorkers, stopJobWorkers } from './services/jobWorkers.js';
+
+async function start() {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is required for the job worker');
+    process.exit(1);
+  }
+
+  await dbConnection.connect();
+
+  if (!startJobWorkers()) {
+    process.exit(1);
+  }
+
+  // Interval timers are unref'd - keep the process alive until a signal arrives
+  const keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+
+  const shutdown = async (signal) => {
+    console.log(`🛑 ${signal} received. Stopping job workers...`);
+    clearInterval(keepAlive);
+    stopJobWorkers();
+    // Running jobs keep their lease until it expires, then another worker resumes them
+    await dbConnection.disconnect();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
+
+start().catch((e) => {
+  console.error('Fatal worker startup error:', e);
+  process.exit(1);
+});
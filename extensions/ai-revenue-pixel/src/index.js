@@ -26,6 +26,23 @@ const AI_SOURCE_MAP = {
   'kagi.com': 'Kagi',
 };
 
+// utm_source values AI tools add to links (e.g. utm_source=chatgpt.com), matched by prefix
+const AI_UTM_SOURCES = [
+  ['chatgpt', 'ChatGPT'],
+  ['openai', 'ChatGPT'],
+  ['perplexity', 'Perplexity'],
+  ['claude', 'Claude'],
+  ['anthropic', 'Claude'],
+  ['gemini', 'Gemini'],
+  ['bard', 'Gemini'],
+  ['copilot', 'Copilot'],
+  ['you.com', 'You.com'],
+  ['poe', 'Poe'],
+  ['phind', 'Phind'],
+  ['meta.ai', 'Meta AI'],
+  ['kagi', 'Kagi'],
+];
+
 function extractDomain(url) {
   if (!url) return '';
   try {
@@ -46,16 +63,58 @@ function detectAISource(referrer) {
   return null;
 }
 
-function sendEvent(appUrl, shopDomain, payload) {
+function readUtm(url) {
+  if (!url) return { source: '', medium: '' };
+  try {
+    const params = new URL(url).searchParams;
+    return {
+      source: (params.get('utm_source') || '').toLowerCase().slice(0, 100),
+      medium: (params.get('utm_medium') || '').toLowerCase().slice(0, 100),
+    };
+  } catch {
+    return { source: '', medium: '' };
+  }
+}
+
+function detectAIFromUtm(utmSource) {
+  const source = (utmSource || '').replace(/^www\./, '');
+  if (!source) return null;
+  const match = AI_UTM_SOURCES.find(([prefix]) => source.startsWith(prefix));
+  return match ? match[1] : null;
+}
+
+function productHandleFromUrl(url) {
+  return url?.split('/products/')[1]?.split('?')[0] || '';
+}
+
+// HMAC-SHA256 over `${timestamp}.${body}` with the shop's signing secret (Web Crypto)
+let signingKey = null;
+async function signBody(secret, timestamp, body) {
+  if (!signingKey) {
+    signingKey = crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+  }
+  const signature = await crypto.subtle.sign('HMAC', await signingKey, new TextEncoder().encode(`${timestamp}.${body}`));
+  return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function sendEvent(appUrl, shopDomain, signingSecret, payload) {
   if (!appUrl) return;
   const url = `${appUrl}/api/pixel/events`;
   const body = JSON.stringify({ shop: shopDomain, ...payload });
 
   try {
     if (typeof fetch === 'function') {
+      const headers = { 'Content-Type': 'application/json' };
+      if (signingSecret && typeof crypto !== 'undefined' && crypto.subtle) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers['X-Pixel-Timestamp'] = timestamp;
+        headers['X-Pixel-Signature'] = await signBody(signingSecret, timestamp, body);
+      }
       fetch(url, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers,
         body,
         keepalive: true,
       }).catch(() => {});
@@ -65,80 +124,164 @@ function sendEvent(appUrl, shopDomain, payload) {
   }
 }
 
-register(({ analytics, browser, settings, init }) => {
+register(({ analytics, browser, settings, init, customerPrivacy }) => {
   const appUrl = settings?.app_url || '';
   const shopDomain = settings?.shop_domain || init?.data?.shop?.myshopifyDomain || '';
+  const signingSecret = settings?.signing_secret || '';
   const AI_SOURCE_KEY = 'indexaize_ai_source';
   const AI_SESSION_KEY = 'indexaize_ai_session';
+  const AI_UTM_KEY = 'indexaize_ai_utm';
+
+  // Visitor consent: nothing is stored or sent unless analytics processing is allowed.
+  // Older runtimes without the privacy API rely on the [customer_privacy] gate in the toml.
+  let privacy = init?.customerPrivacy || null;
+  const analyticsAllowed = () => !privacy || privacy.analyticsProcessingAllowed === true;
+
+  const clearSession = async () => {
+    try {
+      await browser.sessionStorage.removeItem(AI_SOURCE_KEY);
+      await browser.sessionStorage.removeItem(AI_SESSION_KEY);
+      await browser.sessionStorage.removeItem(AI_UTM_KEY);
+    } catch {}
+  };
+
+  try {
+    customerPrivacy?.subscribe('visitorConsentCollected', (event) => {
+      privacy = event?.customerPrivacy || privacy;
+      if (!analyticsAllowed()) clearSession();
+    });
+  } catch {}
+
+  // AI session markers set when the visitor arrived from an AI tool
+  const getAISession = async () => {
+    if (!analyticsAllowed()) return null;
+    try {
+      const aiSource = await browser.sessionStorage.getItem(AI_SOURCE_KEY);
+      if (!aiSource) return null;
+      const sessionId = await browser.sessionStorage.getItem(AI_SESSION_KEY) || '';
+      let utm = {};
+      try { utm = JSON.parse(await browser.sessionStorage.getItem(AI_UTM_KEY) || '{}'); } catch {}
+      return { aiSource, sessionId, utmSource: utm.source || '', utmMedium: utm.medium || '' };
+    } catch {
+      return null;
+    }
+  };
+
+  const track = (session, eventType, event, fields) => {
+    sendEvent(appUrl, shopDomain, signingSecret, {
+      eventId: event?.id || `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+      eventType,
+      aiSource: session.aiSource,
+      sessionId: session.sessionId,
+      utmSource: session.utmSource,
+      utmMedium: session.utmMedium,
+      ...fields,
+      timestamp: event?.timestamp || new Date().toISOString(),
+    });
+  };
 
-  // On page view, detect AI referrer and persist in sessionStorage
+  // On page view, detect an AI referrer or AI utm_source and persist it in sessionStorage
   analytics.subscribe('page_viewed', async (event) => {
+    if (!analyticsAllowed()) return;
     const referrer = event?.context?.document?.referrer || '';
-    const aiSource = detectAISource(referrer);
-
-    if (aiSource) {
-      try {
-        await browser.sessionStorage.setItem(AI_SOURCE_KEY, aiSource);
-        const sid = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-        await browser.sessionStorage.setItem(AI_SESSION_KEY, sid);
-      } catch {}
-
-      sendEvent(appUrl, shopDomain, {
-        eventType: 'page_viewed',
-        aiSource,
-        referrerUrl: referrer,
-        sessionId: '',
-        timestamp: event?.timestamp || new Date().toISOString(),
-      });
-    }
-  });
+    const utm = readUtm(event?.context?.document?.location?.href || event?.context?.window?.location?.href || '');
+    const aiSource = detectAISource(referrer) || detectAIFromUtm(utm.source);
+    if (!aiSource) return;
 
-  // Track add-to-cart from AI-referred sessions
-  analytics.subscribe('product_added_to_cart', async (event) => {
-    let aiSource = null;
     let sessionId = '';
     try {
-      aiSource = await browser.sessionStorage.getItem(AI_SOURCE_KEY);
       sessionId = await browser.sessionStorage.getItem(AI_SESSION_KEY) || '';
+      if (!sessionId) {
+        sessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        await browser.sessionStorage.setItem(AI_SESSION_KEY, sessionId);
+      }
+      await browser.sessionStorage.setItem(AI_SOURCE_KEY, aiSource);
+      await browser.sessionStorage.setItem(AI_UTM_KEY, JSON.stringify(utm));
     } catch {}
 
-    if (!aiSource) return;
+    track({ aiSource, sessionId, utmSource: utm.source, utmMedium: utm.medium }, 'page_viewed', event, {
+      referrerUrl: referrer.slice(0, 2000),
+    });
+  });
+
+  // Track product views from AI-referred sessions
+  analytics.subscribe('product_viewed', async (event) => {
+    const session = await getAISession();
+    if (!session) return;
+
+    const variant = event?.data?.productVariant;
+    track(session, 'product_viewed', event, {
+      productId: variant?.product?.id || '',
+      productHandle: productHandleFromUrl(variant?.product?.url),
+      productTitle: variant?.product?.title || '',
+      variantId: variant?.id || '',
+      price: variant?.price?.amount || '0',
+      currency: variant?.price?.currencyCode || 'USD',
+    });
+  });
+
+  // Track collection views from AI-referred sessions
+  analytics.subscribe('collection_viewed', async (event) => {
+    const session = await getAISession();
+    if (!session) return;
+
+    const collection = event?.data?.collection;
+    track(session, 'collection_viewed', event, {
+      collectionId: collection?.id || '',
+      collectionTitle: collection?.title || '',
+    });
+  });
+
+  // Track searches from AI-referred sessions
+  analytics.subscribe('search_submitted', async (event) => {
+    const session = await getAISession();
+    if (!session) return;
+
+    track(session, 'search_submitted', event, {
+      searchQuery: (event?.data?.searchResult?.query || '').slice(0, 200),
+    });
+  });
+
+  // Track add-to-cart from AI-referred sessions
+  analytics.subscribe('product_added_to_cart', async (event) => {
+    const session = await getAISession();
+    if (!session) return;
 
     const cartLine = event?.data?.cartLine;
     const merchandise = cartLine?.merchandise;
 
-    sendEvent(appUrl, shopDomain, {
-      eventType: 'add_to_cart',
-      aiSource,
-      sessionId,
+    track(session, 'add_to_cart', event, {
       productId: merchandise?.product?.id || '',
-      productHandle: merchandise?.product?.url?.split('/products/')[1]?.split('?')[0] || '',
+      productHandle: productHandleFromUrl(merchandise?.product?.url),
       productTitle: merchandise?.product?.title || '',
       variantId: merchandise?.id || '',
       quantity: cartLine?.quantity || 1,
       price: merchandise?.price?.amount || '0',
       currency: merchandise?.price?.currencyCode || 'USD',
-      timestamp: event?.timestamp || new Date().toISOString(),
+    });
+  });
+
+  // Track checkout starts from AI-referred sessions
+  analytics.subscribe('checkout_started', async (event) => {
+    const session = await getAISession();
+    if (!session) return;
+
+    const checkout = event?.data?.checkout;
+    track(session, 'checkout_started', event, {
+      totalPrice: checkout?.totalPrice?.amount || '0',
+      currency: checkout?.totalPrice?.currencyCode || 'USD',
+      quantity: (checkout?.lineItems || []).reduce((sum, li) => sum + (li.quantity || 1), 0) || 1,
     });
   });
 
   // Track checkout completion from AI-referred sessions
   analytics.subscribe('checkout_completed', async (event) => {
-    let aiSource = null;
-    let sessionId = '';
-    try {
-      aiSource = await browser.sessionStorage.getItem(AI_SOURCE_KEY);
-      sessionId = await browser.sessionStorage.getItem(AI_SESSION_KEY) || '';
-    } catch {}
-
-    if (!aiSource) return;
+    const session = await getAISession();
+    if (!session) return;
 
     const checkout = event?.data?.checkout;
 
-    sendEvent(appUrl, shopDomain, {
-      eventType: 'checkout_completed',
-      aiSource,
-      sessionId,
+    track(session, 'checkout_completed', event, {
       orderId: checkout?.order?.id || '',
       totalPrice: checkout?.totalPrice?.amount || '0',
       currency: checkout?.totalPrice?.currencyCode || 'USD',
@@ -148,13 +291,9 @@ register(({ analytics, browser, settings, init }) => {
         quantity: li.quantity || 1,
         price: li.variant?.price?.amount || '0',
       })),
-      timestamp: event?.timestamp || new Date().toISOString(),
     });
 
     // Clear session markers after successful checkout
-    try {
-      await browser.sessionStorage.removeItem(AI_SOURCE_KEY);
-      await browser.sessionStorage.removeItem(AI_SESSION_KEY);
-    } catch {}
+    await clearSession();
   });
 });
@@ -14,9 +14,11 @@ import { trackPageView, initGA4, initFBPixel } from './utils/analytics.js';
 import { devLog } from './utils/devLog.js';
 
 import AppHeader from './components/AppHeader.jsx';
+import SpendingAlertBanner from './components/SpendingAlertBanner.jsx';
 const Dashboard = React.lazy(() => import('./pages/Dashboard.jsx'));
 const BulkEdit = React.lazy(() => import('./pages/BulkEdit.jsx'));
 const Collections = React.lazy(() => import('./pages/Collections.jsx'));
+const ContentSeo = React.lazy(() => import('./pages/ContentSeo.jsx'));
 const Sitemap = React.lazy(() => import('./pages/Sitemap.jsx'));
 const StoreMetadata = React.lazy(() => import('./pages/StoreMetadata.jsx'));
 const SchemaData = React.lazy(() => import('./pages/SchemaData.jsx'));
@@ -147,6 +149,7 @@ const AiSearchOptimisationPanel = React.memo(({ shop: shopProp, plan }) => {
     
     if (normalizedPath === '/ai-seo' || normalizedPath === '/ai-seo/products') return 'products';
     if (normalizedPath === '/ai-seo/collections') return 'collections';
+    if (normalizedPath === '/ai-seo/content') return 'content';
     if (normalizedPath === '/ai-seo/sitemap') return 'sitemap';
     if (normalizedPath === '/ai-seo/store-metadata') return 'store-metadata';
     if (normalizedPath === '/ai-seo/schema-data') return 'schema-data';
@@ -202,6 +205,19 @@ const AiSearchOptimisationPanel = React.memo(({ shop: shopProp, plan }) => {
               >
                 Collections
               </a>
+              <a 
+                href={createTabLink('content')}
+                style={{
+                  padding: '8px 16px',
+                  borderRadius: '4px',
+                  backgroundColor: activeTab === 'content' ? '#008060' : '#f6f6f7',
+                  color: activeTab === 'content' ? 'white' : '#202223',
+                  textDecoration: 'none',
+                  display: 'inline-block'
+                }}
+              >
+                Blog & Pages
+              </a>
               <a 
                 href={createTabLink('sitemap')}
                 style={{
@@ -250,6 +266,7 @@ const AiSearchOptimisationPanel = React.memo(({ shop: shopProp, plan }) => {
       <div>
         {activeTab === 'products' && <BulkEdit shop={shop} globalPlan={plan} />}
         {activeTab === 'collections' && <Collections shop={shop} globalPlan={plan} />}
+        {activeTab === 'content' && <ContentSeo shop={shop} />}
         {activeTab === 'sitemap' && <Sitemap shop={shop} />}
         {activeTab === 'store-metadata' && <StoreMetadata shop={shop} />}
         {activeTab === 'schema-data' && <SchemaData shop={shop} />}
@@ -724,6 +741,7 @@ export default function App() {
       <Frame>
         <Page>
           <AppHeader sectionTitle={sectionTitle} lang={lang} setLang={setLang} t={t} shop={shop} />
+          <SpendingAlertBanner shop={shop} />
           {getPageComponent()}
         </Page>
       </Frame>
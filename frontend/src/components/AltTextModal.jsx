@@ -0,0 +1,162 @@
+// frontend/src/components/AltTextModal.jsx
+// AI alt text for every image of the selected products (or the whole store), per language.
+// Images that already have good alt text are kept unless "overwrite" is checked.
+// Backed by /api/alt-text/*.
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Modal,
+  BlockStack,
+  InlineStack,
+  Text,
+  Banner,
+  Checkbox,
+  ProgressBar,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+export default function AltTextModal({ open, onClose, productIds, languages = [], primaryLanguage = 'en' }) {
+  const { api, shop } = useShopApi();
+  const [selectedLanguages, setSelectedLanguages] = useState([primaryLanguage]);
+  const [overwrite, setOverwrite] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const pollRef = useRef(null);
+
+  const stopPolling = () => {
+    if (pollRef.current) clearInterval(pollRef.current);
+    pollRef.current = null;
+  };
+  useEffect(() => stopPolling, []);
+
+  const pollJob = () => {
+    stopPolling();
+    pollRef.current = setInterval(async () => {
+      try {
+        const status = await api(`/api/alt-text/job-status?shop=${encodeURIComponent(shop)}`);
+        setJob(status);
+        if (!status?.inProgress) {
+          stopPolling();
+          if (status?.status === 'failed') {
+            setError(status.error || 'Alt text generation failed');
+          } else {
+            setNotice(`Alt text updated for ${status.successful || 0} products${status.skipped ? `, ${status.skipped} already had good alt text` : ''}${status.failed ? `, ${status.failed} failed` : ''}.`);
+          }
+        }
+      } catch (e) {
+        stopPolling();
+        setError(e.message || 'Failed to get job status');
+      }
+    }, 2000);
+  };
+
+  useEffect(() => {
+    if (!open) return;
+    setSelectedLanguages([primaryLanguage]);
+    setOverwrite(false);
+    setError('');
+    setNotice('');
+    // Pick up a batch that is still running
+    api(`/api/alt-text/job-status?shop=${encodeURIComponent(shop)}`)
+      .then(status => {
+        setJob(status);
+        if (status?.inProgress) pollJob();
+      })
+      .catch(() => {});
+  }, [open]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const toggleLanguage = (lang) => {
+    if (lang === primaryLanguage) return;
+    setSelectedLanguages(prev => prev.includes(lang) ? prev.filter(l => l !== lang) : [...prev, lang]);
+  };
+
+  const start = async () => {
+    setStarting(true);
+    setError('');
+    setNotice('');
+    try {
+      const data = await api('/api/alt-text/generate', {
+        method: 'POST',
+        body: { shop, productIds: productIds || null, languages: selectedLanguages, overwrite }
+      });
+      if (!data?.queued) {
+        setNotice(data?.message || 'Nothing to generate');
+        return;
+      }
+      setJob({ inProgress: true, total: data.total, processed: 0 });
+      pollJob();
+    } catch (e) {
+      setError(e.message || 'Failed to start alt text generation');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const running = job?.inProgress === true;
+  const scope = productIds ? `${productIds.length} selected products` : 'all active products';
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      title="Generate image alt text"
+      primaryAction={{
+        content: 'Generate',
+        onAction: start,
+        loading: starting,
+        disabled: running || starting || !selectedLanguages.length,
+      }}
+      secondaryActions={[{ content: 'Close', onAction: onClose }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="300">
+          <Text variant="bodyMd">
+            Writes descriptive alt text for every image of {scope}, based on the product title,
+            the variant options shown in the image and its position. Other languages are translated
+            from the {primaryLanguage.toUpperCase()} alt text.
+          </Text>
+          {error && <Banner tone="critical" onDismiss={() => setError('')}>{error}</Banner>}
+          {notice && <Banner tone="success" onDismiss={() => setNotice('')}>{notice}</Banner>}
+
+          <BlockStack gap="100">
+            <Text variant="headingSm">Languages</Text>
+            <InlineStack gap="300">
+              {(languages.length ? languages : [primaryLanguage]).map(lang => (
+                <Checkbox
+                  key={lang}
+                  label={lang.toUpperCase()}
+                  checked={selectedLanguages.includes(lang)}
+                  disabled={lang === primaryLanguage || running}
+                  onChange={() => toggleLanguage(lang)}
+                />
+              ))}
+            </InlineStack>
+          </BlockStack>
+
+          <Checkbox
+            label="Overwrite existing alt text"
+            helpText="By default, images that already have good alt text are skipped."
+            checked={overwrite}
+            disabled={running}
+            onChange={setOverwrite}
+          />
+
+          {running && (
+            <BlockStack gap="100">
+              <Text variant="bodySm">Generating {job.processed || 0}/{job.total || 0}…</Text>
+              <ProgressBar progress={job.total ? Math.round(((job.processed || 0) / job.total) * 100) : 0} size="small" />
+            </BlockStack>
+          )}
+          {job && !running && job.failReasons?.length > 0 && (
+            <Banner tone="warning">
+              <BlockStack gap="050">
+                {job.failReasons.map((reason, i) => <Text key={i} variant="bodySm">{reason}</Text>)}
+              </BlockStack>
+            </Banner>
+          )}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
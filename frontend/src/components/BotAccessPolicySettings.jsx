@@ -0,0 +1,82 @@
+// frontend/src/components/BotAccessPolicySettings.jsx
+// Per-bot access policy editor for the AI Discovery settings: allow, block or throttle each
+// bot group on the AI data endpoints (/ai/*, llms.txt, MCP). Controlled - saved together
+// with the rest of the AI Discovery settings (botPolicies).
+import React from 'react';
+import {
+  Card,
+  Box,
+  BlockStack,
+  InlineStack,
+  Text,
+  Select,
+  TextField,
+  Divider,
+} from '@shopify/polaris';
+
+const MODE_OPTIONS = [
+  { label: 'Allow', value: 'allow' },
+  { label: 'Throttle', value: 'throttle' },
+  { label: 'Block', value: 'block' },
+];
+
+export default function BotAccessPolicySettings({ groups = [], limits = {}, policies = {}, onChange }) {
+  const limitField = (groupKey, policy, field, label) => {
+    const range = limits[field] || {};
+    return (
+      <Box minWidth="140px">
+        <TextField
+          label={label}
+          type="number"
+          min={range.min}
+          max={range.max}
+          value={String(policy[field] ?? range.default ?? '')}
+          onChange={(value) => onChange(groupKey, { [field]: value === '' ? '' : Number(value) })}
+          autoComplete="off"
+        />
+      </Box>
+    );
+  };
+
+  return (
+    <Card>
+      <Box padding="400">
+        <BlockStack gap="400">
+          <Text as="h2" variant="headingMd">Bot Access Control</Text>
+          <Text variant="bodyMd" tone="subdued">
+            Decide how each AI crawler may use your AI data endpoints (product feeds, llms.txt, MCP).
+            Blocked bots get 403 Forbidden; throttled bots get 429 Too Many Requests with a Retry-After
+            header once they go over the per-minute limit or the daily quota.
+          </Text>
+
+          <Divider />
+
+          {groups.map((group, idx) => {
+            const policy = policies[group.key] || { mode: 'allow' };
+            return (
+              <BlockStack key={group.key} gap="200">
+                {idx > 0 && <Divider />}
+                <InlineStack gap="400" blockAlign="end" wrap>
+                  <Box minWidth="260px">
+                    <Select
+                      label={group.label}
+                      options={MODE_OPTIONS}
+                      value={policy.mode}
+                      onChange={(mode) => onChange(group.key, { mode })}
+                    />
+                  </Box>
+                  {policy.mode === 'throttle' && (
+                    <>
+                      {limitField(group.key, policy, 'perMinute', 'Requests per minute')}
+                      {limitField(group.key, policy, 'perDay', 'Requests per day')}
+                    </>
+                  )}
+                </InlineStack>
+              </BlockStack>
+            );
+          })}
+        </BlockStack>
+      </Box>
+    </Card>
+  );
+}
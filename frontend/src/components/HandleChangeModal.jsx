@@ -0,0 +1,274 @@
+// frontend/src/components/HandleChangeModal.jsx
+// "Apply slug": previews the generated slug as the new URL handle (collisions, redirects
+// per locale/market), applies it - one product right away, several as a background job -
+// and lists recent handle changes with Revert. Backed by /api/seo/handles/*.
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Modal,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Box,
+  Button,
+  Banner,
+  Spinner,
+  Divider,
+  ProgressBar,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+const CHECK_STATUS = {
+  ok: { tone: 'success', label: 'Ready' },
+  taken: { tone: 'critical', label: 'Taken' },
+  unchanged: { tone: undefined, label: 'Unchanged' },
+  invalid: { tone: 'warning', label: 'Invalid' },
+  error: { tone: 'critical', label: 'Error' },
+};
+
+function HandleCheckRow({ result, onUseSuggestion }) {
+  const status = CHECK_STATUS[result.status] || CHECK_STATUS.error;
+  return (
+    <BlockStack gap="100">
+      <InlineStack align="space-between" blockAlign="center">
+        <Text variant="bodyMd" fontWeight="semibold">{result.title || result.id}</Text>
+        <Badge tone={status.tone}>{status.label}</Badge>
+      </InlineStack>
+      <Text variant="bodySm" breakWord>
+        <span style={{ textDecoration: 'line-through', color: '#8c9196' }}>{result.currentHandle}</span>
+        {' → '}
+        <strong>{result.handle || '—'}</strong>
+      </Text>
+      {result.status === 'taken' && (
+        <InlineStack gap="200" blockAlign="center">
+          <Text variant="bodySm" tone="critical">
+            Used by {result.takenBy?.title || result.takenBy?.id}.
+          </Text>
+          {result.suggestion && (
+            <Button size="micro" variant="plain" onClick={() => onUseSuggestion(result.id, result.suggestion)}>
+              Use “{result.suggestion}”
+            </Button>
+          )}
+        </InlineStack>
+      )}
+      {result.status === 'error' && <Text variant="bodySm" tone="critical">{result.error}</Text>}
+      {result.status === 'ok' && (
+        <Text variant="bodySm" tone="subdued">
+          {result.redirects.length} redirect{result.redirects.length === 1 ? '' : 's'}: {result.redirects.map(r => r.path).join(', ')}
+        </Text>
+      )}
+    </BlockStack>
+  );
+}
+
+/**
+ * Props:
+ *  - items: [{ id, title, handle, proposed }] products to apply the slug to; empty = history only
+ *  - resource: 'product' | 'collection'
+ *  - onApplied: called after handles changed or a change was reverted
+ */
+export default function HandleChangeModal({ open, onClose, items = [], resource = 'product', onApplied }) {
+  const { api, shop } = useShopApi();
+  const [proposed, setProposed] = useState({});
+  const [results, setResults] = useState([]);
+  const [checking, setChecking] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [job, setJob] = useState(null);
+  const [changes, setChanges] = useState([]);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const pollRef = useRef(null);
+
+  const loadChanges = useCallback(async () => {
+    if (!shop) return;
+    try {
+      const data = await api(`/api/seo/handles/changes?shop=${encodeURIComponent(shop)}&limit=20`);
+      setChanges(data?.changes || []);
+    } catch (e) {
+      setError(e.message || 'Failed to load handle changes');
+    }
+  }, [api, shop]);
+
+  const check = useCallback(async (handles) => {
+    if (!items.length) return;
+    setChecking(true);
+    setError('');
+    try {
+      const data = await api('/api/seo/handles/check', {
+        method: 'POST',
+        body: { shop, resource, items: items.map(item => ({ id: item.id, handle: handles[item.id] })) },
+      });
+      setResults(data?.results || []);
+    } catch (e) {
+      setError(e.message || 'Failed to check handles');
+    } finally {
+      setChecking(false);
+    }
+  }, [api, shop, resource, items]);
+
+  useEffect(() => {
+    if (!open) return;
+    const initial = Object.fromEntries(items.map(item => [item.id, item.proposed]));
+    setProposed(initial);
+    setResults([]);
+    setJob(null);
+    setNotice('');
+    setError('');
+    check(initial);
+    loadChanges();
+  }, [open, items, check, loadChanges]);
+
+  const stopPolling = () => {
+    if (pollRef.current) clearInterval(pollRef.current);
+    pollRef.current = null;
+  };
+  useEffect(() => stopPolling, []);
+
+  const pollJob = () => {
+    stopPolling();
+    pollRef.current = setInterval(async () => {
+      try {
+        const status = await api(`/api/seo/handles/job-status?shop=${encodeURIComponent(shop)}`);
+        setJob(status);
+        if (!status?.inProgress) {
+          stopPolling();
+          setApplying(false);
+          setNotice(`Changed ${status.successful || 0} handles${status.skipped ? `, ${status.skipped} skipped` : ''}${status.failed ? `, ${status.failed} failed` : ''}.`);
+          loadChanges();
+          onApplied?.();
+        }
+      } catch (e) {
+        stopPolling();
+        setApplying(false);
+        setError(e.message || 'Failed to get job status');
+      }
+    }, 2000);
+  };
+
+  const pickSuggestion = (id, suggestion) => {
+    const next = { ...proposed, [id]: suggestion };
+    setProposed(next);
+    check(next);
+  };
+
+  const ready = results.filter(r => r.status === 'ok');
+
+  const apply = async () => {
+    setApplying(true);
+    setError('');
+    try {
+      if (ready.length === 1) {
+        const data = await api('/api/seo/handles/apply', {
+          method: 'POST',
+          body: { shop, resource, id: ready[0].id, handle: ready[0].handle },
+        });
+        setApplying(false);
+        setResults(list => list.map(r => (r.id === ready[0].id ? { ...r, status: 'unchanged', currentHandle: ready[0].handle } : r)));
+        setNotice(data?.changed ? `Handle changed to “${ready[0].handle}”.` : 'Handle was already up to date.');
+        loadChanges();
+        onApplied?.();
+        return;
+      }
+
+      const data = await api('/api/seo/handles/apply-batch', {
+        method: 'POST',
+        body: { shop, resource, items: ready.map(r => ({ id: r.id, handle: r.handle, title: r.title })) },
+      });
+      setJob({ inProgress: true, total: data?.total || ready.length, processed: 0 });
+      pollJob();
+    } catch (e) {
+      setApplying(false);
+      setError(e.message || 'Failed to apply handles');
+    }
+  };
+
+  const revert = async (change) => {
+    setBusyId(change.id);
+    setError('');
+    try {
+      await api(`/api/seo/handles/changes/${change.id}/revert`, { method: 'POST', body: { shop } });
+      setNotice(`“${change.title || change.newHandle}” is back at “${change.oldHandle}”.`);
+      loadChanges();
+      onApplied?.();
+    } catch (e) {
+      setError(e.message || 'Failed to revert handle change');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      large
+      title={items.length ? 'Apply optimized URL handles' : 'URL handle changes'}
+      primaryAction={items.length ? {
+        content: ready.length > 1 ? `Apply ${ready.length} handles` : 'Apply handle',
+        onAction: apply,
+        loading: applying,
+        disabled: checking || applying || ready.length === 0,
+      } : undefined}
+      secondaryActions={[{ content: 'Close', onAction: onClose }]}
+    >
+      {items.length > 0 && (
+        <Modal.Section>
+          <BlockStack gap="300">
+            {error && <Banner tone="critical">{error}</Banner>}
+            {notice && <Banner tone="success" onDismiss={() => setNotice('')}>{notice}</Banner>}
+            <Text variant="bodySm" tone="subdued">
+              The product URL changes to the generated slug. Redirects from the old URL are created for every language and market,
+              so existing links keep working. You can revert each change below.
+            </Text>
+            {job?.inProgress && (
+              <BlockStack gap="100">
+                <Text variant="bodySm">Applying {job.processed || 0}/{job.total || 0}…</Text>
+                <ProgressBar progress={job.total ? Math.round(((job.processed || 0) / job.total) * 100) : 0} size="small" />
+              </BlockStack>
+            )}
+            {checking && results.length === 0 ? (
+              <InlineStack align="center"><Spinner size="small" /></InlineStack>
+            ) : (
+              results.map((result, idx) => (
+                <Box key={result.id}>
+                  {idx > 0 && <Box paddingBlockEnd="200"><Divider /></Box>}
+                  <HandleCheckRow result={result} onUseSuggestion={pickSuggestion} />
+                </Box>
+              ))
+            )}
+          </BlockStack>
+        </Modal.Section>
+      )}
+
+      <Modal.Section>
+        <BlockStack gap="300">
+          {!items.length && error && <Banner tone="critical">{error}</Banner>}
+          {!items.length && notice && <Banner tone="success" onDismiss={() => setNotice('')}>{notice}</Banner>}
+          <Text variant="headingSm">Recent handle changes</Text>
+          {changes.length === 0 ? (
+            <Text tone="subdued">No handle changes yet.</Text>
+          ) : (
+            changes.map(change => (
+              <InlineStack key={change.id} align="space-between" blockAlign="center" wrap={false}>
+                <BlockStack gap="050">
+                  <Text variant="bodySm" fontWeight="semibold">{change.title || change.resourceId}</Text>
+                  <Text variant="bodySm" tone="subdued" breakWord>
+                    {change.oldHandle} → {change.newHandle} · {change.redirects.filter(r => r.id).length} redirects · {new Date(change.createdAt).toLocaleString()}
+                  </Text>
+                </BlockStack>
+                {change.status === 'reverted' ? (
+                  <Badge>Reverted</Badge>
+                ) : (
+                  <Button size="slim" onClick={() => revert(change)} loading={busyId === change.id} disabled={!!busyId}>
+                    Revert
+                  </Button>
+                )}
+              </InlineStack>
+            ))
+          )}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -52,9 +52,13 @@ export default function InsufficientTokensModal({
     'ai-seo-product-basic': 'AI Search Optimization (Products)',
     'ai-seo-product-enhanced': 'AI Search Optimization (Products - Enhanced)',
     'ai-seo-collection': 'AI Search Optimization (Collections)',
+    'ai-seo-article': 'AI Search Optimization (Blog Articles)',
+    'ai-seo-page': 'AI Search Optimization (Pages)',
     'ai-testing-simulation': 'AI Testing & Simulation',
     'ai-schema-advanced': 'Advanced Schema Data',
-    'ai-sitemap-optimized': 'AI-Optimized Sitemap'
+    'ai-sitemap-optimized': 'AI-Optimized Sitemap',
+    'ai-translation-product': 'AI Translation',
+    'ai-image-alt': 'AI Image Alt Text'
   };
 
   const featureName = featureNames[feature] || 'This feature';
@@ -0,0 +1,138 @@
+// frontend/src/components/MachineTranslationReviewModal.jsx
+// Machine translations registered by "translate then optimize": the translated title,
+// SEO fields and handle per product + language. Keep marks them reviewed, Remove takes
+// the translation out of Shopify again. Backed by /api/seo/translations/*.
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Modal,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Box,
+  Button,
+  ButtonGroup,
+  Banner,
+  Spinner,
+  Divider,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  meta_title: 'SEO title',
+  meta_description: 'Meta description',
+  handle: 'URL handle',
+  body_html: 'Description',
+};
+
+function fieldPreview(key, value) {
+  if (key !== 'body_html') return value;
+  const text = String(value || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  return text.length > 240 ? `${text.slice(0, 240)}…` : text;
+}
+
+/**
+ * Props:
+ *  - onReviewed: called after each decision (e.g. to refresh a counter)
+ */
+export default function MachineTranslationReviewModal({ open, onClose, onReviewed }) {
+  const { api, shop } = useShopApi();
+  const [translations, setTranslations] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    if (!shop) return;
+    setLoading(true);
+    setError('');
+    try {
+      const data = await api(`/api/seo/translations?shop=${encodeURIComponent(shop)}&status=unreviewed`);
+      setTranslations(data?.translations || []);
+      setTotal(data?.total || 0);
+    } catch (e) {
+      setError(e.message || 'Failed to load translations');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, shop]);
+
+  useEffect(() => {
+    if (open) load();
+  }, [open, load]);
+
+  const review = async (translation, status) => {
+    setBusyId(translation.id);
+    setError('');
+    try {
+      await api(`/api/seo/translations/${translation.id}/review`, {
+        method: 'POST',
+        body: { shop, status },
+      });
+      setTranslations(list => list.filter(t => t.id !== translation.id));
+      setTotal(n => Math.max(0, n - 1));
+      onReviewed?.();
+    } catch (e) {
+      setError(e.message || 'Failed to save review');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      large
+      title={`Review machine translations${total ? ` (${total})` : ''}`}
+      secondaryActions={[{ content: 'Close', onAction: onClose }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="300">
+          {error && <Banner tone="critical">{error}</Banner>}
+          <Text variant="bodySm" tone="subdued">
+            These translations were generated by AI and are already live in your store.
+            Keep them as they are, or remove them to fall back to your primary language. Fields you edited in Shopify since are never removed.
+          </Text>
+
+          {loading && translations.length === 0 ? (
+            <InlineStack align="center"><Spinner size="small" /></InlineStack>
+          ) : translations.length === 0 ? (
+            <Text tone="subdued">No machine translations waiting for review.</Text>
+          ) : (
+            translations.map((t, idx) => (
+              <Box key={t.id}>
+                {idx > 0 && <Box paddingBlockEnd="300"><Divider /></Box>}
+                <BlockStack gap="200">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Badge>{t.locale.toUpperCase()}</Badge>
+                      <Text variant="bodyMd" fontWeight="semibold">{t.productTitle || t.productId}</Text>
+                      <Badge tone="info">Machine translated</Badge>
+                    </InlineStack>
+                    <ButtonGroup>
+                      <Button size="slim" onClick={() => review(t, 'approved')} loading={busyId === t.id} disabled={!!busyId}>
+                        Keep
+                      </Button>
+                      <Button size="slim" tone="critical" onClick={() => review(t, 'rejected')} disabled={!!busyId}>
+                        Remove
+                      </Button>
+                    </ButtonGroup>
+                  </InlineStack>
+                  {Object.keys(FIELD_LABELS).filter(key => t.fields[key]).map(key => (
+                    <InlineStack key={key} gap="200" wrap={false}>
+                      <Box minWidth="140px"><Text variant="bodySm" tone="subdued">{FIELD_LABELS[key]}</Text></Box>
+                      <Text variant="bodySm" breakWord>{fieldPreview(key, t.fields[key])}</Text>
+                    </InlineStack>
+                  ))}
+                </BlockStack>
+              </Box>
+            ))
+          )}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -0,0 +1,439 @@
+// frontend/src/components/OptimizationRulesSettings.jsx
+// Automatic optimization rules (Settings page): "when a product matching these conditions
+// is created/changed, or daily/weekly, run this optimization", plus the run log.
+// Backed by /api/optimization-rules.
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  Box,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Text,
+  TextField,
+  Select,
+  Checkbox,
+  Button,
+  Banner,
+  Badge,
+  Divider,
+  Spinner,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+const TRIGGER_OPTIONS = [
+  { label: 'When a product is created or changed', value: 'webhook' },
+  { label: 'On a schedule', value: 'schedule' },
+];
+
+const SCHEDULE_OPTIONS = [
+  { label: 'Daily', value: 'daily' },
+  { label: 'Weekly', value: 'weekly' },
+];
+
+const ACTION_OPTIONS = [
+  { label: 'Generate + apply basic SEO', value: 'basic-seo' },
+  { label: 'Run AI enhance (Professional+)', value: 'ai-enhance' },
+  { label: 'Regenerate advanced schema (Professional Plus+)', value: 'advanced-schema' },
+];
+
+const FIELD_OPTIONS = [
+  { label: 'Product type', value: 'productType' },
+  { label: 'Vendor', value: 'vendor' },
+  { label: 'Tag', value: 'tag' },
+  { label: 'Collection (handle)', value: 'collection' },
+  { label: 'Price', value: 'price' },
+];
+
+const OPERATOR_OPTIONS = {
+  productType: [{ label: 'is', value: 'equals' }, { label: 'contains', value: 'contains' }],
+  vendor: [{ label: 'is', value: 'equals' }, { label: 'contains', value: 'contains' }],
+  tag: [{ label: 'is', value: 'equals' }, { label: 'contains', value: 'contains' }],
+  collection: [{ label: 'is', value: 'equals' }],
+  price: [{ label: 'at least', value: 'gte' }, { label: 'at most', value: 'lte' }],
+};
+
+const ACTION_LABELS = {
+  'basic-seo': 'Basic SEO',
+  'ai-enhance': 'AI enhance',
+  'advanced-schema': 'Advanced schema',
+};
+
+const STATUS_TONES = {
+  dispatched: 'success',
+  'no-match': undefined,
+  blocked: 'warning',
+  failed: 'critical',
+};
+
+const EMPTY_RULE = {
+  name: '',
+  enabled: true,
+  trigger: 'webhook',
+  events: ['created', 'updated'],
+  schedule: 'daily',
+  match: 'all',
+  conditions: [],
+  action: { type: 'basic-seo', languages: [] },
+  maxProducts: 50,
+};
+
+function describeRule(rule) {
+  const when = rule.trigger === 'schedule'
+    ? (rule.schedule === 'weekly' ? 'Weekly' : 'Daily')
+    : `On product ${rule.events.join(' / ')}`;
+  const langs = rule.action.languages?.length ? ` in ${rule.action.languages.map(l => l.toUpperCase()).join(', ')}` : '';
+  const conditions = rule.conditions.length
+    ? ` · ${rule.conditions.length} condition${rule.conditions.length === 1 ? '' : 's'} (${rule.match})`
+    : ' · all products';
+  return `${when} → ${ACTION_LABELS[rule.action.type]}${langs}${conditions}`;
+}
+
+function RuleEditor({ initial, languages, saving, onSave, onCancel }) {
+  const [rule, setRule] = useState(initial);
+  const update = (patch) => setRule(prev => ({ ...prev, ...patch }));
+
+  const setCondition = (index, patch) => {
+    const conditions = rule.conditions.map((c, i) => {
+      if (i !== index) return c;
+      const next = { ...c, ...patch };
+      if (patch.field) next.operator = OPERATOR_OPTIONS[patch.field][0].value;
+      return next;
+    });
+    update({ conditions });
+  };
+
+  const toggleEvent = (event, checked) => {
+    update({ events: checked ? [...new Set([...rule.events, event])] : rule.events.filter(e => e !== event) });
+  };
+
+  const toggleLanguage = (lang, checked) => {
+    const current = rule.action.languages || [];
+    update({ action: { ...rule.action, languages: checked ? [...current, lang] : current.filter(l => l !== lang) } });
+  };
+
+  return (
+    <Box padding="300" background="bg-surface-secondary" borderRadius="200">
+      <BlockStack gap="300">
+        <InlineGrid columns={{ xs: 1, md: 2 }} gap="300">
+          <TextField
+            label="Rule name"
+            value={rule.name}
+            onChange={(name) => update({ name })}
+            maxLength={80}
+            autoComplete="off"
+          />
+          <Select
+            label="Run"
+            options={TRIGGER_OPTIONS}
+            value={rule.trigger}
+            onChange={(trigger) => update({ trigger })}
+          />
+        </InlineGrid>
+
+        {rule.trigger === 'webhook' ? (
+          <InlineStack gap="400">
+            <Checkbox label="Product created" checked={rule.events.includes('created')} onChange={(c) => toggleEvent('created', c)} />
+            <Checkbox label="Product changed" checked={rule.events.includes('updated')} onChange={(c) => toggleEvent('updated', c)} />
+          </InlineStack>
+        ) : (
+          <Select label="Schedule" options={SCHEDULE_OPTIONS} value={rule.schedule} onChange={(schedule) => update({ schedule })} />
+        )}
+
+        <BlockStack gap="200">
+          <InlineStack gap="200" blockAlign="center">
+            <Text variant="headingSm">Conditions</Text>
+            <Select
+              label="Match"
+              labelHidden
+              options={[{ label: 'All conditions', value: 'all' }, { label: 'Any condition', value: 'any' }]}
+              value={rule.match}
+              onChange={(match) => update({ match })}
+            />
+          </InlineStack>
+          {rule.conditions.length === 0 && (
+            <Text variant="bodySm" tone="subdued">No conditions - the rule applies to every product.</Text>
+          )}
+          {rule.conditions.map((c, i) => (
+            <InlineGrid key={i} columns={['oneThird', 'oneThird', 'oneThird']} gap="200">
+              <Select label="Field" labelHidden options={FIELD_OPTIONS} value={c.field} onChange={(field) => setCondition(i, { field })} />
+              <Select label="Operator" labelHidden options={OPERATOR_OPTIONS[c.field]} value={c.operator} onChange={(operator) => setCondition(i, { operator })} />
+              <InlineStack gap="100" wrap={false}>
+                <TextField
+                  label="Value"
+                  labelHidden
+                  value={c.value}
+                  type={c.field === 'price' ? 'number' : 'text'}
+                  onChange={(value) => setCondition(i, { value })}
+                  autoComplete="off"
+                />
+                <Button variant="plain" tone="critical" onClick={() => update({ conditions: rule.conditions.filter((_, j) => j !== i) })}>
+                  Remove
+                </Button>
+              </InlineStack>
+            </InlineGrid>
+          ))}
+          <InlineStack>
+            <Button
+              onClick={() => update({ conditions: [...rule.conditions, { field: 'productType', operator: 'equals', value: '' }] })}
+              disabled={rule.conditions.length >= 10}
+            >
+              Add condition
+            </Button>
+          </InlineStack>
+        </BlockStack>
+
+        <InlineGrid columns={{ xs: 1, md: 2 }} gap="300">
+          <Select
+            label="Action"
+            options={ACTION_OPTIONS}
+            value={rule.action.type}
+            onChange={(type) => update({ action: { ...rule.action, type } })}
+          />
+          <TextField
+            label="Max products per run"
+            type="number"
+            min={1}
+            max={250}
+            value={String(rule.maxProducts)}
+            onChange={(v) => update({ maxProducts: v })}
+            helpText="Your plan's product limit may lower this"
+            autoComplete="off"
+          />
+        </InlineGrid>
+
+        {rule.action.type !== 'advanced-schema' ? (
+          <BlockStack gap="100">
+            <Text variant="bodySm">Languages</Text>
+            <InlineStack gap="300">
+              {languages.map(lang => (
+                <Checkbox
+                  key={lang}
+                  label={lang.toUpperCase()}
+                  checked={(rule.action.languages || []).includes(lang)}
+                  onChange={(c) => toggleLanguage(lang, c)}
+                />
+              ))}
+            </InlineStack>
+            {rule.action.type === 'ai-enhance' && (
+              <Text variant="bodySm" tone="subdued">Only languages that already have basic SEO are enhanced.</Text>
+            )}
+          </BlockStack>
+        ) : (
+          <Text variant="bodySm" tone="subdued">
+            Advanced schema is regenerated for the whole store when a matching product still has none.
+          </Text>
+        )}
+
+        <Checkbox label="Enabled" checked={rule.enabled} onChange={(enabled) => update({ enabled })} />
+
+        <InlineStack align="end" gap="200">
+          <Button onClick={onCancel}>Cancel</Button>
+          <Button variant="primary" onClick={() => onSave(rule)} loading={saving}>Save rule</Button>
+        </InlineStack>
+      </BlockStack>
+    </Box>
+  );
+}
+
+export default function OptimizationRulesSettings() {
+  const { api, shop } = useShopApi();
+  const [rules, setRules] = useState([]);
+  const [languages, setLanguages] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null); // null | 'new' | rule id
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadRuns = useCallback(async () => {
+    if (!shop) return;
+    try {
+      const data = await api('/api/optimization-rules/runs?limit=20');
+      setRuns(data?.runs || []);
+    } catch {
+      setRuns([]);
+    }
+  }, [api, shop]);
+
+  const load = useCallback(async () => {
+    if (!shop) return;
+    setLoading(true);
+    try {
+      const data = await api('/api/optimization-rules');
+      setRules(data?.rules || []);
+      setLanguages(data?.languages?.length ? data.languages : ['en']);
+    } catch (e) {
+      setError(e.message || 'Failed to load optimization rules');
+    } finally {
+      setLoading(false);
+    }
+    loadRuns();
+  }, [api, shop, loadRuns]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const saveRule = async (rule) => {
+    setSaving(true);
+    setError('');
+    try {
+      const isNew = editing === 'new';
+      const res = await api(isNew ? '/api/optimization-rules' : `/api/optimization-rules/${editing}`, {
+        method: isNew ? 'POST' : 'PUT',
+        body: { shop, rule },
+      });
+      setRules(prev => (isNew ? [...prev, res.rule] : prev.map(r => (r.id === res.rule.id ? res.rule : r))));
+      setEditing(null);
+      setMessage(`Rule "${res.rule.name}" saved.`);
+    } catch (e) {
+      setError(e.message || 'Failed to save rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleRule = async (rule, enabled) => {
+    setBusyId(rule.id);
+    setError('');
+    try {
+      const res = await api(`/api/optimization-rules/${rule.id}`, { method: 'PUT', body: { shop, rule: { ...rule, enabled } } });
+      setRules(prev => prev.map(r => (r.id === rule.id ? res.rule : r)));
+    } catch (e) {
+      setError(e.message || 'Failed to update rule');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const deleteRule = async (rule) => {
+    setBusyId(rule.id);
+    setError('');
+    try {
+      await api(`/api/optimization-rules/${rule.id}`, { method: 'DELETE' });
+      setRules(prev => prev.filter(r => r.id !== rule.id));
+    } catch (e) {
+      setError(e.message || 'Failed to delete rule');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const runRule = async (rule) => {
+    setBusyId(rule.id);
+    setError('');
+    try {
+      await api(`/api/optimization-rules/${rule.id}/run`, { method: 'POST', body: { shop } });
+      setMessage(`Rule "${rule.name}" started. The result appears in the run log below.`);
+    } catch (e) {
+      setError(e.message || 'Failed to start rule');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Card>
+        <Box padding="400">
+          <InlineStack gap="200" blockAlign="center">
+            <Spinner size="small" />
+            <Text>Loading optimization rules...</Text>
+          </InlineStack>
+        </Box>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <Box padding="400">
+        <BlockStack gap="400">
+          <InlineStack align="space-between" blockAlign="center">
+            <Text as="h2" variant="headingMd">Automatic Optimization Rules</Text>
+            {editing === null && (
+              <Button onClick={() => setEditing('new')} disabled={rules.length >= 20}>Add rule</Button>
+            )}
+          </InlineStack>
+          <Text variant="bodyMd" tone="subdued">
+            Optimize new and changed products automatically. Rules skip products that already have the optimization
+            and stay within your plan limits and token balance.
+          </Text>
+
+          {error && <Banner tone="critical" onDismiss={() => setError('')}>{error}</Banner>}
+          {message && <Banner tone="success" onDismiss={() => setMessage('')}>{message}</Banner>}
+
+          {editing === 'new' && (
+            <RuleEditor
+              initial={{ ...EMPTY_RULE, action: { type: 'basic-seo', languages: languages.slice(0, 1) } }}
+              languages={languages}
+              saving={saving}
+              onSave={saveRule}
+              onCancel={() => setEditing(null)}
+            />
+          )}
+
+          {rules.length === 0 && editing !== 'new' && (
+            <Text variant="bodySm" tone="subdued">No rules yet.</Text>
+          )}
+
+          {rules.map(rule => (
+            editing === rule.id ? (
+              <RuleEditor
+                key={rule.id}
+                initial={rule}
+                languages={languages}
+                saving={saving}
+                onSave={saveRule}
+                onCancel={() => setEditing(null)}
+              />
+            ) : (
+              <InlineStack key={rule.id} align="space-between" blockAlign="center" wrap={false} gap="300">
+                <BlockStack gap="100">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text variant="bodyMd" fontWeight="semibold">{rule.name}</Text>
+                    {!rule.enabled && <Badge>Paused</Badge>}
+                    {rule.pendingCount > 0 && <Badge tone="info">{`${rule.pendingCount} pending`}</Badge>}
+                  </InlineStack>
+                  <Text variant="bodySm" tone="subdued">{describeRule(rule)}</Text>
+                  {rule.lastRunAt && (
+                    <Text variant="bodySm" tone="subdued">
+                      Last run {new Date(rule.lastRunAt).toLocaleString()} · {rule.lastRunStatus}
+                    </Text>
+                  )}
+                </BlockStack>
+                <InlineStack gap="200" wrap={false}>
+                  <Checkbox label="Enabled" checked={rule.enabled} disabled={busyId === rule.id} onChange={(c) => toggleRule(rule, c)} />
+                  <Button onClick={() => runRule(rule)} loading={busyId === rule.id} disabled={editing !== null}>Run now</Button>
+                  <Button onClick={() => setEditing(rule.id)} disabled={editing !== null}>Edit</Button>
+                  <Button tone="critical" onClick={() => deleteRule(rule)} disabled={busyId === rule.id || editing !== null}>Delete</Button>
+                </InlineStack>
+              </InlineStack>
+            )
+          ))}
+
+          <Divider />
+
+          <BlockStack gap="200">
+            <InlineStack align="space-between" blockAlign="center">
+              <Text variant="headingSm">Run log</Text>
+              <Button variant="plain" onClick={loadRuns}>Refresh</Button>
+            </InlineStack>
+            {runs.length === 0 && <Text variant="bodySm" tone="subdued">No rule runs yet.</Text>}
+            {runs.map(run => (
+              <InlineStack key={run.id} gap="200" blockAlign="center" wrap={false}>
+                <Badge tone={STATUS_TONES[run.status]}>{run.status}</Badge>
+                <Text variant="bodySm">
+                  {new Date(run.createdAt).toLocaleString()} · {run.ruleName} · {run.trigger} · {run.matched}/{run.candidates} matched
+                  {run.tokensEstimated > 0 ? ` · ~${run.tokensEstimated.toLocaleString()} tokens` : ''}
+                  {run.message ? ` · ${run.message}` : ''}
+                </Text>
+              </InlineStack>
+            ))}
+          </BlockStack>
+        </BlockStack>
+      </Box>
+    </Card>
+  );
+}
@@ -0,0 +1,319 @@
+// frontend/src/components/PromptTemplateSettings.jsx
+// Brand voice editor (Settings page): tone, reading level, always/never-use phrases,
+// default CTA and per-language instructions. Backed by /api/prompt-template.
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  Box,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Text,
+  TextField,
+  Select,
+  Checkbox,
+  Button,
+  Banner,
+  Badge,
+  Divider,
+  Spinner,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+const READING_LEVEL_OPTIONS = [
+  { label: 'Simple (everyday words, short sentences)', value: 'simple' },
+  { label: 'Standard', value: 'standard' },
+  { label: 'Advanced (expert audience)', value: 'advanced' },
+];
+
+const EMPTY_TEMPLATE = {
+  enabled: true,
+  tone: '',
+  readingLevel: 'standard',
+  alwaysUse: [],
+  neverUse: [],
+  defaultCta: '',
+  languageInstructions: [],
+};
+
+const toLines = (list) => (list || []).join('\n');
+const fromLines = (text) => text.split(/[\n,]/).map(s => s.trim()).filter(Boolean);
+
+function PreviewColumn({ title, result, tone }) {
+  return (
+    <Box padding="300" background={tone} borderRadius="200">
+      <BlockStack gap="200">
+        <Text variant="headingSm">{title}</Text>
+        <BlockStack gap="100">
+          {(result?.bullets || []).map((b, i) => (
+            <Text key={i} variant="bodySm">• {b}</Text>
+          ))}
+        </BlockStack>
+        {(result?.faq || []).length > 0 && <Divider />}
+        {(result?.faq || []).map((f, i) => (
+          <BlockStack key={i} gap="050">
+            <Text variant="bodySm" fontWeight="semibold">{f.q}</Text>
+            <Text variant="bodySm" tone="subdued">{f.a}</Text>
+          </BlockStack>
+        ))}
+      </BlockStack>
+    </Box>
+  );
+}
+
+export default function PromptTemplateSettings() {
+  const { api, shop } = useShopApi();
+  const [template, setTemplate] = useState(EMPTY_TEMPLATE);
+  const [alwaysText, setAlwaysText] = useState('');
+  const [neverText, setNeverText] = useState('');
+  const [languages, setLanguages] = useState([]);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const [products, setProducts] = useState([]);
+  const [previewProductId, setPreviewProductId] = useState('');
+  const [previewLanguage, setPreviewLanguage] = useState('');
+  const [previewing, setPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!shop) return;
+    setLoading(true);
+    try {
+      const data = await api('/api/prompt-template');
+      const t = { ...EMPTY_TEMPLATE, ...(data?.template || {}) };
+      setTemplate(t);
+      setAlwaysText(toLines(t.alwaysUse));
+      setNeverText(toLines(t.neverUse));
+      setLanguages(data?.languages || []);
+      setUpdatedAt(data?.updatedAt || null);
+      setPreviewLanguage(prev => prev || data?.languages?.[0] || 'en');
+      setDirty(false);
+    } catch (e) {
+      setError(e.message || 'Failed to load brand voice settings');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, shop]);
+
+  useEffect(() => { load(); }, [load]);
+
+  useEffect(() => {
+    if (!shop) return;
+    api('/api/products/list?limit=50')
+      .then(res => {
+        const list = res?.products || [];
+        setProducts(list);
+        if (list.length) setPreviewProductId(prev => prev || list[0].id);
+      })
+      .catch(() => setProducts([]));
+  }, [api, shop]);
+
+  const update = (patch) => {
+    setTemplate(prev => ({ ...prev, ...patch }));
+    setDirty(true);
+  };
+
+  const currentTemplate = () => ({
+    ...template,
+    alwaysUse: fromLines(alwaysText),
+    neverUse: fromLines(neverText),
+  });
+
+  const setLanguageInstructions = (language, instructions) => {
+    const rest = template.languageInstructions.filter(l => l.language !== language);
+    update({
+      languageInstructions: instructions.trim()
+        ? [...rest, { language, instructions }]
+        : rest,
+    });
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const res = await api('/api/prompt-template', { method: 'POST', body: { shop, template: currentTemplate() } });
+      const t = { ...EMPTY_TEMPLATE, ...(res?.template || {}) };
+      setTemplate(t);
+      setAlwaysText(toLines(t.alwaysUse));
+      setNeverText(toLines(t.neverUse));
+      setUpdatedAt(res?.updatedAt || null);
+      setDirty(false);
+      setMessage('Brand voice saved. It will be used for all new AI generations.');
+    } catch (e) {
+      setError(e.message || 'Failed to save brand voice settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runPreview = async () => {
+    setPreviewing(true);
+    setError('');
+    setPreview(null);
+    try {
+      const res = await api('/api/prompt-template/preview', {
+        method: 'POST',
+        body: { shop, productId: previewProductId, language: previewLanguage, template: currentTemplate() },
+      });
+      setPreview(res);
+    } catch (e) {
+      setError(e.message || 'Preview failed');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const languageList = languages.length ? languages : ['en'];
+  const instructionsFor = (lang) => template.languageInstructions.find(l => l.language === lang)?.instructions || '';
+
+  if (loading) {
+    return (
+      <Card>
+        <Box padding="400">
+          <InlineStack gap="200" blockAlign="center">
+            <Spinner size="small" />
+            <Text>Loading brand voice...</Text>
+          </InlineStack>
+        </Box>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <Box padding="400">
+        <BlockStack gap="400">
+          <InlineStack align="space-between" blockAlign="center">
+            <Text as="h2" variant="headingMd">Brand Voice & Prompt Template</Text>
+            <InlineStack gap="200" blockAlign="center">
+              {dirty && <Badge tone="attention">Unsaved changes</Badge>}
+              {updatedAt && !dirty && (
+                <Text variant="bodySm" tone="subdued">Saved {new Date(updatedAt).toLocaleString()}</Text>
+              )}
+            </InlineStack>
+          </InlineStack>
+          <Text variant="bodyMd" tone="subdued">
+            These rules are added to every AI generation (AI-enhanced bullets & FAQ, image alt text, schema descriptions and FAQ).
+          </Text>
+
+          {error && <Banner tone="critical" onDismiss={() => setError('')}>{error}</Banner>}
+          {message && <Banner tone="success" onDismiss={() => setMessage('')}>{message}</Banner>}
+
+          <Checkbox
+            label="Use my brand voice in AI generations"
+            checked={template.enabled}
+            onChange={(enabled) => update({ enabled })}
+          />
+
+          <InlineGrid columns={{ xs: 1, md: 2 }} gap="400">
+            <TextField
+              label="Tone"
+              value={template.tone}
+              onChange={(tone) => update({ tone })}
+              placeholder="e.g. friendly, confident, no hype"
+              maxLength={120}
+              autoComplete="off"
+            />
+            <Select
+              label="Reading level"
+              options={READING_LEVEL_OPTIONS}
+              value={template.readingLevel}
+              onChange={(readingLevel) => update({ readingLevel })}
+            />
+            <TextField
+              label="Words to always use"
+              value={alwaysText}
+              onChange={(v) => { setAlwaysText(v); setDirty(true); }}
+              multiline={3}
+              helpText="One per line or comma-separated"
+              autoComplete="off"
+            />
+            <TextField
+              label="Words to never use"
+              value={neverText}
+              onChange={(v) => { setNeverText(v); setDirty(true); }}
+              multiline={3}
+              helpText="Also removed from the output if the AI uses them anyway"
+              autoComplete="off"
+            />
+          </InlineGrid>
+
+          <TextField
+            label="Default call to action"
+            value={template.defaultCta}
+            onChange={(defaultCta) => update({ defaultCta })}
+            placeholder="e.g. Order today and get free returns within 30 days."
+            maxLength={160}
+            autoComplete="off"
+          />
+
+          <BlockStack gap="200">
+            <Text variant="headingSm">Per-language instructions</Text>
+            {languageList.map(lang => (
+              <TextField
+                key={lang}
+                label={lang.toUpperCase()}
+                value={instructionsFor(lang)}
+                onChange={(v) => setLanguageInstructions(lang, v)}
+                multiline={2}
+                placeholder={lang === 'de' ? 'e.g. Use "Sie", not "du".' : 'Optional extra instructions for this language'}
+                maxLength={1000}
+                autoComplete="off"
+              />
+            ))}
+          </BlockStack>
+
+          <InlineStack align="end">
+            <Button variant="primary" onClick={save} loading={saving} disabled={!dirty}>Save brand voice</Button>
+          </InlineStack>
+
+          <Divider />
+
+          <BlockStack gap="300">
+            <Text variant="headingSm">Preview on one product</Text>
+            <Text variant="bodySm" tone="subdued">
+              Generates AI-enhanced bullets and FAQ with and without the template above (unsaved changes included). Uses tokens.
+            </Text>
+            <InlineGrid columns={{ xs: 1, md: 3 }} gap="300">
+              <Select
+                label="Product"
+                options={products.length
+                  ? products.map(p => ({ label: p.title, value: p.id }))
+                  : [{ label: 'No products synced yet', value: '' }]}
+                value={previewProductId}
+                onChange={setPreviewProductId}
+              />
+              <Select
+                label="Language"
+                options={languageList.map(l => ({ label: l.toUpperCase(), value: l }))}
+                value={previewLanguage}
+                onChange={setPreviewLanguage}
+              />
+              <Box paddingBlockStart="600">
+                <Button onClick={runPreview} loading={previewing} disabled={!previewProductId}>Preview</Button>
+              </Box>
+            </InlineGrid>
+
+            {preview && (
+              <BlockStack gap="200">
+                <Text variant="bodySm" tone="subdued">
+                  {preview.product?.title} · {preview.language?.toUpperCase()} · {preview.tokensUsed} tokens used
+                </Text>
+                <InlineGrid columns={{ xs: 1, md: 2 }} gap="300">
+                  <PreviewColumn title="Without template" result={preview.without} tone="bg-surface-secondary" />
+                  <PreviewColumn title="With your brand voice" result={preview.with} tone="bg-surface-success" />
+                </InlineGrid>
+              </BlockStack>
+            )}
+          </BlockStack>
+        </BlockStack>
+      </Box>
+    </Card>
+  );
+}
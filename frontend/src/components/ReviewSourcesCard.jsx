@@ -0,0 +1,216 @@
+// frontend/src/components/ReviewSourcesCard.jsx
+// Review data for Review / AggregateRating schema (Schema Data page): import a CSV or a
+// review-app JSON export and show what is stored. Backed by /api/reviews.
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  Box,
+  BlockStack,
+  InlineStack,
+  Text,
+  Select,
+  Button,
+  Banner,
+  Badge,
+  DataTable,
+  Spinner,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+const SOURCE_OPTIONS = [
+  { label: 'Detect automatically', value: 'auto' },
+  { label: 'CSV file', value: 'csv' },
+  { label: 'Judge.me export (JSON)', value: 'judgeme' },
+  { label: 'Yotpo export (JSON)', value: 'yotpo' },
+  { label: 'Okendo export (JSON)', value: 'okendo' },
+  { label: 'Stamped export (JSON)', value: 'stamped' },
+  { label: 'Loox export (JSON)', value: 'loox' },
+];
+
+const SOURCE_LABELS = {
+  csv: 'CSV',
+  judgeme: 'Judge.me',
+  yotpo: 'Yotpo',
+  okendo: 'Okendo',
+  stamped: 'Stamped',
+  loox: 'Loox',
+};
+
+const MAX_FILE_SIZE = 8 * 1024 * 1024;
+
+export default function ReviewSourcesCard() {
+  const { api, shop } = useShopApi();
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [source, setSource] = useState('auto');
+  const [file, setFile] = useState(null);
+  const [content, setContent] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    if (!shop) return;
+    setLoading(true);
+    try {
+      setSummary(await api('/api/reviews'));
+    } catch (e) {
+      setError(e.message || 'Failed to load reviews');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, shop]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const handleFile = (files) => {
+    const selected = files?.[0];
+    setResult(null);
+    setError('');
+    if (!selected) return;
+    if (selected.size > MAX_FILE_SIZE) {
+      setError('File is too large (max 8MB). Split the export and import it in parts.');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFile(selected);
+      setContent(String(reader.result || ''));
+    };
+    reader.onerror = () => setError('Could not read the file');
+    reader.readAsText(selected);
+  };
+
+  const runImport = async (dryRun) => {
+    setImporting(true);
+    setError('');
+    try {
+      const res = await api('/api/reviews/import', {
+        method: 'POST',
+        body: { shop, source, content, dryRun },
+      });
+      setResult(res);
+      if (!dryRun) {
+        setFile(null);
+        setContent('');
+        await load();
+      }
+    } catch (e) {
+      setError(e.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const clearSource = async (src) => {
+    setError('');
+    try {
+      await api('/api/reviews/clear', { method: 'POST', body: { shop, source: src } });
+      setResult(null);
+      await load();
+    } catch (e) {
+      setError(e.message || 'Failed to remove reviews');
+    }
+  };
+
+  const rows = (summary?.sources || []).map(s => [
+    SOURCE_LABELS[s.source] || s.source,
+    s.count,
+    s.averageRating,
+    s.lastImportedAt ? new Date(s.lastImportedAt).toLocaleDateString() : '—',
+    <Button key={s.source} size="slim" tone="critical" variant="plain" onClick={() => clearSource(s.source)}>
+      Remove
+    </Button>,
+  ]);
+
+  return (
+    <Card>
+      <Box padding="300">
+        <BlockStack gap="300">
+          <InlineStack align="space-between" blockAlign="center">
+            <BlockStack gap="100">
+              <Text as="h3" variant="headingSm">Review Sources</Text>
+              <Text variant="bodyMd" tone="subdued">
+                Review and rating schemas are built only from real review data: the reviews.rating and
+                reviews.rating_count product metafields (written by most review apps) and reviews you import here.
+                Products without review data get no review markup.
+              </Text>
+            </BlockStack>
+            {summary && (
+              <Badge tone={summary.total > 0 ? 'success' : undefined}>
+                {summary.total} reviews · {summary.products} products
+              </Badge>
+            )}
+          </InlineStack>
+
+          {error && (
+            <Banner tone="critical" onDismiss={() => setError('')}>
+              <p>{error}</p>
+            </Banner>
+          )}
+
+          {loading ? (
+            <InlineStack align="center"><Spinner size="small" /></InlineStack>
+          ) : rows.length > 0 && (
+            <DataTable
+              columnContentTypes={['text', 'numeric', 'numeric', 'text', 'text']}
+              headings={['Source', 'Reviews', 'Avg. rating', 'Last import', '']}
+              rows={rows}
+            />
+          )}
+
+          <InlineStack gap="300" blockAlign="end" wrap>
+            <Box minWidth="220px">
+              <Select label="Format" options={SOURCE_OPTIONS} value={source} onChange={setSource} />
+            </Box>
+            <input
+              type="file"
+              accept=".csv,.json,text/csv,application/json"
+              onChange={(e) => handleFile(e.target.files)}
+              disabled={importing}
+            />
+          </InlineStack>
+
+          <Text variant="bodySm" tone="subdued">
+            CSV needs a rating (1-5) and a product_handle or product_id column; author, title, body, date,
+            verified and review_id are optional.{' '}
+            <a href={`/api/reviews/template.csv?shop=${encodeURIComponent(shop)}`} target="_blank" rel="noreferrer">
+              Download template
+            </a>
+          </Text>
+
+          <InlineStack gap="200">
+            <Button onClick={() => runImport(true)} disabled={!content} loading={importing}>
+              Check file
+            </Button>
+            <Button variant="primary" onClick={() => runImport(false)} disabled={!content} loading={importing}>
+              Import {file ? file.name : 'reviews'}
+            </Button>
+          </InlineStack>
+
+          {result && (
+            <Banner
+              tone={result.valid > 0 ? (result.invalid > 0 ? 'warning' : 'success') : 'critical'}
+              onDismiss={() => setResult(null)}
+            >
+              <BlockStack gap="100">
+                <p>
+                  {result.dryRun
+                    ? `${result.valid} valid reviews for ${result.products} products (${SOURCE_LABELS[result.source] || result.source}).`
+                    : `Imported ${result.inserted} new and updated ${result.updated} reviews for ${result.products} products.`}
+                  {result.skipped > 0 && ` ${result.skipped} unpublished reviews skipped.`}
+                  {result.invalid > 0 && ` ${result.invalid} rows rejected.`}
+                </p>
+                {(result.errors || []).slice(0, 5).map(err => (
+                  <Text key={`${err.row}-${err.error}`} variant="bodySm">
+                    Row {err.row}: {err.error}
+                  </Text>
+                ))}
+              </BlockStack>
+            </Banner>
+          )}
+        </BlockStack>
+      </Box>
+    </Card>
+  );
+}
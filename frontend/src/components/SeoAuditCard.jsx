@@ -0,0 +1,242 @@
+// frontend/src/components/SeoAuditCard.jsx
+// Dashboard card for the store-wide SEO audit (/api/seo-audit): health score, image alt
+// text coverage, the prioritized issue list and a fix per issue - either a basic SEO or
+// alt text batch started on the server, or a link to the affected products/collections.
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  Card,
+  Text,
+  Button,
+  Badge,
+  BlockStack,
+  InlineStack,
+  Divider,
+  Box,
+  Banner,
+  ProgressBar,
+} from '@shopify/polaris';
+
+const SEVERITY_TONES = { high: 'critical', medium: 'warning', low: 'info' };
+const VISIBLE_ISSUES = 6;
+const FIX_LABELS = { generate: 'Generate SEO', 'generate-alt': 'Generate alt text', review: 'Review' };
+
+function scoreTone(score) {
+  if (score >= 80) return 'success';
+  if (score >= 50) return 'highlight';
+  return 'critical';
+}
+
+// Same as Dashboard navigate(), plus the audit's filter params
+function openInEditor(path, extra = {}) {
+  const params = new URLSearchParams(window.location.search);
+  for (const [key, value] of Object.entries(extra)) params.set(key, value);
+  window.location.href = `${path}?${params.toString()}`;
+}
+
+function IssueRow({ issue, onFix, fixing }) {
+  const preview = issue.items.slice(0, 3).map(i => i.title || i.handle).filter(Boolean);
+  const more = issue.count - preview.length;
+  const fixLabel = FIX_LABELS[issue.fix] || FIX_LABELS.review;
+
+  return (
+    <InlineStack align="space-between" blockAlign="center" wrap={false} gap="300">
+      <BlockStack gap="050">
+        <InlineStack gap="200" blockAlign="center">
+          <Badge tone={SEVERITY_TONES[issue.severity]}>{issue.severity}</Badge>
+          <Text variant="bodyMd" fontWeight="semibold">{issue.label}</Text>
+          <Text variant="bodySm" tone="subdued">
+            {issue.count} {issue.resourceType === 'collection' ? 'collections' : 'products'}
+          </Text>
+        </InlineStack>
+        <Text variant="bodySm" tone="subdued">{issue.description}</Text>
+        {preview.length > 0 && (
+          <Text variant="bodySm" tone="subdued" truncate>
+            {preview.join(', ')}{more > 0 ? ` +${more} more` : ''}
+          </Text>
+        )}
+      </BlockStack>
+      <Button size="slim" onClick={() => onFix(issue)} loading={fixing}>{fixLabel}</Button>
+    </InlineStack>
+  );
+}
+
+export default function SeoAuditCard({ shop, api }) {
+  const [audit, setAudit] = useState(null);
+  const [job, setJob] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+  const [fixingId, setFixingId] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const pollRef = useRef(null);
+
+  const stopPolling = () => {
+    if (pollRef.current) clearInterval(pollRef.current);
+    pollRef.current = null;
+  };
+
+  const load = useCallback(async () => {
+    try {
+      const data = await api(`/api/seo-audit?shop=${encodeURIComponent(shop)}`);
+      setAudit(data?.audit || null);
+      setJob(data?.job || null);
+      return data?.job;
+    } catch (e) {
+      setError(e.message || 'Failed to load the SEO audit');
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [api, shop]);
+
+  const pollJob = useCallback(() => {
+    stopPolling();
+    pollRef.current = setInterval(async () => {
+      const status = await load();
+      if (!status?.inProgress) stopPolling();
+    }, 3000);
+  }, [load]);
+
+  useEffect(() => {
+    if (!shop) return undefined;
+    load().then(status => {
+      if (status?.inProgress) pollJob();
+    });
+    return stopPolling;
+  }, [shop, load, pollJob]);
+
+  const runAudit = async () => {
+    setStarting(true);
+    setError('');
+    setNotice('');
+    try {
+      await api(`/api/seo-audit/run?shop=${encodeURIComponent(shop)}`, { method: 'POST', body: { shop } });
+      setJob({ inProgress: true, status: 'queued' });
+      pollJob();
+    } catch (e) {
+      setError(e.message || 'Failed to start the SEO audit');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const fixIssue = async (issue) => {
+    if (issue.fix === 'review') {
+      if (issue.resourceType === 'collection') {
+        openInEditor('/ai-seo/collections');
+      } else {
+        openInEditor('/ai-seo/products', { ids: issue.items.map(i => i.id).join(','), auditIssue: issue.label });
+      }
+      return;
+    }
+
+    setFixingId(issue.id);
+    setError('');
+    setNotice('');
+    try {
+      const data = await api(`/api/seo-audit/fix?shop=${encodeURIComponent(shop)}`, {
+        method: 'POST',
+        body: { shop, issueId: issue.id }
+      });
+      const what = issue.fix === 'generate-alt' ? 'Alt text generation' : 'SEO generation';
+      setNotice(`${what} started for ${data.totalProducts} products (${String(data.language).toUpperCase()}). Run the audit again when it has finished.`);
+    } catch (e) {
+      setError(e.message || 'Failed to start the fix');
+    } finally {
+      setFixingId(null);
+    }
+  };
+
+  const running = job?.inProgress === true;
+  const issues = audit?.issues || [];
+  const visible = showAll ? issues : issues.slice(0, VISIBLE_ISSUES);
+  const summary = audit?.summary || {};
+
+  return (
+    <Card>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="050">
+            <Text variant="headingMd">SEO Audit</Text>
+            <Text variant="bodySm" tone="subdued">
+              {audit
+                ? `Last run ${new Date(audit.createdAt).toLocaleString()} · ${summary.products || 0} products, ${summary.collections || 0} collections`
+                : 'Checks titles, meta descriptions, alt text, descriptions and languages across the store'}
+            </Text>
+          </BlockStack>
+          <Button onClick={runAudit} loading={starting || running} disabled={loading}>
+            {audit ? 'Run again' : 'Run audit'}
+          </Button>
+        </InlineStack>
+
+        {error && <Banner tone="critical" onDismiss={() => setError('')}>{error}</Banner>}
+        {notice && <Banner tone="success" onDismiss={() => setNotice('')}>{notice}</Banner>}
+        {job?.status === 'failed' && job.error && !running && (
+          <Banner tone="warning">The last audit failed: {job.error}</Banner>
+        )}
+        {running && (
+          <Text variant="bodySm" tone="subdued">
+            {job.status === 'queued' && job.position > 1 ? `Queued (position ${job.position})…` : 'Auditing your store…'}
+          </Text>
+        )}
+
+        {audit && (
+          <>
+            <BlockStack gap="100">
+              <InlineStack align="space-between">
+                <Text variant="bodyMd" fontWeight="semibold">Health score</Text>
+                <Text variant="bodyMd" fontWeight="semibold">{summary.score ?? 0}/100</Text>
+              </InlineStack>
+              <ProgressBar progress={summary.score ?? 0} size="small" tone={scoreTone(summary.score ?? 0)} />
+              <InlineStack gap="200">
+                <Text variant="bodySm" tone="subdued">
+                  {summary.resourcesWithIssues || 0} of {(summary.products || 0) + (summary.collections || 0)} pages need attention
+                </Text>
+                {audit.truncated && <Text variant="bodySm" tone="subdued">(audit limit reached)</Text>}
+              </InlineStack>
+            </BlockStack>
+
+            {summary.altCoverage?.images > 0 && (
+              <BlockStack gap="100">
+                <InlineStack align="space-between">
+                  <Text variant="bodyMd" fontWeight="semibold">Image alt text</Text>
+                  <Text variant="bodySm" fontWeight="semibold">
+                    {summary.altCoverage.withAlt}/{summary.altCoverage.images} images
+                  </Text>
+                </InlineStack>
+                <ProgressBar
+                  progress={summary.altCoverage.percent}
+                  size="small"
+                  tone={summary.altCoverage.percent === 100 ? 'success' : 'primary'}
+                />
+              </BlockStack>
+            )}
+
+            <Divider />
+
+            {issues.length === 0 ? (
+              <Text variant="bodyMd" tone="success">No issues found.</Text>
+            ) : (
+              <BlockStack gap="300">
+                {visible.map((issue, idx) => (
+                  <Box key={issue.id}>
+                    {idx > 0 && <Box paddingBlockEnd="300"><Divider /></Box>}
+                    <IssueRow issue={issue} onFix={fixIssue} fixing={fixingId === issue.id} />
+                  </Box>
+                ))}
+                {issues.length > VISIBLE_ISSUES && (
+                  <InlineStack>
+                    <Button variant="plain" onClick={() => setShowAll(!showAll)}>
+                      {showAll ? 'Show fewer' : `Show all ${issues.length} issues`}
+                    </Button>
+                  </InlineStack>
+                )}
+              </BlockStack>
+            )}
+          </>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
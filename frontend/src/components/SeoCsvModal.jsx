@@ -0,0 +1,260 @@
+// frontend/src/components/SeoCsvModal.jsx
+// Spreadsheet round trip for SEO copy written offline: export products and collections
+// (seo_ai metafields per language, image alt texts) as CSV, check an edited file against
+// the store (dry-run diff) and apply the changed rows as a background job.
+// Backed by /api/seo/csv/*.
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Modal,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Box,
+  Button,
+  Banner,
+  Select,
+  Divider,
+  ProgressBar,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+const TYPE_OPTIONS = [
+  { label: 'Products and collections', value: 'all' },
+  { label: 'Products', value: 'product' },
+  { label: 'Collections', value: 'collection' },
+];
+
+const MAX_FILE_SIZE = 8 * 1024 * 1024;
+
+function ChangeRow({ change }) {
+  return (
+    <BlockStack gap="100">
+      <InlineStack gap="200" blockAlign="center">
+        <Text variant="bodyMd" fontWeight="semibold">{change.title}</Text>
+        <Badge>{change.language.toUpperCase()}</Badge>
+        <Text variant="bodySm" tone="subdued">row {change.row}</Text>
+      </InlineStack>
+      {change.changes.map(c => (
+        <Box key={c.field} paddingInlineStart="300">
+          <Text variant="bodySm" fontWeight="medium">{c.field}</Text>
+          <Text variant="bodySm" breakWord>
+            <span style={{ textDecoration: 'line-through', color: '#8c9196', whiteSpace: 'pre-line' }}>{c.before || '—'}</span>
+          </Text>
+          <Text variant="bodySm" breakWord>
+            <span style={{ whiteSpace: 'pre-line' }}>{c.after}</span>
+          </Text>
+        </Box>
+      ))}
+    </BlockStack>
+  );
+}
+
+export default function SeoCsvModal({ open, onClose, onApplied }) {
+  const { api, shop } = useShopApi();
+  const [type, setType] = useState('all');
+  const [file, setFile] = useState(null);
+  const [content, setContent] = useState('');
+  const [checking, setChecking] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [result, setResult] = useState(null);
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const pollRef = useRef(null);
+
+  const stopPolling = () => {
+    if (pollRef.current) clearInterval(pollRef.current);
+    pollRef.current = null;
+  };
+  useEffect(() => stopPolling, []);
+
+  useEffect(() => {
+    if (!open) return;
+    setFile(null);
+    setContent('');
+    setResult(null);
+    setNotice('');
+    setError('');
+  }, [open]);
+
+  const pollJob = () => {
+    stopPolling();
+    pollRef.current = setInterval(async () => {
+      try {
+        const status = await api(`/api/seo/csv/job-status?shop=${encodeURIComponent(shop)}`);
+        setJob(status);
+        if (!status?.inProgress) {
+          stopPolling();
+          setApplying(false);
+          setNotice(`Applied ${status.successful || 0} rows${status.failed ? `, ${status.failed} failed` : ''}.`);
+          onApplied?.();
+        }
+      } catch (e) {
+        stopPolling();
+        setApplying(false);
+        setError(e.message || 'Failed to get job status');
+      }
+    }, 2000);
+  };
+
+  const handleFile = (files) => {
+    const selected = files?.[0];
+    setResult(null);
+    setError('');
+    setNotice('');
+    if (!selected) return;
+    if (selected.size > MAX_FILE_SIZE) {
+      setError('File is too large (max 8MB). Split the sheet and import it in parts.');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFile(selected);
+      setContent(String(reader.result || ''));
+    };
+    reader.onerror = () => setError('Could not read the file');
+    reader.readAsText(selected);
+  };
+
+  const check = async () => {
+    setChecking(true);
+    setError('');
+    setNotice('');
+    try {
+      setResult(await api('/api/seo/csv/import', { method: 'POST', body: { shop, content, dryRun: true } }));
+    } catch (e) {
+      setResult(null);
+      setError(e.message || 'Failed to check the file');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const apply = async () => {
+    setApplying(true);
+    setError('');
+    try {
+      const data = await api('/api/seo/csv/import', { method: 'POST', body: { shop, content, dryRun: false } });
+      if (!data?.queued) {
+        setApplying(false);
+        setNotice(data?.message || 'Nothing to apply');
+        return;
+      }
+      setResult(null);
+      setFile(null);
+      setContent('');
+      setJob({ inProgress: true, total: data.total, processed: 0 });
+      pollJob();
+    } catch (e) {
+      setApplying(false);
+      setError(e.message || 'Failed to start the import');
+    }
+  };
+
+  const exportUrl = (format) =>
+    `/api/seo/csv/export?shop=${encodeURIComponent(shop)}&format=${format}&type=${type}`;
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      large
+      title="Import / export SEO (CSV)"
+      primaryAction={{
+        content: result?.changed ? `Apply ${result.changed} changed rows` : 'Apply',
+        onAction: apply,
+        loading: applying,
+        disabled: !result?.changed || checking || applying,
+      }}
+      secondaryActions={[{ content: 'Close', onAction: onClose }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="300">
+          <Text variant="headingSm">Export</Text>
+          <Text variant="bodySm" tone="subdued">
+            One row per product or collection and language with SEO title, meta description, bullets (one per line),
+            FAQ ("Q:" and "A:" lines) and, on the main language row, image alt texts. Opens in Google Sheets and Excel.
+          </Text>
+          <InlineStack gap="200" blockAlign="end">
+            <Box minWidth="240px">
+              <Select label="Include" options={TYPE_OPTIONS} value={type} onChange={setType} />
+            </Box>
+            <Button url={exportUrl('csv')} target="_blank">Download CSV</Button>
+            <Button url={exportUrl('excel')} target="_blank">Download for Excel</Button>
+          </InlineStack>
+        </BlockStack>
+      </Modal.Section>
+
+      <Modal.Section>
+        <BlockStack gap="300">
+          <Text variant="headingSm">Import</Text>
+          <Text variant="bodySm" tone="subdued">
+            Upload the edited sheet. Empty cells keep the current value; rows are matched by id (or handle).
+            Check the file first to see every change before it is applied.
+          </Text>
+          {error && <Banner tone="critical" onDismiss={() => setError('')}>{error}</Banner>}
+          {notice && <Banner tone="success" onDismiss={() => setNotice('')}>{notice}</Banner>}
+          <InlineStack gap="200" blockAlign="center">
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+              onChange={(e) => handleFile(e.target.files)}
+              disabled={applying}
+            />
+            <Button onClick={check} disabled={!content || applying} loading={checking}>
+              Check {file ? file.name : 'file'}
+            </Button>
+          </InlineStack>
+
+          {job?.inProgress && (
+            <BlockStack gap="100">
+              <Text variant="bodySm">Applying {job.processed || 0}/{job.total || 0}…</Text>
+              <ProgressBar progress={job.total ? Math.round(((job.processed || 0) / job.total) * 100) : 0} size="small" />
+            </BlockStack>
+          )}
+          {job && !job.inProgress && job.failReasons?.length > 0 && (
+            <Banner tone="warning">
+              <BlockStack gap="050">
+                {job.failReasons.map((reason, i) => <Text key={i} variant="bodySm">{reason}</Text>)}
+              </BlockStack>
+            </Banner>
+          )}
+
+          {result && (
+            <BlockStack gap="300">
+              <InlineStack gap="200">
+                <Badge tone={result.changed ? 'success' : undefined}>{`${result.changed} changed`}</Badge>
+                <Badge>{`${result.unchanged} unchanged`}</Badge>
+                {result.invalid > 0 && <Badge tone="critical">{`${result.invalid} invalid`}</Badge>}
+              </InlineStack>
+              {result.errors.length > 0 && (
+                <Banner tone="warning" title="These rows will be skipped">
+                  <BlockStack gap="050">
+                    {result.errors.map(e => (
+                      <Text key={`${e.row}-${e.error}`} variant="bodySm">Row {e.row}: {e.error}</Text>
+                    ))}
+                    {result.invalid > result.errors.length && (
+                      <Text variant="bodySm" tone="subdued">…and {result.invalid - result.errors.length} more</Text>
+                    )}
+                  </BlockStack>
+                </Banner>
+              )}
+              {result.changes.map((change, idx) => (
+                <Box key={`${change.row}`}>
+                  {idx > 0 && <Box paddingBlockEnd="200"><Divider /></Box>}
+                  <ChangeRow change={change} />
+                </Box>
+              ))}
+              {result.changed > result.changes.length && (
+                <Text variant="bodySm" tone="subdued">
+                  …and {result.changed - result.changes.length} more changed rows
+                </Text>
+              )}
+            </BlockStack>
+          )}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
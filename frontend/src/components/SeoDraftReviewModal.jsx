@@ -0,0 +1,363 @@
+// frontend/src/components/SeoDraftReviewModal.jsx
+// Review queue for AI SEO generated in review mode: live SEO next to the draft,
+// approve / edit / reject per field, then publish the approved fields.
+// Backed by /api/seo/drafts/*.
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Modal,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Box,
+  Button,
+  ButtonGroup,
+  Banner,
+  Spinner,
+  Divider,
+  TextField,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+const REVIEW_FIELDS = ['title', 'metaDescription', 'bullets', 'faq'];
+
+const FIELD_LABELS = {
+  title: 'Title',
+  metaDescription: 'Meta description',
+  bullets: 'Bullets',
+  faq: 'FAQ',
+};
+
+const STATE_BADGES = {
+  pending: { tone: 'attention', label: 'Needs review' },
+  ready: { tone: 'success', label: 'Ready to publish' },
+  rejected: { tone: 'critical', label: 'All rejected' },
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return '—';
+  if (Array.isArray(value)) {
+    return value.map(v => (typeof v === 'object' ? `${v.q} → ${v.a}` : `• ${v}`)).join('\n');
+  }
+  return String(value);
+}
+
+// Text shown in the edit box; FAQ is one "Question | Answer" per line
+function toEditText(field, value) {
+  if (field === 'bullets') return (value || []).join('\n');
+  if (field === 'faq') return (value || []).map(f => `${f.q} | ${f.a}`).join('\n');
+  return value || '';
+}
+
+function fromEditText(field, text) {
+  if (field === 'faq') {
+    return text.split('\n')
+      .map(line => {
+        const idx = line.indexOf('|');
+        return idx === -1 ? null : { q: line.slice(0, idx).trim(), a: line.slice(idx + 1).trim() };
+      })
+      .filter(f => f && f.q && f.a);
+  }
+  return text;
+}
+
+function FieldRow({ draft, field, busy, onDecision }) {
+  const entry = draft.fields?.[field] || {};
+  const [editing, setEditing] = useState(false);
+  const [text, setText] = useState('');
+  const draftValue = entry.edited ?? entry.value;
+
+  const startEdit = () => {
+    setText(toEditText(field, draftValue));
+    setEditing(true);
+  };
+
+  const saveEdit = async () => {
+    const ok = await onDecision(draft, field, { status: 'approved', edited: fromEditText(field, text) });
+    if (ok) setEditing(false);
+  };
+
+  return (
+    <BlockStack gap="100">
+      <InlineStack align="space-between" blockAlign="center">
+        <InlineStack gap="200" blockAlign="center">
+          <Text variant="bodySm" fontWeight="semibold">{FIELD_LABELS[field]}</Text>
+          {entry.status === 'approved' && <Badge size="small" tone="success">{entry.edited != null ? 'Edited & approved' : 'Approved'}</Badge>}
+          {entry.status === 'rejected' && <Badge size="small" tone="critical">Rejected</Badge>}
+        </InlineStack>
+        {!editing && (
+          <ButtonGroup>
+            <Button size="slim" onClick={() => onDecision(draft, field, { status: 'approved' })} disabled={busy || entry.status === 'approved'}>
+              Approve
+            </Button>
+            <Button size="slim" onClick={startEdit} disabled={busy}>Edit</Button>
+            <Button size="slim" tone="critical" onClick={() => onDecision(draft, field, { status: 'rejected' })} disabled={busy || entry.status === 'rejected'}>
+              Reject
+            </Button>
+          </ButtonGroup>
+        )}
+      </InlineStack>
+      <InlineStack gap="200" wrap={false} align="start">
+        <Box padding="200" background="bg-surface-secondary" borderRadius="100" width="50%">
+          <Text variant="bodySm" as="p" breakWord>
+            <span style={{ whiteSpace: 'pre-wrap' }}>{formatValue(draft.current?.[field])}</span>
+          </Text>
+        </Box>
+        <Box
+          padding="200"
+          background={entry.status === 'rejected' ? 'bg-surface-critical' : 'bg-surface-success'}
+          borderRadius="100"
+          width="50%"
+        >
+          {editing ? (
+            <BlockStack gap="200">
+              <TextField
+                label={FIELD_LABELS[field]}
+                labelHidden
+                value={text}
+                onChange={setText}
+                multiline={field === 'title' ? false : 4}
+                helpText={field === 'faq' ? 'One per line: Question | Answer' : field === 'bullets' ? 'One bullet per line' : undefined}
+                autoComplete="off"
+              />
+              <InlineStack gap="200">
+                <Button size="slim" variant="primary" onClick={saveEdit} loading={busy}>Save & approve</Button>
+                <Button size="slim" variant="plain" onClick={() => setEditing(false)}>Cancel</Button>
+              </InlineStack>
+            </BlockStack>
+          ) : (
+            <Text variant="bodySm" as="p" breakWord>
+              <span style={{ whiteSpace: 'pre-wrap' }}>{formatValue(draftValue)}</span>
+            </Text>
+          )}
+        </Box>
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+/**
+ * Props:
+ *  - jobId: limit the queue to one batch job (null = all pending drafts)
+ *  - onPublished: called after publishing finishes
+ */
+export default function SeoDraftReviewModal({ open, onClose, jobId = null, onPublished }) {
+  const { api, shop } = useShopApi();
+  const [drafts, setDrafts] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, ready: 0, rejected: 0 });
+  const [publish, setPublish] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const load = useCallback(async () => {
+    if (!shop) return;
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ shop });
+      if (jobId) params.set('jobId', jobId);
+      const data = await api(`/api/seo/drafts?${params.toString()}`);
+      setDrafts(data?.drafts || []);
+      setCounts(data?.counts || { pending: 0, ready: 0, rejected: 0 });
+      setPublish(data?.publish || null);
+    } catch (e) {
+      setError(e.message || 'Failed to load drafts');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, shop, jobId]);
+
+  useEffect(() => {
+    if (open) {
+      setMessage('');
+      load();
+    }
+  }, [open, load]);
+
+  // Poll while publishing runs
+  useEffect(() => {
+    if (!open || !publish || publish.finishedAt) return;
+    const t = setInterval(async () => {
+      try {
+        const data = await api(`/api/seo/drafts/publish-status?shop=${encodeURIComponent(shop)}`);
+        setPublish(data?.progress || null);
+        if (!data?.publishing) {
+          await load();
+          onPublished?.();
+        }
+      } catch {
+        // keep polling
+      }
+    }, 3000);
+    return () => clearInterval(t);
+  }, [open, publish, api, shop, load, onPublished]);
+
+  const recount = (list) => {
+    const next = { pending: 0, ready: 0, rejected: 0 };
+    for (const d of list) next[d.reviewState]++;
+    setCounts(next);
+  };
+
+  const decide = async (draft, field, decision) => {
+    setBusyId(draft.id);
+    setError('');
+    try {
+      const res = await api(`/api/seo/drafts/${draft.id}/review`, {
+        method: 'POST',
+        body: { shop, fields: { [field]: decision } },
+      });
+      const list = drafts.map(d => (d.id === draft.id ? res.draft : d));
+      setDrafts(list);
+      recount(list);
+      return true;
+    } catch (e) {
+      setError(e.message || 'Failed to save review');
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const reviewAll = async (status) => {
+    setBusyId('all');
+    setError('');
+    try {
+      const res = await api('/api/seo/drafts/review-all', { method: 'POST', body: { shop, jobId, status } });
+      setMessage(`${status === 'approved' ? 'Approved' : 'Rejected'} remaining fields on ${res.updated} draft(s)`);
+      await load();
+    } catch (e) {
+      setError(e.message || 'Bulk review failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const publishApproved = async () => {
+    setBusyId('publish');
+    setError('');
+    try {
+      const res = await api('/api/seo/drafts/publish', { method: 'POST', body: { shop, jobId } });
+      if (res?.queued) {
+        setMessage(`Publishing ${res.total} draft(s)...${res.stillPending ? ` ${res.stillPending} still need review.` : ''}`);
+      } else {
+        setMessage(res?.message || 'Nothing to publish');
+      }
+      await load();
+    } catch (e) {
+      setError(e.message || 'Publish failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const discardAll = async () => {
+    setBusyId('discard');
+    setError('');
+    try {
+      const res = await api('/api/seo/drafts/discard', {
+        method: 'POST',
+        body: { shop, jobId, ids: jobId ? undefined : drafts.map(d => d.id) },
+      });
+      setMessage(`Discarded ${res.discarded} draft(s)`);
+      await load();
+    } catch (e) {
+      setError(e.message || 'Discard failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const publishing = publish && !publish.finishedAt;
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      large
+      title={`Review AI SEO drafts${drafts.length ? ` (${drafts.length})` : ''}`}
+      primaryAction={{
+        content: publishing ? 'Publishing...' : `Publish approved (${counts.ready})`,
+        onAction: publishApproved,
+        loading: busyId === 'publish',
+        disabled: publishing || counts.ready === 0,
+      }}
+      secondaryActions={[
+        { content: 'Discard all', destructive: true, onAction: discardAll, disabled: publishing || drafts.length === 0, loading: busyId === 'discard' },
+        { content: 'Close', onAction: onClose },
+      ]}
+    >
+      <Modal.Section>
+        <BlockStack gap="300">
+          {error && <Banner tone="critical">{error}</Banner>}
+          {message && <Banner tone="success" onDismiss={() => setMessage('')}>{message}</Banner>}
+          {publish && (
+            <Banner tone={publish.finishedAt ? (publish.failed > 0 ? 'warning' : 'success') : 'info'}>
+              <BlockStack gap="100">
+                <Text variant="bodySm">
+                  {publish.finishedAt ? 'Publishing finished' : 'Publishing'}: {publish.processed}/{publish.total} processed
+                  {' · '}{publish.applied} published
+                  {publish.failed > 0 && ` · ${publish.failed} failed`}
+                  {publish.discarded > 0 && ` · ${publish.discarded} discarded (all fields rejected)`}
+                </Text>
+                {publish.errors?.slice(0, 10).map((e, i) => (
+                  <Text key={i} variant="bodySm" tone="subdued">{e}</Text>
+                ))}
+              </BlockStack>
+            </Banner>
+          )}
+
+          {drafts.length > 0 && (
+            <InlineStack align="space-between" blockAlign="center">
+              <Text variant="bodySm" tone="subdued">
+                {counts.pending} need review · {counts.ready} ready · {counts.rejected} fully rejected.
+                Only approved fields are published; rejected fields keep the live value.
+              </Text>
+              <ButtonGroup>
+                <Button size="slim" onClick={() => reviewAll('approved')} loading={busyId === 'all'} disabled={!!busyId || counts.pending === 0}>
+                  Approve remaining
+                </Button>
+                <Button size="slim" onClick={() => reviewAll('rejected')} disabled={!!busyId || counts.pending === 0}>
+                  Reject remaining
+                </Button>
+              </ButtonGroup>
+            </InlineStack>
+          )}
+
+          {loading && drafts.length === 0 ? (
+            <InlineStack align="center"><Spinner size="small" /></InlineStack>
+          ) : drafts.length === 0 ? (
+            <Text tone="subdued">No drafts waiting for review.</Text>
+          ) : (
+            drafts.map((d, idx) => (
+              <Box key={d.id}>
+                {idx > 0 && <Box paddingBlockEnd="300"><Divider /></Box>}
+                <BlockStack gap="300">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Badge>{d.language.toUpperCase()}</Badge>
+                    <Text variant="bodyMd" fontWeight="semibold">{d.productTitle || d.productId}</Text>
+                    <Badge tone={STATE_BADGES[d.reviewState].tone}>{STATE_BADGES[d.reviewState].label}</Badge>
+                  </InlineStack>
+                  <InlineStack gap="200">
+                    <Box width="50%"><Text variant="bodySm" tone="subdued">{d.current ? 'Live now' : 'Live now (not optimized yet)'}</Text></Box>
+                    <Box width="50%"><Text variant="bodySm" tone="subdued">AI draft</Text></Box>
+                  </InlineStack>
+                  {REVIEW_FIELDS.map(field => (
+                    <FieldRow
+                      key={field}
+                      draft={d}
+                      field={field}
+                      busy={busyId === d.id || publishing}
+                      onDecision={decide}
+                    />
+                  ))}
+                </BlockStack>
+              </Box>
+            ))
+          )}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
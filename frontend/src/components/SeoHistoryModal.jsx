@@ -0,0 +1,251 @@
+// frontend/src/components/SeoHistoryModal.jsx
+// SEO version history for one product (per language) or one batch job,
+// with field diffs and restore / undo actions. Backed by /api/seo/history/*.
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Modal,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Box,
+  Button,
+  Banner,
+  Spinner,
+  Divider,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  metaDescription: 'Meta description',
+  bodyHtml: 'Body HTML',
+  bullets: 'Bullets',
+  faq: 'FAQ',
+  imageAlt: 'Image alt',
+  slug: 'Slug',
+};
+
+const SOURCE_LABELS = {
+  apply: 'Applied',
+  batch: 'Batch job',
+  restore: 'Restored',
+};
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (Array.isArray(value)) {
+    return value.map(v => (typeof v === 'object' ? `${v.q} → ${v.a}` : String(v))).join('\n');
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function DiffRow({ change }) {
+  return (
+    <BlockStack gap="100">
+      <InlineStack gap="200" blockAlign="center">
+        <Text variant="bodySm" fontWeight="semibold">{FIELD_LABELS[change.field] || change.field}</Text>
+        <Badge size="small" tone={change.change === 'added' ? 'success' : change.change === 'removed' ? 'critical' : 'info'}>
+          {change.change}
+        </Badge>
+      </InlineStack>
+      <InlineStack gap="200" wrap={false} align="start">
+        <Box padding="200" background="bg-surface-critical" borderRadius="100" width="50%">
+          <Text variant="bodySm" as="p" breakWord>
+            <span style={{ whiteSpace: 'pre-wrap' }}>{formatValue(change.before)}</span>
+          </Text>
+        </Box>
+        <Box padding="200" background="bg-surface-success" borderRadius="100" width="50%">
+          <Text variant="bodySm" as="p" breakWord>
+            <span style={{ whiteSpace: 'pre-wrap' }}>{formatValue(change.after)}</span>
+          </Text>
+        </Box>
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+/**
+ * Props:
+ *  - productId / productTitle: show history of one product
+ *  - jobId: show history of one batch job (with "Undo whole batch")
+ */
+export default function SeoHistoryModal({ open, onClose, productId = null, productTitle = '', jobId = null, onRestored }) {
+  const { api, shop } = useShopApi();
+  const [versions, setVersions] = useState([]);
+  const [rollback, setRollback] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const load = useCallback(async () => {
+    if (!shop || (!productId && !jobId)) return;
+    setLoading(true);
+    setError('');
+    try {
+      const url = jobId
+        ? `/api/seo/history/job/${encodeURIComponent(jobId)}?shop=${encodeURIComponent(shop)}`
+        : `/api/seo/history/product/${encodeURIComponent(productId)}?shop=${encodeURIComponent(shop)}`;
+      const data = await api(url);
+      setVersions(data?.versions || []);
+      setRollback(data?.rollback || null);
+    } catch (e) {
+      setError(e.message || 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, shop, productId, jobId]);
+
+  useEffect(() => {
+    if (open) {
+      setMessage('');
+      setExpanded(null);
+      load();
+    }
+  }, [open, load]);
+
+  // Poll while a batch rollback is running
+  useEffect(() => {
+    if (!open || !rollback || rollback.finishedAt) return;
+    const t = setInterval(load, 3000);
+    return () => clearInterval(t);
+  }, [open, rollback, load]);
+
+  const restore = async (version, target) => {
+    setBusyId(version.id);
+    setError('');
+    try {
+      await api('/api/seo/history/restore', {
+        method: 'POST',
+        body: { shop, versionId: version.id, target },
+      });
+      setMessage(target === 'before'
+        ? `Reverted ${version.language.toUpperCase()} to the version before ${new Date(version.createdAt).toLocaleString()}`
+        : `Restored ${version.language.toUpperCase()} version from ${new Date(version.createdAt).toLocaleString()}`);
+      await load();
+      onRestored?.();
+    } catch (e) {
+      setError(e.message || 'Restore failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const restoreJob = async () => {
+    setBusyId('job');
+    setError('');
+    try {
+      const res = await api('/api/seo/history/restore-job', {
+        method: 'POST',
+        body: { shop, jobId },
+      });
+      setMessage(res?.queued ? `Rolling back ${res.total} product version(s)...` : (res?.message || 'Nothing to restore'));
+      await load();
+      onRestored?.();
+    } catch (e) {
+      setError(e.message || 'Rollback failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const rollbackRunning = rollback && !rollback.finishedAt;
+  const pendingInJob = versions.filter(v => !v.restoredAt).length;
+
+  return (
+    <Modal
+      open={open}
+      onClose={onClose}
+      large
+      title={jobId ? 'Batch job history' : `SEO history${productTitle ? `: ${productTitle}` : ''}`}
+      primaryAction={jobId ? {
+        content: rollbackRunning ? 'Rolling back...' : 'Undo whole batch',
+        destructive: true,
+        onAction: restoreJob,
+        loading: busyId === 'job',
+        disabled: rollbackRunning || pendingInJob === 0,
+      } : undefined}
+      secondaryActions={[{ content: 'Close', onAction: onClose }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="300">
+          {error && <Banner tone="critical">{error}</Banner>}
+          {message && <Banner tone="success" onDismiss={() => setMessage('')}>{message}</Banner>}
+          {rollback && (
+            <Banner tone={rollback.finishedAt ? (rollback.failed > 0 ? 'warning' : 'success') : 'info'}>
+              <BlockStack gap="100">
+                <Text variant="bodySm">
+                  {rollback.finishedAt ? 'Rollback finished' : 'Rollback in progress'}: {rollback.processed}/{rollback.total} processed
+                  {' · '}{rollback.restored} restored
+                  {rollback.skipped > 0 && ` · ${rollback.skipped} skipped`}
+                  {rollback.failed > 0 && ` · ${rollback.failed} failed`}
+                </Text>
+                {rollback.errors?.slice(0, 10).map((e, i) => (
+                  <Text key={i} variant="bodySm" tone="subdued">{e}</Text>
+                ))}
+              </BlockStack>
+            </Banner>
+          )}
+
+          {loading && versions.length === 0 ? (
+            <InlineStack align="center"><Spinner size="small" /></InlineStack>
+          ) : versions.length === 0 ? (
+            <Text tone="subdued">No SEO changes recorded yet.</Text>
+          ) : (
+            versions.map((v, idx) => (
+              <Box key={v.id}>
+                {idx > 0 && <Box paddingBlockEnd="300"><Divider /></Box>}
+                <BlockStack gap="200">
+                  <InlineStack align="space-between" blockAlign="center">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Badge>{v.language.toUpperCase()}</Badge>
+                      <Badge tone={v.source === 'restore' ? 'attention' : 'info'}>{SOURCE_LABELS[v.source] || v.source}</Badge>
+                      {jobId && <Text variant="bodySm" fontWeight="semibold">{v.productTitle || v.productId}</Text>}
+                      <Text variant="bodySm" tone="subdued">{new Date(v.createdAt).toLocaleString()}</Text>
+                      {v.restoredAt && <Badge tone="warning" size="small">Restored</Badge>}
+                    </InlineStack>
+                    <InlineStack gap="200">
+                      <Button
+                        size="slim"
+                        variant="plain"
+                        onClick={() => setExpanded(expanded === v.id ? null : v.id)}
+                      >
+                        {expanded === v.id ? 'Hide changes' : `${v.changes.length} change${v.changes.length !== 1 ? 's' : ''}`}
+                      </Button>
+                      {!jobId && (
+                        <>
+                          <Button size="slim" onClick={() => restore(v, 'before')} loading={busyId === v.id} disabled={!!busyId}>
+                            {v.hadSeoBefore ? 'Revert this change' : 'Remove this SEO'}
+                          </Button>
+                          {idx > 0 && (
+                            <Button size="slim" onClick={() => restore(v, 'after')} disabled={!!busyId}>
+                              Restore this version
+                            </Button>
+                          )}
+                        </>
+                      )}
+                    </InlineStack>
+                  </InlineStack>
+                  {expanded === v.id && (
+                    <BlockStack gap="300">
+                      <InlineStack gap="200">
+                        <Box width="50%"><Text variant="bodySm" tone="subdued">Before</Text></Box>
+                        <Box width="50%"><Text variant="bodySm" tone="subdued">After</Text></Box>
+                      </InlineStack>
+                      {v.changes.length === 0
+                        ? <Text variant="bodySm" tone="subdued">No field changes.</Text>
+                        : v.changes.map(c => <DiffRow key={c.field} change={c} />)}
+                    </BlockStack>
+                  )}
+                </BlockStack>
+              </Box>
+            ))
+          )}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
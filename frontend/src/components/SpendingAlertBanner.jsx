@@ -0,0 +1,80 @@
+// frontend/src/components/SpendingAlertBanner.jsx
+// App-wide banner when the shop is near or over its monthly token budget or low on
+// tokens (limits are set in Billing → Token usage). Dismissed per alert and month.
+import React, { useState, useEffect } from 'react';
+import { Banner, Box } from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+const DISMISS_KEY = 'spendingAlertDismissed';
+
+function getAlert(status) {
+  if (!status) return null;
+  const fmt = (n) => Number(n || 0).toLocaleString();
+  if (status.budgetReached) {
+    return {
+      key: `budget-reached:${status.period}`,
+      tone: 'critical',
+      title: 'Monthly token budget reached',
+      text: `Your store has used ${fmt(status.spent + status.reserved)} of its ${fmt(status.monthlyBudget)} token budget this month. New AI jobs are refused until next month or until you raise the budget.`
+    };
+  }
+  if (status.budgetWarning) {
+    return {
+      key: `budget-warning:${status.period}`,
+      tone: 'warning',
+      title: `${status.percentUsed}% of your monthly token budget used`,
+      text: `${fmt(status.remaining)} of ${fmt(status.monthlyBudget)} tokens left this month. Larger batches may be refused.`
+    };
+  }
+  if (status.lowBalance) {
+    return {
+      key: `low-balance:${status.period}`,
+      tone: 'warning',
+      title: 'Token balance running low',
+      text: `You have ${fmt(status.balance)} tokens left. Buy more tokens to keep AI optimizations running.`
+    };
+  }
+  return null;
+}
+
+export default function SpendingAlertBanner({ shop }) {
+  const { api } = useShopApi();
+  const [status, setStatus] = useState(null);
+  const [dismissed, setDismissed] = useState(() => {
+    try { return localStorage.getItem(DISMISS_KEY) || ''; } catch { return ''; }
+  });
+
+  useEffect(() => {
+    if (!shop) return;
+    api('/api/billing/spending')
+      .then(setStatus)
+      .catch(error => console.error('[SpendingAlertBanner] Error fetching spending status:', error));
+  }, [api, shop]);
+
+  const alert = getAlert(status);
+  if (!alert || dismissed === alert.key) return null;
+
+  const handleDismiss = () => {
+    setDismissed(alert.key);
+    try { localStorage.setItem(DISMISS_KEY, alert.key); } catch {}
+  };
+
+  const openBilling = () => {
+    const params = new URLSearchParams(window.location.search);
+    params.set('tab', alert.key.startsWith('low-balance') ? 'plans' : 'token-usage');
+    window.location.href = `/billing?${params.toString()}`;
+  };
+
+  return (
+    <Box paddingBlockEnd="400">
+      <Banner
+        title={alert.title}
+        tone={alert.tone}
+        action={{ content: alert.key.startsWith('low-balance') ? 'Buy tokens' : 'Manage limits', onAction: openBilling }}
+        onDismiss={handleDismiss}
+      >
+        <p>{alert.text}</p>
+      </Banner>
+    </Box>
+  );
+}
@@ -0,0 +1,125 @@
+// frontend/src/components/SpendingLimitsCard.jsx
+// Billing → Token usage: monthly token budget, per-job maximum and alert settings.
+// Backed by GET/POST /api/billing/spending.
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  BlockStack,
+  InlineStack,
+  Box,
+  Text,
+  TextField,
+  Checkbox,
+  Button,
+  Banner,
+  ProgressBar,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+
+const toField = (value) => (value === null || value === undefined ? '' : String(value));
+const toLimit = (value) => (String(value).trim() === '' ? null : Number(value));
+
+export default function SpendingLimitsCard({ shop }) {
+  const { api } = useShopApi();
+  const [status, setStatus] = useState(null);
+  const [form, setForm] = useState({ monthlyBudget: '', maxPerJob: '', alertPercent: '80', lowBalanceThreshold: '', emailAlerts: true });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  const applyStatus = useCallback((data) => {
+    setStatus(data);
+    setForm({
+      monthlyBudget: toField(data.monthlyBudget),
+      maxPerJob: toField(data.maxPerJob),
+      alertPercent: toField(data.alertPercent),
+      lowBalanceThreshold: toField(data.lowBalanceThreshold),
+      emailAlerts: data.emailAlerts,
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!shop) return;
+    api('/api/billing/spending')
+      .then(applyStatus)
+      .catch(e => setError(e.message || 'Failed to load spending limits'));
+  }, [api, shop, applyStatus]);
+
+  const updateField = (key) => (value) => {
+    setForm(prev => ({ ...prev, [key]: value }));
+    setSaved(false);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      const data = await api('/api/billing/spending', {
+        method: 'POST',
+        body: {
+          monthlyBudget: toLimit(form.monthlyBudget),
+          maxPerJob: toLimit(form.maxPerJob),
+          alertPercent: Number(form.alertPercent) || 80,
+          lowBalanceThreshold: toLimit(form.lowBalanceThreshold),
+          emailAlerts: form.emailAlerts,
+        },
+      });
+      applyStatus(data);
+      setSaved(true);
+    } catch (e) {
+      setError(e.message || 'Failed to save spending limits');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const used = status ? status.spent + status.reserved : 0;
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <Text variant="headingSm">Spending limits</Text>
+        <Text variant="bodySm" tone="subdued">
+          Jobs that would go over a limit are refused before they start. Leave a field empty for no limit.
+        </Text>
+        {status?.monthlyBudget && (
+          <BlockStack gap="100">
+            <Text variant="bodySm">
+              {used.toLocaleString()} of {status.monthlyBudget.toLocaleString()} tokens used in {status.period}
+              {status.reserved > 0 && ` (${status.reserved.toLocaleString()} reserved by running jobs)`}
+            </Text>
+            <ProgressBar
+              progress={Math.min(100, status.percentUsed || 0)}
+              tone={status.budgetReached ? 'critical' : status.budgetWarning ? 'highlight' : 'primary'}
+              size="small"
+            />
+          </BlockStack>
+        )}
+        <InlineStack gap="300" wrap>
+          <Box minWidth="180px">
+            <TextField label="Monthly budget (tokens)" type="number" min={0} value={form.monthlyBudget} onChange={updateField('monthlyBudget')} autoComplete="off" />
+          </Box>
+          <Box minWidth="180px">
+            <TextField label="Max per job (tokens)" type="number" min={0} value={form.maxPerJob} onChange={updateField('maxPerJob')} autoComplete="off" />
+          </Box>
+          <Box minWidth="140px">
+            <TextField label="Warn at" type="number" min={1} max={100} suffix="%" value={form.alertPercent} onChange={updateField('alertPercent')} helpText="of the budget" autoComplete="off" />
+          </Box>
+          <Box minWidth="180px">
+            <TextField label="Low balance alert below" type="number" min={0} value={form.lowBalanceThreshold} onChange={updateField('lowBalanceThreshold')} suffix="tokens" autoComplete="off" />
+          </Box>
+        </InlineStack>
+        <Checkbox label="Email me when a limit is reached or the balance runs low" checked={form.emailAlerts} onChange={updateField('emailAlerts')} />
+        {error && (
+          <Banner tone="critical" onDismiss={() => setError('')}>
+            <p>{error}</p>
+          </Banner>
+        )}
+        <InlineStack gap="200" blockAlign="center">
+          <Button variant="primary" onClick={save} loading={saving}>Save limits</Button>
+          {saved && <Text variant="bodySm" tone="success">Saved</Text>}
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
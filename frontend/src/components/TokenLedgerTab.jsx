@@ -0,0 +1,248 @@
+// frontend/src/components/TokenLedgerTab.jsx
+// Billing → Token usage: spending limits, tokens used per job and the full token ledger
+// with filters and CSV/JSON export. Backed by /api/billing/ledger and /api/billing/ledger/jobs.
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Layout,
+  Card,
+  Box,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Select,
+  Button,
+  Badge,
+  Banner,
+  DataTable,
+  Pagination,
+  Spinner,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+import SpendingLimitsCard from './SpendingLimitsCard.jsx';
+
+const TYPE_OPTIONS = [
+  { label: 'All entries', value: '' },
+  { label: 'Charges (finalized)', value: 'finalize' },
+  { label: 'Refunds', value: 'refund' },
+  { label: 'Reservations', value: 'reserve' },
+  { label: 'Direct charges', value: 'deduct' },
+  { label: 'Purchases', value: 'purchase' },
+  { label: 'Included tokens', value: 'included,cycle-reset' },
+];
+
+const TYPE_BADGES = {
+  reserve: { tone: 'info', label: 'Reserved' },
+  finalize: { tone: 'attention', label: 'Charged' },
+  refund: { tone: 'success', label: 'Refunded' },
+  deduct: { tone: 'attention', label: 'Charged' },
+  purchase: { tone: 'success', label: 'Purchase' },
+  included: { tone: 'success', label: 'Included' },
+  'cycle-reset': { tone: 'success', label: 'New cycle' },
+};
+
+const QUEUE_LABELS = {
+  seo: 'SEO batch',
+  'ai-enhance': 'AI enhance batch',
+  collection: 'Collections batch',
+  schema: 'Advanced schema',
+  sitemap: 'AI sitemap',
+};
+
+const formatNumber = (n) => (n === null || n === undefined ? '—' : Number(n).toLocaleString());
+const formatDate = (d) => (d ? new Date(d).toLocaleString() : '—');
+const formatCost = (usd, estimated) => {
+  if (usd === null || usd === undefined) return '—';
+  return `${estimated ? '~' : ''}$${Number(usd).toFixed(4)}`;
+};
+const formatChange = (n) => (n > 0 ? `+${formatNumber(n)}` : formatNumber(n));
+
+export default function TokenLedgerTab({ shop }) {
+  const { api } = useShopApi();
+  const [filters, setFilters] = useState({ type: '', feature: '', from: '', to: '' });
+  const [jobs, setJobs] = useState(null);
+  const [jobsPage, setJobsPage] = useState(1);
+  const [ledger, setLedger] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const query = useCallback((extra = {}) => {
+    const params = new URLSearchParams({ shop });
+    Object.entries({ ...filters, ...extra }).forEach(([key, value]) => {
+      if (value !== '' && value !== null && value !== undefined) params.set(key, value);
+    });
+    return params.toString();
+  }, [shop, filters]);
+
+  const load = useCallback(async () => {
+    if (!shop) return;
+    setLoading(true);
+    setError('');
+    try {
+      const [jobsData, ledgerData] = await Promise.all([
+        api(`/api/billing/ledger/jobs?${query({ type: '', page: jobsPage })}`),
+        api(`/api/billing/ledger?${query({ page })}`),
+      ]);
+      setJobs(jobsData);
+      setLedger(ledgerData);
+    } catch (e) {
+      setError(e.message || 'Failed to load token usage');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, shop, query, page, jobsPage]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const updateFilter = (key) => (value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(1);
+    setJobsPage(1);
+  };
+
+  const showJob = (jobId) => {
+    setFilters(prev => ({ ...prev, jobId }));
+    setPage(1);
+  };
+
+  const jobRows = (jobs?.jobs || []).map(job => [
+    formatDate(job.finishedAt),
+    job.jobId ? (
+      <Button key={job.key} variant="plain" onClick={() => showJob(job.jobId)}>
+        {QUEUE_LABELS[job.queue] || job.queue || 'Job'}
+      </Button>
+    ) : 'Single request',
+    job.features.join(', ') || '—',
+    job.products || '—',
+    formatNumber(job.estimatedTokens),
+    formatNumber(job.chargedTokens),
+    job.models.join(', ') || '—',
+    formatCost(job.costUsd, job.costEstimated),
+  ]);
+
+  const ledgerRows = (ledger?.entries || []).map(entry => {
+    const badge = TYPE_BADGES[entry.type] || { label: entry.type };
+    return [
+      formatDate(entry.createdAt),
+      <Badge key={entry._id} tone={badge.tone}>{badge.label}</Badge>,
+      entry.feature || '—',
+      formatChange(entry.balanceChange),
+      formatNumber(entry.balanceAfter),
+      entry.chargedTokens !== null && entry.chargedTokens !== undefined
+        ? `${formatNumber(entry.chargedTokens)} / ${formatNumber(entry.estimatedTokens)}`
+        : '—',
+      entry.model || '—',
+      formatCost(entry.costUsd, entry.costEstimated),
+    ];
+  });
+
+  return (
+    <Layout>
+      <Layout.Section>
+        <SpendingLimitsCard shop={shop} />
+      </Layout.Section>
+
+      <Layout.Section>
+        <Card>
+          <BlockStack gap="300">
+            <InlineStack align="space-between" blockAlign="center">
+              <Text variant="headingMd">Token usage</Text>
+              <InlineStack gap="200">
+                <Button url={`/api/billing/ledger?${query({ format: 'csv' })}`} target="_blank">Export CSV</Button>
+                <Button url={`/api/billing/ledger?${query({ format: 'json' })}`} target="_blank">Export JSON</Button>
+              </InlineStack>
+            </InlineStack>
+            <InlineStack gap="300" wrap>
+              <Box minWidth="200px">
+                <Select label="Type" options={TYPE_OPTIONS} value={filters.type} onChange={updateFilter('type')} />
+              </Box>
+              <Box minWidth="200px">
+                <TextField label="Feature" value={filters.feature} onChange={updateFilter('feature')} placeholder="e.g. ai-seo-product-enhanced" autoComplete="off" />
+              </Box>
+              <TextField label="From" type="date" value={filters.from} onChange={updateFilter('from')} autoComplete="off" />
+              <TextField label="To" type="date" value={filters.to} onChange={updateFilter('to')} autoComplete="off" />
+            </InlineStack>
+            {filters.jobId && (
+              <InlineStack gap="200" blockAlign="center">
+                <Text variant="bodySm">Showing job {filters.jobId}</Text>
+                <Button variant="plain" onClick={() => updateFilter('jobId')('')}>Show all</Button>
+              </InlineStack>
+            )}
+            {error && (
+              <Banner tone="critical" onDismiss={() => setError('')}>
+                <p>{error}</p>
+              </Banner>
+            )}
+          </BlockStack>
+        </Card>
+      </Layout.Section>
+
+      <Layout.Section>
+        <Card>
+          <BlockStack gap="300">
+            <Text variant="headingSm">Usage per job</Text>
+            <Text variant="bodySm" tone="subdued">
+              Tokens charged per background job or single request, with the AI model and provider cost behind them.
+              Costs marked ~ are calculated from list prices.
+            </Text>
+            {loading && !jobs ? (
+              <InlineStack align="center"><Spinner size="small" /></InlineStack>
+            ) : jobRows.length === 0 ? (
+              <Text tone="subdued">No token usage recorded for these filters.</Text>
+            ) : (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'numeric', 'numeric', 'numeric', 'text', 'numeric']}
+                headings={['Date', 'Job', 'Feature', 'Products', 'Reserved', 'Charged', 'Model', 'Cost']}
+                rows={jobRows}
+              />
+            )}
+            {jobs?.pages > 1 && (
+              <InlineStack align="center">
+                <Pagination
+                  hasPrevious={jobsPage > 1}
+                  onPrevious={() => setJobsPage(p => p - 1)}
+                  hasNext={jobsPage < jobs.pages}
+                  onNext={() => setJobsPage(p => p + 1)}
+                />
+              </InlineStack>
+            )}
+          </BlockStack>
+        </Card>
+      </Layout.Section>
+
+      <Layout.Section>
+        <Card>
+          <BlockStack gap="300">
+            <InlineStack align="space-between">
+              <Text variant="headingSm">Ledger</Text>
+              {ledger && <Text variant="bodySm" tone="subdued">{formatNumber(ledger.total)} entries</Text>}
+            </InlineStack>
+            {loading && !ledger ? (
+              <InlineStack align="center"><Spinner size="small" /></InlineStack>
+            ) : ledgerRows.length === 0 ? (
+              <Text tone="subdued">No ledger entries for these filters.</Text>
+            ) : (
+              <DataTable
+                columnContentTypes={['text', 'text', 'text', 'numeric', 'numeric', 'numeric', 'text', 'numeric']}
+                headings={['Date', 'Type', 'Feature', 'Balance change', 'Balance after', 'Charged / reserved', 'Model', 'Cost']}
+                rows={ledgerRows}
+              />
+            )}
+            {ledger?.pages > 1 && (
+              <InlineStack align="center">
+                <Pagination
+                  hasPrevious={page > 1}
+                  onPrevious={() => setPage(p => p - 1)}
+                  hasNext={page < ledger.pages}
+                  onNext={() => setPage(p => p + 1)}
+                  label={`Page ${page} of ${ledger.pages}`}
+                />
+              </InlineStack>
+            )}
+          </BlockStack>
+        </Card>
+      </Layout.Section>
+    </Layout>
+  );
+}
@@ -49,9 +49,13 @@ export default function TrialActivationModal({
     'ai-seo-product-basic': 'AI SEO Optimization (Products)',
     'ai-seo-product-enhanced': 'AI SEO Optimization (Products - Enhanced)',
     'ai-seo-collection': 'AI SEO Optimization (Collections)',
+    'ai-seo-article': 'AI SEO Optimization (Blog Articles)',
+    'ai-seo-page': 'AI SEO Optimization (Pages)',
     'ai-testing-simulation': 'AI Testing & Simulation',
     'ai-schema-advanced': 'Advanced Schema Data',
-    'ai-sitemap-optimized': 'AI-Optimized Sitemap'
+    'ai-sitemap-optimized': 'AI-Optimized Sitemap',
+    'ai-translation-product': 'AI Translation',
+    'ai-image-alt': 'AI Image Alt Text'
   };
 
   const featureName = featureNames[feature] || 'This feature';
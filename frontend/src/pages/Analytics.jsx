@@ -18,6 +18,22 @@ const PERIODS = [
   { label: '90 days', value: '90d' },
 ];
 
+// /api/analytics/pixel-ingestion takes days rather than a period
+const PERIOD_DAYS = { today: 1, '7d': 7, '30d': 30, '90d': 90 };
+
+// PixelIngestMetric outcomes that mean an event was refused
+const PIXEL_REJECTED = ['invalid_json', 'invalid_schema', 'missing_signature', 'stale_timestamp', 'bad_signature', 'rate_limited'];
+
+// Shop.analyticsSettings.botVisits - also used for order attribution
+const BOT_VISIT_OPTIONS = [
+  { label: 'All bot visits', value: 'all' },
+  { label: 'Exclude spoofed bots', value: 'exclude_spoofed' },
+  { label: 'Verified bots only', value: 'verified' },
+];
+
+// Lookback windows offered per attribution model (days, up to the backend's maxLookbackDays)
+const LOOKBACK_OPTIONS = [7, 14, 30, 60, 90];
+
 const SOURCE_COLORS = {
   ChatGPT: '#10a37f',
   Perplexity: '#20b8cd',
@@ -36,6 +52,13 @@ function formatCurrency(amount, currency = 'USD') {
   return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(num);
 }
 
+function formatBytes(bytes) {
+  const n = Number(bytes || 0);
+  if (n >= 1048576) return `${(n / 1048576).toFixed(1)} MB`;
+  if (n >= 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${n} B`;
+}
+
 function pct(val) {
   const n = parseFloat(val || 0);
   if (n > 0) return `+${n}%`;
@@ -139,6 +162,11 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
   const [timeline, setTimeline] = useState(null);
   const [comparison, setComparison] = useState(null);
   const [products, setProducts] = useState(null);
+  const [mcpAgents, setMcpAgents] = useState(null);
+  const [visitSettings, setVisitSettings] = useState(null);
+  const [recomputing, setRecomputing] = useState(false);
+  const [pixelHealth, setPixelHealth] = useState(null);
+  const [pixelConnecting, setPixelConnecting] = useState(false);
   const [error, setError] = useState(null);
 
   const loadAnalytics = useCallback(async (p) => {
@@ -146,13 +174,16 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
     setLoading(true);
     setError(null);
     try {
-      const [rev, atc, fun, tl, comp, prod] = await Promise.all([
+      const [rev, atc, fun, tl, comp, prod, mcp, settings, pixel] = await Promise.all([
         api(`/api/analytics/revenue?shop=${shop}&period=${p}&compare=true`),
         api(`/api/analytics/add-to-cart?shop=${shop}&period=${p}`),
         api(`/api/analytics/funnel?shop=${shop}&period=${p}`),
         api(`/api/analytics/timeline?shop=${shop}&period=${p}`),
         api(`/api/analytics/comparison?shop=${shop}&period=${p}`),
         api(`/api/analytics/products?shop=${shop}&period=${p}`),
+        api(`/api/analytics/mcp-agents?shop=${shop}&period=${p}`),
+        api(`/api/analytics/settings?shop=${shop}`),
+        api(`/api/analytics/pixel-ingestion?shop=${shop}&days=${PERIOD_DAYS[p] || 30}`),
       ]);
       setRevenue(rev);
       setAddToCart(atc);
@@ -160,6 +191,9 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
       setTimeline(tl);
       setComparison(comp);
       setProducts(prod);
+      setMcpAgents(mcp);
+      setVisitSettings(settings);
+      setPixelHealth(pixel);
     } catch (err) {
       console.error('[Analytics] Load error:', err);
       setError(err.message || 'Failed to load analytics');
@@ -188,6 +222,41 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
     setPeriod(val);
   };
 
+  const handleBotVisitsChange = async (val) => {
+    try {
+      const saved = await api(`/api/analytics/settings?shop=${shop}`, { method: 'PUT', body: { botVisits: val } });
+      setRecomputing(Boolean(saved?.recomputing));
+      await loadAnalytics(period);
+    } catch (err) {
+      setError('Could not save the bot visit setting: ' + err.message);
+    }
+  };
+
+  const handlePixelConnect = async (rotate = false) => {
+    setPixelConnecting(true);
+    try {
+      await api(`/api/analytics/pixel/connect?shop=${shop}`, { method: 'POST', body: { rotate } });
+      setPixelHealth(await api(`/api/analytics/pixel-ingestion?shop=${shop}&days=${PERIOD_DAYS[period] || 30}`));
+    } catch (err) {
+      setError('Could not connect the pixel: ' + err.message);
+    } finally {
+      setPixelConnecting(false);
+    }
+  };
+
+  const attributionSettings = visitSettings?.attribution;
+  const attributionModel = attributionSettings?.model || 'last_touch';
+
+  const handleAttributionChange = async (attribution) => {
+    try {
+      const saved = await api(`/api/analytics/settings?shop=${shop}`, { method: 'PUT', body: { attribution } });
+      setRecomputing(Boolean(saved?.recomputing));
+      await loadAnalytics(period);
+    } catch (err) {
+      setError('Could not save the attribution setting: ' + err.message);
+    }
+  };
+
   const cur = revenue?.currency || 'USD';
 
   if (loading && !revenue) {
@@ -278,8 +347,38 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
               <Text variant="bodySm" color="subdued">
                 Track revenue attributed to AI platforms reading your product data
               </Text>
+              {visitSettings?.verification && (
+                <Text variant="bodySm" color="subdued">
+                  Crawler visits (30 days): {visitSettings.verification.verified} verified, {visitSettings.verification.unverified} unverified,
+                  {' '}{visitSettings.verification.spoofed} spoofed. The bot visit setting also decides which visits count
+                  as touchpoints in revenue attribution.
+                </Text>
+              )}
             </BlockStack>
             <InlineStack gap="300" blockAlign="center">
+              <Select
+                label="Bot visits"
+                labelHidden
+                options={BOT_VISIT_OPTIONS}
+                value={visitSettings?.botVisits || 'exclude_spoofed'}
+                onChange={handleBotVisitsChange}
+              />
+              <Select
+                label="Attribution model"
+                labelHidden
+                options={visitSettings?.attributionModels || []}
+                value={attributionModel}
+                onChange={(model) => handleAttributionChange({ model })}
+              />
+              <Select
+                label="Lookback window"
+                labelHidden
+                options={LOOKBACK_OPTIONS
+                  .filter(d => d <= (visitSettings?.maxLookbackDays || 90))
+                  .map(d => ({ label: `${d}-day lookback`, value: String(d) }))}
+                value={String(attributionSettings?.lookbackDays?.[attributionModel] || 30)}
+                onChange={(days) => handleAttributionChange({ lookbackDays: { [attributionModel]: Number(days) } })}
+              />
               <Select
                 label=""
                 labelHidden
@@ -295,6 +394,18 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
         </Card>
       </Layout.Section>
 
+      {(recomputing || revenue?.attribution?.unattributedOrders > 0) && (
+        <Layout.Section>
+          <Banner tone="info" title={recomputing ? 'Re-attributing orders' : 'Some orders are not attributed yet'}>
+            <p>
+              {recomputing
+                ? 'Stored orders are being re-attributed with the new settings. Reload in a minute to see the updated figures.'
+                : `${revenue.attribution.unattributedOrders} orders were synced before attribution models were available. Click "Sync Orders" to attribute them.`}
+            </p>
+          </Banner>
+        </Layout.Section>
+      )}
+
       {!hasAnyData && (
         <Layout.Section>
           <Banner tone="info" title="No data yet">
@@ -330,6 +441,14 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
             value={formatCurrency(revenue?.aiInfluenced?.revenue, cur)}
             subtitle={`${revenue?.aiInfluenced?.orders || 0} orders for AI-read products`}
           />
+          <StatCard
+            title="AI-Attributed Revenue"
+            value={formatCurrency(revenue?.attribution?.revenue, cur)}
+            subtitle={`${revenue?.attribution?.share || '0.0'}% of revenue · ${
+              (visitSettings?.attributionModels || []).find(m => m.value === revenue?.attribution?.model)?.label || 'Last touch'
+            }, ${revenue?.attribution?.lookbackDays || 30}-day lookback`}
+            tone="success"
+          />
           <StatCard
             title="Avg Order Value"
             value={formatCurrency(revenue?.avgOrderValue, cur)}
@@ -367,6 +486,32 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
         </Layout.Section>
       )}
 
+      {/* Attributed revenue by AI source (selected model) */}
+      {revenue?.attribution?.sources?.length > 0 && (
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingSm" fontWeight="bold">Attributed Revenue by AI Source</Text>
+              <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+                {revenue.attribution.sources.map(s => (
+                  <div key={s.source} style={{
+                    padding: '8px 14px', borderRadius: 8,
+                    background: '#f3f4f6', display: 'flex', alignItems: 'center', gap: 8
+                  }}>
+                    <div style={{
+                      width: 10, height: 10, borderRadius: '50%',
+                      background: SOURCE_COLORS[s.source] || '#6b7280'
+                    }} />
+                    <Text variant="bodySm" fontWeight="medium">{s.source}</Text>
+                    <Badge>{formatCurrency(s.revenue, cur)}</Badge>
+                  </div>
+                ))}
+              </div>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      )}
+
       {/* Revenue Timeline Chart */}
       {timeline?.timeline?.length > 0 && (
         <Layout.Section>
@@ -421,12 +566,20 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
                 rate={funnel?.conversionRates?.botToVisit}
               />
               <ConversionRow
-                label="Customer Visit → Add to Cart"
-                rate={funnel?.conversionRates?.visitToCart}
+                label="Customer Visit → Product View"
+                rate={funnel?.conversionRates?.visitToProductView}
               />
               <ConversionRow
-                label="Add to Cart → Purchase"
-                rate={funnel?.conversionRates?.cartToPurchase}
+                label="Product View → Add to Cart"
+                rate={funnel?.conversionRates?.productViewToCart}
+              />
+              <ConversionRow
+                label="Add to Cart → Checkout"
+                rate={funnel?.conversionRates?.cartToCheckout}
+              />
+              <ConversionRow
+                label="Checkout → Purchase"
+                rate={funnel?.conversionRates?.checkoutToPurchase}
               />
               <Divider />
               <ConversionRow
@@ -439,6 +592,45 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
         </Card>
       </Layout.Section>
 
+      {/* Browsing by AI-referred visitors: searches, collections, AI utm_source tags */}
+      {(funnel?.engagement?.searches > 0 || funnel?.engagement?.collectionViews > 0 || funnel?.engagement?.utmSources?.length > 0) && (
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingSm" fontWeight="bold">AI Visitor Browsing</Text>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: 12 }}>
+                <MiniStat label="Searches" value={funnel.engagement.searches} />
+                <MiniStat label="Collection Views" value={funnel.engagement.collectionViews} />
+              </div>
+              {funnel.engagement.topSearches?.length > 0 && (
+                <>
+                  <Divider />
+                  <Text variant="bodySm" fontWeight="medium">Top Searches from AI Visitors</Text>
+                  <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                    {funnel.engagement.topSearches.map(s => (
+                      <Badge key={s.query}>{s.query} ({s.count})</Badge>
+                    ))}
+                  </div>
+                </>
+              )}
+              {funnel.engagement.utmSources?.length > 0 && (
+                <>
+                  <Divider />
+                  <Text variant="bodySm" fontWeight="medium">AI Visits by UTM Tag</Text>
+                  <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                    {funnel.engagement.utmSources.map(u => (
+                      <Badge key={`${u.source}/${u.medium}`}>
+                        {u.medium ? `${u.source} / ${u.medium}` : u.source} ({u.count})
+                      </Badge>
+                    ))}
+                  </div>
+                </>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+      )}
+
       {/* Add to Cart stats */}
       {addToCart && addToCart.totalAddToCart > 0 && (
         <Layout.Section>
@@ -556,12 +748,171 @@ export default function Analytics({ shop: shopProp, globalPlan }) {
           </BlockStack>
         </Card>
       </Layout.Section>
+
+      <Layout.Section>
+        <Divider />
+      </Layout.Section>
+
+      {/* Section 5: MCP agents */}
+      <Layout.Section>
+        <Text variant="headingMd" fontWeight="bold">MCP Agents</Text>
+      </Layout.Section>
+
+      <Layout.Section>
+        <Card>
+          <BlockStack gap="300">
+            <Text variant="headingSm" fontWeight="bold">AI Agents Using Your MCP Server</Text>
+            {mcpAgents?.agents?.length > 0 ? (
+              <>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: 12 }}>
+                  <MiniStat label="Tool Calls" value={mcpAgents.totals.calls} />
+                  <MiniStat label="Agents" value={mcpAgents.totals.agents} />
+                  <MiniStat label="Active Sessions" value={mcpAgents.totals.activeSessions} />
+                  <MiniStat label="Errors" value={mcpAgents.totals.errors} />
+                  <MiniStat label="Data Returned" value={formatBytes(mcpAgents.totals.bytes)} />
+                </div>
+                <DataTable
+                  columnContentTypes={['text', 'text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric', 'text', 'text']}
+                  headings={['Agent', 'Version', 'Calls', 'Sessions', 'Errors', 'Avg latency', 'Data returned', 'Top tools', 'Last seen']}
+                  rows={mcpAgents.agents.map(a => [
+                    a.botName && a.botName !== 'Human/Unknown' && a.botName !== a.clientName
+                      ? `${a.clientName} (${a.botName})`
+                      : a.clientName,
+                    a.clientVersion || '—',
+                    a.calls,
+                    a.sessions,
+                    a.errors,
+                    `${a.avgLatencyMs} ms`,
+                    formatBytes(a.bytes),
+                    a.tools.slice(0, 3).map(t => `${t.tool} (${t.calls})`).join(', '),
+                    a.lastSeen ? new Date(a.lastSeen).toLocaleString() : '—',
+                  ])}
+                />
+                {mcpAgents.tools?.length > 0 && (
+                  <>
+                    <Divider />
+                    <Text variant="bodySm" fontWeight="medium">Most Used Tools</Text>
+                    <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+                      {mcpAgents.tools.slice(0, 9).map(t => (
+                        <Badge key={t.tool} tone={t.errors ? 'warning' : undefined}>{t.tool} ({t.calls})</Badge>
+                      ))}
+                    </div>
+                  </>
+                )}
+              </>
+            ) : (
+              <Text color="subdued">No MCP tool calls in this period. Agents connect through the MCP endpoint listed on the Dashboard.</Text>
+            )}
+          </BlockStack>
+        </Card>
+      </Layout.Section>
+
+      <Layout.Section>
+        <Divider />
+      </Layout.Section>
+
+      {/* Section 6: Web pixel ingestion */}
+      <Layout.Section>
+        <Text variant="headingMd" fontWeight="bold">Pixel Health</Text>
+      </Layout.Section>
+
+      <Layout.Section>
+        <PixelHealthCard
+          data={pixelHealth}
+          connecting={pixelConnecting}
+          onConnect={() => handlePixelConnect(false)}
+          onRotate={() => handlePixelConnect(true)}
+        />
+      </Layout.Section>
     </Layout>
   );
 }
 
 // --- Sub-components ---
 
+function PixelHealthCard({ data, connecting, onConnect, onRotate }) {
+  if (!data) return null;
+  const totals = data.totals || {};
+  const rejected = (outcomes) => PIXEL_REJECTED.reduce((s, k) => s + (outcomes[k] || 0), 0);
+  const signingFrom = data.signingRequiredFrom ? new Date(data.signingRequiredFrom) : null;
+  const unsignedOpen = !signingFrom || signingFrom > new Date();
+
+  let status = <Badge tone="critical">Not connected</Badge>;
+  if (data.webPixelId && data.signed) status = <Badge tone="success">Signed events</Badge>;
+  else if (data.webPixelId) status = <Badge tone={unsignedOpen ? 'attention' : 'critical'}>Unsigned</Badge>;
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Text variant="headingSm" fontWeight="bold">Web Pixel Events</Text>
+            {status}
+          </InlineStack>
+          <InlineStack gap="200">
+            <Button onClick={onConnect} loading={connecting}>
+              {data.webPixelId ? 'Reconnect pixel' : 'Connect pixel'}
+            </Button>
+            {data.signed && (
+              <Button variant="plain" onClick={onRotate} disabled={connecting}>Rotate signing secret</Button>
+            )}
+          </InlineStack>
+        </InlineStack>
+        {!data.signed && data.lastConnectError && (
+          <Banner tone="critical" title="Connecting the pixel failed">
+            <Text variant="bodySm">
+              {data.lastConnectAttemptAt ? `Last attempt ${new Date(data.lastConnectAttemptAt).toLocaleString()}: ` : ''}
+              {data.lastConnectError}
+            </Text>
+          </Banner>
+        )}
+        {!data.signed ? (
+          <Text variant="bodySm" color="subdued">
+            {unsignedOpen
+              ? `The pixel has no signing secret yet, so unsigned events are accepted until ${signingFrom ? signingFrom.toLocaleString() : 'it is connected'}. Connect it to start signing.`
+              : 'The pixel has no signing secret, so its events are rejected. Connect it to start signing.'}
+          </Text>
+        ) : unsignedOpen && (
+          <Text variant="bodySm" color="subdued">
+            Unsigned events are accepted until {signingFrom.toLocaleString()} while open storefront pages update.
+          </Text>
+        )}
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))', gap: 12 }}>
+          <MiniStat label="Accepted" value={totals.accepted || 0} />
+          <MiniStat label="Accepted unsigned" value={totals.unsigned_accepted || 0} />
+          <MiniStat label="Duplicates" value={totals.duplicate || 0} />
+          <MiniStat label="Rejected" value={rejected(totals)} />
+        </div>
+        {data.daily?.length > 0 ? (
+          <DataTable
+            columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric', 'numeric']}
+            headings={['Day', 'Accepted', 'Unsigned', 'Duplicates', 'Bad signature', 'Other rejected']}
+            rows={data.daily.map(d => [
+              d.day,
+              d.accepted || 0,
+              d.unsigned_accepted || 0,
+              d.duplicate || 0,
+              (d.bad_signature || 0) + (d.missing_signature || 0) + (d.stale_timestamp || 0),
+              (d.invalid_json || 0) + (d.invalid_schema || 0) + (d.rate_limited || 0),
+            ])}
+          />
+        ) : (
+          <Text color="subdued">No pixel events in this period.</Text>
+        )}
+        {data.recentSchemaErrors?.length > 0 && (
+          <>
+            <Divider />
+            <Text variant="bodySm" fontWeight="medium">Recent schema errors</Text>
+            {data.recentSchemaErrors.map((e, i) => (
+              <Text key={i} variant="bodySm" color="subdued">{e.day}: {e.detail}</Text>
+            ))}
+          </>
+        )}
+      </BlockStack>
+    </Card>
+  );
+}
+
 function ConversionRow({ label, rate, bold }) {
   const val = parseFloat(rate || 0);
   return (
@@ -608,6 +959,10 @@ function ComparisonColumn({ title, badge, data, currency }) {
           <Text variant="bodySm">Avg Revenue / Product</Text>
           <Text variant="bodySm" fontWeight="bold">{formatCurrency(data?.avgRevenue, currency)}</Text>
         </InlineStack>
+        <InlineStack align="space-between">
+          <Text variant="bodySm">AI-Attributed Revenue</Text>
+          <Text variant="bodySm" fontWeight="bold">{formatCurrency(data?.aiRevenue, currency)}</Text>
+        </InlineStack>
       </BlockStack>
     </div>
   );
@@ -19,11 +19,18 @@ import {
   Divider,
   SkeletonPage,
   SkeletonBodyText,
-  SkeletonDisplayText
+  SkeletonDisplayText,
+  Tabs
 } from '@shopify/polaris';
+import TokenLedgerTab from '../components/TokenLedgerTab.jsx';
 
 const PRESET_AMOUNTS = [10, 20, 50, 100];
 
+const BILLING_TABS = [
+  { id: 'plans', content: 'Plans & tokens' },
+  { id: 'token-usage', content: 'Token usage' }
+];
+
 export default function Billing({ shop }) {
   const [loading, setLoading] = useState(true);
   const [billingInfo, setBillingInfo] = useState(null);
@@ -38,6 +45,11 @@ export default function Billing({ shop }) {
   const [isActivatingPlan, setIsActivatingPlan] = useState(false); // Track if user is ending trial early
   const [showWelcomeBanner, setShowWelcomeBanner] = useState(false); // Welcome banner for first-time users
   const [isRedirecting, setIsRedirecting] = useState(false); // Show redirecting state
+  const [selectedTab, setSelectedTab] = useState(() => {
+    // ?tab=token-usage opens the usage tab (links from the spending alert banner)
+    const tab = new URLSearchParams(window.location.search).get('tab');
+    return Math.max(0, BILLING_TABS.findIndex(t => t.id === tab));
+  });
 
   // Fetch billing info
   const fetchBillingInfo = useCallback(async () => {
@@ -271,6 +283,13 @@ export default function Billing({ shop }) {
 
   return (
     <>
+      <Box paddingBlockEnd="400">
+        <Tabs tabs={BILLING_TABS} selected={selectedTab} onSelect={setSelectedTab} />
+      </Box>
+
+      {BILLING_TABS[selectedTab].id === 'token-usage' ? (
+        <TokenLedgerTab shop={shop} />
+      ) : (
       <Layout>
         {/* Error Banner */}
         {error && (
@@ -613,6 +632,7 @@ export default function Billing({ shop }) {
         </Layout.Section>
 
       </Layout>
+      )}
 
       {/* Plan Selection Modal */}
       <Modal
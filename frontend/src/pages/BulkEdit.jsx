@@ -33,6 +33,12 @@ import UpgradeModal from '../components/UpgradeModal.jsx';
 import InsufficientTokensModal from '../components/InsufficientTokensModal.jsx';
 import TrialActivationModal from '../components/TrialActivationModal.jsx';
 import TokenPurchaseModal from '../components/TokenPurchaseModal.jsx';
+import SeoHistoryModal from '../components/SeoHistoryModal.jsx';
+import SeoDraftReviewModal from '../components/SeoDraftReviewModal.jsx';
+import MachineTranslationReviewModal from '../components/MachineTranslationReviewModal.jsx';
+import HandleChangeModal from '../components/HandleChangeModal.jsx';
+import SeoCsvModal from '../components/SeoCsvModal.jsx';
+import AltTextModal from '../components/AltTextModal.jsx';
 import { StoreMetadataBanner } from '../components/StoreMetadataBanner.jsx';
 
 const qs = (k, d = '') => {
@@ -92,6 +98,9 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
   const [sortBy, setSortBy] = useState('createdAt');
   const [sortOrder, setSortOrder] = useState('desc');
   const [selectedTags, setSelectedTags] = useState([]);
+  // Product ids from an SEO audit fix link (Dashboard -> ?ids=1,2,3&auditIssue=...)
+  const [idsFilter, setIdsFilter] = useState(() => qs('ids'));
+  const [auditIssue] = useState(() => qs('auditIssue'));
   const [availableTags, setAvailableTags] = useState([]);
   const [showOptimizedPopover, setShowOptimizedPopover] = useState(false);
   const [showAiEnhancedPopover, setShowAiEnhancedPopover] = useState(false);
@@ -104,6 +113,7 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
   const [modelOptions, setModelOptions] = useState([]);
   const [selectedLanguages, setSelectedLanguages] = useState([]);
   const [availableLanguages, setAvailableLanguages] = useState([]);
+  const [primaryLanguage, setPrimaryLanguage] = useState('en');
   
   // Progress state
   const [isProcessing, setIsProcessing] = useState(false);
@@ -122,6 +132,21 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
   const [reasonsModalType, setReasonsModalType] = useState('skipped'); // 'skipped' or 'failed'
   const [reasonsModalData, setReasonsModalData] = useState([]);
   
+  // SEO version history modal: { productId, productTitle } or { jobId }
+  const [historyTarget, setHistoryTarget] = useState(null);
+  
+  // Review mode: generated SEO is saved as drafts and published after approval
+  const [reviewBeforePublish, setReviewBeforePublish] = useState(false);
+  const [translateMissing, setTranslateMissing] = useState(false);
+  const [unreviewedTranslationCount, setUnreviewedTranslationCount] = useState(0);
+  const [showTranslationReview, setShowTranslationReview] = useState(false);
+  // Apply slug: [{ id, title, handle, proposed }], [] = handle change history only, null = closed
+  const [handleChangeItems, setHandleChangeItems] = useState(null);
+  const [showSeoCsv, setShowSeoCsv] = useState(false);
+  const [showAltText, setShowAltText] = useState(false);
+  const [draftReviewTarget, setDraftReviewTarget] = useState(null); // { jobId } or {} for all drafts
+  const [pendingDraftCount, setPendingDraftCount] = useState(0);
+  
   // Toast
   const [toast, setToast] = useState('');
   
@@ -241,7 +266,10 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
           }
           
           // Show toast
-          if (status.status === 'completed') {
+          if (status.status === 'completed' && status.reviewMode) {
+            setToast(`${status.successfulProducts} product${status.successfulProducts !== 1 ? 's' : ''} ready for review`);
+            loadPendingDraftsRef.current?.();
+          } else if (status.status === 'completed') {
             const msg = `Applied GEO to ${status.successfulProducts} product${status.successfulProducts !== 1 ? 's' : ''}` +
               (status.skippedProducts > 0 ? ` (${status.skippedProducts} skipped)` : '') +
               (status.failedProducts > 0 ? ` (${status.failedProducts} failed)` : '');
@@ -250,6 +278,8 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
             setToast(`GEO optimization failed: ${status.message || 'Unknown error'}`);
           }
           
+          loadUnreviewedTranslationsRef.current?.();
+          
           // Refresh products list to update badges - stay on current page
           if (loadProductsRef.current) {
             loadProductsRef.current(currentPageRef.current, false, Date.now());
@@ -265,6 +295,36 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
     }
   }, [shop, api, optimizedFilter, aiEnhancedFilter, searchValue, sortBy, sortOrder]);
   
+  // Number of drafts waiting in the review queue
+  const loadPendingDrafts = useCallback(async () => {
+    try {
+      const data = await api(`/api/seo/drafts?shop=${shop}&limit=1`);
+      setPendingDraftCount(data?.total || 0);
+    } catch (error) {
+      console.error('[BULK-EDIT] Failed to fetch SEO drafts:', error);
+    }
+  }, [shop, api]);
+  const loadPendingDraftsRef = useRef(null);
+  useEffect(() => {
+    loadPendingDraftsRef.current = loadPendingDrafts;
+    if (shop && api) loadPendingDrafts();
+  }, [shop, api, loadPendingDrafts]);
+  
+  // Number of machine translations nobody has reviewed yet
+  const loadUnreviewedTranslations = useCallback(async () => {
+    try {
+      const data = await api(`/api/seo/translations?shop=${shop}&limit=1`);
+      setUnreviewedTranslationCount(data?.total || 0);
+    } catch (error) {
+      console.error('[BULK-EDIT] Failed to fetch machine translations:', error);
+    }
+  }, [shop, api]);
+  const loadUnreviewedTranslationsRef = useRef(null);
+  useEffect(() => {
+    loadUnreviewedTranslationsRef.current = loadUnreviewedTranslations;
+    if (shop && api) loadUnreviewedTranslations();
+  }, [shop, api, loadUnreviewedTranslations]);
+  
   // Start polling for SEO job status
   const startSeoJobPolling = useCallback(() => {
     // Clear any existing polling
@@ -414,6 +474,7 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
       .then((data) => {
         const langs = Array.isArray(data?.shopLanguages) && data.shopLanguages.length ? data.shopLanguages : ['en'];
         setAvailableLanguages(langs.includes('en') ? langs : ['en', ...langs]);
+        if (data?.primaryLanguage) setPrimaryLanguage(data.primaryLanguage);
       })
       .catch((error) => {
         console.error('[BULK-EDIT] Languages API error:', error);
@@ -444,6 +505,7 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
         ...(searchValue && { search: searchValue }),
         ...(languageFilter && { languageFilter }),
         ...(selectedTags.length > 0 && { tags: selectedTags.join(',') }),
+        ...(idsFilter && { ids: idsFilter }),
         sortBy,
         sortOrder,
         ...(timestamp && { _t: timestamp }) // Cache-busting parameter
@@ -475,7 +537,7 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
     } finally {
       setLoading(false);
     }
-  }, [shop, optimizedFilter, aiEnhancedFilter, searchValue, languageFilter, selectedTags, sortBy, sortOrder, itemsPerPage]);
+  }, [shop, optimizedFilter, aiEnhancedFilter, searchValue, languageFilter, selectedTags, idsFilter, sortBy, sortOrder, itemsPerPage]);
   
   // Keep ref updated with latest loadProducts (for use in polling callbacks)
   useEffect(() => {
@@ -493,7 +555,7 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
       loadProducts(1, false, null);
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [shop, optimizedFilter, aiEnhancedFilter, languageFilter, selectedTags, sortBy, sortOrder, itemsPerPage]);
+  }, [shop, optimizedFilter, aiEnhancedFilter, languageFilter, selectedTags, idsFilter, sortBy, sortOrder, itemsPerPage]);
   
   // Mark as visited on first load
   useEffect(() => {
@@ -518,6 +580,15 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
   const handleSearch = useCallback((value) => {
     setSearchValue(value);
   }, []);
+
+  const clearIdsFilter = useCallback(() => {
+    setIdsFilter('');
+    setSelectedItems([]);
+    const params = new URLSearchParams(window.location.search);
+    params.delete('ids');
+    params.delete('auditIssue');
+    window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+  }, []);
   
   // Search debounce effect
   useEffect(() => {
@@ -765,6 +836,7 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
         if (searchValue) params.append('search', searchValue);
         if (languageFilter) params.append('languageFilter', languageFilter);
         if (selectedTags.length > 0) params.append('tags', selectedTags.join(','));
+        if (idsFilter) params.append('ids', idsFilter);
         
         const data = await api(`/api/products/list?${params.toString()}`);
         selectedProducts = data.products || [];
@@ -914,6 +986,12 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
         return;
       }
       
+      // Shop's own spending limits - the message says which limit and by how much
+      if (error.spendingCap) {
+        setToast(error.message);
+        return;
+      }
+      
       if (error.status === 402 || error.requiresPurchase || error.trialRestriction) {
         setTokenError(error);
         setCurrentPlan(error.currentPlan || plan || 'starter');
@@ -988,6 +1066,7 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
         if (searchValue) params.append('search', searchValue);
         if (languageFilter) params.append('languageFilter', languageFilter);
         if (selectedTags.length > 0) params.append('tags', selectedTags.join(','));
+        if (idsFilter) params.append('ids', idsFilter);
         
         const data = await api(`/api/products/list?${params.toString()}`);
         productsToProcess = data.products || [];
@@ -1079,7 +1158,9 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
         body: {
           shop,
           products: productsForBatch,
-          model: finalModel
+          model: finalModel,
+          reviewMode: reviewBeforePublish,
+          translateMissing
         }
       });
       
@@ -1134,6 +1215,7 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
         if (searchValue) params.append('search', searchValue);
         if (languageFilter) params.append('languageFilter', languageFilter);
         if (selectedTags.length > 0) params.append('tags', selectedTags.join(','));
+        if (idsFilter) params.append('ids', idsFilter);
         
         const data = await api(`/api/products/list?${params.toString()}`);
         productsToProcess = data.products || [];
@@ -1331,6 +1413,21 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
   };
   
   // Resource list items
+  // Generated slug for the primary language, when it differs from the current handle
+  const proposedHandle = (product) => {
+    const slug = product.optimizationSummary?.slugs?.[primaryLanguage];
+    return slug && slug !== product.handle ? slug : null;
+  };
+
+  const openHandleChange = (list) => {
+    setHandleChangeItems(list.map(p => ({
+      id: toProductGID(p.productId || p.id),
+      title: p.title,
+      handle: p.handle,
+      proposed: proposedHandle(p),
+    })));
+  };
+
   const renderItem = (item) => {
     try {
       const product = item;
@@ -1365,7 +1462,7 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
         }}
       >
         <InlineStack gap="400" align="center" blockAlign="center" wrap={false}>
-          <Box style={{ flex: '1 1 40%', minWidth: '250px' }}>
+          <Box style={{ flex: '1 1 30%', minWidth: '220px' }}>
             <Text variant="bodyMd" fontWeight="semibold">{product.title}</Text>
             <Text variant="bodySm" tone="subdued">ID: {numericId}</Text>
           </Box>
@@ -1407,7 +1504,35 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
             </InlineStack>
           </Box>
           
-          <Box style={{ flex: '0 0 20%', minWidth: '120px', textAlign: 'center' }}>
+          <Box style={{ flex: '0 0 20%', minWidth: '160px' }}>
+            <div onClick={(e) => e.stopPropagation()}>
+              <BlockStack gap="050">
+                <Text variant="bodySm" tone="subdued" breakWord>/{product.handle}</Text>
+                {proposedHandle(product) && product.status !== 'DRAFT' && (
+                  <InlineStack gap="100" blockAlign="center" wrap={false}>
+                    <Text variant="bodySm" breakWord>→ {proposedHandle(product)}</Text>
+                    <Button variant="plain" size="micro" onClick={() => openHandleChange([product])}>
+                      Apply
+                    </Button>
+                  </InlineStack>
+                )}
+              </BlockStack>
+            </div>
+          </Box>
+          
+          <Box style={{ flex: '0 0 10%', minWidth: '80px', textAlign: 'center' }}>
+            <div onClick={(e) => e.stopPropagation()}>
+              <Button
+                variant="plain"
+                size="slim"
+                onClick={() => setHistoryTarget({ productId: toProductGID(product.productId || product.id), productTitle: product.title })}
+              >
+                History
+              </Button>
+            </div>
+          </Box>
+          
+          <Box style={{ flex: '0 0 15%', minWidth: '120px', textAlign: 'center' }}>
             {product.status === 'ACTIVE' ? (
               <Badge tone="success">Active</Badge>
             ) : product.status === 'DRAFT' ? (
@@ -1550,6 +1675,18 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
           <Text variant="bodySm" tone="subdued">
             Note: AI Search Optimisation will only be generated for languages that don't already have optimisation.
           </Text>
+          <Checkbox
+            label="Review before publishing"
+            helpText="Save the generated titles, meta descriptions, bullets and FAQ as drafts. Nothing is published until you approve it."
+            checked={reviewBeforePublish}
+            onChange={setReviewBeforePublish}
+          />
+          <Checkbox
+            label="Translate missing languages with AI"
+            helpText="Products without a translation for a selected language are translated from your primary language first (title, description, SEO fields and URL handle), then optimized. Uses tokens; translations are published right away and can be reviewed later."
+            checked={translateMissing}
+            onChange={setTranslateMissing}
+          />
         </BlockStack>
       </Modal.Section>
     </Modal>
@@ -1793,6 +1930,19 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
               </Banner>
             )}
             
+            {/* SEO audit deep link */}
+            {idsFilter && (
+              <Banner
+                tone="info"
+                action={{ content: 'Show all products', onAction: clearIdsFilter }}
+              >
+                <Text>
+                  Showing {idsFilter.split(',').length} products from the SEO audit
+                  {auditIssue ? <>: <strong>{auditIssue}</strong></> : null}
+                </Text>
+              </Banner>
+            )}
+
             {/* First row: Search bar + Generate AI button */}
             <InlineStack gap="400" align="space-between" blockAlign="center" wrap={false}>
               <Box minWidth="400px">
@@ -1822,13 +1972,43 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
             
             {/* Second row: Sync Products + Dynamic right side */}
             <InlineStack gap="400" align="space-between" blockAlign="start" wrap={false}>
-              <Button
-                onClick={handleSyncProducts}
-                disabled={loading}
-                size="medium"
-              >
-                Sync Products
-              </Button>
+              <InlineStack gap="200">
+                <Button
+                  onClick={handleSyncProducts}
+                  disabled={loading}
+                  size="medium"
+                >
+                  Sync Products
+                </Button>
+                {pendingDraftCount > 0 && (
+                  <Button onClick={() => setDraftReviewTarget({})} size="medium">
+                    Review drafts ({pendingDraftCount})
+                  </Button>
+                )}
+                {unreviewedTranslationCount > 0 && (
+                  <Button onClick={() => setShowTranslationReview(true)} size="medium">
+                    Review translations ({unreviewedTranslationCount})
+                  </Button>
+                )}
+                {(() => {
+                  const withSlug = products.filter(p => selectedItems.includes(p.id) && proposedHandle(p));
+                  return withSlug.length > 0 ? (
+                    <Button onClick={() => openHandleChange(withSlug)} size="medium">
+                      Apply slugs ({withSlug.length})
+                    </Button>
+                  ) : (
+                    <Button onClick={() => setHandleChangeItems([])} size="medium">
+                      URL changes
+                    </Button>
+                  );
+                })()}
+                <Button onClick={() => setShowSeoCsv(true)} size="medium">
+                  Import / export CSV
+                </Button>
+                <Button onClick={() => setShowAltText(true)} size="medium">
+                  {selectedItems.length > 0 && !selectAllInStore ? `Generate alt text (${selectedItems.length})` : 'Generate alt text'}
+                </Button>
+              </InlineStack>
               
               <Box width="320px">
                 <BlockStack gap="200" align="end">
@@ -2099,7 +2279,9 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
                       <InlineStack gap="200" align="start" blockAlign="center">
                         <Badge tone="success">Completed</Badge>
                         <Text variant="bodyMd">
-                          Applied GEO to {seoJobStatus.successfulProducts} product{seoJobStatus.successfulProducts !== 1 ? 's' : ''}
+                          {seoJobStatus.reviewMode
+                            ? `${seoJobStatus.successfulProducts} product${seoJobStatus.successfulProducts !== 1 ? 's' : ''} ready for review`
+                            : `Applied GEO to ${seoJobStatus.successfulProducts} product${seoJobStatus.successfulProducts !== 1 ? 's' : ''}`}
                         </Text>
                         {seoJobStatus.skippedProducts > 0 && seoJobStatus.skipReasons?.length > 0 && (
                           <Button
@@ -2132,6 +2314,16 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
                           <Text variant="bodySm" tone="critical">({seoJobStatus.failedProducts} failed)</Text>
                         )}
                         <Text variant="bodySm" tone="subdued">· {timeAgo(seoJobStatus.completedAt)}</Text>
+                        {seoJobStatus.reviewMode && seoJobStatus.jobId && seoJobStatus.successfulProducts > 0 && (
+                          <Button variant="plain" onClick={() => setDraftReviewTarget({ jobId: seoJobStatus.jobId })}>
+                            Review drafts
+                          </Button>
+                        )}
+                        {!seoJobStatus.reviewMode && seoJobStatus.jobId && seoJobStatus.successfulProducts > 0 && (
+                          <Button variant="plain" onClick={() => setHistoryTarget({ jobId: seoJobStatus.jobId })}>
+                            View changes / Undo
+                          </Button>
+                        )}
                       </InlineStack>
                     </BlockStack>
                   ) : (
@@ -2598,6 +2790,58 @@ export default function BulkEdit({ shop: shopProp, globalPlan }) {
       {deleteModal}
       {deleteConfirmModal}
       
+      <SeoHistoryModal
+        open={!!historyTarget}
+        onClose={() => setHistoryTarget(null)}
+        productId={historyTarget?.productId || null}
+        productTitle={historyTarget?.productTitle || ''}
+        jobId={historyTarget?.jobId || null}
+        onRestored={() => loadProductsRef.current?.(currentPageRef.current, false, Date.now())}
+      />
+      
+      <SeoDraftReviewModal
+        open={!!draftReviewTarget}
+        onClose={() => {
+          setDraftReviewTarget(null);
+          loadPendingDrafts();
+        }}
+        jobId={draftReviewTarget?.jobId || null}
+        onPublished={() => {
+          loadPendingDrafts();
+          loadProductsRef.current?.(currentPageRef.current, false, Date.now());
+        }}
+      />
+      
+      <HandleChangeModal
+        open={!!handleChangeItems}
+        onClose={() => setHandleChangeItems(null)}
+        items={handleChangeItems || []}
+        onApplied={() => loadProductsRef.current?.(currentPageRef.current, false, Date.now())}
+      />
+      
+      <SeoCsvModal
+        open={showSeoCsv}
+        onClose={() => setShowSeoCsv(false)}
+        onApplied={() => loadProductsRef.current?.(currentPageRef.current, false, Date.now())}
+      />
+      
+      <AltTextModal
+        open={showAltText}
+        onClose={() => setShowAltText(false)}
+        productIds={selectedItems.length > 0 && !selectAllInStore ? selectedItems : null}
+        languages={availableLanguages}
+        primaryLanguage={primaryLanguage}
+      />
+      
+      <MachineTranslationReviewModal
+        open={showTranslationReview}
+        onClose={() => {
+          setShowTranslationReview(false);
+          loadUnreviewedTranslations();
+        }}
+        onReviewed={loadUnreviewedTranslations}
+      />
+      
       {/* Skip/Fail Reasons Modal */}
       <Modal
         open={showReasonsModal}
@@ -727,6 +727,12 @@ export default function CollectionsPage({ shop: shopProp, globalPlan }) {
         return;
       }
       
+      // Shop's own spending limits - the message says which limit and by how much
+      if (error.spendingCap) {
+        setToast(error.message);
+        return;
+      }
+      
       if (error.status === 402 || error.requiresPurchase || error.trialRestriction) {
         setTokenError(error);
         setCurrentPlan(error.currentPlan || currentPlan || 'starter');
@@ -0,0 +1,315 @@
+// frontend/src/pages/ContentSeo.jsx
+// "Blog & Pages" tab: AI SEO for blog articles and online store pages.
+// Generate previews title, meta description, excerpt, FAQ and JSON-LD for one item and
+// language (metered as ai-seo-article / ai-seo-page); Apply writes the edited result.
+// Backed by /api/seo/content/*.
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  Box,
+  BlockStack,
+  InlineStack,
+  Text,
+  Badge,
+  Button,
+  Select,
+  Modal,
+  TextField,
+  Banner,
+  Spinner,
+  Divider,
+  Toast,
+} from '@shopify/polaris';
+import { useShopApi } from '../hooks/useShopApi.js';
+import InsufficientTokensModal from '../components/InsufficientTokensModal.jsx';
+import TrialActivationModal from '../components/TrialActivationModal.jsx';
+
+const TYPE_OPTIONS = [
+  { label: 'Blog articles', value: 'article' },
+  { label: 'Pages', value: 'page' },
+];
+
+const ARTICLE_TYPE_OPTIONS = [
+  { label: 'BlogPosting', value: 'BlogPosting' },
+  { label: 'Article', value: 'Article' },
+];
+
+function billingUrl(shop) {
+  const params = new URLSearchParams(window.location.search);
+  params.set('shop', shop);
+  return `/billing?${params.toString()}`;
+}
+
+function ContentRow({ item, onGenerate, busy }) {
+  return (
+    <InlineStack align="space-between" blockAlign="center" wrap={false}>
+      <BlockStack gap="050">
+        <InlineStack gap="200" blockAlign="center">
+          <Text variant="bodyMd" fontWeight="semibold">{item.title}</Text>
+          {!item.published && <Badge>Hidden</Badge>}
+        </InlineStack>
+        <Text variant="bodySm" tone="subdued" breakWord>{item.path}</Text>
+        {item.optimizedLanguages.length > 0 && (
+          <InlineStack gap="100">
+            {item.optimizedLanguages.map(lang => (
+              <Badge key={lang} tone="success">{lang.toUpperCase()}</Badge>
+            ))}
+          </InlineStack>
+        )}
+      </BlockStack>
+      <Button size="slim" onClick={() => onGenerate(item)} loading={busy} disabled={busy}>
+        Generate SEO
+      </Button>
+    </InlineStack>
+  );
+}
+
+export default function ContentSeo({ shop: shopProp }) {
+  const { api, shop: hookShop } = useShopApi();
+  const shop = shopProp || hookShop;
+
+  const [type, setType] = useState('article');
+  const [items, setItems] = useState([]);
+  const [pageInfo, setPageInfo] = useState({ hasNextPage: false, endCursor: null });
+  const [loading, setLoading] = useState(false);
+  const [languages, setLanguages] = useState(['en']);
+  const [language, setLanguage] = useState('en');
+  const [articleType, setArticleType] = useState('BlogPosting');
+  const [generatingId, setGeneratingId] = useState(null);
+  const [editing, setEditing] = useState(null); // { item, seo, jsonLd }
+  const [applying, setApplying] = useState(false);
+  const [error, setError] = useState('');
+  const [toast, setToast] = useState('');
+  const [tokenError, setTokenError] = useState(null);
+
+  useEffect(() => {
+    if (!shop) return;
+    api(`/api/languages/shop/${shop}`)
+      .then((data) => {
+        const langs = Array.isArray(data?.shopLanguages) && data.shopLanguages.length ? data.shopLanguages : ['en'];
+        setLanguages(langs);
+        setLanguage(data?.primaryLanguage || langs[0]);
+      })
+      .catch((e) => console.error('[CONTENT-SEO] Languages API error:', e));
+  }, [shop, api]);
+
+  const load = useCallback(async (cursor = null) => {
+    if (!shop) return;
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ shop, type });
+      if (cursor) params.set('cursor', cursor);
+      const data = await api(`/api/seo/content/list?${params.toString()}`);
+      setItems(list => (cursor ? [...list, ...(data?.items || [])] : (data?.items || [])));
+      setPageInfo(data?.pageInfo || { hasNextPage: false, endCursor: null });
+    } catch (e) {
+      setError(e.message || 'Failed to load content');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, shop, type]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const generate = async (item) => {
+    setGeneratingId(item.id);
+    setError('');
+    try {
+      const data = await api('/api/seo/content/generate', {
+        method: 'POST',
+        body: { shop, type, id: item.id, language, articleType },
+      });
+      setEditing({ item, seo: data.seo, jsonLd: data.jsonLd });
+    } catch (e) {
+      if (e.spendingCap) {
+        setToast(e.message);
+      } else if (e.status === 402) {
+        setTokenError(e);
+      } else {
+        setError(e.message || 'Failed to generate SEO');
+      }
+    } finally {
+      setGeneratingId(null);
+    }
+  };
+
+  const apply = async () => {
+    if (!editing) return;
+    setApplying(true);
+    try {
+      await api('/api/seo/content/apply', {
+        method: 'POST',
+        body: { shop, type, id: editing.item.id, language, articleType, seo: editing.seo },
+      });
+      setToast(`SEO applied to “${editing.item.title}” (${language.toUpperCase()})`);
+      setEditing(null);
+      load();
+    } catch (e) {
+      setError(e.message || 'Failed to apply SEO');
+      setEditing(null);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const setSeoField = (field, value) => setEditing(prev => ({ ...prev, seo: { ...prev.seo, [field]: value } }));
+  const setFaq = (idx, field, value) => setEditing(prev => ({
+    ...prev,
+    seo: { ...prev.seo, faq: prev.seo.faq.map((item, i) => (i === idx ? { ...item, [field]: value } : item)) },
+  }));
+  const removeFaq = (idx) => setEditing(prev => ({
+    ...prev,
+    seo: { ...prev.seo, faq: prev.seo.faq.filter((_, i) => i !== idx) },
+  }));
+
+  return (
+    <>
+      <BlockStack gap="400">
+        <Card>
+          <BlockStack gap="300">
+            <Text variant="headingMd">Blog articles & pages</Text>
+            <Text variant="bodySm" tone="subdued">
+              Generate an SEO title, meta description, excerpt and FAQ for an article or page, review it, then apply.
+              Applied content gets Article / WebPage JSON-LD and is listed in llms.txt and the AI sitemap.
+            </Text>
+            <InlineStack gap="300" blockAlign="end">
+              <Box minWidth="180px">
+                <Select label="Content" options={TYPE_OPTIONS} value={type} onChange={setType} />
+              </Box>
+              <Box minWidth="120px">
+                <Select
+                  label="Language"
+                  options={languages.map(l => ({ label: l.toUpperCase(), value: l }))}
+                  value={language}
+                  onChange={setLanguage}
+                />
+              </Box>
+              {type === 'article' && (
+                <Box minWidth="160px">
+                  <Select label="Schema type" options={ARTICLE_TYPE_OPTIONS} value={articleType} onChange={setArticleType} />
+                </Box>
+              )}
+            </InlineStack>
+          </BlockStack>
+        </Card>
+
+        {error && <Banner tone="critical" onDismiss={() => setError('')}>{error}</Banner>}
+
+        <Card>
+          <BlockStack gap="300">
+            {loading && items.length === 0 ? (
+              <InlineStack align="center"><Spinner size="small" /></InlineStack>
+            ) : items.length === 0 ? (
+              <Text tone="subdued">{type === 'article' ? 'No blog articles found.' : 'No pages found.'}</Text>
+            ) : (
+              items.map((item, idx) => (
+                <BlockStack key={item.id} gap="300">
+                  {idx > 0 && <Divider />}
+                  <ContentRow item={item} onGenerate={generate} busy={generatingId === item.id} />
+                </BlockStack>
+              ))
+            )}
+            {pageInfo.hasNextPage && (
+              <InlineStack align="center">
+                <Button onClick={() => load(pageInfo.endCursor)} loading={loading}>Load more</Button>
+              </InlineStack>
+            )}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+
+      {editing && (
+        <Modal
+          open
+          large
+          onClose={() => setEditing(null)}
+          title={`SEO for “${editing.item.title}” (${language.toUpperCase()})`}
+          primaryAction={{ content: 'Apply', onAction: apply, loading: applying }}
+          secondaryActions={[{ content: 'Cancel', onAction: () => setEditing(null) }]}
+        >
+          <Modal.Section>
+            <BlockStack gap="300">
+              <TextField
+                label="SEO title"
+                value={editing.seo.title}
+                onChange={v => setSeoField('title', v)}
+                maxLength={70}
+                showCharacterCount
+                autoComplete="off"
+              />
+              <TextField
+                label="Meta description"
+                value={editing.seo.metaDescription}
+                onChange={v => setSeoField('metaDescription', v)}
+                maxLength={160}
+                showCharacterCount
+                multiline={2}
+                autoComplete="off"
+              />
+              <TextField
+                label={type === 'article' ? 'Excerpt (article summary)' : 'Summary'}
+                value={editing.seo.excerpt}
+                onChange={v => setSeoField('excerpt', v)}
+                maxLength={300}
+                showCharacterCount
+                multiline={3}
+                autoComplete="off"
+              />
+              {editing.seo.faq.length > 0 && <Text variant="headingSm">FAQ</Text>}
+              {editing.seo.faq.map((item, idx) => (
+                <BlockStack key={idx} gap="100">
+                  <TextField label={`Question ${idx + 1}`} value={item.q} onChange={v => setFaq(idx, 'q', v)} autoComplete="off" />
+                  <TextField label="Answer" value={item.a} onChange={v => setFaq(idx, 'a', v)} multiline={2} autoComplete="off" />
+                  <InlineStack align="end">
+                    <Button size="micro" variant="plain" tone="critical" onClick={() => removeFaq(idx)}>Remove</Button>
+                  </InlineStack>
+                </BlockStack>
+              ))}
+            </BlockStack>
+          </Modal.Section>
+          <Modal.Section>
+            <BlockStack gap="200">
+              <Text variant="headingSm">JSON-LD preview</Text>
+              <Text variant="bodySm" tone="subdued">Rebuilt from the edited fields when you apply.</Text>
+              <Box background="bg-surface-secondary" padding="200" borderRadius="200">
+                <pre style={{ margin: 0, fontSize: 12, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                  {JSON.stringify(editing.jsonLd, null, 2)}
+                </pre>
+              </Box>
+            </BlockStack>
+          </Modal.Section>
+        </Modal>
+      )}
+
+      {tokenError && !tokenError.trialRestriction && (
+        <InsufficientTokensModal
+          open
+          onClose={() => setTokenError(null)}
+          feature={tokenError.feature || `ai-seo-${type}`}
+          tokensRequired={tokenError.tokensRequired || 0}
+          tokensAvailable={tokenError.tokensAvailable || 0}
+          tokensNeeded={tokenError.tokensNeeded || 0}
+          shop={shop}
+          currentPlan={tokenError.currentPlan}
+          returnTo="/ai-seo/content"
+        />
+      )}
+
+      {tokenError?.trialRestriction && (
+        <TrialActivationModal
+          open
+          onClose={() => setTokenError(null)}
+          feature={tokenError.feature || `ai-seo-${type}`}
+          trialEndsAt={tokenError.trialEndsAt}
+          currentPlan={tokenError.currentPlan}
+          tokensRequired={tokenError.tokensRequired || 0}
+          onActivatePlan={() => { window.location.href = billingUrl(shop); }}
+          onPurchaseTokens={() => { window.location.href = billingUrl(shop); }}
+        />
+      )}
+
+      {toast && <Toast content={toast} onDismiss={() => setToast('')} />}
+    </>
+  );
+}
@@ -22,6 +22,7 @@ import { PLAN_HIERARCHY_LOWERCASE, getPlanIndex } from '../hooks/usePlanHierarch
 import { devLog } from '../utils/devLog.js';
 import AIEOScoreCard from '../components/AIEOScoreCard.jsx';
 import TokenPurchaseModal from '../components/TokenPurchaseModal.jsx';
+import SeoAuditCard from '../components/SeoAuditCard.jsx';
 
 // Query string helper
 const qs = (k, d = '') => {
@@ -175,6 +176,10 @@ export default function Dashboard({ shop: shopProp }) {
     '/mcp/tools/get_store_info': 'MCP: Store Info',
     '/mcp/tools/search_collections': 'MCP: Collections',
     '/mcp/tools/ask_question': 'MCP: AI Q&A',
+    '/mcp/tools/get_variant_availability': 'MCP: Variant Availability',
+    '/mcp/tools/compare_products': 'MCP: Compare Products',
+    '/mcp/tools/lookup_policy': 'MCP: Policy Lookup',
+    '/mcp/tools/build_cart_link': 'MCP: Cart Link',
   };
   
   const getEndpointLabel = (endpoint) => ENDPOINT_LABELS[endpoint] || endpoint;
@@ -784,7 +789,7 @@ export default function Dashboard({ shop: shopProp }) {
                         • <strong>AI Discovery Features:</strong> Enable Products JSON Feed, Collections JSON Feed, Store Metadata, AI Welcome Page, and <strong>llms.txt</strong>
                       </Text>
                       <Text variant="bodyMd" tone="subdued">
-                        • <strong>MCP Server:</strong> Automatically available — allows AI agents to search products, browse collections, get store info, and answer questions directly through the Model Context Protocol
+                        • <strong>MCP Server:</strong> Automatically available — allows AI agents to search and compare products, check variant prices and stock, look up your policies, answer questions and build a checkout link through the Model Context Protocol. Choose which tools are exposed in Settings
                       </Text>
                       <Text variant="bodyMd" tone="subdued">
                         • Click <strong>"Save Settings"</strong> to save your configuration
@@ -1164,6 +1169,11 @@ export default function Dashboard({ shop: shopProp }) {
         </div>
       </Layout.Section>
 
+      {/* SEO Audit - duplicate/length/missing-field issues with fix actions */}
+      <Layout.Section>
+        <SeoAuditCard shop={shop} api={api} />
+      </Layout.Section>
+
       {/* AIEO Score Card - Full width section (2 columns) */}
       <Layout.Section>
         <AIEOScoreCard 
@@ -1287,6 +1297,19 @@ export default function Dashboard({ shop: shopProp }) {
                     <Text variant="bodySm" tone="subdued">Growth vs Last Period</Text>
                   </div>
                 </div>
+                {aiTraffic.verification && (
+                  <InlineStack gap="200" blockAlign="center">
+                    <Badge tone="success">{`${aiTraffic.verification.verified.toLocaleString()} verified`}</Badge>
+                    <Badge>{`${aiTraffic.verification.unverified.toLocaleString()} unverified`}</Badge>
+                    {aiTraffic.verification.spoofed > 0 && (
+                      <Badge tone="critical">{`${aiTraffic.verification.spoofed.toLocaleString()} spoofed`}</Badge>
+                    )}
+                    <Text variant="bodySm" tone="subdued">
+                      {aiTraffic.visits === 'verified' ? 'Counting verified crawlers only'
+                        : aiTraffic.visits === 'all' ? 'Counting all visits' : 'Spoofed visits are not counted'}
+                    </Text>
+                  </InlineStack>
+                )}
 
                 {/* Daily visits chart */}
                 {(() => {
@@ -27,6 +27,7 @@ import TrialActivationModal from '../components/TrialActivationModal.jsx';
 import InsufficientTokensModal from '../components/InsufficientTokensModal.jsx';
 import TokenPurchaseModal from '../components/TokenPurchaseModal.jsx';
 import UpgradeModal from '../components/UpgradeModal.jsx';
+import ReviewSourcesCard from '../components/ReviewSourcesCard.jsx';
 import { estimateTokens } from '../utils/tokenEstimates.js';
 
 const qs = (k, d = '') => { try { return new URLSearchParams(window.location.search).get(k) || d; } catch { return d; } };
@@ -1326,8 +1327,8 @@ ${JSON.stringify(allSchemas, null, 2)}
                         { key: 'dimensions', label: 'Dimensions', description: 'Product measurements' },
                         { key: 'category', label: 'Category', description: 'Product category classification' },
                         { key: 'audience', label: 'Target Audience', description: 'Intended user group (men, women, kids, etc.)' },
-                        { key: 'reviews', label: 'Review Schemas', description: 'AI-generated product reviews for schema.org' },
-                        { key: 'ratings', label: 'Rating Schemas', description: 'AI-generated ratings and aggregate ratings' },
+                        { key: 'reviews', label: 'Review Schemas', description: 'Individual reviews from your imported review data' },
+                        { key: 'ratings', label: 'Rating Schemas', description: 'Aggregate rating from reviews.rating metafields or imported reviews' },
                         { key: 'enhancedDescription', label: 'Enhanced Descriptions', description: 'AI-enhanced product descriptions' },
                         { key: 'organization', label: 'Organization Schema', description: 'Brand organization information' }
                       ].map(attr => (
@@ -1348,6 +1349,8 @@ ${JSON.stringify(allSchemas, null, 2)}
                   </BlockStack>
                 </Box>
               </Card>
+
+              <ReviewSourcesCard />
             </BlockStack>
           </Box>
         </Card>
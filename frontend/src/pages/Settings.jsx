@@ -25,6 +25,9 @@ import { makeSessionFetch } from '../lib/sessionFetch.js';
 import InsufficientTokensModal from '../components/InsufficientTokensModal.jsx';
 import TrialActivationModal from '../components/TrialActivationModal.jsx';
 import TokenPurchaseModal from '../components/TokenPurchaseModal.jsx';
+import PromptTemplateSettings from '../components/PromptTemplateSettings.jsx';
+import OptimizationRulesSettings from '../components/OptimizationRulesSettings.jsx';
+import BotAccessPolicySettings from '../components/BotAccessPolicySettings.jsx';
 import { PLAN_HIERARCHY_LOWERCASE, getPlanIndex } from '../hooks/usePlanHierarchy.js';
 import { estimateTokens } from '../utils/tokenEstimates.js';
 
@@ -814,6 +817,34 @@ export default function Settings() {
     setHasUnsavedChanges(true); // Mark that there are changes
   };
 
+  const toggleMcpTool = (toolName) => {
+    setSettings(prev => {
+      if (!prev) return prev;
+      const disabled = prev.disabledMcpTools || [];
+      return {
+        ...prev,
+        disabledMcpTools: disabled.includes(toolName)
+          ? disabled.filter(name => name !== toolName)
+          : [...disabled, toolName]
+      };
+    });
+    
+    setHasUnsavedChanges(true);
+  };
+
+  const updateBotPolicy = (groupKey, patch) => {
+    setSettings(prev => {
+      if (!prev) return prev;
+      const policies = prev.botPolicies || {};
+      return {
+        ...prev,
+        botPolicies: { ...policies, [groupKey]: { ...policies[groupKey], ...patch } }
+      };
+    });
+    
+    setHasUnsavedChanges(true);
+  };
+
   const toggleFeature = async (featureKey) => {
     // Safety check - don't proceed if settings not loaded
     if (!settings || !settings.features) {
@@ -909,7 +940,9 @@ export default function Settings() {
           shop,
           bots: settings.bots,
           features: otherFeatures, // Don't send aiSitemap or schemaData
-          richAttributes: settings.richAttributes
+          richAttributes: settings.richAttributes,
+          disabledMcpTools: settings.disabledMcpTools || [],
+          botPolicies: settings.botPolicies || {}
         }
       });
       
@@ -1730,6 +1763,48 @@ export default function Settings() {
         </Box>
       </Card>
 
+      {/* MCP Tools for AI agents */}
+      {settings?.mcpTools?.length > 0 && (
+        <Card>
+          <Box padding="400">
+            <BlockStack gap="400">
+              <Text as="h2" variant="headingMd">MCP Tools for AI Agents</Text>
+              <Text variant="bodyMd" tone="subdued">
+                Choose which tools AI agents can use through your store's MCP server. Changes apply to new agent sessions.
+              </Text>
+              
+              <Divider />
+              
+              <div style={{ 
+                display: 'grid', 
+                gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', 
+                gap: '1rem' 
+              }}>
+                {settings.mcpTools.map(tool => (
+                  <Box key={tool.name}>
+                    <Checkbox
+                      label={tool.label}
+                      checked={!(settings.disabledMcpTools || []).includes(tool.name)}
+                      onChange={() => toggleMcpTool(tool.name)}
+                      helpText={tool.description}
+                    />
+                  </Box>
+                ))}
+              </div>
+            </BlockStack>
+          </Box>
+        </Card>
+      )}
+
+      {settings?.botPolicyGroups?.length > 0 && (
+        <BotAccessPolicySettings
+          groups={settings.botPolicyGroups}
+          limits={settings.botPolicyLimits}
+          policies={settings.botPolicies}
+          onChange={updateBotPolicy}
+        />
+      )}
+
       {/* Save and Reset Buttons */}
       <InlineStack gap="200" align="end">
         <Button
@@ -1906,6 +1981,12 @@ export default function Settings() {
         </Card>
       )}
 
+      {/* Brand Voice / Prompt Template */}
+      <PromptTemplateSettings />
+
+      {/* Automatic Optimization Rules */}
+      <OptimizationRulesSettings />
+
       {/* Robots.txt Modal */}
       {showRobotsModal && (
         <Modal
@@ -15,6 +15,7 @@ import {
   Badge,
   ProgressBar,
   Divider,
+  DataTable,
 } from '@shopify/polaris';
 import { CheckIcon, AlertCircleIcon, ClockIcon, ExternalIcon, LockIcon } from '@shopify/polaris-icons';
 import { makeSessionFetch } from '../lib/sessionFetch.js';
@@ -44,6 +45,8 @@ export default function SitemapPage({ shop: shopProp }) {
   const [sitemapModalOpen, setSitemapModalOpen] = useState(false);
   const [sitemapModalContent, setSitemapModalContent] = useState(null);
   const [loadingSitemap, setLoadingSitemap] = useState(false);
+  // Child sitemap shown in the view modals (null = the index)
+  const [viewedPart, setViewedPart] = useState(null);
   
   // ===== AI-OPTIMIZED SITEMAP STATES =====
   // AI Sitemap generation status (background queue)
@@ -214,16 +217,18 @@ export default function SitemapPage({ shop: shopProp }) {
   }, [polling, checkStatus]);
 
   // View Sitemap in Modal (only fetches cached version, no regeneration)
-  const viewSitemap = useCallback(async () => {
+  const viewSitemap = useCallback(async (part = null) => {
     if (!shop) return;
     
     setSitemapModalOpen(true);
     setLoadingSitemap(true);
     setSitemapModalContent(null);
+    setViewedPart(part);
+    const partParam = part ? `&part=${encodeURIComponent(part)}` : '';
     
     try {
       // Use view endpoint to get cached version without regenerating
-      const response = await fetch(`/api/sitemap/view?shop=${encodeURIComponent(shop)}&t=${Date.now()}`, {
+      const response = await fetch(`/api/sitemap/view?shop=${encodeURIComponent(shop)}${partParam}&t=${Date.now()}`, {
         method: 'GET',
         credentials: 'include',
         headers: {
@@ -549,6 +554,12 @@ export default function SitemapPage({ shop: shopProp }) {
           return;
         }
         
+        if (errorMessage.startsWith('SPENDING_CAP:')) {
+          setAiSitemapBusy(false);
+          setToast(errorMessage.replace('SPENDING_CAP: ', ''));
+          return;
+        }
+        
         if (errorMessage.startsWith('PLAN_NOT_ELIGIBLE:')) {
           setAiSitemapBusy(false);
           
@@ -601,16 +612,18 @@ export default function SitemapPage({ shop: shopProp }) {
   }, [shop, api, plan, startAiSitemapPolling]);
   
   // View AI-Optimized Sitemap in Modal (only fetches cached version, no regeneration)
-  const viewAiSitemap = useCallback(async () => {
+  const viewAiSitemap = useCallback(async (part = null) => {
     if (!shop) return;
     
     setAiSitemapModalOpen(true);
     setLoadingAiSitemap(true);
     setAiSitemapModalContent(null);
+    setViewedPart(part);
+    const partParam = part ? `&part=${encodeURIComponent(part)}` : '';
     
     try {
       // Use view endpoint without force=true to get cached version without regenerating
-      const response = await fetch(`/api/sitemap/view?shop=${encodeURIComponent(shop)}&t=${Date.now()}`, {
+      const response = await fetch(`/api/sitemap/view?shop=${encodeURIComponent(shop)}${partParam}&t=${Date.now()}`, {
         method: 'GET',
         credentials: 'include',
         headers: {
@@ -706,245 +719,253 @@ export default function SitemapPage({ shop: shopProp }) {
               borderColor="border-info"
             >
               <BlockStack gap="200">
-                <InlineStack align="space-between" blockAlign="center" gap="400">
-              <InlineStack gap="200" blockAlign="center">
-                <Spinner size="small" />
-                <Text variant="bodyMd">
-                  {aiSitemapStatus.inProgress || aiSitemapBusy
-                        ? (aiSitemapStatus.progress?.total > 0
-                            ? `AI Sitemap: ${aiSitemapStatus.progress.current}/${aiSitemapStatus.progress.total} products${aiSitemapStatus.progress.remainingSeconds > 0 ? ` • ~${Math.ceil(aiSitemapStatus.progress.remainingSeconds / 60)} min remaining` : ''}`
-                            : (() => {
-                                // Estimate based on product count (~5 sec per product for AI)
-                                const productCount = info?.productCount || info?.lastProductCount || 0;
-                                const estimatedMinutes = productCount > 0 ? Math.ceil((productCount * 5) / 60) : 0;
-                                return productCount > 0 
-                                  ? `Starting AI optimization for ${productCount} products • ~${estimatedMinutes} min estimated`
-                                  : 'Starting... (loading products)';
-                              })()
-                          )
-                        : basicSitemapProgress?.total > 0
-                          ? `Basic Sitemap: ${basicSitemapProgress.current}/${basicSitemapProgress.total} products${basicSitemapProgress.remainingSeconds > 0 ? ` • ~${Math.ceil(basicSitemapProgress.remainingSeconds / 60)} min remaining` : ''}`
-                          : (queueStatus?.status === 'queued'
-                              ? 'Starting...'
-                              : queueStatus?.status === 'processing'
-                                ? 'Generating Basic Sitemap...'
-                                : queueStatus?.message || 'Generating...'
-                            )}
-                </Text>
-              </InlineStack>
-                  <Button 
-                    size="slim" 
-                    tone="critical" 
-                    onClick={resetSitemapGeneration}
-                  >
-                    Cancel
-                  </Button>
+                  <InlineStack align="space-between" blockAlign="center" gap="400">
+                <InlineStack gap="200" blockAlign="center">
+                  <Spinner size="small" />
+                  <Text variant="bodyMd">
+                    {aiSitemapStatus.inProgress || aiSitemapBusy
+                          ? (aiSitemapStatus.progress?.total > 0
+                              ? `AI Sitemap: ${aiSitemapStatus.progress.current}/${aiSitemapStatus.progress.total} products${aiSitemapStatus.progress.remainingSeconds > 0 ? ` • ~${Math.ceil(aiSitemapStatus.progress.remainingSeconds / 60)} min remaining` : ''}`
+                              : (() => {
+                                  // Estimate based on product count (~5 sec per product for AI)
+                                  const productCount = info?.productCount || info?.lastProductCount || 0;
+                                  const estimatedMinutes = productCount > 0 ? Math.ceil((productCount * 5) / 60) : 0;
+                                  return productCount > 0 
+                                    ? `Starting AI optimization for ${productCount} products • ~${estimatedMinutes} min estimated`
+                                    : 'Starting... (loading products)';
+                                })()
+                            )
+                          : basicSitemapProgress?.total > 0
+                            ? `Basic Sitemap: ${basicSitemapProgress.current}/${basicSitemapProgress.total} products${basicSitemapProgress.remainingSeconds > 0 ? ` • ~${Math.ceil(basicSitemapProgress.remainingSeconds / 60)} min remaining` : ''}`
+                            : (queueStatus?.status === 'queued'
+                                ? 'Starting...'
+                                : queueStatus?.status === 'processing'
+                                  ? 'Generating Basic Sitemap...'
+                                  : queueStatus?.message || 'Generating...'
+                              )}
+                  </Text>
                 </InlineStack>
-                {/* Progress bar for both AI and Basic sitemap */}
-                {(aiSitemapStatus.progress?.total > 0 || basicSitemapProgress?.total > 0) && (
-                  <ProgressBar 
-                    progress={aiSitemapStatus.progress?.percent || basicSitemapProgress?.percent || 0} 
-                    size="small"
-                  />
-                )}
-              </BlockStack>
-            </Box>
-          )}
+                    <Button 
+                      size="slim" 
+                      tone="critical" 
+                      onClick={resetSitemapGeneration}
+                    >
+                      Cancel
+                    </Button>
+                  </InlineStack>
+                  {/* Progress bar for both AI and Basic sitemap */}
+                  {(aiSitemapStatus.progress?.total > 0 || basicSitemapProgress?.total > 0) && (
+                    <ProgressBar 
+                      progress={aiSitemapStatus.progress?.percent || basicSitemapProgress?.percent || 0} 
+                      size="small"
+                    />
+                  )}
+                </BlockStack>
+              </Box>
+            )}
 
-          {/* ===== BASIC SITEMAP ROW ===== */}
-          <Box 
-            background="bg-surface-secondary" 
-            padding="300" 
-            borderRadius="200"
-            borderWidth="025"
-            borderColor={info?.generated ? "border-success" : "border"}
-          >
-            <InlineStack align="space-between" blockAlign="center" gap="400">
-              <InlineStack gap="300" blockAlign="center">
-                {info?.generated ? (
-                  <Icon source={CheckIcon} tone="success" />
-                ) : (
-                  <Icon source={ClockIcon} tone="subdued" />
-                )}
-                <BlockStack gap="050">
-                  <Text variant="bodyMd" fontWeight="semibold">
-                    Basic Sitemap
-                  </Text>
+            {/* ===== BASIC SITEMAP ROW ===== */}
+            <Box 
+              background="bg-surface-secondary" 
+              padding="300" 
+              borderRadius="200"
+              borderWidth="025"
+              borderColor={info?.generated ? "border-success" : "border"}
+            >
+              <InlineStack align="space-between" blockAlign="center" gap="400">
+                <InlineStack gap="300" blockAlign="center">
                   {info?.generated ? (
-                    <InlineStack gap="200" blockAlign="center">
-                      <Text variant="bodySm" tone="subdued">
-                        {info.lastProductCount || 0} products · {timeAgo(info.generatedAt)}
-                      </Text>
-                      {/* Hide View button if AI-Enhanced sitemap exists (there's only one sitemap file) */}
-                      {!(aiSitemapInfo?.generated && aiSitemapInfo?.isAiEnhanced) && (
-                        <Button variant="plain" size="slim" onClick={viewSitemap}>View</Button>
-                      )}
-                    </InlineStack>
+                    <Icon source={CheckIcon} tone="success" />
                   ) : (
-                    <Text variant="bodySm" tone="subdued">Not generated yet</Text>
+                    <Icon source={ClockIcon} tone="subdued" />
                   )}
-                </BlockStack>
-              </InlineStack>
-              
-              <Button
-                onClick={generate}
-                loading={busy || polling}
-                disabled={busy || polling}
-                size="slim"
-              >
-                {info?.generated ? 'Regenerate' : 'Generate'}
-              </Button>
-            </InlineStack>
-          </Box>
-
-          {/* ===== AI-OPTIMIZED SITEMAP ROW ===== */}
-          <Box 
-            background="bg-surface-secondary" 
-            padding="300" 
-            borderRadius="200"
-            borderWidth="025"
-            borderColor={aiSitemapInfo?.generated ? "border-success" : "border"}
-          >
-            <InlineStack align="space-between" blockAlign="center" gap="400">
-              <InlineStack gap="300" blockAlign="center">
-                {aiSitemapInfo?.generated ? (
-                  <Icon source={CheckIcon} tone="success" />
-                ) : info?.generated ? (
-                  <Icon source={ClockIcon} tone="subdued" />
-                ) : (
-                  <Icon source={LockIcon} tone="subdued" />
-                )}
-                <BlockStack gap="050">
-                  <InlineStack gap="200" blockAlign="center">
+                  <BlockStack gap="050">
                     <Text variant="bodyMd" fontWeight="semibold">
-                      AI-Optimized Sitemap
+                      Basic Sitemap
                     </Text>
-                    <Badge tone="info" size="small">Premium</Badge>
-                  </InlineStack>
+                    {info?.generated ? (
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text variant="bodySm" tone="subdued">
+                          {info.lastProductCount || 0} products · {timeAgo(info.generatedAt)}
+                          {info.patchedAt ? ` · updated ${timeAgo(info.patchedAt)}` : ''}
+                        </Text>
+                        {/* Hide View button if AI-Enhanced sitemap exists (there's only one sitemap file) */}
+                        {!(aiSitemapInfo?.generated && aiSitemapInfo?.isAiEnhanced) && (
+                          <Button variant="plain" size="slim" onClick={() => viewSitemap()}>View</Button>
+                        )}
+                      </InlineStack>
+                    ) : (
+                      <Text variant="bodySm" tone="subdued">Not generated yet</Text>
+                    )}
+                  </BlockStack>
+                </InlineStack>
+                
+                <Button
+                  onClick={generate}
+                  loading={busy || polling}
+                  disabled={busy || polling}
+                  size="slim"
+                >
+                  {info?.generated ? 'Regenerate' : 'Generate'}
+                </Button>
+              </InlineStack>
+            </Box>
+
+            {/* ===== AI-OPTIMIZED SITEMAP ROW ===== */}
+            <Box 
+              background="bg-surface-secondary" 
+              padding="300" 
+              borderRadius="200"
+              borderWidth="025"
+              borderColor={aiSitemapInfo?.generated ? "border-success" : "border"}
+            >
+              <InlineStack align="space-between" blockAlign="center" gap="400">
+                <InlineStack gap="300" blockAlign="center">
                   {aiSitemapInfo?.generated ? (
+                    <Icon source={CheckIcon} tone="success" />
+                  ) : info?.generated ? (
+                    <Icon source={ClockIcon} tone="subdued" />
+                  ) : (
+                    <Icon source={LockIcon} tone="subdued" />
+                  )}
+                  <BlockStack gap="050">
                     <InlineStack gap="200" blockAlign="center">
+                      <Text variant="bodyMd" fontWeight="semibold">
+                        AI-Optimized Sitemap
+                      </Text>
+                      <Badge tone="info" size="small">Premium</Badge>
+                    </InlineStack>
+                    {aiSitemapInfo?.generated ? (
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text variant="bodySm" tone="subdued">
+                          {aiSitemapInfo.productCount || 0} products · {timeAgo(aiSitemapInfo.generatedAt)}
+                        </Text>
+                        <Button variant="plain" size="slim" onClick={() => viewAiSitemap()}>View</Button>
+                      </InlineStack>
+                    ) : info?.generated ? (
                       <Text variant="bodySm" tone="subdued">
-                        {aiSitemapInfo.productCount || 0} products · {timeAgo(aiSitemapInfo.generatedAt)}
+                        Adds AI descriptions & enhanced metadata
                       </Text>
-                      <Button variant="plain" size="slim" onClick={viewAiSitemap}>View</Button>
+                    ) : (
+                      <Text variant="bodySm" tone="subdued">Generate basic sitemap first</Text>
+                    )}
+                  </BlockStack>
+                </InlineStack>
+                
+                <Button
+                  primary
+                  onClick={generateAiSitemap}
+                  loading={aiSitemapBusy || aiSitemapStatus.inProgress}
+                  disabled={!info?.generated || aiSitemapBusy || aiSitemapStatus.inProgress}
+                  size="slim"
+                >
+                  {aiSitemapInfo?.generated ? 'Regenerate' : 'Generate'}
+                </Button>
+              </InlineStack>
+            </Box>
+
+            {/* ===== WHAT'S INCLUDED SECTION ===== */}
+            <Divider />
+            
+            <Box>
+              <BlockStack gap="300">
+                {/* Basic Sitemap Features */}
+                <Box>
+                  <Text variant="headingSm" as="h4">Basic Sitemap includes:</Text>
+                  <Box paddingBlockStart="100">
+                    <Text variant="bodySm" tone="subdued">
+                      ✓ All active products with structured URLs · Priority rankings · Multi-language URLs · Standard XML format
+                    </Text>
+                  </Box>
+                </Box>
+                
+                {/* AI-Optimized Features - show as value proposition */}
+                <Box background="bg-surface-secondary" padding="300" borderRadius="200">
+                  <BlockStack gap="200">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text variant="headingSm" as="h4">Why AI-Optimized?</Text>
+                      <Badge tone="info" size="small">Premium</Badge>
                     </InlineStack>
-                  ) : info?.generated ? (
                     <Text variant="bodySm" tone="subdued">
-                      Adds AI descriptions & enhanced metadata
+                      Make your products stand out when customers search with AI assistants like ChatGPT, Perplexity, or Google AI.
                     </Text>
-                  ) : (
-                    <Text variant="bodySm" tone="subdued">Generate basic sitemap first</Text>
-                  )}
-                </BlockStack>
-              </InlineStack>
-              
-              <Button
-                primary
-                onClick={generateAiSitemap}
-                loading={aiSitemapBusy || aiSitemapStatus.inProgress}
-                disabled={!info?.generated || aiSitemapBusy || aiSitemapStatus.inProgress}
-                size="slim"
-              >
-                {aiSitemapInfo?.generated ? 'Regenerate' : 'Generate'}
-              </Button>
-            </InlineStack>
-          </Box>
-
-          {/* ===== WHAT'S INCLUDED SECTION ===== */}
-          <Divider />
-          
-          <Box>
-            <BlockStack gap="300">
-              {/* Basic Sitemap Features */}
-              <Box>
-                <Text variant="headingSm" as="h4">Basic Sitemap includes:</Text>
-                <Box paddingBlockStart="100">
+                    <BlockStack gap="100">
+                      <Text variant="bodySm">
+                        ✓ <strong>AI-generated descriptions</strong> — helps AI models better understand and recommend your products
+                      </Text>
+                      <Text variant="bodySm">
+                        ✓ <strong>Enhanced metadata</strong> — category, price range, and key features formatted for AI consumption
+                      </Text>
+                      <Text variant="bodySm">
+                        ✓ <strong>Structured annotations</strong> — special AI-readable tags that increase visibility in AI search results
+                      </Text>
+                    </BlockStack>
+                  </BlockStack>
+                </Box>
+                
+                {/* Tip for regeneration */}
+                <Box>
                   <Text variant="bodySm" tone="subdued">
-                    ✓ All active products with structured URLs · Priority rankings · Multi-language URLs · Standard XML format
+                    💡 <strong>Tip:</strong> Product and collection edits are patched into your sitemap within minutes. Regenerate after large catalog changes to keep AI models up to date.
                   </Text>
                 </Box>
-              </Box>
-              
-              {/* AI-Optimized Features - show as value proposition */}
-              <Box background="bg-surface-secondary" padding="300" borderRadius="200">
-                <BlockStack gap="200">
-                  <InlineStack gap="200" blockAlign="center">
-                    <Text variant="headingSm" as="h4">Why AI-Optimized?</Text>
-                    <Badge tone="info" size="small">Premium</Badge>
+              </BlockStack>
+            </Box>
+
+            {/* ===== INDEXNOW SECTION ===== */}
+            <Divider />
+            <IndexNowSection shop={shop} api={api} onToast={setToast} />
+          </BlockStack>
+        </Box>
+        
+        {/* Sitemap View Modal (copied from Settings.jsx) */}
+        {sitemapModalOpen && (
+          <Modal
+            open={sitemapModalOpen}
+            onClose={() => {
+              setSitemapModalOpen(false);
+              setSitemapModalContent(null);
+            }}
+            title="AI-Optimized Sitemap"
+            primaryAction={{
+              content: 'Copy',
+              onAction: () => {
+                navigator.clipboard.writeText(sitemapModalContent);
+                setToast('Copied to clipboard!');
+              },
+              disabled: loadingSitemap
+            }}
+            secondaryActions={[{
+              content: 'Close',
+              onAction: () => {
+                setSitemapModalOpen(false);
+                setSitemapModalContent(null);
+              }
+            }]}
+          >
+            <Modal.Section>
+              <BlockStack gap="200">
+              <SitemapPartPicker parts={info?.children} current={viewedPart} onSelect={viewSitemap} />
+              <Box padding="200" background="bg-surface-secondary" borderRadius="100">
+                {loadingSitemap ? (
+                  <InlineStack align="center" gap="200">
+                    <Spinner size="small" />
+                    <Text variant="bodyMd">Loading sitemap XML... This may take a moment for large stores.</Text>
                   </InlineStack>
-                  <Text variant="bodySm" tone="subdued">
-                    Make your products stand out when customers search with AI assistants like ChatGPT, Perplexity, or Google AI.
-                  </Text>
-                  <BlockStack gap="100">
-                    <Text variant="bodySm">
-                      ✓ <strong>AI-generated descriptions</strong> — helps AI models better understand and recommend your products
-                    </Text>
-                    <Text variant="bodySm">
-                      ✓ <strong>Enhanced metadata</strong> — category, price range, and key features formatted for AI consumption
-                    </Text>
-                    <Text variant="bodySm">
-                      ✓ <strong>Structured annotations</strong> — special AI-readable tags that increase visibility in AI search results
-                    </Text>
-                  </BlockStack>
-                </BlockStack>
-              </Box>
-              
-              {/* Tip for regeneration */}
-              <Box>
-                <Text variant="bodySm" tone="subdued">
-                  💡 <strong>Tip:</strong> Regenerate your sitemaps after adding new products or updating existing ones to keep AI models up to date with your catalog.
-                </Text>
+                ) : (
+                  <pre style={{ 
+                    whiteSpace: 'pre-wrap', 
+                    fontFamily: 'monospace',
+                    fontSize: '12px',
+                    margin: 0,
+                    overflow: 'auto',
+                    maxHeight: '400px'
+                  }}>
+                    {sitemapModalContent}
+                  </pre>
+                )}
               </Box>
             </BlockStack>
-          </Box>
-        </BlockStack>
-      </Box>
-      
-      {/* Sitemap View Modal (copied from Settings.jsx) */}
-      {sitemapModalOpen && (
-        <Modal
-          open={sitemapModalOpen}
-          onClose={() => {
-            setSitemapModalOpen(false);
-            setSitemapModalContent(null);
-          }}
-          title="AI-Optimized Sitemap"
-          primaryAction={{
-            content: 'Copy',
-            onAction: () => {
-              navigator.clipboard.writeText(sitemapModalContent);
-              setToast('Copied to clipboard!');
-            },
-            disabled: loadingSitemap
-          }}
-          secondaryActions={[{
-            content: 'Close',
-            onAction: () => {
-              setSitemapModalOpen(false);
-              setSitemapModalContent(null);
-            }
-          }]}
-        >
-          <Modal.Section>
-            <Box padding="200" background="bg-surface-secondary" borderRadius="100">
-              {loadingSitemap ? (
-                <InlineStack align="center" gap="200">
-                  <Spinner size="small" />
-                  <Text variant="bodyMd">Loading sitemap XML... This may take a moment for large stores.</Text>
-                </InlineStack>
-              ) : (
-                <pre style={{ 
-                  whiteSpace: 'pre-wrap', 
-                  fontFamily: 'monospace',
-                  fontSize: '12px',
-                  margin: 0,
-                  overflow: 'auto',
-                  maxHeight: '400px'
-                }}>
-                  {sitemapModalContent}
-                </pre>
-              )}
-            </Box>
           </Modal.Section>
         </Modal>
       )}
@@ -975,25 +996,28 @@ export default function SitemapPage({ shop: shopProp }) {
           }]}
         >
           <Modal.Section>
-            <Box padding="200" background="bg-surface-secondary" borderRadius="100">
-              {loadingAiSitemap ? (
-                <InlineStack align="center" gap="200">
-                  <Spinner size="small" />
-                  <Text variant="bodyMd">Loading AI-optimized sitemap...</Text>
-                </InlineStack>
-              ) : (
-                <pre style={{ 
-                  whiteSpace: 'pre-wrap', 
-                  fontFamily: 'monospace',
-                  fontSize: '12px',
-                  margin: 0,
-                  overflow: 'auto',
-                  maxHeight: '400px'
-                }}>
-                  {aiSitemapModalContent}
-                </pre>
-              )}
-            </Box>
+            <BlockStack gap="200">
+              <SitemapPartPicker parts={info?.children} current={viewedPart} onSelect={viewAiSitemap} />
+              <Box padding="200" background="bg-surface-secondary" borderRadius="100">
+                {loadingAiSitemap ? (
+                  <InlineStack align="center" gap="200">
+                    <Spinner size="small" />
+                    <Text variant="bodyMd">Loading AI-optimized sitemap...</Text>
+                  </InlineStack>
+                ) : (
+                  <pre style={{ 
+                    whiteSpace: 'pre-wrap', 
+                    fontFamily: 'monospace',
+                    fontSize: '12px',
+                    margin: 0,
+                    overflow: 'auto',
+                    maxHeight: '400px'
+                  }}>
+                    {aiSitemapModalContent}
+                  </pre>
+                )}
+              </Box>
+            </BlockStack>
           </Modal.Section>
         </Modal>
       )}
@@ -1062,4 +1086,181 @@ export default function SitemapPage({ shop: shopProp }) {
       {toast && <Toast content={toast} onDismiss={() => setToast('')} />}
     </Card>
   );
-}
\ No newline at end of file
+}
+
+// Index / child sitemap switcher for the view modals
+function SitemapPartPicker({ parts, current, onSelect }) {
+  if (!parts?.length) return null;
+  return (
+    <InlineStack gap="100" wrap>
+      <Button size="slim" pressed={!current} onClick={() => onSelect(null)}>Index</Button>
+      {parts.map(part => (
+        <Button key={part.name} size="slim" pressed={current === part.name} onClick={() => onSelect(part.name)}>
+          {`${part.name}.xml (${part.urlCount})`}
+        </Button>
+      ))}
+    </InlineStack>
+  );
+}
+
+const INDEXNOW_STATUS_TONES = {
+  submitted: 'success',
+  accepted: 'success',
+  rejected: 'critical',
+  failed: 'warning',
+  skipped: undefined
+};
+
+function IndexNowStatusBadge({ status }) {
+  return <Badge tone={INDEXNOW_STATUS_TONES[status]}>{status}</Badge>;
+}
+
+// IndexNow: changed URLs are pushed to search engines in batches; this shows the
+// key file, what is waiting and what each submission returned
+function IndexNowSection({ shop, api, onToast }) {
+  const [data, setData] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [detail, setDetail] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!shop) return;
+    try {
+      setData(await api(`/api/sitemap/indexnow?shop=${shop}`));
+    } catch (e) {
+      onToast(e.message || 'Failed to load IndexNow status');
+    }
+  }, [shop, api, onToast]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const toggle = async () => {
+    setSaving(true);
+    try {
+      await api(`/api/sitemap/indexnow/settings?shop=${shop}`, {
+        method: 'POST',
+        body: { enabled: !data.enabled }
+      });
+      await load();
+    } catch (e) {
+      onToast(e.message || 'Failed to save IndexNow settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sendNow = async () => {
+    setSending(true);
+    try {
+      const result = await api(`/api/sitemap/indexnow/submit?shop=${shop}`, { method: 'POST' });
+      onToast(result.queued ? 'Submitting pending URLs...' : 'No URLs waiting');
+      setTimeout(load, 5000);
+    } catch (e) {
+      onToast(e.message || 'Failed to submit URLs');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const openDetail = async (id) => {
+    try {
+      const { submission } = await api(`/api/sitemap/indexnow/submissions/${id}?shop=${shop}`);
+      setDetail(submission);
+    } catch (e) {
+      onToast(e.message || 'Failed to load submission');
+    }
+  };
+
+  if (!data) return null;
+
+  const rows = data.submissions.map(s => [
+    new Date(s.submittedAt).toLocaleString(),
+    s.host || '—',
+    (s.sources || []).join(', ') || '—',
+    s.urlCount,
+    <IndexNowStatusBadge key="status" status={s.status} />,
+    <Button key="details" variant="plain" onClick={() => openDetail(s._id)}>Details</Button>
+  ]);
+
+  return (
+    <Box>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <InlineStack gap="200" blockAlign="center">
+            <Text variant="headingMd" as="h3">IndexNow</Text>
+            <Badge tone={data.enabled ? 'success' : undefined}>{data.enabled ? 'On' : 'Off'}</Badge>
+          </InlineStack>
+          <InlineStack gap="200">
+            <Button size="slim" onClick={toggle} loading={saving}>
+              {data.enabled ? 'Turn off' : 'Turn on'}
+            </Button>
+            <Button size="slim" onClick={sendNow} loading={sending} disabled={!data.enabled || !data.pending}>
+              Send now
+            </Button>
+          </InlineStack>
+        </InlineStack>
+        <Text variant="bodySm" tone="subdued">
+          Tells Bing, Yandex and other IndexNow search engines about new and updated pages after SEO changes and sitemap updates, instead of waiting for the next crawl.
+        </Text>
+
+        <BlockStack gap="100">
+          <Text variant="bodySm">
+            <strong>Waiting:</strong> {data.pending} URL{data.pending === 1 ? '' : 's'}
+            {data.lastSubmittedAt && ` · last sent ${new Date(data.lastSubmittedAt).toLocaleString()}`}
+          </Text>
+          <Text variant="bodySm" tone="subdued">Endpoint: {data.endpoint}</Text>
+          {data.keyUrl ? (
+            <Text variant="bodySm" tone="subdued">
+              Key file: <a href={data.keyUrl} target="_blank" rel="noopener noreferrer">{data.keyUrl}</a>
+            </Text>
+          ) : (
+            <Text variant="bodySm" tone="subdued">The key file is created with the first submission.</Text>
+          )}
+        </BlockStack>
+
+        {data.keyUrl && !data.keyAtRoot && (
+          <Banner tone="warning">
+            <Text as="p" variant="bodySm">
+              The key file could not be published at the root of your domain, so search engines only accept URLs under the app proxy path. Reinstall the app to grant the navigation permission.
+            </Text>
+          </Banner>
+        )}
+
+        {rows.length > 0 ? (
+          <DataTable
+            columnContentTypes={['text', 'text', 'text', 'numeric', 'text', 'text']}
+            headings={['Sent', 'Host', 'Source', 'URLs', 'Status', '']}
+            rows={rows}
+          />
+        ) : (
+          <Text variant="bodySm" tone="subdued">No submissions yet.</Text>
+        )}
+      </BlockStack>
+
+      {detail && (
+        <Modal
+          open
+          onClose={() => setDetail(null)}
+          title={`IndexNow submission · ${new Date(detail.submittedAt).toLocaleString()}`}
+          secondaryActions={[{ content: 'Close', onAction: () => setDetail(null) }]}
+        >
+          <Modal.Section>
+            <BlockStack gap="300">
+              <InlineStack gap="200" blockAlign="center">
+                <IndexNowStatusBadge status={detail.status} />
+                <Text variant="bodySm" tone="subdued">
+                  {detail.statusCode ? `HTTP ${detail.statusCode} · ` : ''}{detail.message}
+                </Text>
+              </InlineStack>
+              <DataTable
+                columnContentTypes={['text', 'text']}
+                headings={['URL', 'Status']}
+                rows={(detail.urls || []).map(u => [u.url, <IndexNowStatusBadge key={u.url} status={u.status} />])}
+              />
+            </BlockStack>
+          </Modal.Section>
+        </Modal>
+      )}
+    </Box>
+  );
+}
@@ -19,6 +19,18 @@ export const TOKEN_COSTS = {
     description: 'AI SEO optimization for collection'
   },
   
+  'ai-seo-article': {
+    base: 2500,           // Per blog article
+    perLanguage: 2000,    // Additional per language
+    description: 'AI SEO optimization for blog article'
+  },
+  
+  'ai-seo-page': {
+    base: 2000,           // Per store page
+    perLanguage: 1500,    // Additional per language
+    description: 'AI SEO optimization for store page'
+  },
+  
   'ai-schema-advanced': {
     base: 5000,           // Site FAQ + Organization + WebSite schemas
     perProduct: 1500,     // ~19 schemas per product × ~80 tokens = ~1500 tokens/product
@@ -29,6 +41,16 @@ export const TOKEN_COSTS = {
     base: 2000,           // Overhead for system messages
     perProduct: 2500,     // 5 AI calls × ~500 tokens each = ~2500 per product
     description: 'AI-optimized sitemap generation'
+  },
+
+  'ai-translation-product': {
+    base: 3000,           // Per product and translated language
+    description: 'AI translation of product content into a store language'
+  },
+
+  'ai-image-alt': {
+    base: 800,            // Per product and language (all images in one call)
+    description: 'AI alt text for product images'
   }
 };
 
@@ -38,7 +60,7 @@ const SAFETY_MARGIN = 1.5;
 /**
  * Calculate estimated tokens for a feature
  * @param {string} feature - Feature key from TOKEN_COSTS
- * @param {object} options - { productCount, collectionCount, languages }
+ * @param {object} options - { productCount, collectionCount, contentCount, languages }
  * @returns {object} { estimated, withMargin, perItem, itemCount }
  */
 export function estimateTokens(feature, options = {}) {
@@ -48,7 +70,7 @@ export function estimateTokens(feature, options = {}) {
     return { estimated: 0, withMargin: 0, perItem: 0, itemCount: 0 };
   }
   
-  const { productCount = 0, collectionCount = 0, languages = 1 } = options;
+  const { productCount = 0, collectionCount = 0, contentCount = 0, languages = 1 } = options;
   
   let estimated = 0;
   let perItem = 0;
@@ -69,6 +91,14 @@ export function estimateTokens(feature, options = {}) {
       estimated = collectionCount * perItem;
       break;
       
+    case 'ai-seo-article':
+    case 'ai-seo-page':
+      // Per article/page × (base + languages × perLanguage)
+      perItem = cost.base + (languages * cost.perLanguage);
+      itemCount = contentCount;
+      estimated = contentCount * perItem;
+      break;
+      
     case 'ai-schema-advanced':
       // base + (productCount × perProduct)
       perItem = cost.perProduct;
@@ -83,6 +113,14 @@ export function estimateTokens(feature, options = {}) {
       estimated = cost.base + (productCount * cost.perProduct);
       break;
       
+    case 'ai-translation-product':
+    case 'ai-image-alt':
+      // Products × languages × base
+      perItem = cost.base * languages;
+      itemCount = productCount;
+      estimated = productCount * perItem;
+      break;
+      
     default:
       estimated = cost.base || 0;
   }
@@ -104,17 +142,24 @@ export function estimateTokens(feature, options = {}) {
  */
 function getFormula(feature, options) {
   const cost = TOKEN_COSTS[feature];
-  const { productCount = 0, collectionCount = 0, languages = 1 } = options;
+  const { productCount = 0, collectionCount = 0, contentCount = 0, languages = 1 } = options;
   
   switch (feature) {
     case 'ai-seo-product-enhanced':
       return `${productCount} products × (${cost.base} + ${languages} × ${cost.perLanguage})`;
     case 'ai-seo-collection':
       return `${collectionCount} collections × (${cost.base} + ${languages} × ${cost.perLanguage})`;
+    case 'ai-seo-article':
+      return `${contentCount} articles × (${cost.base} + ${languages} × ${cost.perLanguage})`;
+    case 'ai-seo-page':
+      return `${contentCount} pages × (${cost.base} + ${languages} × ${cost.perLanguage})`;
     case 'ai-schema-advanced':
       return `${cost.base} + (${productCount} × ${cost.perProduct})`;
     case 'ai-sitemap-optimized':
       return `${cost.base} + (${productCount} × ${cost.perProduct})`;
+    case 'ai-translation-product':
+    case 'ai-image-alt':
+      return `${productCount} products × ${languages} languages × ${cost.base}`;
     default:
       return `base: ${cost.base}`;
   }